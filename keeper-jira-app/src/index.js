@@ -1,7 +1,28 @@
 import Resolver from '@forge/resolver';
-import { storage, webTrigger } from '@forge/api';
+import { storage, webTrigger, startsWith } from '@forge/api';
 import { webTriggerHandler, generateWebhookToken } from './modules/webhookHandler.js';
-import { testKeeperConnection, executeKeeperCommand as executeKeeperApiCommand, getRateLimitStatus } from './modules/keeperApi.js';
+import { 
+  testKeeperConnection, 
+  executeKeeperCommand as executeKeeperApiCommand, 
+  submitKeeperCommand as submitKeeperApiCommand, 
+  getKeeperCommandOutcome, 
+  getRateLimitStatus, 
+  getRateLimitConfig,
+  listUserRateLimitUsage,
+  resetUserRateLimit,
+  resolveKeeperConnection,
+  getReadCacheConfig,
+  invalidateKeeperCache,
+  saveConnectionCapabilities,
+  getConnectionApiKey,
+  setConnectionApiKey,
+  deleteConnectionApiKey,
+  migrateSecretsToSecretStorage,
+  getKeyRotationConfig,
+  rotateConnectionApiKey,
+  endApiKeyGracePeriod,
+  getApiKeyRotationStatus
+} from './modules/keeperApi.js';
 import { requestJiraAsAppWithRetry, requestJiraAsUserWithRetry, route } from './modules/utils/jiraApiRetry.js';
 import { logger } from './modules/utils/logger.js';
 import { 
@@ -14,6 +35,160 @@ import {
   keeperError, 
   epmError 
 } from './modules/utils/errorResponse.js';
+import {
+  DEFAULT_CONNECTION_ID,
+  DEFAULT_CONNECTION_NAME,
+  validateConnectionName,
+  validateRoutes,
+  removeRoutesForConnection,
+  maskApiKey,
+  CONNECTION_LIMITS
+} from './modules/utils/connectionRouter.js';
+import {
+  JOB_STATUS,
+  getJobStorageKey,
+  getIssueJobStorageKey,
+  getIssueLastJobStorageKey,
+  buildJobRecord,
+  isTerminalStatus,
+  canClaimForFinalization
+} from './modules/utils/keeperJobs.js';
+import { invalidatesCache, validateCacheConfig } from './modules/utils/readCache.js';
+import { buildKeeperCommand, validateCommandParameters, validateField, isEpmApprovalCommand } from './modules/utils/commandBuilder.js';
+import { getCommandDefinition, getIssuePanelActions, pickDeclaredParameters } from './modules/utils/commandRegistry.js';
+import {
+  DEFAULT_ALLOWED_COMMANDS,
+  READ_ONLY_COMMANDS,
+  POLICY_REJECTION,
+  validateAllowedCommands,
+  evaluateCommandPolicy
+} from './modules/utils/commandPolicy.js';
+import { checkCommandCapability } from './modules/utils/commanderCapabilities.js';
+import {
+  ATTACHMENT_LIMITS,
+  TRANSFER_ITEM_STATUS,
+  supportsAttachments,
+  selectAttachments,
+  buildAttachmentTransfer,
+  getUploadingItem,
+  getNextPendingItem,
+  isTransferDone,
+  updateTransferItem,
+  canClaimTransferStep,
+  getTransferProgress,
+  buildUploadCommand,
+  buildUploadFiledata
+} from './modules/utils/attachmentTransfer.js';
+import { SECRET_KEYS, buildApiKeyFields, buildWebhookTokenFields } from './modules/utils/secretStorage.js';
+import { DEFAULT_RATE_LIMIT_CONFIG, validateRateLimitConfig } from './modules/utils/rateLimiter.js';
+import { DEFAULT_KEY_ROTATION_CONFIG, buildKeyAgeFields, validateKeyRotationConfig } from './modules/utils/keyRotation.js';
+import {
+  getShareLinkStorageKey,
+  extractShareUrl,
+  buildShareLinkRecord,
+  isShareLinkExpired,
+  canViewShareLink,
+  canReplaceShareRequest
+} from './modules/utils/oneTimeShare.js';
+import { parseFolderListing, parseFolderContents, describeFolder, validateMoveRequest } from './modules/utils/folderListing.js';
+import {
+  SHARED_FOLDER_PROPERTY_KEY,
+  buildSharedFolderPath,
+  extractFolderUid,
+  pickFolderPermissions,
+  buildMemberGrantParameters,
+  splitMembers
+} from './modules/utils/sharedFolder.js';
+import { describeEnterpriseUserChange } from './modules/utils/enterpriseUser.js';
+import {
+  TEAM_MEMBERSHIP_PROPERTY_KEY,
+  parseTeamListing,
+  buildTeamMembershipChange,
+  describeTeamMembershipChange,
+  getReversalRequest
+} from './modules/utils/teamMembership.js';
+import {
+  getClientTokenStorageKey,
+  extractClientToken,
+  buildClientTokenRecord,
+  isClientTokenExpired,
+  canViewClientToken,
+  canReplaceClientTokenRequest,
+  describeSecretsManagerChange
+} from './modules/utils/secretsManager.js';
+import { parseRevisionList, parseRevisionFields, normalizeRevision, diffRevisions } from './modules/utils/recordHistory.js';
+import {
+  parseRecordPermissions,
+  parseSharedFolderPermissions,
+  parseShareReport,
+  mergeAccessEntries,
+  findRequestConflicts
+} from './modules/utils/shareReport.js';
+import {
+  DEFAULT_PASSWORD_POLICY,
+  GENERATION_LIMITS,
+  estimateStrength,
+  maskPassword,
+  describeComposition,
+  validateGenerationOptions,
+  buildGenerateCommand,
+  parseGeneratedPasswords,
+  pickGeneratedPassword,
+  shouldGeneratePassword,
+  validatePasswordPolicy
+} from './modules/utils/passwordPolicy.js';
+import { selectQrImageAttachment } from './modules/utils/oneTimeCode.js';
+import {
+  APPROVAL_LIMITS,
+  validateApprovalChains,
+  findApprovalChain,
+  describeStage,
+  summarizeApprovals,
+  checkApprover,
+  addApproval,
+  findChangedFields
+} from './modules/utils/approvalChain.js';
+import {
+  POLICY_OUTCOME,
+  AUTO_APPROVE_ACTIONS,
+  PERMISSION_FLAGS,
+  POLICY_LIMITS,
+  validateApprovalPolicy,
+  describeStoredRequest,
+  resolvePolicyFolder,
+  targetsConfirmedFolder,
+  evaluateApprovalPolicy
+} from './modules/utils/approvalPolicy.js';
+import {
+  FAILURE_HANDLING,
+  DEFAULT_WORKFLOW_CONFIG,
+  WORKFLOW_LIMITS,
+  FAILED_ACTION_LABEL,
+  validateWorkflowConfig,
+  shouldRunOnTransition,
+  getWorkflowBlocker,
+  hasAdminPermission,
+  findRevertTransition,
+  checkKeeperActionDone
+} from './modules/utils/workflowExecution.js';
+import {
+  EXPIRY_ACTION,
+  DEFAULT_EXPIRY_CONFIG,
+  EXPIRY_LIMITS,
+  validateExpiryConfig,
+  getExpiryAction,
+  buildTimeoutReason
+} from './modules/utils/requestExpiry.js';
+import {
+  DEFAULT_SEPARATION_CONFIG,
+  BREAK_GLASS_LIMITS,
+  validateSeparationConfig,
+  getRequestHistoryStorageKey,
+  addRequestHistoryEntry,
+  canChangeStoredRequest,
+  checkSeparationOfDuties,
+  addBreakGlassEntry
+} from './modules/utils/separationOfDuties.js';
 
 const resolver = new Resolver();
 
@@ -189,7 +364,7 @@ function validateApiUrl(url) {
  * This helps prevent saving misconfigured or malicious URLs
  * @param {string} apiUrl - The API URL to test
  * @param {string} apiKey - The API key for authentication
- * @returns {Object} - { reachable: boolean, error?: string }
+ * @returns {Object} - { reachable: boolean, error?: string, warning?: string, capabilities?: Object }
  */
 async function testApiUrlReachability(apiUrl, apiKey) {
   try {
@@ -209,7 +384,7 @@ async function testApiUrlReachability(apiUrl, apiKey) {
       };
     }
     
-    return { reachable: true };
+    return { reachable: true, capabilities: result.capabilities };
   } catch (error) {
     // Parse the error message to provide helpful feedback
     const errorMessage = error.message || 'Unknown error';
@@ -265,10 +440,24 @@ async function getCurrentUser() {
 
 /**
  * Get Keeper config (called from frontend)
+ * The API key stays in secret storage - only a masked preview is returned
  */
 resolver.define('getConfig', async () => {
-  const config = await storage.get('keeperConfig');
-  return config || {};
+  let config = await storage.get('keeperConfig');
+  if (config?.apiKey) {
+    await migrateSecretsToSecretStorage();
+    config = await storage.get('keeperConfig');
+  }
+  if (!config) {
+    return {};
+  }
+  
+  return {
+    apiUrl: config.apiUrl,
+    apiKeyPreview: config.apiKeyPreview || null,
+    hasApiKey: !!config.hasApiKey,
+    capabilities: config.capabilities || null
+  };
 });
 
 /**
@@ -309,8 +498,11 @@ resolver.define('setConfig', async (req) => {
     logger.warn('URL validation warning', { warning: urlValidation.warning });
   }
   
-  // Validate API key is provided
-  if (!apiKey || typeof apiKey !== 'string' || !apiKey.trim()) {
+  // Keep the stored key when saving without re-entering it
+  const enteredApiKey = (apiKey && typeof apiKey === 'string' && apiKey.trim()) ? apiKey.trim() : null;
+  const storedApiKey = await getConnectionApiKey(DEFAULT_CONNECTION_ID);
+  const effectiveApiKey = enteredApiKey || storedApiKey;
+  if (!effectiveApiKey) {
     return validationError('apiKey', 'API Key is required');
   }
   
@@ -322,9 +514,11 @@ resolver.define('setConfig', async (req) => {
   // ========================================================================
   
   let connectionWarning = null;
+  let capabilities = null;
+  const existingConfig = await storage.get('keeperConfig');
   
   if (!skipConnectionTest) {
-    const reachabilityTest = await testApiUrlReachability(normalizedApiUrl, apiKey);
+    const reachabilityTest = await testApiUrlReachability(normalizedApiUrl, effectiveApiKey);
     
     if (!reachabilityTest.reachable) {
       return connectionError(`Connection test failed: ${reachabilityTest.error}`);
@@ -333,12 +527,22 @@ resolver.define('setConfig', async (req) => {
     if (reachabilityTest.warning) {
       connectionWarning = reachabilityTest.warning;
     }
+    capabilities = reachabilityTest.capabilities || null;
+  } else {
+    // Keep the last negotiated profile when the service itself did not change
+    if (existingConfig?.apiUrl === normalizedApiUrl) {
+      capabilities = existingConfig.capabilities || null;
+    }
   }
   
-  // Save the validated and normalized config
+  // Save the validated and normalized config - the key itself goes to secret storage
+  await setConnectionApiKey(DEFAULT_CONNECTION_ID, effectiveApiKey);
+  
   const configToSave = { 
     apiUrl: normalizedApiUrl, 
-    apiKey: apiKey.trim() 
+    ...buildApiKeyFields(effectiveApiKey),
+    ...buildKeyAgeFields(existingConfig, effectiveApiKey !== storedApiKey),
+    capabilities
   };
   
   await storage.set('keeperConfig', configToSave);
@@ -357,6 +561,9 @@ resolver.define('setConfig', async (req) => {
   if (connectionWarning) {
     warnings.push(connectionWarning);
   }
+  if (capabilities?.warnings) {
+    warnings.push(...capabilities.warnings);
+  }
   if (warnings.length > 0) {
     response.warnings = warnings;
   }
@@ -377,7 +584,9 @@ resolver.define('testConnection', async (req) => {
   }
   
   const apiUrl = payload.apiUrl;
-  const apiKey = payload.apiKey;
+  // A blank key tests the stored one, so the saved config can be re-tested without re-entering it
+  const storedApiKey = await getConnectionApiKey(DEFAULT_CONNECTION_ID);
+  const apiKey = (payload.apiKey && String(payload.apiKey).trim()) || storedApiKey;
   
   if (!apiUrl || !apiKey) {
     return validationError('apiUrl', 'API URL and API Key are required for testing connection');
@@ -391,1897 +600,3616 @@ resolver.define('testConnection', async (req) => {
     const serviceMessage = result.data?.message || 'Service status unknown';
     const isRunning = serviceMessage.toLowerCase().includes('running');
 
+    // Refresh the stored profile when the form matches the saved default connection
+    const config = await storage.get('keeperConfig');
+    if (config && config.apiUrl === validateApiUrl(apiUrl).normalizedUrl && storedApiKey === String(apiKey).trim()) {
+      await saveConnectionCapabilities(DEFAULT_CONNECTION_ID, result.capabilities);
+    }
+
     return successResponse({ 
       message: isRunning ? 'Connection test successful!' : 'Connection established but service may not be running properly',
       serviceStatus: serviceMessage,
-      isServiceRunning: isRunning
+      isServiceRunning: isRunning,
+      capabilities: result.capabilities
     });
   } catch (err) {
     return connectionError(`Connection test failed: ${err.message}`, err);
   }
 });
 
+// ============================================================================
+// Named Commander Connections & Project Routing
+// ============================================================================
+
 /**
- * Issue panel resolver - provides context and handles requests from issue panel
+ * Build the routing context ({ projectKey, issueType }) for a resolver call
+ * Issue panel invocations carry the project and issue type in the extension context;
+ * otherwise the issue is looked up when an issueKey is available.
+ * @param {Object} req - Resolver request
+ * @param {string} issueKey - Optional issue key to look up when context is missing
+ * @returns {Promise<Object>} - Routing context (empty object routes to the default connection)
  */
-resolver.define('getIssueContext', async (req) => {
-  const { context } = req;
+async function getRouteContext(req, issueKey = null) {
+  const extension = req?.context?.extension;
+  const projectKey = extension?.project?.key;
+  const issueType = extension?.issue?.type || extension?.issue?.issueType?.name || null;
   
-  const issueKey = context?.extension?.issue?.key;
-  const projectKey = context?.extension?.project?.key;
-  const currentUserAccountId = context?.accountId;
+  if (projectKey) {
+    return { projectKey, issueType };
+  }
   
-  // Get current config
-  const config = await storage.get('keeperConfig');
+  if (!issueKey) {
+    return {};
+  }
   
-  // Fetch issue labels to determine if this is a webhook-created ticket
-  let labels = [];
-  if (issueKey) {
-    try {
-      const issueResponse = await requestJiraAsAppWithRetry(
-        route`/rest/api/3/issue/${issueKey}?fields=labels`,
-        {
-          method: 'GET',
-          headers: { 'Accept': 'application/json' }
-        },
-        'Get issue labels'
-      );
-      
-      if (issueResponse.ok) {
-        const issueData = await issueResponse.json();
-        labels = issueData.fields?.labels || [];
-      }
-    } catch (error) {
-      logger.error('Failed to fetch issue labels', error);
-      // Continue without labels if fetch fails
+  try {
+    const response = await requestJiraAsAppWithRetry(
+      route`/rest/api/3/issue/${issueKey}?fields=project,issuetype`,
+      {
+        method: 'GET',
+        headers: { 'Accept': 'application/json' }
+      },
+      'Get issue routing context'
+    );
+    
+    if (response.ok) {
+      const issueData = await response.json();
+      return {
+        projectKey: issueData.fields?.project?.key,
+        issueType: issueData.fields?.issuetype?.name || null
+      };
     }
+  } catch (error) {
+    logger.error('Failed to resolve issue routing context', error);
   }
   
-  // Fetch current user's email using helper function
-  const currentUser = await getCurrentUser();
-  const currentUserEmail = currentUser?.emailAddress || null;
-  
-  // Return simplified context - works with any project
-  return {
-    issueKey,
-    projectKey,
-    hasConfig: !!config,
-    labels: labels,
-    currentUserAccountId,
-    currentUserEmail
-  };
-});
-
-// ============================================================================
-// Input Validation Module
-// ============================================================================
+  return {};
+}
 
 /**
- * Field length limits to prevent memory exhaustion and buffer overflows
- * Based on reasonable maximums and industry standards
- */
-const VALIDATION_LIMITS = {
-  // Record fields
-  title: { maxLength: 256, label: 'Title' },
-  notes: { maxLength: 10000, label: 'Notes' },
-  login: { maxLength: 254, label: 'Login/Username' },  // RFC 5321 email max
-  password: { maxLength: 1024, label: 'Password' },
-  url: { maxLength: 2048, label: 'URL' },  // Common browser limit
-  email: { maxLength: 254, label: 'Email' },  // RFC 5321 SMTP max
-  
-  // Contact fields
-  phone: { maxLength: 32, label: 'Phone Number' },
-  phoneExt: { maxLength: 16, label: 'Phone Extension' },
-  phoneRegion: { maxLength: 8, label: 'Phone Region' },
-  
-  // Address fields
-  street: { maxLength: 256, label: 'Street Address' },
-  city: { maxLength: 128, label: 'City' },
-  state: { maxLength: 64, label: 'State/Province' },
-  zip: { maxLength: 32, label: 'ZIP/Postal Code' },
-  country: { maxLength: 64, label: 'Country' },
-  
-  // Name fields
-  firstName: { maxLength: 64, label: 'First Name' },
-  middleName: { maxLength: 64, label: 'Middle Name' },
-  lastName: { maxLength: 64, label: 'Last Name' },
-  
-  // Identity fields
-  recordUid: { maxLength: 64, label: 'Record UID' },  // Keeper UIDs are ~22 chars
-  folderUid: { maxLength: 64, label: 'Folder UID' },
-  recordType: { maxLength: 64, label: 'Record Type' },
-  
-  // Network fields
-  hostName: { maxLength: 253, label: 'Hostname' },  // DNS FQDN max
-  port: { maxLength: 5, label: 'Port' },  // Max port 65535
-  
-  // SSH fields
-  privateKey: { maxLength: 16000, label: 'Private Key' },
-  publicKey: { maxLength: 8000, label: 'Public Key' },
-  passphrase: { maxLength: 1024, label: 'Passphrase' },
-  
-  // Sharing fields
-  user: { maxLength: 1024, label: 'User' },  // Can be multiple comma-separated emails
-  expiration: { maxLength: 64, label: 'Expiration' },
-  
-  // Custom fields
-  customField: { maxLength: 1024, label: 'Custom Field' },
-  
-  // Generic fallback
-  default: { maxLength: 1024, label: 'Field' },
-};
+ * List named connections and routing rules (called from config page)
+ * API keys are never returned - only a masked preview
+ */
+resolver.define('getKeeperConnections', async () => {
+  const defaultConfig = await storage.get('keeperConfig');
+  const connections = await storage.get('keeperConnections') || [];
+  const routes = await storage.get('keeperConnectionRoutes') || [];
+  
+  const defaultConnection = {
+    id: DEFAULT_CONNECTION_ID,
+    name: DEFAULT_CONNECTION_NAME,
+    apiUrl: defaultConfig?.apiUrl || '',
+    apiKeyPreview: defaultConfig?.apiKeyPreview || maskApiKey(defaultConfig?.apiKey),
+    isDefault: true,
+    isConfigured: !!(defaultConfig?.apiUrl && (defaultConfig?.hasApiKey || defaultConfig?.apiKey)),
+    capabilities: defaultConfig?.capabilities || null
+  };
+  
+  return successResponse({
+    connections: [
+      defaultConnection,
+      ...connections.map(conn => ({
+        id: conn.id,
+        name: conn.name,
+        apiUrl: conn.apiUrl,
+        apiKeyPreview: conn.apiKeyPreview || maskApiKey(conn.apiKey),
+        isDefault: false,
+        isConfigured: true,
+        capabilities: conn.capabilities || null,
+        updatedAt: conn.updatedAt
+      }))
+    ],
+    routes
+  });
+});
 
 /**
- * Validation patterns for format checking
+ * Create or update a named connection (called from config page)
+ * Applies the same URL validation and connection test as setConfig (Issue #8)
  */
-const VALIDATION_PATTERNS = {
-  // Email: RFC 5322 simplified - allows most valid emails
-  email: /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/,
-  
-  // URL: Basic validation for http/https URLs
-  url: /^https?:\/\/[^\s<>"{}|\\^`[\]]+$/i,
-  
-  // Phone: International format, digits, spaces, dashes, parens, plus
-  phone: /^[+]?[\d\s\-().]{1,30}$/,
-  
-  // Port: 1-65535
-  port: /^([1-9]\d{0,3}|[1-5]\d{4}|6[0-4]\d{3}|65[0-4]\d{2}|655[0-2]\d|6553[0-5])$/,
-  
-  // UID: Alphanumeric with common UID characters
-  uid: /^[a-zA-Z0-9_\-]{1,100}$/,
+resolver.define('saveKeeperConnection', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
   
-  // Hostname: Valid DNS hostname
-  hostname: /^(?=.{1,253}$)(?:(?!-)[a-zA-Z0-9-]{1,63}(?<!-)\.)*(?!-)[a-zA-Z0-9-]{1,63}(?<!-)$/,
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('saveKeeperConnection: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change Keeper connections');
+  }
   
-  // Record type: Alphanumeric with underscores, hyphens, dots
-  recordType: /^[a-zA-Z][a-zA-Z0-9_.\-]{0,99}$/,
+  if (!payload) {
+    return validationError('payload', 'No payload provided');
+  }
   
-  // Date: ISO format YYYY-MM-DD or Unix timestamp
-  date: /^(\d{4}-\d{2}-\d{2}|\d{10,13})$/,
+  const { id, name, apiUrl, apiKey, skipConnectionTest = false } = payload;
+  const connections = await storage.get('keeperConnections') || [];
+  const existing = id ? connections.find(conn => conn.id === id) : null;
   
-  // Expiration duration: Number with time unit (e.g., 30d, 24h, 60m)
-  duration: /^\d+[dhms]?$/i,
-};
-
-/**
- * Validate a single field value
- * @param {string} fieldName - Name of the field being validated
- * @param {*} value - Value to validate
- * @param {Object} options - Validation options
- * @returns {Object} - { valid: boolean, error?: string, sanitized?: string }
- */
-function validateField(fieldName, value, options = {}) {
-  // Skip validation for null/undefined (optional fields)
-  if (value === null || value === undefined) {
-    return { valid: true, sanitized: null };
+  if (id && !existing) {
+    return errorResponse(ERROR_CODES.VALIDATION_INVALID_FORMAT, `Connection "${id}" was not found`, { field: 'id' });
   }
   
-  // Convert to string for validation
-  const strValue = String(value).trim();
+  if (!existing && connections.length >= CONNECTION_LIMITS.maxConnections) {
+    return validationError('name', `A maximum of ${CONNECTION_LIMITS.maxConnections} named connections is supported`, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
   
-  // Check if field is required
-  if (options.required && strValue.length === 0) {
-    return { valid: false, error: `${options.label || fieldName} is required` };
+  const nameValidation = validateConnectionName(name, connections, existing?.id || null);
+  if (!nameValidation.valid) {
+    return validationError('name', nameValidation.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
   }
   
-  // Skip further validation for empty optional fields
-  if (strValue.length === 0) {
-    return { valid: true, sanitized: '' };
+  const urlValidation = validateApiUrl(apiUrl);
+  if (!urlValidation.valid) {
+    return errorResponse(
+      ERROR_CODES.VALIDATION_INVALID_URL, 
+      `Invalid API URL: ${urlValidation.error}`,
+      { field: 'apiUrl' }
+    );
   }
   
-  // Get length limit for this field type
-  const limitKey = options.limitKey || fieldName;
-  const limits = VALIDATION_LIMITS[limitKey] || VALIDATION_LIMITS.default;
+  // Keep the stored key when editing without re-entering it
+  const enteredApiKey = (apiKey && typeof apiKey === 'string' && apiKey.trim()) ? apiKey.trim() : null;
+  const storedApiKey = existing ? await getConnectionApiKey(existing.id) : null;
+  const effectiveApiKey = enteredApiKey || storedApiKey;
+  if (!effectiveApiKey) {
+    return validationError('apiKey', 'API Key is required');
+  }
   
-  // Check length limit
-  if (strValue.length > limits.maxLength) {
-    return { 
-      valid: false, 
-      error: `${limits.label} exceeds maximum length of ${limits.maxLength} characters (provided: ${strValue.length})` 
-    };
+  const warnings = [];
+  if (urlValidation.warning) {
+    warnings.push(urlValidation.warning);
   }
   
-  // Format validation for specific field types
-  if (options.pattern) {
-    const pattern = VALIDATION_PATTERNS[options.pattern];
-    if (pattern && !pattern.test(strValue)) {
-      return { 
-        valid: false, 
-        error: `${limits.label} has invalid format` 
-      };
+  // Keep the last negotiated profile when the service itself did not change
+  let capabilities = existing?.apiUrl === urlValidation.normalizedUrl ? existing.capabilities || null : null;
+  
+  if (!skipConnectionTest) {
+    const reachabilityTest = await testApiUrlReachability(urlValidation.normalizedUrl, effectiveApiKey);
+    if (!reachabilityTest.reachable) {
+      return connectionError(`Connection test failed: ${reachabilityTest.error}`);
+    }
+    if (reachabilityTest.warning) {
+      warnings.push(reachabilityTest.warning);
+    }
+    capabilities = reachabilityTest.capabilities || null;
+    if (capabilities?.warnings) {
+      warnings.push(...capabilities.warnings);
     }
   }
   
-  // Check for dangerous control characters (except newlines in notes)
-  const allowNewlines = options.allowNewlines || fieldName === 'notes';
-  const controlCharPattern = allowNewlines ? /[\x00-\x08\x0b\x0c\x0e-\x1f]/ : /[\x00-\x1f]/;
-  if (controlCharPattern.test(strValue)) {
-    return { 
-      valid: false, 
-      error: `${limits.label} contains invalid control characters` 
-    };
-  }
+  // The key itself goes to secret storage; the record keeps a masked preview
+  await setConnectionApiKey(nameValidation.id, effectiveApiKey);
+  
+  const connection = {
+    id: nameValidation.id,
+    name: name.trim(),
+    apiUrl: urlValidation.normalizedUrl,
+    ...buildApiKeyFields(effectiveApiKey),
+    ...buildKeyAgeFields(existing, effectiveApiKey !== storedApiKey),
+    capabilities,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
   
-  return { valid: true, sanitized: strValue };
-}
+  const updatedConnections = existing
+    ? connections.map(conn => conn.id === existing.id ? connection : conn)
+    : [...connections, connection];
+  
+  await storage.set('keeperConnections', updatedConnections);
+  
+  logger.info('saveKeeperConnection: Connection saved', { connectionId: connection.id, isUpdate: !!existing });
+  
+  const response = successResponse(
+    { connection: { id: connection.id, name: connection.name, apiUrl: connection.apiUrl } },
+    existing ? 'Connection updated successfully' : 'Connection added successfully'
+  );
+  if (warnings.length > 0) {
+    response.warnings = warnings;
+  }
+  return response;
+});
 
 /**
- * Validate email address with multiple emails support (comma-separated)
- * @param {string} emailString - Single email or comma-separated emails
- * @returns {Object} - { valid: boolean, error?: string, emails?: string[] }
+ * Re-run capability negotiation against a saved connection (called from config page)
  */
-function validateEmails(emailString) {
-  if (!emailString || typeof emailString !== 'string') {
-    return { valid: false, error: 'Email address is required' };
-  }
-  
-  const emails = emailString.split(',').map(e => e.trim()).filter(e => e);
+resolver.define('refreshKeeperCapabilities', async (req) => {
+  let payload = req?.payload?.payload || req?.payload || req;
+  const connectionId = payload?.id || DEFAULT_CONNECTION_ID;
   
-  if (emails.length === 0) {
-    return { valid: false, error: 'At least one email address is required' };
+  let connection;
+  try {
+    connection = await resolveKeeperConnection({ connectionId });
+  } catch (err) {
+    return errorResponse(ERROR_CODES.VALIDATION_INVALID_FORMAT, `Connection "${connectionId}" was not found`, { field: 'id' });
   }
-  
-  // Limit number of emails to prevent abuse
-  if (emails.length > 50) {
-    return { valid: false, error: 'Maximum 50 email addresses allowed per request' };
+  if (!connection) {
+    return keeperError('Keeper API is not configured');
   }
   
-  for (const email of emails) {
-    // Check length
-    if (email.length > VALIDATION_LIMITS.email.maxLength) {
-      return { 
-        valid: false, 
-        error: `Email "${email.substring(0, 20)}..." exceeds maximum length of ${VALIDATION_LIMITS.email.maxLength} characters` 
-      };
-    }
+  try {
+    const result = await testKeeperConnection(connection.apiUrl, connection.apiKey);
+    await saveConnectionCapabilities(connection.id, result.capabilities);
     
-    // Check format
-    if (!VALIDATION_PATTERNS.email.test(email)) {
-      return { 
-        valid: false, 
-        error: `Invalid email format: "${email.substring(0, 50)}${email.length > 50 ? '...' : ''}"` 
-      };
-    }
+    logger.info('refreshKeeperCapabilities: Capabilities updated', {
+      connectionId: connection.id,
+      version: result.capabilities.version,
+      commandCount: result.capabilities.commands ? result.capabilities.commands.length : null
+    });
+    
+    return successResponse({ capabilities: result.capabilities }, 'Commander capabilities updated');
+  } catch (err) {
+    return connectionError(`Connection test failed: ${err.message}`, err);
   }
-  
-  return { valid: true, emails };
-}
+});
 
 /**
- * Validate phone entry object
- * @param {Object} phoneEntry - Phone entry with number, type, region, ext
- * @returns {Object} - { valid: boolean, error?: string }
+ * Delete a named connection and any routes pointing at it (called from config page)
  */
-function validatePhoneEntry(phoneEntry) {
-  if (!phoneEntry || typeof phoneEntry !== 'object') {
-    return { valid: true }; // Optional
+resolver.define('deleteKeeperConnection', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('deleteKeeperConnection: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can delete Keeper connections');
   }
   
-  // Validate phone number
-  if (phoneEntry.number) {
-    const numberValidation = validateField('phone', phoneEntry.number, { 
-      limitKey: 'phone', 
-      pattern: 'phone' 
-    });
-    if (!numberValidation.valid) {
-      return numberValidation;
-    }
+  const connectionId = payload?.id;
+  
+  if (!connectionId) {
+    return validationError('id', 'Connection id is required');
   }
   
-  // Validate extension
-  if (phoneEntry.ext) {
-    const extValidation = validateField('ext', phoneEntry.ext, { limitKey: 'phoneExt' });
-    if (!extValidation.valid) {
-      return extValidation;
-    }
+  if (connectionId === DEFAULT_CONNECTION_ID) {
+    return validationError('id', 'The default connection cannot be deleted');
   }
   
-  // Validate region
-  if (phoneEntry.region) {
-    const regionValidation = validateField('region', phoneEntry.region, { limitKey: 'phoneRegion' });
-    if (!regionValidation.valid) {
-      return regionValidation;
-    }
+  const connections = await storage.get('keeperConnections') || [];
+  if (!connections.some(conn => conn.id === connectionId)) {
+    return errorResponse(ERROR_CODES.VALIDATION_INVALID_FORMAT, `Connection "${connectionId}" was not found`, { field: 'id' });
   }
   
-  return { valid: true };
-}
+  const routes = await storage.get('keeperConnectionRoutes') || [];
+  const remainingRoutes = removeRoutesForConnection(routes, connectionId);
+  
+  await storage.set('keeperConnections', connections.filter(conn => conn.id !== connectionId));
+  await storage.set('keeperConnectionRoutes', remainingRoutes);
+  await deleteConnectionApiKey(connectionId);
+  
+  logger.info('deleteKeeperConnection: Connection deleted', { 
+    connectionId, 
+    removedRoutes: routes.length - remainingRoutes.length 
+  });
+  
+  return successResponse({ removedRoutes: routes.length - remainingRoutes.length }, 'Connection deleted successfully');
+});
 
 /**
- * Validate all parameters for a Keeper command
- * @param {string} action - The command action (record-add, record-update, etc.)
- * @param {Object} parameters - The parameters object
- * @returns {Object} - { valid: boolean, errors?: string[] }
+ * Replace the project / issue type routing rules (called from config page)
  */
-function validateCommandParameters(action, parameters) {
-  const errors = [];
+resolver.define('setKeeperConnectionRoutes', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
   
-  // Skip validation for pre-formatted CLI commands
-  if (parameters.cliCommand) {
-    return { valid: true };
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('setKeeperConnectionRoutes: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change connection routing');
   }
   
-  // Common validations based on action type
-  switch (action) {
-    case 'record-add':
-    case 'record-update': {
-      // Title validation
-      if (action === 'record-add' && !parameters.title) {
-        errors.push('Title is required for record-add');
-      } else if (parameters.title) {
-        const titleValidation = validateField('title', parameters.title, { 
-          limitKey: 'title',
-          required: action === 'record-add'
-        });
-        if (!titleValidation.valid) errors.push(titleValidation.error);
-      }
-      
-      // Record UID validation (for record-update)
-      if (action === 'record-update' && parameters.record) {
-        const recordValidation = validateField('record', parameters.record, { 
-          limitKey: 'recordUid',
-          pattern: 'uid'
-        });
-        if (!recordValidation.valid) errors.push(recordValidation.error);
-      }
-      
-      // Record type validation
-      if (parameters.recordType) {
-        const typeValidation = validateField('recordType', parameters.recordType, { 
-          limitKey: 'recordType',
-          pattern: 'recordType'
-        });
-        if (!typeValidation.valid) errors.push(typeValidation.error);
-      }
-      
-      // Notes validation
-      if (parameters.notes) {
-        const notesValidation = validateField('notes', parameters.notes, { 
-          limitKey: 'notes',
-          allowNewlines: true
-        });
-        if (!notesValidation.valid) errors.push(notesValidation.error);
-      }
-      
-      // Login/username validation
-      if (parameters.login) {
-        const loginValidation = validateField('login', parameters.login, { limitKey: 'login' });
-        if (!loginValidation.valid) errors.push(loginValidation.error);
-      }
-      
-      // Password validation (skip $GEN)
-      if (parameters.password && parameters.password !== '$GEN' && parameters.password !== 'generate') {
-        const passwordValidation = validateField('password', parameters.password, { limitKey: 'password' });
-        if (!passwordValidation.valid) errors.push(passwordValidation.error);
-      }
-      
-      // URL validation
-      if (parameters.url) {
-        const urlValidation = validateField('url', parameters.url, { 
-          limitKey: 'url',
-          pattern: 'url'
-        });
-        if (!urlValidation.valid) errors.push(urlValidation.error);
-      }
-      
-      // Email validation
-      if (parameters.email) {
-        const emailValidation = validateField('email', parameters.email, { 
-          limitKey: 'email',
-          pattern: 'email'
-        });
-        if (!emailValidation.valid) errors.push(emailValidation.error);
-      }
-      
-      // Phone entries validation
-      if (parameters.phoneEntries && Array.isArray(parameters.phoneEntries)) {
-        for (let i = 0; i < parameters.phoneEntries.length; i++) {
-          const phoneValidation = validatePhoneEntry(parameters.phoneEntries[i]);
-          if (!phoneValidation.valid) {
-            errors.push(`Phone entry ${i + 1}: ${phoneValidation.error}`);
-          }
-        }
-      }
-      
-      // Address fields validation
-      const addressFields = ['address_street1', 'address_street2', 'address_city', 'address_state', 'address_zip', 'address_country'];
-      for (const field of addressFields) {
-        if (parameters[field]) {
-          const limitKey = field.includes('street') ? 'street' : 
-                          field.includes('city') ? 'city' :
-                          field.includes('state') ? 'state' :
-                          field.includes('zip') ? 'zip' : 'country';
-          const validation = validateField(field, parameters[field], { limitKey });
-          if (!validation.valid) errors.push(validation.error);
-        }
-      }
-      
-      // Name fields validation
-      const nameFields = ['name_first', 'name_middle', 'name_last'];
-      for (const field of nameFields) {
-        if (parameters[field]) {
-          const limitKey = field.includes('first') ? 'firstName' :
-                          field.includes('middle') ? 'middleName' : 'lastName';
-          const validation = validateField(field, parameters[field], { limitKey });
-          if (!validation.valid) errors.push(validation.error);
-        }
-      }
-      
-      // Host fields validation
-      if (parameters.host_hostName || parameters.hostName) {
-        const hostname = parameters.host_hostName || parameters.hostName;
-        const validation = validateField('hostName', hostname, { 
-          limitKey: 'hostName',
-          pattern: 'hostname'
-        });
-        if (!validation.valid) errors.push(validation.error);
-      }
-      
-      if (parameters.host_port || parameters.port) {
-        const port = parameters.host_port || parameters.port;
-        const validation = validateField('port', port, { 
-          limitKey: 'port',
-          pattern: 'port'
-        });
-        if (!validation.valid) errors.push(validation.error);
-      }
-      
-      // Validate all remaining string parameters against default limits
-      for (const [key, value] of Object.entries(parameters)) {
-        if (typeof value === 'string' && !['cliCommand'].includes(key)) {
-          // Skip already validated fields
-          if (['title', 'notes', 'record', 'recordType', 'login', 'password', 'url', 'email'].includes(key)) {
-            continue;
-          }
-          if (addressFields.includes(key) || nameFields.includes(key)) {
-            continue;
-          }
-          
-          // Validate against default limit
-          const validation = validateField(key, value, { limitKey: 'default' });
-          if (!validation.valid) errors.push(validation.error);
-        }
-      }
-      break;
-    }
-    
-    case 'share-record':
-    case 'share-folder': {
-      // Record/Folder UID validation
-      const uidParam = parameters.record || parameters.folder || parameters.sharedFolder;
-      if (uidParam) {
-        const uidValidation = validateField('uid', uidParam, { 
-          limitKey: action === 'share-record' ? 'recordUid' : 'folderUid',
-          pattern: 'uid'
-        });
-        if (!uidValidation.valid) errors.push(uidValidation.error);
-      }
-      
-      // Email validation (required for share actions)
-      if (parameters.user) {
-        const emailValidation = validateEmails(parameters.user);
-        if (!emailValidation.valid) errors.push(emailValidation.error);
-      } else if (parameters.action !== 'cancel') {
-        errors.push('User email is required for share operations');
-      }
-      
-      // Expiration validation
-      if (parameters.expire_in) {
-        const durationValidation = validateField('expire_in', parameters.expire_in, {
-          pattern: 'duration'
-        });
-        if (!durationValidation.valid) errors.push('Invalid expiration duration format');
-      }
-      
-      if (parameters.expire_at) {
-        // Basic datetime validation
-        const expireAt = parameters.expire_at;
-        if (typeof expireAt === 'string' && expireAt.length > 30) {
-          errors.push('Expiration date exceeds maximum length');
-        }
-      }
-      break;
-    }
-    
-    case 'record-permission': {
-      // Folder UID validation
-      const folderUid = parameters.folder || parameters.sharedFolder;
-      if (folderUid) {
-        const uidValidation = validateField('folder', folderUid, { 
-          limitKey: 'folderUid',
-          pattern: 'uid'
-        });
-        if (!uidValidation.valid) errors.push(uidValidation.error);
-      }
-      
-      // Action validation
-      if (parameters.action && !['grant', 'revoke'].includes(parameters.action)) {
-        errors.push('Invalid action. Must be "grant" or "revoke"');
-      }
-      break;
-    }
-    
-    default: {
-      // For unknown actions, validate all string parameters against default limits
-      for (const [key, value] of Object.entries(parameters)) {
-        if (typeof value === 'string') {
-          const validation = validateField(key, value, { limitKey: 'default' });
-          if (!validation.valid) errors.push(validation.error);
-        }
-      }
-    }
+  const connections = await storage.get('keeperConnections') || [];
+  const validation = validateRoutes(payload?.routes, connections.map(conn => conn.id));
+  
+  if (!validation.valid) {
+    return errorResponse(
+      ERROR_CODES.VALIDATION_INVALID_FORMAT,
+      validation.errors.join('; '),
+      { field: 'routes', details: { errors: validation.errors } }
+    );
   }
   
-  return {
-    valid: errors.length === 0,
-    errors: errors.length > 0 ? errors : undefined
-  };
-}
+  await storage.set('keeperConnectionRoutes', validation.routes);
+  
+  logger.info('setKeeperConnectionRoutes: Routes saved', { routeCount: validation.routes.length });
+  
+  return successResponse({ routes: validation.routes }, 'Connection routing saved successfully');
+});
 
 // ============================================================================
-// Command Building Functions
+// API Key Rotation
 // ============================================================================
 
 /**
- * Build Keeper CLI command from action and parameters
+ * Resolve a saved connection for the rotation resolvers
+ * @param {string} connectionId - Connection id (defaults to the default connection)
+ * @returns {Promise<Object>} - { connection } or { error } response
  */
-// Helper function to capitalize first letter of a field name
-function capitalizeFieldName(fieldName) {
-  if (!fieldName || typeof fieldName !== 'string') return fieldName;
-  return fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
+async function resolveRotationConnection(connectionId) {
+  let connection;
+  try {
+    connection = await resolveKeeperConnection({ connectionId: connectionId || DEFAULT_CONNECTION_ID });
+  } catch (err) {
+    return { error: errorResponse(ERROR_CODES.VALIDATION_INVALID_FORMAT, `Connection "${connectionId}" was not found`, { field: 'id' }) };
+  }
+  if (!connection) {
+    return { error: keeperError('Keeper API is not configured') };
+  }
+  return { connection };
 }
 
 /**
- * Escape a value for use inside single-quoted shell arguments.
- * Single quotes in shell cannot contain escaped single quotes, so we use
- * the technique: replace ' with '\'' (end quote, escaped quote, start quote)
- * 
- * Example: "Test's Record" becomes "Test'\''s Record"
- * Which in shell becomes: 'Test'\''s Record' = Test's Record
- * 
- * @param {string} value - The user input value to escape
- * @returns {string} - The escaped value safe for single-quoted context
- */
-function escapeForSingleQuotes(value) {
-  if (value === null || value === undefined) return '';
-  if (typeof value !== 'string') value = String(value);
-  // Replace single quotes with the escape sequence '\''
-  return value.replace(/'/g, "'\\''");
-}
+ * Key age, grace periods and rotation history (called from global page)
+ * Non-admins only get the warning count, so the banner can stay hidden for them.
+ */
+resolver.define('getKeyRotationStatus', async () => {
+  const status = await getApiKeyRotationStatus();
+  
+  if (!await isGlobalUserAdmin()) {
+    return successResponse({ warnings: [] });
+  }
+  
+  return successResponse({ ...status, defaults: DEFAULT_KEY_ROTATION_CONFIG });
+});
 
 /**
- * Escape a value for use inside double-quoted shell arguments.
- * Characters that need escaping in double quotes: " $ ` \ !
- * 
- * @param {string} value - The user input value to escape
- * @returns {string} - The escaped value safe for double-quoted context
- */
-function escapeForDoubleQuotes(value) {
-  if (value === null || value === undefined) return '';
-  if (typeof value !== 'string') value = String(value);
-  // Escape backslashes first, then other special characters
-  return value
-    .replace(/\\/g, '\\\\')   // Escape backslashes
-    .replace(/"/g, '\\"')     // Escape double quotes
-    .replace(/\$/g, '\\$')    // Escape dollar signs (variable expansion)
-    .replace(/`/g, '\\`')     // Escape backticks (command substitution)
-    .replace(/!/g, '\\!');    // Escape exclamation marks (history expansion)
+ * Test a replacement API key against a saved connection's Commander service (admins only)
+ */
+resolver.define('testRotationApiKey', async (req) => {
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can rotate API keys');
+  }
+  
+  const newApiKey = typeof payload?.apiKey === 'string' ? payload.apiKey.trim() : '';
+  if (!newApiKey) {
+    return validationError('apiKey', 'New API Key is required');
+  }
+  
+  const { connection, error } = await resolveRotationConnection(payload?.id);
+  if (error) {
+    return error;
+  }
+  
+  try {
+    const result = await testKeeperConnection(connection.apiUrl, newApiKey);
+    return successResponse({ capabilities: result.capabilities }, 'The new API key works with this Commander service');
+  } catch (err) {
+    return connectionError(`New API key test failed: ${err.message}`, err);
+  }
+});
+
+/**
+ * Switch a saved connection to a tested replacement API key (admins only)
+ * The key is re-tested here so an untested key is never switched in.
+ */
+resolver.define('rotateApiKey', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('rotateApiKey: Rejected non-admin rotation', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can rotate API keys');
+  }
+  
+  const newApiKey = typeof payload?.apiKey === 'string' ? payload.apiKey.trim() : '';
+  if (!newApiKey) {
+    return validationError('apiKey', 'New API Key is required');
+  }
+  
+  const { connection, error } = await resolveRotationConnection(payload?.id);
+  if (error) {
+    return error;
+  }
+  if (newApiKey === connection.apiKey) {
+    return validationError('apiKey', 'The new API key is the same as the current key', ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+  
+  let capabilities;
+  try {
+    capabilities = (await testKeeperConnection(connection.apiUrl, newApiKey)).capabilities;
+  } catch (err) {
+    return connectionError(`New API key test failed: ${err.message}`, err);
+  }
+  
+  const entry = await rotateConnectionApiKey(connection.id, newApiKey, { rotatedBy: userId, capabilities });
+  if (!entry) {
+    return errorResponse(ERROR_CODES.VALIDATION_INVALID_FORMAT, `Connection "${connection.id}" was not found`, { field: 'id' });
+  }
+  
+  logger.info('rotateApiKey: API key rotated', { accountId: userId, connectionId: connection.id, graceEndsAt: entry.graceEndsAt });
+  
+  return successResponse(
+    { rotation: entry },
+    entry.graceEndsAt
+      ? `API key switched. The previous key stays usable as a fallback until ${entry.graceEndsAt}.`
+      : 'API key switched. The previous key is no longer used.'
+  );
+});
+
+/**
+ * Stop accepting a connection's previous API key before its grace period ends (admins only)
+ */
+resolver.define('endKeyRotationGracePeriod', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can rotate API keys');
+  }
+  
+  const connectionId = payload?.id || DEFAULT_CONNECTION_ID;
+  if (!await endApiKeyGracePeriod(connectionId)) {
+    return errorResponse(ERROR_CODES.VALIDATION_INVALID_FORMAT, `Connection "${connectionId}" was not found`, { field: 'id' });
+  }
+  
+  logger.info('endKeyRotationGracePeriod: Previous key removed', { accountId: userId, connectionId });
+  return successResponse({ id: connectionId }, 'The previous API key is no longer accepted');
+});
+
+/**
+ * Get key rotation settings (called from config page)
+ */
+resolver.define('getKeyRotationConfig', async () => {
+  const config = await getKeyRotationConfig();
+  return successResponse({ config, defaults: DEFAULT_KEY_ROTATION_CONFIG });
+});
+
+/**
+ * Save grace period and maximum key age (called from config page, admins only)
+ */
+resolver.define('setKeyRotationConfig', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('setKeyRotationConfig: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change key rotation settings');
+  }
+  
+  const validation = validateKeyRotationConfig(payload || {});
+  if (!validation.valid) {
+    return validationError(validation.field, validation.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+  
+  await storage.set('keeperKeyRotationConfig', validation.config);
+  logger.info('setKeyRotationConfig: Settings saved', { accountId: userId, config: validation.config });
+  
+  return successResponse({ config: validation.config }, 'Key rotation settings saved successfully');
+});
+
+// ============================================================================
+// Read Command Cache Settings
+// ============================================================================
+
+/**
+ * Get read cache settings (called from config page)
+ */
+resolver.define('getReadCacheConfig', async () => {
+  const config = await getReadCacheConfig();
+  return successResponse({ config });
+});
+
+/**
+ * Save read cache settings (called from config page)
+ */
+resolver.define('setReadCacheConfig', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('setReadCacheConfig: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change cache settings');
+  }
+  
+  const validation = validateCacheConfig(payload || {});
+  if (!validation.valid) {
+    return validationError(validation.field, validation.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+  
+  await storage.set('keeperCacheConfig', validation.config);
+  logger.info('setReadCacheConfig: Cache settings saved', validation.config);
+  
+  return successResponse({ config: validation.config }, 'Cache settings saved successfully');
+});
+
+/**
+ * Invalidate cached reads for every connection (called from config page)
+ */
+resolver.define('clearReadCache', async (req) => {
+  const userId = req?.context?.accountId;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('clearReadCache: Rejected non-admin request', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can clear the read cache');
+  }
+  
+  const connections = await storage.get('keeperConnections') || [];
+  const connectionIds = [DEFAULT_CONNECTION_ID, ...connections.map(conn => conn.id)];
+  
+  for (const connectionId of connectionIds) {
+    await invalidateKeeperCache(connectionId);
+  }
+  
+  return successResponse({ clearedConnections: connectionIds.length }, 'Read cache cleared');
+});
+
+// ============================================================================
+// Command Rate Limit Settings
+// ============================================================================
+
+/**
+ * Get rate limit budgets (called from config page)
+ */
+resolver.define('getRateLimitConfig', async () => {
+  const config = await getRateLimitConfig();
+  return successResponse({ config, defaults: DEFAULT_RATE_LIMIT_CONFIG });
+});
+
+/**
+ * Save rate limit budgets (called from config page, admins only)
+ */
+resolver.define('setRateLimitConfig', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('setRateLimitConfig: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change rate limits');
+  }
+  
+  const validation = validateRateLimitConfig(payload || {});
+  if (!validation.valid) {
+    return validationError(validation.field, validation.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+  
+  await storage.set('keeperRateLimitConfig', validation.config);
+  logger.info('setRateLimitConfig: Rate limits saved', { accountId: userId, config: validation.config });
+  
+  return successResponse({ config: validation.config }, 'Rate limits saved successfully');
+});
+
+/**
+ * List users' current command usage (called from config page, admins only)
+ */
+resolver.define('getRateLimitUsage', async () => {
+  if (!await isGlobalUserAdmin()) {
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can view command usage');
+  }
+  
+  const usage = await listUserRateLimitUsage();
+  const displayNames = await fetchDisplayNames(usage.map(entry => entry.accountId));
+  
+  return successResponse({
+    users: usage.map(entry => ({ ...entry, displayName: displayNames[entry.accountId] || null }))
+  });
+});
+
+/**
+ * Reset a user's command usage (called from config page, admins only)
+ */
+resolver.define('resetRateLimitUsage', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('resetRateLimitUsage: Rejected non-admin reset', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can reset command usage');
+  }
+  
+  if (!payload?.accountId) {
+    return validationError('accountId', 'Account id is required');
+  }
+  
+  await resetUserRateLimit(payload.accountId);
+  logger.info('resetRateLimitUsage: Usage reset', { accountId: userId, resetAccountId: payload.accountId });
+  
+  return successResponse({ accountId: payload.accountId }, 'Command usage reset');
+});
+
+/**
+ * Look up display names for a set of account ids
+ * @param {Array<string>} accountIds - Jira account ids
+ * @returns {Promise<Object>} - accountId -> displayName (missing on failure)
+ */
+async function fetchDisplayNames(accountIds) {
+  const names = {};
+  if (accountIds.length === 0) {
+    return names;
+  }
+  
+  try {
+    // Forge's route tag expands URLSearchParams into repeated accountId parameters
+    const query = new URLSearchParams(accountIds.map(id => ['accountId', id]));
+    const response = await requestJiraAsAppWithRetry(
+      route`/rest/api/3/user/bulk?${query}`,
+      {
+        method: 'GET',
+        headers: { 'Accept': 'application/json' }
+      },
+      'Get users in bulk'
+    );
+    if (response.ok) {
+      const data = await response.json();
+      for (const user of data.values || []) {
+        names[user.accountId] = user.displayName;
+      }
+    }
+  } catch (error) {
+    logger.warn('Failed to look up display names', { error: error.message });
+  }
+  return names;
+}
+
+/**
+ * Issue panel resolver - provides context and handles requests from issue panel
+ */
+resolver.define('getIssueContext', async (req) => {
+  const { context } = req;
+  
+  const issueKey = context?.extension?.issue?.key;
+  const projectKey = context?.extension?.project?.key;
+  const currentUserAccountId = context?.accountId;
+  
+  // Resolve the connection routed to this project / issue type
+  let connection = null;
+  try {
+    connection = await resolveKeeperConnection(await getRouteContext(req));
+  } catch (error) {
+    logger.warn('getIssueContext: Routed connection unavailable', { projectKey, error: error.message });
+  }
+  
+  // Fetch issue labels to determine if this is a webhook-created ticket
+  let labels = [];
+  if (issueKey) {
+    try {
+      const issueResponse = await requestJiraAsAppWithRetry(
+        route`/rest/api/3/issue/${issueKey}?fields=labels`,
+        {
+          method: 'GET',
+          headers: { 'Accept': 'application/json' }
+        },
+        'Get issue labels'
+      );
+      
+      if (issueResponse.ok) {
+        const issueData = await issueResponse.json();
+        labels = issueData.fields?.labels || [];
+      }
+    } catch (error) {
+      logger.error('Failed to fetch issue labels', error);
+      // Continue without labels if fetch fails
+    }
+  }
+  
+  // Fetch current user's email using helper function
+  const currentUser = await getCurrentUser();
+  const currentUserEmail = currentUser?.emailAddress || null;
+  
+  // Return simplified context - works with any project
+  return {
+    issueKey,
+    projectKey,
+    hasConfig: !!connection,
+    connectionName: connection?.name || null,
+    labels: labels,
+    currentUserAccountId,
+    currentUserEmail
+  };
+});
+
+/**
+ * Action definitions the issue panel renders its forms from (see commandRegistry.js)
+ */
+resolver.define('getKeeperCommandRegistry', async (req) => {
+  let actions = getIssuePanelActions();
+  
+  // Hide actions the routed Commander service was not started with
+  try {
+    const connection = await resolveKeeperConnection(await getRouteContext(req));
+    actions = actions.filter(action => checkCommandCapability(connection?.capabilities, action.value).supported);
+  } catch (error) {
+    logger.warn('getKeeperCommandRegistry: Could not resolve connection capabilities', { error: error.message });
+  }
+  
+  return successResponse({ actions });
+});
+
+/**
+ * Issue attachments that can be uploaded to a created or updated record (called from issue panel)
+ */
+resolver.define('getIssueAttachments', async (req) => {
+  let payload = req?.payload?.payload || req?.payload || req;
+  const issueKey = payload?.issueKey;
+  
+  if (!issueKey) {
+    return validationError('issueKey', 'Issue key is required');
+  }
+  
+  try {
+    const attachments = await fetchIssueAttachments(issueKey, true);
+    return successResponse({
+      attachments: attachments.map(attachment => ({
+        id: String(attachment.id),
+        filename: attachment.filename,
+        size: attachment.size,
+        mimeType: attachment.mimeType,
+        created: attachment.created,
+        author: attachment.author?.displayName || null,
+        tooLarge: attachment.size > ATTACHMENT_LIMITS.maxBytes
+      })),
+      limits: ATTACHMENT_LIMITS
+    });
+  } catch (err) {
+    logger.error('getIssueAttachments: Failed to load attachments', { issueKey, error: err.message });
+    return errorResponse(ERROR_CODES.JIRA_API_ERROR, err.message);
+  }
+});
+
+/**
+ * Image of an issue attachment holding a TOTP QR code (called from issue panel)
+ * The QR code is decoded in the browser; the attachment list is loaded as the user
+ * so only images they can already see are handed out.
+ */
+resolver.define('getQrCodeImage', async (req) => {
+  let payload = req?.payload?.payload || req?.payload || req;
+  const { issueKey, attachmentId } = payload || {};
+  
+  if (!issueKey) {
+    return validationError('issueKey', 'Issue key is required');
+  }
+  if (!attachmentId) {
+    return validationError('attachmentId', 'Attachment is required');
+  }
+  
+  try {
+    const selection = selectQrImageAttachment(attachmentId, await fetchIssueAttachments(issueKey, true));
+    if (!selection.valid) {
+      return validationError('attachmentId', selection.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+    }
+    
+    const { attachment } = selection;
+    const content = await downloadJiraAttachment({ id: attachment.id, filename: attachment.filename });
+    return successResponse({
+      filename: attachment.filename,
+      mimeType: attachment.mimeType,
+      content
+    });
+  } catch (err) {
+    logger.error('getQrCodeImage: Failed to load QR code image', { issueKey, attachmentId, error: err.message });
+    return errorResponse(ERROR_CODES.JIRA_API_ERROR, err.message);
+  }
+});
+
+/**
+ * Get records list from Keeper API (called from issue panel)
+ */
+resolver.define('getKeeperRecords', async (req) => {
+  const userId = req?.context?.accountId;
+  
+  try {
+    const routeContext = await getRouteContext(req);
+    const result = await executeKeeperApiCommand('list --format=json', { userId, routeContext });
+    const apiData = result.data;
+
+    // Parse the JSON data from the response
+    let records = [];
+    if (apiData.data && Array.isArray(apiData.data)) {
+      records = apiData.data;
+    } else if (apiData.message && typeof apiData.message === 'string') {
+      try {
+        records = JSON.parse(apiData.message);
+      } catch (parseError) {
+        return keeperError('Failed to parse records data from Keeper API');
+      }
+    } else if (apiData.data && typeof apiData.data === 'string') {
+      try {
+        records = JSON.parse(apiData.data);
+      } catch (parseError) {
+        return keeperError('Failed to parse records data from Keeper API');
+      }
+    }
+
+    return successResponse({ records: records || [] });
+  } catch (err) {
+    // Check for rate limit error
+    if (err.rateLimited) {
+      return rateLimitError(err.limitType || 'user', err.retryAfter || 60);
+    }
+    return keeperError(err.message || 'Failed to fetch records', err);
+  }
+});
+
+/**
+ * Get folders list from Keeper API (called from issue panel)
+ */
+resolver.define('getKeeperFolders', async (req) => {
+  const userId = req?.context?.accountId;
+  
+  try {
+    const routeContext = await getRouteContext(req);
+    const result = await executeKeeperApiCommand('ls -f --format=json', { userId, routeContext });
+    const apiData = result.data;
+
+    let folders = [];
+    try {
+      folders = parseFolderListing(apiData);
+    } catch (parseError) {
+      return keeperError('Failed to parse folders data from Keeper API');
+    }
+
+    return successResponse({ folders });
+  } catch (err) {
+    // Check for rate limit error
+    if (err.rateLimited) {
+      return rateLimitError(err.limitType || 'user', err.retryAfter || 60);
+    }
+    return keeperError(err.message || 'Failed to fetch folders', err);
+  }
+});
+
+/**
+ * Get enterprise teams from Keeper API (called from issue panel for the team picker)
+ */
+resolver.define('getKeeperTeams', async (req) => {
+  const userId = req?.context?.accountId;
+  
+  try {
+    const routeContext = await getRouteContext(req);
+    const result = await executeKeeperApiCommand('enterprise-info --teams --format=json', { userId, routeContext });
+    return successResponse({ teams: parseTeamListing(result.data) });
+  } catch (err) {
+    // Check for rate limit error
+    if (err.rateLimited) {
+      return rateLimitError(err.limitType || 'user', err.retryAfter || 60);
+    }
+    return keeperError(err.message || 'Failed to fetch teams', err);
+  }
+});
+
+/**
+ * Get detailed record information from Keeper API (called from issue panel for record-update)
+ */
+resolver.define('getKeeperRecordDetails', async (req) => {
+  const userId = req?.context?.accountId;
+  const { recordUid } = req.payload || {};
+  
+  if (!recordUid) {
+    return validationError('recordUid', 'Record UID is required to fetch record details');
+  }
+
+  try {
+    const routeContext = await getRouteContext(req);
+    const result = await executeKeeperApiCommand(`get "${recordUid}" --format=json`, { userId, routeContext });
+    const apiData = result.data;
+
+    // Parse the JSON data from the response
+    let recordDetails = {};
+    if (apiData.data) {
+      try {
+        // Parse the JSON response from get command
+        if (typeof apiData.data === 'string') {
+          recordDetails = JSON.parse(apiData.data);
+        } else if (typeof apiData.data === 'object') {
+          recordDetails = apiData.data;
+        }
+      } catch (parseError) {
+        return keeperError('Failed to parse record details data from Keeper API');
+      }
+    }
+
+    return successResponse({ recordDetails: recordDetails || {} });
+  } catch (err) {
+    // Check for rate limit error
+    if (err.rateLimited) {
+      return rateLimitError(err.limitType || 'user', err.retryAfter || 60);
+    }
+    return keeperError(err.message || 'Failed to fetch record details', err);
+  }
+});
+
+/**
+ * Validate a record UID that goes into a record-history lookup command
+ * @param {string} recordUid - Record UID from the issue panel
+ * @returns {Object|null} - Validation error response, or null when the UID is usable
+ */
+function checkHistoryRecordUid(recordUid) {
+  if (!recordUid) {
+    return validationError('recordUid', 'Record UID is required to fetch record history');
+  }
+  const validation = validateField('recordUid', recordUid, { pattern: 'uid' });
+  return validation.valid ? null : validationError('recordUid', validation.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+}
+
+/**
+ * List a record's revisions (called from issue panel Record History view)
+ */
+resolver.define('getKeeperRecordHistory', async (req) => {
+  const userId = req?.context?.accountId;
+  const { recordUid } = req.payload || {};
+  
+  const uidError = checkHistoryRecordUid(recordUid);
+  if (uidError) {
+    return uidError;
+  }
+
+  try {
+    const routeContext = await getRouteContext(req);
+    const result = await executeKeeperApiCommand(`record-history --action list "${recordUid}"`, { userId, routeContext });
+    return successResponse({ revisions: parseRevisionList(result.data) });
+  } catch (err) {
+    if (err.rateLimited) {
+      return rateLimitError(err.limitType || 'user', err.retryAfter || 60);
+    }
+    return keeperError(err.message || 'Failed to fetch record history', err);
+  }
+});
+
+/**
+ * Compare two revisions of a record with secret values masked (called from issue panel Record History view)
+ */
+resolver.define('getKeeperRecordRevisionDiff', async (req) => {
+  const userId = req?.context?.accountId;
+  const { recordUid, fromRevision, toRevision } = req.payload || {};
+  
+  const uidError = checkHistoryRecordUid(recordUid);
+  if (uidError) {
+    return uidError;
+  }
+  const from = normalizeRevision(fromRevision);
+  const to = normalizeRevision(toRevision);
+  if (from === null || to === null) {
+    return validationError('revision', 'Select two revisions to compare', ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+
+  try {
+    const routeContext = await getRouteContext(req);
+    const viewRevision = async (revision) => {
+      const result = await executeKeeperApiCommand(`record-history --action view --revision ${revision} "${recordUid}"`, { userId, routeContext });
+      return parseRevisionFields(result.data);
+    };
+    const fromFields = await viewRevision(from);
+    const toFields = await viewRevision(to);
+    return successResponse({ fromRevision: from, toRevision: to, changes: diffRevisions(fromFields, toFields) });
+  } catch (err) {
+    if (err.rateLimited) {
+      return rateLimitError(err.limitType || 'user', err.retryAfter || 60);
+    }
+    return keeperError(err.message || 'Failed to compare record revisions', err);
+  }
+});
+
+/**
+ * Current access to a record or shared folder, checked against the pending share request
+ * (called from issue panel next to share-record / share-folder requests)
+ */
+resolver.define('getKeeperShareAccess', async (req) => {
+  const userId = req?.context?.accountId;
+  const { recordUid, folderUid, request } = req.payload || {};
+  const targetUid = recordUid || folderUid;
+  const targetKey = recordUid ? 'recordUid' : 'folderUid';
+
+  if (!targetUid) {
+    return validationError('recordUid', 'A record or shared folder is required to fetch current access');
+  }
+  const validation = validateField(targetKey, targetUid, { pattern: 'uid' });
+  if (!validation.valid) {
+    return validationError(targetKey, validation.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+
+  try {
+    const routeContext = await getRouteContext(req);
+    const details = await executeKeeperApiCommand(`get "${targetUid}" --format=json`, { userId, routeContext });
+
+    let entries;
+    if (recordUid) {
+      // share-report adds users the record reaches through shared folders; older Commanders may not have it
+      let reportEntries = [];
+      try {
+        const report = await executeKeeperApiCommand(`share-report --record "${recordUid}" --format=json`, { userId, routeContext });
+        reportEntries = parseShareReport(report.data);
+      } catch (reportError) {
+        if (reportError.rateLimited) {
+          throw reportError;
+        }
+        logger.warn('getKeeperShareAccess: share-report unavailable, using record permissions only', { error: reportError.message });
+      }
+      entries = mergeAccessEntries(parseRecordPermissions(details.data), reportEntries);
+    } else {
+      entries = mergeAccessEntries(parseSharedFolderPermissions(details.data));
+    }
+
+    return successResponse({
+      entries,
+      conflicts: request ? findRequestConflicts(entries, request) : []
+    });
+  } catch (err) {
+    if (err.rateLimited) {
+      return rateLimitError(err.limitType || 'user', err.retryAfter || 60);
+    }
+    return keeperError(err.message || 'Failed to fetch current access', err);
+  }
+});
+
+// ============================================================================
+// Password Policy & Generation
+// ============================================================================
+
+/**
+ * Get the org password policy, or the defaults when no admin has set one
+ * @returns {Promise<Object>}
+ */
+async function loadPasswordPolicy() {
+  const stored = await storage.get('keeperPasswordPolicy');
+  return stored ? { ...DEFAULT_PASSWORD_POLICY, ...stored } : DEFAULT_PASSWORD_POLICY;
+}
+
+/**
+ * Generate a password with Commander that meets the request's options and the org policy
+ * The password stays on the backend - callers either put it into the command or mask it.
+ * @param {Object} options - Result of validateGenerationOptions
+ * @param {Object} policy - Org password policy
+ * @param {Object} commandOptions - { userId, routeContext } for executeKeeperApiCommand
+ * @returns {Promise<Object>} - { password, strength }
+ * @throws {Error} - When Commander fails or no candidate qualifies
+ */
+async function generatePassword(options, policy, commandOptions) {
+  const result = await executeKeeperApiCommand(buildGenerateCommand(options), commandOptions);
+  const candidate = pickGeneratedPassword(parseGeneratedPasswords(result.data), options, policy);
+  if (!candidate) {
+    throw new Error('Commander could not generate a password with these settings - allow more characters or fewer exclusions');
+  }
+  return candidate;
+}
+
+/**
+ * Get the org password policy (called from issue panel and config page)
+ */
+resolver.define('getPasswordPolicy', async () => {
+  const policy = await loadPasswordPolicy();
+  return successResponse({ policy, defaults: DEFAULT_PASSWORD_POLICY, generationLimits: GENERATION_LIMITS });
+});
+
+/**
+ * Save the org password policy (called from config page, admins only)
+ */
+resolver.define('setPasswordPolicy', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('setPasswordPolicy: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change the password policy');
+  }
+  
+  const validation = validatePasswordPolicy(payload || {});
+  if (!validation.valid) {
+    return validationError(validation.field, validation.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+  
+  await storage.set('keeperPasswordPolicy', validation.policy);
+  logger.info('setPasswordPolicy: Password policy saved', { accountId: userId, policy: validation.policy });
+  
+  return successResponse({ policy: validation.policy }, 'Password policy saved successfully');
+});
+
+/**
+ * Generate a sample password for the issue panel's password editor
+ * Only a masked preview and a strength estimate leave the backend; the record
+ * gets its own password when the request is executed.
+ */
+resolver.define('previewGeneratedPassword', async (req) => {
+  const userId = req?.context?.accountId;
+  const { options } = req.payload || {};
+  
+  const policy = await loadPasswordPolicy();
+  const validation = validateGenerationOptions(options || {}, policy);
+  if (!validation.valid) {
+    return validationError(validation.field, validation.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+
+  try {
+    const routeContext = await getRouteContext(req);
+    const candidate = await generatePassword(validation.options, policy, { userId, routeContext });
+    return successResponse({
+      preview: maskPassword(candidate.password),
+      composition: describeComposition(candidate.password),
+      strength: {
+        ...estimateStrength(candidate.password, validation.options.passphrase),
+        commanderScore: candidate.strength
+      }
+    });
+  } catch (err) {
+    if (err.rateLimited) {
+      return rateLimitError(err.limitType || 'user', err.retryAfter || 60);
+    }
+    return keeperError(err.message || 'Failed to generate a password', err);
+  }
+});
+
+// ============================================================================
+// Approval Chains
+// ============================================================================
+
+/**
+ * Chain for an action on an issue, or null when one approving admin is enough
+ * @param {string} issueKey - Jira issue key
+ * @param {string} action - Issue panel action (registry value)
+ * @returns {Promise<Object|null>}
+ */
+async function loadApprovalChain(issueKey, action) {
+  const chains = await storage.get('keeperApprovalChains') || [];
+  return findApprovalChain(chains, { projectKey: issueKey.split('-')[0], action });
+}
+
+/**
+ * The calling user's Jira groups and project admin permission, for stage eligibility
+ * @param {string} projectKey - Project of the issue
+ * @returns {Promise<Object>} - { accountId, displayName, groups, isProjectAdmin }
+ */
+async function getApproverIdentity(projectKey) {
+  const [userResponse, permResponse] = await Promise.all([
+    requestJiraAsUserWithRetry(route`/rest/api/3/myself?expand=groups`, {}, 'Get approver groups'),
+    requestJiraAsUserWithRetry(
+      route`/rest/api/3/mypermissions?projectKey=${projectKey}&permissions=ADMINISTER_PROJECTS`,
+      {},
+      'Check approver permissions'
+    )
+  ]);
+  
+  if (!userResponse.ok) {
+    throw new Error(`Failed to load the current user (${userResponse.status})`);
+  }
+  
+  const user = await userResponse.json();
+  const permissions = permResponse.ok ? await permResponse.json() : null;
+  return {
+    accountId: user.accountId,
+    displayName: user.displayName || user.emailAddress || 'User',
+    groups: (user.groups?.items || []).map(group => group.name),
+    isProjectAdmin: permissions?.permissions?.ADMINISTER_PROJECTS?.havePermission === true
+  };
+}
+
+/**
+ * Get approval chains and the actions they can name (called from config page)
+ */
+resolver.define('getApprovalChains', async () => {
+  const chains = await storage.get('keeperApprovalChains') || [];
+  return successResponse({
+    chains,
+    actions: getIssuePanelActions().map(action => ({ value: action.value, label: action.label })),
+    limits: APPROVAL_LIMITS
+  });
+});
+
+/**
+ * Save approval chains (called from config page, admins only)
+ */
+resolver.define('setApprovalChains', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('setApprovalChains: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change approval chains');
+  }
+  
+  const actionNames = getIssuePanelActions().map(action => action.value);
+  const validation = validateApprovalChains(payload?.chains, actionNames);
+  if (!validation.valid) {
+    return errorResponse(
+      ERROR_CODES.VALIDATION_INVALID_FORMAT,
+      validation.errors.join('; '),
+      { field: 'chains', details: { errors: validation.errors } }
+    );
+  }
+  
+  await storage.set('keeperApprovalChains', validation.chains);
+  logger.info('setApprovalChains: Approval chains saved', { accountId: userId, chainCount: validation.chains.length });
+  
+  return successResponse({ chains: validation.chains }, 'Approval chains saved successfully');
+});
+
+/**
+ * Approval progress of the stored request on an issue (called from issue panel)
+ */
+resolver.define('getApprovalStatus', async (req) => {
+  const { issueKey } = req.payload || {};
+  
+  if (!issueKey) {
+    return validationError('issueKey', 'Issue key is required');
+  }
+  
+  const storedRequest = await storage.get(`keeper_request_${issueKey}`);
+  const chain = storedRequest ? await loadApprovalChain(issueKey, storedRequest.selectedAction?.value) : null;
+  if (!chain) {
+    return successResponse({ chain: null });
+  }
+  
+  try {
+    const approver = await getApproverIdentity(issueKey.split('-')[0]);
+    const eligibility = checkApprover(chain, storedRequest.approvals, approver);
+    const separation = eligibility.allowed ? await checkRequestSeparation(issueKey, storedRequest, approver.accountId) : null;
+    const canApprove = eligibility.allowed && separation.allowed;
+    return successResponse({
+      chain: { projectKey: chain.projectKey, action: chain.action },
+      progress: summarizeApprovals(chain, storedRequest.approvals),
+      canApprove,
+      reason: canApprove ? null : (separation?.error || eligibility.error),
+      breakGlassAllowed: separation?.breakGlassAllowed === true
+    });
+  } catch (err) {
+    logger.error('getApprovalStatus: Failed to check approver', { issueKey, error: err.message });
+    return errorResponse(ERROR_CODES.JIRA_API_ERROR, err.message);
+  }
+});
+
+/**
+ * Approve the current stage of the stored request on an issue (called from issue panel)
+ * Each approval is recorded on the stored request and gets its own comment.
+ */
+resolver.define('approveKeeperRequest', async (req) => {
+  const { issueKey, formattedTimestamp, breakGlassJustification } = req.payload || {};
+  
+  if (!issueKey) {
+    return validationError('issueKey', 'Issue key is required');
+  }
+  
+  const storedRequest = await storage.get(`keeper_request_${issueKey}`);
+  if (!storedRequest) {
+    return errorResponse(ERROR_CODES.STORAGE_NOT_FOUND, 'There is no pending request on this issue');
+  }
+  
+  const chain = await loadApprovalChain(issueKey, storedRequest.selectedAction?.value);
+  if (!chain) {
+    return errorResponse(ERROR_CODES.APPROVAL_NOT_ALLOWED, 'This request has no approval chain - an admin can run it directly');
+  }
+  
+  let approver;
+  try {
+    approver = await getApproverIdentity(issueKey.split('-')[0]);
+  } catch (err) {
+    return errorResponse(ERROR_CODES.JIRA_API_ERROR, err.message);
+  }
+  
+  const eligibility = checkApprover(chain, storedRequest.approvals, approver);
+  if (!eligibility.allowed) {
+    logger.warn('approveKeeperRequest: Approval refused', { issueKey, accountId: approver.accountId, reason: eligibility.error });
+    return errorResponse(ERROR_CODES.APPROVAL_NOT_ALLOWED, eligibility.error);
+  }
+  
+  const separation = await checkRequestSeparation(issueKey, storedRequest, approver.accountId, breakGlassJustification);
+  if (!separation.allowed) {
+    logger.warn('approveKeeperRequest: Requester tried to approve their own request', { issueKey, accountId: approver.accountId });
+    return errorResponse(ERROR_CODES.SEPARATION_OF_DUTIES, separation.error, { details: { breakGlassAllowed: separation.breakGlassAllowed } });
+  }
+  
+  const approvals = addApproval(storedRequest.approvals, {
+    stage: eligibility.stage,
+    accountId: approver.accountId,
+    displayName: approver.displayName
+  });
+  await storage.set(`keeper_request_${issueKey}`, { ...storedRequest, approvals });
+  
+  const progress = summarizeApprovals(chain, approvals);
+  const stage = progress.stages[eligibility.stage];
+  const nextStage = progress.satisfied ? null : progress.stages[progress.currentStage];
+  const outcome = progress.satisfied
+    ? 'Every approval stage is complete - an admin can now run the request.'
+    : nextStage === stage
+      ? `${stage.approvals.length} of ${stage.required} approvals for this stage.`
+      : `Next: ${nextStage.name} (${nextStage.description}).`;
+  
+  const adfBody = {
+    version: 1,
+    type: 'doc',
+    content: [
+      {
+        type: 'panel',
+        attrs: {
+          panelType: progress.satisfied ? 'success' : 'info'
+        },
+        content: [
+          {
+            type: 'paragraph',
+            content: [
+              {
+                type: 'text',
+                text: `Keeper Request Approved - ${stage.name} (stage ${eligibility.stage + 1} of ${progress.stages.length})`,
+                marks: [{ type: 'strong' }]
+              },
+              {
+                type: 'hardBreak'
+              },
+              {
+                type: 'text',
+                text: `Action: ${storedRequest.selectedAction?.label || 'Keeper Action'}`
+              },
+              {
+                type: 'hardBreak'
+              },
+              {
+                type: 'text',
+                text: outcome
+              },
+              {
+                type: 'hardBreak'
+              },
+              {
+                type: 'text',
+                text: `Approved by: ${approver.displayName}`,
+                marks: [{ type: 'em' }]
+              },
+              {
+                type: 'hardBreak'
+              },
+              {
+                type: 'text',
+                text: `Approved at: ${formattedTimestamp || new Date().toISOString()}`,
+                marks: [{ type: 'em' }]
+              }
+            ]
+          }
+        ]
+      }
+    ]
+  };
+  
+  try {
+    await requestJiraAsAppWithRetry(
+      route`/rest/api/3/issue/${issueKey}/comment`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          body: adfBody,
+        }),
+      },
+      'Add approval comment'
+    );
+  } catch (commentErr) {
+    // The approval is recorded either way
+    logger.error('approveKeeperRequest: Failed to add approval comment', { issueKey, error: commentErr.message });
+  }
+  
+  if (separation.breakGlass) {
+    await recordBreakGlass(issueKey, {
+      action: storedRequest.selectedAction?.label || 'Keeper Action',
+      stage: stage.name,
+      accountId: approver.accountId,
+      displayName: approver.displayName,
+      justification: separation.justification,
+      formattedTimestamp
+    });
+  }
+  
+  logger.info('approveKeeperRequest: Approval recorded', { issueKey, stage: eligibility.stage, satisfied: progress.satisfied });
+  
+  return successResponse({ progress }, 'Approval recorded');
+});
+
+// ============================================================================
+// Approval Policy
+// ============================================================================
+
+/**
+ * Look up the target folder of a request in the vault, for folder conditions
+ * @param {Object} request - Result of describeStoredRequest
+ * @param {Object} lookupOptions - executeKeeperCommand options (userId, routeContext)
+ * @returns {Promise<Object|null>} - { uid, name } once Commander confirms it, otherwise null
+ */
+async function lookUpPolicyFolder(request, lookupOptions) {
+  try {
+    const folderResult = await executeKeeperApiCommand('ls -f --format=json', lookupOptions);
+    const folders = parseFolderListing(folderResult.data);
+    const folder = resolvePolicyFolder(request, folders);
+    if (!folder || request.action !== 'share-record' || !request.parameters.record) {
+      return folder;
+    }
+    // Only list a folder Commander has just named
+    const contentsResult = await executeKeeperApiCommand(`ls "${folder.uid}" --format=json`, lookupOptions);
+    return resolvePolicyFolder(request, folders, parseFolderContents(contentsResult.data));
+  } catch (err) {
+    // Folder conditions then simply do not match
+    logger.warn('evaluateRequestPolicy: Failed to look up the target folder', { folder: request.folder?.uid, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Decide what happens to a request being saved
+ * @param {string} issueKey - Jira issue key
+ * @param {Object} requestData - Request as saved by the issue panel
+ * @param {Object} lookupOptions - executeKeeperCommand options used to confirm the target folder
+ * @returns {Promise<Object>} - { outcome, rule, request } - request is the action, parameters and target folder
+ */
+async function evaluateRequestPolicy(issueKey, requestData, lookupOptions) {
+  const rules = await storage.get('keeperApprovalPolicy') || [];
+  const request = describeStoredRequest(requestData);
+  if (rules.length === 0) {
+    return { outcome: POLICY_OUTCOME.REQUIRE_APPROVAL, rule: null, request };
+  }
+  
+  const projectKey = issueKey.split('-')[0];
+  let requesterGroups = [];
+  if (rules.some(rule => rule.match.requesterGroups.length > 0)) {
+    try {
+      requesterGroups = (await getApproverIdentity(projectKey)).groups;
+    } catch (err) {
+      // Group conditions then simply do not match
+      logger.warn('evaluateRequestPolicy: Failed to load requester groups', { issueKey, error: err.message });
+    }
+  }
+  
+  const folder = request.folder?.uid && rules.some(rule => rule.match.folders.length > 0)
+    ? await lookUpPolicyFolder(request, lookupOptions)
+    : null;
+  
+  const decision = evaluateApprovalPolicy(rules, {
+    projectKey,
+    action: request.action,
+    parameters: request.parameters,
+    folder,
+    requesterGroups
+  });
+  
+  // A folder rule only auto-approves a request that runs against the folder Commander confirmed
+  if (decision.outcome === POLICY_OUTCOME.AUTO_APPROVE && decision.rule.match.folders.length > 0 && !targetsConfirmedFolder(request, folder)) {
+    logger.warn('evaluateRequestPolicy: Auto-approval refused - target is not the confirmed folder', { issueKey, rule: decision.rule.name });
+    return { outcome: POLICY_OUTCOME.REQUIRE_APPROVAL, rule: null, request };
+  }
+  return { ...decision, request };
+}
+
+/**
+ * Comment a short panel on an issue (approval policy decisions, workflow runs, break-glass overrides)
+ * @param {string} issueKey - Jira issue key
+ * @param {Object} comment - { panelType, heading, lines: Array<string>, footer: Array<string> }
+ */
+async function addPanelComment(issueKey, { panelType, heading, lines, footer }) {
+  const textLines = [
+    ...lines.map(text => ({ type: 'text', text })),
+    ...footer.map(text => ({ type: 'text', text, marks: [{ type: 'em' }] }))
+  ];
+  const adfBody = {
+    version: 1,
+    type: 'doc',
+    content: [
+      {
+        type: 'panel',
+        attrs: {
+          panelType
+        },
+        content: [
+          {
+            type: 'paragraph',
+            content: [
+              {
+                type: 'text',
+                text: heading,
+                marks: [{ type: 'strong' }]
+              },
+              ...textLines.flatMap(line => [{ type: 'hardBreak' }, line])
+            ]
+          }
+        ]
+      }
+    ]
+  };
+  
+  try {
+    await requestJiraAsAppWithRetry(
+      route`/rest/api/3/issue/${issueKey}/comment`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          body: adfBody,
+        }),
+      },
+      'Add panel comment'
+    );
+  } catch (commentErr) {
+    logger.error('addPanelComment: Failed to add comment', { issueKey, error: commentErr.message });
+  }
+}
+
+/**
+ * Get approval policy rules and what they can match on (called from config page)
+ */
+resolver.define('getApprovalPolicy', async () => {
+  const rules = await storage.get('keeperApprovalPolicy') || [];
+  return successResponse({
+    rules,
+    actions: getIssuePanelActions().map(action => ({ value: action.value, label: action.label })),
+    autoApproveActions: AUTO_APPROVE_ACTIONS,
+    permissionFlags: PERMISSION_FLAGS,
+    limits: POLICY_LIMITS
+  });
+});
+
+/**
+ * Save approval policy rules (called from config page, admins only)
+ */
+resolver.define('setApprovalPolicy', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('setApprovalPolicy: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change the approval policy');
+  }
+  
+  const actionNames = getIssuePanelActions().map(action => action.value);
+  const validation = validateApprovalPolicy(payload?.rules, actionNames);
+  if (!validation.valid) {
+    return errorResponse(
+      ERROR_CODES.VALIDATION_INVALID_FORMAT,
+      validation.errors.join('; '),
+      { field: 'rules', details: { errors: validation.errors } }
+    );
+  }
+  
+  await storage.set('keeperApprovalPolicy', validation.rules);
+  logger.info('setApprovalPolicy: Approval policy saved', { accountId: userId, ruleCount: validation.rules.length });
+  
+  return successResponse({ rules: validation.rules }, 'Approval policy saved successfully');
+});
+
+// ============================================================================
+// Workflow Transitions
+// ============================================================================
+
+// A quick Commander failure should still undo the transition; slower jobs are finished by the
+// issue panel or the workflow validator
+const WORKFLOW_POLL_ATTEMPTS = 5;
+const WORKFLOW_POLL_INTERVAL_MS = 2000;
+
+/**
+ * Check whether an account is a Jira administrator without a user session (workflow transitions)
+ * @param {string} accountId - Account that made the transition
+ * @param {string} issueId - Issue the transition moved, for its project's administrators
+ * @returns {Promise<boolean>} - False when the account is unknown or the check fails
+ */
+async function isAccountAdmin(accountId, issueId) {
+  if (!accountId) {
+    return false;
+  }
+  try {
+    const response = await requestJiraAsAppWithRetry(
+      route`/rest/api/3/permissions/check`,
+      {
+        method: 'POST',
+        headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          accountId,
+          globalPermissions: ['ADMINISTER'],
+          projectPermissions: issueId ? [{ permissions: ['ADMINISTER_PROJECTS'], issues: [Number(issueId)] }] : []
+        })
+      },
+      'Check transition account permissions'
+    );
+    return response.ok ? hasAdminPermission(await response.json()) : false;
+  } catch (err) {
+    logger.warn('isAccountAdmin: Failed to check permissions', { accountId, error: err.message });
+    return false;
+  }
+}
+
+/**
+ * Run the stored request of an issue that moved into a configured status
+ * @param {string} issueKey - Jira issue key
+ * @param {Object} storedRequest - Stored request
+ * @param {Object} transition - Post-function transition ({ from: { id }, to: { id } })
+ * @param {Object} config - Workflow settings
+ * @param {Object} transitionedBy - { accountId, issueId } - who made the transition, checked like the approve button's user
+ */
+async function runStoredRequestFromTransition(issueKey, storedRequest, transition, config, transitionedBy = {}) {
+  const actionLabel = storedRequest.selectedAction?.label || 'Keeper Action';
+  const status = config.executeOnStatuses.find(entry => entry.id === String(transition.to.id));
+  
+  let failure = getWorkflowBlocker(storedRequest);
+  // describeStoredRequest keeps only declared fields - they must also pass the action's validation before anything runs
+  const request = failure ? null : describeStoredRequest(storedRequest);
+  const validation = request ? validateCommandParameters(request.action, request.parameters) : null;
+  if (validation && !validation.valid) {
+    failure = `Input validation failed: ${validation.errors.join('; ')}`;
+  }
+  if (!failure) {
+    const commandDefinition = getCommandDefinition(request.action);
+    const needsAdmin = commandDefinition?.requiresAdmin || commandDefinition?.adminApproval;
+    const submission = await runKeeperAction({
+      context: {},
+      payload: {
+        issueKey,
+        command: request.action,
+        commandDescription: storedRequest.selectedAction?.description || actionLabel,
+        parameters: request.parameters,
+        formattedTimestamp: new Date().toISOString()
+      }
+    }, {
+      approvedBy: {
+        accountId: transitionedBy.accountId || null,
+        displayName: `Workflow transition to ${status?.name || 'an approval status'}`,
+        isAdmin: needsAdmin ? await isAccountAdmin(transitionedBy.accountId, transitionedBy.issueId) : false
+      }
+    }).catch(err => ({ success: false, message: err.message }));
+    
+    let outcome = submission;
+    for (let attempt = 0; outcome.success && outcome.pending && attempt < WORKFLOW_POLL_ATTEMPTS; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, WORKFLOW_POLL_INTERVAL_MS));
+      outcome = await advanceKeeperJob(submission.jobId);
+    }
+    
+    if (outcome.success) {
+      logger.info('runStoredRequestFromTransition: Request submitted from workflow', { issueKey, jobId: submission.jobId, pending: !!outcome.pending });
+      return;
+    }
+    failure = outcome.message || 'Unknown error';
+  }
+  
+  logger.warn('runStoredRequestFromTransition: Request could not run', { issueKey, error: failure });
+  
+  // Moving back into a status that runs the request would just retry it
+  let revertedTo = null;
+  const fromStatusId = transition.from?.id;
+  if (config.onFailure === FAILURE_HANDLING.REVERT && !shouldRunOnTransition(config, { to: { id: fromStatusId } })) {
+    try {
+      const transitionsResponse = await requestJiraAsAppWithRetry(
+        route`/rest/api/3/issue/${issueKey}/transitions`,
+        {},
+        'Get transitions to revert'
+      );
+      const { transitions } = transitionsResponse.ok ? await transitionsResponse.json() : {};
+      const revert = findRevertTransition(transitions, fromStatusId);
+      if (revert) {
+        const revertResponse = await requestJiraAsAppWithRetry(
+          route`/rest/api/3/issue/${issueKey}/transitions`,
+          {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ transition: { id: revert.id } })
+          },
+          'Revert failed transition'
+        );
+        revertedTo = revertResponse.ok ? (revert.to?.name || revert.name) : null;
+      }
+    } catch (err) {
+      logger.error('runStoredRequestFromTransition: Failed to revert the transition', { issueKey, error: err.message });
+    }
+  }
+  
+  if (!revertedTo) {
+    try {
+      await requestJiraAsAppWithRetry(
+        route`/rest/api/3/issue/${issueKey}`,
+        {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ update: { labels: [{ add: FAILED_ACTION_LABEL }] } })
+        },
+        'Flag failed Keeper action'
+      );
+    } catch (err) {
+      logger.error('runStoredRequestFromTransition: Failed to label the issue', { issueKey, error: err.message });
+    }
+  }
+  
+  await addPanelComment(issueKey, {
+    panelType: 'error',
+    heading: 'Keeper Action Failed',
+    lines: [
+      `Action: ${actionLabel}`,
+      `Moving the issue to ${status?.name || 'this status'} ran the request, but it failed: ${failure}`,
+      revertedTo
+        ? `The issue was moved back to ${revertedTo}.`
+        : `The issue was labelled ${FAILED_ACTION_LABEL} - fix the request and run it from the issue panel.`
+    ],
+    footer: [`Failed at: ${new Date().toISOString()}`]
+  });
+}
+
+/**
+ * Get workflow transition settings and the Jira statuses they can name (called from config page)
+ */
+resolver.define('getWorkflowConfig', async () => {
+  const config = await storage.get('keeperWorkflowConfig') || DEFAULT_WORKFLOW_CONFIG;
+  
+  let statuses = [];
+  try {
+    const response = await requestJiraAsAppWithRetry(route`/rest/api/3/status`, {}, 'Get Jira statuses');
+    if (response.ok) {
+      const seen = new Set();
+      statuses = (await response.json())
+        .filter(status => !seen.has(status.id) && seen.add(status.id))
+        .map(status => ({ id: status.id, name: status.name }));
+    }
+  } catch (err) {
+    logger.warn('getWorkflowConfig: Failed to load Jira statuses', { error: err.message });
+  }
+  
+  return successResponse({ config, statuses, limits: WORKFLOW_LIMITS });
+});
+
+/**
+ * Save workflow transition settings (called from config page, admins only)
+ */
+resolver.define('setWorkflowConfig', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('setWorkflowConfig: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change the workflow settings');
+  }
+  
+  const validation = validateWorkflowConfig(payload);
+  if (!validation.valid) {
+    return errorResponse(
+      ERROR_CODES.VALIDATION_INVALID_FORMAT,
+      validation.errors.join('; '),
+      { field: 'executeOnStatuses', details: { errors: validation.errors } }
+    );
+  }
+  
+  await storage.set('keeperWorkflowConfig', validation.config);
+  logger.info('setWorkflowConfig: Workflow settings saved', { accountId: userId, statusCount: validation.config.executeOnStatuses.length });
+  
+  return successResponse({ config: validation.config }, 'Workflow settings saved successfully');
+});
+
+// ============================================================================
+// Request Expiry
+// ============================================================================
+
+const REQUEST_STORAGE_PREFIX = 'keeper_request_';
+
+/**
+ * Remind the issue's assignee (the admin picked when the request was first saved)
+ * @param {string} issueKey - Jira issue key
+ * @param {Object} request - Stored request
+ * @param {number} ageHours - Hours since the request was saved
+ */
+async function remindRequestAssignee(issueKey, request, ageHours) {
+  const actionLabel = request.selectedAction?.label || 'Keeper Action';
+  const requester = request.submittedBy?.displayName || 'A user';
+  const response = await requestJiraAsAppWithRetry(
+    route`/rest/api/3/issue/${issueKey}/notify`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        subject: `Keeper request waiting on ${issueKey}`,
+        textBody: `${requester} asked for "${actionLabel}" on ${issueKey} ${ageHours} hours ago and it is still waiting. Open the issue's Keeper panel to approve or reject it.`,
+        to: { reporter: false, assignee: true, watchers: false, voters: false }
+      })
+    },
+    'Remind request assignee'
+  );
+  if (!response.ok) {
+    throw new Error(`Jira returned ${response.status}`);
+  }
+}
+
+/**
+ * Remind about or reject every stored request that has waited too long
+ * @param {Object} config - Normalized expiry settings
+ * @returns {Promise<Object>} - { checked, reminded, rejected }
+ */
+async function expireStaleRequests(config) {
+  const summary = { checked: 0, reminded: 0, rejected: 0 };
+  const now = new Date();
+  let cursor;
+  
+  do {
+    let query = storage.query().where('key', startsWith(REQUEST_STORAGE_PREFIX)).limit(20);
+    if (cursor) {
+      query = query.cursor(cursor);
+    }
+    const page = await query.getMany();
+    cursor = page.nextCursor;
+    
+    for (const { key, value: request } of page.results) {
+      const issueKey = key.slice(REQUEST_STORAGE_PREFIX.length);
+      summary.checked++;
+      
+      // A request that is already running is left to finish
+      if (await storage.get(getIssueJobStorageKey(issueKey))) {
+        continue;
+      }
+      
+      const { action, ageHours } = getExpiryAction(request, config, now);
+      try {
+        if (action === EXPIRY_ACTION.REJECT) {
+          await rejectStoredRequest(issueKey, {
+            reason: buildTimeoutReason(ageHours),
+            rejectedBy: 'Keeper (automatic expiry)'
+          });
+          summary.rejected++;
+        } else if (action === EXPIRY_ACTION.REMIND) {
+          await remindRequestAssignee(issueKey, request, ageHours);
+          await storage.set(key, { ...request, lastReminderAt: now.toISOString(), reminderCount: (request.reminderCount || 0) + 1 });
+          summary.reminded++;
+        }
+      } catch (err) {
+        // One issue failing (e.g. deleted since) must not stop the rest
+        logger.warn('expireStaleRequests: Failed to process request', { issueKey, action, error: err.message });
+      }
+    }
+  } while (cursor);
+  
+  return summary;
+}
+
+/**
+ * Get pending request expiry settings (called from config page)
+ */
+resolver.define('getRequestExpiryConfig', async () => {
+  const config = await storage.get('keeperRequestExpiryConfig') || DEFAULT_EXPIRY_CONFIG;
+  return successResponse({ config, limits: EXPIRY_LIMITS });
+});
+
+/**
+ * Save pending request expiry settings (called from config page, admins only)
+ */
+resolver.define('setRequestExpiryConfig', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('setRequestExpiryConfig: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change request expiry');
+  }
+  
+  const validation = validateExpiryConfig(payload);
+  if (!validation.valid) {
+    return errorResponse(
+      ERROR_CODES.VALIDATION_INVALID_FORMAT,
+      validation.errors.join('; '),
+      { field: 'config', details: { errors: validation.errors } }
+    );
+  }
+  
+  await storage.set('keeperRequestExpiryConfig', validation.config);
+  logger.info('setRequestExpiryConfig: Request expiry saved', { accountId: userId, enabled: validation.config.enabled });
+  
+  return successResponse({ config: validation.config }, 'Request expiry settings saved successfully');
+});
+
+// ============================================================================
+// Separation of Duties
+// ============================================================================
+
+/**
+ * Whether an account may approve or run the stored request on an issue
+ * Everyone in the issue's request history counts as a requester, not only whoever the stored request names.
+ * @param {string} issueKey - Jira issue key
+ * @param {Object|null} storedRequest - Stored request
+ * @param {string} accountId - Account approving or running it
+ * @param {string} [breakGlassJustification] - Justification when the requester overrides the check
+ * @returns {Promise<Object>} - Result of checkSeparationOfDuties
+ */
+async function checkRequestSeparation(issueKey, storedRequest, accountId, breakGlassJustification) {
+  const config = await storage.get('keeperSeparationConfig') || DEFAULT_SEPARATION_CONFIG;
+  const requestHistory = config.enabled ? await storage.get(getRequestHistoryStorageKey(issueKey)) || [] : [];
+  return checkSeparationOfDuties(config, storedRequest, accountId, breakGlassJustification, requestHistory);
+}
+
+/**
+ * Audit a requester approving or running their own request
+ * The override is commented on the issue and added to the break-glass audit log.
+ * @param {string} issueKey - Jira issue key
+ * @param {Object} override - { action, stage, accountId, displayName, justification, formattedTimestamp }
+ */
+async function recordBreakGlass(issueKey, { action, stage = null, accountId, displayName, justification, formattedTimestamp }) {
+  const timestamp = new Date().toISOString();
+  logger.warn('recordBreakGlass: Separation of duties overridden', { issueKey, accountId, action, stage });
+  
+  try {
+    const log = await storage.get('keeper-break-glass-audit-log') || [];
+    await storage.set('keeper-break-glass-audit-log', addBreakGlassEntry(log, {
+      issueKey,
+      action,
+      stage,
+      accountId,
+      displayName,
+      justification,
+      timestamp
+    }));
+  } catch (err) {
+    // The issue comment below still records the override
+    logger.error('recordBreakGlass: Failed to update the audit log', { issueKey, error: err.message });
+  }
+  
+  await addPanelComment(issueKey, {
+    panelType: 'warning',
+    heading: 'Separation of Duties Overridden (Break Glass)',
+    lines: [
+      `Action: ${action}`,
+      stage
+        ? `${displayName} approved the "${stage}" stage of their own request.`
+        : `${displayName} ran their own request.`,
+      `Justification: ${justification.replace(/\s*\n\s*/g, ' ')}`
+    ],
+    footer: [`Overridden by: ${displayName}`, `Overridden at: ${formattedTimestamp || timestamp}`]
+  });
+}
+
+/**
+ * Get separation of duties settings (called from config page)
+ */
+resolver.define('getSeparationConfig', async () => {
+  const config = await storage.get('keeperSeparationConfig') || DEFAULT_SEPARATION_CONFIG;
+  return successResponse({ config, limits: BREAK_GLASS_LIMITS });
+});
+
+/**
+ * Save separation of duties settings (called from config page, admins only)
+ */
+resolver.define('setSeparationConfig', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('setSeparationConfig: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change separation of duties');
+  }
+  
+  const validation = validateSeparationConfig(payload);
+  if (!validation.valid) {
+    return errorResponse(
+      ERROR_CODES.VALIDATION_INVALID_FORMAT,
+      validation.errors.join('; '),
+      { field: 'config', details: { errors: validation.errors } }
+    );
+  }
+  
+  await storage.set('keeperSeparationConfig', validation.config);
+  logger.info('setSeparationConfig: Separation of duties saved', { accountId: userId, ...validation.config });
+  
+  return successResponse({ config: validation.config }, 'Separation of duties settings saved successfully');
+});
+
+/**
+ * Get the break-glass audit log, newest first (called from config page, admins only)
+ */
+resolver.define('getBreakGlassAuditLog', async (req) => {
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('getBreakGlassAuditLog: Rejected non-admin read', { accountId: req?.context?.accountId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can view the break-glass audit log');
+  }
+  
+  const entries = await storage.get('keeper-break-glass-audit-log') || [];
+  return successResponse({ entries });
+});
+
+// ============================================================================
+// Raw Command Policy
+// ============================================================================
+
+/**
+ * Get the admin-configured command allow-list
+ * @returns {Promise<Array<string>>} - Allowed command verbs
+ */
+async function getAllowedCommands() {
+  const policy = await storage.get('keeperCommandPolicy');
+  return policy?.allowedCommands?.length ? policy.allowedCommands : DEFAULT_ALLOWED_COMMANDS;
+}
+
+/**
+ * Apply the command policy to a command, logging every rejection
+ * The admin lookup only happens for verbs that are not read-only.
+ * @param {string} command - Full Commander command
+ * @param {string} userId - Caller's accountId
+ * @param {Object} [options] - { isAdmin: async () => boolean, source: resolver name for the log }
+ * @returns {Promise<Object>} - { allowed, response? }
+ */
+async function checkCommandPolicy(command, userId, options = {}) {
+  const { isAdmin = isGlobalUserAdmin, source = 'executeKeeperCommand' } = options;
+  const allowedCommands = await getAllowedCommands();
+  let decision = evaluateCommandPolicy(command, { allowedCommands, isAdmin: false });
+
+  if (decision.reason === POLICY_REJECTION.ADMIN_REQUIRED) {
+    decision = evaluateCommandPolicy(command, { allowedCommands, isAdmin: await isAdmin() });
+  }
+
+  if (decision.allowed) {
+    return { allowed: true };
+  }
+
+  logger.warn(`${source}: Command rejected by policy`, {
+    accountId: userId || 'unknown',
+    verb: decision.verb,
+    reason: decision.reason
+  });
+
+  if (decision.reason === POLICY_REJECTION.ADMIN_REQUIRED) {
+    return { allowed: false, response: errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, decision.error) };
+  }
+  return {
+    allowed: false,
+    response: errorResponse(ERROR_CODES.AUTH_PERMISSION_DENIED, decision.error, {
+      field: 'command',
+      details: { verb: decision.verb }
+    })
+  };
 }
 
-/**
- * Sanitize JSON field values before JSON.stringify to prevent injection
- * through JSON string escaping edge cases.
- * 
- * @param {Object} obj - Object with string values to sanitize
- * @returns {Object} - Object with sanitized values
- */
-function sanitizeJsonObject(obj) {
-  const sanitized = {};
-  for (const key of Object.keys(obj)) {
-    const value = obj[key];
-    if (typeof value === 'string') {
-      // JSON.stringify handles most escaping, but we ensure no null bytes
-      // or other control characters that could cause parsing issues
-      sanitized[key] = value.replace(/[\x00-\x1f]/g, '');
-    } else {
-      sanitized[key] = value;
+/**
+ * Get the command allow-list (called from config page)
+ */
+resolver.define('getCommandPolicy', async () => {
+  const policy = await storage.get('keeperCommandPolicy');
+  return successResponse({
+    allowedCommands: await getAllowedCommands(),
+    defaultCommands: DEFAULT_ALLOWED_COMMANDS,
+    readOnlyCommands: READ_ONLY_COMMANDS,
+    isDefault: !policy?.allowedCommands?.length
+  });
+});
+
+/**
+ * Save the command allow-list (called from config page, admins only)
+ */
+resolver.define('setCommandPolicy', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!await isGlobalUserAdmin()) {
+    logger.warn('setCommandPolicy: Rejected non-admin update', { accountId: userId || 'unknown' });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, 'Only Jira administrators can change the allowed commands');
+  }
+  
+  // `reset: true` restores the setup defaults
+  if (payload?.reset) {
+    await storage.delete('keeperCommandPolicy');
+    logger.info('setCommandPolicy: Reset to default commands', { accountId: userId });
+    return successResponse({ allowedCommands: DEFAULT_ALLOWED_COMMANDS }, 'Allowed commands reset to defaults');
+  }
+  
+  const validation = validateAllowedCommands(payload?.allowedCommands);
+  if (!validation.valid) {
+    return validationError('allowedCommands', validation.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+  
+  await storage.set('keeperCommandPolicy', {
+    allowedCommands: validation.commands,
+    updatedAt: new Date().toISOString(),
+    updatedBy: userId || null
+  });
+  logger.info('setCommandPolicy: Allowed commands saved', { accountId: userId, allowedCommands: validation.commands });
+  
+  return successResponse({ allowedCommands: validation.commands }, 'Allowed commands saved successfully');
+});
+
+/**
+ * Execute a simple Keeper command (called from config page for EPM, etc.)
+ * Subject to the command policy: the verb must be allowed, and non read-only
+ * verbs require a Jira administrator.
+ */
+resolver.define('executeKeeperCommand', async (req) => {
+  const userId = req?.context?.accountId;
+  
+  // Handle double nesting: req.payload.payload
+  let payload = req?.payload?.payload || req?.payload || req;
+  
+  if (!payload) {
+    return validationError('payload', 'No payload provided');
+  }
+  
+  const { command, issueKey } = payload;
+  
+  if (!command) {
+    return validationError('command', 'Command is required');
+  }
+
+  const policyCheck = await checkCommandPolicy(command, userId);
+  if (!policyCheck.allowed) {
+    return policyCheck.response;
+  }
+
+  try {
+    // Commands from the config page have no issue context - route by issueKey when supplied
+    const routeContext = await getRouteContext(req, issueKey);
+    const result = await executeKeeperApiCommand(command, { userId, routeContext });
+    return result;
+  } catch (err) {
+    // Check for rate limit error
+    if (err.rateLimited) {
+      return rateLimitError(err.limitType || 'user', err.retryAfter || 60);
     }
+    return keeperError(err.message || 'Failed to execute command', err);
   }
-  return sanitized;
-}
+});
+
+/**
+ * Manual Keeper action trigger (called from issue panel)
+ */
+resolver.define('executeKeeperAction', async (req) => runKeeperAction(req));
 
-function buildKeeperCommand(action, parameters, issueKey) {
-  // Check if we have a pre-formatted CLI command (used for record-permission)
-  if (parameters.cliCommand) {
-    return parameters.cliCommand;
+/**
+ * Check, build and submit a Keeper action
+ * Also runs requests the approval policy auto-approves, with the requester's context,
+ * and stored requests a workflow transition approves.
+ * @param {Object} req - Resolver request ({ context, payload: { issueKey, command, commandDescription, parameters,
+ *   formattedTimestamp, breakGlassJustification } })
+ * @param {Object} [options] - { approvedBy: { accountId, displayName, isAdmin } } when a workflow transition is the
+ *   approval - there is no user session then, so the caller checks whether the account that made the transition
+ *   is an administrator; { policyApproved: true } when an approval policy rule is
+ * @returns {Promise<Object>} - { pending, jobId, status } or a structured error response
+ */
+async function runKeeperAction(req, options = {}) {
+  const { approvedBy = null, policyApproved = false } = options;
+  const userId = req?.context?.accountId;
+  const { issueKey, command, commandDescription, formattedTimestamp, breakGlassJustification } = req.payload;
+  
+  // Attachment selections become a transfer on the job and generator settings a generated
+  // password - neither is a command argument
+  const { attachmentIds, deleteAttachments, passwordOptions, ...parameters } = req.payload.parameters || {};
+  
+  logger.info('executeKeeperAction: Executing Keeper action', { 
+    issueKey, 
+    commandType: command?.split(' ')[0], 
+    hasParameters: !!parameters 
+  });
+  
+  if (!issueKey) {
+    return validationError('issueKey', 'Issue key is required');
   }
   
-  // ========================================================================
-  // Input Validation - validate all parameters before building command
-  // ========================================================================
-  const validation = validateCommandParameters(action, parameters);
-  if (!validation.valid) {
-    throw new Error(`Input validation failed: ${validation.errors.join('; ')}`);
+  if (!command) {
+    return validationError('command', 'Command is required');
   }
   
-  let command = action;
+  // Only registry actions run here, apart from the pre-formatted EPM approve / deny - anything else
+  // would skip the admin, approval and policy checks below
+  const commandDefinition = getCommandDefinition(command);
+  const isEpmCommand = !commandDefinition && isEpmApprovalCommand(command, parameters);
+  if (!commandDefinition && !isEpmCommand) {
+    logger.warn('executeKeeperAction: Rejected unknown command', { accountId: userId || 'unknown', commandType: command.split(' ')[0] });
+    return validationError('command', `Unsupported Keeper action: ${command.split(' ')[0]}`, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+  if (commandDefinition && parameters.cliCommand !== undefined) {
+    return validationError('cliCommand', 'Pre-formatted commands are only accepted for EPM approvals', ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
   
-  // Build command based on action type
-  switch (action) {
-    case 'record-add':
-      // Use the recordType parameter if provided, otherwise default to login
-      const recordType = parameters.recordType || 'login';
-      command += ` --record-type='${escapeForSingleQuotes(recordType)}'`;
-      
-      // Title is required for all record types
-      if (!parameters.title) {
-        throw new Error(`Title is required for record-add command. Record type: ${recordType}`);
-      }
-      command += ` --title="${escapeForDoubleQuotes(parameters.title)}"`;
-      // Handle common fields for all record types
-      if (parameters.notes) {
-        command += ` Notes="${escapeForDoubleQuotes(parameters.notes)}"`;
-      }
-      
-      // Dynamic field processing for any record type
-      // Process all parameters except metadata fields
-      const metadataFields = ['recordType', 'title', 'notes', 'skipComment', 'phoneEntries'];
-      
-      // Special handling for login record type (password generation)
-      if (recordType === 'login' && !parameters.password) {
-        command += ` Password=$GEN`; // Generate password if not provided for login records
-      }
-      
-      // Special handling for single phone entry (contact record type)
-      if (parameters.phoneEntries && Array.isArray(parameters.phoneEntries) && parameters.phoneEntries.length > 0) {
-        const entry = parameters.phoneEntries[0]; // Only first phone entry
-        if (entry.number && entry.number.trim()) {
-          const phoneObj = {
-            number: entry.number.trim()
-          };
-          if (entry.region && entry.region.trim()) {
-            phoneObj.region = entry.region.trim();
-          }
-          if (entry.ext && entry.ext.trim()) {
-            phoneObj.ext = entry.ext.trim();
-          }
-          if (entry.type) {
-            phoneObj.type = entry.type;
-          }
-          // Sanitize JSON object values and escape for single-quoted shell context
-          const sanitizedPhone = sanitizeJsonObject(phoneObj);
-          command += ` Phone='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedPhone))}'`;
-        }
-      }
-      
-      // Process all fields dynamically with proper JSON formatting for complex field types
-      const addProcessedFields = new Set(); // Track processed fields to avoid duplicates
-      const jsonFields = {}; // Group fields that need JSON formatting
-      
-      // Define field types that require JSON formatting as per documentation
-      const jsonFieldTypes = {
-        'address': ['street1', 'street2', 'city', 'state', 'zip', 'country'],
-        'name': ['first', 'middle', 'last'],
-        'phone': ['region', 'number', 'ext', 'type'],
-        'host': ['hostName', 'port'],
-        'pamHostname': ['hostName', 'port'],
-        'keyPair': ['privateKey', 'publicKey']
-      };
-      
-      // Map reference fields to their corresponding JSON field types
-      // When a reference field is provided, skip the corresponding JSON field
-      // Currently empty as no reference fields are used in static record types
-      const referenceFieldMappings = {};
-      
-      // First pass: Group fields that need JSON formatting
-      Object.keys(parameters).forEach(key => {
-        if (metadataFields.includes(key) || !parameters[key]) {
-          return; // Skip metadata fields and empty values
-        }
-        
-        const value = parameters[key].toString().trim();
-        if (!value) return;
-        
-        // Check for grouped fields (like address_street1, name_first, phone_Work_number)
-        if (key.includes('_')) {
-          const parts = key.split('_');
-          const prefix = parts[0];
-          const suffix = parts[1];
-          
-          // Check if this is a JSON field type
-          if (jsonFieldTypes[prefix] && jsonFieldTypes[prefix].includes(suffix)) {
-            if (!jsonFields[prefix]) {
-              jsonFields[prefix] = {};
-            }
-            jsonFields[prefix][suffix] = value;
-            addProcessedFields.add(key);
-            return;
-          }
-          
-          // Handle phone.Work, phone.Mobile pattern (phone_Work_number, phone_Mobile_number)
-          if (prefix === 'phone' && parts.length === 3) {
-            const phoneType = parts[1]; // Work, Mobile, etc.
-            const phoneField = parts[2]; // number, ext, etc.
-            
-            if (!jsonFields[`phone.${phoneType}`]) {
-              jsonFields[`phone.${phoneType}`] = {};
-              // Automatically add the type field based on phone type
-              jsonFields[`phone.${phoneType}`]['type'] = phoneType;
-            }
-            jsonFields[`phone.${phoneType}`][phoneField] = value;
-            addProcessedFields.add(key);
-            return;
-          }
-        }
-        
-        // Check for direct field names that should be grouped
-        Object.keys(jsonFieldTypes).forEach(fieldType => {
-          if (jsonFieldTypes[fieldType].includes(key)) {
-            if (!jsonFields[fieldType]) {
-              jsonFields[fieldType] = {};
-            }
-            jsonFields[fieldType][key] = value;
-            addProcessedFields.add(key);
-            return;
-          }
-        });
-      });
-      
-      // Second pass: Add JSON formatted fields and individual fields
-      Object.keys(parameters).forEach(key => {
-        if (metadataFields.includes(key) || !parameters[key] || addProcessedFields.has(key)) {
-          return; // Skip metadata fields, empty values, and already processed fields
-        }
-        
-        const value = parameters[key].toString().trim();
-        if (value) {
-          // Escape user input for single-quoted shell context
-          const escapedValue = escapeForSingleQuotes(value);
-          
-          // Handle custom fields (c.text.Department, c.secret.API_Key, etc.)
-          if (key.startsWith('c.')) {
-              command += ` ${key}='${escapedValue}'`;
-          }
-          // Handle text.fieldname format (e.g., text.type for databaseCredentials)
-          else if (key.startsWith('text.')) {
-              // Keep as-is (lowercase) for Keeper CLI
-              command += ` ${key}='${escapedValue}'`;
-          }
-          // Handle grouped fields that don't need JSON - skip, handled in jsonFields
-          else if (key.includes('_')) {
-            // These are handled in jsonFields section
-          }
-          // Single fields (login, password, url, email, etc.) - keep lowercase
-          else {
-            command += ` ${key}='${escapedValue}'`;
-          }
-        }
-      });
-      
-      // Add JSON formatted fields (but skip if we have corresponding reference fields)
-      Object.keys(jsonFields).forEach(fieldName => {
-        const fieldData = jsonFields[fieldName];
-        if (Object.keys(fieldData).length > 0) {
-          // Check if we have a reference field that should exclude this JSON field
-          let shouldSkip = false;
-          Object.keys(referenceFieldMappings).forEach(refField => {
-            if (parameters[refField] && referenceFieldMappings[refField] === fieldName) {
-              shouldSkip = true;
-            }
-          });
-          
-          if (!shouldSkip) {
-            // Sanitize JSON object values and escape for single-quoted shell context
-            const sanitizedData = sanitizeJsonObject(fieldData);
-            command += ` ${fieldName}='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedData))}'`;
-          }
-        }
-      });
-      
-      break;
-      
-    case 'record-update':
-      // Required record parameter
-      if (parameters.record) {
-        command += ` --record='${escapeForSingleQuotes(parameters.record)}'`;
-      }
-      
-      // Optional title update
-      if (parameters.title) {
-        command += ` --title='${escapeForSingleQuotes(parameters.title)}'`;
-      }
-      
-      // Optional record type change
-      if (parameters.recordType) {
-        command += ` --record-type='${escapeForSingleQuotes(parameters.recordType)}'`;
-      }
-      
-      // Notes handling (with + prefix to append, without to replace)
-      if (parameters.notes) {
-        if (parameters.appendNotes === true) {
-          command += ` --notes='+${escapeForSingleQuotes(parameters.notes)}'`;
-        } else {
-          command += ` --notes='${escapeForSingleQuotes(parameters.notes)}'`;
-        }
-      }
-      
-      // Dynamic Field Processing - handles all record types and field formats
-      const processedFields = new Set(); // Track processed fields to avoid duplicates
-      const groupedFields = {}; // Group related fields (name_, address_, phone_, etc.)
-      
-      // First pass: Group related fields and identify patterns
-      Object.keys(parameters).forEach(key => {
-        if (!parameters[key] || (typeof parameters[key] === 'string' && parameters[key].trim() === '')) {
-          return; // Skip empty values
-        }
-        
-        const value = parameters[key].toString().trim();
-        
-        // Skip already processed core fields and metadata
-        if (['record', 'title', 'recordType', 'notes', 'appendNotes', 'force', 'phoneEntries'].includes(key)) {
-          return;
-        }
-        
-        // Detect field patterns and group them
-        // Don't split custom fields (c.text.*, c.secret.*, c.date.*) or labeled fields (date.*, password.*) - preserve them as-is
-        if (key.startsWith('c.') || key.startsWith('text.') || key.startsWith('date.') || key.startsWith('password.')) {
-          // Custom fields and labeled fields should be preserved as single fields with full key
-          groupedFields[key] = value;
-        } else if (key.includes('_')) {
-          const [prefix, suffix] = key.split('_', 2);
-          if (!groupedFields[prefix]) {
-            groupedFields[prefix] = {};
-          }
-          groupedFields[prefix][suffix] = value;
-        } else {
-          // Single fields (login, password, url, etc.)
-          groupedFields[key] = value;
-        }
-      });
+  // The issue panel hides requiresAdmin actions from non-admins - enforce the same rule here
+  const isAdmin = async () => (approvedBy ? approvedBy.isAdmin === true : isGlobalUserAdmin());
+  if (commandDefinition?.requiresAdmin && !await isAdmin()) {
+    logger.warn('executeKeeperAction: Rejected admin-only action', { accountId: userId || 'unknown', command });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, `${commandDefinition.label} requires Jira administrator permissions`);
+  }
+  
+  // Anyone may raise these requests, but only a Jira administrator may approve them
+  if (commandDefinition?.adminApproval && !await isAdmin()) {
+    logger.warn('executeKeeperAction: Rejected approval by non-admin', { accountId: userId || 'unknown', command });
+    return errorResponse(ERROR_CODES.AUTH_NOT_ADMIN, `${commandDefinition.label} requests can only be approved by a Jira administrator`);
+  }
+  
+  // A one-time share link is only created for a request someone raised - never run directly from the panel
+  if (command === 'one-time-share' && !approvedBy) {
+    const storedRequest = await storage.get(`keeper_request_${issueKey}`);
+    if (storedRequest?.selectedAction?.value !== command) {
+      logger.warn('executeKeeperAction: Rejected one-time share without a stored request', { issueKey, accountId: userId || 'unknown' });
+      return errorResponse(ERROR_CODES.APPROVAL_PENDING, `${commandDefinition.label} must be saved as a request and approved before the link is created`);
+    }
+  }
+  
+  // Whoever saved the pending request may only run it by breaking glass - a workflow transition they make
+  // counts as running it, and has no way to give a justification
+  let breakGlass = null;
+  if (!policyApproved) {
+    const runnerId = approvedBy ? approvedBy.accountId : userId;
+    const separation = await checkRequestSeparation(
+      issueKey,
+      await storage.get(`keeper_request_${issueKey}`),
+      runnerId,
+      approvedBy ? null : breakGlassJustification
+    );
+    if (!separation.allowed) {
+      logger.warn('executeKeeperAction: Requester tried to run their own request', { issueKey, accountId: runnerId || 'unknown' });
+      return errorResponse(ERROR_CODES.SEPARATION_OF_DUTIES, separation.error, { details: { breakGlassAllowed: separation.breakGlassAllowed } });
+    }
+    breakGlass = separation.breakGlass ? separation : null;
+  }
+  
+  // Production projects can require staged approvals before anyone runs the action - a workflow transition included
+  const approvalChain = commandDefinition ? await loadApprovalChain(issueKey, command) : null;
+  if (approvalChain) {
+    const storedRequest = await storage.get(`keeper_request_${issueKey}`);
+    if (storedRequest?.selectedAction?.value !== command) {
+      return errorResponse(ERROR_CODES.APPROVAL_PENDING, `${commandDefinition.label} needs an approval chain in this project - save it as a request so it can be approved`);
+    }
+    const progress = summarizeApprovals(approvalChain, storedRequest.approvals);
+    if (!progress.satisfied) {
+      const stage = progress.stages[progress.currentStage];
+      return errorResponse(ERROR_CODES.APPROVAL_PENDING, `Waiting for the "${stage.name}" stage: ${stage.description}`);
+    }
+    const approverFields = commandDefinition.fields.filter(field => field.approverOnly).map(field => field.name);
+    const changedFields = findChangedFields(
+      pickDeclaredParameters(commandDefinition, describeStoredRequest(storedRequest).parameters),
+      pickDeclaredParameters(commandDefinition, parameters),
+      approverFields
+    );
+    if (changedFields.length > 0) {
+      return errorResponse(ERROR_CODES.APPROVAL_PENDING, `${changedFields.join(', ')} changed after the request was approved - run it as approved, or reject it so it can be raised again`);
+    }
+  }
+  
+  // Resolve which Commander connection serves this issue's project / issue type
+  const routeContext = await getRouteContext(req, issueKey);
+  
+  let attachmentTransfer = null;
+  if (Array.isArray(attachmentIds) && attachmentIds.length > 0) {
+    if (!supportsAttachments(command)) {
+      return validationError('attachmentIds', 'Issue attachments can only be added to created or updated records');
+    }
+    let issueAttachments;
+    try {
+      issueAttachments = await fetchIssueAttachments(issueKey);
+    } catch (err) {
+      return errorResponse(ERROR_CODES.JIRA_API_ERROR, err.message);
+    }
+    const selection = selectAttachments(attachmentIds, issueAttachments);
+    if (!selection.valid) {
+      return validationError('attachmentIds', selection.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+    }
+    attachmentTransfer = buildAttachmentTransfer(selection.attachments, {
+      deleteFromJira: deleteAttachments === true,
+      recordTitle: parameters.title || parameters.recordTitle
+    });
+  }
+
+  // Check if this is an EPM command and if the request is already expired or action was already taken
+  if (isEpmCommand) {
+    // Check if any action label already exists (with rate limit retry)
+    try {
+      const issueResponse = await requestJiraAsAppWithRetry(
+        route`/rest/api/3/issue/${issueKey}?fields=labels`,
+        {
+          method: 'GET',
+          headers: { 'Accept': 'application/json' }
+        },
+        'Check EPM action labels'
+      );
       
-      // Second pass: Process grouped fields according to Keeper CLI formats
-      Object.keys(groupedFields).forEach(fieldGroup => {
-        if (processedFields.has(fieldGroup)) return;
-        
-        const fieldData = groupedFields[fieldGroup];
+      if (issueResponse.ok) {
+        const issueData = await issueResponse.json();
+        const labels = issueData.fields?.labels || [];
         
-        // Handle grouped JSON fields (address, name, phone, etc.)
-        if (typeof fieldData === 'object' && fieldData !== null) {
-          switch (fieldGroup) {
-            case 'address':
-              // Address format: address='$JSON:{"street1": "...", "city": "..."}''
-              const addressObj = {};
-              if (fieldData.street1) addressObj.street1 = fieldData.street1;
-              if (fieldData.street2) addressObj.street2 = fieldData.street2;
-              if (fieldData.city) addressObj.city = fieldData.city;
-              if (fieldData.state) addressObj.state = fieldData.state;
-              if (fieldData.zip) addressObj.zip = fieldData.zip;
-              if (fieldData.country) addressObj.country = fieldData.country;
-              
-              if (Object.keys(addressObj).length > 0) {
-                const sanitizedAddress = sanitizeJsonObject(addressObj);
-                const addressCommand = ` address='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedAddress))}'`;
-                command += addressCommand;
-              }
-              break;
-              
-            case 'name':
-              // Name format: name='$JSON:{"first": "John", "middle": "Michael", "last": "Doe"}'
-              const nameObj = {};
-              if (fieldData.first) nameObj.first = fieldData.first;
-              if (fieldData.middle) nameObj.middle = fieldData.middle;
-              if (fieldData.last) nameObj.last = fieldData.last;
-              
-              if (Object.keys(nameObj).length > 0) {
-                const sanitizedName = sanitizeJsonObject(nameObj);
-                command += ` name='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedName))}'`;
-              }
-              break;
-              
-            case 'phone':
-              // Simple phone format without type: phone='$JSON:{"number": "...", ...}'
-              const simplePhoneObj = {};
-              if (fieldData.number) simplePhoneObj.number = fieldData.number;
-              if (fieldData.ext) simplePhoneObj.ext = fieldData.ext;
-              if (fieldData.region) simplePhoneObj.region = fieldData.region;
-              if (fieldData.type) simplePhoneObj.type = fieldData.type;
-              
-              if (Object.keys(simplePhoneObj).length > 0) {
-                const sanitizedPhone = sanitizeJsonObject(simplePhoneObj);
-                command += ` phone='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedPhone))}'`;
-              }
-              break;
-              
-            case 'keyPair':
-              // SSH keyPair format: keyPair='$JSON:{"privateKey": "...", "publicKey": "..."}'
-              const keyPairObj = {};
-              if (fieldData.privateKey) keyPairObj.privateKey = fieldData.privateKey;
-              if (fieldData.publicKey) keyPairObj.publicKey = fieldData.publicKey;
-              
-              if (Object.keys(keyPairObj).length > 0) {
-                const sanitizedKeyPair = sanitizeJsonObject(keyPairObj);
-                command += ` keyPair='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedKeyPair))}'`;
-              }
-              break;
-              
-            case 'host':
-              // Host format: host='$JSON:{"hostName": "...", "port": "..."}'
-              const hostObj = {};
-              if (fieldData.hostName) hostObj.hostName = fieldData.hostName;
-              if (fieldData.port) hostObj.port = fieldData.port;
-              
-              if (Object.keys(hostObj).length > 0) {
-                const sanitizedHost = sanitizeJsonObject(hostObj);
-                command += ` host='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedHost))}'`;
-              }
-              break;
-              
-            case 'pamHostname':
-              // PAM Hostname format: pamHostname='$JSON:{"hostName": "...", "port": "..."}'
-              const pamHostObj = {};
-              if (fieldData.hostName) pamHostObj.hostName = fieldData.hostName;
-              if (fieldData.port) pamHostObj.port = fieldData.port;
-              
-              if (Object.keys(pamHostObj).length > 0) {
-                const sanitizedPamHost = sanitizeJsonObject(pamHostObj);
-                command += ` pamHostname='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedPamHost))}'`;
-              }
-              break;
-              
-            default:
-              // Handle any other grouped fields as custom fields
-              Object.keys(fieldData).forEach(subField => {
-                const subValue = fieldData[subField];
-                if (subValue) {
-                  // Use only the original field name (subField) for custom fields
-                  // Escape for double-quoted context
-                  command += ` c.text.${subField}="${escapeForDoubleQuotes(subValue)}"`;
-                }
-              });
-              break;
-          }
-        } else {
-          // Handle single fields
-          const value = fieldData;
-          // Escape value for single-quoted shell context
-          const escapedValue = escapeForSingleQuotes(value);
-          
-          switch (fieldGroup) {
-            case 'login':
-              command += ` login='${escapedValue}'`;
-              break;
-              
-            case 'password':
-              if (value === '$GEN' || value === 'generate') {
-                command += ` password=$GEN`;
-              } else {
-                command += ` password='${escapedValue}'`;
-              }
-              break;
-              
-            case 'passphrase':
-              // Passphrase is a password-type field with label "passphrase"
-              // Keeper CLI format: password.label='value'
-              if (value === '$GEN' || value === 'generate') {
-                command += ` password.passphrase=$GEN`;
-              } else {
-                command += ` password.passphrase='${escapedValue}'`;
-              }
-              break;
-              
-            case 'url':
-              command += ` url='${escapedValue}'`;
-              break;
-              
-            case 'email':
-              command += ` email='${escapedValue}'`;
-              break;
-              
-            case 'licenseNumber':
-              // Standard Keeper field type for software licenses
-              command += ` licenseNumber='${escapedValue}'`;
-              break;
-              
-            case 'accountNumber':
-              // Standard Keeper field type for memberships
-              command += ` accountNumber='${escapedValue}'`;
-              break;
-              
-            case 'expirationDate':
-              // Standard Keeper field type for expiration dates
-              command += ` expirationDate='${escapedValue}'`;
-              break;
-              
-            case 'note':
-              // Standard Keeper field type for notes
-              command += ` note='${escapedValue}'`;
-              break;
-              
-            case 'date':
-              // Handle different date formats
-              if (value.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                command += ` date='${escapedValue}'`;
-              } else if (value.match(/^\d+$/)) {
-                command += ` date=${value}`; // Numeric dates don't need quotes
-              } else {
-                command += ` date='${escapedValue}'`;
-              }
-              break;
-              
-            case 'text':
-            case 'multiline':
-            case 'secret':
-              // Handle as custom field with appropriate type
-              command += ` c.${fieldGroup}.${fieldGroup}='${escapedValue}'`;
-              break;
-              
-            default:
-              // Handle custom fields (c.*) and labeled fields (type.label format like date.dateActive, password.passphrase)
-              if (fieldGroup.startsWith('c.') || fieldGroup.startsWith('text.') || fieldGroup.startsWith('date.') || fieldGroup.startsWith('password.')) {
-                command += ` ${fieldGroup}='${escapedValue}'`;
-                break;
-              }
-              // Any other single field - use c.secret for $GEN values, c.text for others
-              if (value === '$GEN' || value === 'generate') {
-                command += ` c.secret.${fieldGroup}=$GEN`;
-              } else {
-                command += ` c.text.${fieldGroup}='${escapedValue}'`;
-              }
-              break;
-          }
+        if (labels.includes('epm-approved')) {
+          return epmError('approved');
         }
-        
-        processedFields.add(fieldGroup);
-      });
-      
-      // Handle single phone entry for contact record updates
-      // Format per Keeper docs: phone='$JSON:{"number":"...", "type":"...", ...}'
-      if (parameters.phoneEntries && Array.isArray(parameters.phoneEntries) && parameters.phoneEntries.length > 0) {
-        const entry = parameters.phoneEntries[0]; // Only first phone entry
-        if (entry.number && entry.number.trim()) {
-          const phoneObj = {
-            number: entry.number.trim()
-          };
-          if (entry.type) {
-            phoneObj.type = entry.type;
-          }
-          if (entry.region) {
-            phoneObj.region = entry.region;
-          }
-          if (entry.ext && entry.ext.trim()) {
-            phoneObj.ext = entry.ext.trim();
-          }
-          // Sanitize JSON object values and escape for single-quoted shell context
-          const sanitizedPhoneUpdate = sanitizeJsonObject(phoneObj);
-          command += ` phone='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedPhoneUpdate))}'`;
+        if (labels.includes('epm-denied')) {
+          return epmError('denied');
         }
-      }
-      
-      // Force flag to ignore warnings
-      if (parameters.force === true) {
-        command += ` --force`;
-      }
-      
-      
-      break;
-      
-    case 'record-permission':
-      // Format: record-permission FOLDER_UID -a ACTION [-d] [-s] [-R] [--force]
-      // Example: record-permission jdrkYEaf03bG0ShCGlnKww -a revoke -d -R --force
-      // -a = action (grant/revoke)
-      // -d = edit permission flag (can_edit)
-      // -s = share permission flag (can_share)
-      // -R = recursive flag (apply to all sub folders)
-      // --force = force flag (for grant and revoke actions)
-      
-      // Add folder UID (from selectedFolder or sharedFolder)
-      if (parameters.folder) {
-        command += ` '${escapeForSingleQuotes(parameters.folder)}'`;
-      } else if (parameters.sharedFolder) {
-        command += ` '${escapeForSingleQuotes(parameters.sharedFolder)}'`;
-      }
-      
-      // Add action flag (-a) - action is validated against known values so no escaping needed
-      if (parameters.action) {
-        command += ` -a ${parameters.action}`;
-      }
-      
-      // Add edit permission flag (-d) if can_edit is true
-      if (parameters.can_edit === true || parameters.can_edit === 'true') {
-        command += ` -d`;
-      }
-      
-      // Add share permission flag (-s) if can_share is true
-      if (parameters.can_share === true || parameters.can_share === 'true') {
-        command += ` -s`;
-      }
-      
-      // Add recursive flag (-R) if recursive is true
-      if (parameters.recursive === true || parameters.recursive === 'true') {
-        command += ` -R`;
-      }
-      
-      // Add force flag (--force) for grant and revoke actions
-      if (parameters.action === 'grant' || parameters.action === 'revoke') {
-        command += ` --force`;
-      }
-      
-      break;
-      
-    case 'share-record':
-      // Format: share-record "RECORD_UID" -e "EMAIL" -a "ACTION" [-s] [-w] [-R] [--expire-at|--expire-in] --force
-      // For cancel action with record: share-record "RECORD_UID" -a cancel -e "EMAIL" [-e "EMAIL2" ...] -f
-      // For cancel action with folder: share-record "FOLDER_UID" -a cancel -e "EMAIL" [-e "EMAIL2" ...] -f
-      
-      // Add record UID for all non-cancel actions
-      if (parameters.record && parameters.action !== 'cancel') {
-        command += ` '${escapeForSingleQuotes(parameters.record)}'`;
-      }
-      
-      // For cancel action, add either record UID or folder UID (admin can select either)
-      if (parameters.action === 'cancel') {
-        if (parameters.record) {
-          command += ` '${escapeForSingleQuotes(parameters.record)}'`;
-        } else if (parameters.sharedFolder) {
-          command += ` '${escapeForSingleQuotes(parameters.sharedFolder)}'`;
+        if (labels.includes('epm-expired')) {
+          return epmError('expired');
         }
       }
-      
-      // Handle email addresses - support comma-separated values
-      if (parameters.user) {
-        // Split by comma and trim whitespace
-        const emails = parameters.user.split(',').map(email => email.trim()).filter(email => email);
-        // Add each email with its own -e flag, properly escaped
-        emails.forEach(email => {
-          command += ` -e '${escapeForSingleQuotes(email)}'`;
-        });
-      }
-      
-      // Action is validated against known values so no escaping needed
-      if (parameters.action) {
-        command += ` -a ${parameters.action}`;
+    } catch (error) {
+      // If it's a structured error response, return it
+      if (error.success === false) {
+        return error;
       }
+      // Otherwise, continue
+    }
+  }
+  
+  // Validate share-record: prevent sharing with record owner
+  // Sharing with owner causes issues: revokes owner from record (moves to deleted items) and then share fails
+  if (command === 'share-record' && parameters.record && parameters.user && parameters.action !== 'cancel') {
+    try {
+      // Fetch record details to get owner email (skip rate limit for internal validation)
+      const recordResult = await executeKeeperApiCommand(`get "${parameters.record}" --format=json`, { userId, skipRateLimit: true, routeContext });
+      const recordApiData = recordResult.data;
       
-      // Only add permission flags if action is NOT cancel
-      if (parameters.action !== 'cancel') {
-        // Add optional permission flags
-        if (parameters.can_share === true) {
-          command += ` -s`;
-        }
-        if (parameters.can_write === true) {
-          command += ` -w`;
-        }
-        if (parameters.recursive === true) {
-          command += ` -R`;
+      let recordOwnerEmail = null;
+      if (recordApiData.data) {
+        let recordDetails = {};
+        if (typeof recordApiData.data === 'string') {
+          recordDetails = JSON.parse(recordApiData.data);
+        } else if (typeof recordApiData.data === 'object') {
+          recordDetails = recordApiData.data;
         }
-        // Add expiration options
-        if (parameters.expiration_type === 'expire-at' && parameters.expire_at) {
-          // Convert datetime-local format to ISO format (yyyy-MM-dd hh:mm:ss)
-          const expireAtFormatted = parameters.expire_at.replace('T', ' ');
-          command += ` --expire-at "${escapeForDoubleQuotes(expireAtFormatted)}"`;
-        } else if (parameters.expiration_type === 'expire-in' && parameters.expire_in) {
-          // expire_in is expected to be a numeric duration, validate it's safe
-          const expireInValue = String(parameters.expire_in).replace(/[^0-9dhms]/gi, '');
-          command += ` --expire-in ${expireInValue}`;
+        
+        // Owner email is in user_permissions array where owner: true
+        // Example: { "username": "user@example.com", "owner": true, ... }
+        if (recordDetails.user_permissions && Array.isArray(recordDetails.user_permissions)) {
+          const ownerPermission = recordDetails.user_permissions.find(p => p.owner === true);
+          if (ownerPermission) {
+            recordOwnerEmail = ownerPermission.username;
+          }
         }
       }
       
-      // Add force flag at the end
-      command += ` -f`;
-      break;
-      
-    case 'share-folder':
-      // Format: share-folder "FOLDER_UID" -e "EMAIL" -a "ACTION" [options] [--expire-at|--expire-in] --force
-      if (parameters.folder) {
-        command += ` '${escapeForSingleQuotes(parameters.folder)}'`;
-      }
-      
-      // Handle email addresses - support comma-separated values
-      if (parameters.user) {
-        // Split by comma and trim whitespace
-        const emails = parameters.user.split(',').map(email => email.trim()).filter(email => email);
-        // Add each email with its own -e flag, properly escaped
-        emails.forEach(email => {
-          command += ` -e '${escapeForSingleQuotes(email)}'`;
-        });
-      }
-      
-      // Action is validated against known values so no escaping needed
-      if (parameters.action) {
-        command += ` -a ${parameters.action}`;
+      if (recordOwnerEmail) {
+        // Split user emails by comma and check if any matches the owner
+        const targetEmails = parameters.user.split(',').map(email => email.trim().toLowerCase()).filter(email => email);
+        const ownerEmailLower = recordOwnerEmail.toLowerCase();
+        
+        if (targetEmails.includes(ownerEmailLower)) {
+          return errorResponse(
+            ERROR_CODES.VALIDATION_INVALID_FORMAT,
+            `Cannot share record with its owner (${recordOwnerEmail}). Sharing with the record owner would revoke their ownership and cause the operation to fail.`,
+            { field: 'user' }
+          );
+        }
       }
-      // Always include ALL four permission flags explicitly with either 'on' or 'off'
-      // Never omit a flag — omitting defaults to the shared folder's settings, which may grant unintended permissions
-      command += ` -p ${parameters.manage_records === true ? 'on' : 'off'}`;  // User permission: Can manage records
-      command += ` -o ${parameters.manage_users === true ? 'on' : 'off'}`;    // User permission: Can manage users
-      command += ` -s ${parameters.can_share === true ? 'on' : 'off'}`;       // Record permission: Can be shared
-      command += ` -d ${parameters.can_edit === true ? 'on' : 'off'}`;        // Record permission: Can be modified
-      // Add expiration options
-      if (parameters.expiration_type === 'expire-at' && parameters.expire_at) {
-        // Convert datetime-local format to ISO format (yyyy-MM-dd hh:mm:ss)
-        const expireAtFormatted = parameters.expire_at.replace('T', ' ');
-        command += ` --expire-at "${escapeForDoubleQuotes(expireAtFormatted)}"`;
-      } else if (parameters.expiration_type === 'expire-in' && parameters.expire_in) {
-        // expire_in is expected to be a numeric duration, validate it's safe
-        const expireInValue = String(parameters.expire_in).replace(/[^0-9dhms]/gi, '');
-        command += ` --expire-in ${expireInValue}`;
+    } catch (ownerCheckError) {
+      // If it's a structured error response, return it
+      if (ownerCheckError.success === false) {
+        return ownerCheckError;
       }
-      // Add force flag at the end
-      command += ` --force`;
-      break;
-      
-    default:
-      // For any other commands, add parameters as key=value pairs with proper escaping
-      Object.keys(parameters).forEach(key => {
-        if (parameters[key]) {
-            command += ` ${key}='${escapeForSingleQuotes(String(parameters[key]))}'`;
-        }
-      });
+      // Otherwise, log and continue (don't block if we can't fetch record details)
+      logger.error('Failed to check record owner for share-record validation', { error: ownerCheckError.message });
+    }
   }
-  
-  return command;
-}
 
-/**
- * Get records list from Keeper API (called from issue panel)
- */
-resolver.define('getKeeperRecords', async (req) => {
-  const userId = req?.context?.accountId;
-  
-  try {
-    const result = await executeKeeperApiCommand('list --format=json', { userId });
-    const apiData = result.data;
+  // One-time share links and KSM client tokens go to whoever asked for them, not to the approver running the action
+  let privateRecipient = null;
+  const deliversPrivately = command === 'one-time-share' || (command === 'secrets-manager' && parameters.operation === 'client-add');
+  if (command === 'one-time-share') {
+    parameters.share_name = issueKey;
+  }
+  if (deliversPrivately) {
+    const storedRequest = await storage.get(`keeper_request_${issueKey}`);
+    privateRecipient = storedRequest?.submittedBy?.userKey
+      ? { accountId: storedRequest.submittedBy.userKey, displayName: storedRequest.submittedBy.displayName }
+      : null;
+  }
 
-    // Parse the JSON data from the response
-    let records = [];
-    if (apiData.data && Array.isArray(apiData.data)) {
-      records = apiData.data;
-    } else if (apiData.message && typeof apiData.message === 'string') {
-      try {
-        records = JSON.parse(apiData.message);
-      } catch (parseError) {
-        return keeperError('Failed to parse records data from Keeper API');
-      }
-    } else if (apiData.data && typeof apiData.data === 'string') {
-      try {
-        records = JSON.parse(apiData.data);
-      } catch (parseError) {
-        return keeperError('Failed to parse records data from Keeper API');
-      }
+  // Titles and folder names are gone or changed once rm / mv / a revert has run - capture them for the comment
+  let vaultChange = null;
+  if (command === 'rm' || command === 'mv' || command === 'record-history') {
+    const lookup = await describeVaultChange(command, parameters, { userId, routeContext });
+    if (!lookup.valid) {
+      return validationError(lookup.field, lookup.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
     }
+    vaultChange = lookup.vaultChange;
+  }
 
-    return successResponse({ records: records || [] });
-  } catch (err) {
-    // Check for rate limit error
-    if (err.rateLimited) {
-      return rateLimitError(err.limitType || 'minute', err.retryAfter || 60);
+  // Name the team in the comment and refuse a team the enterprise does not have
+  let teamMembership = null;
+  if (command === 'enterprise-team') {
+    let teams = [];
+    try {
+      const teamResult = await executeKeeperApiCommand('enterprise-info --teams --format=json', { userId, skipRateLimit: true, routeContext });
+      teams = parseTeamListing(teamResult.data);
+    } catch (lookupError) {
+      logger.warn('Failed to look up teams before membership change', { error: lookupError.message });
     }
-    return keeperError(err.message || 'Failed to fetch records', err);
+    const team = teams.find(entry => entry.team_uid === parameters.team);
+    if (teams.length > 0 && !team) {
+      return validationError('team', `Team ${parameters.team} was not found in the enterprise`, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+    }
+    teamMembership = buildTeamMembershipChange(parameters, team);
   }
-});
 
-/**
- * Get folders list from Keeper API (called from issue panel)
- */
-resolver.define('getKeeperFolders', async (req) => {
-  const userId = req?.context?.accountId;
-  
-  try {
-    const result = await executeKeeperApiCommand('ls -f --format=json', { userId });
-    const apiData = result.data;
+  // mkdir takes a path - build it from the picked parent folder instead of accepting one from the client
+  let sharedFolder = null;
+  if (command === 'mkdir') {
+    parameters.folder_path = buildSharedFolderPath(parameters.parent_folder, parameters.folder_name);
+    sharedFolder = {
+      name: String(parameters.folder_name || '').trim(),
+      parentFolderUid: parameters.parent_folder || null,
+      members: splitMembers(parameters.members),
+      permissions: pickFolderPermissions(parameters)
+    };
+  }
 
-    // Parse the JSON data from the response
-    let folders = [];
-    if (apiData.data && Array.isArray(apiData.data)) {
-      try {
-        // data.data is directly an array of folders for ls -f command
-        folders = apiData.data.map((folder, index) => {
-          // Clean ANSI color codes from folder name
-          let cleanName = folder.name || '';
-          cleanName = cleanName.replace(/\[?\d+m/g, ''); // Remove [31m, [39m etc.
-          
-          // Extract flags from details string (format: "Flags: S, Parent: /")
-          let flags = '';
-          let parentUid = '';
-          if (folder.details) {
-            const flagsMatch = folder.details.match(/Flags:\s*([^,]*)/);
-            if (flagsMatch) {
-              flags = flagsMatch[1].trim();
-            }
-            const parentMatch = folder.details.match(/Parent:\s*(.+)/);
-            if (parentMatch) {
-              parentUid = parentMatch[1].trim();
-            }
-          }
-          
-          return {
-            number: index + 1,
-            folder_uid: folder.uid,
-            uid: folder.uid,
-            name: cleanName,
-            title: cleanName,
-            path: cleanName,
-            flags: flags,
-            parent_uid: parentUid,
-            shared: flags && flags.includes('S'),
-            raw_data: folder
-          };
-        });
-      } catch (parseError) {
-        return keeperError('Failed to parse folders data from Keeper API');
-      }
+  // Typed passwords must meet the org policy; a generated one is picked to meet it
+  const passwordPolicy = await loadPasswordPolicy();
+  let commandParameters = parameters;
+  if (passwordOptions && shouldGeneratePassword(command, parameters)) {
+    const generation = validateGenerationOptions(passwordOptions, passwordPolicy);
+    if (!generation.valid) {
+      return validationError(generation.field, generation.error, ERROR_CODES.VALIDATION_INVALID_FORMAT);
     }
-
-    return successResponse({ folders: folders || [] });
-  } catch (err) {
-    // Check for rate limit error
-    if (err.rateLimited) {
-      return rateLimitError(err.limitType || 'minute', err.retryAfter || 60);
+    try {
+      const candidate = await generatePassword(generation.options, passwordPolicy, { userId, skipRateLimit: true, routeContext });
+      commandParameters = { ...parameters, password: candidate.password };
+    } catch (err) {
+      return keeperError(err.message || 'Failed to generate a password', err);
     }
-    return keeperError(err.message || 'Failed to fetch folders', err);
-  }
-});
-
-/**
- * Get detailed record information from Keeper API (called from issue panel for record-update)
- */
-resolver.define('getKeeperRecordDetails', async (req) => {
-  const userId = req?.context?.accountId;
-  const { recordUid } = req.payload || {};
-  
-  if (!recordUid) {
-    return validationError('recordUid', 'Record UID is required to fetch record details');
   }
 
   try {
-    const result = await executeKeeperApiCommand(`get "${recordUid}" --format=json`, { userId });
-    const apiData = result.data;
+    // Build dynamic command based on action and parameters
+    // This is inside try block so validation errors are properly caught
+    const dynamicCommand = buildKeeperCommand(command, commandParameters, issueKey, {
+      passwordPolicy: commandParameters === parameters ? passwordPolicy : null
+    });
 
-    // Parse the JSON data from the response
-    let recordDetails = {};
-    if (apiData.data) {
+    // The command policy covers every path to Commander - the panel, approval policy rules and workflow
+    // transitions. Registry actions already applied their own requiresAdmin / adminApproval rules above,
+    // so only the allow-list applies to them
+    const policyCheck = await checkCommandPolicy(dynamicCommand, approvedBy ? approvedBy.accountId : userId, {
+      isAdmin: commandDefinition ? async () => true : isAdmin,
+      source: 'executeKeeperAction'
+    });
+    if (!policyCheck.allowed) {
+      return policyCheck.response;
+    }
+
+    // Submit to the Commander async queue and return immediately - the issue panel
+    // polls getKeeperJobStatus, which finishes the post-execution work on completion
+    const submission = await submitKeeperApiCommand(dynamicCommand, { userId, routeContext });
+    const currentUser = approvedBy ? null : await getCurrentUser();
+    
+    const job = buildJobRecord({
+      requestId: submission.requestId,
+      connection: submission.connection,
+      issueKey,
+      command,
+      commandDescription,
+      parameters,
+      formattedTimestamp,
+      requestedBy: approvedBy ? { accountId: approvedBy.accountId, displayName: approvedBy.displayName } : {
+        accountId: userId,
+        displayName: currentUser?.displayName || 'Unknown User'
+      },
+      status: submission.status
+    });
+    if (attachmentTransfer) {
+      job.attachmentTransfer = attachmentTransfer;
+    }
+    if (command === 'one-time-share') {
+      job.shareRecipient = privateRecipient || job.requestedBy;
+    } else if (deliversPrivately) {
+      job.tokenRecipient = privateRecipient || job.requestedBy;
+    }
+    if (vaultChange) {
+      job.vaultChange = vaultChange;
+    }
+    if (sharedFolder) {
+      job.sharedFolder = sharedFolder;
+    }
+    if (teamMembership) {
+      job.teamMembership = teamMembership;
+    }
+    
+    const previousJobId = await storage.get(getIssueLastJobStorageKey(issueKey));
+    await storage.set(getJobStorageKey(job.jobId), job);
+    await storage.set(getIssueJobStorageKey(issueKey), job.jobId);
+    await storage.set(getIssueLastJobStorageKey(issueKey), job.jobId);
+    
+    // Only the latest job of an issue is kept - a finished earlier one is never read again
+    if (previousJobId && previousJobId !== job.jobId) {
       try {
-        // Parse the JSON response from get command
-        if (typeof apiData.data === 'string') {
-          recordDetails = JSON.parse(apiData.data);
-        } else if (typeof apiData.data === 'object') {
-          recordDetails = apiData.data;
+        const previousJob = await storage.get(getJobStorageKey(previousJobId));
+        if (!previousJob || isTerminalStatus(previousJob.status)) {
+          await storage.delete(getJobStorageKey(previousJobId));
         }
-      } catch (parseError) {
-        return keeperError('Failed to parse record details data from Keeper API');
+      } catch (pruneErr) {
+        logger.warn('executeKeeperAction: Failed to remove the previous job record', { issueKey, jobId: previousJobId, error: pruneErr.message });
       }
     }
-
-    return successResponse({ recordDetails: recordDetails || {} });
-  } catch (err) {
-    // Check for rate limit error
-    if (err.rateLimited) {
-      return rateLimitError(err.limitType || 'minute', err.retryAfter || 60);
+    
+    if (breakGlass) {
+      await recordBreakGlass(issueKey, {
+        action: commandDefinition?.label || command,
+        accountId: userId,
+        displayName: job.requestedBy.displayName,
+        justification: breakGlass.justification,
+        formattedTimestamp
+      });
     }
-    return keeperError(err.message || 'Failed to fetch record details', err);
+    
+    logger.info('executeKeeperAction: Job submitted', { issueKey, jobId: job.jobId, commandType: command });
+    
+    return successResponse(
+      { pending: true, jobId: job.jobId, status: job.status },
+      'Keeper action submitted. Waiting for Keeper Commander to process it.'
+    );
+  } catch (err) {
+    return mapKeeperActionError(err);
   }
-});
+}
 
 /**
- * Execute a simple Keeper command (called from config page for EPM, etc.)
+ * Map a Keeper action failure to a structured error response
+ * Shared by the submit path and failed job polls
+ * @param {Error} err - Error thrown while building, submitting or running the command
+ * @returns {Object} - Structured error response
  */
-resolver.define('executeKeeperCommand', async (req) => {
-  const userId = req?.context?.accountId;
-  
-  // Handle double nesting: req.payload.payload
-  let payload = req?.payload?.payload || req?.payload || req;
+function mapKeeperActionError(err) {
+  // Check for specific error types and provide user-friendly messages
+  const errorMessage = err.message || String(err);
+  
+  // Check if this is an input validation error
+  if (errorMessage.startsWith('Input validation failed:')) {
+    const validationDetails = errorMessage.replace('Input validation failed: ', '');
+    return validationError('parameters', validationDetails);
+  }
   
-  if (!payload) {
-    return validationError('payload', 'No payload provided');
+  // Check if this is a rate limit error
+  if (err.rateLimited) {
+    return rateLimitError(
+      err.limitType || 'user',
+      err.retryAfter || 60,
+      0
+    );
   }
   
-  const { command } = payload;
+  // Check if this is a record owner error (user already owns the record)
+  if (isRecordOwnerError(errorMessage)) {
+    return errorResponse(
+      ERROR_CODES.KEEPER_PERMISSION_DENIED,
+      'Cannot share record with its owner. The selected user is the current owner of this record and already has full permissions.',
+      { troubleshooting: ['Select a different user to share with', 'The record owner already has full access'] }
+    );
+  }
   
-  if (!command) {
-    return validationError('command', 'Command is required');
+  // Check if this is a permission conflict error
+  if (isPermissionConflictError(errorMessage)) {
+    return errorResponse(
+      ERROR_CODES.KEEPER_PERMISSION_DENIED,
+      'Cannot grant access - permission conflict. The user may already have different access to this record. Please revoke their existing access first, then try again.',
+      { troubleshooting: ['Revoke existing access for this user first', 'Then grant the new access level'] }
+    );
   }
+  
+  // Return Keeper error with automatic error type detection
+  return keeperError(errorMessage, err);
+}
 
+/**
+ * Look up what an rm / mv / record-history (revert) request touches before it runs
+ * A move is rejected when the item is not in the chosen source folder. Lookup
+ * failures are logged and the comment falls back to bare UIDs.
+ * @param {string} command - 'rm', 'mv' or 'record-history'
+ * @param {Object} parameters - Action parameters
+ * @param {Object} options - { userId, routeContext }
+ * @returns {Promise<Object>} - { valid, error?, field?, vaultChange? }
+ */
+async function describeVaultChange(command, parameters, { userId, routeContext }) {
+  // The UIDs go into lookup commands below, so they must pass the action's own validation first
+  const validation = validateCommandParameters(command, parameters);
+  if (!validation.valid) {
+    return { valid: false, field: 'parameters', error: `Input validation failed: ${validation.errors.join('; ')}` };
+  }
+  const lookupOptions = { userId, skipRateLimit: true, routeContext };
+  
+  if (command === 'rm' || command === 'record-history') {
+    let recordTitle = null;
+    try {
+      const recordResult = await executeKeeperApiCommand(`get "${parameters.record}" --format=json`, lookupOptions);
+      const recordData = recordResult.data?.data;
+      const recordDetails = typeof recordData === 'string' ? JSON.parse(recordData) : (recordData || {});
+      recordTitle = recordDetails.title || null;
+    } catch (lookupError) {
+      logger.warn('Failed to look up record before change', { command, record: parameters.record, error: lookupError.message });
+    }
+    return { valid: true, vaultChange: { itemType: 'record', itemUid: parameters.record, itemName: recordTitle } };
+  }
+  
+  let folders = [];
+  let sourceContents = null;
   try {
-    const result = await executeKeeperApiCommand(command, { userId });
-    return result;
-  } catch (err) {
-    // Check for rate limit error
-    if (err.rateLimited) {
-      return rateLimitError(err.limitType || 'minute', err.retryAfter || 60);
+    const folderResult = await executeKeeperApiCommand('ls -f --format=json', lookupOptions);
+    folders = parseFolderListing(folderResult.data);
+    const sourcePath = parameters.source_folder || '/';
+    const contentsResult = await executeKeeperApiCommand(`ls "${sourcePath}" --format=json`, lookupOptions);
+    sourceContents = parseFolderContents(contentsResult.data);
+  } catch (lookupError) {
+    logger.warn('Failed to look up folders before move', { error: lookupError.message });
+  }
+  
+  const check = validateMoveRequest(parameters, sourceContents);
+  if (!check.valid) {
+    return check;
+  }
+  return {
+    valid: true,
+    vaultChange: {
+      itemType: parameters.record ? 'record' : 'folder',
+      itemUid: parameters.record || parameters.folder,
+      itemName: check.itemName,
+      sourceFolder: describeFolder(folders, parameters.source_folder),
+      destinationFolder: describeFolder(folders, parameters.destination_folder)
     }
-    return keeperError(err.message || 'Failed to execute command', err);
+  };
+}
+
+/**
+ * Grant a new shared folder's initial members access and record the folder on the issue
+ * Runs after mkdir has completed; a failed grant is reported in the comment rather than failing the job.
+ * @param {Object} job - Completed mkdir job
+ * @param {Object} data - Raw Commander result
+ * @returns {Promise<string>} - Result line for the comment
+ */
+async function finishSharedFolderCreation(job, data) {
+  const { name, parentFolderUid, members, permissions } = job.sharedFolder;
+  const location = describeFolder([], parentFolderUid);
+  const folderUid = extractFolderUid(data);
+  
+  if (!folderUid) {
+    logger.error('mkdir completed without a folder UID', { issueKey: job.issueKey, jobId: job.jobId });
+    const memberNote = members.length > 0 ? ` ${members.join(', ')} were not granted access - share the folder in Keeper.` : '';
+    return `Created shared folder "${name}" in ${location}, but Commander did not return its UID.${memberNote}`;
   }
-});
+  
+  let message = `Created shared folder "${name}" in ${location} (Folder UID: ${folderUid})`;
+  let membersGranted = false;
+  if (members.length > 0) {
+    try {
+      const grantCommand = buildKeeperCommand('share-folder', buildMemberGrantParameters(folderUid, members.join(','), permissions), job.issueKey);
+      await executeKeeperApiCommand(grantCommand, {
+        skipRateLimit: true, // Part of the request the user already spent quota on
+        routeContext: { connectionId: job.connection?.id }
+      });
+      membersGranted = true;
+      message += `. Granted access to ${members.join(', ')}`;
+    } catch (grantErr) {
+      logger.warn('Failed to grant initial shared folder members', { issueKey: job.issueKey, folderUid, error: grantErr.message });
+      message += `. Granting access to ${members.join(', ')} failed: ${grantErr.message}`;
+    }
+  }
+  
+  try {
+    await requestJiraAsAppWithRetry(
+      route`/rest/api/3/issue/${job.issueKey}/properties/${SHARED_FOLDER_PROPERTY_KEY}`,
+      {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          folderUid,
+          name,
+          parentFolderUid,
+          members,
+          membersGranted,
+          createdAt: new Date().toISOString()
+        })
+      },
+      'Record shared folder on issue'
+    );
+  } catch (propertyErr) {
+    // The UID is still in the result comment
+    logger.warn('Failed to record shared folder on issue', { issueKey: job.issueKey, error: propertyErr.message });
+  }
+  
+  return message;
+}
 
 /**
- * Manual Keeper action trigger (called from issue panel)
+ * Record a completed team membership change on the issue so the panel can offer to reverse it
+ * @param {Object} job - Completed enterprise-team job
+ * @returns {Promise<string>} - Result line for the comment
  */
-resolver.define('executeKeeperAction', async (req) => {
-  const userId = req?.context?.accountId;
-  const { issueKey, command, commandDescription, parameters, formattedTimestamp } = req.payload;
+async function recordTeamMembershipChange(job) {
+  const change = job.teamMembership;
+  const { message } = describeTeamMembershipChange(change);
   
-  logger.info('executeKeeperAction: Executing Keeper action', { 
-    issueKey, 
-    commandType: command?.split(' ')[0], 
-    hasParameters: !!parameters 
+  try {
+    await requestJiraAsAppWithRetry(
+      route`/rest/api/3/issue/${job.issueKey}/properties/${TEAM_MEMBERSHIP_PROPERTY_KEY}`,
+      {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...change,
+          changedAt: new Date().toISOString()
+        })
+      },
+      'Record team membership change on issue'
+    );
+  } catch (propertyErr) {
+    // The change itself succeeded - it just cannot be reversed from the panel
+    logger.warn('Failed to record team membership change on issue', { issueKey: job.issueKey, error: propertyErr.message });
+  }
+  
+  return message;
+}
+
+/**
+ * Keep a one-time share URL for the requester and tell them it is ready
+ * The URL only goes to storage; the returned message is safe for the issue comment.
+ * @param {Object} job - Completed one-time-share job
+ * @param {Object} data - Raw Commander result
+ * @returns {Promise<string>} - Result line for the comment
+ */
+async function deliverOneTimeShareLink(job, data) {
+  const url = extractShareUrl(data);
+  if (!url) {
+    logger.error('one-time-share completed without a link', { issueKey: job.issueKey, jobId: job.jobId });
+    return 'Commander did not return a share link. Check the record in Keeper and try again.';
+  }
+  
+  const recipient = job.shareRecipient || job.requestedBy || {};
+  const linkRecord = buildShareLinkRecord({
+    url,
+    issueKey: job.issueKey,
+    recipient,
+    recordUid: job.parameters?.record,
+    expireIn: job.parameters?.expire_in
   });
+  await storage.set(getShareLinkStorageKey(job.issueKey), linkRecord);
   
-  if (!issueKey) {
-    return validationError('issueKey', 'Issue key is required');
+  try {
+    await requestJiraAsAppWithRetry(
+      route`/rest/api/3/issue/${job.issueKey}/notify`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          subject: `One-time share link ready on ${job.issueKey}`,
+          textBody: `The one-time share link you requested on ${job.issueKey} is ready. Open the issue's Keeper panel to view it. It expires in ${linkRecord.expireIn} or once it has been opened.`,
+          to: { reporter: false, assignee: false, watchers: false, voters: false, users: [{ accountId: recipient.accountId }] }
+        })
+      },
+      'Notify one-time share recipient'
+    );
+  } catch (notifyErr) {
+    // The link is still waiting in the issue panel
+    logger.warn('Failed to notify one-time share recipient', { issueKey: job.issueKey, error: notifyErr.message });
+  }
+  
+  return `One-time share link created for ${recipient.displayName || 'the requester'} (expires in ${linkRecord.expireIn}). The link was delivered privately and is only shown to them in the Keeper panel.`;
+}
+
+/**
+ * Keep a KSM one-time access token for the requester and tell them it is ready
+ * The token only goes to storage; the returned message is safe for the issue comment.
+ * @param {Object} job - Completed secrets-manager client-add job
+ * @param {Object} data - Raw Commander result
+ * @returns {Promise<string>} - Result line for the comment
+ */
+async function deliverClientToken(job, data) {
+  const parameters = job.parameters || {};
+  const clientLabel = parameters.client_name ? `Client device "${parameters.client_name}"` : 'A client device';
+  const token = extractClientToken(data);
+  if (!token) {
+    logger.error('secrets-manager client add completed without a token', { issueKey: job.issueKey, jobId: job.jobId });
+    return `${clientLabel} was added to application "${parameters.app}", but Commander did not return its access token. Remove the client in Keeper and request a new one.`;
   }
   
-  if (!command) {
-    return validationError('command', 'Command is required');
-  }
+  const recipient = job.tokenRecipient || job.requestedBy || {};
+  const tokenRecord = buildClientTokenRecord({
+    token,
+    issueKey: job.issueKey,
+    recipient,
+    app: parameters.app,
+    clientName: parameters.client_name,
+    expiresInMinutes: parameters.first_access_expires_in
+  });
+  await storage.set(getClientTokenStorageKey(job.issueKey), tokenRecord);
   
-  // Check if this is an EPM command and if the request is already expired or action was already taken
-  const isEpmCommand = command.startsWith('epm approval action');
-  if (isEpmCommand) {
-    // Check if any action label already exists (with rate limit retry)
-    try {
-      const issueResponse = await requestJiraAsAppWithRetry(
-        route`/rest/api/3/issue/${issueKey}?fields=labels`,
-        {
-          method: 'GET',
-          headers: { 'Accept': 'application/json' }
-        },
-        'Check EPM action labels'
-      );
-      
-      if (issueResponse.ok) {
-        const issueData = await issueResponse.json();
-        const labels = issueData.fields?.labels || [];
-        
-        if (labels.includes('epm-approved')) {
-          return epmError('approved');
-        }
-        if (labels.includes('epm-denied')) {
-          return epmError('denied');
-        }
-        if (labels.includes('epm-expired')) {
-          return epmError('expired');
-        }
-      }
-    } catch (error) {
-      // If it's a structured error response, return it
-      if (error.success === false) {
-        return error;
-      }
-      // Otherwise, continue
-    }
+  try {
+    await requestJiraAsAppWithRetry(
+      route`/rest/api/3/issue/${job.issueKey}/notify`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          subject: `Secrets Manager client token ready on ${job.issueKey}`,
+          textBody: `The Secrets Manager client token you requested on ${job.issueKey} is ready. Open the issue's Keeper panel to view it. It must be used before ${tokenRecord.expiresAt}.`,
+          to: { reporter: false, assignee: false, watchers: false, voters: false, users: [{ accountId: recipient.accountId }] }
+        })
+      },
+      'Notify Secrets Manager token recipient'
+    );
+  } catch (notifyErr) {
+    // The token is still waiting in the issue panel
+    logger.warn('Failed to notify Secrets Manager token recipient', { issueKey: job.issueKey, error: notifyErr.message });
   }
   
-  // Validate share-record: prevent sharing with record owner
-  // Sharing with owner causes issues: revokes owner from record (moves to deleted items) and then share fails
-  if (command === 'share-record' && parameters.record && parameters.user && parameters.action !== 'cancel') {
+  return `${clientLabel} was added to application "${parameters.app}". The one-time access token was delivered privately to ${recipient.displayName || 'the requester'} and is only shown to them in the Keeper panel.`;
+}
+
+/**
+ * Run post-execution work for a completed Keeper action job:
+ * result comment, EPM labels and clearing the stored request
+ * @param {Object} job - Job record (see utils/keeperJobs.js)
+ * @param {Object} result - Normalized command result from getKeeperCommandOutcome
+ * @returns {Promise<Object>} - { record_uid }
+ */
+async function completeKeeperActionJob(job, result) {
+  const { issueKey, command, commandDescription, formattedTimestamp, requestedBy, connection } = job;
+  const parameters = job.parameters || {};
+  const data = result.data;
+
+  // Extract record_uid if this is a record-add command
+  let record_uid = null;
+  if (command === 'record-add' && data.data) {
     try {
-      // Fetch record details to get owner email (skip rate limit for internal validation)
-      const recordResult = await executeKeeperApiCommand(`get "${parameters.record}" --format=json`, { userId, skipRateLimit: true });
-      const recordApiData = recordResult.data;
-      
-      let recordOwnerEmail = null;
-      if (recordApiData.data) {
-        let recordDetails = {};
-        if (typeof recordApiData.data === 'string') {
-          recordDetails = JSON.parse(recordApiData.data);
-        } else if (typeof recordApiData.data === 'object') {
-          recordDetails = recordApiData.data;
-        }
-        
-        // Owner email is in user_permissions array where owner: true
-        // Example: { "username": "user@example.com", "owner": true, ... }
-        if (recordDetails.user_permissions && Array.isArray(recordDetails.user_permissions)) {
-          const ownerPermission = recordDetails.user_permissions.find(p => p.owner === true);
-          if (ownerPermission) {
-            recordOwnerEmail = ownerPermission.username;
-          }
-        }
+      let recordData = data.data;
+      if (typeof recordData === 'string') {
+        recordData = JSON.parse(recordData);
       }
+      record_uid = recordData.record_uid || recordData.uid;
       
-      if (recordOwnerEmail) {
-        // Split user emails by comma and check if any matches the owner
-        const targetEmails = parameters.user.split(',').map(email => email.trim().toLowerCase()).filter(email => email);
-        const ownerEmailLower = recordOwnerEmail.toLowerCase();
-        
-        if (targetEmails.includes(ownerEmailLower)) {
-          return errorResponse(
-            ERROR_CODES.VALIDATION_INVALID_FORMAT,
-            `Cannot share record with its owner (${recordOwnerEmail}). Sharing with the record owner would revoke their ownership and cause the operation to fail.`,
-            { field: 'user' }
-          );
+      // If not found in data, try to extract from message
+      if (!record_uid && data.message && data.message.includes('record_uid')) {
+        const match = data.message.match(/record_uid[:\s]+([a-zA-Z0-9_-]+)/);
+        if (match) {
+          record_uid = match[1];
         }
       }
-    } catch (ownerCheckError) {
-      // If it's a structured error response, return it
-      if (ownerCheckError.success === false) {
-        return ownerCheckError;
-      }
-      // Otherwise, log and continue (don't block if we can't fetch record details)
-      logger.error('Failed to check record owner for share-record validation', { error: ownerCheckError.message });
+    } catch (parseError) {
     }
   }
 
-  try {
-    // Build dynamic command based on action and parameters
-    // This is inside try block so validation errors are properly caught
-    const dynamicCommand = buildKeeperCommand(command, parameters || {}, issueKey);
-
-    // Call Keeper API using v2 async queue (with rate limiting)
-    const result = await executeKeeperApiCommand(dynamicCommand, { userId });
-    const data = result.data;
-
-    // Extract record_uid if this is a record-add command
-    let record_uid = null;
-    if (command === 'record-add' && data.data) {
-      try {
-        let recordData = data.data;
-        if (typeof recordData === 'string') {
-          recordData = JSON.parse(recordData);
-        }
-        record_uid = recordData.record_uid || recordData.uid;
-        
-        // If not found in data, try to extract from message
-        if (!record_uid && data.message && data.message.includes('record_uid')) {
-          const match = data.message.match(/record_uid[:\s]+([a-zA-Z0-9_-]+)/);
-          if (match) {
-            record_uid = match[1];
-          }
-        }
-      } catch (parseError) {
-      }
-    }
-
-    // Check if this is an EPM command
-    const isEpmCommand = command.startsWith('epm approval action');
+  // Check if this is an EPM command
+  const isEpmCommand = command.startsWith('epm approval action');
+  
+  // Only add comment for main record creation, not for records created as references
+  // Check if this is a main record creation (not just a reference record)
+  // Records created as references will have skipComment: true parameter
+  const isMainRecordCreation = !parameters.skipComment;
+  
+  if (isMainRecordCreation || isEpmCommand) {
+    // The approver is captured when the job is submitted - this may run in a later poll
+    const currentUser = requestedBy || { displayName: 'Unknown User' };
     
-    // Only add comment for main record creation, not for records created as references
-    // Check if this is a main record creation (not just a reference record)
-    // Records created as references will have skipComment: true parameter
-    const isMainRecordCreation = !parameters.skipComment;
+    // Use the timestamp formatted on frontend with user's local time
+    const timestamp = formattedTimestamp;
     
-    if (isMainRecordCreation || isEpmCommand) {
-      // Get current user info for the comment
-      const currentUser = await getCurrentUser();
-      
-      // Use the timestamp formatted on frontend with user's local time
-      const timestamp = formattedTimestamp;
-      
-      // Create comment with command-specific messages and record_uid
-      let actionMessage = '';
-      let actionDescription = commandDescription || command;
-      let recordUid = '';
-      
-      // Check for record_uid in different possible locations in the response
-      recordUid = data.record_uid || 
-                 (data.data && data.data.record_uid) || 
-                 (data.data && data.data.data && data.data.data.record_uid);
-      
-      // Track if share invitation is pending (not yet accepted)
-      let isShareInvitationPending = false;
-      
-      // Set command-specific messages
-      // Handle EPM commands first
-      if (isEpmCommand) {
-        if (command.includes('--approve')) {
-          actionMessage = `Endpoint privilege approval request has been approved`;
-          actionDescription = `Endpoint Privilege Approval: Approved request ${parameters.cliCommand ? parameters.cliCommand.split(' ').pop() : ''}`;
-        } else if (command.includes('--deny')) {
-          actionMessage = `Endpoint privilege approval request has been denied`;
-          actionDescription = `Endpoint Privilege Approval: Denied request ${parameters.cliCommand ? parameters.cliCommand.split(' ').pop() : ''}`;
-        }
-      } else {
-        switch (command) {
-          case 'record-add':
-            actionMessage = 'Record created successfully';
-            break;
-          case 'record-update':
-            actionMessage = 'Record updated successfully';
-            break;
-          case 'record-permission':
-            actionMessage = 'Record permissions updated successfully';
-            break;
-          case 'share-record':
-          // Build detailed action description
-          actionDescription = `Share Record - ${parameters.action ? parameters.action.charAt(0).toUpperCase() + parameters.action.slice(1) : 'Grant'} access to ${parameters.user}`;
+    // Create comment with command-specific messages and record_uid
+    let actionMessage = '';
+    let actionDescription = commandDescription || command;
+    // Extra "Label: value" lines listing what changed, rendered after the result
+    let summaryDetails = [];
+    let recordUid = '';
+    
+    // Check for record_uid in different possible locations in the response
+    recordUid = data.record_uid || 
+               (data.data && data.data.record_uid) || 
+               (data.data && data.data.data && data.data.data.record_uid);
+    
+    // Track if share invitation is pending (not yet accepted)
+    let isShareInvitationPending = false;
+    
+    // Set command-specific messages
+    // Handle EPM commands first
+    if (isEpmCommand) {
+      if (command.includes('--approve')) {
+        actionMessage = `Endpoint privilege approval request has been approved`;
+        actionDescription = `Endpoint Privilege Approval: Approved request ${parameters.cliCommand ? parameters.cliCommand.split(' ').pop() : ''}`;
+      } else if (command.includes('--deny')) {
+        actionMessage = `Endpoint privilege approval request has been denied`;
+        actionDescription = `Endpoint Privilege Approval: Denied request ${parameters.cliCommand ? parameters.cliCommand.split(' ').pop() : ''}`;
+      }
+    } else {
+      switch (command) {
+        case 'record-add':
+          actionMessage = 'Record created successfully';
+          break;
+        case 'record-update':
+          actionMessage = 'Record updated successfully';
+          break;
+        case 'record-permission':
+          actionMessage = 'Record permissions updated successfully';
+          break;
+        case 'share-record':
+        // Build detailed action description
+        actionDescription = `Share Record - ${parameters.action ? parameters.action.charAt(0).toUpperCase() + parameters.action.slice(1) : 'Grant'} access to ${parameters.user}`;
+        
+        // Check if this is a share invitation pending case
+        // Response message can be a string or array
+        const shareRecordMessages = Array.isArray(data.message) ? data.message : [data.message];
+        const shareInvitationMessage = shareRecordMessages.find(msg => 
+          msg && typeof msg === 'string' && msg.includes('Share invitation has been sent to')
+        );
+        
+        if (shareInvitationMessage) {
+          // Extract email from message like "Share invitation has been sent to 'email@example.com'"
+          const emailMatch = shareInvitationMessage.match(/Share invitation has been sent to '([^']+)'/);
+          const invitedEmail = emailMatch ? emailMatch[1] : parameters.user;
           
-          // Check if this is a share invitation pending case
-          // Response message can be a string or array
-          const shareRecordMessages = Array.isArray(data.message) ? data.message : [data.message];
-          const shareInvitationMessage = shareRecordMessages.find(msg => 
-            msg && typeof msg === 'string' && msg.includes('Share invitation has been sent to')
-          );
+          actionMessage = `Share invitation sent to ${invitedEmail}. The invitation is pending acceptance.`;
+          isShareInvitationPending = true;
+        } else {
+          // Build detailed message for share-record
+          const recordName = parameters.recordTitle ? `"${parameters.recordTitle}"` : 'record';
+          actionMessage = `Shared ${recordName} with ${parameters.user}`;
+          if (parameters.action) {
+            actionMessage += ` (Action: ${parameters.action})`;
+          }
           
-          if (shareInvitationMessage) {
-            // Extract email from message like "Share invitation has been sent to 'email@example.com'"
-            const emailMatch = shareInvitationMessage.match(/Share invitation has been sent to '([^']+)'/);
-            const invitedEmail = emailMatch ? emailMatch[1] : parameters.user;
-            
-            actionMessage = `Share invitation sent to ${invitedEmail}. The invitation is pending acceptance.`;
-            isShareInvitationPending = true;
-          } else {
-            // Build detailed message for share-record
-            const recordName = parameters.recordTitle ? `"${parameters.recordTitle}"` : 'record';
-            actionMessage = `Shared ${recordName} with ${parameters.user}`;
-            if (parameters.action) {
-              actionMessage += ` (Action: ${parameters.action})`;
-            }
-            
-            // Add permissions details
-            const recordPerms = [];
-            if (parameters.can_share === true) recordPerms.push('Can Share');
-            if (parameters.can_write === true) recordPerms.push('Can Write');
-            if (parameters.recursive === true) recordPerms.push('Recursive');
-            
-            if (recordPerms.length > 0) {
-              actionMessage += ` - Permissions: ${recordPerms.join(', ')}`;
-            }
-            
-            // Add expiration info
-            if (parameters.expiration_type === 'expire-at' && parameters.expire_at) {
-              actionMessage += ` - Expires at: ${parameters.expire_at.replace('T', ' ')}`;
-            } else if (parameters.expiration_type === 'expire-in' && parameters.expire_in) {
-              actionMessage += ` - Expires in: ${parameters.expire_in}`;
-            }
+          // Add permissions details
+          const recordPerms = [];
+          if (parameters.can_share === true) recordPerms.push('Can Share');
+          if (parameters.can_write === true) recordPerms.push('Can Write');
+          if (parameters.recursive === true) recordPerms.push('Recursive');
+          
+          if (recordPerms.length > 0) {
+            actionMessage += ` - Permissions: ${recordPerms.join(', ')}`;
           }
-          break;
           
-        case 'share-folder':
-          // Build detailed action description
-          actionDescription = `Share Folder - ${parameters.action ? parameters.action.charAt(0).toUpperCase() + parameters.action.slice(1) : 'Grant'} access to ${parameters.user}`;
+          // Add expiration info
+          if (parameters.expiration_type === 'expire-at' && parameters.expire_at) {
+            actionMessage += ` - Expires at: ${parameters.expire_at.replace('T', ' ')}`;
+          } else if (parameters.expiration_type === 'expire-in' && parameters.expire_in) {
+            actionMessage += ` - Expires in: ${parameters.expire_in}`;
+          }
+        }
+        break;
+        
+      case 'share-folder':
+        // Build detailed action description
+        actionDescription = `Share Folder - ${parameters.action ? parameters.action.charAt(0).toUpperCase() + parameters.action.slice(1) : 'Grant'} access to ${parameters.user}`;
+        
+        // Check if this is a share invitation pending case
+        // Response message can be a string or array
+        const shareFolderMessages = Array.isArray(data.message) ? data.message : [data.message];
+        const folderInvitationMessage = shareFolderMessages.find(msg => 
+          msg && typeof msg === 'string' && msg.includes('Share invitation has been sent to')
+        );
+        
+        if (folderInvitationMessage) {
+          // Extract email from message like "Share invitation has been sent to 'email@example.com'"
+          const emailMatch = folderInvitationMessage.match(/Share invitation has been sent to '([^']+)'/);
+          const invitedEmail = emailMatch ? emailMatch[1] : parameters.user;
           
-          // Check if this is a share invitation pending case
-          // Response message can be a string or array
-          const shareFolderMessages = Array.isArray(data.message) ? data.message : [data.message];
-          const folderInvitationMessage = shareFolderMessages.find(msg => 
-            msg && typeof msg === 'string' && msg.includes('Share invitation has been sent to')
-          );
+          actionMessage = `Share invitation sent to ${invitedEmail}. The invitation is pending acceptance.`;
+          isShareInvitationPending = true;
+        } else {
+          // Build detailed message for share-folder
+          const folderName = parameters.folderTitle ? `"${parameters.folderTitle}"` : 'folder';
+          actionMessage = `Shared ${folderName} folder with ${parameters.user}`;
+          if (parameters.action) {
+            actionMessage += ` (Action: ${parameters.action})`;
+          }
           
-          if (folderInvitationMessage) {
-            // Extract email from message like "Share invitation has been sent to 'email@example.com'"
-            const emailMatch = folderInvitationMessage.match(/Share invitation has been sent to '([^']+)'/);
-            const invitedEmail = emailMatch ? emailMatch[1] : parameters.user;
-            
-            actionMessage = `Share invitation sent to ${invitedEmail}. The invitation is pending acceptance.`;
-            isShareInvitationPending = true;
-          } else {
-            // Build detailed message for share-folder
-            const folderName = parameters.folderTitle ? `"${parameters.folderTitle}"` : 'folder';
-            actionMessage = `Shared ${folderName} folder with ${parameters.user}`;
-            if (parameters.action) {
-              actionMessage += ` (Action: ${parameters.action})`;
-            }
-            
-            // Add permissions details
-            const folderPerms = [];
-            if (parameters.manage_records === true) folderPerms.push('Manage Records');
-            if (parameters.manage_users === true) folderPerms.push('Manage Users');
-            if (parameters.can_share === true) folderPerms.push('Can Share');
-            if (parameters.can_edit === true) folderPerms.push('Can Edit');
-            
-            if (folderPerms.length > 0) {
-              actionMessage += ` - Permissions: ${folderPerms.join(', ')}`;
-            }
-            
-            // Add expiration info
-            if (parameters.expiration_type === 'expire-at' && parameters.expire_at) {
-              actionMessage += ` - Expires at: ${parameters.expire_at.replace('T', ' ')}`;
-            } else if (parameters.expiration_type === 'expire-in' && parameters.expire_in) {
-              actionMessage += ` - Expires in: ${parameters.expire_in}`;
-            }
+          // Add permissions details
+          const folderPerms = [];
+          if (parameters.manage_records === true) folderPerms.push('Manage Records');
+          if (parameters.manage_users === true) folderPerms.push('Manage Users');
+          if (parameters.can_share === true) folderPerms.push('Can Share');
+          if (parameters.can_edit === true) folderPerms.push('Can Edit');
+          
+          if (folderPerms.length > 0) {
+            actionMessage += ` - Permissions: ${folderPerms.join(', ')}`;
           }
-          break;
           
-          default:
-            actionMessage = data.message || 'Keeper action executed successfully';
+          // Add expiration info
+          if (parameters.expiration_type === 'expire-at' && parameters.expire_at) {
+            actionMessage += ` - Expires at: ${parameters.expire_at.replace('T', ' ')}`;
+          } else if (parameters.expiration_type === 'expire-in' && parameters.expire_in) {
+            actionMessage += ` - Expires in: ${parameters.expire_in}`;
+          }
         }
+        break;
+        
+      case 'one-time-share':
+        actionDescription = `Create One-Time Share - Record ${parameters.record}`;
+        actionMessage = await deliverOneTimeShareLink(job, data);
+        break;
+        
+      case 'rm': {
+        const removed = job.vaultChange || { itemUid: parameters.record };
+        actionDescription = `Delete Record - ${removed.itemName ? `"${removed.itemName}"` : removed.itemUid}`;
+        actionMessage = `Deleted record ${removed.itemName ? `"${removed.itemName}"` : '(title unavailable)'} (UID: ${removed.itemUid})`;
+        break;
       }
-      
-      // Build ADF content with panel (matching save/reject request format)
-      let panelTitle = 'Keeper Request Approved and Executed';
-      if (isEpmCommand) {
-        if (command.includes('--approve')) {
-          panelTitle = 'Endpoint Privilege Approval Request - Approved';
-        } else if (command.includes('--deny')) {
-          panelTitle = 'Endpoint Privilege Approval Request - Denied';
-        }
-      } else if (isShareInvitationPending) {
-        panelTitle = 'Keeper Request - Share Invitation Sent';
+        
+      case 'mv': {
+        // Set by executeKeeperAction - the folder parameters are not kept on the job
+        const moved = job.vaultChange;
+        const movedName = moved.itemName ? `"${moved.itemName}" (${moved.itemUid})` : moved.itemUid;
+        actionDescription = `Move ${moved.itemType === 'folder' ? 'Folder' : 'Record'} - ${movedName}`;
+        actionMessage = `Moved ${moved.itemType} ${movedName} from ${moved.sourceFolder} to ${moved.destinationFolder}`;
+        break;
       }
-      
-      const contentArray = [
-        {
-          type: 'text',
-          text: panelTitle,
-          marks: [{ type: 'strong' }]
-        },
-        {
-          type: 'hardBreak'
-        },
-        {
-          type: 'text',
-          text: `Action: ${actionDescription}`
-        },
-        {
-          type: 'hardBreak'
-        },
-        {
-          type: 'text',
-          text: `Result: ${actionMessage}`
+        
+      case 'mkdir':
+        actionDescription = `Create Shared Folder - "${job.sharedFolder.name}"`;
+        actionMessage = await finishSharedFolderCreation(job, data);
+        break;
+        
+      case 'secrets-manager':
+        if (parameters.operation === 'client-add') {
+          actionDescription = `Secrets Manager - Add client to application "${parameters.app}"`;
+          actionMessage = await deliverClientToken(job, data);
+        } else {
+          const change = describeSecretsManagerChange(parameters);
+          actionDescription = change.description;
+          actionMessage = change.message;
         }
-      ];
-      
-      // Add record UID if available
-      if (recordUid) {
-        contentArray.push({
-          type: 'hardBreak'
-        });
-        contentArray.push({
-          type: 'text',
-          text: `Record UID: ${recordUid}`
-        });
+        break;
+        
+      case 'record-history': {
+        const reverted = job.vaultChange || { itemUid: parameters.record };
+        const revertedName = reverted.itemName ? `"${reverted.itemName}" (${reverted.itemUid})` : reverted.itemUid;
+        actionDescription = `Revert Record - ${revertedName}`;
+        actionMessage = `Restored record ${revertedName} to revision ${parameters.revision}`;
+        break;
       }
-      
-      // Add executed by and timestamp
+        
+      case 'enterprise-team':
+        actionDescription = describeTeamMembershipChange(job.teamMembership).description;
+        actionMessage = await recordTeamMembershipChange(job);
+        break;
+        
+      case 'enterprise-user':
+      case 'transfer-user': {
+        const change = describeEnterpriseUserChange(command, parameters);
+        actionDescription = change.description;
+        actionMessage = change.message;
+        summaryDetails = change.details;
+        break;
+      }
+        
+        default:
+          actionMessage = data.message || 'Keeper action executed successfully';
+      }
+    }
+    
+    // Build ADF content with panel (matching save/reject request format)
+    let panelTitle = 'Keeper Request Approved and Executed';
+    if (isEpmCommand) {
+      if (command.includes('--approve')) {
+        panelTitle = 'Endpoint Privilege Approval Request - Approved';
+      } else if (command.includes('--deny')) {
+        panelTitle = 'Endpoint Privilege Approval Request - Denied';
+      }
+    } else if (isShareInvitationPending) {
+      panelTitle = 'Keeper Request - Share Invitation Sent';
+    }
+    
+    const contentArray = [
+      {
+        type: 'text',
+        text: panelTitle,
+        marks: [{ type: 'strong' }]
+      },
+      {
+        type: 'hardBreak'
+      },
+      {
+        type: 'text',
+        text: `Action: ${actionDescription}`
+      },
+      {
+        type: 'hardBreak'
+      },
+      {
+        type: 'text',
+        text: `Result: ${actionMessage}`
+      }
+    ];
+    
+    for (const detail of summaryDetails) {
       contentArray.push({
         type: 'hardBreak'
       });
       contentArray.push({
         type: 'text',
-        text: `Executed by: ${currentUser.displayName}`,
-        marks: [{ type: 'em' }]
+        text: `${detail.label}: `,
+        marks: [{ type: 'strong' }]
+      });
+      contentArray.push({
+        type: 'text',
+        text: String(detail.value)
       });
+    }
+    
+    // Add record UID if available
+    if (recordUid) {
       contentArray.push({
         type: 'hardBreak'
       });
       contentArray.push({
         type: 'text',
-        text: `Executed at: ${timestamp}`,
-        marks: [{ type: 'em' }]
+        text: `Record UID: ${recordUid}`
       });
-      
-      // Use different panel types for different scenarios
-      let panelType = 'success';
-      if (isEpmCommand && command.includes('--deny')) {
-        panelType = 'warning';
-      } else if (isShareInvitationPending) {
-        panelType = 'info';
-      }
-      
-      const adfBody = {
-        version: 1,
-        type: 'doc',
-        content: [
-          {
-            type: 'panel',
-            attrs: {
-              panelType: panelType
-            },
-            content: [
-              {
-                type: 'paragraph',
-                content: contentArray
-              }
-            ]
-          }
-        ]
-      };
+    }
+
+    // Name the connection when the issue was routed away from the default one
+    if (connection && connection.id !== DEFAULT_CONNECTION_ID) {
+      contentArray.push({
+        type: 'hardBreak'
+      });
+      contentArray.push({
+        type: 'text',
+        text: `Connection: ${connection.name}`
+      });
+    }
+
+    // Add executed by and timestamp
+    contentArray.push({
+      type: 'hardBreak'
+    });
+    contentArray.push({
+      type: 'text',
+      text: `Executed by: ${currentUser.displayName}`,
+      marks: [{ type: 'em' }]
+    });
+    contentArray.push({
+      type: 'hardBreak'
+    });
+    contentArray.push({
+      type: 'text',
+      text: `Executed at: ${timestamp}`,
+      marks: [{ type: 'em' }]
+    });
+    
+    // Use different panel types for different scenarios
+    let panelType = 'success';
+    if (isEpmCommand && command.includes('--deny')) {
+      panelType = 'warning';
+    } else if (isShareInvitationPending) {
+      panelType = 'info';
+    }
+    
+    const adfBody = {
+      version: 1,
+      type: 'doc',
+      content: [
+        {
+          type: 'panel',
+          attrs: {
+            panelType: panelType
+          },
+          content: [
+            {
+              type: 'paragraph',
+              content: contentArray
+            }
+          ]
+        }
+      ]
+    };
 
-      // For EPM commands, add appropriate label FIRST (before comment) to prevent race conditions
-      if (isEpmCommand) {
-        try {
-          // Get current labels (with rate limit retry)
-          const issueResponse = await requestJiraAsAppWithRetry(
-            route`/rest/api/3/issue/${issueKey}?fields=labels`,
+    // For EPM commands, add appropriate label FIRST (before comment) to prevent race conditions
+    if (isEpmCommand) {
+      try {
+        // Get current labels (with rate limit retry)
+        const issueResponse = await requestJiraAsAppWithRetry(
+          route`/rest/api/3/issue/${issueKey}?fields=labels`,
+          {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' }
+          },
+          'Get labels for EPM update'
+        );
+        
+        const issueData = await issueResponse.json();
+        const currentLabels = issueData.fields?.labels || [];
+        
+        // Determine which label to add
+        let newLabel = '';
+        if (command.includes('--approve')) {
+          newLabel = 'epm-approved';
+        } else if (command.includes('--deny')) {
+          newLabel = 'epm-denied';
+        }
+        
+        // Add new label if not already present (with rate limit retry)
+        if (newLabel && !currentLabels.includes(newLabel)) {
+          const updatedLabels = [...currentLabels, newLabel];
+          
+          await requestJiraAsAppWithRetry(
+            route`/rest/api/3/issue/${issueKey}`,
             {
-              method: 'GET',
-              headers: { 'Accept': 'application/json' }
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                fields: {
+                  labels: updatedLabels
+                }
+              }),
             },
-            'Get labels for EPM update'
+            'Update EPM label'
           );
-          
-          const issueData = await issueResponse.json();
-          const currentLabels = issueData.fields?.labels || [];
-          
-          // Determine which label to add
-          let newLabel = '';
-          if (command.includes('--approve')) {
-            newLabel = 'epm-approved';
-          } else if (command.includes('--deny')) {
-            newLabel = 'epm-denied';
-          }
-          
-          // Add new label if not already present (with rate limit retry)
-          if (newLabel && !currentLabels.includes(newLabel)) {
-            const updatedLabels = [...currentLabels, newLabel];
-            
-            await requestJiraAsAppWithRetry(
-              route`/rest/api/3/issue/${issueKey}`,
-              {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  fields: {
-                    labels: updatedLabels
-                  }
-                }),
-              },
-              'Update EPM label'
-            );
-          }
-        } catch (labelErr) {
-          logger.error('Failed to add EPM label', labelErr);
-          // Don't fail the entire operation if label update fails
         }
+      } catch (labelErr) {
+        logger.error('Failed to add EPM label', labelErr);
+        // Don't fail the entire operation if label update fails
       }
-      
-      // Add comment back to Jira using ADF format (after label is set, with rate limit retry)
-      await requestJiraAsAppWithRetry(
-        route`/rest/api/3/issue/${issueKey}/comment`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            body: adfBody,
-          }),
-        },
-        'Add command result comment'
-      );
     }
+    
+    // Add comment back to Jira using ADF format (after label is set, with rate limit retry)
+    await requestJiraAsAppWithRetry(
+      route`/rest/api/3/issue/${issueKey}/comment`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          body: adfBody,
+        }),
+      },
+      'Add command result comment'
+    );
+  }
 
-    // Clear stored request data after successful execution (admin approval completed)
+  // Cached list / ls results for this connection no longer reflect the vault
+  if (invalidatesCache(command)) {
     try {
-      await storage.delete(`keeper_request_${issueKey}`);
-    } catch (deleteErr) {
-      // Don't fail the entire operation if cleanup fails
+      await invalidateKeeperCache(connection?.id || DEFAULT_CONNECTION_ID);
+    } catch (cacheErr) {
+      logger.error('Failed to invalidate Keeper read cache', { error: cacheErr.message });
     }
-    
-    return { 
-      success: true, 
-      message: 'Keeper action executed successfully and comment added to issue.',
-      record_uid: record_uid
-    };
-  } catch (err) {
-    // Check for specific error types and provide user-friendly messages
-    const errorMessage = err.message || String(err);
-    
-    // Check if this is an input validation error
-    if (errorMessage.startsWith('Input validation failed:')) {
-      const validationDetails = errorMessage.replace('Input validation failed: ', '');
-      return validationError('parameters', validationDetails);
+  }
+
+  // Clear stored request data after successful execution (admin approval completed) - its requesters are done with it
+  try {
+    await storage.delete(`keeper_request_${issueKey}`);
+    await storage.delete(getRequestHistoryStorageKey(issueKey));
+  } catch (deleteErr) {
+    // Don't fail the entire operation if cleanup fails
+  }
+  
+  return { record_uid };
+}
+
+// ============================================================================
+// Issue Attachment Transfer
+// ============================================================================
+
+/**
+ * Attachments on a Jira issue
+ * @param {string} issueKey - Jira issue key
+ * @param {boolean} asUser - Respect the calling user's permissions
+ * @returns {Promise<Array<Object>>} - `fields.attachment` entries
+ */
+async function fetchIssueAttachments(issueKey, asUser = false) {
+  const request = asUser ? requestJiraAsUserWithRetry : requestJiraAsAppWithRetry;
+  const response = await request(
+    route`/rest/api/3/issue/${issueKey}?fields=attachment`,
+    {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' }
+    },
+    'Get issue attachments'
+  );
+  
+  if (!response.ok) {
+    throw new Error(`Failed to load attachments for ${issueKey} (${response.status})`);
+  }
+  
+  const issueData = await response.json();
+  return issueData.fields?.attachment || [];
+}
+
+/**
+ * Download an issue attachment as base64
+ * @param {Object} item - Transfer item ({ id, filename })
+ * @returns {Promise<string>} - Base64 file content
+ */
+async function downloadJiraAttachment(item) {
+  const response = await requestJiraAsAppWithRetry(
+    route`/rest/api/3/attachment/content/${item.id}`,
+    { method: 'GET' },
+    'Download issue attachment'
+  );
+  
+  if (!response.ok) {
+    throw new Error(`Failed to download "${item.filename}" from Jira (${response.status})`);
+  }
+  
+  const content = Buffer.from(await response.arrayBuffer());
+  if (content.length > ATTACHMENT_LIMITS.maxBytes) {
+    throw new Error(`"${item.filename}" is larger than the upload limit`);
+  }
+  return content.toString('base64');
+}
+
+/**
+ * Remove uploaded files from Jira (when requested) and comment where they now live
+ * @param {Object} job - Job record
+ * @param {Object} transfer - Finished attachment transfer
+ * @returns {Promise<void>}
+ */
+async function finishAttachmentTransfer(job, transfer) {
+  const uploaded = transfer.items.filter(item => item.status === TRANSFER_ITEM_STATUS.UPLOADED);
+  const failed = transfer.items.filter(item => item.status === TRANSFER_ITEM_STATUS.FAILED);
+  
+  // The job's own invalidation ran before these files were added to the record
+  if (uploaded.length > 0) {
+    try {
+      await invalidateKeeperCache(job.connection?.id || DEFAULT_CONNECTION_ID);
+    } catch (cacheErr) {
+      logger.error('Failed to invalidate Keeper read cache', { error: cacheErr.message });
     }
-    
-    // Check if this is a rate limit error
-    if (err.rateLimited) {
-      return rateLimitError(
-        err.limitType || 'minute',
-        err.retryAfter || 60,
-        0
-      );
+  }
+  
+  const deleted = [];
+  if (transfer.deleteFromJira) {
+    for (const item of uploaded) {
+      try {
+        const response = await requestJiraAsAppWithRetry(
+          route`/rest/api/3/attachment/${item.id}`,
+          { method: 'DELETE' },
+          'Delete transferred attachment'
+        );
+        if (response.ok) {
+          deleted.push(item);
+        } else {
+          logger.warn('Failed to delete transferred attachment', { issueKey: job.issueKey, attachmentId: item.id, status: response.status });
+        }
+      } catch (deleteErr) {
+        logger.error('Failed to delete transferred attachment', { issueKey: job.issueKey, attachmentId: item.id, error: deleteErr.message });
+      }
     }
+  }
+  
+  const recordName = transfer.recordTitle ? `"${transfer.recordTitle}" (${transfer.recordUid})` : transfer.recordUid;
+  const contentArray = [
+    { type: 'text', text: 'Issue Attachments Moved to Keeper', marks: [{ type: 'strong' }] }
+  ];
+  const addLine = (text, marks) => {
+    contentArray.push({ type: 'hardBreak' });
+    contentArray.push(marks ? { type: 'text', text, marks } : { type: 'text', text });
+  };
+  
+  if (uploaded.length > 0) {
+    addLine(`Stored on Keeper record ${recordName}: ${uploaded.map(item => item.filename).join(', ')}`);
+  }
+  if (deleted.length > 0) {
+    addLine(`Removed from this issue: ${deleted.map(item => item.filename).join(', ')}`);
+  }
+  for (const item of failed) {
+    addLine(`Not uploaded: ${item.filename} - ${item.error || 'Unknown error'}`);
+  }
+  if (job.connection && job.connection.id !== DEFAULT_CONNECTION_ID) {
+    addLine(`Connection: ${job.connection.name}`);
+  }
+  addLine(`Executed by: ${job.requestedBy?.displayName || 'Unknown User'}`, [{ type: 'em' }]);
+  
+  await requestJiraAsAppWithRetry(
+    route`/rest/api/3/issue/${job.issueKey}/comment`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        body: {
+          version: 1,
+          type: 'doc',
+          content: [
+            {
+              type: 'panel',
+              attrs: { panelType: failed.length > 0 ? 'warning' : 'success' },
+              content: [{ type: 'paragraph', content: contentArray }]
+            }
+          ]
+        }
+      })
+    },
+    'Add attachment transfer comment'
+  );
+}
+
+/**
+ * Run one step of a job's attachment transfer: check the upload in flight, or
+ * download and submit the next file. Finishes the job once every file is done.
+ * @param {Object} job - Job record in the attaching state
+ * @returns {Promise<Object>} - Job status response
+ */
+async function advanceAttachmentTransfer(job) {
+  const jobKey = getJobStorageKey(job.jobId);
+  
+  if (!canClaimTransferStep(job.attachmentTransfer)) {
+    return buildJobStatusResponse(job);
+  }
+  await storage.set(jobKey, {
+    ...job,
+    attachmentTransfer: { ...job.attachmentTransfer, claimedAt: new Date().toISOString() }
+  });
+  
+  let transfer = job.attachmentTransfer;
+  
+  try {
+    const uploading = getUploadingItem(transfer);
+    const next = getNextPendingItem(transfer);
     
-    // Check if this is a record owner error (user already owns the record)
-    if (isRecordOwnerError(errorMessage)) {
-      return errorResponse(
-        ERROR_CODES.KEEPER_PERMISSION_DENIED,
-        'Cannot share record with its owner. The selected user is the current owner of this record and already has full permissions.',
-        { troubleshooting: ['Select a different user to share with', 'The record owner already has full access'] }
-      );
+    if (uploading) {
+      let outcome;
+      try {
+        outcome = await getKeeperCommandOutcome(uploading.requestId, job.connection?.id);
+      } catch (err) {
+        outcome = /not found/i.test(err.message || '') ? { status: JOB_STATUS.FAILED, error: err.message } : { status: JOB_STATUS.PROCESSING };
+      }
+      if (outcome.status === JOB_STATUS.COMPLETED) {
+        transfer = updateTransferItem(transfer, uploading.id, { status: TRANSFER_ITEM_STATUS.UPLOADED });
+      } else if (outcome.status === JOB_STATUS.FAILED) {
+        transfer = updateTransferItem(transfer, uploading.id, { status: TRANSFER_ITEM_STATUS.FAILED, error: outcome.error });
+      }
+    } else if (next) {
+      try {
+        if (!transfer.recordUid) {
+          throw new Error('The Keeper record UID was not returned');
+        }
+        const content = await downloadJiraAttachment(next);
+        const submission = await submitKeeperApiCommand(buildUploadCommand(transfer.recordUid), {
+          skipRateLimit: true, // Part of an action the user already spent quota on
+          routeContext: { connectionId: job.connection?.id },
+          filedata: buildUploadFiledata(next, content)
+        });
+        transfer = updateTransferItem(transfer, next.id, { status: TRANSFER_ITEM_STATUS.UPLOADING, requestId: submission.requestId });
+      } catch (err) {
+        logger.warn('Attachment upload could not be submitted', { jobId: job.jobId, attachmentId: next.id, error: err.message });
+        transfer = updateTransferItem(transfer, next.id, { status: TRANSFER_ITEM_STATUS.FAILED, error: err.message });
+      }
     }
     
-    // Check if this is a permission conflict error
-    if (isPermissionConflictError(errorMessage)) {
-      return errorResponse(
-        ERROR_CODES.KEEPER_PERMISSION_DENIED,
-        'Cannot grant access - permission conflict. The user may already have different access to this record. Please revoke their existing access first, then try again.',
-        { troubleshooting: ['Revoke existing access for this user first', 'Then grant the new access level'] }
-      );
+    if (!isTransferDone(transfer)) {
+      const updatedJob = { ...job, attachmentTransfer: { ...transfer, claimedAt: null }, updatedAt: new Date().toISOString() };
+      await storage.set(jobKey, updatedJob);
+      return buildJobStatusResponse(updatedJob);
     }
     
-    // Return Keeper error with automatic error type detection
-    return keeperError(errorMessage, err);
+    await finishAttachmentTransfer(job, transfer);
+    
+    const completedJob = {
+      ...job,
+      status: JOB_STATUS.COMPLETED,
+      attachmentTransfer: { ...transfer, claimedAt: null },
+      completedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await storage.set(jobKey, completedJob);
+    await storage.delete(getIssueJobStorageKey(job.issueKey));
+    logger.info('getKeeperJobStatus: Attachment transfer completed', { jobId: job.jobId, ...getTransferProgress(transfer) });
+    return buildJobStatusResponse(completedJob);
+  } catch (err) {
+    // Leave the step claimable again once the claim goes stale
+    logger.error('getKeeperJobStatus: Attachment transfer step failed', { jobId: job.jobId, error: err.message });
+    return keeperError(`Record saved but uploading issue attachments failed: ${err.message}`, err);
+  }
+}
+
+/**
+ * Build the resolver response for a job record
+ * @param {Object} job - Job record
+ * @returns {Object} - Pending, success or structured error response
+ */
+function buildJobStatusResponse(job) {
+  if (job.status === JOB_STATUS.COMPLETED) {
+    return successResponse(
+      {
+        jobId: job.jobId,
+        status: job.status,
+        record_uid: job.record_uid || null,
+        ...(job.attachmentTransfer ? { attachments: getTransferProgress(job.attachmentTransfer) } : {})
+      },
+      'Keeper action executed successfully and comment added to issue.'
+    );
+  }
+  
+  if (job.status === JOB_STATUS.FAILED) {
+    return { ...job.error, jobId: job.jobId, status: job.status };
+  }
+  
+  if (job.status === JOB_STATUS.ATTACHING) {
+    return successResponse({
+      pending: true,
+      jobId: job.jobId,
+      status: job.status,
+      record_uid: job.record_uid || null,
+      attachments: getTransferProgress(job.attachmentTransfer)
+    });
+  }
+  
+  return successResponse({ pending: true, jobId: job.jobId, status: job.status });
+}
+
+/**
+ * Check a Keeper action job (called from issue panel while an action is running)
+ * Accepts either a jobId or an issueKey (resumes the active job for that issue after a reload).
+ * When Commander reports completion, the post-execution work runs here exactly once.
+ */
+resolver.define('getKeeperJobStatus', async (req) => {
+  let payload = req?.payload?.payload || req?.payload || req;
+  const { jobId: requestedJobId, issueKey } = payload || {};
+  
+  if (!requestedJobId && !issueKey) {
+    return validationError('jobId', 'Job id or issue key is required');
+  }
+  
+  const jobId = requestedJobId || await storage.get(getIssueJobStorageKey(issueKey));
+  if (!jobId) {
+    return successResponse({ job: null });
   }
+  
+  return advanceKeeperJob(jobId);
 });
 
+/**
+ * Move a job on from its Commander status: record a failure, or run the post-execution
+ * work once it has completed. Also used by the workflow post-function and validator.
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object>} - Job status response
+ */
+async function advanceKeeperJob(jobId) {
+  const jobKey = getJobStorageKey(jobId);
+  const job = await storage.get(jobKey);
+  if (!job) {
+    return errorResponse(ERROR_CODES.KEEPER_COMMAND_FAILED, `Keeper job ${jobId} was not found. It may have already been cleaned up.`);
+  }
+  
+  if (isTerminalStatus(job.status)) {
+    return buildJobStatusResponse(job);
+  }
+  
+  if (job.status === JOB_STATUS.ATTACHING) {
+    return advanceAttachmentTransfer(job);
+  }
+  
+  if (job.status === JOB_STATUS.FINALIZING && !canClaimForFinalization(job)) {
+    return buildJobStatusResponse(job);
+  }
+  
+  let outcome;
+  try {
+    outcome = await getKeeperCommandOutcome(job.requestId, job.connection?.id);
+  } catch (err) {
+    // Transient status errors keep the job pending; an unknown request id cannot recover
+    if (/not found/i.test(err.message || '')) {
+      outcome = { status: JOB_STATUS.FAILED, error: err.message };
+    } else {
+      logger.warn('getKeeperJobStatus: Status check failed', { jobId, error: err.message });
+      return buildJobStatusResponse(job);
+    }
+  }
+  
+  if (outcome.status === JOB_STATUS.FAILED) {
+    const failedJob = {
+      ...job,
+      status: JOB_STATUS.FAILED,
+      error: mapKeeperActionError(new Error(outcome.error)),
+      updatedAt: new Date().toISOString()
+    };
+    await storage.set(jobKey, failedJob);
+    await storage.delete(getIssueJobStorageKey(job.issueKey));
+    logger.warn('getKeeperJobStatus: Job failed', { jobId, issueKey: job.issueKey });
+    return buildJobStatusResponse(failedJob);
+  }
+  
+  if (outcome.status !== JOB_STATUS.COMPLETED) {
+    if (outcome.status !== job.status) {
+      await storage.set(jobKey, { ...job, status: outcome.status, updatedAt: new Date().toISOString() });
+    }
+    return successResponse({ pending: true, jobId, status: outcome.status });
+  }
+  
+  // Re-read before claiming so two concurrent polls don't both post the comment
+  const latest = await storage.get(jobKey);
+  if (!canClaimForFinalization(latest)) {
+    return buildJobStatusResponse(latest);
+  }
+  
+  const now = new Date().toISOString();
+  await storage.set(jobKey, { ...latest, status: JOB_STATUS.FINALIZING, finalizingAt: now, updatedAt: now });
+  
+  try {
+    const { record_uid } = await completeKeeperActionJob(latest, outcome.result);
+    
+    // The record exists now - upload the selected issue attachments over the next polls
+    if (latest.attachmentTransfer) {
+      const attachingJob = {
+        ...latest,
+        status: JOB_STATUS.ATTACHING,
+        record_uid: record_uid || null,
+        attachmentTransfer: {
+          ...latest.attachmentTransfer,
+          recordUid: record_uid || latest.parameters?.record || null
+        },
+        updatedAt: new Date().toISOString()
+      };
+      await storage.set(jobKey, attachingJob);
+      logger.info('getKeeperJobStatus: Record ready, uploading attachments', { jobId, issueKey: latest.issueKey });
+      return buildJobStatusResponse(attachingJob);
+    }
+    
+    const completedJob = {
+      ...latest,
+      status: JOB_STATUS.COMPLETED,
+      record_uid: record_uid || null,
+      completedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await storage.set(jobKey, completedJob);
+    await storage.delete(getIssueJobStorageKey(latest.issueKey));
+    logger.info('getKeeperJobStatus: Job completed', { jobId, issueKey: latest.issueKey });
+    return buildJobStatusResponse(completedJob);
+  } catch (err) {
+    // Leave the job claimable again once the finalizing claim goes stale
+    logger.error('getKeeperJobStatus: Post-execution work failed', { jobId, error: err.message });
+    return keeperError(`Keeper action completed but updating the issue failed: ${err.message}`, err);
+  }
+}
+
 /**
  * Helper function to detect record owner/share errors from Keeper API response
  * This is a fallback - the pre-check should catch owner issues before command execution
@@ -2329,96 +4257,105 @@ resolver.define('rejectKeeperRequest', async (req) => {
   const { issueKey, rejectionReason, formattedTimestamp } = req.payload;
   
   logger.info('rejectKeeperRequest: Processing Keeper request rejection', { issueKey });
-  
-  if (!issueKey) {
-    return validationError('issueKey', 'Issue key is required');
-  }
-  
-  if (!rejectionReason || !rejectionReason.trim()) {
-    return validationError('rejectionReason', 'Rejection reason is required');
-  }
-
-  try {
-    // Get current user info
-    const currentUser = await getCurrentUser();
-
-    // Create ADF (Atlassian Document Format) for the rejection comment
-    const adfBody = {
-      version: 1,
-      type: 'doc',
-      content: [
-        {
-          type: 'panel',
-          attrs: {
-            panelType: 'error'
-          },
-          content: [
-            {
-              type: 'paragraph',
-              content: [
-                {
-                  type: 'text',
-                  text: 'Keeper Request Rejected',
-                  marks: [{ type: 'strong' }]
-                },
-                {
-                  type: 'hardBreak'
-                },
-                {
-                  type: 'text',
-                  text: `Reason: ${rejectionReason.trim()}`
-                },
-                {
-                  type: 'hardBreak'
-                },
-                {
-                  type: 'text',
-                  text: `Rejected by: ${currentUser.displayName}`,
-                  marks: [{ type: 'em' }]
-                },
-                {
-                  type: 'hardBreak'
-                },
-                {
-                  type: 'text',
-                  text: `Rejected at: ${formattedTimestamp}`,
-                  marks: [{ type: 'em' }]
-                }
-              ]
-            }
-          ]
-        }
-      ]
-    };
+  
+  if (!issueKey) {
+    return validationError('issueKey', 'Issue key is required');
+  }
+  
+  if (!rejectionReason || !rejectionReason.trim()) {
+    return validationError('rejectionReason', 'Rejection reason is required');
+  }
 
-    // Add rejection comment to Jira using ADF format (with rate limit retry)
-    await requestJiraAsAppWithRetry(
-      route`/rest/api/3/issue/${issueKey}/comment`,
+  // Get current user info
+  const currentUser = await getCurrentUser();
+  await rejectStoredRequest(issueKey, {
+    reason: rejectionReason.trim(),
+    rejectedBy: currentUser.displayName,
+    formattedTimestamp
+  });
+  
+  return { 
+    success: true, 
+    message: 'Request has been rejected and a comment has been added to the issue.' 
+  };
+});
+
+/**
+ * Comment the rejection on the issue and clear the stored request
+ * Shared by admins rejecting from the issue panel and the scheduled expiry check.
+ * @param {string} issueKey - Jira issue key
+ * @param {Object} rejection - { reason, rejectedBy, formattedTimestamp }
+ */
+async function rejectStoredRequest(issueKey, { reason, rejectedBy, formattedTimestamp }) {
+  // Create ADF (Atlassian Document Format) for the rejection comment
+  const adfBody = {
+    version: 1,
+    type: 'doc',
+    content: [
       {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          body: adfBody,
-        }),
-      },
-      'Add rejection comment'
-    );
+        type: 'panel',
+        attrs: {
+          panelType: 'error'
+        },
+        content: [
+          {
+            type: 'paragraph',
+            content: [
+              {
+                type: 'text',
+                text: 'Keeper Request Rejected',
+                marks: [{ type: 'strong' }]
+              },
+              {
+                type: 'hardBreak'
+              },
+              {
+                type: 'text',
+                text: `Reason: ${reason}`
+              },
+              {
+                type: 'hardBreak'
+              },
+              {
+                type: 'text',
+                text: `Rejected by: ${rejectedBy}`,
+                marks: [{ type: 'em' }]
+              },
+              {
+                type: 'hardBreak'
+              },
+              {
+                type: 'text',
+                text: `Rejected at: ${formattedTimestamp || new Date().toISOString()}`,
+                marks: [{ type: 'em' }]
+              }
+            ]
+          }
+        ]
+      }
+    ]
+  };
 
-    // Clear stored request data after rejection (admin review completed)
-    try {
-      await storage.delete(`keeper_request_${issueKey}`);
-    } catch (deleteErr) {
-      // Don't fail the entire operation if cleanup fails
-    }
-    
-    return { 
-      success: true, 
-      message: 'Request has been rejected and a comment has been added to the issue.' 
-    };
-  } catch (err) {
-    throw err;
+  // Add rejection comment to Jira using ADF format (with rate limit retry)
+  await requestJiraAsAppWithRetry(
+    route`/rest/api/3/issue/${issueKey}/comment`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        body: adfBody,
+      }),
+    },
+    'Add rejection comment'
+  );
+
+  // Clear stored request data after rejection (admin review completed)
+  try {
+    await storage.delete(`keeper_request_${issueKey}`);
+  } catch (deleteErr) {
+    // Don't fail the entire operation if cleanup fails
   }
-});
+}
 
 /**
  * Activate Keeper panel for all users on an issue
@@ -2555,7 +4492,7 @@ resolver.define('getUserRole', async (req) => {
 
 /**
  * Get web trigger URL using Forge SDK
- * Returns URL and token separately - token should be used in Authorization header
+ * The token itself is only shown once, when it is generated
  */
 resolver.define('getWebTriggerUrl', async () => {
   try {
@@ -2565,10 +4502,7 @@ resolver.define('getWebTriggerUrl', async () => {
     return {
       success: true,
       url: url,
-      hasToken: !!(config && config.webhookToken),
-      // Include token for display/copy in UI (to configure in Keeper webhook settings)
-      bearerToken: config?.webhookToken || null,
-      authHeader: config?.webhookToken ? `Bearer ${config.webhookToken}` : null
+      hasToken: !!(config && (config.webhookTokenHash || config.webhookToken))
     };
   } catch (err) {
     throw new Error(`Failed to get web trigger URL: ${err.message}`);
@@ -2577,20 +4511,21 @@ resolver.define('getWebTriggerUrl', async () => {
 
 /**
  * Get web trigger configuration
- * Note: webhookToken is included so UI can show if token is configured
+ * Note: only token presence and a preview are returned, never the token
  */
 resolver.define('getWebTriggerConfig', async () => {
-  const config = await storage.get('webTriggerConfig');
+  let config = await storage.get('webTriggerConfig');
+  if (config?.webhookToken) {
+    await migrateSecretsToSecretStorage();
+    config = await storage.get('webTriggerConfig');
+  }
   if (!config) return {};
   
-  // Return config with token presence indicator (not the actual token for security)
   return {
     projectKey: config.projectKey,
     issueType: config.issueType,
-    hasWebhookToken: !!config.webhookToken,
-    webhookTokenPreview: config.webhookToken 
-      ? `${config.webhookToken.substring(0, 8)}...${config.webhookToken.substring(config.webhookToken.length - 4)}`
-      : null
+    hasWebhookToken: !!config.webhookTokenHash,
+    webhookTokenPreview: config.webhookTokenPreview || null
   };
 });
 
@@ -2613,10 +4548,10 @@ resolver.define('setWebTriggerConfig', async (req) => {
   const existingConfig = await storage.get('webTriggerConfig') || {};
   
   const configToSave = { 
+    // Preserve existing token hash and preview unless explicitly clearing them
+    ...existingConfig,
     projectKey, 
-    issueType,
-    // Preserve existing token unless explicitly clearing it
-    webhookToken: existingConfig.webhookToken
+    issueType
   };
   
   await storage.set('webTriggerConfig', configToSave);
@@ -2637,13 +4572,15 @@ resolver.define('generateWebhookToken', async (req) => {
     // Generate a new secure token
     const newToken = generateWebhookToken();
     
-    // Get existing config
-    const existingConfig = await storage.get('webTriggerConfig') || {};
+    // Get existing config (dropping any plaintext token saved before secret storage)
+    const { webhookToken, ...existingConfig } = await storage.get('webTriggerConfig') || {};
+    
+    // The token goes to secret storage; the config keeps its hash for webhook validation
+    await storage.setSecret(SECRET_KEYS.webhookToken, newToken);
     
-    // Update config with new token
     const updatedConfig = {
       ...existingConfig,
-      webhookToken: newToken,
+      ...buildWebhookTokenFields(newToken),
       tokenGeneratedAt: new Date().toISOString()
     };
     
@@ -2660,7 +4597,7 @@ resolver.define('generateWebhookToken', async (req) => {
       webhookUrl: webhookUrl,
       bearerToken: newToken,
       authHeader: `Bearer ${newToken}`,
-      tokenPreview: `${newToken.substring(0, 8)}...${newToken.substring(newToken.length - 4)}`,
+      tokenPreview: updatedConfig.webhookTokenPreview,
       generatedAt: updatedConfig.tokenGeneratedAt,
       instructions: 'Add this header to your Keeper webhook configuration: Authorization: Bearer <token>'
     };
@@ -2683,10 +4620,11 @@ resolver.define('revokeWebhookToken', async () => {
     const updatedConfig = {
       projectKey: existingConfig.projectKey,
       issueType: existingConfig.issueType
-      // Deliberately not including webhookToken
+      // Deliberately not including webhookToken / webhookTokenHash
     };
     
     await storage.set('webTriggerConfig', updatedConfig);
+    await storage.deleteSecret(SECRET_KEYS.webhookToken);
     
     return {
       success: true,
@@ -2732,13 +4670,14 @@ resolver.define('clearWebhookAuditLogs', async () => {
 
 /**
  * Get current user's rate limit status
- * Returns remaining commands in minute/hour windows
+ * Returns usage of the user, project (issue panel only) and global budgets
  */
 resolver.define('getRateLimitStatus', async (req) => {
   const userId = req?.context?.accountId;
+  const projectKey = req?.context?.extension?.project?.key || null;
   
   try {
-    const status = await getRateLimitStatus(userId);
+    const status = await getRateLimitStatus(userId, projectKey);
     return {
       success: true,
       ...status
@@ -3683,6 +5622,42 @@ resolver.define('addEpmExpiredComment', async (req) => {
   }
 });
 
+/**
+ * Fetch the current user's ADMINISTER and ADMINISTER_PROJECTS permissions
+ * Single API call checks both permission types (with rate limit retry)
+ * @returns {Promise<Object|null>} - mypermissions response or null when the call failed
+ */
+async function fetchGlobalAdminPermissions() {
+  try {
+    const permResponse = await requestJiraAsUserWithRetry(
+      route`/rest/api/3/mypermissions?permissions=ADMINISTER,ADMINISTER_PROJECTS`,
+      {},
+      'Check global admin permissions'
+    );
+    
+    if (permResponse && permResponse.ok) {
+      const permissionsData = await permResponse.json();
+      
+      if (permissionsData && Object.keys(permissionsData).length > 0) {
+        return permissionsData;
+      }
+    }
+  } catch (permErr) {
+    // Permissions API call failed - caller treats this as non-admin
+  }
+  return null;
+}
+
+/**
+ * Server-side equivalent of getGlobalUserRole's isAdmin flag
+ * @returns {Promise<boolean>} - True for global or project administrators
+ */
+async function isGlobalUserAdmin() {
+  const permissionsData = await fetchGlobalAdminPermissions();
+  return permissionsData?.permissions?.ADMINISTER?.havePermission === true ||
+    permissionsData?.permissions?.ADMINISTER_PROJECTS?.havePermission === true;
+}
+
 /**
  * Check if current user has Administrator permissions
  * Checks for both Global Admin (ADMINISTER) and Project Admin (ADMINISTER_PROJECTS)
@@ -3705,24 +5680,7 @@ resolver.define('getGlobalUserRole', async (req) => {
     }
     
     // Check for both global admin (ADMINISTER) and project admin (ADMINISTER_PROJECTS) permissions
-    // Single API call checks both permission types (with rate limit retry)
-    try {
-      const permResponse = await requestJiraAsUserWithRetry(
-        route`/rest/api/3/mypermissions?permissions=ADMINISTER,ADMINISTER_PROJECTS`,
-        {},
-        'Check global admin permissions'
-      );
-      
-      if (permResponse && permResponse.ok) {
-        const permissionsData = await permResponse.json();
-        
-        if (permissionsData && Object.keys(permissionsData).length > 0) {
-          permissionsApiResponse = permissionsData;
-        }
-      }
-    } catch (permErr) {
-      // Permissions API call failed - will use fallback
-    }
+    permissionsApiResponse = await fetchGlobalAdminPermissions();
     
     // Process results if we have data
     if ((userApiResponse && Object.keys(userApiResponse).length > 0) || 
@@ -3906,6 +5864,146 @@ resolver.define('getProjectAdmins', async (req) => {
   }
 });
 
+/**
+ * One-time share link waiting for the current user on this issue (called from issue panel)
+ * Anyone else - including the approver - only learns that a link exists.
+ */
+resolver.define('getOneTimeShareLink', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  const issueKey = payload?.issueKey;
+  
+  if (!issueKey) {
+    return validationError('issueKey', 'Issue key is required');
+  }
+  
+  const storageKey = getShareLinkStorageKey(issueKey);
+  const linkRecord = await storage.get(storageKey);
+  if (!linkRecord) {
+    return successResponse({ link: null });
+  }
+  
+  if (isShareLinkExpired(linkRecord)) {
+    await storage.delete(storageKey);
+    return successResponse({ link: null });
+  }
+  
+  if (!canViewShareLink(linkRecord, userId)) {
+    return successResponse({ link: null, pendingFor: linkRecord.recipientName });
+  }
+  
+  const { url, recordUid, expireIn, createdAt, expiresAt } = linkRecord;
+  return successResponse({ link: { url, recordUid, expireIn, createdAt, expiresAt } });
+});
+
+/**
+ * Last team membership change made on this issue and the request that reverses it (called from issue panel)
+ */
+resolver.define('getTeamMembership', async (req) => {
+  let payload = req?.payload?.payload || req?.payload || req;
+  const issueKey = payload?.issueKey;
+  
+  if (!issueKey) {
+    return validationError('issueKey', 'Issue key is required');
+  }
+  
+  try {
+    const propertyResponse = await requestJiraAsAppWithRetry(
+      route`/rest/api/3/issue/${issueKey}/properties/${TEAM_MEMBERSHIP_PROPERTY_KEY}`,
+      {
+        method: 'GET',
+        headers: { 'Accept': 'application/json' }
+      },
+      'Get team membership change'
+    );
+    if (!propertyResponse.ok) {
+      return successResponse({ membership: null, reversal: null });
+    }
+    const propertyData = await propertyResponse.json();
+    const membership = propertyData.value || null;
+    return successResponse({ membership, reversal: getReversalRequest(membership) });
+  } catch (error) {
+    logger.warn('Failed to read team membership change', { issueKey, error: error.message });
+    return successResponse({ membership: null, reversal: null });
+  }
+});
+
+/**
+ * Remove a delivered one-time share link once the requester has passed it on (called from issue panel)
+ */
+resolver.define('dismissOneTimeShareLink', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  const issueKey = payload?.issueKey;
+  
+  if (!issueKey) {
+    return validationError('issueKey', 'Issue key is required');
+  }
+  
+  const storageKey = getShareLinkStorageKey(issueKey);
+  const linkRecord = await storage.get(storageKey);
+  if (linkRecord && !canViewShareLink(linkRecord, userId)) {
+    return errorResponse(ERROR_CODES.AUTH_PERMISSION_DENIED, 'Only the requester can dismiss this share link');
+  }
+  
+  await storage.delete(storageKey);
+  return successResponse({}, 'Share link removed');
+});
+
+/**
+ * KSM client token waiting for the current user on this issue (called from issue panel)
+ * Anyone else - including the approver - only learns that a token was delivered.
+ */
+resolver.define('getKsmClientToken', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  const issueKey = payload?.issueKey;
+  
+  if (!issueKey) {
+    return validationError('issueKey', 'Issue key is required');
+  }
+  
+  const storageKey = getClientTokenStorageKey(issueKey);
+  const tokenRecord = await storage.get(storageKey);
+  if (!tokenRecord) {
+    return successResponse({ clientToken: null });
+  }
+  
+  if (isClientTokenExpired(tokenRecord)) {
+    await storage.delete(storageKey);
+    return successResponse({ clientToken: null });
+  }
+  
+  if (!canViewClientToken(tokenRecord, userId)) {
+    return successResponse({ clientToken: null, pendingFor: tokenRecord.recipientName });
+  }
+  
+  const { token, app, clientName, createdAt, expiresAt } = tokenRecord;
+  return successResponse({ clientToken: { token, app, clientName, createdAt, expiresAt } });
+});
+
+/**
+ * Remove a delivered KSM client token once the requester has used it (called from issue panel)
+ */
+resolver.define('dismissKsmClientToken', async (req) => {
+  const userId = req?.context?.accountId;
+  let payload = req?.payload?.payload || req?.payload || req;
+  const issueKey = payload?.issueKey;
+  
+  if (!issueKey) {
+    return validationError('issueKey', 'Issue key is required');
+  }
+  
+  const storageKey = getClientTokenStorageKey(issueKey);
+  const tokenRecord = await storage.get(storageKey);
+  if (tokenRecord && !canViewClientToken(tokenRecord, userId)) {
+    return errorResponse(ERROR_CODES.AUTH_PERMISSION_DENIED, 'Only the requester can dismiss this client token');
+  }
+  
+  await storage.delete(storageKey);
+  return successResponse({}, 'Client token removed');
+});
+
 /**
  * Store request data for admin approval
  */
@@ -3922,6 +6020,11 @@ resolver.define('storeRequestData', async (req) => {
     return validationError('requestData', 'Request data is required');
   }
   
+  // Requests are built from the action's own fields - a pre-formatted command is never stored or auto-approved
+  if (requestData.formData?.cliCommand !== undefined) {
+    return validationError('cliCommand', 'Pre-formatted commands cannot be saved as a request', ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+  
   try {
     // Get current user info
     const currentUser = await getCurrentUser();
@@ -3930,21 +6033,108 @@ resolver.define('storeRequestData', async (req) => {
     const existingData = await storage.get(`keeper_request_${issueKey}`);
     const isUpdate = !!existingData;
     
-    // Store the request data with user info and issue key
+    // One-time share links and KSM client tokens go to the requester - a re-save must not make someone else the recipient
+    if (!canReplaceShareRequest(existingData, requestData, currentUser.accountId) ||
+        !canReplaceClientTokenRequest(existingData, requestData, currentUser.accountId)) {
+      logger.warn('storeRequestData: Rejected re-save of another user\'s privately delivered request', { issueKey, accountId: currentUser.accountId || 'unknown' });
+      return errorResponse(ERROR_CODES.AUTH_PERMISSION_DENIED, 'Only the user who raised this request can change it while a one-time share link or client token is involved');
+    }
+    
+    // Anyone else saving over the request could take over or reset it - only the requester or an admin may
+    if (isUpdate && !canChangeStoredRequest(existingData, currentUser.accountId, await isGlobalUserAdmin())) {
+      logger.warn('storeRequestData: Rejected re-save of another user\'s request', { issueKey, accountId: currentUser.accountId || 'unknown' });
+      return errorResponse(ERROR_CODES.AUTH_PERMISSION_DENIED, 'Only the user who raised this request or a Jira administrator can change it');
+    }
+    const actionLabel = requestData.selectedAction?.label || 'Keeper Action';
+    const approvalChain = await loadApprovalChain(issueKey, requestData.selectedAction?.value);
+    
+    const policy = await evaluateRequestPolicy(issueKey, requestData, {
+      userId: currentUser.accountId,
+      skipRateLimit: true,
+      routeContext: await getRouteContext(req, issueKey)
+    });
+    if (policy.outcome === POLICY_OUTCOME.DENY) {
+      logger.warn('storeRequestData: Request denied by approval policy', { issueKey, rule: policy.rule.name });
+      await addPanelComment(issueKey, {
+        panelType: 'error',
+        heading: 'Keeper Request Denied',
+        lines: [`Action: ${actionLabel}`, `Denied by the "${policy.rule.name}" approval policy rule.`],
+        footer: [`Requested by: ${currentUser.displayName}`, `Requested at: ${formattedTimestamp}`]
+      });
+      return errorResponse(
+        ERROR_CODES.APPROVAL_POLICY_DENIED,
+        `This request is not allowed by the "${policy.rule.name}" approval policy rule`,
+        { details: { rule: policy.rule.name } }
+      );
+    }
+    
+    // Store the request data with user info and issue key - an update keeps whoever raised the request
     const dataToStore = {
       ...requestData,
       issueKey: issueKey, // Store the issueKey within the data for validation
-      submittedBy: {
+      submittedBy: existingData?.submittedBy || {
         userKey: currentUser.accountId,
         displayName: currentUser.displayName,
         emailAddress: currentUser.emailAddress
       },
       submittedAt: new Date().toISOString(),
-      status: 'pending'
+      status: 'pending',
+      // A changed request has to go through its approval chain again
+      approvals: []
     };
     
     await storage.set(`keeper_request_${issueKey}`, dataToStore);
     
+    // Separation of duties checks this history, so clearing the request later does not hide who raised it
+    const historyKey = getRequestHistoryStorageKey(issueKey);
+    await storage.set(historyKey, addRequestHistoryEntry(await storage.get(historyKey), {
+      accountId: dataToStore.submittedBy.userKey,
+      action: requestData.selectedAction?.value || null,
+      submittedAt: dataToStore.submittedAt
+    }));
+    
+    // Low-risk requests run straight away - the stored request is cleared when the job completes.
+    // A project's approval chain still takes precedence.
+    let policyLine = [];
+    if (policy.outcome === POLICY_OUTCOME.AUTO_APPROVE && approvalChain) {
+      policyLine = [
+        { type: 'text', text: `Approval policy: the "${policy.rule.name}" rule does not apply while this project has an approval chain` },
+        { type: 'hardBreak' }
+      ];
+    } else if (policy.outcome === POLICY_OUTCOME.AUTO_APPROVE) {
+      const result = await runKeeperAction({
+        context: req.context,
+        payload: {
+          issueKey,
+          command: policy.request.action,
+          commandDescription: requestData.selectedAction?.description || actionLabel,
+          parameters: policy.request.parameters,
+          formattedTimestamp
+        }
+      }, { policyApproved: true }).catch(err => ({ success: false, message: err.message }));
+      
+      if (result.success) {
+        logger.info('storeRequestData: Request auto-approved', { issueKey, rule: policy.rule.name, jobId: result.jobId });
+        await addPanelComment(issueKey, {
+          panelType: 'success',
+          heading: 'Keeper Request Auto-Approved',
+          lines: [`Action: ${actionLabel}`, `Approved by the "${policy.rule.name}" approval policy rule - the request is running now.`],
+          footer: [`Requested by: ${currentUser.displayName}`, `Requested at: ${formattedTimestamp}`]
+        });
+        return successResponse(
+          { autoApproved: true, rule: policy.rule.name, pending: result.pending, jobId: result.jobId, status: result.status },
+          `Auto-approved by the "${policy.rule.name}" rule. The request is running.`
+        );
+      }
+      
+      // Fall back to a normal request an admin can fix up and run
+      logger.warn('storeRequestData: Auto-approved request could not run', { issueKey, rule: policy.rule.name, error: result.message });
+      policyLine = [
+        { type: 'text', text: `Approval policy: the "${policy.rule.name}" rule auto-approved this request, but it could not run (${result.message || 'unknown error'}) - waiting for an admin` },
+        { type: 'hardBreak' }
+      ];
+    }
+    
     // Automatically assign ticket to a random project admin ONLY on first save (not on updates)
     if (!isUpdate) {
       try {
@@ -4038,7 +6228,12 @@ resolver.define('storeRequestData', async (req) => {
     } // End of if (!isUpdate)
     
     // Add comment to JIRA ticket
-    const actionLabel = requestData.selectedAction?.label || 'Keeper Action';
+    const approvalLine = approvalChain
+      ? [
+          { type: 'text', text: `Approvals needed: ${approvalChain.stages.map(stage => `${stage.name} (${describeStage(stage)})`).join(', then ')}` },
+          { type: 'hardBreak' }
+        ]
+      : [];
     
     // Use the timestamp formatted on frontend with user's local time
     const timestamp = formattedTimestamp;
@@ -4071,9 +6266,11 @@ resolver.define('storeRequestData', async (req) => {
                 {
                   type: 'hardBreak'
                 },
+                ...approvalLine,
+                ...policyLine,
                 {
                   type: 'text',
-                  text: `Submitted by: ${currentUser.displayName}`,
+                  text: `${isUpdate ? 'Updated' : 'Submitted'} by: ${currentUser.displayName}`,
                   marks: [{ type: 'em' }]
                 },
                 {
@@ -4135,9 +6332,16 @@ resolver.define('getStoredRequestData', async (req) => {
         };
       }
       
+      // The panel hides the approve buttons from the requester when separation of duties is on
+      const separation = await checkRequestSeparation(issueKey, storedData, req.context?.accountId);
+      
       return { 
         success: true, 
-        data: storedData
+        data: storedData,
+        separation: {
+          ownRequest: !separation.allowed,
+          breakGlassAllowed: separation.breakGlassAllowed === true
+        }
       };
     } else {
       return { 
@@ -4163,12 +6367,22 @@ resolver.define('clearStoredRequestData', async (req) => {
     
     const storageKey = `keeper_request_${issueKey}`;
     
+    // Get current user info for the permission check and the comment
+    const currentUser = await getCurrentUser();
+    
+    // Only the requester or an admin may withdraw a request - the request history still names the requester
+    const storedData = await storage.get(storageKey);
+    if (!canChangeStoredRequest(storedData, currentUser.accountId, await isGlobalUserAdmin())) {
+      logger.warn('clearStoredRequestData: Rejected clear of another user\'s request', { issueKey, accountId: currentUser.accountId || 'unknown' });
+      return {
+        success: false,
+        error: 'Only the user who raised this request or a Jira administrator can clear it'
+      };
+    }
+    
     // Clear the stored data
     await storage.delete(storageKey);
     
-    // Get current user info for the comment
-    const currentUser = await getCurrentUser();
-    
     // Format timestamp with user's local time (consistent with save/reject requests)
     const now = new Date();
     const timestamp = now.toLocaleString('en-US', {
@@ -4271,6 +6485,105 @@ resolver.define('clearStoredRequestData', async (req) => {
  */
 export { webTriggerHandler };
 
+/**
+ * App install / upgrade trigger (avi:forge:installed:app, avi:forge:upgraded:app)
+ * Moves secrets saved by earlier versions into Forge secret storage
+ */
+export const appLifecycleHandler = async () => {
+  try {
+    const { migrated } = await migrateSecretsToSecretStorage();
+    logger.info('appLifecycleHandler: Secret storage migration finished', { migrated });
+  } catch (err) {
+    // Resolvers and the web trigger retry the migration when they meet a plaintext value
+    logger.error('appLifecycleHandler: Secret storage migration failed', err);
+  }
+};
+
+/**
+ * Workflow post-function (jira:workflowPostFunction)
+ * Runs the issue's stored Keeper request when the issue moves into one of the statuses
+ * configured on the Keeper page. The transition stands in for the approve button: actions
+ * that need a Jira administrator only run when an administrator made the transition, and
+ * approval chains must be complete.
+ */
+export const workflowPostFunctionHandler = async (event) => {
+  const issueKey = event?.issue?.key;
+  if (!issueKey) {
+    return;
+  }
+  
+  try {
+    const config = await storage.get('keeperWorkflowConfig') || DEFAULT_WORKFLOW_CONFIG;
+    if (!shouldRunOnTransition(config, event.transition)) {
+      return;
+    }
+    
+    const storedRequest = await storage.get(`keeper_request_${issueKey}`);
+    if (!storedRequest) {
+      logger.info('workflowPostFunctionHandler: No pending request to run', { issueKey });
+      return;
+    }
+    
+    await runStoredRequestFromTransition(issueKey, storedRequest, event.transition, config, {
+      accountId: event.atlassianId || event.user?.accountId || null,
+      issueId: event.issue.id
+    });
+  } catch (err) {
+    logger.error('workflowPostFunctionHandler: Failed to run the stored request', { issueKey, error: err.message });
+  }
+};
+
+/**
+ * Workflow validator (jira:workflowValidator)
+ * Blocks the transition it is added to until the issue's Keeper request has run successfully.
+ * A job that finished without anyone polling it is finished here first.
+ */
+export const workflowValidatorHandler = async (event) => {
+  const issueKey = event?.issue?.key;
+  if (!issueKey) {
+    return { result: true };
+  }
+  
+  try {
+    const activeJobId = await storage.get(getIssueJobStorageKey(issueKey));
+    if (activeJobId) {
+      await advanceKeeperJob(activeJobId);
+    }
+    
+    const [storedRequest, stillActiveJobId, lastJobId] = await Promise.all([
+      storage.get(`keeper_request_${issueKey}`),
+      storage.get(getIssueJobStorageKey(issueKey)),
+      storage.get(getIssueLastJobStorageKey(issueKey))
+    ]);
+    const [activeJob, lastJob] = await Promise.all([
+      stillActiveJobId ? storage.get(getJobStorageKey(stillActiveJobId)) : null,
+      lastJobId ? storage.get(getJobStorageKey(lastJobId)) : null
+    ]);
+    
+    return checkKeeperActionDone({ storedRequest, activeJob, lastJob });
+  } catch (err) {
+    logger.error('workflowValidatorHandler: Failed to check the Keeper action', { issueKey, error: err.message });
+    return { result: false, errorMessage: 'Could not check the Keeper action on this issue - try again' };
+  }
+};
+
+/**
+ * Hourly scheduled trigger (keeper-request-expiry)
+ * Reminds assignees about pending requests and rejects those that have timed out
+ */
+export const requestExpiryHandler = async () => {
+  try {
+    const config = await storage.get('keeperRequestExpiryConfig') || DEFAULT_EXPIRY_CONFIG;
+    if (!config.enabled) {
+      return;
+    }
+    const summary = await expireStaleRequests(config);
+    logger.info('requestExpiryHandler: Pending requests checked', summary);
+  } catch (err) {
+    logger.error('requestExpiryHandler: Pending request check failed', { error: err.message });
+  }
+};
+
 // Export resolver for frontend calls
 // Note: webTriggerHandler now imported from modules/webhookHandler.js
 export const handler = resolver.getDefinitions();
@@ -6,8 +6,46 @@
  * API v2 Reference: https://docs.keeper.io/en/keeperpam/commander-cli/service-mode-rest-api/api-usage
  */
 
-import { storage, fetch } from '@forge/api';
+import { storage, fetch, startsWith } from '@forge/api';
 import { logger } from './utils/logger.js';
+import { DEFAULT_CONNECTION_ID, DEFAULT_CONNECTION_NAME, resolveConnectionId } from './utils/connectionRouter.js';
+import {
+  DEFAULT_CACHE_CONFIG,
+  CACHE_ENTRY_STATE,
+  isCacheableCommand,
+  getCacheStorageKey,
+  getCacheGenerationKey,
+  getCacheEntryState,
+  needsRevalidation,
+  isCacheableSize
+} from './utils/readCache.js';
+import {
+  CAPABILITY_PROBES,
+  buildCapabilityProfile,
+  parseEnabledCommands,
+  shouldProbeVersion,
+  checkCommandCapability
+} from './utils/commanderCapabilities.js';
+import { getApiKeySecretKey, getPreviousApiKeySecretKey, planSecretMigration } from './utils/secretStorage.js';
+import {
+  DEFAULT_KEY_ROTATION_CONFIG,
+  isGracePeriodActive,
+  buildRotationFields,
+  appendRotationHistory,
+  summarizeKeyStatus,
+  buildKeyAgeWarnings
+} from './utils/keyRotation.js';
+import {
+  RATE_LIMIT_LEVELS,
+  DEFAULT_RATE_LIMIT_CONFIG,
+  BUCKET_KEY_PREFIX,
+  getBucketStorageKey,
+  getApplicableBuckets,
+  takeTokens,
+  summarizeBucket,
+  buildRateLimitMessage,
+  validateRateLimitConfig
+} from './utils/rateLimiter.js';
 
 // ============================================================================
 // Configuration Constants
@@ -42,15 +80,10 @@ const API_CONFIG = {
     EXPIRED: 'expired',
   },
   
-  // Rate limiting configuration
-  // Keeper Commander queue capacity is 100 requests
-  // These limits allow ~10 concurrent users before queue stress
+  // Rate limiting - budgets are admin-configurable (keeperRateLimitConfig), see utils/rateLimiter.js
   rateLimit: {
-    // Per-user limits
-    perMinute: 5,                    // Max commands per minute per user
-    perHour: 50,                     // Max commands per hour per user
-    minuteWindowMs: 60 * 1000,       // 1 minute window
-    hourWindowMs: 60 * 60 * 1000,    // 1 hour window
+    writeAttempts: 3,                // Re-takes after a concurrent bucket write
+    usageListLimit: 50,              // Users listed on the config page
   },
 };
 
@@ -194,137 +227,131 @@ async function fetchWithRetry(url, options = {}, operationName = 'Keeper API') {
 // ============================================================================
 
 /**
- * Check and update rate limit for a user
- * Uses dual-window rate limiting: per-minute and per-hour
- * 
+ * Get the admin rate limit budgets merged over defaults
+ * @returns {Promise<Object>} - { user, project, global } each { capacity, refillPerHour }
+ */
+export async function getRateLimitConfig() {
+  const stored = await storage.get('keeperRateLimitConfig');
+  const validation = validateRateLimitConfig(stored || {});
+  return validation.valid ? validation.config : DEFAULT_RATE_LIMIT_CONFIG;
+}
+
+/**
+ * Take one token from the user, project and global buckets
+ * Forge storage has no compare-and-set, so each write carries a write id and the
+ * buckets are read back: if another resolver wrote in between, the token is
+ * taken again from the newer state (over-counting rather than under-counting).
+ *
  * @param {string} userId - Unique user identifier (accountId)
- * @returns {Promise<Object>} - { allowed: boolean, error?: string, retryAfter?: number }
+ * @param {string} projectKey - Jira project key, when the command runs for an issue
+ * @returns {Promise<Object>} - { allowed: boolean, error?: string, retryAfter?: number, limitType?: string, remaining }
  */
-export async function checkCommandRateLimit(userId) {
-  if (!userId) {
-    // If no user ID available, use a global limit (more restrictive)
-    userId = 'global';
-  }
-  
-  const now = Date.now();
-  const minuteWindowStart = now - API_CONFIG.rateLimit.minuteWindowMs;
-  const hourWindowStart = now - API_CONFIG.rateLimit.hourWindowMs;
-  
-  const rateLimitKey = `keeper-cmd-ratelimit-${userId}`;
-  
-  // Get current rate limit data
-  let rateLimitData = await storage.get(rateLimitKey);
-  
-  if (!rateLimitData) {
-    rateLimitData = {
-      requests: [],
-      lastCleanup: now
-    };
-  }
-  
-  // Clean old requests outside the hour window
-  rateLimitData.requests = (rateLimitData.requests || []).filter(
-    timestamp => timestamp > hourWindowStart
-  );
-  
-  // Count requests in each window
-  const requestsInMinute = rateLimitData.requests.filter(t => t > minuteWindowStart).length;
-  const requestsInHour = rateLimitData.requests.length;
-  
-  // Check minute limit
-  if (requestsInMinute >= API_CONFIG.rateLimit.perMinute) {
-    // Find when the oldest request in the minute window will expire
-    const oldestInMinute = rateLimitData.requests
-      .filter(t => t > minuteWindowStart)
-      .sort((a, b) => a - b)[0];
-    const retryAfter = Math.ceil((oldestInMinute + API_CONFIG.rateLimit.minuteWindowMs - now) / 1000);
-    
-    // Save the data (to preserve request history)
-    await storage.set(rateLimitKey, rateLimitData);
-    
-    return {
-      allowed: false,
-      error: `Rate limit exceeded: Maximum ${API_CONFIG.rateLimit.perMinute} commands per minute. Please wait ${retryAfter} seconds.`,
-      retryAfter: retryAfter,
-      limitType: 'minute',
-      remaining: {
-        minute: 0,
-        hour: Math.max(0, API_CONFIG.rateLimit.perHour - requestsInHour)
-      }
-    };
-  }
-  
-  // Check hour limit
-  if (requestsInHour >= API_CONFIG.rateLimit.perHour) {
-    // Find when the oldest request in the hour window will expire
-    const oldestInHour = rateLimitData.requests.sort((a, b) => a - b)[0];
-    const retryAfter = Math.ceil((oldestInHour + API_CONFIG.rateLimit.hourWindowMs - now) / 1000);
-    
-    // Save the data
-    await storage.set(rateLimitKey, rateLimitData);
-    
-    return {
-      allowed: false,
-      error: `Rate limit exceeded: Maximum ${API_CONFIG.rateLimit.perHour} commands per hour. Please wait ${Math.ceil(retryAfter / 60)} minutes.`,
-      retryAfter: retryAfter,
-      limitType: 'hour',
-      remaining: {
-        minute: 0,
-        hour: 0
+export async function checkCommandRateLimit(userId, projectKey = null) {
+  const config = await getRateLimitConfig();
+  const applicable = getApplicableBuckets(userId, projectKey);
+  let result = null;
+
+  for (let attempt = 1; attempt <= API_CONFIG.rateLimit.writeAttempts; attempt++) {
+    const now = Date.now();
+    const entries = [];
+    for (const bucket of applicable) {
+      entries.push({ ...bucket, limits: config[bucket.level], bucket: await storage.get(bucket.key) });
+    }
+
+    result = takeTokens(entries, now);
+    if (!result.allowed) {
+      return {
+        allowed: false,
+        error: buildRateLimitMessage(result.limitType, result.retryAfter, config[result.limitType]),
+        retryAfter: result.retryAfter,
+        limitType: result.limitType,
+        remaining: summarizeRemaining(result.buckets)
+      };
+    }
+
+    const writeId = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+    for (const entry of result.buckets) {
+      await storage.set(entry.key, {
+        ...entry.bucket,
+        writeId,
+        // Lets the config page list users with recent usage
+        ...(entry.level === RATE_LIMIT_LEVELS.USER ? { accountId: entry.id } : {})
+      });
+    }
+
+    let contended = false;
+    for (const entry of result.buckets) {
+      const stored = await storage.get(entry.key);
+      if (!stored || stored.writeId !== writeId) {
+        contended = true;
+        break;
       }
-    };
+    }
+    if (!contended) {
+      break;
+    }
+    logger.warn('Concurrent rate limit update, retaking token', { attempt, projectKey });
   }
-  
-  // Add current request timestamp
-  rateLimitData.requests.push(now);
-  rateLimitData.lastCleanup = now;
-  
-  // Save updated rate limit data
-  await storage.set(rateLimitKey, rateLimitData);
-  
+
   return {
     allowed: true,
-    remaining: {
-      minute: API_CONFIG.rateLimit.perMinute - requestsInMinute - 1,
-      hour: API_CONFIG.rateLimit.perHour - requestsInHour - 1
-    }
+    remaining: summarizeRemaining(result.buckets)
   };
 }
 
 /**
- * Get current rate limit status for a user (without incrementing)
+ * @param {Array<Object>} buckets - Buckets from takeTokens
+ * @returns {Object} - Whole tokens left per level
+ */
+function summarizeRemaining(buckets) {
+  const remaining = {};
+  for (const entry of buckets) {
+    remaining[entry.level] = Math.max(0, Math.floor(entry.bucket.tokens));
+  }
+  return remaining;
+}
+
+/**
+ * Get current rate limit status (without taking a token)
  * @param {string} userId - Unique user identifier
- * @returns {Promise<Object>} - Current rate limit status
+ * @param {string} projectKey - Jira project key (the project level is null without one)
+ * @returns {Promise<Object>} - { limits, user, project, global } with per-level usage
  */
-export async function getRateLimitStatus(userId) {
-  if (!userId) userId = 'global';
-  
+export async function getRateLimitStatus(userId, projectKey = null) {
+  const config = await getRateLimitConfig();
   const now = Date.now();
-  const minuteWindowStart = now - API_CONFIG.rateLimit.minuteWindowMs;
-  const hourWindowStart = now - API_CONFIG.rateLimit.hourWindowMs;
-  
-  const rateLimitKey = `keeper-cmd-ratelimit-${userId}`;
-  const rateLimitData = await storage.get(rateLimitKey) || { requests: [] };
-  
-  // Filter to current windows
-  const validRequests = rateLimitData.requests.filter(t => t > hourWindowStart);
-  const requestsInMinute = validRequests.filter(t => t > minuteWindowStart).length;
-  const requestsInHour = validRequests.length;
-  
-  return {
-    limits: {
-      perMinute: API_CONFIG.rateLimit.perMinute,
-      perHour: API_CONFIG.rateLimit.perHour
-    },
-    usage: {
-      minute: requestsInMinute,
-      hour: requestsInHour
-    },
-    remaining: {
-      minute: Math.max(0, API_CONFIG.rateLimit.perMinute - requestsInMinute),
-      hour: Math.max(0, API_CONFIG.rateLimit.perHour - requestsInHour)
-    }
-  };
+  const status = { limits: config, user: null, project: null, global: null };
+
+  for (const bucket of getApplicableBuckets(userId, projectKey)) {
+    status[bucket.level] = summarizeBucket(await storage.get(bucket.key), config[bucket.level], now);
+  }
+  return status;
+}
+
+/**
+ * List users with a rate limit bucket, for the config page
+ * @returns {Promise<Array<Object>>} - [{ accountId, ...usage }] most used first
+ */
+export async function listUserRateLimitUsage() {
+  const config = await getRateLimitConfig();
+  const now = Date.now();
+  const { results } = await storage.query()
+    .where('key', startsWith(`${BUCKET_KEY_PREFIX}${RATE_LIMIT_LEVELS.USER}-`))
+    .limit(API_CONFIG.rateLimit.usageListLimit)
+    .getMany();
+
+  return results
+    .filter(entry => entry.value?.accountId)
+    .map(entry => ({ accountId: entry.value.accountId, ...summarizeBucket(entry.value, config.user, now) }))
+    .sort((a, b) => b.used - a.used);
+}
+
+/**
+ * Refill a user's bucket
+ * @param {string} accountId - User to reset
+ */
+export async function resetUserRateLimit(accountId) {
+  await storage.delete(getBucketStorageKey(RATE_LIMIT_LEVELS.USER, accountId));
 }
 
 // ============================================================================
@@ -484,6 +511,16 @@ function calculateNextInterval(currentInterval) {
 // API v2 - Asynchronous Queue Execution
 // ============================================================================
 
+/**
+ * @param {string} operation - Request that was rejected
+ * @returns {Error} - Error with unauthorized set, so callers can retry with the previous key
+ */
+function buildUnauthorizedError(operation) {
+  const error = new Error(`Keeper API ${operation} error: 401 - The API key was rejected by the Commander service.`);
+  error.unauthorized = true;
+  return error;
+}
+
 /**
  * Submit an async command to the API v2 queue
  * @param {string} baseUrl - Base API URL
@@ -517,6 +554,9 @@ async function submitAsyncCommand(baseUrl, apiKey, command, options = {}) {
   if (response.status === 429) {
     throw new Error('Keeper API rate limit exceeded. Please try again later.');
   }
+  if (response.status === 401) {
+    throw buildUnauthorizedError('submit');
+  }
 
   if (!response.ok) {
     const errorText = await response.text();
@@ -558,6 +598,9 @@ async function checkRequestStatus(baseUrl, apiKey, requestId) {
   if (response.status === 404) {
     throw new Error(`Request ${requestId} not found. It may have expired.`);
   }
+  if (response.status === 401) {
+    throw buildUnauthorizedError('status check');
+  }
 
   if (!response.ok) {
     const errorText = await response.text();
@@ -598,6 +641,9 @@ async function getRequestResult(baseUrl, apiKey, requestId) {
   if (response.status === 404) {
     throw new Error(`Result for request ${requestId} not found. It may have expired.`);
   }
+  if (response.status === 401) {
+    throw buildUnauthorizedError('result');
+  }
 
   if (!response.ok) {
     const errorText = await response.text();
@@ -682,6 +728,107 @@ async function executeCommandAsync(baseUrl, apiKey, command, options = {}) {
 // Main API Interface
 // ============================================================================
 
+/**
+ * Resolve the Commander connection for an issue context
+ * Named connections live in `keeperConnections`; routing rules in `keeperConnectionRoutes`.
+ * The legacy `keeperConfig` is always the default connection. API keys are read
+ * from Forge secret storage; `previousApiKey` is only set during a rotation grace period.
+ *
+ * @param {Object} routeContext - Issue context used for routing
+ * @param {string} routeContext.projectKey - Jira project key
+ * @param {string} routeContext.issueType - Jira issue type name
+ * @param {string} routeContext.connectionId - Explicit connection id (bypasses routing)
+ * @returns {Promise<Object|null>} - { id, name, apiUrl, apiKey, previousApiKey, capabilities } or null when nothing is configured
+ */
+export async function resolveKeeperConnection(routeContext = {}) {
+  let connectionId = routeContext.connectionId;
+
+  if (!connectionId) {
+    const routes = await storage.get('keeperConnectionRoutes');
+    connectionId = resolveConnectionId(routes || [], routeContext).connectionId;
+  }
+
+  if (connectionId === DEFAULT_CONNECTION_ID) {
+    const config = await storage.get('keeperConfig');
+    const apiKey = config?.apiUrl ? await readApiKey(DEFAULT_CONNECTION_ID, config) : null;
+    if (!apiKey) {
+      return null;
+    }
+    return {
+      id: DEFAULT_CONNECTION_ID,
+      name: DEFAULT_CONNECTION_NAME,
+      apiUrl: config.apiUrl,
+      apiKey,
+      previousApiKey: await readPreviousApiKey(DEFAULT_CONNECTION_ID, config),
+      capabilities: config.capabilities || null
+    };
+  }
+
+  const connections = await storage.get('keeperConnections') || [];
+  const connection = connections.find(conn => conn.id === connectionId);
+
+  // Never fall back to the default connection here - a project routed to a
+  // non-prod vault must not silently run commands against prod
+  if (!connection) {
+    logger.error('Routed Keeper connection not found', {
+      connectionId,
+      projectKey: routeContext.projectKey,
+      issueType: routeContext.issueType
+    });
+    throw new Error(`Keeper connection "${connectionId}" is not configured. Please check the connection routing settings.`);
+  }
+
+  const apiKey = await readApiKey(connection.id, connection);
+  if (!apiKey) {
+    throw new Error(`Keeper connection "${connection.name}" has no API key. Please re-enter it in the connection settings.`);
+  }
+
+  return {
+    id: connection.id,
+    name: connection.name,
+    apiUrl: connection.apiUrl,
+    apiKey,
+    previousApiKey: await readPreviousApiKey(connection.id, connection),
+    capabilities: connection.capabilities || null
+  };
+}
+
+/**
+ * Run a Commander call with the connection's key, retrying with the previous
+ * key when the service rejects the new one during a rotation grace period
+ * @param {Object} connection - Resolved connection
+ * @param {Function} call - async (apiKey) => result
+ * @returns {Promise<*>} - Result of the call
+ */
+async function withApiKeyFallback(connection, call) {
+  try {
+    return await call(connection.apiKey);
+  } catch (error) {
+    if (!error.unauthorized || !connection.previousApiKey) {
+      throw error;
+    }
+    logger.warn('Commander rejected the current API key, retrying with the previous key', { connectionId: connection.id });
+    return await call(connection.previousApiKey);
+  }
+}
+
+/**
+ * Refuse commands the connection's Commander service was not started with
+ * Gives a clear error instead of the raw Commander failure.
+ * @param {Object} connection - Resolved connection
+ * @param {string} command - Command about to be queued
+ * @throws {Error} - Error with commandNotEnabled set
+ */
+function assertCommandEnabled(connection, command) {
+  const capability = checkCommandCapability(connection.capabilities, command);
+  if (!capability.supported) {
+    logger.warn('Command not enabled on Commander service', { connectionId: connection.id, verb: capability.verb });
+    const error = new Error(capability.error);
+    error.commandNotEnabled = true;
+    throw error;
+  }
+}
+
 /**
  * Extract EPM approval data from various API response formats
  * Handles different structures returned by Commander API v2
@@ -741,23 +888,24 @@ function extractEpmApprovalData(rawData) {
 /**
  * Fetch EPM approval details from Keeper API with auto-sync fallback
  * @param {string} requestUid - The request UID to fetch details for
+ * @param {Object} routeContext - { projectKey, issueType } used to pick the connection
  * @returns {Promise<Object|null>} - Approval details or null if failed
  */
-export async function fetchEpmApprovalDetails(requestUid) {
+export async function fetchEpmApprovalDetails(requestUid, routeContext = {}) {
   try {
-    const keeperConfig = await storage.get('keeperConfig');
-    if (!keeperConfig || !keeperConfig.apiUrl || !keeperConfig.apiKey) {
+    const connection = await resolveKeeperConnection(routeContext);
+    if (!connection) {
       return null;
     }
 
-    const { apiUrl, apiKey } = keeperConfig;
-    const baseUrl = normalizeApiUrl(apiUrl);
+    const baseUrl = normalizeApiUrl(connection.apiUrl);
     const viewCommand = `epm approval view ${requestUid} --format=json`;
+    const run = (command) => withApiKeyFallback(connection, apiKey => executeCommandAsync(baseUrl, apiKey, command));
 
     // Execute view command using API v2
     let rawData;
     try {
-      rawData = await executeCommandAsync(baseUrl, apiKey, viewCommand);
+      rawData = await run(viewCommand);
     } catch (error) {
       // Check if request doesn't exist
       const errorText = String(error.message || '');
@@ -769,7 +917,7 @@ export async function fetchEpmApprovalDetails(requestUid) {
 
       // Try sync-down and retry
       try {
-        await executeCommandAsync(baseUrl, apiKey, 'epm sync-down');
+        await run('epm sync-down');
       } catch (syncError) {
         return null;
       }
@@ -779,7 +927,7 @@ export async function fetchEpmApprovalDetails(requestUid) {
 
       // Retry view command after sync
       try {
-        rawData = await executeCommandAsync(baseUrl, apiKey, viewCommand);
+        rawData = await run(viewCommand);
       } catch (retryError) {
         return null;
       }
@@ -794,41 +942,78 @@ export async function fetchEpmApprovalDetails(requestUid) {
   }
 }
 
+/**
+ * Throw a rate-limited error when the user, project or global budget is exhausted
+ * @param {string} userId - User ID (accountId)
+ * @param {string} projectKey - Jira project key, if any
+ * @throws {Error} - Error with rateLimited, retryAfter and limitType set
+ */
+async function enforceCommandRateLimit(userId, projectKey) {
+  const rateLimit = await checkCommandRateLimit(userId, projectKey);
+  if (!rateLimit.allowed) {
+    const error = new Error(rateLimit.error);
+    error.rateLimited = true;
+    error.retryAfter = rateLimit.retryAfter;
+    error.limitType = rateLimit.limitType;
+    throw error;
+  }
+}
+
 /**
  * Execute a Keeper Commander command using API v2 async queue
- * Includes per-user rate limiting to prevent queue overflow
+ * Includes per-user, per-project and global rate limiting to prevent queue overflow
  * 
  * @param {string} command - The command to execute
  * @param {Object} options - Optional configuration
  * @param {string} options.userId - User ID for rate limiting (accountId)
  * @param {boolean} options.skipRateLimit - Skip rate limiting (for internal/system calls)
+ * @param {Object} options.routeContext - { projectKey, issueType, connectionId } used to pick the connection
  * @returns {Promise<Object>} - API response
  */
 export async function executeKeeperCommand(command, options = {}) {
-  const { userId, skipRateLimit = false } = options;
+  const { userId, skipRateLimit = false, routeContext = {}, bypassCache = false } = options;
   
-  // Apply rate limiting unless explicitly skipped
-  if (!skipRateLimit) {
-    const rateLimit = await checkCommandRateLimit(userId);
-    if (!rateLimit.allowed) {
-      const error = new Error(rateLimit.error);
-      error.rateLimited = true;
-      error.retryAfter = rateLimit.retryAfter;
-      error.limitType = rateLimit.limitType;
-      throw error;
+  const connection = await resolveKeeperConnection(routeContext);
+  if (!connection) {
+    throw new Error('Keeper configuration not found. Please configure the app first.');
+  }
+  assertCommandEnabled(connection, command);
+
+  // Read-only commands are served from cache when possible - cache hits don't count
+  // against the user's command quota
+  const useCache = !bypassCache && isCacheableCommand(command);
+  let cacheContext = null;
+  if (useCache) {
+    cacheContext = await loadCacheContext(connection, command);
+    const cachedResult = await serveFromCache(connection, command, cacheContext);
+    if (cachedResult) {
+      return cachedResult;
     }
   }
   
-  const config = await storage.get('keeperConfig');
-  if (!config) {
-    throw new Error('Keeper configuration not found. Please configure the app first.');
+  // Apply rate limiting unless explicitly skipped
+  if (!skipRateLimit) {
+    await enforceCommandRateLimit(userId, routeContext.projectKey);
   }
 
-  const { apiUrl, apiKey } = config;
-  const baseUrl = normalizeApiUrl(apiUrl);
+  const baseUrl = normalizeApiUrl(connection.apiUrl);
 
-  const data = await executeCommandAsync(baseUrl, apiKey, command);
+  const data = await withApiKeyFallback(connection, apiKey => executeCommandAsync(baseUrl, apiKey, command));
 
+  const result = buildCommandResult(data, connection);
+  if (cacheContext) {
+    await writeCacheEntry(connection, command, cacheContext, result);
+  }
+  return result;
+}
+
+/**
+ * Normalize a Commander result payload, throwing on API-level errors
+ * @param {Object} data - Raw result from the result/{id} endpoint
+ * @param {Object} connection - Connection the command ran on
+ * @returns {Object} - { success, data, message, connection }
+ */
+function buildCommandResult(data, connection) {
   // Check for API-level errors in response
   if (data.success === false || data.error) {
     const rawError = data.error || data.message || 'Unknown error';
@@ -839,20 +1024,111 @@ export async function executeKeeperCommand(command, options = {}) {
   return { 
     success: true, 
     data: data,
-    message: data.message || 'Command executed successfully'
+    message: data.message || 'Command executed successfully',
+    connection: { id: connection.id, name: connection.name }
   };
 }
 
+/**
+ * Submit a Keeper Commander command to the async queue without waiting for it
+ * Callers persist the returned request id and check it later with getKeeperCommandOutcome,
+ * so slow tunnels no longer run into the Forge invocation time limit.
+ *
+ * @param {string} command - The command to execute
+ * @param {Object} options - Same options as executeKeeperCommand (userId, skipRateLimit, routeContext)
+ * @param {Object} options.filedata - File content for commands that read FILEDATA (e.g. upload-attachment)
+ * @returns {Promise<Object>} - { requestId, status, connection: { id, name } }
+ */
+export async function submitKeeperCommand(command, options = {}) {
+  const { userId, skipRateLimit = false, routeContext = {}, filedata } = options;
+
+  const connection = await resolveKeeperConnection(routeContext);
+  if (!connection) {
+    throw new Error('Keeper configuration not found. Please configure the app first.');
+  }
+  assertCommandEnabled(connection, command);
+
+  // Rate limit only commands that will actually be submitted, as in executeKeeperCommand
+  if (!skipRateLimit) {
+    await enforceCommandRateLimit(userId, routeContext.projectKey);
+  }
+
+  const submitResponse = await withApiKeyFallback(connection, apiKey =>
+    submitAsyncCommand(normalizeApiUrl(connection.apiUrl), apiKey, command, { filedata })
+  );
+
+  return {
+    requestId: submitResponse.requestId,
+    status: submitResponse.status || API_CONFIG.requestStates.QUEUED,
+    connection: { id: connection.id, name: connection.name }
+  };
+}
+
+/**
+ * Check a previously submitted command once (no polling loop)
+ * Status checks are not rate limited - they do not add work to the Commander queue.
+ *
+ * @param {string} requestId - Request id returned by submitKeeperCommand
+ * @param {string} connectionId - Connection the command was submitted to
+ * @returns {Promise<Object>} - { status: 'queued'|'processing'|'completed'|'failed', result?, error? }
+ */
+export async function getKeeperCommandOutcome(requestId, connectionId) {
+  const connection = await resolveKeeperConnection({ connectionId });
+  if (!connection) {
+    throw new Error('Keeper configuration not found. Please configure the app first.');
+  }
+
+  const baseUrl = normalizeApiUrl(connection.apiUrl);
+  const { status } = await withApiKeyFallback(connection, apiKey => checkRequestStatus(baseUrl, apiKey, requestId));
+  const { QUEUED, PROCESSING, COMPLETED, FAILED, EXPIRED } = API_CONFIG.requestStates;
+
+  if (status === QUEUED || status === PROCESSING) {
+    return { status };
+  }
+
+  if (status === EXPIRED) {
+    return { status: FAILED, error: `Keeper command request ${requestId} expired before processing` };
+  }
+
+  if (status === COMPLETED) {
+    const data = await withApiKeyFallback(connection, apiKey => getRequestResult(baseUrl, apiKey, requestId));
+    try {
+      return { status: COMPLETED, result: buildCommandResult(data, connection) };
+    } catch (error) {
+      return { status: FAILED, error: error.message };
+    }
+  }
+
+  if (status === FAILED) {
+    // The result endpoint usually carries Commander's error text for failed requests
+    let errorMessage = `Keeper command execution failed for request ${requestId}`;
+    try {
+      const data = await withApiKeyFallback(connection, apiKey => getRequestResult(baseUrl, apiKey, requestId));
+      if (data && (data.error || data.message)) {
+        errorMessage = parseKeeperErrorMessage(data.error || data.message);
+      }
+    } catch (resultError) {
+      // Keep the generic message
+    }
+    return { status: FAILED, error: errorMessage };
+  }
+
+  // Unknown states are treated as still in flight
+  return { status: PROCESSING };
+}
+
 /**
  * Test connection to Keeper Commander API
+ * Also negotiates the service's capabilities: `service-status` plus a best-effort
+ * `version` probe (services started without `version` in `-c` reject it).
  * @param {string} apiUrl - API URL
  * @param {string} apiKey - API Key
- * @returns {Promise<Object>} - Test result
+ * @returns {Promise<Object>} - Test result with capability profile
  */
 export async function testKeeperConnection(apiUrl, apiKey) {
   const baseUrl = normalizeApiUrl(apiUrl);
 
-  const data = await executeCommandAsync(baseUrl, apiKey, 'service-status');
+  const data = await executeCommandAsync(baseUrl, apiKey, CAPABILITY_PROBES.status);
 
   // Check for API-level errors in response
   if (data.success === false || data.error) {
@@ -861,9 +1137,441 @@ export async function testKeeperConnection(apiUrl, apiKey) {
     throw new Error(`Connection test failed: ${cleanedError}`);
   }
 
+  let versionData = null;
+  if (shouldProbeVersion(parseEnabledCommands(data))) {
+    try {
+      const probe = await executeCommandAsync(baseUrl, apiKey, CAPABILITY_PROBES.version);
+      if (probe.success !== false && !probe.error) {
+        versionData = probe;
+      }
+    } catch (error) {
+      logger.warn('Commander version probe failed', { error: error.message });
+    }
+  }
+
   return {
     success: true,
     message: 'Connection successful',
-    data: data
+    data: data,
+    capabilities: buildCapabilityProfile(data, versionData)
   };
 }
+
+/**
+ * Store a capability profile on a connection
+ * @param {string} connectionId - Connection id
+ * @param {Object} capabilities - Profile from testKeeperConnection
+ * @returns {Promise<boolean>} - False when the connection no longer exists
+ */
+export async function saveConnectionCapabilities(connectionId, capabilities) {
+  if (connectionId === DEFAULT_CONNECTION_ID) {
+    const config = await storage.get('keeperConfig');
+    if (!config) {
+      return false;
+    }
+    await storage.set('keeperConfig', { ...config, capabilities });
+    return true;
+  }
+
+  const connections = await storage.get('keeperConnections') || [];
+  if (!connections.some(conn => conn.id === connectionId)) {
+    return false;
+  }
+  await storage.set('keeperConnections', connections.map(conn => conn.id === connectionId ? { ...conn, capabilities } : conn));
+  return true;
+}
+
+// ============================================================================
+// Secret Storage
+// ============================================================================
+
+/**
+ * Read a connection's API key, migrating it first if it is still stored in plaintext
+ * @param {string} connectionId - Connection id
+ * @param {Object} record - Stored keeperConfig or named connection
+ * @returns {Promise<string|null>}
+ */
+async function readApiKey(connectionId, record) {
+  if (record?.apiKey) {
+    await migrateSecretsToSecretStorage();
+    return record.apiKey;
+  }
+  return await storage.getSecret(getApiKeySecretKey(connectionId)) || null;
+}
+
+/**
+ * Get the stored API key for a connection
+ * @param {string} connectionId - Connection id (`default` for keeperConfig)
+ * @returns {Promise<string|null>}
+ */
+export async function getConnectionApiKey(connectionId) {
+  if (connectionId === DEFAULT_CONNECTION_ID) {
+    return readApiKey(connectionId, await storage.get('keeperConfig'));
+  }
+  const connections = await storage.get('keeperConnections') || [];
+  return readApiKey(connectionId, connections.find(conn => conn.id === connectionId));
+}
+
+/**
+ * @param {string} connectionId - Connection id
+ * @param {string} apiKey - API key to store
+ */
+export async function setConnectionApiKey(connectionId, apiKey) {
+  await storage.setSecret(getApiKeySecretKey(connectionId), apiKey);
+}
+
+/**
+ * @param {string} connectionId - Connection id
+ */
+export async function deleteConnectionApiKey(connectionId) {
+  await storage.deleteSecret(getApiKeySecretKey(connectionId));
+  await storage.deleteSecret(getPreviousApiKeySecretKey(connectionId));
+}
+
+/**
+ * Move plaintext API keys and the webhook token into Forge secret storage
+ * Runs from the install/upgrade trigger, and again whenever a plaintext value
+ * is still found; it does nothing once every value has moved.
+ * @returns {Promise<Object>} - { migrated } number of secrets moved
+ */
+export async function migrateSecretsToSecretStorage() {
+  const connections = await storage.get('keeperConnections');
+  const plan = planSecretMigration({
+    keeperConfig: await storage.get('keeperConfig'),
+    connections,
+    webTriggerConfig: await storage.get('webTriggerConfig')
+  });
+
+  if (!plan.changed) {
+    return { migrated: 0 };
+  }
+
+  // Secrets are written before the plaintext copies are removed, so a failure
+  // part-way leaves values readable and the next run picks up the rest
+  for (const secret of plan.secrets) {
+    await storage.setSecret(secret.key, secret.value);
+  }
+  if (plan.keeperConfig) {
+    await storage.set('keeperConfig', plan.keeperConfig);
+  }
+  if (connections) {
+    await storage.set('keeperConnections', plan.connections);
+  }
+  if (plan.webTriggerConfig) {
+    await storage.set('webTriggerConfig', plan.webTriggerConfig);
+  }
+
+  logger.info('Moved plaintext secrets to secret storage', { migrated: plan.secrets.length });
+  return { migrated: plan.secrets.length };
+}
+
+// ============================================================================
+// API Key Rotation
+// ============================================================================
+
+/**
+ * Read the key replaced by the last rotation while its grace period lasts
+ * @param {string} connectionId - Connection id
+ * @param {Object} record - Stored keeperConfig or named connection
+ * @returns {Promise<string|null>}
+ */
+async function readPreviousApiKey(connectionId, record) {
+  if (!isGracePeriodActive(record)) {
+    return null;
+  }
+  return await storage.getSecret(getPreviousApiKeySecretKey(connectionId)) || null;
+}
+
+/**
+ * Get key rotation settings, falling back to defaults
+ * @returns {Promise<Object>} - { graceHours, maxKeyAgeDays }
+ */
+export async function getKeyRotationConfig() {
+  const stored = await storage.get('keeperKeyRotationConfig');
+  return { ...DEFAULT_KEY_ROTATION_CONFIG, ...(stored || {}) };
+}
+
+/**
+ * Load a connection record for update
+ * @param {string} connectionId - Connection id
+ * @returns {Promise<Object|null>} - { record, save(nextRecord) } or null when the connection does not exist
+ */
+async function loadConnectionRecord(connectionId) {
+  if (connectionId === DEFAULT_CONNECTION_ID) {
+    const config = await storage.get('keeperConfig');
+    if (!config?.apiUrl) {
+      return null;
+    }
+    return {
+      record: { ...config, id: DEFAULT_CONNECTION_ID, name: DEFAULT_CONNECTION_NAME },
+      save: ({ id, name, ...nextConfig }) => storage.set('keeperConfig', nextConfig)
+    };
+  }
+
+  const connections = await storage.get('keeperConnections') || [];
+  const connection = connections.find(conn => conn.id === connectionId);
+  if (!connection) {
+    return null;
+  }
+  return {
+    record: connection,
+    save: (nextRecord) => storage.set('keeperConnections', connections.map(conn => conn.id === connectionId ? nextRecord : conn))
+  };
+}
+
+/**
+ * Switch a connection to a new API key, keeping the old key as a 401 fallback
+ * for the configured grace period
+ * The caller tests the new key first.
+ * @param {string} connectionId - Connection id
+ * @param {string} newApiKey - Tested replacement key
+ * @param {Object} options
+ * @param {string} options.rotatedBy - Account id of the admin
+ * @param {Object} options.capabilities - Profile negotiated with the new key
+ * @returns {Promise<Object|null>} - History entry, or null when the connection does not exist
+ */
+export async function rotateConnectionApiKey(connectionId, newApiKey, { rotatedBy, capabilities } = {}) {
+  const loaded = await loadConnectionRecord(connectionId);
+  if (!loaded) {
+    return null;
+  }
+
+  const { graceHours } = await getKeyRotationConfig();
+  const previousApiKey = await readApiKey(connectionId, loaded.record);
+  const now = Date.now();
+
+  // Store the previous key before switching, so a request that races the switch can still fall back to it
+  if (previousApiKey && graceHours > 0) {
+    await storage.setSecret(getPreviousApiKeySecretKey(connectionId), previousApiKey);
+  } else {
+    await storage.deleteSecret(getPreviousApiKeySecretKey(connectionId));
+  }
+  await storage.setSecret(getApiKeySecretKey(connectionId), newApiKey);
+
+  const rotationFields = buildRotationFields({
+    newApiKey,
+    previousApiKey: previousApiKey || '',
+    graceHours: previousApiKey ? graceHours : 0,
+    now
+  });
+  await loaded.save({
+    ...loaded.record,
+    ...rotationFields,
+    hasApiKey: true,
+    capabilities: capabilities || loaded.record.capabilities || null
+  });
+
+  const entry = {
+    connectionId,
+    connectionName: loaded.record.name,
+    rotatedAt: rotationFields.apiKeyCreatedAt,
+    rotatedBy: rotatedBy || null,
+    previousKeyPreview: rotationFields.apiKeyRotation?.previousKeyPreview || null,
+    newKeyPreview: rotationFields.apiKeyPreview,
+    graceEndsAt: rotationFields.apiKeyRotation?.previousKeyExpiresAt || null
+  };
+  await storage.set('keeperApiKeyHistory', appendRotationHistory(await storage.get('keeperApiKeyHistory'), entry));
+
+  logger.info('Rotated Keeper API key', { connectionId, graceHours: entry.graceEndsAt ? graceHours : 0 });
+  return entry;
+}
+
+/**
+ * End a connection's grace period now and drop the previous key
+ * @param {string} connectionId - Connection id
+ * @returns {Promise<boolean>} - False when the connection does not exist
+ */
+export async function endApiKeyGracePeriod(connectionId) {
+  const loaded = await loadConnectionRecord(connectionId);
+  if (!loaded) {
+    return false;
+  }
+  await storage.deleteSecret(getPreviousApiKeySecretKey(connectionId));
+  if (loaded.record.apiKeyRotation) {
+    await loaded.save({ ...loaded.record, apiKeyRotation: null });
+  }
+  return true;
+}
+
+/**
+ * Key age, grace period and history for every connection
+ * Previous keys whose grace period has ended are removed from secret storage here.
+ * @returns {Promise<Object>} - { config, connections, warnings, history }
+ */
+export async function getApiKeyRotationStatus() {
+  const config = await getKeyRotationConfig();
+  const keeperConfig = await storage.get('keeperConfig');
+  const records = [
+    ...(keeperConfig?.apiUrl ? [{ ...keeperConfig, id: DEFAULT_CONNECTION_ID, name: DEFAULT_CONNECTION_NAME }] : []),
+    ...(await storage.get('keeperConnections') || [])
+  ];
+
+  const now = Date.now();
+  for (const record of records) {
+    if (record.apiKeyRotation && !isGracePeriodActive(record, now)) {
+      await endApiKeyGracePeriod(record.id);
+    }
+  }
+
+  const connections = records.map(record => summarizeKeyStatus(record, config, now));
+  return {
+    config,
+    connections,
+    warnings: buildKeyAgeWarnings(connections, config),
+    history: await storage.get('keeperApiKeyHistory') || []
+  };
+}
+
+// ============================================================================
+// Read Command Cache
+// ============================================================================
+
+/**
+ * Get the admin cache settings merged over defaults
+ * @returns {Promise<Object>} - { enabled, ttlSeconds, staleSeconds }
+ */
+export async function getReadCacheConfig() {
+  const stored = await storage.get('keeperCacheConfig');
+  return { ...DEFAULT_CACHE_CONFIG, ...(stored || {}) };
+}
+
+/**
+ * Invalidate all cached reads for a connection
+ * Bumps the generation counter instead of deleting keys one by one.
+ * @param {string} connectionId - Connection id
+ * @returns {Promise<void>}
+ */
+export async function invalidateKeeperCache(connectionId) {
+  const key = getCacheGenerationKey(connectionId);
+  const generation = await storage.get(key) || 0;
+  await storage.set(key, generation + 1);
+  logger.info('Keeper read cache invalidated', { connectionId, generation: generation + 1 });
+}
+
+/**
+ * Load everything needed to read or write a cache entry
+ * @param {Object} connection - Resolved connection
+ * @param {string} command - Command being executed
+ * @returns {Promise<Object|null>} - { config, generation, key, entry } or null when caching is disabled
+ */
+async function loadCacheContext(connection, command) {
+  try {
+    const config = await getReadCacheConfig();
+    if (!config.enabled || config.ttlSeconds <= 0) {
+      return null;
+    }
+    const key = getCacheStorageKey(connection.id, command);
+    const generation = await storage.get(getCacheGenerationKey(connection.id)) || 0;
+    const entry = await storage.get(key);
+    return { config, generation, key, entry };
+  } catch (error) {
+    // A cache problem must never block the command itself
+    logger.warn('Keeper read cache unavailable', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Return a cached result if the entry is fresh or stale (stale-while-revalidate)
+ * @param {Object} connection - Resolved connection
+ * @param {string} command - Command being executed
+ * @param {Object|null} cacheContext - From loadCacheContext
+ * @returns {Promise<Object|null>} - Cached result or null on a miss
+ */
+async function serveFromCache(connection, command, cacheContext) {
+  if (!cacheContext) {
+    return null;
+  }
+
+  const { config, generation, entry } = cacheContext;
+  const state = getCacheEntryState(entry, {
+    command,
+    generation,
+    ttlSeconds: config.ttlSeconds,
+    staleSeconds: config.staleSeconds
+  });
+
+  if (state === CACHE_ENTRY_STATE.FRESH) {
+    return { ...entry.result, cached: true, cachedAt: entry.cachedAt };
+  }
+
+  if (state === CACHE_ENTRY_STATE.STALE) {
+    const revalidated = await revalidateCacheEntry(connection, command, cacheContext);
+    if (revalidated) {
+      return revalidated;
+    }
+    return { ...entry.result, cached: true, stale: true, cachedAt: entry.cachedAt };
+  }
+
+  return null;
+}
+
+/**
+ * Background revalidation for a stale entry
+ * Forge functions can't keep running after they return, so the refresh is submitted
+ * to the Commander queue and picked up by whichever read arrives next.
+ *
+ * @param {Object} connection - Resolved connection
+ * @param {string} command - Command being refreshed
+ * @param {Object} cacheContext - From loadCacheContext
+ * @returns {Promise<Object|null>} - Fresh result when a previous revalidation has completed
+ */
+async function revalidateCacheEntry(connection, command, cacheContext) {
+  const { key, entry } = cacheContext;
+
+  try {
+    if (entry.revalidation && entry.revalidation.requestId) {
+      const outcome = await getKeeperCommandOutcome(entry.revalidation.requestId, connection.id);
+      if (outcome.status === API_CONFIG.requestStates.COMPLETED) {
+        await writeCacheEntry(connection, command, cacheContext, outcome.result);
+        return { ...outcome.result, cached: false };
+      }
+      if (outcome.status === API_CONFIG.requestStates.FAILED) {
+        await storage.set(key, { ...entry, revalidation: null });
+        return null;
+      }
+    }
+
+    if (needsRevalidation(entry)) {
+      const submitted = await withApiKeyFallback(connection, apiKey =>
+        submitAsyncCommand(normalizeApiUrl(connection.apiUrl), apiKey, command)
+      );
+      await storage.set(key, {
+        ...entry,
+        revalidation: { requestId: submitted.requestId, submittedAt: new Date().toISOString() }
+      });
+    }
+  } catch (error) {
+    logger.warn('Keeper read cache revalidation failed', { command: command.split(' ')[0], error: error.message });
+  }
+
+  return null;
+}
+
+/**
+ * Store a successful read result
+ * @param {Object} connection - Connection the command ran on
+ * @param {string} command - Command that was executed
+ * @param {Object} cacheContext - From loadCacheContext
+ * @param {Object} result - Normalized command result
+ * @returns {Promise<void>}
+ */
+async function writeCacheEntry(connection, command, cacheContext, result) {
+  if (!isCacheableSize(result)) {
+    logger.info('Keeper read result too large to cache', { command: command.split(' ')[0] });
+    return;
+  }
+
+  try {
+    await storage.set(cacheContext.key, {
+      command,
+      connectionId: connection.id,
+      generation: cacheContext.generation,
+      cachedAt: new Date().toISOString(),
+      result,
+      revalidation: null
+    });
+  } catch (error) {
+    logger.warn('Failed to write Keeper read cache entry', { error: error.message });
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Approval Chain Utility
+ *
+ * Multi-stage approvals for stored Keeper requests. Admins configure a chain per
+ * Jira project and action (or every action of a project); each stage needs a number
+ * of approvals from members of its Jira groups - or from any project admin when no
+ * group is named - and stages are approved in order. Approvals are recorded on the
+ * stored request and the action cannot run until the last stage is complete.
+ *
+ * Chain precedence (most specific wins):
+ *   1. projectKey + action
+ *   2. projectKey + any action (`*`)
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const ANY_ACTION = '*';
+
+const APPROVAL_LIMITS = {
+  maxChains: 100,
+  maxStages: 5,
+  maxGroupsPerStage: 10,
+  maxRequired: 10,
+  stageNameMaxLength: 50
+};
+
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]{0,99}$/;
+
+// Replaced by the issue panel when the request runs (a temporary address becomes a real record)
+const IGNORED_APPROVAL_FIELDS = ['addressRef'];
+
+// Stage names and group names end up in ADF comments - keep them to plain text
+const STAGE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ._-]*$/;
+const GROUP_NAME_PATTERN = /^[^\s,][^,]{0,254}$/;
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+/**
+ * Validate and normalize approval chains
+ * Any invalid chain fails the whole set so admins see the problem.
+ *
+ * @param {Array} chains - Chains of shape { projectKey, action, stages: [{ name, groups, required }] }
+ * @param {Array<string>} actionNames - Issue panel actions a chain may name
+ * @returns {Object} - { valid: boolean, errors: Array<string>, chains: Array }
+ */
+function validateApprovalChains(chains, actionNames = []) {
+  if (!Array.isArray(chains)) {
+    return { valid: false, errors: ['Approval chains must be an array'], chains: [] };
+  }
+
+  if (chains.length > APPROVAL_LIMITS.maxChains) {
+    return { valid: false, errors: [`A maximum of ${APPROVAL_LIMITS.maxChains} approval chains is supported`], chains: [] };
+  }
+
+  const errors = [];
+  const normalized = [];
+  const seen = new Set();
+
+  chains.forEach((chain, index) => {
+    const position = `Chain ${index + 1}`;
+    const projectKey = String(chain?.projectKey || '').trim().toUpperCase();
+    const action = String(chain?.action || ANY_ACTION).trim();
+
+    if (!PROJECT_KEY_PATTERN.test(projectKey)) {
+      errors.push(`${position}: invalid project key`);
+      return;
+    }
+
+    if (action !== ANY_ACTION && !actionNames.includes(action)) {
+      errors.push(`${position}: unknown action "${action}"`);
+      return;
+    }
+
+    const signature = `${projectKey}::${action}`;
+    if (seen.has(signature)) {
+      errors.push(`${position}: duplicate chain for ${projectKey}${action === ANY_ACTION ? '' : ` / ${action}`}`);
+      return;
+    }
+    seen.add(signature);
+
+    const stages = Array.isArray(chain?.stages) ? chain.stages : [];
+    if (stages.length === 0 || stages.length > APPROVAL_LIMITS.maxStages) {
+      errors.push(`${position}: between 1 and ${APPROVAL_LIMITS.maxStages} stages are required`);
+      return;
+    }
+
+    const stageErrors = [];
+    const normalizedStages = stages.map((stage, stageIndex) => {
+      const stagePosition = `${position}, stage ${stageIndex + 1}`;
+      const name = String(stage?.name || `Stage ${stageIndex + 1}`).trim();
+      const groups = [...new Set((Array.isArray(stage?.groups) ? stage.groups : String(stage?.groups || '').split(','))
+        .map(group => String(group).trim())
+        .filter(Boolean))];
+      const required = Number(stage?.required ?? 1);
+
+      if (name.length > APPROVAL_LIMITS.stageNameMaxLength || !STAGE_NAME_PATTERN.test(name)) {
+        stageErrors.push(`${stagePosition}: names may only contain letters, numbers, spaces, dots, dashes and underscores (${APPROVAL_LIMITS.stageNameMaxLength} characters max)`);
+      }
+      if (groups.length > APPROVAL_LIMITS.maxGroupsPerStage || groups.some(group => !GROUP_NAME_PATTERN.test(group))) {
+        stageErrors.push(`${stagePosition}: up to ${APPROVAL_LIMITS.maxGroupsPerStage} Jira group names, separated by commas`);
+      }
+      if (!Number.isInteger(required) || required < 1 || required > APPROVAL_LIMITS.maxRequired) {
+        stageErrors.push(`${stagePosition}: required approvals must be between 1 and ${APPROVAL_LIMITS.maxRequired}`);
+      }
+      return { name, groups, required };
+    });
+
+    if (stageErrors.length > 0) {
+      errors.push(...stageErrors);
+      return;
+    }
+
+    normalized.push({ projectKey, action, stages: normalizedStages });
+  });
+
+  return { valid: errors.length === 0, errors, chains: normalized };
+}
+
+/**
+ * Find the chain that applies to an action on an issue
+ * @param {Array} chains - Normalized approval chains
+ * @param {Object} context - { projectKey, action }
+ * @returns {Object|null} - Matching chain, or null when the action needs no chain
+ */
+function findApprovalChain(chains, context = {}) {
+  const projectKey = context.projectKey ? String(context.projectKey).toUpperCase() : null;
+  if (!projectKey || !Array.isArray(chains)) {
+    return null;
+  }
+
+  const projectChains = chains.filter(chain => chain.projectKey === projectKey);
+  return projectChains.find(chain => chain.action === context.action) ||
+    projectChains.find(chain => chain.action === ANY_ACTION) ||
+    null;
+}
+
+// ========================================================================
+// Approval Progress
+// ========================================================================
+
+/**
+ * Describe who may approve a stage
+ * @param {Object} stage - Chain stage
+ * @returns {string} - e.g. "2 approvals from security" or "1 approval from a project admin"
+ */
+function describeStage(stage) {
+  const count = `${stage.required} approval${stage.required === 1 ? '' : 's'}`;
+  return stage.groups.length > 0
+    ? `${count} from ${stage.groups.join(' or ')}`
+    : `${count} from a project admin`;
+}
+
+/**
+ * Progress of a stored request through its chain
+ * Stages are sequential - an approval only counts for the stage it was given in.
+ *
+ * @param {Object} chain - Matching chain
+ * @param {Array<Object>} approvals - [{ stage, accountId, displayName, approvedAt }]
+ * @returns {Object} - { satisfied, currentStage, stages: [{ name, required, description, approvals, complete }] }
+ */
+function summarizeApprovals(chain, approvals = []) {
+  const stages = chain.stages.map((stage, index) => {
+    const stageApprovals = (approvals || []).filter(approval => approval.stage === index);
+    return {
+      name: stage.name,
+      required: stage.required,
+      description: describeStage(stage),
+      approvals: stageApprovals,
+      complete: stageApprovals.length >= stage.required
+    };
+  });
+
+  const currentStage = stages.findIndex(stage => !stage.complete);
+  return {
+    satisfied: currentStage === -1,
+    currentStage: currentStage === -1 ? null : currentStage,
+    stages
+  };
+}
+
+/**
+ * Check whether someone may approve the current stage
+ * @param {Object} chain - Matching chain
+ * @param {Array<Object>} approvals - Approvals recorded so far
+ * @param {Object} approver - { accountId, groups: Array<string>, isProjectAdmin: boolean }
+ * @returns {Object} - { allowed: boolean, error?: string, stage?: number }
+ */
+function checkApprover(chain, approvals, approver) {
+  const progress = summarizeApprovals(chain, approvals);
+  if (progress.satisfied) {
+    return { allowed: false, error: 'Every approval stage is already complete' };
+  }
+
+  // One person counts once across the whole chain, or N-of-M means nothing
+  if ((approvals || []).some(approval => approval.accountId === approver.accountId)) {
+    return { allowed: false, error: 'You have already approved this request' };
+  }
+
+  const stage = chain.stages[progress.currentStage];
+  const memberGroups = (approver.groups || []).map(group => group.toLowerCase());
+  const eligible = stage.groups.length > 0
+    ? stage.groups.some(group => memberGroups.includes(group.toLowerCase()))
+    : approver.isProjectAdmin === true;
+
+  if (!eligible) {
+    return { allowed: false, error: `The "${stage.name}" stage needs ${describeStage(stage)}` };
+  }
+
+  return { allowed: true, stage: progress.currentStage };
+}
+
+/**
+ * Record an approval for the current stage
+ * @param {Array<Object>} approvals - Approvals recorded so far
+ * @param {Object} approval - { stage, accountId, displayName }
+ * @param {Date} [now] - Approval time
+ * @returns {Array<Object>} - Approvals including the new one
+ */
+function addApproval(approvals, approval, now = new Date()) {
+  return [
+    ...(approvals || []),
+    {
+      stage: approval.stage,
+      accountId: approval.accountId,
+      displayName: approval.displayName || 'Unknown user',
+      approvedAt: now.toISOString()
+    }
+  ];
+}
+
+/**
+ * Comparable form of a parameter value - missing, blank and unchecked all mean "not set"
+ * @param {*} value - Parameter value
+ * @returns {string}
+ */
+function normalizeApprovalValue(value) {
+  if (value === undefined || value === null || value === false) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value).trim();
+}
+
+/**
+ * Fields of an approved request that were changed before it was run
+ * Every parameter on either side is compared, so a target swapped after approval, a flag
+ * added or a blank filled in all count as changes. Only temporary references and fields
+ * the approver is meant to fill in when running the request are skipped.
+ *
+ * @param {Object} approvedParameters - Parameters of the stored request, as describeStoredRequest builds them
+ * @param {Object} parameters - Parameters the action is run with
+ * @param {Array<string>} [approverFields] - Fields the approver sets when running the request
+ * @returns {Array<string>} - Names of changed fields
+ */
+function findChangedFields(approvedParameters = {}, parameters = {}, approverFields = []) {
+  const names = new Set([...Object.keys(approvedParameters || {}), ...Object.keys(parameters || {})]);
+  return [...names].filter(name =>
+    !IGNORED_APPROVAL_FIELDS.includes(name) &&
+    !approverFields.includes(name) &&
+    normalizeApprovalValue((approvedParameters || {})[name]) !== normalizeApprovalValue((parameters || {})[name])
+  );
+}
+
+module.exports = {
+  ANY_ACTION,
+  APPROVAL_LIMITS,
+  validateApprovalChains,
+  findApprovalChain,
+  describeStage,
+  summarizeApprovals,
+  checkApprover,
+  addApproval,
+  findChangedFields
+};
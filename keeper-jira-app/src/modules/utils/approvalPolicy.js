@@ -0,0 +1,390 @@
+/**
+ * Approval Policy Utility
+ *
+ * Admin-editable rules that decide what happens to a saved Keeper request before
+ * anyone looks at it. Rules are checked in order and the first match wins:
+ *   - auto_approve: the request runs straight away (share requests only)
+ *   - require_approval: the request waits for an admin, as without a policy
+ *   - deny: the request is refused and not stored
+ * A request no rule matches waits for approval.
+ *
+ * A rule matches when every condition it sets holds - an empty list or unset
+ * value places no restriction:
+ *   projectKeys, actions, folders (UIDs), permissions ({ flag: true|false }),
+ *   maxExpirationMinutes (the share must expire within this time), requesterGroups
+ *
+ * The target folder a request names is only trusted once Commander has confirmed
+ * it (resolvePolicyFolder) - folder names are never matched, since anyone can
+ * give a folder any name.
+ */
+
+const { getCommandDefinition, pickDeclaredParameters } = require('./commandRegistry');
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const POLICY_OUTCOME = {
+  AUTO_APPROVE: 'auto_approve',
+  REQUIRE_APPROVAL: 'require_approval',
+  DENY: 'deny'
+};
+
+// Only requests whose target and permissions a rule can see in full may run unattended
+const AUTO_APPROVE_ACTIONS = ['share-record', 'share-folder'];
+
+// Checkbox fields of the share actions
+const PERMISSION_FLAGS = ['can_share', 'can_write', 'can_edit', 'manage_records', 'manage_users', 'recursive'];
+
+const POLICY_LIMITS = {
+  maxRules: 50,
+  maxListEntries: 20,
+  ruleNameMaxLength: 50,
+  folderMaxLength: 255,
+  maxExpirationMinutes: 525600
+};
+
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]{0,99}$/;
+
+const FOLDER_UID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Rule names and group names end up in ADF comments - keep them to plain text
+const RULE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ._-]*$/;
+const GROUP_NAME_PATTERN = /^[^\s,][^,]{0,254}$/;
+
+const MINUTES_PER_UNIT = { d: 1440, h: 60, mi: 1, s: 1 / 60 };
+
+// expire_at comes from a datetime-local input in the requester's time zone, which the
+// backend does not know - read it as late as any zone could mean (UTC-12)
+const LATEST_UTC_OFFSET_MINUTES = 12 * 60;
+
+// Placeholder the issue panel shows for secrets an update request leaves unchanged
+const MASKED_VALUE = '••••••••';
+const MASKED_UPDATE_FIELDS = ['password', 'oneTimeCode'];
+
+// The parameter naming the folder each folder-scoped action runs against
+const FOLDER_TARGET_FIELDS = {
+  'share-record': 'sharedFolder',
+  'share-folder': 'folder',
+  'record-permission': 'folder'
+};
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+/**
+ * Split a list given as an array or comma separated text
+ * @param {Array|string} value - Raw list
+ * @returns {Array<string>} - Trimmed, de-duplicated entries
+ */
+function toList(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+}
+
+/**
+ * Validate and normalize approval policy rules
+ * Any invalid rule fails the whole set so admins see the problem.
+ *
+ * @param {Array} rules - Rules of shape { name, outcome, match }
+ * @param {Array<string>} actionNames - Issue panel actions a rule may name
+ * @returns {Object} - { valid: boolean, errors: Array<string>, rules: Array }
+ */
+function validateApprovalPolicy(rules, actionNames = []) {
+  if (!Array.isArray(rules)) {
+    return { valid: false, errors: ['Approval policy rules must be an array'], rules: [] };
+  }
+
+  if (rules.length > POLICY_LIMITS.maxRules) {
+    return { valid: false, errors: [`A maximum of ${POLICY_LIMITS.maxRules} policy rules is supported`], rules: [] };
+  }
+
+  const errors = [];
+  const normalized = [];
+
+  rules.forEach((rule, index) => {
+    const position = `Rule ${index + 1}`;
+    const ruleErrors = [];
+    const match = rule?.match || {};
+
+    const name = String(rule?.name || position).trim();
+    if (name.length > POLICY_LIMITS.ruleNameMaxLength || !RULE_NAME_PATTERN.test(name)) {
+      ruleErrors.push(`${position}: names may only contain letters, numbers, spaces, dots, dashes and underscores (${POLICY_LIMITS.ruleNameMaxLength} characters max)`);
+    }
+
+    const outcome = String(rule?.outcome || '').trim();
+    if (!Object.values(POLICY_OUTCOME).includes(outcome)) {
+      ruleErrors.push(`${position}: outcome must be one of ${Object.values(POLICY_OUTCOME).join(', ')}`);
+    }
+
+    const projectKeys = toList(match.projectKeys).map(key => key.toUpperCase());
+    const actions = toList(match.actions);
+    const folders = toList(match.folders);
+    const requesterGroups = toList(match.requesterGroups);
+
+    if ([projectKeys, actions, folders, requesterGroups].some(list => list.length > POLICY_LIMITS.maxListEntries)) {
+      ruleErrors.push(`${position}: each condition takes up to ${POLICY_LIMITS.maxListEntries} entries`);
+    }
+    const invalidKey = projectKeys.find(key => !PROJECT_KEY_PATTERN.test(key));
+    if (invalidKey) {
+      ruleErrors.push(`${position}: invalid project key "${invalidKey}"`);
+    }
+    const unknownAction = actions.find(action => !actionNames.includes(action));
+    if (unknownAction) {
+      ruleErrors.push(`${position}: unknown action "${unknownAction}"`);
+    }
+    if (folders.some(folder => folder.length > POLICY_LIMITS.folderMaxLength || !FOLDER_UID_PATTERN.test(folder))) {
+      ruleErrors.push(`${position}: target folders must be shared folder UIDs, separated by commas`);
+    }
+    if (requesterGroups.some(group => !GROUP_NAME_PATTERN.test(group))) {
+      ruleErrors.push(`${position}: requester groups must be Jira group names, separated by commas`);
+    }
+
+    const permissions = {};
+    Object.entries(match.permissions || {}).forEach(([flag, expected]) => {
+      if (expected === null || expected === undefined || expected === '') {
+        return;
+      }
+      if (!PERMISSION_FLAGS.includes(flag) || typeof expected !== 'boolean') {
+        ruleErrors.push(`${position}: permission conditions must map ${PERMISSION_FLAGS.join(', ')} to true or false`);
+        return;
+      }
+      permissions[flag] = expected;
+    });
+
+    let maxExpirationMinutes = null;
+    if (match.maxExpirationMinutes !== null && match.maxExpirationMinutes !== undefined && match.maxExpirationMinutes !== '') {
+      maxExpirationMinutes = Number(match.maxExpirationMinutes);
+      if (!Number.isInteger(maxExpirationMinutes) || maxExpirationMinutes < 1 || maxExpirationMinutes > POLICY_LIMITS.maxExpirationMinutes) {
+        ruleErrors.push(`${position}: maximum expiration must be between 1 and ${POLICY_LIMITS.maxExpirationMinutes} minutes`);
+      }
+    }
+
+    if (outcome === POLICY_OUTCOME.AUTO_APPROVE) {
+      if (actions.length === 0 || actions.some(action => !AUTO_APPROVE_ACTIONS.includes(action))) {
+        ruleErrors.push(`${position}: auto-approval rules must name their actions and may only use ${AUTO_APPROVE_ACTIONS.join(', ')}`);
+      }
+      if (maxExpirationMinutes === null) {
+        ruleErrors.push(`${position}: auto-approval rules need a maximum expiration so granted access always ends`);
+      }
+    }
+
+    if (ruleErrors.length > 0) {
+      errors.push(...ruleErrors);
+      return;
+    }
+
+    normalized.push({
+      name,
+      outcome,
+      match: { projectKeys, actions, folders, permissions, maxExpirationMinutes, requesterGroups }
+    });
+  });
+
+  return { valid: errors.length === 0, errors, rules: normalized };
+}
+
+// ========================================================================
+// Evaluation
+// ========================================================================
+
+/**
+ * How long a share request grants access for
+ * @param {Object} parameters - Share action parameters
+ * @param {Date} [now] - Evaluation time
+ * @returns {number|null} - Minutes until expiry, or null when the share does not expire
+ *   (or the expiry cannot be read safely)
+ */
+function getExpirationMinutes(parameters = {}, now = new Date()) {
+  if (parameters.expiration_type === 'expire-in') {
+    // A bare `m` could mean minutes or months - only the issue panel's `mi` counts as minutes
+    const match = /^(\d+)\s*(d|h|mi|s)$/i.exec(String(parameters.expire_in || '').trim());
+    if (!match) {
+      return null;
+    }
+    return Math.ceil(Number(match[1]) * MINUTES_PER_UNIT[match[2].toLowerCase()]);
+  }
+
+  if (parameters.expiration_type === 'expire-at') {
+    const expiresAt = Date.parse(`${String(parameters.expire_at || '').trim().replace(' ', 'T')}Z`);
+    if (Number.isNaN(expiresAt) || expiresAt <= now.getTime()) {
+      return null;
+    }
+    return Math.ceil((expiresAt - now.getTime()) / 60000) + LATEST_UTC_OFFSET_MINUTES;
+  }
+
+  return null;
+}
+
+/**
+ * Parameters and target folder of a stored request, as the issue panel would run it
+ * Only fields the action declares are kept. The target folder is the picked folder's
+ * folder_uid and nothing else: it is both the folder the command runs against and the
+ * folder rules are matched on.
+ * @param {Object} requestData - Stored request ({ selectedAction, formData, selectedRecord, selectedRecordForUpdate, selectedFolder })
+ * @returns {Object} - { action, parameters, folder: { uid, name } | null }
+ */
+function describeStoredRequest(requestData = {}) {
+  const action = requestData.selectedAction?.value || null;
+  const parameters = pickDeclaredParameters(getCommandDefinition(action), requestData.formData);
+  const selectedFolder = requestData.selectedFolder || null;
+  const targetField = FOLDER_TARGET_FIELDS[action];
+
+  if (targetField && selectedFolder) {
+    parameters[targetField] = selectedFolder.folder_uid || null;
+  }
+
+  if (action === 'share-record' && requestData.selectedRecord) {
+    parameters.record = requestData.selectedRecord.record_uid;
+    parameters.recordTitle = requestData.selectedRecord.title;
+  }
+
+  if (action === 'record-update' && requestData.selectedRecordForUpdate) {
+    parameters.record = requestData.selectedRecordForUpdate.record_uid;
+  }
+
+  // The issue panel shows existing secrets masked and never sends the mask back
+  if (action === 'record-update') {
+    for (const name of MASKED_UPDATE_FIELDS) {
+      if (parameters[name] === MASKED_VALUE) {
+        delete parameters[name];
+      }
+    }
+  }
+
+  if (action === 'share-folder' && selectedFolder) {
+    parameters.folderTitle = selectedFolder.name;
+  }
+
+  const folderUid = targetField ? parameters[targetField] || null : null;
+  const folder = folderUid ? { uid: folderUid, name: selectedFolder?.name || null } : null;
+
+  if (action === 'record-permission' && selectedFolder) {
+    return {
+      action,
+      parameters: {
+        folder: parameters.folder,
+        action: parameters.action,
+        can_edit: parameters.can_edit,
+        can_share: parameters.can_share,
+        recursive: parameters.recursive
+      },
+      folder
+    };
+  }
+
+  return { action, parameters, folder };
+}
+
+/**
+ * Confirm the target folder of a stored request against the vault
+ * The issue panel sends the folder it shows, so its UID and name are only claims:
+ * the folder must be in Commander's folder listing and, for a record share, hold the record.
+ * @param {Object} request - Result of describeStoredRequest
+ * @param {Array<Object>} folders - Result of parseFolderListing (`ls -f`)
+ * @param {Array<Object>|null} [contents] - Result of parseFolderContents for the folder (record shares only)
+ * @returns {Object|null} - { uid, name } with the vault's folder name, or null when it could not be confirmed
+ */
+function resolvePolicyFolder(request, folders, contents = null) {
+  const folderUid = request?.folder?.uid;
+  const folder = folderUid ? (folders || []).find(entry => entry.folder_uid === folderUid) : null;
+  if (!folder) {
+    return null;
+  }
+
+  const recordUid = request.action === 'share-record' ? request.parameters?.record : null;
+  if (recordUid && !(contents || []).some(item => item.uid === recordUid)) {
+    return null;
+  }
+
+  return { uid: folder.folder_uid, name: folder.name || null };
+}
+
+/**
+ * Whether a request runs against the folder Commander confirmed
+ * @param {Object} request - Result of describeStoredRequest
+ * @param {Object|null} folder - Result of resolvePolicyFolder
+ * @returns {boolean} - True when the command's target folder is the confirmed one
+ */
+function targetsConfirmedFolder(request, folder) {
+  const targetField = FOLDER_TARGET_FIELDS[request?.action];
+  return !!folder?.uid && !!targetField && request.folder?.uid === folder.uid && request.parameters?.[targetField] === folder.uid;
+}
+
+/**
+ * Check one rule against a request
+ * @param {Object} rule - Normalized rule
+ * @param {Object} context - See evaluateApprovalPolicy
+ * @returns {boolean}
+ */
+function ruleMatches(rule, context) {
+  const { match } = rule;
+  const parameters = context.parameters || {};
+  const lower = list => list.map(entry => String(entry).toLowerCase());
+
+  // Ownership transfers are never granted unattended
+  if (rule.outcome === POLICY_OUTCOME.AUTO_APPROVE && parameters.action === 'owner') {
+    return false;
+  }
+
+  if (match.projectKeys.length > 0 && !match.projectKeys.includes(String(context.projectKey || '').toUpperCase())) {
+    return false;
+  }
+
+  if (match.actions.length > 0 && !match.actions.includes(context.action)) {
+    return false;
+  }
+
+  if (match.folders.length > 0 && !(context.folder?.uid && match.folders.includes(context.folder.uid))) {
+    return false;
+  }
+
+  const isOn = value => value === true || value === 'true';
+  if (Object.entries(match.permissions).some(([flag, expected]) => isOn(parameters[flag]) !== expected)) {
+    return false;
+  }
+
+  if (match.maxExpirationMinutes !== null) {
+    const minutes = getExpirationMinutes(parameters, context.now);
+    if (minutes === null || minutes > match.maxExpirationMinutes) {
+      return false;
+    }
+  }
+
+  if (match.requesterGroups.length > 0) {
+    const memberGroups = lower(context.requesterGroups || []);
+    if (!lower(match.requesterGroups).some(group => memberGroups.includes(group))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Decide what happens to a saved request
+ * @param {Array} rules - Normalized policy rules, in order
+ * @param {Object} context - { projectKey, action, parameters, folder, requesterGroups, now }
+ * @returns {Object} - { outcome, rule } - rule is null when no rule matched
+ */
+function evaluateApprovalPolicy(rules, context = {}) {
+  const evaluation = { ...context, now: context.now || new Date() };
+  const rule = (Array.isArray(rules) ? rules : []).find(candidate => ruleMatches(candidate, evaluation));
+  return rule
+    ? { outcome: rule.outcome, rule }
+    : { outcome: POLICY_OUTCOME.REQUIRE_APPROVAL, rule: null };
+}
+
+module.exports = {
+  POLICY_OUTCOME,
+  AUTO_APPROVE_ACTIONS,
+  PERMISSION_FLAGS,
+  POLICY_LIMITS,
+  validateApprovalPolicy,
+  getExpirationMinutes,
+  describeStoredRequest,
+  resolvePolicyFolder,
+  targetsConfirmedFolder,
+  evaluateApprovalPolicy
+};
@@ -0,0 +1,216 @@
+/**
+ * Attachment Transfer Utility
+ *
+ * Moves Jira issue attachments onto the Keeper record created or updated by a
+ * record-add / record-update job. The transfer lives on the job record and each
+ * issue panel poll advances it by one step (download and submit one file, or
+ * check one upload), so no single resolver call waits on Commander.
+ */
+
+const { escapeForSingleQuotes } = require('./commandBuilder');
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const ATTACHMENT_LIMITS = {
+  maxFiles: 10,
+  maxBytes: 4 * 1024 * 1024  // Files travel base64-encoded in the request body (a third larger)
+};
+
+// Actions whose target record can receive issue attachments
+const ATTACHMENT_ACTIONS = ['record-add', 'record-update'];
+
+const TRANSFER_ITEM_STATUS = {
+  PENDING: 'pending',
+  UPLOADING: 'uploading',
+  UPLOADED: 'uploaded',
+  FAILED: 'failed'
+};
+
+// Commander service mode writes `filedata` to a temporary file and substitutes its path here
+const FILEDATA_PLACEHOLDER = 'FILEDATA';
+
+// A poll that claimed a step but never released it (e.g. timed out) can be retried after this
+const STEP_CLAIM_STALE_MS = 2 * 60 * 1000;
+
+// ========================================================================
+// Selection
+// ========================================================================
+
+/**
+ * @param {string} action - Keeper action value
+ * @returns {boolean} - True when the action can carry attachments
+ */
+function supportsAttachments(action) {
+  return ATTACHMENT_ACTIONS.includes(action);
+}
+
+/**
+ * Match requested attachment ids against the issue's attachments
+ * @param {Array<string|number>} requestedIds - Ids picked in the issue panel
+ * @param {Array<Object>} issueAttachments - `fields.attachment` from the Jira issue
+ * @returns {Object} - { valid, error?, attachments? }
+ */
+function selectAttachments(requestedIds, issueAttachments) {
+  if (!Array.isArray(requestedIds)) {
+    return { valid: false, error: 'Attachments must be a list of attachment ids' };
+  }
+
+  const ids = [...new Set(requestedIds.map(id => String(id)))];
+  if (ids.length > ATTACHMENT_LIMITS.maxFiles) {
+    return { valid: false, error: `No more than ${ATTACHMENT_LIMITS.maxFiles} attachments can be uploaded per action` };
+  }
+
+  const attachments = [];
+  for (const id of ids) {
+    const attachment = (issueAttachments || []).find(item => String(item.id) === id);
+    if (!attachment) {
+      return { valid: false, error: `Attachment ${id} does not belong to this issue` };
+    }
+    if (attachment.size > ATTACHMENT_LIMITS.maxBytes) {
+      return { valid: false, error: `"${attachment.filename}" is larger than the ${ATTACHMENT_LIMITS.maxBytes / (1024 * 1024)} MB upload limit` };
+    }
+    attachments.push({
+      id,
+      filename: attachment.filename,
+      size: attachment.size,
+      mimeType: attachment.mimeType || 'application/octet-stream'
+    });
+  }
+
+  return { valid: true, attachments };
+}
+
+// ========================================================================
+// Transfer State
+// ========================================================================
+
+/**
+ * Build the transfer stored on the job record
+ * @param {Array<Object>} attachments - Result of selectAttachments
+ * @param {Object} options
+ * @param {boolean} options.deleteFromJira - Remove uploaded files from the issue afterwards
+ * @param {string} options.recordTitle - Target record title for the result comment
+ * @returns {Object} - { items, deleteFromJira, recordTitle, recordUid, claimedAt }
+ */
+function buildAttachmentTransfer(attachments, options = {}) {
+  return {
+    items: attachments.map(attachment => ({ ...attachment, status: TRANSFER_ITEM_STATUS.PENDING })),
+    deleteFromJira: options.deleteFromJira === true,
+    recordTitle: options.recordTitle || null,
+    recordUid: null,
+    claimedAt: null
+  };
+}
+
+/**
+ * @param {Object} transfer - Attachment transfer
+ * @returns {Object|undefined} - Item waiting on Commander
+ */
+function getUploadingItem(transfer) {
+  return transfer.items.find(item => item.status === TRANSFER_ITEM_STATUS.UPLOADING);
+}
+
+/**
+ * @param {Object} transfer - Attachment transfer
+ * @returns {Object|undefined} - Next item to download and submit
+ */
+function getNextPendingItem(transfer) {
+  return transfer.items.find(item => item.status === TRANSFER_ITEM_STATUS.PENDING);
+}
+
+/**
+ * @param {Object} transfer - Attachment transfer
+ * @returns {boolean} - True when every item was uploaded or failed
+ */
+function isTransferDone(transfer) {
+  return transfer.items.every(item =>
+    item.status === TRANSFER_ITEM_STATUS.UPLOADED || item.status === TRANSFER_ITEM_STATUS.FAILED
+  );
+}
+
+/**
+ * @param {Object} transfer - Attachment transfer
+ * @param {string} id - Attachment id
+ * @param {Object} changes - Fields to merge into the item
+ * @returns {Object} - Updated transfer (the input is not modified)
+ */
+function updateTransferItem(transfer, id, changes) {
+  return {
+    ...transfer,
+    items: transfer.items.map(item => (item.id === id ? { ...item, ...changes } : item))
+  };
+}
+
+/**
+ * Whether a poll may claim the next transfer step
+ * @param {Object} transfer - Attachment transfer
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function canClaimTransferStep(transfer, now = Date.now()) {
+  if (!transfer || !transfer.claimedAt) {
+    return true;
+  }
+  const claimedAt = Date.parse(transfer.claimedAt);
+  return Number.isNaN(claimedAt) || (now - claimedAt) > STEP_CLAIM_STALE_MS;
+}
+
+/**
+ * Progress counts for the issue panel
+ * @param {Object} transfer - Attachment transfer
+ * @returns {Object} - { total, uploaded, failed }
+ */
+function getTransferProgress(transfer) {
+  return {
+    total: transfer.items.length,
+    uploaded: transfer.items.filter(item => item.status === TRANSFER_ITEM_STATUS.UPLOADED).length,
+    failed: transfer.items.filter(item => item.status === TRANSFER_ITEM_STATUS.FAILED).length
+  };
+}
+
+// ========================================================================
+// Commander Upload
+// ========================================================================
+
+/**
+ * @param {string} recordUid - Target Keeper record
+ * @returns {string} - upload-attachment command reading the file from filedata
+ */
+function buildUploadCommand(recordUid) {
+  return `upload-attachment '${escapeForSingleQuotes(recordUid)}' --file=${FILEDATA_PLACEHOLDER}`;
+}
+
+/**
+ * @param {Object} item - Transfer item
+ * @param {string} base64Content - File content
+ * @returns {Object} - filedata body for executecommand-async
+ */
+function buildUploadFiledata(item, base64Content) {
+  return {
+    filename: item.filename,
+    mimeType: item.mimeType,
+    encoding: 'base64',
+    content: base64Content
+  };
+}
+
+module.exports = {
+  ATTACHMENT_LIMITS,
+  ATTACHMENT_ACTIONS,
+  TRANSFER_ITEM_STATUS,
+  FILEDATA_PLACEHOLDER,
+  STEP_CLAIM_STALE_MS,
+  supportsAttachments,
+  selectAttachments,
+  buildAttachmentTransfer,
+  getUploadingItem,
+  getNextPendingItem,
+  isTransferDone,
+  updateTransferItem,
+  canClaimTransferStep,
+  getTransferProgress,
+  buildUploadCommand,
+  buildUploadFiledata
+};
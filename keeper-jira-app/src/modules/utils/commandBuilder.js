@@ -1,68 +1,125 @@
 /**
  * Command Builder Utility
  * 
- * Builds Keeper Commander CLI commands from structured parameters.
- * Includes input validation and shell escaping to prevent command injection.
+ * Validates structured parameters and builds Keeper Commander CLI commands from
+ * the declarative definitions in commandRegistry.js, with shell escaping to
+ * prevent command injection.
  * 
- * Extracted for testability - these functions are used by the main index.js resolvers.
+ * Record-type specific fields (login, address_*, c.text.*, ...) vary per record
+ * type and can't be declared up front; they are validated and encoded by the
+ * record field helpers below.
  */
 
+const { getCommandDefinition, getFieldDefinition } = require('./commandRegistry');
+const { isGeneratePlaceholder, checkPasswordAgainstPolicy } = require('./passwordPolicy');
+const { parseOtpAuthUri } = require('./oneTimeCode');
+
 // ============================================================================
 // Validation Configuration
 // ============================================================================
 
 /**
- * Maximum field lengths to prevent memory exhaustion and buffer overflows
+ * Field length limits to prevent memory exhaustion and buffer overflows
+ * Based on reasonable maximums and industry standards
+ * Each entry carries the label used in validation error messages
  */
-const VALIDATION_LIMITS = {
-  title: 256,
-  notes: 10000,
-  login: 256,
-  password: 1024,
-  url: 2048,
-  email: 254,
-  recordUid: 64,
-  recordType: 64,
-  folderUid: 64,
-  street: 256,
-  city: 128,
-  state: 64,
-  zip: 32,
-  country: 64,
-  phone: 32,
-  phoneRegion: 8,
-  phoneExt: 16,
-  user: 1024, // Can be multiple comma-separated emails
-  expiration: 64,
-  firstName: 64,
-  middleName: 64,
-  lastName: 64,
-  hostname: 256,
-  port: 10,
-  default: 1024
+const FIELD_LIMITS = {
+  // Record fields
+  title: { maxLength: 256, label: 'Title' },
+  notes: { maxLength: 10000, label: 'Notes' },
+  login: { maxLength: 254, label: 'Login/Username' },  // RFC 5321 email max
+  password: { maxLength: 1024, label: 'Password' },
+  url: { maxLength: 2048, label: 'URL' },  // Common browser limit
+  email: { maxLength: 254, label: 'Email' },  // RFC 5321 SMTP max
+  oneTimeCode: { maxLength: 2048, label: 'One-Time Code' },
+  
+  // Contact fields
+  phone: { maxLength: 32, label: 'Phone Number' },
+  phoneExt: { maxLength: 16, label: 'Phone Extension' },
+  phoneRegion: { maxLength: 8, label: 'Phone Region' },
+  
+  // Address fields
+  street: { maxLength: 256, label: 'Street Address' },
+  city: { maxLength: 128, label: 'City' },
+  state: { maxLength: 64, label: 'State/Province' },
+  zip: { maxLength: 32, label: 'ZIP/Postal Code' },
+  country: { maxLength: 64, label: 'Country' },
+  
+  // Name fields
+  firstName: { maxLength: 64, label: 'First Name' },
+  middleName: { maxLength: 64, label: 'Middle Name' },
+  lastName: { maxLength: 64, label: 'Last Name' },
+  
+  // Identity fields
+  recordUid: { maxLength: 64, label: 'Record UID' },  // Keeper UIDs are ~22 chars
+  folderUid: { maxLength: 64, label: 'Folder UID' },
+  teamUid: { maxLength: 64, label: 'Team UID' },
+  revision: { maxLength: 6, label: 'Revision' },
+  recordType: { maxLength: 64, label: 'Record Type' },
+  
+  // Network fields
+  hostName: { maxLength: 253, label: 'Hostname' },  // DNS FQDN max
+  port: { maxLength: 5, label: 'Port' },  // Max port 65535
+  
+  // SSH fields
+  privateKey: { maxLength: 16000, label: 'Private Key' },
+  publicKey: { maxLength: 8000, label: 'Public Key' },
+  passphrase: { maxLength: 1024, label: 'Passphrase' },
+  
+  // Sharing fields
+  user: { maxLength: 1024, label: 'User' },  // Can be multiple comma-separated emails
+  expiration: { maxLength: 64, label: 'Expiration' },
+  
+  // Custom fields
+  customField: { maxLength: 1024, label: 'Custom Field' },
+  
+  // Generic fallback
+  default: { maxLength: 1024, label: 'Field' },
 };
 
 /**
- * Validation patterns for specific field types
+ * Maximum length per field type, keyed like FIELD_LIMITS
+ */
+const VALIDATION_LIMITS = Object.fromEntries(
+  Object.entries(FIELD_LIMITS).map(([key, limit]) => [key, limit.maxLength])
+);
+
+/**
+ * Validation patterns for format checking
  */
 const VALIDATION_PATTERNS = {
   // Email: RFC 5322 simplified - allows most valid emails
   email: /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/,
   
-  // URL: Basic URL validation
-  url: /^https?:\/\/.+$/i,
+  // URL: Basic validation for http/https URLs
+  url: /^https?:\/\/[^\s<>"{}|\\^`[\]]+$/i,
+  
+  // Phone: International format, digits, spaces, dashes, parens, plus
+  phone: /^[+]?[\d\s\-().]{1,30}$/,
+  
+  // Port: 1-65535
+  port: /^([1-9]\d{0,3}|[1-5]\d{4}|6[0-4]\d{3}|65[0-4]\d{2}|655[0-2]\d|6553[0-5])$/,
   
-  // UID: Alphanumeric, underscore, hyphen (Keeper record/folder UIDs)
-  uid: /^[a-zA-Z0-9_-]+$/,
+  // UID: Alphanumeric with common UID characters
+  uid: /^[a-zA-Z0-9_\-]{1,100}$/,
   
-  // Phone: Digits, spaces, dashes, plus, parentheses
-  phone: /^[0-9\s\-+()]+$/,
+  // Hostname: Valid DNS hostname
+  hostname: /^(?=.{1,253}$)(?:(?!-)[a-zA-Z0-9-]{1,63}(?<!-)\.)*(?!-)[a-zA-Z0-9-]{1,63}(?<!-)$/,
   
-  // Record type: Alphanumeric, spaces, underscores, hyphens
-  recordType: /^[a-zA-Z0-9\s_-]+$/,
+  // Record type: Alphanumeric with underscores, hyphens, dots
+  recordType: /^[a-zA-Z][a-zA-Z0-9_.\-]{0,99}$/,
   
-  // Port: Digits only, 1-65535
-  port: /^[0-9]{1,5}$/
+  // Date: ISO format YYYY-MM-DD or Unix timestamp
+  date: /^(\d{4}-\d{2}-\d{2}|\d{10,13})$/,
+  
+  // Expiration duration: Number with time unit (e.g., 30d, 24h, 60m)
+  duration: /^\d+[dhms]?$/i,
+  
+  // Record history revision to restore: 1 is the version before the current one
+  revision: /^[1-9]\d{0,5}$/,
+  
+  // EPM approve / deny, the only pre-formatted command the issue panel sends
+  epmApprovalCommand: /^epm approval action --(approve|deny) [a-zA-Z0-9_-]{1,100}$/,
 };
 
 // ============================================================================
@@ -71,79 +128,150 @@ const VALIDATION_PATTERNS = {
 
 /**
  * Validate a single field value
- * @param {string} fieldName - Name of the field for error messages
- * @param {string} value - Value to validate
+ * @param {string} fieldName - Name of the field being validated
+ * @param {*} value - Value to validate
  * @param {Object} options - Validation options
- * @returns {Object} - { valid: boolean, error?: string }
+ * @returns {Object} - { valid: boolean, error?: string, sanitized?: string }
  */
 function validateField(fieldName, value, options = {}) {
-  const {
-    limitKey = 'default',
-    pattern = null,
-    required = false,
-    allowNewlines = false
-  } = options;
+  // Skip validation for null/undefined (optional fields)
+  if (value === null || value === undefined) {
+    return { valid: true, sanitized: null };
+  }
+  
+  // Convert to string for validation
+  const strValue = String(value).trim();
   
-  // Required check
-  if (required && (!value || !value.toString().trim())) {
-    return { valid: false, error: `${fieldName} is required` };
+  // Check if field is required
+  if (options.required && strValue.length === 0) {
+    return { valid: false, error: `${options.label || fieldName} is required` };
   }
   
-  // Skip further validation if empty and not required
-  if (!value) {
-    return { valid: true };
+  // Skip further validation for empty optional fields
+  if (strValue.length === 0) {
+    return { valid: true, sanitized: '' };
   }
   
-  const stringValue = value.toString();
+  // Get length limit for this field type
+  const limitKey = options.limitKey || fieldName;
+  const limits = FIELD_LIMITS[limitKey] || FIELD_LIMITS.default;
   
-  // Length check
-  const maxLength = VALIDATION_LIMITS[limitKey] || VALIDATION_LIMITS.default;
-  if (stringValue.length > maxLength) {
+  // Check length limit
+  if (strValue.length > limits.maxLength) {
     return { 
       valid: false, 
-      error: `${fieldName} exceeds maximum length of ${maxLength} characters` 
+      error: `${limits.label} exceeds maximum length of ${limits.maxLength} characters (provided: ${strValue.length})` 
     };
   }
   
-  // Newline check (unless allowed)
-  if (!allowNewlines && (stringValue.includes('\n') || stringValue.includes('\r'))) {
+  // Format validation for specific field types
+  if (options.pattern) {
+    const pattern = VALIDATION_PATTERNS[options.pattern];
+    if (pattern && !pattern.test(strValue)) {
+      return { 
+        valid: false, 
+        error: `${limits.label} has invalid format` 
+      };
+    }
+  }
+  
+  // Check for dangerous control characters (except newlines in notes)
+  const allowNewlines = options.allowNewlines || fieldName === 'notes';
+  const controlCharPattern = allowNewlines ? /[\x00-\x08\x0b\x0c\x0e-\x1f]/ : /[\x00-\x1f]/;
+  if (controlCharPattern.test(strValue)) {
     return { 
       valid: false, 
-      error: `${fieldName} cannot contain newline characters` 
+      error: allowNewlines
+        ? `${limits.label} contains invalid control characters`
+        : `${limits.label} cannot contain newlines or control characters`
     };
   }
   
-  // Pattern check
-  if (pattern && VALIDATION_PATTERNS[pattern]) {
-    if (!VALIDATION_PATTERNS[pattern].test(stringValue)) {
+  return { valid: true, sanitized: strValue };
+}
+
+/**
+ * Validate email address with multiple emails support (comma-separated)
+ * @param {string} emailString - Single email or comma-separated emails
+ * @returns {Object} - { valid: boolean, error?: string, emails?: string[] }
+ */
+function validateEmails(emailString) {
+  // Presence is checked by the registry's `required` rules
+  if (!emailString) {
+    return { valid: true, emails: [] };
+  }
+  
+  if (typeof emailString !== 'string') {
+    return { valid: false, error: 'Email address must be text' };
+  }
+  
+  const emails = emailString.split(',').map(e => e.trim()).filter(e => e);
+  
+  // Limit number of emails to prevent abuse
+  if (emails.length > 50) {
+    return { valid: false, error: 'Maximum 50 email addresses allowed per request' };
+  }
+  
+  for (const email of emails) {
+    // Check length
+    if (email.length > VALIDATION_LIMITS.email) {
+      return { 
+        valid: false, 
+        error: `Email "${email.substring(0, 20)}..." exceeds maximum length of ${VALIDATION_LIMITS.email} characters` 
+      };
+    }
+    
+    // Check format
+    if (!VALIDATION_PATTERNS.email.test(email)) {
       return { 
         valid: false, 
-        error: `${fieldName} has invalid format` 
+        error: `Invalid email format: "${email.substring(0, 50)}${email.length > 50 ? '...' : ''}"` 
       };
     }
   }
   
-  return { valid: true };
+  return { valid: true, emails };
 }
 
 /**
- * Validate email addresses (can be comma-separated)
- * @param {string} emailsString - Comma-separated email addresses
+ * Validate phone entry object
+ * @param {Object} phoneEntry - Phone entry with number, type, region, ext
  * @returns {Object} - { valid: boolean, error?: string }
  */
-function validateEmails(emailsString) {
-  if (!emailsString) {
-    return { valid: true };
+function validatePhoneEntry(phoneEntry) {
+  if (!phoneEntry || typeof phoneEntry !== 'object') {
+    return { valid: true }; // Optional
   }
   
-  const emails = emailsString.split(',').map(e => e.trim()).filter(e => e);
+  // Region or extension without a number can't be encoded
+  if (!phoneEntry.number && (phoneEntry.region || phoneEntry.ext)) {
+    return { valid: false, error: 'Phone number is required' };
+  }
   
-  for (const email of emails) {
-    if (email.length > VALIDATION_LIMITS.email) {
-      return { valid: false, error: `Email "${email}" exceeds maximum length` };
+  // Validate phone number
+  if (phoneEntry.number) {
+    const numberValidation = validateField('phone', phoneEntry.number, { 
+      limitKey: 'phone', 
+      pattern: 'phone' 
+    });
+    if (!numberValidation.valid) {
+      return numberValidation;
     }
-    if (!VALIDATION_PATTERNS.email.test(email)) {
-      return { valid: false, error: `Invalid email format: "${email}"` };
+  }
+  
+  // Validate extension
+  if (phoneEntry.ext) {
+    const extValidation = validateField('ext', phoneEntry.ext, { limitKey: 'phoneExt' });
+    if (!extValidation.valid) {
+      return extValidation;
+    }
+  }
+  
+  // Validate region
+  if (phoneEntry.region) {
+    const regionValidation = validateField('region', phoneEntry.region, { limitKey: 'phoneRegion' });
+    if (!regionValidation.valid) {
+      return regionValidation;
     }
   }
   
@@ -151,157 +279,230 @@ function validateEmails(emailsString) {
 }
 
 /**
- * Validate phone entry object
- * @param {Object} entry - Phone entry { number, region?, ext?, type? }
- * @returns {Object} - { valid: boolean, error?: string }
+ * Whether a parameter value counts as provided
+ * @param {*} value - Parameter value
+ * @returns {boolean}
+ */
+function hasValue(value) {
+  if (value === undefined || value === null || value === false) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  return true;
+}
+
+/**
+ * Checkbox values arrive as booleans, or as strings from stored requests
+ * @param {*} value - Parameter value
+ * @returns {boolean}
+ */
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Evaluate a registry condition such as { action: 'cancel' } or { sharedFolder: true }
+ * @param {Object} conditions - Field name -> expected value, list of values, or true for "has a value"
+ * @param {Object} parameters - Command parameters
+ * @returns {boolean} - True when every condition holds
+ */
+function conditionsHold(conditions, parameters) {
+  return Object.entries(conditions).every(([name, expected]) => {
+    if (expected === true) return hasValue(parameters[name]);
+    if (Array.isArray(expected)) return expected.includes(parameters[name]);
+    return parameters[name] === expected;
+  });
+}
+
+/**
+ * Validate one registry-declared field
+ * @param {Object} definition - Registry entry
+ * @param {Object} field - Field definition
+ * @param {Object} parameters - Command parameters
+ * @returns {string|null} - Error message or null when valid
  */
-function validatePhoneEntry(entry) {
-  if (!entry) {
-    return { valid: true };
+function validateDeclaredField(definition, field, parameters) {
+  const value = parameters[field.name];
+  
+  if (!hasValue(value)) {
+    const isOptional = field.default !== undefined || (field.optionalWhen && conditionsHold(field.optionalWhen, parameters));
+    if (field.required && !isOptional) {
+      return field.requiredMessage || `${field.label} is required for ${definition.value}`;
+    }
+    return null;
   }
   
-  // Number is required if entry exists
-  if (!entry.number || !entry.number.trim()) {
-    return { valid: false, error: 'Phone number is required' };
+  if (field.type === 'checkbox') {
+    return typeof value === 'boolean' || value === 'true' || value === 'false'
+      ? null
+      : `${field.label} must be true or false`;
+  }
+  
+  // Fixed option lists are what make unquoted values (e.g. `-a grant`) safe
+  if (field.options && field.options.length > 0 && !field.options.includes(value)) {
+    return `Invalid ${field.label.toLowerCase()}. Must be one of: ${field.options.join(', ')}`;
   }
   
-  // Validate number
-  const numberValidation = validateField('phone number', entry.number, {
-    limitKey: 'phone',
-    pattern: 'phone'
+  const validation = validateField(field.name, value, {
+    limitKey: field.limitKey,
+    pattern: field.pattern,
+    allowNewlines: field.allowNewlines,
+    label: field.label
   });
-  if (!numberValidation.valid) return numberValidation;
+  if (!validation.valid) {
+    return validation.error;
+  }
   
-  // Validate region if provided
-  if (entry.region) {
-    const regionValidation = validateField('phone region', entry.region, {
-      limitKey: 'phoneRegion'
-    });
-    if (!regionValidation.valid) return regionValidation;
+  if (field.format === 'emails') {
+    const emailValidation = validateEmails(value);
+    if (!emailValidation.valid) {
+      return emailValidation.error;
+    }
   }
   
-  // Validate extension if provided
-  if (entry.ext) {
-    const extValidation = validateField('phone extension', entry.ext, {
-      limitKey: 'phoneExt'
-    });
-    if (!extValidation.valid) return extValidation;
+  if (field.matches && String(value).trim().toLowerCase() !== String(parameters[field.matches] || '').trim().toLowerCase()) {
+    return `${field.label} does not match ${getFieldDefinition(definition, field.matches)?.label || field.matches}`;
   }
   
-  return { valid: true };
+  return null;
 }
 
 /**
- * Validate all command parameters based on action type
- * @param {string} action - Command action (record-add, share-record, etc.)
+ * Validate record-type specific fields of record-add / record-update
+ * Fields declared in the registry entry are skipped - they were validated already.
+ * @param {Object} definition - Registry entry
  * @param {Object} parameters - Command parameters
- * @returns {Object} - { valid: boolean, errors?: string[] }
+ * @param {Array<string>} errors - Collected errors (appended to)
+ * @param {Object} [passwordPolicy] - Org password policy typed passwords must meet
  */
-function validateCommandParameters(action, parameters) {
-  const errors = [];
+function validateRecordFields(definition, parameters, errors, passwordPolicy) {
+  const declared = new Set(definition.fields.map(field => field.name));
+  const check = (name, options) => {
+    if (declared.has(name) || !parameters[name]) return;
+    const validation = validateField(name, parameters[name], options);
+    if (!validation.valid) errors.push(validation.error);
+  };
   
-  // Skip validation for pre-formatted CLI commands
-  if (parameters.cliCommand) {
-    return { valid: true };
-  }
-  
-  // Common validations based on action type
-  switch (action) {
-    case 'record-add':
-    case 'record-update': {
-      // Title validation
-      if (action === 'record-add' && !parameters.title) {
-        errors.push('Title is required for record-add');
-      } else if (parameters.title) {
-        const titleValidation = validateField('title', parameters.title, { 
-          limitKey: 'title',
-          required: action === 'record-add'
-        });
-        if (!titleValidation.valid) errors.push(titleValidation.error);
-      }
-      
-      // Record UID validation (for record-update)
-      if (action === 'record-update' && parameters.record) {
-        const recordValidation = validateField('record', parameters.record, { 
-          limitKey: 'recordUid',
-          pattern: 'uid'
-        });
-        if (!recordValidation.valid) errors.push(recordValidation.error);
-      }
-      
-      // Record type validation
-      if (parameters.recordType) {
-        const typeValidation = validateField('recordType', parameters.recordType, { 
-          limitKey: 'recordType',
-          pattern: 'recordType'
-        });
-        if (!typeValidation.valid) errors.push(typeValidation.error);
-      }
-      
-      // Notes validation
-      if (parameters.notes) {
-        const notesValidation = validateField('notes', parameters.notes, { 
-          limitKey: 'notes',
-          allowNewlines: true
-        });
-        if (!notesValidation.valid) errors.push(notesValidation.error);
-      }
-      
-      // URL validation
-      if (parameters.url) {
-        const urlValidation = validateField('url', parameters.url, { 
-          limitKey: 'url',
-          pattern: 'url'
-        });
-        if (!urlValidation.valid) errors.push(urlValidation.error);
-      }
-      
-      // Email validation
-      if (parameters.email) {
-        const emailValidation = validateEmails(parameters.email);
-        if (!emailValidation.valid) errors.push(emailValidation.error);
-      }
-      
-      // Phone entries validation
-      if (parameters.phoneEntries && Array.isArray(parameters.phoneEntries)) {
-        for (let i = 0; i < parameters.phoneEntries.length; i++) {
-          const phoneValidation = validatePhoneEntry(parameters.phoneEntries[i]);
-          if (!phoneValidation.valid) {
-            errors.push(`Phone entry ${i + 1}: ${phoneValidation.error}`);
-          }
-        }
-      }
-      break;
+  check('login', { limitKey: 'login' });
+  
+  // Password validation (skip $GEN)
+  if (!isGeneratePlaceholder(parameters.password)) {
+    check('password', { limitKey: 'password' });
+    if (passwordPolicy && parameters.password) {
+      errors.push(...checkPasswordAgainstPolicy(parameters.password, passwordPolicy));
     }
-    
-    case 'share-record':
-    case 'share-folder': {
-      // Record/folder UID required
-      const uidField = action === 'share-record' ? 'record' : 'folder';
-      if (!parameters[uidField]) {
-        errors.push(`${uidField} UID is required for ${action}`);
-      } else {
-        const uidValidation = validateField(uidField, parameters[uidField], {
-          limitKey: action === 'share-record' ? 'recordUid' : 'folderUid',
-          pattern: 'uid'
-        });
-        if (!uidValidation.valid) errors.push(uidValidation.error);
-      }
-      
-      // User email(s) required
-      if (!parameters.user) {
-        errors.push('User email is required for share commands');
-      } else {
-        const userValidation = validateEmails(parameters.user);
-        if (!userValidation.valid) errors.push(userValidation.error);
+  }
+  
+  check('url', { limitKey: 'url', pattern: 'url' });
+  check('email', { limitKey: 'email', pattern: 'email' });
+  
+  // TOTP field - must be a well-formed otpauth://totp/ URI
+  if (parameters.oneTimeCode && !declared.has('oneTimeCode')) {
+    const validation = validateField('oneTimeCode', parameters.oneTimeCode, { limitKey: 'oneTimeCode' });
+    const otp = validation.valid ? parseOtpAuthUri(parameters.oneTimeCode) : validation;
+    if (!otp.valid) errors.push(otp.error);
+  }
+  
+  // Phone entries validation
+  if (parameters.phoneEntries && Array.isArray(parameters.phoneEntries)) {
+    for (let i = 0; i < parameters.phoneEntries.length; i++) {
+      const phoneValidation = validatePhoneEntry(parameters.phoneEntries[i]);
+      if (!phoneValidation.valid) {
+        errors.push(`Phone entry ${i + 1}: ${phoneValidation.error}`);
       }
-      break;
     }
-    
-    case 'epm approval action': {
-      // Approval UID required (handled by cliCommand path)
-      break;
+  }
+  
+  // Address fields validation
+  const addressFields = ['address_street1', 'address_street2', 'address_city', 'address_state', 'address_zip', 'address_country'];
+  for (const field of addressFields) {
+    const limitKey = field.includes('street') ? 'street' : 
+                    field.includes('city') ? 'city' :
+                    field.includes('state') ? 'state' :
+                    field.includes('zip') ? 'zip' : 'country';
+    check(field, { limitKey });
+  }
+  
+  // Name fields validation
+  const nameFields = ['name_first', 'name_middle', 'name_last'];
+  for (const field of nameFields) {
+    const limitKey = field.includes('first') ? 'firstName' :
+                    field.includes('middle') ? 'middleName' : 'lastName';
+    check(field, { limitKey });
+  }
+  
+  // Host fields validation
+  if (parameters.host_hostName || parameters.hostName) {
+    const hostname = parameters.host_hostName || parameters.hostName;
+    const validation = validateField('hostName', hostname, { 
+      limitKey: 'hostName',
+      pattern: 'hostname'
+    });
+    if (!validation.valid) errors.push(validation.error);
+  }
+  
+  if (parameters.host_port || parameters.port) {
+    const port = parameters.host_port || parameters.port;
+    const validation = validateField('port', port, { 
+      limitKey: 'port',
+      pattern: 'port'
+    });
+    if (!validation.valid) errors.push(validation.error);
+  }
+  
+  // Validate all remaining string parameters against default limits
+  const validatedFields = ['login', 'password', 'url', 'email', 'oneTimeCode', ...addressFields, ...nameFields];
+  for (const [key, value] of Object.entries(parameters)) {
+    if (typeof value !== 'string' || declared.has(key) || validatedFields.includes(key)) {
+      continue;
     }
+    const validation = validateField(key, value, { limitKey: 'default' });
+    if (!validation.valid) errors.push(validation.error);
+  }
+}
+
+/**
+ * Check for an EPM approve / deny sent as a pre-formatted command
+ * The command must be the action itself and come without any other parameters.
+ * @param {string} action - The command action
+ * @param {Object} parameters - The parameters object
+ * @returns {boolean} - True for a well-formed EPM approval command
+ */
+function isEpmApprovalCommand(action, parameters = {}) {
+  const { cliCommand, ...otherParameters } = parameters;
+  return typeof cliCommand === 'string' &&
+    cliCommand === action &&
+    Object.keys(otherParameters).length === 0 &&
+    VALIDATION_PATTERNS.epmApprovalCommand.test(cliCommand);
+}
+
+/**
+ * Validate all parameters for a Keeper command against its registry entry
+ * @param {string} action - The command action (record-add, record-update, etc.)
+ * @param {Object} parameters - The parameters object
+ * @param {Object} [options]
+ * @param {Object} [options.passwordPolicy] - Org password policy for passwords typed into record requests
+ * @returns {Object} - { valid: boolean, errors?: string[] }
+ */
+function validateCommandParameters(action, parameters = {}, options = {}) {
+  // Pre-formatted CLI commands are only accepted for EPM approvals
+  if (parameters.cliCommand !== undefined) {
+    return isEpmApprovalCommand(action, parameters)
+      ? { valid: true }
+      : { valid: false, errors: ['Pre-formatted commands are only accepted for EPM approvals'] };
+  }
+  
+  const definition = getCommandDefinition(action);
+  if (!definition) {
+    return { valid: false, errors: [`Unsupported Keeper action: ${action}`] };
+  }
+  
+  const errors = [];
+  for (const field of definition.fields) {
+    const error = validateDeclaredField(definition, field, parameters);
+    if (error) errors.push(error);
+  }
+  
+  if (definition.recordFields) {
+    validateRecordFields(definition, parameters, errors, options.passwordPolicy);
   }
   
   return {
@@ -314,9 +515,23 @@ function validateCommandParameters(action, parameters) {
 // Shell Escaping Functions
 // ============================================================================
 
+/**
+ * Capitalize first letter of a field name
+ * @param {string} fieldName - Field name to capitalize
+ * @returns {string} - Capitalized field name
+ */
+function capitalizeFieldName(fieldName) {
+  if (!fieldName || typeof fieldName !== 'string') return '';
+  return fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
+}
+
 /**
  * Escape a value for use inside single-quoted shell arguments.
- * In single quotes, only single quotes need escaping (via '\'' trick).
+ * Single quotes in shell cannot contain escaped single quotes, so we use
+ * the technique: replace ' with '\'' (end quote, escaped quote, start quote)
+ * 
+ * Example: "Test's Record" becomes "Test'\''s Record"
+ * Which in shell becomes: 'Test'\''s Record' = Test's Record
  * 
  * @param {string} value - The user input value to escape
  * @returns {string} - The escaped value safe for single-quoted context
@@ -369,150 +584,566 @@ function sanitizeJsonObject(obj) {
   return sanitized;
 }
 
-/**
- * Capitalize first letter of a field name
- * @param {string} fieldName - Field name to capitalize
- * @returns {string} - Capitalized field name
- */
-function capitalizeFieldName(fieldName) {
-  if (!fieldName) return '';
-  return fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
-}
-
 // ============================================================================
-// Command Builder
+// Record Field Encoders
 // ============================================================================
 
 /**
- * Build a Keeper Commander CLI command from structured parameters.
- * 
- * @param {string} action - The command action (record-add, share-record, etc.)
+ * Encode record-type specific fields for record-add
+ * Field names follow the record type template; grouped fields (address_*, name_*,
+ * host_*, phone_<Type>_*) are combined into $JSON values.
  * @param {Object} parameters - Command parameters
- * @param {string} issueKey - Jira issue key (for context/logging)
- * @returns {string} - The built CLI command string
- * @throws {Error} - If validation fails
+ * @returns {string} - Command fragment with a leading space
  */
-function buildKeeperCommand(action, parameters, issueKey) {
-  // Check if we have a pre-formatted CLI command (used for record-permission)
-  if (parameters.cliCommand) {
-    return parameters.cliCommand;
-  }
+function buildRecordAddFields(parameters) {
+  const recordType = parameters.recordType || 'login';
+  let command = '';
   
-  // Input Validation
-  const validation = validateCommandParameters(action, parameters);
-  if (!validation.valid) {
-    throw new Error(`Input validation failed: ${validation.errors.join('; ')}`);
+  // Handle common fields for all record types
+  if (parameters.notes) {
+    command += ` Notes="${escapeForDoubleQuotes(parameters.notes)}"`;
   }
   
-  let command = action;
+  // Dynamic field processing for any record type
+  // Process all parameters except metadata fields
+  const metadataFields = ['recordType', 'title', 'notes', 'skipComment', 'phoneEntries'];
   
-  // Build command based on action type
-  switch (action) {
-    case 'record-add': {
-      const recordType = parameters.recordType || 'login';
-      command += ` --record-type='${escapeForSingleQuotes(recordType)}'`;
-      
-      if (!parameters.title) {
-        throw new Error(`Title is required for record-add command. Record type: ${recordType}`);
+  // Special handling for login record type (password generation)
+  if (recordType === 'login' && !parameters.password) {
+    command += ` Password=$GEN`; // Generate password if not provided for login records
+  }
+  
+  // Special handling for single phone entry (contact record type)
+  if (parameters.phoneEntries && Array.isArray(parameters.phoneEntries) && parameters.phoneEntries.length > 0) {
+    const entry = parameters.phoneEntries[0]; // Only first phone entry
+    if (entry.number && entry.number.trim()) {
+      const phoneObj = {
+        number: entry.number.trim()
+      };
+      if (entry.region && entry.region.trim()) {
+        phoneObj.region = entry.region.trim();
       }
-      command += ` --title="${escapeForDoubleQuotes(parameters.title)}"`;
-      
-      // Handle common fields
-      if (parameters.notes) {
-        command += ` Notes="${escapeForDoubleQuotes(parameters.notes)}"`;
+      if (entry.ext && entry.ext.trim()) {
+        phoneObj.ext = entry.ext.trim();
       }
-      
-      // Password generation for login records
-      if (recordType === 'login' && !parameters.password) {
-        command += ` Password=$GEN`;
+      if (entry.type) {
+        phoneObj.type = entry.type;
       }
+      // Sanitize JSON object values and escape for single-quoted shell context
+      const sanitizedPhone = sanitizeJsonObject(phoneObj);
+      command += ` Phone='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedPhone))}'`;
+    }
+  }
+  
+  // Process all fields dynamically with proper JSON formatting for complex field types
+  const addProcessedFields = new Set(); // Track processed fields to avoid duplicates
+  const jsonFields = {}; // Group fields that need JSON formatting
+  
+  // Define field types that require JSON formatting as per documentation
+  const jsonFieldTypes = {
+    'address': ['street1', 'street2', 'city', 'state', 'zip', 'country'],
+    'name': ['first', 'middle', 'last'],
+    'phone': ['region', 'number', 'ext', 'type'],
+    'host': ['hostName', 'port'],
+    'pamHostname': ['hostName', 'port'],
+    'keyPair': ['privateKey', 'publicKey']
+  };
+  
+  // Map reference fields to their corresponding JSON field types
+  // When a reference field is provided, skip the corresponding JSON field
+  // Currently empty as no reference fields are used in static record types
+  const referenceFieldMappings = {};
+  
+  // First pass: Group fields that need JSON formatting
+  Object.keys(parameters).forEach(key => {
+    if (metadataFields.includes(key) || !parameters[key]) {
+      return; // Skip metadata fields and empty values
+    }
+    
+    const value = parameters[key].toString().trim();
+    if (!value) return;
+    
+    // Check for grouped fields (like address_street1, name_first, phone_Work_number)
+    if (key.includes('_')) {
+      const parts = key.split('_');
+      const prefix = parts[0];
+      const suffix = parts[1];
       
-      // Handle phone entries
-      if (parameters.phoneEntries && Array.isArray(parameters.phoneEntries) && parameters.phoneEntries.length > 0) {
-        const entry = parameters.phoneEntries[0];
-        if (entry.number && entry.number.trim()) {
-          const phoneObj = { number: entry.number.trim() };
-          if (entry.region && entry.region.trim()) phoneObj.region = entry.region.trim();
-          if (entry.ext && entry.ext.trim()) phoneObj.ext = entry.ext.trim();
-          if (entry.type) phoneObj.type = entry.type;
-          const sanitizedPhone = sanitizeJsonObject(phoneObj);
-          command += ` Phone='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedPhone))}'`;
+      // Check if this is a JSON field type
+      if (jsonFieldTypes[prefix] && jsonFieldTypes[prefix].includes(suffix)) {
+        if (!jsonFields[prefix]) {
+          jsonFields[prefix] = {};
         }
+        jsonFields[prefix][suffix] = value;
+        addProcessedFields.add(key);
+        return;
       }
       
-      // Handle other fields dynamically
-      const metadataFields = ['recordType', 'title', 'notes', 'skipComment', 'phoneEntries'];
-      for (const [key, value] of Object.entries(parameters)) {
-        if (metadataFields.includes(key) || !value) continue;
-        const fieldName = capitalizeFieldName(key);
-        if (typeof value === 'string') {
-          command += ` ${fieldName}="${escapeForDoubleQuotes(value)}"`;
+      // Handle phone.Work, phone.Mobile pattern (phone_Work_number, phone_Mobile_number)
+      if (prefix === 'phone' && parts.length === 3) {
+        const phoneType = parts[1]; // Work, Mobile, etc.
+        const phoneField = parts[2]; // number, ext, etc.
+        
+        if (!jsonFields[`phone.${phoneType}`]) {
+          jsonFields[`phone.${phoneType}`] = {};
+          // Automatically add the type field based on phone type
+          jsonFields[`phone.${phoneType}`]['type'] = phoneType;
         }
+        jsonFields[`phone.${phoneType}`][phoneField] = value;
+        addProcessedFields.add(key);
+        return;
       }
-      break;
     }
     
-    case 'record-update': {
-      if (!parameters.record) {
-        throw new Error('Record UID is required for record-update command');
-      }
-      command += ` "${escapeForDoubleQuotes(parameters.record)}"`;
-      
-      // Handle fields to update
-      const skipFields = ['record', 'skipComment'];
-      for (const [key, value] of Object.entries(parameters)) {
-        if (skipFields.includes(key) || !value) continue;
-        const fieldName = capitalizeFieldName(key);
-        if (typeof value === 'string') {
-          command += ` ${fieldName}="${escapeForDoubleQuotes(value)}"`;
+    // Check for direct field names that should be grouped
+    Object.keys(jsonFieldTypes).forEach(fieldType => {
+      if (jsonFieldTypes[fieldType].includes(key)) {
+        if (!jsonFields[fieldType]) {
+          jsonFields[fieldType] = {};
         }
+        jsonFields[fieldType][key] = value;
+        addProcessedFields.add(key);
+        return;
       }
-      break;
+    });
+  });
+  
+  // Second pass: Add JSON formatted fields and individual fields
+  Object.keys(parameters).forEach(key => {
+    if (metadataFields.includes(key) || !parameters[key] || addProcessedFields.has(key)) {
+      return; // Skip metadata fields, empty values, and already processed fields
     }
     
-    case 'share-record': {
-      if (!parameters.record) {
-        throw new Error('Record UID is required for share-record command');
+    const value = parameters[key].toString().trim();
+    if (value) {
+      // Escape user input for single-quoted shell context
+      const escapedValue = escapeForSingleQuotes(value);
+      
+      // Handle custom fields (c.text.Department, c.secret.API_Key, etc.)
+      if (key.startsWith('c.')) {
+          command += ` ${key}='${escapedValue}'`;
       }
-      if (!parameters.user) {
-        throw new Error('User email is required for share-record command');
+      // Handle text.fieldname format (e.g., text.type for databaseCredentials)
+      else if (key.startsWith('text.')) {
+          // Keep as-is (lowercase) for Keeper CLI
+          command += ` ${key}='${escapedValue}'`;
       }
-      
-      command += ` --record='${escapeForSingleQuotes(parameters.record)}'`;
-      command += ` --user='${escapeForSingleQuotes(parameters.user)}'`;
-      
-      if (parameters.action) {
-        command += ` --action='${escapeForSingleQuotes(parameters.action)}'`;
+      // Handle grouped fields that don't need JSON - skip, handled in jsonFields
+      else if (key.includes('_')) {
+        // These are handled in jsonFields section
+      }
+      // TOTP field - store the normalized otpauth URI (uppercase secret, no whitespace)
+      else if (key === 'oneTimeCode') {
+        command += ` oneTimeCode='${escapeForSingleQuotes(parseOtpAuthUri(value).uri || value)}'`;
       }
-      if (parameters.can_share === true) {
-        command += ` --can-share`;
+      // Single fields (login, password, url, email, etc.) - keep lowercase
+      else {
+        command += ` ${key}='${escapedValue}'`;
       }
-      if (parameters.can_write === true) {
-        command += ` --can-write`;
+    }
+  });
+  
+  // Add JSON formatted fields (but skip if we have corresponding reference fields)
+  Object.keys(jsonFields).forEach(fieldName => {
+    const fieldData = jsonFields[fieldName];
+    if (Object.keys(fieldData).length > 0) {
+      // Check if we have a reference field that should exclude this JSON field
+      let shouldSkip = false;
+      Object.keys(referenceFieldMappings).forEach(refField => {
+        if (parameters[refField] && referenceFieldMappings[refField] === fieldName) {
+          shouldSkip = true;
+        }
+      });
+      
+      if (!shouldSkip) {
+        // Sanitize JSON object values and escape for single-quoted shell context
+        const sanitizedData = sanitizeJsonObject(fieldData);
+        command += ` ${fieldName}='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedData))}'`;
       }
-      break;
+    }
+  });
+  
+  return command;
+}
+
+/**
+ * Encode record-type specific fields for record-update
+ * @param {Object} parameters - Command parameters
+ * @returns {string} - Command fragment with a leading space
+ */
+function buildRecordUpdateFields(parameters) {
+  let command = '';
+  
+  // Notes handling (with + prefix to append, without to replace)
+  if (parameters.notes) {
+    if (parameters.appendNotes === true) {
+      command += ` --notes='+${escapeForSingleQuotes(parameters.notes)}'`;
+    } else {
+      command += ` --notes='${escapeForSingleQuotes(parameters.notes)}'`;
+    }
+  }
+  
+  // Dynamic Field Processing - handles all record types and field formats
+  const processedFields = new Set(); // Track processed fields to avoid duplicates
+  const groupedFields = {}; // Group related fields (name_, address_, phone_, etc.)
+  
+  // First pass: Group related fields and identify patterns
+  Object.keys(parameters).forEach(key => {
+    if (!parameters[key] || (typeof parameters[key] === 'string' && parameters[key].trim() === '')) {
+      return; // Skip empty values
     }
     
-    case 'share-folder': {
-      if (!parameters.folder) {
-        throw new Error('Folder UID is required for share-folder command');
+    const value = parameters[key].toString().trim();
+    
+    // Skip already processed core fields and metadata
+    if (['record', 'title', 'recordType', 'notes', 'appendNotes', 'force', 'phoneEntries'].includes(key)) {
+      return;
+    }
+    
+    // Detect field patterns and group them
+    // Don't split custom fields (c.text.*, c.secret.*, c.date.*) or labeled fields (date.*, password.*) - preserve them as-is
+    if (key.startsWith('c.') || key.startsWith('text.') || key.startsWith('date.') || key.startsWith('password.')) {
+      // Custom fields and labeled fields should be preserved as single fields with full key
+      groupedFields[key] = value;
+    } else if (key.includes('_')) {
+      const [prefix, suffix] = key.split('_', 2);
+      if (!groupedFields[prefix]) {
+        groupedFields[prefix] = {};
       }
-      if (!parameters.user) {
-        throw new Error('User email is required for share-folder command');
+      groupedFields[prefix][suffix] = value;
+    } else {
+      // Single fields (login, password, url, etc.)
+      groupedFields[key] = value;
+    }
+  });
+  
+  // Second pass: Process grouped fields according to Keeper CLI formats
+  Object.keys(groupedFields).forEach(fieldGroup => {
+    if (processedFields.has(fieldGroup)) return;
+    
+    const fieldData = groupedFields[fieldGroup];
+    
+    // Handle grouped JSON fields (address, name, phone, etc.)
+    if (typeof fieldData === 'object' && fieldData !== null) {
+      switch (fieldGroup) {
+        case 'address':
+          // Address format: address='$JSON:{"street1": "...", "city": "..."}''
+          const addressObj = {};
+          if (fieldData.street1) addressObj.street1 = fieldData.street1;
+          if (fieldData.street2) addressObj.street2 = fieldData.street2;
+          if (fieldData.city) addressObj.city = fieldData.city;
+          if (fieldData.state) addressObj.state = fieldData.state;
+          if (fieldData.zip) addressObj.zip = fieldData.zip;
+          if (fieldData.country) addressObj.country = fieldData.country;
+          
+          if (Object.keys(addressObj).length > 0) {
+            const sanitizedAddress = sanitizeJsonObject(addressObj);
+            const addressCommand = ` address='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedAddress))}'`;
+            command += addressCommand;
+          }
+          break;
+          
+        case 'name':
+          // Name format: name='$JSON:{"first": "John", "middle": "Michael", "last": "Doe"}'
+          const nameObj = {};
+          if (fieldData.first) nameObj.first = fieldData.first;
+          if (fieldData.middle) nameObj.middle = fieldData.middle;
+          if (fieldData.last) nameObj.last = fieldData.last;
+          
+          if (Object.keys(nameObj).length > 0) {
+            const sanitizedName = sanitizeJsonObject(nameObj);
+            command += ` name='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedName))}'`;
+          }
+          break;
+          
+        case 'phone':
+          // Simple phone format without type: phone='$JSON:{"number": "...", ...}'
+          const simplePhoneObj = {};
+          if (fieldData.number) simplePhoneObj.number = fieldData.number;
+          if (fieldData.ext) simplePhoneObj.ext = fieldData.ext;
+          if (fieldData.region) simplePhoneObj.region = fieldData.region;
+          if (fieldData.type) simplePhoneObj.type = fieldData.type;
+          
+          if (Object.keys(simplePhoneObj).length > 0) {
+            const sanitizedPhone = sanitizeJsonObject(simplePhoneObj);
+            command += ` phone='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedPhone))}'`;
+          }
+          break;
+          
+        case 'keyPair':
+          // SSH keyPair format: keyPair='$JSON:{"privateKey": "...", "publicKey": "..."}'
+          const keyPairObj = {};
+          if (fieldData.privateKey) keyPairObj.privateKey = fieldData.privateKey;
+          if (fieldData.publicKey) keyPairObj.publicKey = fieldData.publicKey;
+          
+          if (Object.keys(keyPairObj).length > 0) {
+            const sanitizedKeyPair = sanitizeJsonObject(keyPairObj);
+            command += ` keyPair='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedKeyPair))}'`;
+          }
+          break;
+          
+        case 'host':
+          // Host format: host='$JSON:{"hostName": "...", "port": "..."}'
+          const hostObj = {};
+          if (fieldData.hostName) hostObj.hostName = fieldData.hostName;
+          if (fieldData.port) hostObj.port = fieldData.port;
+          
+          if (Object.keys(hostObj).length > 0) {
+            const sanitizedHost = sanitizeJsonObject(hostObj);
+            command += ` host='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedHost))}'`;
+          }
+          break;
+          
+        case 'pamHostname':
+          // PAM Hostname format: pamHostname='$JSON:{"hostName": "...", "port": "..."}'
+          const pamHostObj = {};
+          if (fieldData.hostName) pamHostObj.hostName = fieldData.hostName;
+          if (fieldData.port) pamHostObj.port = fieldData.port;
+          
+          if (Object.keys(pamHostObj).length > 0) {
+            const sanitizedPamHost = sanitizeJsonObject(pamHostObj);
+            command += ` pamHostname='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedPamHost))}'`;
+          }
+          break;
+          
+        default:
+          // Handle any other grouped fields as custom fields
+          Object.keys(fieldData).forEach(subField => {
+            const subValue = fieldData[subField];
+            if (subValue) {
+              // Use only the original field name (subField) for custom fields
+              // Escape for double-quoted context
+              command += ` c.text.${subField}="${escapeForDoubleQuotes(subValue)}"`;
+            }
+          });
+          break;
       }
+    } else {
+      // Handle single fields
+      const value = fieldData;
+      // Escape value for single-quoted shell context
+      const escapedValue = escapeForSingleQuotes(value);
       
-      command += ` --folder='${escapeForSingleQuotes(parameters.folder)}'`;
-      command += ` --user='${escapeForSingleQuotes(parameters.user)}'`;
-      
-      if (parameters.action) {
-        command += ` --action='${escapeForSingleQuotes(parameters.action)}'`;
+      switch (fieldGroup) {
+        case 'login':
+          command += ` login='${escapedValue}'`;
+          break;
+          
+        case 'password':
+          if (value === '$GEN' || value === 'generate') {
+            command += ` password=$GEN`;
+          } else {
+            command += ` password='${escapedValue}'`;
+          }
+          break;
+          
+        case 'passphrase':
+          // Passphrase is a password-type field with label "passphrase"
+          // Keeper CLI format: password.label='value'
+          if (value === '$GEN' || value === 'generate') {
+            command += ` password.passphrase=$GEN`;
+          } else {
+            command += ` password.passphrase='${escapedValue}'`;
+          }
+          break;
+          
+        case 'url':
+          command += ` url='${escapedValue}'`;
+          break;
+          
+        case 'email':
+          command += ` email='${escapedValue}'`;
+          break;
+          
+        case 'oneTimeCode':
+          // Standard Keeper field type for TOTP - store the normalized otpauth URI
+          command += ` oneTimeCode='${escapeForSingleQuotes(parseOtpAuthUri(value).uri || value)}'`;
+          break;
+          
+        case 'licenseNumber':
+          // Standard Keeper field type for software licenses
+          command += ` licenseNumber='${escapedValue}'`;
+          break;
+          
+        case 'accountNumber':
+          // Standard Keeper field type for memberships
+          command += ` accountNumber='${escapedValue}'`;
+          break;
+          
+        case 'expirationDate':
+          // Standard Keeper field type for expiration dates
+          command += ` expirationDate='${escapedValue}'`;
+          break;
+          
+        case 'note':
+          // Standard Keeper field type for notes
+          command += ` note='${escapedValue}'`;
+          break;
+          
+        case 'date':
+          // Handle different date formats
+          if (value.match(/^\d{4}-\d{2}-\d{2}$/)) {
+            command += ` date='${escapedValue}'`;
+          } else if (value.match(/^\d+$/)) {
+            command += ` date=${value}`; // Numeric dates don't need quotes
+          } else {
+            command += ` date='${escapedValue}'`;
+          }
+          break;
+          
+        case 'text':
+        case 'multiline':
+        case 'secret':
+          // Handle as custom field with appropriate type
+          command += ` c.${fieldGroup}.${fieldGroup}='${escapedValue}'`;
+          break;
+          
+        default:
+          // Handle custom fields (c.*) and labeled fields (type.label format like date.dateActive, password.passphrase)
+          if (fieldGroup.startsWith('c.') || fieldGroup.startsWith('text.') || fieldGroup.startsWith('date.') || fieldGroup.startsWith('password.')) {
+            command += ` ${fieldGroup}='${escapedValue}'`;
+            break;
+          }
+          // Any other single field - use c.secret for $GEN values, c.text for others
+          if (value === '$GEN' || value === 'generate') {
+            command += ` c.secret.${fieldGroup}=$GEN`;
+          } else {
+            command += ` c.text.${fieldGroup}='${escapedValue}'`;
+          }
+          break;
       }
-      break;
     }
     
+    processedFields.add(fieldGroup);
+  });
+  
+  // Handle single phone entry for contact record updates
+  // Format per Keeper docs: phone='$JSON:{"number":"...", "type":"...", ...}'
+  if (parameters.phoneEntries && Array.isArray(parameters.phoneEntries) && parameters.phoneEntries.length > 0) {
+    const entry = parameters.phoneEntries[0]; // Only first phone entry
+    if (entry.number && entry.number.trim()) {
+      const phoneObj = {
+        number: entry.number.trim()
+      };
+      if (entry.type) {
+        phoneObj.type = entry.type;
+      }
+      if (entry.region) {
+        phoneObj.region = entry.region;
+      }
+      if (entry.ext && entry.ext.trim()) {
+        phoneObj.ext = entry.ext.trim();
+      }
+      // Sanitize JSON object values and escape for single-quoted shell context
+      const sanitizedPhoneUpdate = sanitizeJsonObject(phoneObj);
+      command += ` phone='$JSON:${escapeForSingleQuotes(JSON.stringify(sanitizedPhoneUpdate))}'`;
+    }
+  }
+  
+  return command;
+}
+
+// ============================================================================
+// Command Builder
+// ============================================================================
+
+const ARGUMENT_TRANSFORMS = {
+  // datetime-local input (yyyy-MM-ddThh:mm) to Commander format (yyyy-MM-dd hh:mm)
+  datetime: value => value.replace('T', ' '),
+  // Durations are emitted unquoted - strip everything but digits and unit letters
+  duration: value => value.replace(/[^0-9dhms]/gi, '')
+};
+
+/**
+ * Quote a value for the shell context named in the registry
+ * @param {string} value - Raw value
+ * @param {string} quote - 'single' (default), 'double' or 'none'
+ * @returns {string}
+ */
+function quoteValue(value, quote = 'single') {
+  if (quote === 'double') return `"${escapeForDoubleQuotes(value)}"`;
+  if (quote === 'none') return value;
+  return `'${escapeForSingleQuotes(value)}'`;
+}
+
+/**
+ * Render one registry argument
+ * @param {Object} definition - Registry entry
+ * @param {Object} argument - Argument definition
+ * @param {Object} parameters - Validated command parameters
+ * @returns {string} - Command fragment with a leading space, or '' when skipped
+ */
+function renderArgument(definition, argument, parameters) {
+  if (argument.when && !conditionsHold(argument.when, parameters)) return '';
+  if (argument.unless && conditionsHold(argument.unless, parameters)) return '';
+  if (argument.unlessPresent && hasValue(parameters[argument.unlessPresent])) return '';
+  
+  switch (argument.type) {
+    case 'literal':
+      return ` ${argument.value}`;
+    case 'switch':
+      return isTrue(parameters[argument.field]) ? ` ${argument.flag}` : '';
+    case 'onOff':
+      return ` ${argument.flag} ${isTrue(parameters[argument.field]) ? 'on' : 'off'}`;
+    case 'recordFields':
+      return argument.mode === 'add' ? buildRecordAddFields(parameters) : buildRecordUpdateFields(parameters);
+  }
+  
+  let value = parameters[argument.field];
+  if (!hasValue(value)) {
+    value = getFieldDefinition(definition, argument.field)?.default;
+  }
+  if (!hasValue(value)) return '';
+  
+  value = String(value);
+  if (argument.transform) {
+    value = ARGUMENT_TRANSFORMS[argument.transform](value);
+  }
+  
+  switch (argument.type) {
+    case 'positional':
+      return ` ${quoteValue(value, argument.quote)}`;
+    case 'list':
+      // One flag per comma-separated item, e.g. -e 'a@x.com' -e 'b@x.com'
+      return value.split(',')
+        .map(item => item.trim())
+        .filter(item => item)
+        .map(item => ` ${argument.flag} ${quoteValue(item, argument.quote)}`)
+        .join('');
+    case 'option': {
+      const separator = argument.syntax === 'equals' ? '=' : ' ';
+      return ` ${argument.flag}${separator}${quoteValue(value, argument.quote)}`;
+    }
     default:
-      // For other actions, return as-is or with basic parameter handling
-      break;
+      throw new Error(`Unknown argument type "${argument.type}" for ${definition.value}`);
+  }
+}
+
+/**
+ * Build a Keeper Commander CLI command from structured parameters.
+ * 
+ * @param {string} action - The command action (record-add, share-record, etc.)
+ * @param {Object} parameters - Command parameters
+ * @param {string} issueKey - Jira issue key (for context/logging)
+ * @param {Object} [options] - Validation options (see validateCommandParameters)
+ * @returns {string} - The built CLI command string
+ * @throws {Error} - If the action is unsupported or validation fails
+ */
+function buildKeeperCommand(action, parameters = {}, issueKey, options = {}) {
+  const validation = validateCommandParameters(action, parameters, options);
+  if (!validation.valid) {
+    throw new Error(`Input validation failed: ${validation.errors.join('; ')}`);
+  }
+  
+  // EPM approvals arrive pre-formatted and have no registry entry
+  if (parameters.cliCommand !== undefined) {
+    return parameters.cliCommand;
+  }
+  
+  const definition = getCommandDefinition(action);
+  let command = action;
+  for (const argument of definition.arguments) {
+    command += renderArgument(definition, argument, parameters);
   }
   
   return command;
@@ -532,6 +1163,7 @@ module.exports = {
   validateEmails,
   validatePhoneEntry,
   validateCommandParameters,
+  isEpmApprovalCommand,
   
   // Escaping functions
   escapeForSingleQuotes,
@@ -0,0 +1,147 @@
+/**
+ * Command Policy Utility
+ *
+ * Server-side policy for raw commands sent to the executeKeeperCommand resolver.
+ * The leading verb must be on the admin-configured allow-list, and anything that
+ * is not read-only additionally requires a Jira administrator.
+ */
+
+const { getCommandVerb } = require('./readCache');
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+// Same list as the `-c` argument in the Commander service-create setup instructions
+const DEFAULT_ALLOWED_COMMANDS = [
+  'record-add',
+  'list',
+  'ls',
+  'get',
+  'record-type-info',
+  'record-update',
+  'share-record',
+  'share-folder',
+  'rti',
+  'record-permission',
+  'upload-attachment',
+  'one-time-share',
+  'rm',
+  'mv',
+  'mkdir',
+  'enterprise-user',
+  'transfer-user',
+  'enterprise-info',
+  'enterprise-team',
+  'record-history',
+  'secrets-manager',
+  'share-report',
+  'generate',
+  'epm',
+  'service-status'
+];
+
+// Verbs any Jira user may run once they are allowed
+const READ_ONLY_COMMANDS = ['list', 'ls', 'get', 'record-type-info', 'rti', 'service-status'];
+
+const COMMAND_POLICY_LIMITS = {
+  maxCommands: 50,
+  verbMaxLength: 40
+};
+
+const COMMAND_VERB_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+const POLICY_REJECTION = {
+  INVALID_COMMAND: 'invalid_command',
+  NOT_ALLOWED: 'not_allowed',
+  ADMIN_REQUIRED: 'admin_required'
+};
+
+// ========================================================================
+// Helpers
+// ========================================================================
+
+/**
+ * @param {string} verb - Command verb
+ * @returns {boolean} - True when the verb only reads vault data
+ */
+function isReadOnlyCommand(verb) {
+  return READ_ONLY_COMMANDS.includes(verb);
+}
+
+/**
+ * Validate and normalize an admin-supplied allow-list
+ * Accepts an array or the comma-separated form used by service-create `-c`.
+ * @param {Array<string>|string} input - Allowed command verbs
+ * @returns {Object} - { valid, error?, commands? }
+ */
+function validateAllowedCommands(input) {
+  const list = typeof input === 'string' ? input.split(',') : input;
+
+  if (!Array.isArray(list)) {
+    return { valid: false, error: 'Allowed commands must be a list of command names' };
+  }
+
+  const commands = [];
+  for (const item of list) {
+    const verb = String(item || '').trim().toLowerCase();
+    if (!verb) {
+      continue;
+    }
+    if (verb.length > COMMAND_POLICY_LIMITS.verbMaxLength || !COMMAND_VERB_PATTERN.test(verb)) {
+      return { valid: false, error: `"${verb}" is not a valid command name` };
+    }
+    if (!commands.includes(verb)) {
+      commands.push(verb);
+    }
+  }
+
+  if (commands.length === 0) {
+    return { valid: false, error: 'At least one command must be allowed' };
+  }
+  if (commands.length > COMMAND_POLICY_LIMITS.maxCommands) {
+    return { valid: false, error: `No more than ${COMMAND_POLICY_LIMITS.maxCommands} commands can be allowed` };
+  }
+
+  return { valid: true, commands };
+}
+
+/**
+ * Decide whether a raw command may be executed
+ * @param {string} command - Full Commander command
+ * @param {Object} options
+ * @param {Array<string>} options.allowedCommands - Allow-list (defaults to DEFAULT_ALLOWED_COMMANDS)
+ * @param {boolean} options.isAdmin - Whether the caller is a Jira administrator
+ * @returns {Object} - { allowed, verb, readOnly, reason?, error? }
+ */
+function evaluateCommandPolicy(command, options = {}) {
+  const { allowedCommands = DEFAULT_ALLOWED_COMMANDS, isAdmin = false } = options;
+  const verb = getCommandVerb(command);
+
+  // Commander service mode runs one command per request - line breaks would smuggle in a second one
+  if (!verb || /[\r\n]/.test(command)) {
+    return { allowed: false, verb, readOnly: false, reason: POLICY_REJECTION.INVALID_COMMAND, error: 'Command is not valid' };
+  }
+
+  const readOnly = isReadOnlyCommand(verb);
+
+  if (!allowedCommands.includes(verb)) {
+    return { allowed: false, verb, readOnly, reason: POLICY_REJECTION.NOT_ALLOWED, error: `Command "${verb}" is not on the allowed command list` };
+  }
+
+  if (!readOnly && !isAdmin) {
+    return { allowed: false, verb, readOnly, reason: POLICY_REJECTION.ADMIN_REQUIRED, error: `Command "${verb}" requires Jira administrator permissions` };
+  }
+
+  return { allowed: true, verb, readOnly };
+}
+
+module.exports = {
+  DEFAULT_ALLOWED_COMMANDS,
+  READ_ONLY_COMMANDS,
+  COMMAND_POLICY_LIMITS,
+  POLICY_REJECTION,
+  isReadOnlyCommand,
+  validateAllowedCommands,
+  evaluateCommandPolicy
+};
@@ -0,0 +1,439 @@
+/**
+ * Keeper Command Registry
+ *
+ * Declarative description of every Commander action the issue panel can run.
+ * Each entry is used three ways:
+ *   - `fields` drive validation in commandBuilder.js and are served to the issue
+ *     panel (getKeeperCommandRegistry resolver) to render the action form
+ *   - `arguments` describe the CLI layout that commandBuilder.js emits
+ *   - `requiresAdmin` hides the action from non-admins and is enforced by
+ *     executeKeeperAction
+ *   - `adminApproval` lets anyone raise the request but only a Jira
+ *     administrator approve (execute) it, also enforced by executeKeeperAction
+ *
+ * Field keys:
+ *   name, label, type, required, options, placeholder, description,
+ *   conditionalOn / conditionalValue            - form rendering (issue panel); conditionalValue may be a list
+ *   limitKey, pattern, allowNewlines            - validateField options
+ *   format: 'emails'                            - comma-separated email list
+ *   optionalWhen: { field: value | true }       - relaxes `required` when every condition holds
+ *   requiredMessage                             - overrides the default "<label> is required" error
+ *   matches: 'field'                            - must repeat another field's value (case-insensitive), e.g. a typed confirmation
+ *   default                                     - value used when the parameter is missing (satisfies `required`)
+ *   hidden: true                                - validated and built but not rendered in the form
+ *   approverOnly: true                          - only rendered for admins; requesters leave it to the approver
+ *
+ * Argument types (emitted in order, skipped when the value is empty):
+ *   positional - bare value
+ *   option     - `flag value` or `flag=value` (syntax: 'equals')
+ *   list       - comma-separated value, one `flag 'item'` per item
+ *   switch     - bare flag when the value is true
+ *   onOff      - `flag on|off`, always emitted
+ *   literal    - constant text
+ *   recordFields - record-type specific fields, encoded by commandBuilder.js
+ * `quote` is 'single' (default), 'double' or 'none'. 'none' is only allowed for
+ * fields restricted to `options` or passed through a `transform`.
+ * `when` / `unless` take the same condition shape as optionalWhen;
+ * `unlessPresent` skips the argument when another field has a value.
+ */
+
+const { ONE_TIME_SHARE_EXPIRY_OPTIONS } = require('./oneTimeShare');
+const { ENTERPRISE_USER_OPERATIONS, CONFIRMED_ENTERPRISE_USER_OPERATIONS } = require('./enterpriseUser');
+const { TEAM_MEMBERSHIP_OPERATIONS } = require('./teamMembership');
+const { SECRETS_MANAGER_OPERATIONS, CLIENT_TOKEN_EXPIRY_OPTIONS } = require('./secretsManager');
+
+// ========================================================================
+// Shared Field Definitions
+// ========================================================================
+
+const EXPIRATION_FIELDS = [
+  { name: 'expiration_type', label: 'Expiration', type: 'select', required: false, options: ['none', 'expire-at', 'expire-in'], placeholder: 'Select expiration type', description: 'Set when the share access expires' },
+  { name: 'expire_at', label: 'Expire At', type: 'datetime-local', required: false, placeholder: 'yyyy-MM-dd hh:mm:ss', description: 'Specific date and time when share expires', conditionalOn: 'expiration_type', conditionalValue: 'expire-at', limitKey: 'expiration' },
+  { name: 'expire_in', label: 'Expire In', type: 'text', required: false, placeholder: 'e.g., 1d, 2h, 30mi', description: 'Period until expiration (e.g., 1d=1 day, 2h=2 hours, 30mi=30 minutes)', conditionalOn: 'expiration_type', conditionalValue: 'expire-in', limitKey: 'expiration', pattern: 'duration' }
+];
+
+const EXPIRATION_ARGUMENTS = [
+  { type: 'option', field: 'expire_at', flag: '--expire-at', quote: 'double', transform: 'datetime', when: { expiration_type: 'expire-at' } },
+  { type: 'option', field: 'expire_in', flag: '--expire-in', quote: 'none', transform: 'duration', when: { expiration_type: 'expire-in' } }
+];
+
+// ========================================================================
+// Registry
+// ========================================================================
+
+const COMMAND_REGISTRY = [
+  {
+    value: 'record-add',
+    label: 'Create New Secret',
+    description: 'Create a new secret record in Keeper.',
+    requiresAdmin: true,
+    recordFields: true,
+    fields: [
+      { name: 'recordType', label: 'Record Type', type: 'select', required: true, options: [], placeholder: 'Select record type', limitKey: 'recordType', pattern: 'recordType', default: 'login' },
+      { name: 'title', label: 'Title', type: 'text', required: true, hidden: true, limitKey: 'title' },
+      { name: 'notes', label: 'Notes', type: 'textarea', required: false, hidden: true, limitKey: 'notes', allowNewlines: true }
+    ],
+    arguments: [
+      { type: 'option', field: 'recordType', flag: '--record-type', syntax: 'equals' },
+      { type: 'option', field: 'title', flag: '--title', syntax: 'equals', quote: 'double' },
+      { type: 'recordFields', mode: 'add' }
+    ]
+  },
+  {
+    value: 'record-update',
+    label: 'Update Record',
+    description: 'Update existing record fields. Only fill in the fields you want to change.',
+    requiresAdmin: true,
+    recordFields: true,
+    fields: [
+      { name: 'record', label: 'Record ID/Title', type: 'text', required: true, placeholder: 'Record ID or title to update', limitKey: 'recordUid', pattern: 'uid', requiredMessage: 'Record UID is required' },
+      { name: 'title', label: 'Title', type: 'text', required: false, placeholder: 'Title', limitKey: 'title' },
+      { name: 'recordType', label: 'Record Type', type: 'select', required: false, options: [], placeholder: 'Record Type', limitKey: 'recordType', pattern: 'recordType' },
+      { name: 'login', label: 'Login', type: 'text', required: false, placeholder: 'Username', limitKey: 'login' },
+      { name: 'password', label: 'Password', type: 'text', required: false, placeholder: 'Password', limitKey: 'password' },
+      { name: 'url', label: 'URL', type: 'url', required: false, placeholder: 'URL', limitKey: 'url', pattern: 'url' },
+      { name: 'email', label: 'Email', type: 'email', required: false, placeholder: 'Email', limitKey: 'email', pattern: 'email' },
+      { name: 'notes', label: 'Notes', type: 'textarea', required: false, placeholder: 'Notes', limitKey: 'notes', allowNewlines: true },
+      { name: 'force', label: 'Force Update', type: 'checkbox', required: false, description: 'Ignore warnings and force the update' }
+    ],
+    arguments: [
+      { type: 'option', field: 'record', flag: '--record', syntax: 'equals' },
+      { type: 'option', field: 'title', flag: '--title', syntax: 'equals' },
+      { type: 'option', field: 'recordType', flag: '--record-type', syntax: 'equals' },
+      { type: 'recordFields', mode: 'update' },
+      { type: 'switch', field: 'force', flag: '--force' }
+    ]
+  },
+  {
+    value: 'record-permission',
+    label: 'Update Record Permissions in Folder',
+    description: 'Grant or revoke edit and share permissions for all records in a shared folder.',
+    requiresAdmin: false,
+    requiresSharedFolderSelection: true,
+    fields: [
+      { name: 'sharedFolder', label: 'Shared Folder', type: 'folder-select', required: true, placeholder: 'Select shared folder', limitKey: 'folderUid', pattern: 'uid', optionalWhen: { folder: true } },
+      { name: 'folder', label: 'Folder UID', type: 'text', required: false, hidden: true, limitKey: 'folderUid', pattern: 'uid' },
+      { name: 'action', label: 'Action', type: 'select', required: true, options: ['grant', 'revoke'], placeholder: 'Select action' },
+      { name: 'can_share', label: 'Can Share Records', type: 'checkbox', required: false, description: 'Allow sharing records' },
+      { name: 'can_edit', label: 'Can Edit Records', type: 'checkbox', required: false, description: 'Allow modifying records in the folder' },
+      { name: 'recursive', label: 'Apply Recursively', type: 'checkbox', required: false, description: 'Apply permission changes to all sub folders' }
+    ],
+    arguments: [
+      { type: 'positional', field: 'folder' },
+      { type: 'positional', field: 'sharedFolder', unlessPresent: 'folder' },
+      { type: 'option', field: 'action', flag: '-a', quote: 'none' },
+      { type: 'switch', field: 'can_edit', flag: '-d' },
+      { type: 'switch', field: 'can_share', flag: '-s' },
+      { type: 'switch', field: 'recursive', flag: '-R' },
+      { type: 'literal', value: '--force', when: { action: ['grant', 'revoke'] } }
+    ]
+  },
+  {
+    value: 'share-record',
+    label: 'Request Access to Record',
+    description: 'Share a record with a user, change their permissions, or cancel a pending share.',
+    requiresAdmin: false,
+    requiresSharedFolderSelection: true,
+    fields: [
+      { name: 'record', label: 'Record UID', type: 'text', required: true, hidden: true, limitKey: 'recordUid', pattern: 'uid', optionalWhen: { sharedFolder: true } },
+      { name: 'user', label: 'Email', type: 'email', required: true, placeholder: 'Email of account to edit permissions for', limitKey: 'user', format: 'emails', optionalWhen: { action: 'cancel' }, requiredMessage: 'User email is required for share operations' },
+      { name: 'action', label: 'Action', type: 'select', required: true, options: ['grant', 'revoke', 'owner', 'cancel'], placeholder: 'Select action', default: 'grant' },
+      { name: 'sharedFolder', label: 'Record Folder', type: 'folder-select', required: false, placeholder: 'Select record folder (optional for cancel action)', limitKey: 'folderUid', pattern: 'uid' },
+      { name: 'can_share', label: 'Allow Sharing', type: 'checkbox', required: false, description: 'Allow user to share record' },
+      { name: 'can_write', label: 'Allow Writing', type: 'checkbox', required: false, description: 'Allow user to modify record' },
+      { name: 'recursive', label: 'Apply Recursively', type: 'checkbox', required: false, description: 'Apply to all records in folder and subfolders (only for shared folder selection)' },
+      ...EXPIRATION_FIELDS
+    ],
+    arguments: [
+      { type: 'positional', field: 'record' },
+      { type: 'positional', field: 'sharedFolder', when: { action: 'cancel' }, unlessPresent: 'record' },
+      { type: 'list', field: 'user', flag: '-e' },
+      { type: 'option', field: 'action', flag: '-a', quote: 'none' },
+      { type: 'switch', field: 'can_share', flag: '-s', unless: { action: 'cancel' } },
+      { type: 'switch', field: 'can_write', flag: '-w', unless: { action: 'cancel' } },
+      { type: 'switch', field: 'recursive', flag: '-R', unless: { action: 'cancel' } },
+      ...EXPIRATION_ARGUMENTS.map(argument => ({ ...argument, unless: { action: 'cancel' } })),
+      { type: 'literal', value: '-f' }
+    ]
+  },
+  {
+    value: 'share-folder',
+    label: 'Request Access to Folder',
+    description: 'Grant or remove a user\'s or team\'s access to a shared folder.',
+    requiresAdmin: false,
+    requiresSharedFolderSelection: true,
+    fields: [
+      { name: 'folder', label: 'Shared Folder', type: 'folder-select', required: true, placeholder: 'Select shared folder', limitKey: 'folderUid', pattern: 'uid' },
+      { name: 'user', label: 'Email/Team', type: 'text', required: true, placeholder: 'Email, team name, or * for all', limitKey: 'user', format: 'emails', requiredMessage: 'User email is required for share operations' },
+      { name: 'action', label: 'Action', type: 'select', required: true, options: ['grant', 'remove'], placeholder: 'Select action', default: 'grant' },
+      { name: 'manage_records', label: 'Can Manage Records', type: 'checkbox', required: false, description: 'Allow user to manage records in folder' },
+      { name: 'manage_users', label: 'Can Manage Users', type: 'checkbox', required: false, description: 'Allow user to manage other users access' },
+      { name: 'can_share', label: 'Can Share Records', type: 'checkbox', required: false, description: 'Allow user to share records (records only)' },
+      { name: 'can_edit', label: 'Can Edit Records', type: 'checkbox', required: false, description: 'Allow user to modify records (records only)' },
+      ...EXPIRATION_FIELDS
+    ],
+    arguments: [
+      { type: 'positional', field: 'folder' },
+      { type: 'list', field: 'user', flag: '-e' },
+      { type: 'option', field: 'action', flag: '-a', quote: 'none' },
+      // Never omit a permission flag - omitting defaults to the shared folder's settings, which may grant unintended permissions
+      { type: 'onOff', field: 'manage_records', flag: '-p' },
+      { type: 'onOff', field: 'manage_users', flag: '-o' },
+      { type: 'onOff', field: 'can_share', flag: '-s' },
+      { type: 'onOff', field: 'can_edit', flag: '-d' },
+      ...EXPIRATION_ARGUMENTS,
+      { type: 'literal', value: '--force' }
+    ]
+  },
+  {
+    value: 'one-time-share',
+    label: 'Create One-Time Share',
+    description: 'Create a single-use link to a record for someone without a Keeper account. The approver sets the expiry and the link is shown only to the requester. The request can only be approved by a Jira administrator.',
+    requiresAdmin: false,
+    adminApproval: true,
+    fields: [
+      { name: 'requirements', label: 'Requirements', type: 'textarea', required: false, placeholder: 'Which credential is needed and who it is for', limitKey: 'notes', allowNewlines: true },
+      { name: 'record', label: 'Record UID', type: 'text', required: true, approverOnly: true, placeholder: 'Record UID to share', limitKey: 'recordUid', pattern: 'uid' },
+      { name: 'expire_in', label: 'Link Expires In', type: 'select', required: true, approverOnly: true, options: ONE_TIME_SHARE_EXPIRY_OPTIONS, placeholder: 'Select expiry', description: 'The link stops working after this period or once it has been opened' },
+      { name: 'share_name', label: 'Share Name', type: 'text', required: false, hidden: true, limitKey: 'title' }
+    ],
+    arguments: [
+      { type: 'literal', value: 'create' },
+      { type: 'positional', field: 'record' },
+      { type: 'option', field: 'expire_in', flag: '-e', quote: 'none' },
+      { type: 'option', field: 'share_name', flag: '--name' }
+    ]
+  },
+  {
+    value: 'rm',
+    label: 'Delete Record',
+    description: 'Delete a record from the vault. The request can only be approved by a Jira administrator.',
+    requiresAdmin: false,
+    adminApproval: true,
+    fields: [
+      { name: 'record', label: 'Record', type: 'record-select', required: true, placeholder: 'Select record to delete', limitKey: 'recordUid', pattern: 'uid' }
+    ],
+    arguments: [
+      { type: 'positional', field: 'record' },
+      { type: 'literal', value: '--force' }
+    ]
+  },
+  {
+    value: 'mv',
+    label: 'Move Record or Folder',
+    description: 'Move a record or folder into another folder. The request can only be approved by a Jira administrator.',
+    requiresAdmin: false,
+    adminApproval: true,
+    fields: [
+      { name: 'record', label: 'Record to Move', type: 'record-select', required: true, placeholder: 'Select record', limitKey: 'recordUid', pattern: 'uid', optionalWhen: { folder: true }, requiredMessage: 'Select a record or a folder to move' },
+      { name: 'folder', label: 'Folder to Move', type: 'folder-select', required: false, placeholder: 'Or select a folder', limitKey: 'folderUid', pattern: 'uid' },
+      { name: 'source_folder', label: 'From Folder', type: 'folder-select', required: false, placeholder: 'Leave empty for the vault root', description: 'Folder the record or folder is in now', limitKey: 'folderUid', pattern: 'uid' },
+      { name: 'destination_folder', label: 'To Folder', type: 'folder-select', required: true, placeholder: 'Select destination folder', limitKey: 'folderUid', pattern: 'uid' }
+    ],
+    arguments: [
+      { type: 'positional', field: 'record' },
+      { type: 'positional', field: 'folder', unlessPresent: 'record' },
+      { type: 'positional', field: 'destination_folder' },
+      { type: 'literal', value: '--force' }
+    ]
+  },
+  {
+    value: 'mkdir',
+    label: 'Create Shared Folder',
+    description: 'Create a shared folder and optionally grant initial members access to it in the same request. The request can only be approved by a Jira administrator.',
+    requiresAdmin: false,
+    adminApproval: true,
+    fields: [
+      { name: 'folder_name', label: 'Folder Name', type: 'text', required: true, placeholder: 'e.g. Project Phoenix', limitKey: 'title' },
+      { name: 'parent_folder', label: 'Parent Folder', type: 'folder-select', required: false, placeholder: 'Leave empty for the vault root', limitKey: 'folderUid', pattern: 'uid' },
+      { name: 'members', label: 'Initial Members', type: 'text', required: false, placeholder: 'Emails separated by commas', description: 'Granted access with the default permissions below once the folder exists', limitKey: 'user', format: 'emails' },
+      { name: 'manage_users', label: 'Can Manage Users', type: 'checkbox', required: false, description: 'Members can manage other users\' access by default' },
+      { name: 'manage_records', label: 'Can Manage Records', type: 'checkbox', required: false, description: 'Members can add and remove records by default' },
+      { name: 'can_share', label: 'Can Share Records', type: 'checkbox', required: false, description: 'Members can share records by default' },
+      { name: 'can_edit', label: 'Can Edit Records', type: 'checkbox', required: false, description: 'Members can modify records by default' },
+      // Built from parent_folder and folder_name by executeKeeperAction
+      { name: 'folder_path', label: 'Folder Path', type: 'text', required: true, hidden: true, limitKey: 'title' }
+    ],
+    arguments: [
+      { type: 'positional', field: 'folder_path' },
+      { type: 'literal', value: '--shared-folder' },
+      { type: 'switch', field: 'manage_users', flag: '--manage-users' },
+      { type: 'switch', field: 'manage_records', flag: '--manage-records' },
+      { type: 'switch', field: 'can_share', flag: '--can-share' },
+      { type: 'switch', field: 'can_edit', flag: '--can-edit' }
+    ]
+  },
+  {
+    value: 'enterprise-user',
+    label: 'Manage Enterprise User',
+    description: 'Invite a user to a node, or lock, unlock or delete an enterprise user. Locking and deleting must be confirmed by typing the user\'s email again.',
+    requiresAdmin: true,
+    fields: [
+      { name: 'operation', label: 'Operation', type: 'select', required: true, options: ENTERPRISE_USER_OPERATIONS, placeholder: 'Select operation' },
+      { name: 'user', label: 'User Email', type: 'email', required: true, placeholder: 'user@company.com', limitKey: 'email', pattern: 'email' },
+      { name: 'node', label: 'Node', type: 'text', required: true, placeholder: 'Node name or ID', description: 'Node the user is invited to', conditionalOn: 'operation', conditionalValue: 'add', limitKey: 'title', optionalWhen: { operation: ['lock', 'unlock', 'delete'] } },
+      { name: 'full_name', label: 'Full Name', type: 'text', required: false, placeholder: 'Display name for the invited user', conditionalOn: 'operation', conditionalValue: 'add', limitKey: 'title' },
+      { name: 'confirm_user', label: 'Confirm User Email', type: 'text', required: true, placeholder: 'Type the user\'s email again', description: 'Required to lock or delete a user', conditionalOn: 'operation', conditionalValue: CONFIRMED_ENTERPRISE_USER_OPERATIONS, limitKey: 'email', matches: 'user', optionalWhen: { operation: ['add', 'unlock'] }, requiredMessage: 'Type the user\'s email again to confirm this step' }
+    ],
+    arguments: [
+      { type: 'literal', value: '--add', when: { operation: 'add' } },
+      { type: 'option', field: 'node', flag: '--node', when: { operation: 'add' } },
+      { type: 'option', field: 'full_name', flag: '--name', when: { operation: 'add' } },
+      { type: 'literal', value: '--lock', when: { operation: 'lock' } },
+      { type: 'literal', value: '--unlock', when: { operation: 'unlock' } },
+      { type: 'literal', value: '--delete', when: { operation: 'delete' } },
+      { type: 'literal', value: '--force', when: { operation: 'delete' } },
+      { type: 'positional', field: 'user' }
+    ]
+  },
+  {
+    value: 'transfer-user',
+    label: 'Transfer User Vault',
+    description: 'Offboarding: lock a user and transfer their vault to another user. Must be confirmed by typing the user\'s email again.',
+    requiresAdmin: true,
+    fields: [
+      { name: 'user', label: 'Departing User', type: 'email', required: true, placeholder: 'leaver@company.com', limitKey: 'email', pattern: 'email' },
+      { name: 'target_user', label: 'Transfer To', type: 'email', required: true, placeholder: 'manager@company.com', description: 'Receives the departing user\'s records in a new folder', limitKey: 'email', pattern: 'email' },
+      { name: 'confirm_user', label: 'Confirm Departing User Email', type: 'text', required: true, placeholder: 'Type the departing user\'s email again', limitKey: 'email', matches: 'user', requiredMessage: 'Type the departing user\'s email again to confirm the transfer' }
+    ],
+    arguments: [
+      { type: 'literal', value: '--force' },
+      { type: 'option', field: 'target_user', flag: '--target-user' },
+      { type: 'positional', field: 'user' }
+    ]
+  },
+  {
+    value: 'enterprise-team',
+    label: 'Request Team Membership',
+    description: 'Add a user to a Keeper enterprise team, or remove them from one. The request can only be approved by a Jira administrator.',
+    requiresAdmin: false,
+    adminApproval: true,
+    fields: [
+      { name: 'operation', label: 'Request', type: 'select', required: true, options: TEAM_MEMBERSHIP_OPERATIONS, placeholder: 'Select add or remove' },
+      { name: 'team', label: 'Team', type: 'team-select', required: true, placeholder: 'Select a team', limitKey: 'teamUid', pattern: 'uid' },
+      { name: 'user', label: 'User Email', type: 'email', required: true, placeholder: 'user@company.com', limitKey: 'email', pattern: 'email' }
+    ],
+    arguments: [
+      { type: 'option', field: 'user', flag: '--add-user', when: { operation: 'add' } },
+      { type: 'option', field: 'user', flag: '--remove-user', when: { operation: 'remove' } },
+      { type: 'positional', field: 'team' }
+    ]
+  },
+  {
+    value: 'record-history',
+    label: 'Revert Record to Revision',
+    description: 'Restore a record to an earlier revision from its history',
+    requiresAdmin: true,
+    fields: [
+      { name: 'record', label: 'Record', type: 'record-select', required: true, placeholder: 'Select record to revert', limitKey: 'recordUid', pattern: 'uid' },
+      { name: 'revision', label: 'Revision', type: 'text', required: true, placeholder: 'e.g. 1', description: 'Revision number from Record History - 1 is the version before the current one', limitKey: 'revision', pattern: 'revision' }
+    ],
+    arguments: [
+      { type: 'literal', value: '--action restore' },
+      { type: 'option', field: 'revision', flag: '--revision' },
+      { type: 'positional', field: 'record' }
+    ]
+  },
+  {
+    value: 'secrets-manager',
+    label: 'Secrets Manager Access',
+    description: 'Create a Keeper Secrets Manager application, share a record or shared folder with it, or add a client device. The client token is shown only to the requester.',
+    requiresAdmin: false,
+    adminApproval: true,
+    fields: [
+      { name: 'operation', label: 'Request', type: 'select', required: true, options: SECRETS_MANAGER_OPERATIONS, placeholder: 'Select request' },
+      { name: 'app', label: 'Application', type: 'text', required: true, placeholder: 'Application name or UID', limitKey: 'title' },
+      { name: 'secret', label: 'Record or Shared Folder UID', type: 'text', required: true, placeholder: 'UID to share with the application', conditionalOn: 'operation', conditionalValue: 'share-add', limitKey: 'recordUid', pattern: 'uid', optionalWhen: { operation: ['app-create', 'client-add'] } },
+      { name: 'editable', label: 'Allow the application to edit', type: 'checkbox', required: false, conditionalOn: 'operation', conditionalValue: 'share-add' },
+      { name: 'client_name', label: 'Client Name', type: 'text', required: false, placeholder: 'e.g. ci-runner-prod', conditionalOn: 'operation', conditionalValue: 'client-add', limitKey: 'title' },
+      { name: 'first_access_expires_in', label: 'Token Expires In (minutes)', type: 'select', required: false, options: CLIENT_TOKEN_EXPIRY_OPTIONS, default: '60', conditionalOn: 'operation', conditionalValue: 'client-add', description: 'The one-time token must be used within this time' }
+    ],
+    arguments: [
+      { type: 'literal', value: 'app create', when: { operation: 'app-create' } },
+      { type: 'positional', field: 'app', when: { operation: 'app-create' } },
+      { type: 'literal', value: 'share add', when: { operation: 'share-add' } },
+      { type: 'literal', value: 'client add', when: { operation: 'client-add' } },
+      { type: 'option', field: 'app', flag: '--app', unless: { operation: 'app-create' } },
+      { type: 'option', field: 'secret', flag: '--secret', when: { operation: 'share-add' } },
+      { type: 'switch', field: 'editable', flag: '--editable', when: { operation: 'share-add' } },
+      { type: 'option', field: 'client_name', flag: '--name', when: { operation: 'client-add' } },
+      { type: 'option', field: 'first_access_expires_in', flag: '--first-access-expires-in', quote: 'none', when: { operation: 'client-add' } }
+    ]
+  }
+];
+
+// Form-only keys served to the issue panel; validation and CLI details stay server-side
+const PUBLIC_FIELD_KEYS = ['name', 'label', 'type', 'required', 'approverOnly', 'options', 'placeholder', 'description', 'conditionalOn', 'conditionalValue'];
+
+// ========================================================================
+// Accessors
+// ========================================================================
+
+/**
+ * Look up an action definition
+ * @param {string} action - Action value (e.g. 'share-record')
+ * @returns {Object|null} - Registry entry or null when unsupported
+ */
+function getCommandDefinition(action) {
+  return COMMAND_REGISTRY.find(entry => entry.value === action) || null;
+}
+
+/**
+ * @param {Object} definition - Registry entry
+ * @param {string} name - Field name
+ * @returns {Object|null} - Field definition
+ */
+function getFieldDefinition(definition, name) {
+  return definition?.fields.find(field => field.name === name) || null;
+}
+
+/**
+ * Keep only the parameters an action declares
+ * Record-type fields of record-add / record-update cannot be declared up front and are
+ * kept; a pre-formatted cliCommand never is.
+ * @param {Object|null} definition - Registry entry
+ * @param {Object} parameters - Parameters as sent
+ * @returns {Object} - Declared parameters (empty for an unsupported action)
+ */
+function pickDeclaredParameters(definition, parameters = {}) {
+  if (!definition) {
+    return {};
+  }
+  return Object.fromEntries(Object.entries(parameters || {}).filter(([name]) =>
+    name !== 'cliCommand' && (definition.recordFields === true || !!getFieldDefinition(definition, name))
+  ));
+}
+
+/**
+ * Issue panel view of the registry: form fields only, hidden fields removed
+ * @returns {Array<Object>} - [{ value, label, description, requiresAdmin, adminApproval, requiresSharedFolderSelection, fields }]
+ */
+function getIssuePanelActions() {
+  return COMMAND_REGISTRY.map(entry => ({
+    value: entry.value,
+    label: entry.label,
+    description: entry.description,
+    requiresAdmin: entry.requiresAdmin === true,
+    ...(entry.adminApproval ? { adminApproval: true } : {}),
+    ...(entry.requiresSharedFolderSelection ? { requiresSharedFolderSelection: true } : {}),
+    fields: entry.fields
+      .filter(field => !field.hidden)
+      .map(field => {
+        const publicField = {};
+        for (const key of PUBLIC_FIELD_KEYS) {
+          if (field[key] !== undefined) {
+            publicField[key] = Array.isArray(field[key]) ? [...field[key]] : field[key];
+          }
+        }
+        return publicField;
+      })
+  }));
+}
+
+module.exports = {
+  COMMAND_REGISTRY,
+  getCommandDefinition,
+  getFieldDefinition,
+  pickDeclaredParameters,
+  getIssuePanelActions
+};
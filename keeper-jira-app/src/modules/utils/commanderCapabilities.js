@@ -0,0 +1,207 @@
+/**
+ * Commander Capabilities Utility
+ *
+ * Builds a capability profile for a Commander Service Mode instance from its
+ * `service-status` and `version` output, and checks commands against it before
+ * they are queued. Profiles are stored on each connection (`capabilities`).
+ */
+
+const { getCommandVerb } = require('./readCache');
+const { DEFAULT_ALLOWED_COMMANDS, validateAllowedCommands } = require('./commandPolicy');
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const COMMANDER_MIN_VERSIONS = {
+  asyncQueue: '17.1.7',       // API v2 (executecommand-async)
+  cloudflareTunnel: '17.2.0'  // service-create -cf / -cfd
+};
+
+const CAPABILITY_PROBES = {
+  status: 'service-status',
+  version: 'version'
+};
+
+const OUTPUT_FORMAT = {
+  JSON: 'json',
+  TEXT: 'text'
+};
+
+const VERSION_PATTERN = /(?:commander|version)[^0-9\n]*(\d+\.\d+\.\d+)/i;
+const COMMANDS_PATTERN = /(?:allowed|enabled)?\s*commands?\s*[:=]\s*\[?([a-z0-9, '"\-]+)\]?/i;
+const QUEUE_PATTERN = /queue[^:=\n]*[:=]\s*(enabled|disabled|on|off|yes|no|y|n|true|false)\b/i;
+
+// ========================================================================
+// Parsing
+// ========================================================================
+
+/**
+ * Flatten the text parts of a Commander result (message, data, output)
+ * @param {Object} data - Raw result payload
+ * @returns {string} - Text joined by newlines
+ */
+function collectResponseText(data) {
+  if (!data) {
+    return '';
+  }
+  if (typeof data === 'string') {
+    return data;
+  }
+
+  const parts = [];
+  for (const value of [data.message, data.data, data.output]) {
+    if (typeof value === 'string') {
+      parts.push(value);
+    } else if (Array.isArray(value)) {
+      parts.push(...value.filter(item => typeof item === 'string'));
+    }
+  }
+  return parts.join('\n');
+}
+
+/**
+ * @param {string} text - Commander output
+ * @returns {string|null} - First x.y.z version found
+ */
+function parseCommanderVersion(text) {
+  const match = VERSION_PATTERN.exec(text || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Compare two x.y.z versions
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Negative when a < b, 0 when equal, positive when a > b
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Read the `-c` command list from a service-status result
+ * Structured fields are preferred; otherwise a "Commands: a, b" line is parsed.
+ * @param {Object} data - Raw service-status result
+ * @returns {Array<string>|null} - Enabled command verbs, or null when not reported
+ */
+function parseEnabledCommands(data) {
+  const structured = data?.commands || data?.allowed_commands || data?.data?.commands || data?.data?.allowed_commands;
+  let candidates = structured;
+
+  if (!candidates) {
+    const match = COMMANDS_PATTERN.exec(collectResponseText(data));
+    candidates = match ? match[1].replace(/['"]/g, '') : null;
+  }
+  if (!candidates) {
+    return null;
+  }
+
+  const validation = validateAllowedCommands(candidates);
+  return validation.valid ? validation.commands : null;
+}
+
+/**
+ * @param {string} text - service-status output
+ * @returns {boolean} - False only when the service reports the queue as off
+ */
+function parseQueueEnabled(text) {
+  const match = QUEUE_PATTERN.exec(text || '');
+  if (!match) {
+    // The profile is only built after a successful executecommand-async round trip
+    return true;
+  }
+  return ['enabled', 'on', 'yes', 'y', 'true'].includes(match[1].toLowerCase());
+}
+
+// ========================================================================
+// Profile
+// ========================================================================
+
+/**
+ * Build the stored capability profile
+ * @param {Object} statusData - Raw service-status result
+ * @param {Object|null} versionData - Raw version result (null when the probe failed)
+ * @param {string} checkedAt - ISO timestamp
+ * @returns {Object} - { version, commands, queueEnabled, outputFormat, checkedAt, warnings }
+ */
+function buildCapabilityProfile(statusData, versionData, checkedAt = new Date().toISOString()) {
+  const statusText = collectResponseText(statusData);
+  const version = parseCommanderVersion(collectResponseText(versionData)) || parseCommanderVersion(statusText);
+  const commands = parseEnabledCommands(statusData);
+  const queueEnabled = parseQueueEnabled(statusText);
+  const outputFormat = statusData && typeof statusData.data === 'object' && statusData.data !== null
+    ? OUTPUT_FORMAT.JSON
+    : OUTPUT_FORMAT.TEXT;
+
+  const warnings = [];
+  if (!version) {
+    warnings.push(`Commander did not report its version. Version ${COMMANDER_MIN_VERSIONS.asyncQueue} or later is required.`);
+  } else if (compareVersions(version, COMMANDER_MIN_VERSIONS.asyncQueue) < 0) {
+    warnings.push(`Commander ${version} is older than ${COMMANDER_MIN_VERSIONS.asyncQueue}, the first version with the API v2 queue. Upgrade Commander.`);
+  }
+  if (!queueEnabled) {
+    warnings.push('Commander reports the request queue as disabled. Recreate the service with "-q y".');
+  }
+  if (commands) {
+    const missing = DEFAULT_ALLOWED_COMMANDS.filter(verb => !commands.includes(verb));
+    if (missing.length > 0) {
+      warnings.push(`Not enabled on the Commander service: ${missing.join(', ')}. Actions that need them are hidden.`);
+    }
+  }
+
+  return { version, commands, queueEnabled, outputFormat, checkedAt, warnings };
+}
+
+/**
+ * Whether a version probe is worth running
+ * @param {Array<string>|null} commands - Enabled commands from service-status
+ * @returns {boolean}
+ */
+function shouldProbeVersion(commands) {
+  return !commands || commands.includes(CAPABILITY_PROBES.version);
+}
+
+/**
+ * Check a command against a capability profile
+ * Connections without a profile, or whose service did not report its command
+ * list, are not restricted.
+ * @param {Object|null} profile - Stored capability profile
+ * @param {string} command - Full command or action value
+ * @returns {Object} - { supported, verb, error? }
+ */
+function checkCommandCapability(profile, command) {
+  const verb = getCommandVerb(command);
+
+  if (!profile || !Array.isArray(profile.commands) || profile.commands.includes(verb)) {
+    return { supported: true, verb };
+  }
+
+  return {
+    supported: false,
+    verb,
+    error: `Command "${verb}" is not enabled on the Commander service. Add it to the service-create -c list, restart the service and re-check the connection.`
+  };
+}
+
+module.exports = {
+  COMMANDER_MIN_VERSIONS,
+  CAPABILITY_PROBES,
+  OUTPUT_FORMAT,
+  collectResponseText,
+  parseCommanderVersion,
+  compareVersions,
+  parseEnabledCommands,
+  parseQueueEnabled,
+  buildCapabilityProfile,
+  shouldProbeVersion,
+  checkCommandCapability
+};
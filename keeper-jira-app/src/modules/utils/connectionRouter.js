@@ -0,0 +1,207 @@
+/**
+ * Connection Router Utility
+ *
+ * Resolves which Keeper Commander connection should serve a request.
+ * The original single `keeperConfig` remains the "default" connection; admins can
+ * register additional named connections (e.g. prod / non-prod vaults) and route
+ * Jira projects, or a project's issue types, to them.
+ *
+ * Routing precedence (most specific wins):
+ *   1. projectKey + issueType
+ *   2. projectKey (any issue type)
+ *   3. default connection
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const DEFAULT_CONNECTION_ID = 'default';
+const DEFAULT_CONNECTION_NAME = 'Default';
+
+const CONNECTION_LIMITS = {
+  maxConnections: 10,
+  maxRoutes: 200,
+  nameMaxLength: 50
+};
+
+// Letters, digits, spaces, dashes and underscores - keeps names safe to show in ADF comments
+const CONNECTION_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _-]*$/;
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]{0,99}$/;
+
+// ========================================================================
+// Helpers
+// ========================================================================
+
+/**
+ * Build a stable connection id from its display name
+ * @param {string} name - Connection display name
+ * @returns {string} - Lowercase slug (e.g. "Non Prod" -> "non-prod")
+ */
+function slugifyConnectionName(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Validate a connection display name against existing connections
+ * @param {string} name - Proposed name
+ * @param {Array} existingConnections - Currently stored connections
+ * @param {string|null} currentId - Id of the connection being edited (excluded from duplicate check)
+ * @returns {Object} - { valid: boolean, error?: string, id?: string }
+ */
+function validateConnectionName(name, existingConnections = [], currentId = null) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { valid: false, error: 'Connection name is required' };
+  }
+
+  const trimmed = name.trim();
+
+  if (trimmed.length > CONNECTION_LIMITS.nameMaxLength) {
+    return { valid: false, error: `Connection name must be ${CONNECTION_LIMITS.nameMaxLength} characters or less` };
+  }
+
+  if (!CONNECTION_NAME_PATTERN.test(trimmed)) {
+    return { valid: false, error: 'Connection name may only contain letters, numbers, spaces, dashes and underscores' };
+  }
+
+  const id = currentId || slugifyConnectionName(trimmed);
+
+  if (id === DEFAULT_CONNECTION_ID || trimmed.toLowerCase() === DEFAULT_CONNECTION_NAME.toLowerCase()) {
+    return { valid: false, error: `"${DEFAULT_CONNECTION_NAME}" is reserved for the primary connection` };
+  }
+
+  const duplicate = existingConnections.find(conn =>
+    conn.id !== currentId &&
+    (conn.id === id || String(conn.name).toLowerCase() === trimmed.toLowerCase())
+  );
+  if (duplicate) {
+    return { valid: false, error: `A connection named "${duplicate.name}" already exists` };
+  }
+
+  return { valid: true, id };
+}
+
+/**
+ * Validate and normalize routing rules
+ * Drops nothing silently - any invalid rule fails the whole set so admins see the problem.
+ *
+ * @param {Array} routes - Rules of shape { projectKey, issueType?, connectionId }
+ * @param {Array<string>} connectionIds - Ids of connections that exist (default is always allowed)
+ * @returns {Object} - { valid: boolean, errors: Array<string>, routes: Array }
+ */
+function validateRoutes(routes, connectionIds = []) {
+  if (!Array.isArray(routes)) {
+    return { valid: false, errors: ['Routes must be an array'], routes: [] };
+  }
+
+  if (routes.length > CONNECTION_LIMITS.maxRoutes) {
+    return { valid: false, errors: [`A maximum of ${CONNECTION_LIMITS.maxRoutes} routes is supported`], routes: [] };
+  }
+
+  const knownIds = new Set([DEFAULT_CONNECTION_ID, ...connectionIds]);
+  const errors = [];
+  const normalized = [];
+  const seen = new Set();
+
+  routes.forEach((route, index) => {
+    const position = `Route ${index + 1}`;
+    const projectKey = String(route?.projectKey || '').trim().toUpperCase();
+    const issueType = route?.issueType ? String(route.issueType).trim() : null;
+    const connectionId = String(route?.connectionId || '').trim();
+
+    if (!PROJECT_KEY_PATTERN.test(projectKey)) {
+      errors.push(`${position}: invalid project key`);
+      return;
+    }
+
+    if (!knownIds.has(connectionId)) {
+      errors.push(`${position}: unknown connection "${connectionId}"`);
+      return;
+    }
+
+    const signature = `${projectKey}::${(issueType || '*').toLowerCase()}`;
+    if (seen.has(signature)) {
+      errors.push(`${position}: duplicate route for ${projectKey}${issueType ? ` / ${issueType}` : ''}`);
+      return;
+    }
+    seen.add(signature);
+
+    normalized.push({ projectKey, issueType, connectionId });
+  });
+
+  return { valid: errors.length === 0, errors, routes: normalized };
+}
+
+/**
+ * Resolve the connection id for an issue context
+ * @param {Array} routes - Normalized routing rules
+ * @param {Object} routeContext - { projectKey, issueType }
+ * @returns {Object} - { connectionId: string, matchedRoute: Object|null }
+ */
+function resolveConnectionId(routes, routeContext = {}) {
+  const projectKey = routeContext.projectKey ? String(routeContext.projectKey).toUpperCase() : null;
+  const issueType = routeContext.issueType ? String(routeContext.issueType).toLowerCase() : null;
+
+  if (!projectKey || !Array.isArray(routes) || routes.length === 0) {
+    return { connectionId: DEFAULT_CONNECTION_ID, matchedRoute: null };
+  }
+
+  const projectRoutes = routes.filter(route => route.projectKey === projectKey);
+
+  if (issueType) {
+    const exact = projectRoutes.find(route =>
+      route.issueType && route.issueType.toLowerCase() === issueType
+    );
+    if (exact) {
+      return { connectionId: exact.connectionId, matchedRoute: exact };
+    }
+  }
+
+  const projectWide = projectRoutes.find(route => !route.issueType);
+  if (projectWide) {
+    return { connectionId: projectWide.connectionId, matchedRoute: projectWide };
+  }
+
+  return { connectionId: DEFAULT_CONNECTION_ID, matchedRoute: null };
+}
+
+/**
+ * Remove routes pointing at a connection (used when a connection is deleted)
+ * @param {Array} routes - Routing rules
+ * @param {string} connectionId - Connection being removed
+ * @returns {Array} - Remaining routes
+ */
+function removeRoutesForConnection(routes, connectionId) {
+  return (routes || []).filter(route => route.connectionId !== connectionId);
+}
+
+/**
+ * Mask an API key for display
+ * @param {string} apiKey - API key
+ * @returns {string} - Masked preview (e.g. "abcd...wxyz")
+ */
+function maskApiKey(apiKey) {
+  if (!apiKey || typeof apiKey !== 'string') {
+    return '';
+  }
+  if (apiKey.length <= 8) {
+    return '••••••••';
+  }
+  return `${apiKey.substring(0, 4)}...${apiKey.substring(apiKey.length - 4)}`;
+}
+
+module.exports = {
+  DEFAULT_CONNECTION_ID,
+  DEFAULT_CONNECTION_NAME,
+  CONNECTION_LIMITS,
+  slugifyConnectionName,
+  validateConnectionName,
+  validateRoutes,
+  resolveConnectionId,
+  removeRoutesForConnection,
+  maskApiKey
+};
@@ -0,0 +1,79 @@
+/**
+ * Enterprise User Utility
+ *
+ * Onboarding and offboarding actions run Commander's `enterprise-user` (invite,
+ * lock, unlock, delete) and `transfer-user` (move a leaver's vault to another
+ * user). Steps that cut off access or lose data have to be confirmed by typing
+ * the user's email again; the result comment lists exactly what changed.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const ENTERPRISE_USER_OPERATIONS = ['add', 'lock', 'unlock', 'delete'];
+
+// Operations that need the typed email confirmation
+const CONFIRMED_ENTERPRISE_USER_OPERATIONS = ['lock', 'delete'];
+
+const OPERATION_LABELS = {
+  add: 'Invite User',
+  lock: 'Lock User',
+  unlock: 'Unlock User',
+  delete: 'Delete User'
+};
+
+const OPERATION_RESULTS = {
+  add: 'was invited to the enterprise',
+  lock: 'was locked and can no longer sign in',
+  unlock: 'was unlocked and can sign in again',
+  delete: 'was deleted from the enterprise'
+};
+
+// ========================================================================
+// Helpers
+// ========================================================================
+
+/**
+ * Describe a completed enterprise-user or transfer-user action for the result comment
+ * @param {string} command - 'enterprise-user' or 'transfer-user'
+ * @param {Object} parameters - Summary parameters kept on the job
+ * @returns {Object} - { description, message, details: [{ label, value }] }
+ */
+function describeEnterpriseUserChange(command, parameters = {}) {
+  if (command === 'transfer-user') {
+    return {
+      description: `Transfer User Vault - ${parameters.user}`,
+      message: `The vault of ${parameters.user} was transferred to ${parameters.target_user}. The account of ${parameters.user} is locked.`,
+      details: [
+        { label: 'From User', value: parameters.user },
+        { label: 'To User', value: parameters.target_user },
+        { label: 'Account Status', value: 'Locked' }
+      ]
+    };
+  }
+
+  const operation = parameters.operation;
+  const details = [
+    { label: 'Operation', value: OPERATION_LABELS[operation] || operation },
+    { label: 'User', value: parameters.user }
+  ];
+  if (operation === 'add') {
+    details.push({ label: 'Node', value: parameters.node });
+    if (parameters.full_name) {
+      details.push({ label: 'Name', value: parameters.full_name });
+    }
+  }
+
+  return {
+    description: `${OPERATION_LABELS[operation] || 'Enterprise User'} - ${parameters.user}`,
+    message: `${parameters.user} ${OPERATION_RESULTS[operation] || 'was updated'}.`,
+    details
+  };
+}
+
+module.exports = {
+  ENTERPRISE_USER_OPERATIONS,
+  CONFIRMED_ENTERPRISE_USER_OPERATIONS,
+  describeEnterpriseUserChange
+};
@@ -31,10 +31,19 @@ const ERROR_CODES = {
   AUTH_NOT_ADMIN: 'AUTH_NOT_ADMIN',
   AUTH_NOT_PROJECT_ADMIN: 'AUTH_NOT_PROJECT_ADMIN',
   
+  // Approval Chain Errors
+  APPROVAL_PENDING: 'APPROVAL_PENDING',
+  APPROVAL_NOT_ALLOWED: 'APPROVAL_NOT_ALLOWED',
+  APPROVAL_POLICY_DENIED: 'APPROVAL_POLICY_DENIED',
+  SEPARATION_OF_DUTIES: 'SEPARATION_OF_DUTIES',
+  
   // Rate Limiting Errors
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
   RATE_LIMIT_MINUTE: 'RATE_LIMIT_MINUTE',
   RATE_LIMIT_HOUR: 'RATE_LIMIT_HOUR',
+  RATE_LIMIT_USER: 'RATE_LIMIT_USER',
+  RATE_LIMIT_PROJECT: 'RATE_LIMIT_PROJECT',
+  RATE_LIMIT_GLOBAL: 'RATE_LIMIT_GLOBAL',
   
   // Connection/Network Errors
   CONNECTION_FAILED: 'CONNECTION_FAILED',
@@ -51,6 +60,7 @@ const ERROR_CODES = {
   KEEPER_PERMISSION_DENIED: 'KEEPER_PERMISSION_DENIED',
   KEEPER_QUEUE_FULL: 'KEEPER_QUEUE_FULL',
   KEEPER_TIMEOUT: 'KEEPER_TIMEOUT',
+  KEEPER_COMMAND_NOT_ENABLED: 'KEEPER_COMMAND_NOT_ENABLED',
   
   // EPM-specific Errors (Endpoint Privilege Manager)
   EPM_ALREADY_APPROVED: 'EPM_ALREADY_APPROVED',
@@ -117,6 +127,24 @@ const TROUBLESHOOTING = {
     'Contact your Jira administrator'
   ],
   
+  // Approval Chains
+  [ERROR_CODES.APPROVAL_PENDING]: [
+    'This action needs every stage of its approval chain before it can run',
+    'Check the approval progress in the issue panel'
+  ],
+  [ERROR_CODES.APPROVAL_NOT_ALLOWED]: [
+    'Each stage can only be approved by the groups it names',
+    'Nobody can approve the same request twice'
+  ],
+  [ERROR_CODES.APPROVAL_POLICY_DENIED]: [
+    'An approval policy rule refuses requests like this one',
+    'Change the request or ask a Jira administrator about the rule'
+  ],
+  [ERROR_CODES.SEPARATION_OF_DUTIES]: [
+    'Someone other than the requester has to approve and run this request',
+    'In an emergency, break glass with a justification - the override is commented on the issue'
+  ],
+  
   // Rate Limiting
   [ERROR_CODES.RATE_LIMIT_EXCEEDED]: [
     'Wait a moment before trying again',
@@ -130,6 +158,18 @@ const TROUBLESHOOTING = {
     'You have exceeded the hourly request limit (50 commands/hour)',
     'Try again later or contact your administrator'
   ],
+  [ERROR_CODES.RATE_LIMIT_USER]: [
+    'You have used your Keeper command budget for now',
+    'Wait for it to refill, or ask a Jira administrator to reset your usage'
+  ],
+  [ERROR_CODES.RATE_LIMIT_PROJECT]: [
+    'This project has used its Keeper command budget for now',
+    'Try again shortly; administrators can raise the project budget under Rate Limits'
+  ],
+  [ERROR_CODES.RATE_LIMIT_GLOBAL]: [
+    'The Keeper Commander queue is busy serving other users',
+    'Try again shortly; administrators can raise the global budget under Rate Limits'
+  ],
   
   // Connection
   [ERROR_CODES.CONNECTION_FAILED]: [
@@ -174,6 +214,11 @@ const TROUBLESHOOTING = {
     'Wait for pending requests to complete',
     'Try again in a few moments'
   ],
+  [ERROR_CODES.KEEPER_COMMAND_NOT_ENABLED]: [
+    'Add the command to the -c list of keeper service-create',
+    'Restart the Commander service',
+    'Re-check the connection in Global Settings'
+  ],
   
   // EPM (Endpoint Privilege Manager)
   [ERROR_CODES.EPM_ALREADY_APPROVED]: [
@@ -298,14 +343,18 @@ function validationError(field, message, code = ERROR_CODES.VALIDATION_REQUIRED_
 
 /**
  * Create a rate limit error response
- * @param {string} limitType - 'minute' or 'hour'
+ * @param {string} limitType - 'user', 'project' or 'global' ('minute' / 'hour' for the legacy windows)
  * @param {number} retryAfter - Seconds until retry is allowed
  * @param {number} remaining - Remaining requests in the window
  * @returns {Object} Structured rate limit error response
  */
 function rateLimitError(limitType, retryAfter, remaining = 0) {
-  const code = limitType === 'minute' ? ERROR_CODES.RATE_LIMIT_MINUTE : ERROR_CODES.RATE_LIMIT_HOUR;
-  const windowName = limitType === 'minute' ? 'minute' : 'hour';
+  const code = {
+    minute: ERROR_CODES.RATE_LIMIT_MINUTE,
+    user: ERROR_CODES.RATE_LIMIT_USER,
+    project: ERROR_CODES.RATE_LIMIT_PROJECT,
+    global: ERROR_CODES.RATE_LIMIT_GLOBAL
+  }[limitType] || ERROR_CODES.RATE_LIMIT_HOUR;
   
   return errorResponse(
     code,
@@ -361,7 +410,9 @@ function keeperError(message, originalError = null) {
   const lowerMessage = (message || '').toLowerCase();
   
   // Detect specific Keeper errors
-  if (lowerMessage.includes('not configured') || lowerMessage.includes('api url is required')) {
+  if (originalError?.commandNotEnabled || lowerMessage.includes('is not enabled on the commander service')) {
+    code = ERROR_CODES.KEEPER_COMMAND_NOT_ENABLED;
+  } else if (lowerMessage.includes('not configured') || lowerMessage.includes('api url is required')) {
     code = ERROR_CODES.KEEPER_NOT_CONFIGURED;
   } else if (lowerMessage.includes('not found') || lowerMessage.includes('does not exist')) {
     code = ERROR_CODES.KEEPER_RECORD_NOT_FOUND;
@@ -0,0 +1,157 @@
+/**
+ * Folder Listing Utility
+ *
+ * Parses Commander `ls` output for the folder pickers and for the `rm` / `mv`
+ * actions, which check where an item lives before they run and name the
+ * folders involved in the result comment.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+// How the vault root is named in comments - it has no folder UID
+const ROOT_FOLDER_NAME = 'My Vault (root)';
+
+// ========================================================================
+// Parsing
+// ========================================================================
+
+/**
+ * Pull the entry array out of a Commander `--format=json` listing (ls, enterprise-info, ...)
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {Array<Object>|null} - Entries, or null when the output is not a JSON listing
+ */
+function getListingItems(apiData) {
+  if (Array.isArray(apiData?.data)) {
+    return apiData.data;
+  }
+  for (const text of [apiData?.data, apiData?.message]) {
+    if (typeof text === 'string') {
+      try {
+        const parsed = JSON.parse(text);
+        if (Array.isArray(parsed)) {
+          return parsed;
+        }
+      } catch (parseError) {
+        // Not JSON - try the next candidate
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Folders from `ls -f --format=json`, in the shape the issue panel pickers use
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {Array<Object>} - [{ number, folder_uid, uid, name, title, path, flags, parent_uid, shared, raw_data }]
+ */
+function parseFolderListing(apiData) {
+  return (getListingItems(apiData) || []).map((folder, index) => {
+    // Clean ANSI color codes from folder name
+    const cleanName = (folder.name || '').replace(/\[?\d+m/g, '');
+
+    // Extract flags from details string (format: "Flags: S, Parent: /")
+    let flags = '';
+    let parentUid = '';
+    if (folder.details) {
+      const flagsMatch = folder.details.match(/Flags:\s*([^,]*)/);
+      if (flagsMatch) {
+        flags = flagsMatch[1].trim();
+      }
+      const parentMatch = folder.details.match(/Parent:\s*(.+)/);
+      if (parentMatch) {
+        parentUid = parentMatch[1].trim();
+      }
+    }
+
+    return {
+      number: index + 1,
+      folder_uid: folder.uid,
+      uid: folder.uid,
+      name: cleanName,
+      title: cleanName,
+      path: cleanName,
+      flags: flags,
+      parent_uid: parentUid,
+      shared: !!flags && flags.includes('S'),
+      raw_data: folder
+    };
+  });
+}
+
+/**
+ * Records and sub folders directly inside one folder (`ls <folder> --format=json`)
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {Array<Object>|null} - [{ uid, name }], or null when the output could not be read
+ */
+function parseFolderContents(apiData) {
+  const items = getListingItems(apiData);
+  if (!items) {
+    return null;
+  }
+  return items
+    .map(item => ({
+      uid: item.uid || item.record_uid || item.folder_uid || null,
+      name: (item.title || item.name || '').replace(/\[?\d+m/g, '')
+    }))
+    .filter(item => item.uid);
+}
+
+// ========================================================================
+// Move and Delete Helpers
+// ========================================================================
+
+/**
+ * Name a folder for the result comment
+ * @param {Array<Object>} folders - Result of parseFolderListing
+ * @param {string} folderUid - Folder UID, empty for the vault root
+ * @returns {string} - "Name (UID)", the bare UID when unknown, or the root name
+ */
+function describeFolder(folders, folderUid) {
+  if (!folderUid) {
+    return ROOT_FOLDER_NAME;
+  }
+  const folder = (folders || []).find(entry => entry.folder_uid === folderUid);
+  return folder?.name ? `${folder.name} (${folderUid})` : folderUid;
+}
+
+/**
+ * Check a move request before it is sent to Commander
+ * @param {Object} parameters - mv parameters: { record?, folder?, source_folder?, destination_folder }
+ * @param {Array<Object>|null} sourceContents - Result of parseFolderContents for the source folder (null when it could not be listed)
+ * @returns {Object} - { valid, error?, field?, itemName? }
+ */
+function validateMoveRequest(parameters, sourceContents) {
+  const itemUid = parameters.record || parameters.folder;
+  const { source_folder: sourceFolder, destination_folder: destinationFolder } = parameters;
+
+  if (destinationFolder === (sourceFolder || '')) {
+    return { valid: false, error: 'The destination folder must be different from the source folder', field: 'destination_folder' };
+  }
+  if (parameters.folder && !parameters.record && destinationFolder === parameters.folder) {
+    return { valid: false, error: 'A folder cannot be moved into itself', field: 'destination_folder' };
+  }
+
+  if (!sourceContents) {
+    return { valid: true, itemName: null };
+  }
+  const item = sourceContents.find(entry => entry.uid === itemUid);
+  if (!item) {
+    return {
+      valid: false,
+      error: `${parameters.record ? 'The record' : 'The folder'} ${itemUid} is not in the selected source folder`,
+      field: 'source_folder'
+    };
+  }
+  return { valid: true, itemName: item.name || null };
+}
+
+module.exports = {
+  ROOT_FOLDER_NAME,
+  getListingItems,
+  parseFolderListing,
+  parseFolderContents,
+  describeFolder,
+  validateMoveRequest
+};
@@ -0,0 +1,181 @@
+/**
+ * Keeper Job Record Utility
+ *
+ * Keeper actions are submitted to the Commander async queue and tracked as job
+ * records in Forge storage, so post-execution work (ADF comment, labels, clearing
+ * the stored request) can run whenever the issue panel next polls - even if the
+ * resolver that submitted the command hit the Forge invocation time limit.
+ *
+ * Only the latest job of each issue is kept: submitting a new action removes the
+ * previous job record once it has finished.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  FINALIZING: 'finalizing',
+  ATTACHING: 'attaching',     // Record done, issue attachments still being uploaded
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const TERMINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED];
+
+// A poll that started finalizing but never finished (e.g. timed out) can be retried after this
+const FINALIZING_STALE_MS = 2 * 60 * 1000;
+
+/**
+ * Parameters kept on the job record for building the result comment.
+ * Everything else (passwords, notes, custom fields) is dropped so secrets never
+ * sit in job storage.
+ */
+const JOB_SUMMARY_PARAMETER_KEYS = [
+  'cliCommand',
+  'action',
+  'user',
+  'record',
+  'recordTitle',
+  'folder',
+  'folderTitle',
+  'can_share',
+  'can_write',
+  'can_edit',
+  'manage_records',
+  'manage_users',
+  'recursive',
+  'expiration_type',
+  'expire_at',
+  'expire_in',
+  'operation',
+  'node',
+  'full_name',
+  'target_user',
+  'revision',
+  'app',
+  'secret',
+  'editable',
+  'client_name',
+  'first_access_expires_in',
+  'skipComment'
+];
+
+// ========================================================================
+// Helpers
+// ========================================================================
+
+/**
+ * Storage key for a job record
+ * @param {string} jobId - Job id (the Commander request id)
+ * @returns {string}
+ */
+function getJobStorageKey(jobId) {
+  return `keeper-job-${jobId}`;
+}
+
+/**
+ * Storage key pointing at the active job for an issue
+ * @param {string} issueKey - Jira issue key
+ * @returns {string}
+ */
+function getIssueJobStorageKey(issueKey) {
+  return `keeper-job-issue-${issueKey}`;
+}
+
+/**
+ * Storage key pointing at the most recent job for an issue
+ * Unlike the active job pointer it is kept once the job finishes, so workflow
+ * validators can tell whether the issue's Keeper action succeeded.
+ * @param {string} issueKey - Jira issue key
+ * @returns {string}
+ */
+function getIssueLastJobStorageKey(issueKey) {
+  return `keeper-job-last-${issueKey}`;
+}
+
+/**
+ * Keep only the parameters needed to describe the action in the result comment
+ * @param {Object} parameters - Full action parameters
+ * @returns {Object} - Summary parameters
+ */
+function pickSummaryParameters(parameters = {}) {
+  return JOB_SUMMARY_PARAMETER_KEYS.reduce((summary, key) => {
+    if (parameters[key] !== undefined) {
+      summary[key] = parameters[key];
+    }
+    return summary;
+  }, {});
+}
+
+/**
+ * Build a new job record for a submitted command
+ * @param {Object} input - Submission details
+ * @param {string} input.requestId - Commander request id
+ * @param {Object} input.connection - { id, name } of the connection used
+ * @param {string} input.issueKey - Jira issue key
+ * @param {string} input.command - Action kind (e.g. 'share-record')
+ * @param {string} input.commandDescription - Human readable action description
+ * @param {Object} input.parameters - Action parameters (reduced to a summary)
+ * @param {string} input.formattedTimestamp - Timestamp formatted in the approver's locale
+ * @param {Object} input.requestedBy - { accountId, displayName } of the approver
+ * @param {string} input.status - Initial queue status
+ * @returns {Object} - Job record
+ */
+function buildJobRecord(input) {
+  const now = new Date().toISOString();
+  return {
+    jobId: input.requestId,
+    requestId: input.requestId,
+    connection: input.connection || null,
+    issueKey: input.issueKey,
+    command: input.command,
+    commandDescription: input.commandDescription || null,
+    parameters: pickSummaryParameters(input.parameters),
+    formattedTimestamp: input.formattedTimestamp || null,
+    requestedBy: input.requestedBy || null,
+    status: input.status === JOB_STATUS.PROCESSING ? JOB_STATUS.PROCESSING : JOB_STATUS.QUEUED,
+    submittedAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * @param {string} status - Job status
+ * @returns {boolean} - True when no further polling is needed
+ */
+function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Whether a poll may claim the job for finalization
+ * @param {Object} job - Job record
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function canClaimForFinalization(job, now = Date.now()) {
+  if (!job || isTerminalStatus(job.status)) {
+    return false;
+  }
+  if (job.status !== JOB_STATUS.FINALIZING) {
+    return true;
+  }
+  const claimedAt = Date.parse(job.finalizingAt || job.updatedAt || 0);
+  return Number.isNaN(claimedAt) || (now - claimedAt) > FINALIZING_STALE_MS;
+}
+
+module.exports = {
+  JOB_STATUS,
+  FINALIZING_STALE_MS,
+  JOB_SUMMARY_PARAMETER_KEYS,
+  getJobStorageKey,
+  getIssueJobStorageKey,
+  getIssueLastJobStorageKey,
+  pickSummaryParameters,
+  buildJobRecord,
+  isTerminalStatus,
+  canClaimForFinalization
+};
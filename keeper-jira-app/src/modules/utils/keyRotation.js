@@ -0,0 +1,191 @@
+/**
+ * API Key Rotation Utility
+ *
+ * Rotating a Commander API key swaps in the new key straight away and keeps the
+ * previous key in secret storage for a grace period, so Commander services that
+ * have not picked up the new key yet keep working (requests rejected with 401
+ * are retried with the previous key). Key age and rotation history are kept so
+ * the global page can warn about keys that are overdue for rotation.
+ */
+
+const { maskApiKey } = require('./connectionRouter');
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const DEFAULT_KEY_ROTATION_CONFIG = {
+  graceHours: 24,
+  maxKeyAgeDays: 90
+};
+
+const KEY_ROTATION_CONFIG_LIMITS = {
+  graceHours: { min: 0, max: 24 * 14 },
+  maxKeyAgeDays: { min: 1, max: 3650 }
+};
+
+// Entries kept in keeperApiKeyHistory (newest first)
+const KEY_HISTORY_LIMIT = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ========================================================================
+// Grace Period
+// ========================================================================
+
+/**
+ * @param {Object} record - keeperConfig or named connection
+ * @param {number} now - Current time in ms
+ * @returns {boolean} - True while the previous key may still be used
+ */
+function isGracePeriodActive(record, now = Date.now()) {
+  const expiresAt = Date.parse(record?.apiKeyRotation?.previousKeyExpiresAt || '');
+  return !Number.isNaN(expiresAt) && expiresAt > now;
+}
+
+/**
+ * Fields to merge into the connection record when its key is rotated
+ * @param {Object} options
+ * @param {string} options.newApiKey - Key being switched to
+ * @param {string} options.previousApiKey - Key being replaced
+ * @param {number} options.graceHours - How long the previous key stays usable
+ * @param {number} options.now - Current time in ms
+ * @returns {Object} - { apiKeyPreview, apiKeyCreatedAt, apiKeyRotation }
+ */
+function buildRotationFields({ newApiKey, previousApiKey, graceHours, now = Date.now() }) {
+  return {
+    apiKeyPreview: maskApiKey(newApiKey),
+    apiKeyCreatedAt: new Date(now).toISOString(),
+    apiKeyRotation: graceHours > 0
+      ? {
+        previousKeyPreview: maskApiKey(previousApiKey),
+        previousKeyExpiresAt: new Date(now + graceHours * HOUR_MS).toISOString()
+      }
+      : null
+  };
+}
+
+/**
+ * Key age fields for a save from the connection form
+ * Re-saving the same key keeps its age; entering a different key outside a
+ * rotation starts a new age and ends any grace period.
+ * @param {Object|null} existing - Stored record
+ * @param {boolean} keyChanged - Whether a different key was entered
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { apiKeyCreatedAt, apiKeyRotation }
+ */
+function buildKeyAgeFields(existing, keyChanged, now = Date.now()) {
+  if (keyChanged) {
+    return { apiKeyCreatedAt: new Date(now).toISOString(), apiKeyRotation: null };
+  }
+  return {
+    apiKeyCreatedAt: existing?.apiKeyCreatedAt || null,
+    apiKeyRotation: existing?.apiKeyRotation || null
+  };
+}
+
+// ========================================================================
+// History
+// ========================================================================
+
+/**
+ * @param {Array<Object>} history - Stored history (newest first)
+ * @param {Object} entry - { connectionId, connectionName, rotatedAt, rotatedBy, previousKeyPreview, newKeyPreview, graceHours }
+ * @returns {Array<Object>} - History with the entry prepended and the oldest entries dropped
+ */
+function appendRotationHistory(history, entry) {
+  return [entry, ...(Array.isArray(history) ? history : [])].slice(0, KEY_HISTORY_LIMIT);
+}
+
+// ========================================================================
+// Key Age
+// ========================================================================
+
+/**
+ * @param {string} createdAt - ISO timestamp the key was saved
+ * @param {number} now - Current time in ms
+ * @returns {number|null} - Whole days since then, or null when unknown
+ */
+function getKeyAgeDays(createdAt, now = Date.now()) {
+  const created = Date.parse(createdAt || '');
+  if (Number.isNaN(created)) {
+    return null;
+  }
+  return Math.max(0, Math.floor((now - created) / DAY_MS));
+}
+
+/**
+ * Rotation status for one connection
+ * @param {Object} connection - { id, name, apiKeyPreview, apiKeyCreatedAt, apiKeyRotation }
+ * @param {Object} config - Rotation settings
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { id, name, apiKeyPreview, keyCreatedAt, keyAgeDays, overdue, graceActive, previousKeyPreview, previousKeyExpiresAt }
+ */
+function summarizeKeyStatus(connection, config, now = Date.now()) {
+  const keyAgeDays = getKeyAgeDays(connection.apiKeyCreatedAt, now);
+  const graceActive = isGracePeriodActive(connection, now);
+  return {
+    id: connection.id,
+    name: connection.name,
+    apiKeyPreview: connection.apiKeyPreview || null,
+    keyCreatedAt: connection.apiKeyCreatedAt || null,
+    keyAgeDays,
+    overdue: keyAgeDays !== null && keyAgeDays >= config.maxKeyAgeDays,
+    graceActive,
+    previousKeyPreview: graceActive ? connection.apiKeyRotation.previousKeyPreview : null,
+    previousKeyExpiresAt: graceActive ? connection.apiKeyRotation.previousKeyExpiresAt : null
+  };
+}
+
+/**
+ * @param {Array<Object>} statuses - Results of summarizeKeyStatus
+ * @param {Object} config - Rotation settings
+ * @returns {Array<string>} - Admin warnings for keys past the maximum age
+ */
+function buildKeyAgeWarnings(statuses, config) {
+  return statuses
+    .filter(status => status.overdue)
+    .map(status => `The API key for "${status.name}" is ${status.keyAgeDays} days old (rotation is due every ${config.maxKeyAgeDays} days). Rotate it under Configuration > API Key Rotation.`);
+}
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+/**
+ * Validate admin rotation settings, filling gaps from the defaults
+ * @param {Object} input - { graceHours?, maxKeyAgeDays? }
+ * @returns {Object} - { valid, error?, field?, config? }
+ */
+function validateKeyRotationConfig(input = {}) {
+  const config = { ...DEFAULT_KEY_ROTATION_CONFIG };
+
+  for (const field of Object.keys(KEY_ROTATION_CONFIG_LIMITS)) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') {
+      continue;
+    }
+    const value = Number(input[field]);
+    const { min, max } = KEY_ROTATION_CONFIG_LIMITS[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { valid: false, error: `${field} must be a whole number between ${min} and ${max}`, field };
+    }
+    config[field] = value;
+  }
+
+  return { valid: true, config };
+}
+
+module.exports = {
+  DEFAULT_KEY_ROTATION_CONFIG,
+  KEY_ROTATION_CONFIG_LIMITS,
+  KEY_HISTORY_LIMIT,
+  isGracePeriodActive,
+  buildRotationFields,
+  buildKeyAgeFields,
+  appendRotationHistory,
+  getKeyAgeDays,
+  summarizeKeyStatus,
+  buildKeyAgeWarnings,
+  validateKeyRotationConfig
+};
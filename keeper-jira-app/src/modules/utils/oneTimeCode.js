@@ -0,0 +1,124 @@
+/**
+ * One-Time Code Utility
+ *
+ * Validates the `otpauth://` URIs stored in a record's oneTimeCode (TOTP) field.
+ * The URI comes from the requester - pasted, or read from a QR code image in the
+ * issue panel. The QR code is decoded in the browser; the backend only hands out
+ * the image of an issue attachment the user can already see.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const OTP_ALGORITHMS = ['SHA1', 'SHA256', 'SHA512'];
+const OTP_DIGITS = [6, 7, 8];
+const OTP_PERIOD_LIMITS = { min: 1, max: 300 };
+
+// RFC 4648 base32 - authenticator apps accept it without padding and in lowercase
+const BASE32_SECRET_PATTERN = /^[A-Z2-7]+=*$/;
+
+// QR code images the issue panel may read from the issue's attachments
+const QR_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp'];
+const QR_IMAGE_MAX_BYTES = 2 * 1024 * 1024;
+
+// ========================================================================
+// URI Validation
+// ========================================================================
+
+/**
+ * Parse and validate an otpauth URI for a TOTP field
+ * @param {string} value - URI as entered
+ * @returns {Object} - { valid, error?, uri?, details? } where details is { issuer, account, algorithm, digits, period }
+ */
+function parseOtpAuthUri(value) {
+  const text = String(value || '').trim();
+  const invalid = (error) => ({ valid: false, error });
+
+  if (!/^otpauth:\/\//i.test(text)) {
+    return invalid('One-time code must be an otpauth:// URI');
+  }
+
+  let url;
+  let label;
+  try {
+    url = new URL(text);
+    label = decodeURIComponent(url.pathname.replace(/^\//, ''));
+  } catch (parseError) {
+    return invalid('One-time code URI is malformed');
+  }
+
+  if (url.hostname.toLowerCase() !== 'totp') {
+    return invalid('Only time-based (otpauth://totp/) one-time codes are supported');
+  }
+
+  if (!label.trim()) {
+    return invalid('One-time code URI must name the account');
+  }
+
+  const secret = (url.searchParams.get('secret') || '').replace(/\s+/g, '').toUpperCase();
+  if (!secret) {
+    return invalid('One-time code URI has no secret');
+  }
+  if (!BASE32_SECRET_PATTERN.test(secret)) {
+    return invalid('One-time code secret must be base32 (letters A-Z and digits 2-7)');
+  }
+
+  const algorithm = (url.searchParams.get('algorithm') || 'SHA1').toUpperCase();
+  if (!OTP_ALGORITHMS.includes(algorithm)) {
+    return invalid(`One-time code algorithm must be one of ${OTP_ALGORITHMS.join(', ')}`);
+  }
+
+  const digits = Number(url.searchParams.get('digits') || 6);
+  if (!OTP_DIGITS.includes(digits)) {
+    return invalid(`One-time codes must have ${OTP_DIGITS.join(', ')} digits`);
+  }
+
+  const period = Number(url.searchParams.get('period') || 30);
+  if (!Number.isInteger(period) || period < OTP_PERIOD_LIMITS.min || period > OTP_PERIOD_LIMITS.max) {
+    return invalid(`One-time code period must be between ${OTP_PERIOD_LIMITS.min} and ${OTP_PERIOD_LIMITS.max} seconds`);
+  }
+
+  // The label is "Issuer:account"; the issuer parameter wins when both are present
+  const [labelIssuer, ...accountParts] = label.includes(':') ? label.split(':') : ['', label];
+  const issuer = url.searchParams.get('issuer') || labelIssuer.trim();
+  const account = (accountParts.join(':') || label).trim();
+
+  url.searchParams.set('secret', secret);
+  return {
+    valid: true,
+    uri: url.toString(),
+    details: { issuer, account, algorithm, digits, period }
+  };
+}
+
+// ========================================================================
+// QR Code Images
+// ========================================================================
+
+/**
+ * Find the issue attachment holding a QR code image
+ * @param {string} attachmentId - Attachment id picked in the issue panel
+ * @param {Array<Object>} issueAttachments - `fields.attachment` from the Jira issue
+ * @returns {Object} - { valid, error?, attachment? }
+ */
+function selectQrImageAttachment(attachmentId, issueAttachments) {
+  const attachment = (issueAttachments || []).find(item => String(item.id) === String(attachmentId));
+  if (!attachment) {
+    return { valid: false, error: `Attachment ${attachmentId} does not belong to this issue` };
+  }
+  if (!QR_IMAGE_TYPES.includes(String(attachment.mimeType || '').toLowerCase())) {
+    return { valid: false, error: `"${attachment.filename}" is not an image` };
+  }
+  if (attachment.size > QR_IMAGE_MAX_BYTES) {
+    return { valid: false, error: `"${attachment.filename}" is too large to read as a QR code` };
+  }
+  return { valid: true, attachment };
+}
+
+module.exports = {
+  QR_IMAGE_TYPES,
+  QR_IMAGE_MAX_BYTES,
+  parseOtpAuthUri,
+  selectQrImageAttachment
+};
@@ -0,0 +1,147 @@
+/**
+ * One-Time Share Utility
+ *
+ * `one-time-share create` returns a single-use URL that opens a record without a
+ * Keeper account. That URL is a credential in its own right: it is kept in a
+ * per-issue storage entry readable only by the account that requested it, and
+ * never goes into the result comment, the job record or the approver's response.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+// Offered to the approver - Commander accepts (mi)nutes, (h)ours and (d)ays
+const ONE_TIME_SHARE_EXPIRY_OPTIONS = ['1h', '4h', '1d', '3d', '7d', '30d'];
+
+const EXPIRY_UNIT_MS = {
+  mi: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const SHARE_URL_PATTERN = /https:\/\/[^\s'"<>]+/;
+
+// ========================================================================
+// Helpers
+// ========================================================================
+
+/**
+ * Storage key for the link waiting for the requester
+ * @param {string} issueKey - Jira issue key
+ * @returns {string}
+ */
+function getShareLinkStorageKey(issueKey) {
+  return `keeper-share-link-${issueKey}`;
+}
+
+/**
+ * @param {string} expireIn - Commander period such as 4h or 7d
+ * @returns {number|null} - Period in ms, or null when not understood
+ */
+function parseExpiryMs(expireIn) {
+  const match = /^(\d+)(mi|h|d)$/.exec(String(expireIn || '').trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+  return Number(match[1]) * EXPIRY_UNIT_MS[match[2]];
+}
+
+/**
+ * Find the share URL in a Commander result
+ * @param {Object} data - Raw result from the result endpoint
+ * @returns {string|null}
+ */
+function extractShareUrl(data) {
+  const candidates = [];
+  const collect = (value) => {
+    if (typeof value === 'string') {
+      candidates.push(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect);
+    }
+  };
+  collect(data?.data);
+  collect(data?.message);
+
+  for (const text of candidates) {
+    const match = SHARE_URL_PATTERN.exec(text);
+    if (match) {
+      return match[0];
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the stored link entry
+ * @param {Object} input
+ * @param {string} input.url - Share URL
+ * @param {string} input.issueKey - Jira issue key
+ * @param {Object} input.recipient - { accountId, displayName } of the requester
+ * @param {string} input.recordUid - Shared record
+ * @param {string} input.expireIn - Period chosen by the approver
+ * @param {number} input.now - Current time in ms
+ * @returns {Object} - { url, issueKey, recipientAccountId, recipientName, recordUid, expireIn, createdAt, expiresAt }
+ */
+function buildShareLinkRecord({ url, issueKey, recipient, recordUid, expireIn, now = Date.now() }) {
+  const expiryMs = parseExpiryMs(expireIn);
+  return {
+    url,
+    issueKey,
+    recipientAccountId: recipient?.accountId || null,
+    recipientName: recipient?.displayName || null,
+    recordUid: recordUid || null,
+    expireIn,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: expiryMs ? new Date(now + expiryMs).toISOString() : null
+  };
+}
+
+/**
+ * @param {Object} linkRecord - Stored link entry
+ * @param {number} now - Current time in ms
+ * @returns {boolean} - True once the link can no longer be opened
+ */
+function isShareLinkExpired(linkRecord, now = Date.now()) {
+  const expiresAt = Date.parse(linkRecord?.expiresAt || '');
+  return !Number.isNaN(expiresAt) && expiresAt <= now;
+}
+
+/**
+ * @param {Object} linkRecord - Stored link entry
+ * @param {string} accountId - Caller's account id
+ * @returns {boolean} - Only the requester may read the URL
+ */
+function canViewShareLink(linkRecord, accountId) {
+  return !!linkRecord && !!accountId && linkRecord.recipientAccountId === accountId;
+}
+
+/**
+ * The link goes to whoever raised the request, so nobody else may save over a one-time
+ * share request or save one over someone else's request
+ * @param {Object|null} storedRequest - Request already stored on the issue
+ * @param {Object} requestData - Request being saved
+ * @param {string} accountId - Account saving it
+ * @returns {boolean} - True when the save may replace the stored request
+ */
+function canReplaceShareRequest(storedRequest, requestData, accountId) {
+  const isShareRequest = [storedRequest, requestData].some(request => request?.selectedAction?.value === 'one-time-share');
+  if (!storedRequest || !isShareRequest) {
+    return true;
+  }
+  return !!accountId && storedRequest.submittedBy?.userKey === accountId;
+}
+
+module.exports = {
+  ONE_TIME_SHARE_EXPIRY_OPTIONS,
+  getShareLinkStorageKey,
+  parseExpiryMs,
+  extractShareUrl,
+  buildShareLinkRecord,
+  isShareLinkExpired,
+  canViewShareLink,
+  canReplaceShareRequest
+};
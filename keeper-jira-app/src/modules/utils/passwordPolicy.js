@@ -0,0 +1,346 @@
+/**
+ * Password Policy Utility
+ *
+ * Two sets of rules apply to record passwords:
+ * - the org password policy, set by admins on the global page, is the minimum
+ *   every password typed into a record-add / record-update request must meet;
+ * - generation options (length, symbols, digits, excluded characters or a
+ *   passphrase) are picked per request in the issue panel.
+ *
+ * Passwords are generated with Commander's `generate` command. A few candidates
+ * are requested and the first that meets both the options and the org policy
+ * is used - Commander has no flag for excluded characters. Only a masked
+ * preview and a strength estimate are ever returned to the issue panel.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+// Matches the requirements the issue panel has always shown next to the password field
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 20,
+  minLowercase: 1,
+  minUppercase: 1,
+  minDigits: 1,
+  minSymbols: 1,
+  allowPassphrase: true,
+  minPassphraseWords: 4
+};
+
+const PASSWORD_POLICY_LIMITS = {
+  minLength: { min: 1, max: 128 },
+  minLowercase: { min: 0, max: 32 },
+  minUppercase: { min: 0, max: 32 },
+  minDigits: { min: 0, max: 32 },
+  minSymbols: { min: 0, max: 32 },
+  minPassphraseWords: { min: 3, max: 12 }
+};
+
+const GENERATION_LIMITS = {
+  length: { min: 8, max: 128 },
+  symbols: { min: 0, max: 64 },
+  digits: { min: 0, max: 64 },
+  words: { min: 3, max: 12 },
+  exclude: { maxLength: 64 }
+};
+
+// Candidates requested from `generate` per attempt
+const GENERATE_CANDIDATES = 5;
+
+// Average diceware list size used by Commander's passphrase generator
+const PASSPHRASE_WORD_BITS = Math.log2(7776);
+
+const MASK_CHARACTER = '•';
+
+// ========================================================================
+// Password Checks
+// ========================================================================
+
+/**
+ * @param {string} value - Password field value
+ * @returns {boolean} - True for the "generate one for me" placeholders
+ */
+function isGeneratePlaceholder(value) {
+  return value === '$GEN' || value === 'generate';
+}
+
+/**
+ * Count characters by class
+ * @param {string} password - Password to inspect
+ * @returns {Object} - { length, lowercase, uppercase, digits, symbols }
+ */
+function describeComposition(password) {
+  const characters = Array.from(String(password || ''));
+  return {
+    length: characters.length,
+    lowercase: characters.filter(character => /[a-z]/.test(character)).length,
+    uppercase: characters.filter(character => /[A-Z]/.test(character)).length,
+    digits: characters.filter(character => /[0-9]/.test(character)).length,
+    symbols: characters.filter(character => /[^a-zA-Z0-9\s]/.test(character)).length
+  };
+}
+
+/**
+ * Check a password against the org policy
+ * @param {string} password - Password typed into the request
+ * @param {Object} policy - Org password policy
+ * @returns {Array<string>} - Unmet requirements (empty when the password complies)
+ */
+function checkPasswordAgainstPolicy(password, policy = DEFAULT_PASSWORD_POLICY) {
+  const composition = describeComposition(password);
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  const errors = [];
+
+  if (composition.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (composition.lowercase < policy.minLowercase) {
+    errors.push(`Password must contain at least ${plural(policy.minLowercase, 'lowercase letter')}`);
+  }
+  if (composition.uppercase < policy.minUppercase) {
+    errors.push(`Password must contain at least ${plural(policy.minUppercase, 'uppercase letter')}`);
+  }
+  if (composition.digits < policy.minDigits) {
+    errors.push(`Password must contain at least ${plural(policy.minDigits, 'number')}`);
+  }
+  if (composition.symbols < policy.minSymbols) {
+    errors.push(`Password must contain at least ${plural(policy.minSymbols, 'symbol')}`);
+  }
+  return errors;
+}
+
+/**
+ * Rough strength estimate from the character pool (or word list) and length
+ * @param {string} password - Password or passphrase
+ * @param {boolean} passphrase - Whether the value is a space-separated passphrase
+ * @returns {Object} - { bits, label }
+ */
+function estimateStrength(password, passphrase = false) {
+  let bits;
+  if (passphrase) {
+    bits = String(password || '').trim().split(/\s+/).filter(word => word).length * PASSPHRASE_WORD_BITS;
+  } else {
+    const composition = describeComposition(password);
+    const pool = (composition.lowercase ? 26 : 0) + (composition.uppercase ? 26 : 0) +
+      (composition.digits ? 10 : 0) + (composition.symbols ? 32 : 0);
+    bits = pool > 0 ? composition.length * Math.log2(pool) : 0;
+  }
+  bits = Math.round(bits);
+
+  let label = 'Very Strong';
+  if (bits < 40) {
+    label = 'Weak';
+  } else if (bits < 60) {
+    label = 'Fair';
+  } else if (bits < 80) {
+    label = 'Strong';
+  }
+  return { bits, label };
+}
+
+/**
+ * @param {string} password - Generated password or passphrase
+ * @returns {string} - Every character masked; spaces between passphrase words are kept
+ */
+function maskPassword(password) {
+  return String(password || '').replace(/\S/g, MASK_CHARACTER);
+}
+
+// ========================================================================
+// Generation
+// ========================================================================
+
+/**
+ * Validate generation options from the issue panel against their limits and the org policy
+ * @param {Object} input - { passphrase?, length?, symbols?, digits?, words?, exclude? }
+ * @param {Object} policy - Org password policy
+ * @returns {Object} - { valid, error?, field?, options? }
+ */
+function validateGenerationOptions(input = {}, policy = DEFAULT_PASSWORD_POLICY) {
+  const readNumber = (field, fallback) => {
+    const raw = input[field];
+    if (raw === undefined || raw === null || raw === '') {
+      return { value: fallback };
+    }
+    const value = Number(raw);
+    const { min, max } = GENERATION_LIMITS[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be a whole number between ${min} and ${max}` };
+    }
+    return { value };
+  };
+
+  if (input.passphrase === true) {
+    if (!policy.allowPassphrase) {
+      return { valid: false, error: 'The password policy does not allow passphrases', field: 'passphrase' };
+    }
+    const words = readNumber('words', Math.max(policy.minPassphraseWords, 5));
+    if (words.error) {
+      return { valid: false, error: words.error, field: 'words' };
+    }
+    if (words.value < policy.minPassphraseWords) {
+      return { valid: false, error: `Passphrases must have at least ${policy.minPassphraseWords} words`, field: 'words' };
+    }
+    return { valid: true, options: { passphrase: true, words: words.value } };
+  }
+
+  const options = { passphrase: false };
+  const defaults = {
+    length: Math.max(policy.minLength, 20),
+    symbols: Math.max(policy.minSymbols, 1),
+    digits: Math.max(policy.minDigits, 1)
+  };
+  for (const field of ['length', 'symbols', 'digits']) {
+    const result = readNumber(field, defaults[field]);
+    if (result.error) {
+      return { valid: false, error: result.error, field };
+    }
+    options[field] = result.value;
+  }
+
+  if (options.length < policy.minLength) {
+    return { valid: false, error: `Passwords must be at least ${policy.minLength} characters long`, field: 'length' };
+  }
+  if (options.symbols < policy.minSymbols) {
+    return { valid: false, error: `Passwords must contain at least ${policy.minSymbols} symbols`, field: 'symbols' };
+  }
+  if (options.digits < policy.minDigits) {
+    return { valid: false, error: `Passwords must contain at least ${policy.minDigits} numbers`, field: 'digits' };
+  }
+  if (options.symbols + options.digits + policy.minLowercase + policy.minUppercase > options.length) {
+    return { valid: false, error: 'Length is too short for the required symbols, numbers and letters', field: 'length' };
+  }
+
+  const exclude = String(input.exclude || '');
+  if (exclude.length > GENERATION_LIMITS.exclude.maxLength) {
+    return { valid: false, error: `Excluded characters cannot be longer than ${GENERATION_LIMITS.exclude.maxLength} characters`, field: 'exclude' };
+  }
+  if (/\s/.test(exclude)) {
+    return { valid: false, error: 'Excluded characters cannot contain spaces', field: 'exclude' };
+  }
+  options.exclude = [...new Set(Array.from(exclude))].join('');
+
+  return { valid: true, options };
+}
+
+/**
+ * Commander command producing password candidates for validated options
+ * @param {Object} options - Result of validateGenerationOptions
+ * @returns {string}
+ */
+function buildGenerateCommand(options) {
+  if (options.passphrase) {
+    return `generate --dice-rolls ${options.words} --number ${GENERATE_CANDIDATES} --format json`;
+  }
+  return `generate --count ${options.length} --symbols ${options.symbols} --digits ${options.digits} --number ${GENERATE_CANDIDATES} --format json`;
+}
+
+/**
+ * Candidates from `generate --format json`
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {Array<Object>} - [{ password, strength }]
+ */
+function parseGeneratedPasswords(apiData) {
+  let payload = apiData?.data;
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+    } catch (parseError) {
+      // Plain text output - one password per line
+      payload = payload.split('\n').map(line => line.trim()).filter(line => line);
+    }
+  }
+  const items = Array.isArray(payload) ? payload : (payload?.passwords || (payload ? [payload] : []));
+
+  return items
+    .map(item => (typeof item === 'string'
+      ? { password: item, strength: null }
+      : { password: item?.password || item?.Password || '', strength: item?.strength ?? null }))
+    .filter(candidate => candidate.password);
+}
+
+/**
+ * First candidate meeting the requested options and the org policy
+ * @param {Array<Object>} candidates - Result of parseGeneratedPasswords
+ * @param {Object} options - Result of validateGenerationOptions
+ * @param {Object} policy - Org password policy
+ * @returns {Object|null} - { password, strength } or null when none qualifies
+ */
+function pickGeneratedPassword(candidates, options, policy = DEFAULT_PASSWORD_POLICY) {
+  return candidates.find(({ password }) => {
+    if (options.passphrase) {
+      return password.trim().split(/\s+/).length >= options.words;
+    }
+    const composition = describeComposition(password);
+    return composition.symbols >= options.symbols &&
+      composition.digits >= options.digits &&
+      !Array.from(options.exclude || '').some(character => password.includes(character)) &&
+      checkPasswordAgainstPolicy(password, policy).length === 0;
+  }) || null;
+}
+
+/**
+ * Whether a request should get a password generated with its generation options
+ * record-add fills an empty login password; record-update only replaces a password on request.
+ * @param {string} command - executeKeeperAction command
+ * @param {Object} parameters - Command parameters
+ * @returns {boolean}
+ */
+function shouldGeneratePassword(command, parameters = {}) {
+  if (isGeneratePlaceholder(parameters.password)) {
+    return command === 'record-add' || command === 'record-update';
+  }
+  return command === 'record-add' && (parameters.recordType || 'login') === 'login' && !parameters.password;
+}
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+/**
+ * Validate the org password policy from the global page, filling gaps from the defaults
+ * @param {Object} input - Partial policy
+ * @returns {Object} - { valid, error?, field?, policy? }
+ */
+function validatePasswordPolicy(input = {}) {
+  const policy = { ...DEFAULT_PASSWORD_POLICY };
+
+  for (const field of Object.keys(PASSWORD_POLICY_LIMITS)) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') {
+      continue;
+    }
+    const value = Number(input[field]);
+    const { min, max } = PASSWORD_POLICY_LIMITS[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { valid: false, error: `${field} must be a whole number between ${min} and ${max}`, field };
+    }
+    policy[field] = value;
+  }
+  if (input.allowPassphrase !== undefined) {
+    policy.allowPassphrase = input.allowPassphrase === true;
+  }
+
+  if (policy.minLowercase + policy.minUppercase + policy.minDigits + policy.minSymbols > policy.minLength) {
+    return { valid: false, error: 'minLength must cover the required letters, numbers and symbols', field: 'minLength' };
+  }
+
+  return { valid: true, policy };
+}
+
+module.exports = {
+  DEFAULT_PASSWORD_POLICY,
+  PASSWORD_POLICY_LIMITS,
+  GENERATION_LIMITS,
+  isGeneratePlaceholder,
+  describeComposition,
+  checkPasswordAgainstPolicy,
+  estimateStrength,
+  maskPassword,
+  validateGenerationOptions,
+  buildGenerateCommand,
+  parseGeneratedPasswords,
+  pickGeneratedPassword,
+  shouldGeneratePassword,
+  validatePasswordPolicy
+};
@@ -0,0 +1,217 @@
+/**
+ * Command Rate Limiter Utility
+ *
+ * Token buckets for Keeper commands at three levels: per user, per Jira project
+ * and global (sized to the Commander request queue). A command needs a token
+ * from every bucket that applies to it. Each bucket is a small fixed-size record
+ * ({ tokens, updatedAt }) that refills continuously, so there is no request
+ * history to rewrite on every call.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const RATE_LIMIT_LEVELS = {
+  USER: 'user',
+  PROJECT: 'project',
+  GLOBAL: 'global'
+};
+
+// capacity = burst size, refillPerHour = sustained rate
+const DEFAULT_RATE_LIMIT_CONFIG = {
+  user: { capacity: 5, refillPerHour: 50 },
+  project: { capacity: 20, refillPerHour: 300 },
+  global: { capacity: 100, refillPerHour: 1200 }  // Commander's queue holds 100 requests
+};
+
+const RATE_LIMIT_CONFIG_LIMITS = {
+  capacity: { min: 1, max: 1000 },
+  refillPerHour: { min: 1, max: 100000 }
+};
+
+const BUCKET_KEY_PREFIX = 'keeper-ratelimit-';
+const HOUR_MS = 60 * 60 * 1000;
+
+// ========================================================================
+// Storage Keys
+// ========================================================================
+
+/**
+ * @param {string} level - RATE_LIMIT_LEVELS value
+ * @param {string} id - Account id or project key (ignored for the global bucket)
+ * @returns {string} - Storage key for the bucket
+ */
+function getBucketStorageKey(level, id) {
+  if (level === RATE_LIMIT_LEVELS.GLOBAL) {
+    return `${BUCKET_KEY_PREFIX}${level}`;
+  }
+  const safeId = String(id || 'unknown').replace(/[^a-zA-Z0-9:._-]/g, '-');
+  return `${BUCKET_KEY_PREFIX}${level}-${safeId}`;
+}
+
+/**
+ * The buckets a command draws from
+ * @param {string} userId - Account id (missing ids share one anonymous bucket)
+ * @param {string} projectKey - Jira project key, when the command runs for an issue
+ * @returns {Array<Object>} - [{ level, id, key }]
+ */
+function getApplicableBuckets(userId, projectKey) {
+  const buckets = [
+    { level: RATE_LIMIT_LEVELS.USER, id: userId || 'anonymous' }
+  ];
+  if (projectKey) {
+    buckets.push({ level: RATE_LIMIT_LEVELS.PROJECT, id: projectKey });
+  }
+  buckets.push({ level: RATE_LIMIT_LEVELS.GLOBAL, id: null });
+  return buckets.map(bucket => ({ ...bucket, key: getBucketStorageKey(bucket.level, bucket.id) }));
+}
+
+// ========================================================================
+// Bucket Math
+// ========================================================================
+
+/**
+ * Top a bucket up for the time elapsed since it was last written
+ * @param {Object|null} bucket - Stored { tokens, updatedAt } (null starts full)
+ * @param {Object} limits - { capacity, refillPerHour }
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { tokens, updatedAt }
+ */
+function refillBucket(bucket, limits, now = Date.now()) {
+  if (!bucket || typeof bucket.tokens !== 'number' || typeof bucket.updatedAt !== 'number') {
+    return { tokens: limits.capacity, updatedAt: now };
+  }
+  const elapsedMs = Math.max(0, now - bucket.updatedAt);
+  const tokens = Math.min(limits.capacity, bucket.tokens + (elapsedMs * limits.refillPerHour) / HOUR_MS);
+  return { tokens, updatedAt: now };
+}
+
+/**
+ * @param {Object} bucket - Refilled bucket
+ * @param {Object} limits - { capacity, refillPerHour }
+ * @returns {number} - Seconds until the bucket holds one whole token
+ */
+function getRetryAfterSeconds(bucket, limits) {
+  const missing = Math.max(0, 1 - bucket.tokens);
+  return Math.max(1, Math.ceil((missing * HOUR_MS) / limits.refillPerHour / 1000));
+}
+
+/**
+ * Try to take one token from every applicable bucket
+ * Nothing is consumed unless every bucket has a token.
+ * @param {Array<Object>} entries - [{ level, bucket, limits }] with stored buckets
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { allowed, buckets, limitType?, retryAfter? }
+ */
+function takeTokens(entries, now = Date.now()) {
+  const refilled = entries.map(entry => ({
+    ...entry,
+    bucket: refillBucket(entry.bucket, entry.limits, now)
+  }));
+
+  const blocked = refilled
+    .filter(entry => entry.bucket.tokens < 1)
+    .map(entry => ({ level: entry.level, retryAfter: getRetryAfterSeconds(entry.bucket, entry.limits) }))
+    .sort((a, b) => b.retryAfter - a.retryAfter)[0];
+
+  if (blocked) {
+    return {
+      allowed: false,
+      limitType: blocked.level,
+      retryAfter: blocked.retryAfter,
+      buckets: refilled
+    };
+  }
+
+  return {
+    allowed: true,
+    buckets: refilled.map(entry => ({
+      ...entry,
+      bucket: { ...entry.bucket, tokens: entry.bucket.tokens - 1 }
+    }))
+  };
+}
+
+/**
+ * Usage summary for the status resolver and the config page
+ * @param {Object|null} bucket - Stored bucket
+ * @param {Object} limits - { capacity, refillPerHour }
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { capacity, refillPerHour, remaining, used, fullInSeconds }
+ */
+function summarizeBucket(bucket, limits, now = Date.now()) {
+  const current = refillBucket(bucket, limits, now);
+  const remaining = Math.floor(current.tokens);
+  return {
+    capacity: limits.capacity,
+    refillPerHour: limits.refillPerHour,
+    remaining,
+    used: limits.capacity - remaining,
+    fullInSeconds: Math.ceil(((limits.capacity - current.tokens) * HOUR_MS) / limits.refillPerHour / 1000)
+  };
+}
+
+/**
+ * @param {string} level - RATE_LIMIT_LEVELS value
+ * @param {number} retryAfter - Seconds to wait
+ * @param {Object} limits - Limits of the exhausted bucket
+ * @returns {string} - Message shown to the user
+ */
+function buildRateLimitMessage(level, retryAfter, limits) {
+  const wait = retryAfter >= 120 ? `${Math.ceil(retryAfter / 60)} minutes` : `${retryAfter} seconds`;
+  const scope = {
+    [RATE_LIMIT_LEVELS.USER]: 'your command limit',
+    [RATE_LIMIT_LEVELS.PROJECT]: "this project's command limit",
+    [RATE_LIMIT_LEVELS.GLOBAL]: 'the Commander queue limit shared by all users'
+  }[level] || 'the command limit';
+  return `Rate limit exceeded: ${scope} (${limits.capacity} at once, ${limits.refillPerHour} per hour) has been reached. Please wait ${wait}.`;
+}
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+/**
+ * Validate admin rate limit settings, filling gaps from the defaults
+ * @param {Object} input - { user?, project?, global? } each { capacity?, refillPerHour? }
+ * @returns {Object} - { valid, error?, field?, config? }
+ */
+function validateRateLimitConfig(input = {}) {
+  const config = {};
+
+  for (const level of Object.values(RATE_LIMIT_LEVELS)) {
+    config[level] = { ...DEFAULT_RATE_LIMIT_CONFIG[level] };
+    const levelInput = input[level] || {};
+
+    for (const field of Object.keys(RATE_LIMIT_CONFIG_LIMITS)) {
+      const raw = levelInput[field];
+      if (raw === undefined || raw === null || raw === '') {
+        continue;
+      }
+      const value = Number(raw);
+      const { min, max } = RATE_LIMIT_CONFIG_LIMITS[field];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return { valid: false, error: `${level} ${field} must be a whole number between ${min} and ${max}`, field: `${level}.${field}` };
+      }
+      config[level][field] = value;
+    }
+  }
+
+  return { valid: true, config };
+}
+
+module.exports = {
+  RATE_LIMIT_LEVELS,
+  DEFAULT_RATE_LIMIT_CONFIG,
+  RATE_LIMIT_CONFIG_LIMITS,
+  BUCKET_KEY_PREFIX,
+  getBucketStorageKey,
+  getApplicableBuckets,
+  refillBucket,
+  getRetryAfterSeconds,
+  takeTokens,
+  summarizeBucket,
+  buildRateLimitMessage,
+  validateRateLimitConfig
+};
@@ -0,0 +1,226 @@
+/**
+ * Read Command Cache Utility
+ *
+ * Pure helpers for caching read-only Keeper Commander commands (list, ls,
+ * record-type-info) in Forge storage. Storage access lives in keeperApi.js.
+ *
+ * Entries are stamped with a per-connection "generation". Writes made through
+ * executeKeeperAction bump the generation, which invalidates every entry for that
+ * connection with a single storage write (entries are overwritten in place, so no
+ * orphaned keys are left behind).
+ *
+ * Entry lifecycle (ages measured from cachedAt):
+ *   0 .. ttlSeconds                   -> fresh   (served from cache, no rate limit)
+ *   ttlSeconds .. ttl + staleSeconds  -> stale   (served from cache, revalidated in background)
+ *   beyond that / wrong generation    -> expired (treated as a miss)
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+// `get` is never cached - its results carry record passwords and secret fields,
+// which must not sit in plain Forge storage
+const CACHEABLE_COMMANDS = ['list', 'ls', 'record-type-info', 'rti'];
+
+// Action kinds (executeKeeperAction `command`) that change vault contents
+const INVALIDATING_ACTIONS = ['record-add', 'record-update', 'share-record', 'share-folder', 'record-permission', 'rm', 'mv', 'mkdir', 'enterprise-user', 'transfer-user', 'enterprise-team', 'record-history', 'secrets-manager'];
+
+const DEFAULT_CACHE_CONFIG = {
+  enabled: true,
+  ttlSeconds: 300,      // 5 minutes fresh
+  staleSeconds: 1800    // then up to 30 minutes served stale while revalidating
+};
+
+const CACHE_CONFIG_LIMITS = {
+  ttlSeconds: { min: 0, max: 86400 },
+  staleSeconds: { min: 0, max: 86400 }
+};
+
+// Forge storage values are capped at 240 KiB - leave headroom for the entry wrapper
+const MAX_CACHE_ENTRY_BYTES = 200 * 1024;
+
+// A background revalidation that never completed may be resubmitted after this
+const REVALIDATION_STALE_MS = 2 * 60 * 1000;
+
+const CACHE_ENTRY_STATE = {
+  FRESH: 'fresh',
+  STALE: 'stale',
+  EXPIRED: 'expired'
+};
+
+// ========================================================================
+// Helpers
+// ========================================================================
+
+/**
+ * Extract the command verb (first token)
+ * @param {string} command - Full Commander command
+ * @returns {string} - Lowercase verb or empty string
+ */
+function getCommandVerb(command) {
+  if (!command || typeof command !== 'string') {
+    return '';
+  }
+  return command.trim().split(/\s+/)[0].toLowerCase();
+}
+
+/**
+ * @param {string} command - Full Commander command
+ * @returns {boolean} - True when the command is read-only and may be cached
+ */
+function isCacheableCommand(command) {
+  return CACHEABLE_COMMANDS.includes(getCommandVerb(command));
+}
+
+/**
+ * @param {string} action - executeKeeperAction command kind
+ * @returns {boolean} - True when a successful run must invalidate cached reads
+ */
+function invalidatesCache(action) {
+  return INVALIDATING_ACTIONS.includes(getCommandVerb(action));
+}
+
+/**
+ * 32-bit FNV-1a hash rendered as hex
+ * Commands contain quotes and spaces that Forge storage keys don't allow;
+ * entries keep the full command so a collision is detected on read.
+ * @param {string} value - Value to hash
+ * @returns {string} - 8 character hex string
+ */
+function hashCommand(value) {
+  let hash = 0x811c9dc5;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Storage key for a cached command result
+ * @param {string} connectionId - Connection the command runs on
+ * @param {string} command - Full Commander command
+ * @returns {string}
+ */
+function getCacheStorageKey(connectionId, command) {
+  const normalized = String(command).trim().replace(/\s+/g, ' ');
+  return `keeper-cache-${connectionId}-${getCommandVerb(normalized)}-${hashCommand(normalized)}`;
+}
+
+/**
+ * Storage key for a connection's cache generation counter
+ * @param {string} connectionId - Connection id
+ * @returns {string}
+ */
+function getCacheGenerationKey(connectionId) {
+  return `keeper-cache-generation-${connectionId}`;
+}
+
+/**
+ * Classify a cache entry
+ * @param {Object|null} entry - Stored entry { command, generation, cachedAt, result }
+ * @param {Object} options
+ * @param {string} options.command - Command being looked up
+ * @param {number} options.generation - Current generation for the connection
+ * @param {number} options.ttlSeconds - Fresh window
+ * @param {number} options.staleSeconds - Stale-while-revalidate window
+ * @param {number} options.now - Current time in ms
+ * @returns {string} - One of CACHE_ENTRY_STATE
+ */
+function getCacheEntryState(entry, options) {
+  const { command, generation = 0, ttlSeconds, staleSeconds, now = Date.now() } = options;
+
+  if (!entry || !entry.result || entry.command !== command || (entry.generation || 0) !== generation) {
+    return CACHE_ENTRY_STATE.EXPIRED;
+  }
+
+  const cachedAt = Date.parse(entry.cachedAt);
+  if (Number.isNaN(cachedAt)) {
+    return CACHE_ENTRY_STATE.EXPIRED;
+  }
+
+  const ageMs = now - cachedAt;
+  if (ageMs < ttlSeconds * 1000) {
+    return CACHE_ENTRY_STATE.FRESH;
+  }
+  if (ageMs < (ttlSeconds + staleSeconds) * 1000) {
+    return CACHE_ENTRY_STATE.STALE;
+  }
+  return CACHE_ENTRY_STATE.EXPIRED;
+}
+
+/**
+ * Whether a stale entry needs a new background revalidation submitted
+ * @param {Object} entry - Cache entry
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function needsRevalidation(entry, now = Date.now()) {
+  if (!entry || !entry.revalidation || !entry.revalidation.requestId) {
+    return true;
+  }
+  const submittedAt = Date.parse(entry.revalidation.submittedAt);
+  return Number.isNaN(submittedAt) || (now - submittedAt) > REVALIDATION_STALE_MS;
+}
+
+/**
+ * Whether a result is small enough to store
+ * @param {Object} result - Command result
+ * @returns {boolean}
+ */
+function isCacheableSize(result) {
+  try {
+    return JSON.stringify(result).length <= MAX_CACHE_ENTRY_BYTES;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate and normalize admin-supplied cache settings
+ * @param {Object} input - { enabled, ttlSeconds, staleSeconds }
+ * @returns {Object} - { valid, error?, config? }
+ */
+function validateCacheConfig(input = {}) {
+  const config = { ...DEFAULT_CACHE_CONFIG };
+
+  if (input.enabled !== undefined) {
+    config.enabled = input.enabled === true;
+  }
+
+  for (const field of ['ttlSeconds', 'staleSeconds']) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') {
+      continue;
+    }
+    const value = Number(input[field]);
+    const { min, max } = CACHE_CONFIG_LIMITS[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { valid: false, error: `${field} must be a whole number between ${min} and ${max}`, field };
+    }
+    config[field] = value;
+  }
+
+  return { valid: true, config };
+}
+
+module.exports = {
+  CACHEABLE_COMMANDS,
+  INVALIDATING_ACTIONS,
+  DEFAULT_CACHE_CONFIG,
+  CACHE_CONFIG_LIMITS,
+  CACHE_ENTRY_STATE,
+  MAX_CACHE_ENTRY_BYTES,
+  REVALIDATION_STALE_MS,
+  getCommandVerb,
+  isCacheableCommand,
+  invalidatesCache,
+  hashCommand,
+  getCacheStorageKey,
+  getCacheGenerationKey,
+  getCacheEntryState,
+  needsRevalidation,
+  isCacheableSize,
+  validateCacheConfig
+};
@@ -0,0 +1,173 @@
+/**
+ * Record History Utility
+ *
+ * Parses Commander `record-history` output for the issue panel's Record History
+ * view and compares two revisions. Revisions are numbered the way `--revision`
+ * takes them: 0 is the current version, 1 the one before it, and so on.
+ *
+ * Secret values never leave the backend - a diff only says that a secret field
+ * changed, not what it changed from or to.
+ */
+
+const { getListingItems } = require('./folderListing');
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const MASKED_VALUE = '••••••••';
+
+// Field labels whose values are masked in a diff
+const SECRET_FIELD_PATTERN = /password|passphrase|secret|pin\s*code|private\s*key|one-time|totp|security\s*code|card\s*number|license/i;
+
+const DIFF_STATUS = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged'
+};
+
+// ========================================================================
+// Parsing
+// ========================================================================
+
+/**
+ * Text output of a Commander result, whichever field it arrived in
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {string}
+ */
+function getResultText(apiData) {
+  for (const text of [apiData?.data, apiData?.message]) {
+    if (typeof text === 'string' && text.trim()) {
+      return text;
+    }
+  }
+  return '';
+}
+
+/**
+ * Revisions from `record-history --action list`
+ * Accepts a JSON listing or the text table (Version / Modified By / Time Modified).
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {Array<Object>} - [{ revision, version, modifiedBy, modifiedAt }], current version first
+ */
+function parseRevisionList(apiData) {
+  const items = getListingItems(apiData);
+  if (items) {
+    return items.map((item, index) => ({
+      revision: index,
+      version: item.version || (index === 0 ? 'Current' : `V.${items.length - index}`),
+      modifiedBy: item.modified_by || item.user_name || '',
+      modifiedAt: item.time_modified || item.modified || ''
+    }));
+  }
+
+  const rows = getResultText(apiData)
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !/^[-\s]+$/.test(line) && !/^(#\s+)?Version\b/i.test(line))
+    .map(line => line.split(/\s{2,}/));
+
+  return rows
+    // Drop the row number column when the table has one
+    .map(cells => (cells.length > 3 && /^\d+$/.test(cells[0]) ? cells.slice(1) : cells))
+    .filter(cells => /^(Current|V\.\d+)$/i.test(cells[0]))
+    .map((cells, index) => ({
+      revision: index,
+      version: cells[0],
+      modifiedBy: cells[1] || '',
+      modifiedAt: cells[2] || ''
+    }));
+}
+
+/**
+ * Fields of one revision from `record-history --action view`
+ * Lines without a "Label:" prefix continue the previous value (multi-line notes).
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {Array<Object>} - [{ label, value }] in display order
+ */
+function parseRevisionFields(apiData) {
+  const payload = apiData?.data;
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    return Object.entries(payload).map(([label, value]) => ({
+      label,
+      value: typeof value === 'string' ? value : JSON.stringify(value)
+    }));
+  }
+
+  const fields = [];
+  for (const line of getResultText(apiData).split('\n')) {
+    const match = /^\s*([^:]{1,64}?):\s?(.*)$/.exec(line);
+    if (match) {
+      fields.push({ label: match[1].trim(), value: match[2].trim() });
+    } else if (fields.length > 0 && line.trim()) {
+      fields[fields.length - 1].value += `\n${line.trim()}`;
+    }
+  }
+  return fields;
+}
+
+// ========================================================================
+// Diff
+// ========================================================================
+
+/**
+ * @param {*} value - Revision number from the issue panel
+ * @returns {number|null} - The revision, or null when it is not a whole number of up to six digits
+ */
+function normalizeRevision(value) {
+  const text = String(value ?? '').trim();
+  return /^\d{1,6}$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * @param {string} label - Field label
+ * @returns {boolean} - True when the field's value must not be shown
+ */
+function isSecretField(label) {
+  return SECRET_FIELD_PATTERN.test(label || '');
+}
+
+/**
+ * Compare two revisions field by field, masking secret values
+ * @param {Array<Object>} fromFields - Older revision (parseRevisionFields)
+ * @param {Array<Object>} toFields - Newer revision (parseRevisionFields)
+ * @returns {Array<Object>} - [{ field, from, to, status, masked }]
+ */
+function diffRevisions(fromFields, toFields) {
+  const fromValues = new Map(fromFields.map(field => [field.label, field.value]));
+  const toValues = new Map(toFields.map(field => [field.label, field.value]));
+  const labels = [...new Set([...fromValues.keys(), ...toValues.keys()])];
+
+  return labels.map(label => {
+    const from = fromValues.has(label) ? fromValues.get(label) : null;
+    const to = toValues.has(label) ? toValues.get(label) : null;
+    let status = DIFF_STATUS.CHANGED;
+    if (from === null) {
+      status = DIFF_STATUS.ADDED;
+    } else if (to === null) {
+      status = DIFF_STATUS.REMOVED;
+    } else if (from === to) {
+      status = DIFF_STATUS.UNCHANGED;
+    }
+
+    const masked = isSecretField(label);
+    return {
+      field: label,
+      from: masked && from !== null ? MASKED_VALUE : from,
+      to: masked && to !== null ? MASKED_VALUE : to,
+      status,
+      masked
+    };
+  });
+}
+
+module.exports = {
+  MASKED_VALUE,
+  DIFF_STATUS,
+  parseRevisionList,
+  parseRevisionFields,
+  normalizeRevision,
+  isSecretField,
+  diffRevisions
+};
@@ -0,0 +1,128 @@
+/**
+ * Request Expiry Utility
+ *
+ * Pending requests stay stored until someone approves or rejects them. An hourly
+ * scheduled trigger checks their age: past the reminder threshold the assigned
+ * admin is reminded (again every reminder interval), and past the rejection
+ * threshold the request is rejected as timed out.
+ *
+ * Age counts from the last save - updating a request starts the clock again.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const EXPIRY_ACTION = {
+  NONE: 'none',
+  REMIND: 'remind',
+  REJECT: 'reject'
+};
+
+const DEFAULT_EXPIRY_CONFIG = {
+  enabled: false,
+  remindAfterHours: 72,
+  remindEveryHours: 24,
+  rejectAfterHours: 336
+};
+
+const EXPIRY_LIMITS = {
+  minHours: 1,
+  maxHours: 8760
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+/**
+ * Validate and normalize the expiry settings
+ * @param {Object} config - { enabled, remindAfterHours, remindEveryHours, rejectAfterHours }
+ * @returns {Object} - { valid: boolean, errors: Array<string>, config: Object }
+ */
+function validateExpiryConfig(config = {}) {
+  const errors = [];
+  const normalized = { enabled: config?.enabled === true };
+
+  ['remindAfterHours', 'remindEveryHours', 'rejectAfterHours'].forEach(field => {
+    const value = Number(config?.[field] ?? DEFAULT_EXPIRY_CONFIG[field]);
+    if (!Number.isInteger(value) || value < EXPIRY_LIMITS.minHours || value > EXPIRY_LIMITS.maxHours) {
+      errors.push(`${field} must be a whole number of hours between ${EXPIRY_LIMITS.minHours} and ${EXPIRY_LIMITS.maxHours}`);
+    }
+    normalized[field] = value;
+  });
+
+  if (errors.length === 0 && normalized.rejectAfterHours <= normalized.remindAfterHours) {
+    errors.push('Requests must be rejected later than the first reminder');
+  }
+
+  return { valid: errors.length === 0, errors, config: normalized };
+}
+
+// ========================================================================
+// Scheduling
+// ========================================================================
+
+/**
+ * Hours since a request was last saved
+ * @param {Object} request - Stored request
+ * @param {Date} now - Current time
+ * @returns {number|null} - Whole hours, or null when the save time is unknown
+ */
+function getRequestAgeHours(request, now = new Date()) {
+  const submittedAt = Date.parse(request?.submittedAt);
+  if (Number.isNaN(submittedAt)) {
+    return null;
+  }
+  return Math.floor((now.getTime() - submittedAt) / HOUR_MS);
+}
+
+/**
+ * What the scheduled check should do with a stored request
+ * @param {Object} request - Stored request ({ submittedAt, lastReminderAt })
+ * @param {Object} config - Normalized expiry settings
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { action: 'none' | 'remind' | 'reject', ageHours }
+ */
+function getExpiryAction(request, config, now = new Date()) {
+  const ageHours = getRequestAgeHours(request, now);
+  if (!config?.enabled || ageHours === null) {
+    return { action: EXPIRY_ACTION.NONE, ageHours };
+  }
+
+  if (ageHours >= config.rejectAfterHours) {
+    return { action: EXPIRY_ACTION.REJECT, ageHours };
+  }
+
+  if (ageHours >= config.remindAfterHours) {
+    const lastReminderAt = Date.parse(request.lastReminderAt);
+    // A reminder from before the request was last saved does not count
+    const remindedSinceSave = !Number.isNaN(lastReminderAt) && lastReminderAt >= Date.parse(request.submittedAt);
+    if (!remindedSinceSave || now.getTime() - lastReminderAt >= config.remindEveryHours * HOUR_MS) {
+      return { action: EXPIRY_ACTION.REMIND, ageHours };
+    }
+  }
+
+  return { action: EXPIRY_ACTION.NONE, ageHours };
+}
+
+/**
+ * Rejection reason for a timed-out request
+ * @param {number} ageHours - Hours since the request was saved
+ * @returns {string}
+ */
+function buildTimeoutReason(ageHours) {
+  return `Request timed out - nobody approved or rejected it within ${ageHours} hours. Save it again if it is still needed.`;
+}
+
+module.exports = {
+  EXPIRY_ACTION,
+  DEFAULT_EXPIRY_CONFIG,
+  EXPIRY_LIMITS,
+  validateExpiryConfig,
+  getRequestAgeHours,
+  getExpiryAction,
+  buildTimeoutReason
+};
@@ -0,0 +1,167 @@
+/**
+ * Secret Storage Utility
+ *
+ * Key names, hashing and migration planning for secrets kept in Forge secret
+ * storage (`storage.setSecret`). Commander API keys are stored per connection;
+ * the webhook token is stored as a secret and checked against a SHA-256 hash
+ * kept on `webTriggerConfig`, so webhooks never need to read the secret itself.
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_CONNECTION_ID, maskApiKey } = require('./connectionRouter');
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const SECRET_KEYS = {
+  apiKeyPrefix: 'keeper-api-key:',
+  previousApiKeyPrefix: 'keeper-api-key-previous:',  // Kept for the rotation grace period
+  webhookToken: 'keeper-webhook-token'
+};
+
+// ========================================================================
+// Keys and Previews
+// ========================================================================
+
+/**
+ * @param {string} connectionId - Connection id (`default` for keeperConfig)
+ * @returns {string} - Secret storage key for the connection's API key
+ */
+function getApiKeySecretKey(connectionId) {
+  return `${SECRET_KEYS.apiKeyPrefix}${connectionId || DEFAULT_CONNECTION_ID}`;
+}
+
+/**
+ * @param {string} connectionId - Connection id (`default` for keeperConfig)
+ * @returns {string} - Secret storage key for the key replaced by the last rotation
+ */
+function getPreviousApiKeySecretKey(connectionId) {
+  return `${SECRET_KEYS.previousApiKeyPrefix}${connectionId || DEFAULT_CONNECTION_ID}`;
+}
+
+/**
+ * @param {string} token - Webhook token
+ * @returns {string|null} - First 8 and last 4 characters, as shown on the config page
+ */
+function buildTokenPreview(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  return `${token.substring(0, 8)}...${token.substring(token.length - 4)}`;
+}
+
+// ========================================================================
+// Token Hashing
+// ========================================================================
+
+/**
+ * @param {string} token - Token to hash
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token), 'utf8').digest('hex');
+}
+
+/**
+ * Constant-time check of a presented token against a stored hash
+ * @param {string} token - Token from the request
+ * @param {string} expectedHash - Stored SHA-256 hex digest
+ * @returns {boolean}
+ */
+function tokenMatchesHash(token, expectedHash) {
+  if (!token || typeof expectedHash !== 'string' || !/^[0-9a-f]{64}$/i.test(expectedHash)) {
+    return false;
+  }
+  const presented = Buffer.from(hashToken(token), 'hex');
+  const expected = Buffer.from(expectedHash, 'hex');
+  return crypto.timingSafeEqual(presented, expected);
+}
+
+// ========================================================================
+// Stored Shapes
+// ========================================================================
+
+/**
+ * Fields stored alongside a connection in place of its API key
+ * @param {string} apiKey - Plaintext API key (written to secret storage separately)
+ * @returns {Object} - { hasApiKey, apiKeyPreview }
+ */
+function buildApiKeyFields(apiKey) {
+  return {
+    hasApiKey: true,
+    apiKeyPreview: maskApiKey(apiKey)
+  };
+}
+
+/**
+ * Fields stored on webTriggerConfig in place of the webhook token
+ * @param {string} token - Plaintext webhook token (written to secret storage separately)
+ * @returns {Object} - { webhookTokenHash, webhookTokenPreview }
+ */
+function buildWebhookTokenFields(token) {
+  return {
+    webhookTokenHash: hashToken(token),
+    webhookTokenPreview: buildTokenPreview(token)
+  };
+}
+
+// ========================================================================
+// Migration
+// ========================================================================
+
+/**
+ * Work out how to move plaintext secrets out of regular storage
+ * Pure - the caller writes the secrets first, then the stripped records.
+ * @param {Object} stored
+ * @param {Object} stored.keeperConfig - Default connection config
+ * @param {Array<Object>} stored.connections - Named connections
+ * @param {Object} stored.webTriggerConfig - Web trigger config
+ * @returns {Object} - { secrets: [{ key, value }], keeperConfig, connections, webTriggerConfig, changed }
+ */
+function planSecretMigration({ keeperConfig, connections, webTriggerConfig } = {}) {
+  const secrets = [];
+  let nextKeeperConfig = keeperConfig || null;
+  let nextWebTriggerConfig = webTriggerConfig || null;
+
+  if (keeperConfig && keeperConfig.apiKey) {
+    const { apiKey, ...rest } = keeperConfig;
+    secrets.push({ key: getApiKeySecretKey(DEFAULT_CONNECTION_ID), value: apiKey });
+    nextKeeperConfig = { ...rest, ...buildApiKeyFields(apiKey) };
+  }
+
+  const nextConnections = (connections || []).map(connection => {
+    if (!connection.apiKey) {
+      return connection;
+    }
+    const { apiKey, ...rest } = connection;
+    secrets.push({ key: getApiKeySecretKey(connection.id), value: apiKey });
+    return { ...rest, ...buildApiKeyFields(apiKey) };
+  });
+
+  if (webTriggerConfig && webTriggerConfig.webhookToken) {
+    const { webhookToken, ...rest } = webTriggerConfig;
+    secrets.push({ key: SECRET_KEYS.webhookToken, value: webhookToken });
+    nextWebTriggerConfig = { ...rest, ...buildWebhookTokenFields(webhookToken) };
+  }
+
+  return {
+    secrets,
+    keeperConfig: nextKeeperConfig,
+    connections: nextConnections,
+    webTriggerConfig: nextWebTriggerConfig,
+    changed: secrets.length > 0
+  };
+}
+
+module.exports = {
+  SECRET_KEYS,
+  getApiKeySecretKey,
+  getPreviousApiKeySecretKey,
+  buildTokenPreview,
+  hashToken,
+  tokenMatchesHash,
+  buildApiKeyFields,
+  buildWebhookTokenFields,
+  planSecretMigration
+};
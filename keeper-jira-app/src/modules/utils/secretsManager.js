@@ -0,0 +1,161 @@
+/**
+ * Secrets Manager Provisioning Utility
+ *
+ * CI/CD teams request Keeper Secrets Manager (KSM) access through the issue
+ * panel: create an application, share a record or shared folder with it, or
+ * add a client device. `secrets-manager client add` prints a one-time access
+ * token that lets anyone holding it bind a device to the application, so it is
+ * handled like a one-time share link - stored for the requester only and kept
+ * out of the result comment, the job record and the approver's response.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const SECRETS_MANAGER_OPERATIONS = ['app-create', 'share-add', 'client-add'];
+
+// Minutes the client token stays usable for its first access (Commander default: 60)
+const CLIENT_TOKEN_EXPIRY_OPTIONS = ['15', '60', '240', '1440'];
+
+// Commander prints "One-Time Access Token: US:<token>"; bare tokens carry a region prefix
+const LABELLED_TOKEN_PATTERN = /One-Time Access Token:\s*(\S+)/i;
+const BARE_TOKEN_PATTERN = /\b([A-Z]{2,4}:[A-Za-z0-9_-]{20,})/;
+
+// ========================================================================
+// Helpers
+// ========================================================================
+
+/**
+ * Storage key for the client token waiting for the requester
+ * @param {string} issueKey - Jira issue key
+ * @returns {string}
+ */
+function getClientTokenStorageKey(issueKey) {
+  return `keeper-ksm-token-${issueKey}`;
+}
+
+/**
+ * Find the one-time access token in a `secrets-manager client add` result
+ * @param {Object} data - Raw result from the result endpoint
+ * @returns {string|null}
+ */
+function extractClientToken(data) {
+  const candidates = [];
+  const collect = (value) => {
+    if (typeof value === 'string') {
+      candidates.push(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect);
+    }
+  };
+  collect(data?.data);
+  collect(data?.message);
+
+  for (const pattern of [LABELLED_TOKEN_PATTERN, BARE_TOKEN_PATTERN]) {
+    for (const text of candidates) {
+      const match = pattern.exec(text);
+      if (match) {
+        return match[1];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the stored token entry
+ * @param {Object} input
+ * @param {string} input.token - One-time access token
+ * @param {string} input.issueKey - Jira issue key
+ * @param {Object} input.recipient - { accountId, displayName } of the requester
+ * @param {string} input.app - Application name or UID
+ * @param {string} input.clientName - Client device name, if one was given
+ * @param {string} input.expiresInMinutes - First-access window chosen on the request
+ * @param {number} input.now - Current time in ms
+ * @returns {Object} - { token, issueKey, recipientAccountId, recipientName, app, clientName, createdAt, expiresAt }
+ */
+function buildClientTokenRecord({ token, issueKey, recipient, app, clientName, expiresInMinutes, now = Date.now() }) {
+  const minutes = Number(expiresInMinutes) || 60;
+  return {
+    token,
+    issueKey,
+    recipientAccountId: recipient?.accountId || null,
+    recipientName: recipient?.displayName || null,
+    app: app || null,
+    clientName: clientName || null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + minutes * 60 * 1000).toISOString()
+  };
+}
+
+/**
+ * @param {Object} tokenRecord - Stored token entry
+ * @param {number} now - Current time in ms
+ * @returns {boolean} - True once the token can no longer be used for a first access
+ */
+function isClientTokenExpired(tokenRecord, now = Date.now()) {
+  const expiresAt = Date.parse(tokenRecord?.expiresAt || '');
+  return !Number.isNaN(expiresAt) && expiresAt <= now;
+}
+
+/**
+ * @param {Object} tokenRecord - Stored token entry
+ * @param {string} accountId - Caller's account id
+ * @returns {boolean} - Only the requester may read the token
+ */
+function canViewClientToken(tokenRecord, accountId) {
+  return !!tokenRecord && !!accountId && tokenRecord.recipientAccountId === accountId;
+}
+
+/**
+ * The token goes to whoever raised the request, so nobody else may save over a client-add
+ * request or save one over someone else's request
+ * @param {Object|null} storedRequest - Request already stored on the issue
+ * @param {Object} requestData - Request being saved
+ * @param {string} accountId - Account saving it
+ * @returns {boolean} - True when the save may replace the stored request
+ */
+function canReplaceClientTokenRequest(storedRequest, requestData, accountId) {
+  const isClientAdd = [storedRequest, requestData].some(request =>
+    request?.selectedAction?.value === 'secrets-manager' && request?.formData?.operation === 'client-add'
+  );
+  if (!storedRequest || !isClientAdd) {
+    return true;
+  }
+  return !!accountId && storedRequest.submittedBy?.userKey === accountId;
+}
+
+/**
+ * Describe a completed app-create or share-add request for the result comment
+ * (client-add is described once its token has been delivered)
+ * @param {Object} parameters - Summary parameters kept on the job
+ * @returns {Object} - { description, message }
+ */
+function describeSecretsManagerChange(parameters = {}) {
+  if (parameters.operation === 'share-add') {
+    const access = parameters.editable === true || parameters.editable === 'true' ? 'read and write' : 'read-only';
+    return {
+      description: `Secrets Manager - Share with application "${parameters.app}"`,
+      message: `Shared ${parameters.secret} with application "${parameters.app}" (${access} access)`
+    };
+  }
+  return {
+    description: `Secrets Manager - Create application "${parameters.app}"`,
+    message: `Created Secrets Manager application "${parameters.app}"`
+  };
+}
+
+module.exports = {
+  SECRETS_MANAGER_OPERATIONS,
+  CLIENT_TOKEN_EXPIRY_OPTIONS,
+  getClientTokenStorageKey,
+  extractClientToken,
+  buildClientTokenRecord,
+  isClientTokenExpired,
+  canViewClientToken,
+  canReplaceClientTokenRequest,
+  describeSecretsManagerChange
+};
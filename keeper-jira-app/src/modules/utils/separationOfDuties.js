@@ -0,0 +1,203 @@
+/**
+ * Separation of Duties Utility
+ *
+ * With separation of duties on, whoever saved a pending request cannot approve a stage
+ * of it or run it. In an emergency they can break glass: the override needs a written
+ * justification and is commented on the issue and kept in an audit log.
+ *
+ * A workflow transition that runs a request is checked against the account that made
+ * it, like the approve button. Only requests the approval policy auto-approves are not
+ * checked - nobody approves those.
+ *
+ * Who raised a request is also kept in a per-issue history apart from the stored request,
+ * so clearing or re-saving the request does not let its requester run it.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const DEFAULT_SEPARATION_CONFIG = {
+  enabled: false,
+  allowBreakGlass: true
+};
+
+const BREAK_GLASS_LIMITS = {
+  minJustificationLength: 20,
+  maxJustificationLength: 1000,
+  maxAuditEntries: 200,
+  maxRequestHistoryEntries: 50
+};
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+/**
+ * Validate and normalize the separation of duties settings
+ * @param {Object} config - { enabled, allowBreakGlass }
+ * @returns {Object} - { valid: boolean, errors: Array<string>, config: Object }
+ */
+function validateSeparationConfig(config = {}) {
+  const errors = [];
+
+  ['enabled', 'allowBreakGlass'].forEach(field => {
+    const value = config?.[field];
+    if (value !== undefined && typeof value !== 'boolean') {
+      errors.push(`${field} must be true or false`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    config: {
+      enabled: config?.enabled === true,
+      allowBreakGlass: config?.allowBreakGlass !== false
+    }
+  };
+}
+
+// ========================================================================
+// Enforcement
+// ========================================================================
+
+/**
+ * Validate a break-glass justification
+ * @param {string} value - Justification as typed
+ * @returns {Object} - { valid: boolean, justification?: string, error?: string }
+ */
+function validateJustification(value) {
+  // Newlines are kept, other control characters would only garble the comment
+  const justification = typeof value === 'string' ? value.replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, '').trim() : '';
+  const { minJustificationLength, maxJustificationLength } = BREAK_GLASS_LIMITS;
+
+  if (justification.length < minJustificationLength || justification.length > maxJustificationLength) {
+    return {
+      valid: false,
+      error: `A break-glass justification of ${minJustificationLength} to ${maxJustificationLength} characters is required`
+    };
+  }
+  return { valid: true, justification };
+}
+
+/**
+ * Storage key for the accounts that raised requests on an issue
+ * @param {string} issueKey - Jira issue key
+ * @returns {string}
+ */
+function getRequestHistoryStorageKey(issueKey) {
+  return `keeper_request_history_${issueKey}`;
+}
+
+/**
+ * Add a requester to an issue's request history, once per account
+ * @param {Array<Object>} history - Existing entries
+ * @param {Object} entry - { accountId, action, submittedAt }
+ * @returns {Array<Object>} - History capped at BREAK_GLASS_LIMITS.maxRequestHistoryEntries
+ */
+function addRequestHistoryEntry(history, entry) {
+  const entries = Array.isArray(history) ? history : [];
+  if (!entry?.accountId || entries.some(existing => existing.accountId === entry.accountId)) {
+    return entries;
+  }
+  return [...entries, entry].slice(-BREAK_GLASS_LIMITS.maxRequestHistoryEntries);
+}
+
+/**
+ * Only the requester or a Jira administrator may save over or clear a stored request
+ * @param {Object|null} storedRequest - Stored request ({ submittedBy: { userKey } })
+ * @param {string} accountId - Account changing it
+ * @param {boolean} isAdmin - Whether that account is a Jira administrator
+ * @returns {boolean}
+ */
+function canChangeStoredRequest(storedRequest, accountId, isAdmin) {
+  const requesterId = storedRequest?.submittedBy?.userKey;
+  if (!requesterId || isAdmin === true) {
+    return true;
+  }
+  return !!accountId && requesterId === accountId;
+}
+
+/**
+ * Whether an account may approve or run the stored request on an issue
+ * @param {Object} config - Normalized separation of duties settings
+ * @param {Object|null} storedRequest - Stored request ({ submittedBy: { userKey } })
+ * @param {string} accountId - Account approving or running it
+ * @param {string} [breakGlassJustification] - Justification when the requester overrides the check
+ * @param {Array<Object>} [requestHistory] - Issue's request history ([{ accountId }])
+ * @returns {Object} - { allowed, breakGlass, justification?, error?, breakGlassAllowed? }
+ */
+function checkSeparationOfDuties(config, storedRequest, accountId, breakGlassJustification, requestHistory = []) {
+  const requesterIds = [
+    storedRequest?.submittedBy?.userKey,
+    ...(Array.isArray(requestHistory) ? requestHistory : []).map(entry => entry?.accountId)
+  ].filter(Boolean);
+  if (!config?.enabled || requesterIds.length === 0) {
+    return { allowed: true, breakGlass: false };
+  }
+
+  // Without an account there is no telling whether the requester is approving
+  if (!accountId) {
+    return {
+      allowed: false,
+      breakGlass: false,
+      breakGlassAllowed: false,
+      error: 'Separation of duties requires knowing who approves this request'
+    };
+  }
+
+  if (!requesterIds.includes(accountId)) {
+    return { allowed: true, breakGlass: false };
+  }
+
+  if (!config.allowBreakGlass) {
+    return {
+      allowed: false,
+      breakGlass: false,
+      breakGlassAllowed: false,
+      error: 'You submitted this request - separation of duties requires someone else to approve it'
+    };
+  }
+
+  if (breakGlassJustification === undefined || breakGlassJustification === null) {
+    return {
+      allowed: false,
+      breakGlass: false,
+      breakGlassAllowed: true,
+      error: 'You submitted this request - separation of duties requires someone else to approve it, or a break-glass justification'
+    };
+  }
+
+  const validation = validateJustification(breakGlassJustification);
+  if (!validation.valid) {
+    return { allowed: false, breakGlass: false, breakGlassAllowed: true, error: validation.error };
+  }
+  return { allowed: true, breakGlass: true, justification: validation.justification };
+}
+
+// ========================================================================
+// Audit
+// ========================================================================
+
+/**
+ * Add a break-glass override to the audit log, newest first
+ * @param {Array<Object>} log - Existing entries
+ * @param {Object} entry - { issueKey, action, stage, accountId, displayName, justification, timestamp }
+ * @returns {Array<Object>} - Log capped at BREAK_GLASS_LIMITS.maxAuditEntries
+ */
+function addBreakGlassEntry(log, entry) {
+  return [entry, ...(Array.isArray(log) ? log : [])].slice(0, BREAK_GLASS_LIMITS.maxAuditEntries);
+}
+
+module.exports = {
+  DEFAULT_SEPARATION_CONFIG,
+  BREAK_GLASS_LIMITS,
+  validateSeparationConfig,
+  validateJustification,
+  getRequestHistoryStorageKey,
+  addRequestHistoryEntry,
+  canChangeStoredRequest,
+  checkSeparationOfDuties,
+  addBreakGlassEntry
+};
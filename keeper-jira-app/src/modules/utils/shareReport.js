@@ -0,0 +1,234 @@
+/**
+ * Share Report Utility
+ *
+ * Builds the "current access" list approvers see next to a pending share-record
+ * or share-folder request. Record access comes from Commander `share-report
+ * --record` and the permission details in `get --format=json`; shared folder
+ * access comes from `get` on the shared folder. The pending request is checked
+ * against that list so a grant to the owner, a duplicate grant or a revoke for
+ * someone without access is visible before the approver runs it.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const ACCESS_SUBJECT = {
+  USER: 'user',
+  TEAM: 'team',
+  SHARED_FOLDER: 'shared_folder'
+};
+
+const REQUEST_CONFLICT = {
+  OWNER: 'owner',
+  EXISTING_ACCESS: 'existing_access',
+  NO_ACCESS: 'no_access'
+};
+
+// ========================================================================
+// Parsing
+// ========================================================================
+
+/**
+ * @param {*} expiration - Epoch ms / s, ISO date or Commander text
+ * @returns {string|null} - ISO date, the original text, or null for "never"
+ */
+function normalizeExpiration(expiration) {
+  if (expiration === null || expiration === undefined || expiration === '' || expiration === 0) {
+    return null;
+  }
+  if (typeof expiration === 'number') {
+    // Commander reports seconds in some versions and milliseconds in others
+    return new Date(expiration < 1e12 ? expiration * 1000 : expiration).toISOString();
+  }
+  return /^never$/i.test(String(expiration).trim()) ? null : String(expiration).trim();
+}
+
+/**
+ * @param {Object} flags - { label: boolean }
+ * @returns {Array<string>} - Labels of the flags that are set
+ */
+function pickPermissionLabels(flags) {
+  return Object.entries(flags)
+    .filter(([, isSet]) => isSet === true)
+    .map(([label]) => label);
+}
+
+/**
+ * Parse a JSON payload that may arrive as an object or a JSON string
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {*} - Parsed payload, or null
+ */
+function getJsonPayload(apiData) {
+  for (const candidate of [apiData?.data, apiData?.message]) {
+    if (candidate && typeof candidate === 'object') {
+      return candidate;
+    }
+    if (typeof candidate === 'string') {
+      try {
+        return JSON.parse(candidate);
+      } catch (parseError) {
+        // Not JSON - try the next candidate
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Access entries from a record's `get --format=json` output
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {Array<Object>} - [{ type, name, uid, owner, permissions, expiration }]
+ */
+function parseRecordPermissions(apiData) {
+  const details = getJsonPayload(apiData) || {};
+  const users = (details.user_permissions || []).map(permission => ({
+    type: ACCESS_SUBJECT.USER,
+    name: permission.username,
+    uid: null,
+    owner: permission.owner === true,
+    permissions: pickPermissionLabels({
+      'Can Edit': permission.editable,
+      'Can Share': permission.shareable,
+      'Share Admin': permission.share_admin
+    }),
+    expiration: normalizeExpiration(permission.expiration)
+  }));
+  const folders = (details.shared_folder_permissions || []).map(permission => ({
+    type: ACCESS_SUBJECT.SHARED_FOLDER,
+    name: permission.shared_folder_name || permission.shared_folder_uid,
+    uid: permission.shared_folder_uid || null,
+    owner: false,
+    permissions: pickPermissionLabels({
+      'Can Edit': permission.editable,
+      'Can Share': permission.reshareable
+    }),
+    expiration: normalizeExpiration(permission.expiration)
+  }));
+  return [...users, ...folders].filter(entry => entry.name);
+}
+
+/**
+ * Access entries from a shared folder's `get --format=json` output
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {Array<Object>} - [{ type, name, uid, owner, permissions, expiration }]
+ */
+function parseSharedFolderPermissions(apiData) {
+  const details = getJsonPayload(apiData) || {};
+  const toEntry = (type, member) => ({
+    type,
+    name: type === ACCESS_SUBJECT.TEAM ? member.name : member.username,
+    uid: type === ACCESS_SUBJECT.TEAM ? (member.team_uid || null) : null,
+    owner: false,
+    permissions: pickPermissionLabels({
+      'Manage Records': member.manage_records,
+      'Manage Users': member.manage_users
+    }),
+    expiration: normalizeExpiration(member.expiration)
+  });
+  return [
+    ...(details.users || []).map(member => toEntry(ACCESS_SUBJECT.USER, member)),
+    ...(details.teams || []).map(member => toEntry(ACCESS_SUBJECT.TEAM, member))
+  ].filter(entry => entry.name);
+}
+
+/**
+ * Access entries from `share-report --record <uid> --format=json`
+ * The report has one row per user the record is shared with and a free-text permission column.
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {Array<Object>} - [{ type, name, uid, owner, permissions, expiration }]
+ */
+function parseShareReport(apiData) {
+  const rows = getJsonPayload(apiData);
+  if (!Array.isArray(rows)) {
+    return [];
+  }
+  return rows
+    .map(row => {
+      const permissionText = String(row.permissions || row.permission || '');
+      return {
+        type: ACCESS_SUBJECT.USER,
+        name: row.shared_with || row.username || row.email || row.user || '',
+        uid: null,
+        owner: /owner/i.test(permissionText),
+        permissions: permissionText
+          .split(',')
+          .map(permission => permission.trim())
+          .filter(permission => permission && !/^owner$/i.test(permission)),
+        expiration: normalizeExpiration(row.expiration || row.expires || row.share_expiration)
+      };
+    })
+    .filter(entry => entry.name);
+}
+
+/**
+ * Merge report rows with permission details, one entry per user / team / folder
+ * Details from `get` win; report-only rows are kept.
+ * @param {Array<Object>} detailEntries - parseRecordPermissions / parseSharedFolderPermissions
+ * @param {Array<Object>} reportEntries - parseShareReport
+ * @returns {Array<Object>} - Owners first, then users, teams and folders by name
+ */
+function mergeAccessEntries(detailEntries, reportEntries = []) {
+  const entries = new Map();
+  for (const entry of [...reportEntries, ...detailEntries]) {
+    entries.set(`${entry.type}:${entry.name.toLowerCase()}`, entry);
+  }
+  const typeOrder = [ACCESS_SUBJECT.USER, ACCESS_SUBJECT.TEAM, ACCESS_SUBJECT.SHARED_FOLDER];
+  return [...entries.values()].sort((a, b) =>
+    (b.owner - a.owner) ||
+    (typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)) ||
+    a.name.localeCompare(b.name)
+  );
+}
+
+// ========================================================================
+// Request Checks
+// ========================================================================
+
+/**
+ * Compare a pending share request with the current access list
+ * @param {Array<Object>} entries - Result of mergeAccessEntries
+ * @param {Object} request - { command: 'share-record' | 'share-folder', action, user }
+ * @returns {Array<Object>} - [{ subject, conflict, message }]
+ */
+function findRequestConflicts(entries, request = {}) {
+  // Cancelling a pending share does not touch existing access
+  if (request.action === 'cancel') {
+    return [];
+  }
+  const subjects = String(request.user || '')
+    .split(',')
+    .map(subject => subject.trim())
+    .filter(subject => subject && subject !== '*');
+  const conflicts = [];
+
+  for (const subject of subjects) {
+    const entry = entries.find(candidate =>
+      candidate.type !== ACCESS_SUBJECT.SHARED_FOLDER && candidate.name.toLowerCase() === subject.toLowerCase()
+    );
+
+    if (request.command === 'share-record' && entry?.owner) {
+      const message = request.action === 'revoke'
+        ? `${subject} owns this record - the owner's access cannot be revoked`
+        : `${subject} already owns this record`;
+      conflicts.push({ subject, conflict: REQUEST_CONFLICT.OWNER, message });
+    } else if (request.action === 'grant' && entry) {
+      const current = entry.permissions.length > 0 ? entry.permissions.join(', ') : 'read-only';
+      conflicts.push({ subject, conflict: REQUEST_CONFLICT.EXISTING_ACCESS, message: `${subject} already has access (${current}) - the grant replaces these permissions` });
+    } else if ((request.action === 'revoke' || request.action === 'remove') && !entry) {
+      conflicts.push({ subject, conflict: REQUEST_CONFLICT.NO_ACCESS, message: `${subject} has no direct access to revoke` });
+    }
+  }
+  return conflicts;
+}
+
+module.exports = {
+  ACCESS_SUBJECT,
+  REQUEST_CONFLICT,
+  normalizeExpiration,
+  parseRecordPermissions,
+  parseSharedFolderPermissions,
+  parseShareReport,
+  mergeAccessEntries,
+  findRequestConflicts
+};
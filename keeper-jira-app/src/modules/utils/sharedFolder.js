@@ -0,0 +1,107 @@
+/**
+ * Shared Folder Creation Utility
+ *
+ * The "Create Shared Folder" action runs `mkdir --shared-folder` and, when the
+ * request names initial members, grants them access with `share-folder` once
+ * Commander has returned the new folder's UID. The UID is kept on the issue in
+ * an issue property so later requests can refer to the folder.
+ */
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const SHARED_FOLDER_PROPERTY_KEY = 'keeper-shared-folder';
+
+// Default permissions set on the folder and given to the initial members
+const SHARED_FOLDER_PERMISSION_KEYS = ['manage_users', 'manage_records', 'can_share', 'can_edit'];
+
+// Keeper UIDs are 16 bytes, base64url encoded without padding
+const KEEPER_UID_PATTERN = /(?:^|[^A-Za-z0-9_-])([A-Za-z0-9_-]{22})(?![A-Za-z0-9_-])/;
+
+// ========================================================================
+// Helpers
+// ========================================================================
+
+/**
+ * Commander path for the new folder
+ * A folder UID is accepted as the first path component; '/' inside a folder
+ * name is written as '//' so it is not read as a separator.
+ * @param {string} parentFolderUid - Parent folder UID, empty for the vault root
+ * @param {string} folderName - Name of the new folder
+ * @returns {string}
+ */
+function buildSharedFolderPath(parentFolderUid, folderName) {
+  const escapedName = String(folderName || '').trim().replace(/\//g, '//');
+  return parentFolderUid ? `${parentFolderUid}/${escapedName}` : `/${escapedName}`;
+}
+
+/**
+ * Find the new folder's UID in a `mkdir` result
+ * @param {Object} data - Raw result from the result endpoint
+ * @returns {string|null}
+ */
+function extractFolderUid(data) {
+  const payload = data?.data;
+  if (payload && typeof payload === 'object' && typeof payload.folder_uid === 'string') {
+    return payload.folder_uid;
+  }
+  for (const text of [payload, data?.message].flat()) {
+    if (typeof text === 'string') {
+      const match = KEEPER_UID_PATTERN.exec(text.trim());
+      if (match) {
+        return match[1];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Object} parameters - mkdir parameters
+ * @returns {Object} - Default permission switches, false when not ticked
+ */
+function pickFolderPermissions(parameters = {}) {
+  const permissions = {};
+  for (const key of SHARED_FOLDER_PERMISSION_KEYS) {
+    permissions[key] = parameters[key] === true || parameters[key] === 'true';
+  }
+  return permissions;
+}
+
+/**
+ * share-folder parameters that grant the initial members the folder's default permissions
+ * @param {string} folderUid - New folder UID
+ * @param {string} members - Comma-separated member emails
+ * @param {Object} permissions - Result of pickFolderPermissions
+ * @returns {Object}
+ */
+function buildMemberGrantParameters(folderUid, members, permissions) {
+  return {
+    folder: folderUid,
+    user: members,
+    action: 'grant',
+    ...permissions
+  };
+}
+
+/**
+ * @param {string} members - Comma-separated member emails
+ * @returns {Array<string>}
+ */
+function splitMembers(members) {
+  return String(members || '')
+    .split(',')
+    .map(member => member.trim())
+    .filter(member => member);
+}
+
+module.exports = {
+  SHARED_FOLDER_PROPERTY_KEY,
+  SHARED_FOLDER_PERMISSION_KEYS,
+  buildSharedFolderPath,
+  extractFolderUid,
+  pickFolderPermissions,
+  buildMemberGrantParameters,
+  splitMembers
+};
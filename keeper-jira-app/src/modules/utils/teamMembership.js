@@ -0,0 +1,101 @@
+/**
+ * Team Membership Utility
+ *
+ * "Request Team Membership" adds a user to, or removes them from, a Keeper
+ * enterprise team with `enterprise-team --add-user / --remove-user`. The team
+ * picker is filled from `enterprise-info --teams`. The last change made on an
+ * issue is kept in an issue property so the panel can offer to reverse it.
+ */
+
+const { getListingItems } = require('./folderListing');
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const TEAM_MEMBERSHIP_PROPERTY_KEY = 'keeper-team-membership';
+
+const TEAM_MEMBERSHIP_OPERATIONS = ['add', 'remove'];
+
+// ========================================================================
+// Helpers
+// ========================================================================
+
+/**
+ * Teams from `enterprise-info --teams --format=json`, sorted by name for the picker
+ * @param {Object} apiData - Raw result from the Keeper API
+ * @returns {Array<Object>} - [{ team_uid, name, title, node }]
+ */
+function parseTeamListing(apiData) {
+  return (getListingItems(apiData) || [])
+    .map(team => {
+      const name = team.name || team.team_name || '';
+      return {
+        team_uid: team.team_uid || team.uid || null,
+        name,
+        title: name,
+        node: team.node || team.node_name || ''
+      };
+    })
+    .filter(team => team.team_uid)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Team membership change kept on the job and, once it has run, on the issue
+ * @param {Object} parameters - enterprise-team parameters
+ * @param {Object|undefined} team - Matching entry from parseTeamListing
+ * @returns {Object} - { operation, teamUid, teamName, user }
+ */
+function buildTeamMembershipChange(parameters, team) {
+  return {
+    operation: parameters.operation,
+    teamUid: parameters.team,
+    teamName: team?.name || null,
+    user: String(parameters.user || '').trim()
+  };
+}
+
+/**
+ * Describe a completed change for the result comment
+ * @param {Object} change - Result of buildTeamMembershipChange
+ * @returns {Object} - { description, message }
+ */
+function describeTeamMembershipChange(change) {
+  const teamLabel = change.teamName ? `"${change.teamName}" (${change.teamUid})` : change.teamUid;
+  if (change.operation === 'remove') {
+    return {
+      description: `Remove Team Member - ${change.user}`,
+      message: `Removed ${change.user} from team ${teamLabel}`
+    };
+  }
+  return {
+    description: `Add Team Member - ${change.user}`,
+    message: `Added ${change.user} to team ${teamLabel}`
+  };
+}
+
+/**
+ * Form values that undo a completed change - fed back into the same request flow
+ * @param {Object} change - Team membership property value
+ * @returns {Object|null} - enterprise-team form data, or null when there is nothing to reverse
+ */
+function getReversalRequest(change) {
+  if (!change || !TEAM_MEMBERSHIP_OPERATIONS.includes(change.operation) || !change.teamUid || !change.user) {
+    return null;
+  }
+  return {
+    operation: change.operation === 'add' ? 'remove' : 'add',
+    team: change.teamUid,
+    user: change.user
+  };
+}
+
+module.exports = {
+  TEAM_MEMBERSHIP_PROPERTY_KEY,
+  TEAM_MEMBERSHIP_OPERATIONS,
+  parseTeamListing,
+  buildTeamMembershipChange,
+  describeTeamMembershipChange,
+  getReversalRequest
+};
@@ -0,0 +1,211 @@
+/**
+ * Workflow Execution Utility
+ *
+ * Runs stored Keeper requests from Jira workflow transitions instead of the issue
+ * panel's approve button. A post-function runs the issue's pending request when it
+ * moves into one of the configured statuses (e.g. "Approved"); a validator keeps an
+ * issue from moving on (e.g. to "Done") while its request has not run successfully.
+ *
+ * A failed run is commented on the issue and either moves the issue back to the
+ * status it came from or labels it, depending on the configured failure handling.
+ *
+ * The transition only stands in for the approve button: actions that need a Jira
+ * administrator still need one to make the transition, and approval chains must
+ * be complete.
+ */
+
+const { getCommandDefinition } = require('./commandRegistry');
+
+// ========================================================================
+// Constants
+// ========================================================================
+
+const FAILURE_HANDLING = {
+  REVERT: 'revert',
+  FLAG: 'flag'
+};
+
+const DEFAULT_WORKFLOW_CONFIG = {
+  executeOnStatuses: [],
+  onFailure: FAILURE_HANDLING.REVERT
+};
+
+const WORKFLOW_LIMITS = {
+  maxStatuses: 20,
+  statusNameMaxLength: 255
+};
+
+// Added when a failed run cannot (or should not) move the issue back
+const FAILED_ACTION_LABEL = 'keeper-action-failed';
+
+const STATUS_ID_PATTERN = /^\d{1,18}$/;
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+/**
+ * Validate and normalize the workflow settings
+ * @param {Object} config - { executeOnStatuses: [{ id, name }], onFailure }
+ * @returns {Object} - { valid: boolean, errors: Array<string>, config: Object }
+ */
+function validateWorkflowConfig(config) {
+  const errors = [];
+  const statuses = config?.executeOnStatuses;
+
+  if (!Array.isArray(statuses)) {
+    errors.push('Execute-on statuses must be an array');
+  } else if (statuses.length > WORKFLOW_LIMITS.maxStatuses) {
+    errors.push(`A maximum of ${WORKFLOW_LIMITS.maxStatuses} statuses is supported`);
+  }
+
+  const seen = new Set();
+  const executeOnStatuses = [];
+  (Array.isArray(statuses) ? statuses : []).forEach((status, index) => {
+    const id = String(status?.id ?? '').trim();
+    const name = String(status?.name || '').trim();
+    if (!STATUS_ID_PATTERN.test(id)) {
+      errors.push(`Status ${index + 1}: invalid status id`);
+      return;
+    }
+    if (!name || name.length > WORKFLOW_LIMITS.statusNameMaxLength) {
+      errors.push(`Status ${index + 1}: a status name of up to ${WORKFLOW_LIMITS.statusNameMaxLength} characters is required`);
+      return;
+    }
+    if (!seen.has(id)) {
+      seen.add(id);
+      executeOnStatuses.push({ id, name });
+    }
+  });
+
+  const onFailure = config?.onFailure || DEFAULT_WORKFLOW_CONFIG.onFailure;
+  if (!Object.values(FAILURE_HANDLING).includes(onFailure)) {
+    errors.push(`Failure handling must be one of ${Object.values(FAILURE_HANDLING).join(', ')}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    config: { executeOnStatuses, onFailure }
+  };
+}
+
+/**
+ * Whether a transition moves the issue into a status that runs the stored request
+ * @param {Object} config - Normalized workflow settings
+ * @param {Object} transition - Post-function transition ({ from: { id }, to: { id } })
+ * @returns {boolean}
+ */
+function shouldRunOnTransition(config, transition) {
+  const statusId = transition?.to?.id;
+  if (statusId === undefined || statusId === null) {
+    return false;
+  }
+  return (config?.executeOnStatuses || []).some(status => status.id === String(statusId));
+}
+
+// ========================================================================
+// Execution
+// ========================================================================
+
+/**
+ * Why a stored request cannot run without the issue panel
+ * The panel merges record updates with the record's current values and creates
+ * new address records first - neither can be repeated from a transition. Only
+ * registry actions run, and never a pre-formatted command.
+ *
+ * @param {Object} storedRequest - Stored request
+ * @returns {string|null} - Reason, or null when the request can run from a transition
+ */
+function getWorkflowBlocker(storedRequest) {
+  const action = storedRequest?.selectedAction?.value;
+  if (!action) {
+    return 'The stored request has no action';
+  }
+  if (!getCommandDefinition(action)) {
+    return `"${action}" is not a supported Keeper action`;
+  }
+  if (storedRequest.formData?.cliCommand !== undefined) {
+    return 'The stored request carries a pre-formatted command - only the action\'s own fields can run';
+  }
+  if (action === 'record-update') {
+    return 'Record updates need the issue panel to merge them with the record - run the request from the panel';
+  }
+  if (String(storedRequest.formData?.addressRef || '').startsWith('temp_addr_')) {
+    return 'The request creates a new address record - run it from the issue panel';
+  }
+  return null;
+}
+
+/**
+ * Whether a bulk permission check (POST /rest/api/3/permissions/check) found an administrator
+ * Mirrors the issue panel's admin check: global administrators and project administrators.
+ * @param {Object} permissionCheck - Response body ({ globalPermissions, projectPermissions })
+ * @returns {boolean}
+ */
+function hasAdminPermission(permissionCheck) {
+  if ((permissionCheck?.globalPermissions || []).includes('ADMINISTER')) {
+    return true;
+  }
+  return (permissionCheck?.projectPermissions || []).some(grant =>
+    grant?.permission === 'ADMINISTER_PROJECTS' &&
+    ((grant.issues || []).length > 0 || (grant.projects || []).length > 0)
+  );
+}
+
+/**
+ * Transition that moves an issue back into a status
+ * @param {Array<Object>} transitions - Available transitions ({ id, name, to: { id } })
+ * @param {string} statusId - Status to return to
+ * @returns {Object|null}
+ */
+function findRevertTransition(transitions, statusId) {
+  if (!Array.isArray(transitions) || statusId === undefined || statusId === null) {
+    return null;
+  }
+  return transitions.find(transition => String(transition?.to?.id) === String(statusId)) || null;
+}
+
+// ========================================================================
+// Validation
+// ========================================================================
+
+/**
+ * Whether an issue's Keeper request has run successfully
+ * A request is cleared from storage once its job completes (or it is rejected), so
+ * anything still stored or still running blocks the transition.
+ *
+ * @param {Object} state - { storedRequest, activeJob, lastJob }
+ * @returns {Object} - { result: boolean, errorMessage?: string } as a workflow validator returns it
+ */
+function checkKeeperActionDone({ storedRequest = null, activeJob = null, lastJob = null } = {}) {
+  if (activeJob) {
+    return { result: false, errorMessage: 'The Keeper action on this issue is still running - try again once it has finished' };
+  }
+
+  if (!storedRequest) {
+    return { result: true };
+  }
+
+  const failedSinceSaved = lastJob?.status === 'failed' &&
+    Date.parse(lastJob.submittedAt) >= Date.parse(storedRequest.submittedAt);
+  if (failedSinceSaved) {
+    const reason = lastJob.error?.message || 'unknown error';
+    return { result: false, errorMessage: `The Keeper action failed (${reason}) - run it successfully or reject the request first` };
+  }
+
+  return { result: false, errorMessage: 'The Keeper request on this issue has not run yet' };
+}
+
+module.exports = {
+  FAILURE_HANDLING,
+  DEFAULT_WORKFLOW_CONFIG,
+  WORKFLOW_LIMITS,
+  FAILED_ACTION_LABEL,
+  validateWorkflowConfig,
+  shouldRunOnTransition,
+  getWorkflowBlocker,
+  hasAdminPermission,
+  findRevertTransition,
+  checkKeeperActionDone
+};
@@ -10,11 +10,12 @@
  */
 
 import { storage } from '@forge/api';
-import { fetchEpmApprovalDetails } from './keeperApi.js';
+import { fetchEpmApprovalDetails, migrateSecretsToSecretStorage } from './keeperApi.js';
 import { buildEnrichedTicketDescription, buildBasicTicketDescription } from './utils/adfBuilder.js';
 import { buildTicketLabels } from './utils/labelBuilder.js';
 import { requestJiraAsAppWithRetry, route } from './utils/jiraApiRetry.js';
 import { logger } from './utils/logger.js';
+import { tokenMatchesHash } from './utils/secretStorage.js';
 
 // ============================================================================
 // Security Configuration
@@ -197,7 +198,7 @@ export function generateWebhookToken() {
  */
 function validateWebhookToken(request, config) {
   // Check if token authentication is configured (REQUIRED)
-  if (!config.webhookToken) {
+  if (!config.webhookTokenHash) {
     // Token not configured - reject request for security
     return { 
       valid: false, 
@@ -244,18 +245,8 @@ function validateWebhookToken(request, config) {
     };
   }
   
-  // Constant-time comparison to prevent timing attacks
-  const expectedToken = config.webhookToken;
-  if (providedToken.length !== expectedToken.length) {
-    return { valid: false, error: 'Invalid authentication token' };
-  }
-  
-  let mismatch = 0;
-  for (let i = 0; i < providedToken.length; i++) {
-    mismatch |= providedToken.charCodeAt(i) ^ expectedToken.charCodeAt(i);
-  }
-  
-  if (mismatch !== 0) {
+  // Only the token's hash is stored; hashes are compared in constant time
+  if (!tokenMatchesHash(providedToken, config.webhookTokenHash)) {
     return { valid: false, error: 'Invalid authentication token' };
   }
   
@@ -750,7 +741,13 @@ export async function webTriggerHandler(request) {
   
   try {
     // Get the web trigger configuration (with retry for 429 errors)
-    const config = await storageGetWithRetry('webTriggerConfig');
+    let config = await storageGetWithRetry('webTriggerConfig');
+    
+    // Token saved before secret storage - move it across and use the stored hash
+    if (config && config.webhookToken) {
+      await migrateSecretsToSecretStorage();
+      config = await storageGetWithRetry('webTriggerConfig');
+    }
     
     if (!config || !config.projectKey || !config.issueType) {
       logger.warn('webTrigger: Webhook rejected - not configured', { sourceId });
@@ -986,7 +983,11 @@ export async function webTriggerHandler(request) {
     });
     
     // Fetch detailed EPM approval data from Keeper API
-    const approvalDetails = await fetchEpmApprovalDetails(requestUid);
+    // Route through the connection mapped to the ticket's target project / issue type
+    const approvalDetails = await fetchEpmApprovalDetails(requestUid, {
+      projectKey: config.projectKey,
+      issueType: config.issueType
+    });
     
     // Build ticket summary and description based on available data
     let summary;
@@ -10,18 +10,27 @@ import ErrorIcon from "@atlaskit/icon/glyph/error";
 import LockIcon from "@atlaskit/icon/glyph/lock";
 import CrossIcon from "@atlaskit/icon/glyph/cross";
 
-import { KEEPER_ACTION_OPTIONS, PAGINATION_SETTINGS } from "./constants";
+import { PAGINATION_SETTINGS, DEFAULT_PASSWORD_POLICY } from "./constants";
 import * as api from "./services/api";
 import { handleApiError as handleApiErrorUtil, isStructuredError, getErrorCode } from "./utils/errorHandler";
 import EpmApprovalPanel from "./components/issue/EpmApprovalPanel";
+import AttachmentPicker from "./components/issue/AttachmentPicker";
+import OneTimeShareLink from "./components/issue/OneTimeShareLink";
+import KsmClientToken from "./components/issue/KsmClientToken";
+import VaultItemPicker from "./components/issue/VaultItemPicker";
+import TeamMembershipChange from "./components/issue/TeamMembershipChange";
+import RecordHistory from "./components/issue/RecordHistory";
+import ShareAccessList from "./components/issue/ShareAccessList";
+import PasswordGenerator from "./components/issue/PasswordGenerator";
+import OneTimeCodeInput from "./components/issue/OneTimeCodeInput";
+import ApprovalChainProgress from "./components/issue/ApprovalChainProgress";
+import BreakGlassOverride from "./components/issue/BreakGlassOverride";
 import "./styles/IssuePanel.css";
 
-// Keeper action options - using imported constant
-const keeperActionOptions = KEEPER_ACTION_OPTIONS;
-
 const IssuePanel = () => {
   const [issueContext, setIssueContext] = useState(null);
   const [isExecuting, setIsExecuting] = useState(false);
+  const [executionJobStatus, setExecutionJobStatus] = useState(null);
   const [lastResult, setLastResult] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [selectedAction, setSelectedAction] = useState(null);
@@ -38,6 +47,8 @@ const IssuePanel = () => {
   const [recordCurrentPage, setRecordCurrentPage] = useState(1);
   const [keeperFolders, setKeeperFolders] = useState([]);
   const [loadingFolders, setLoadingFolders] = useState(false);
+  const [keeperTeams, setKeeperTeams] = useState([]);
+  const [loadingTeams, setLoadingTeams] = useState(false);
   
   // Rejection functionality
   const [isRejecting, setIsRejecting] = useState(false);
@@ -69,6 +80,7 @@ const IssuePanel = () => {
   const [showPrivateKey, setShowPrivateKey] = useState(false); // Toggle for SSH private key visibility
   const [showPublicKey, setShowPublicKey] = useState(false); // Toggle for SSH public key visibility
   const [showPassword, setShowPassword] = useState(false); // Toggle for password visibility
+  const [passwordPolicy, setPasswordPolicy] = useState(DEFAULT_PASSWORD_POLICY); // Org minimum for typed passwords
   const [phoneEntries, setPhoneEntries] = useState([]); // Dynamic phone entries - starts empty, populated from record or user adds
   const [recordTypes, setRecordTypes] = useState([]);
   const [loadingRecordTypes, setLoadingRecordTypes] = useState(false);
@@ -82,7 +94,10 @@ const IssuePanel = () => {
   
   // New workflow states
   const [isAdmin, setIsAdmin] = useState(false); // Track if current user is admin
+  const [keeperActionOptions, setKeeperActionOptions] = useState([]); // Action forms from the backend command registry
   const [storedRequestData, setStoredRequestData] = useState(null); // Store user's saved request
+  const [approvalStatus, setApprovalStatus] = useState(null); // Approval chain progress of the stored request
+  const [requestSeparation, setRequestSeparation] = useState(null); // Whether separation of duties stops this user approving the stored request
   const [hasStoredData, setHasStoredData] = useState(false); // Track if data has been stored
   const [isUpdating, setIsUpdating] = useState(false); // Track update operation
   const [isRestrictedWebhookTicket, setIsRestrictedWebhookTicket] = useState(false); // Track if ticket is admin-only webhook ticket
@@ -134,11 +149,8 @@ const IssuePanel = () => {
         return action;
       })
       .filter(action => {
-        // Hide "Create New Secret" (record-add) and "Update Record" (record-update) from non-admin users
-        if ((action.value === 'record-add' || action.value === 'record-update') && !isAdmin) {
-          return false;
-        }
-        return true;
+        // Hide admin-only actions (e.g. record-add, record-update) from non-admin users
+        return !action.requiresAdmin || isAdmin;
       });
   };
 
@@ -209,6 +221,17 @@ const IssuePanel = () => {
     setRecordForUpdateCurrentPage(1);
   }, [recordForUpdateSearchTerm]);
 
+  // Load the org password policy set on the global page
+  useEffect(() => {
+    api.getPasswordPolicy()
+      .then((result) => {
+        if (result && result.success && result.policy) {
+          setPasswordPolicy(result.policy);
+        }
+      })
+      .catch(() => {});
+  }, []);
+
   // Fetch Keeper records when needed
   const fetchKeeperRecords = async () => {
     setLoadingRecords(true);
@@ -250,6 +273,48 @@ const IssuePanel = () => {
       setLoadingFolders(false);
     }
   };
+
+  // Fetch enterprise teams for the team membership picker
+  const fetchKeeperTeams = async () => {
+    setLoadingTeams(true);
+    try {
+      const result = await api.getKeeperTeams();
+      setKeeperTeams(result.teams || []);
+    } catch (error) {
+      const errorMessage = handleApiError(error, "Failed to fetch Keeper teams");
+      
+      setLastResult({ 
+        success: false, 
+        message: errorMessage
+      });
+      
+      setKeeperTeams([]);
+    } finally {
+      setLoadingTeams(false);
+    }
+  };
+
+  // Pre-fill a team membership request that reverses the last change made on this issue
+  const handleReverseTeamMembership = (reversal) => {
+    const teamAction = getKeeperActionOptions().find(action => action.value === 'enterprise-team');
+    if (!teamAction) {
+      return;
+    }
+    // Keep the action-change reset from clearing the pre-filled values
+    setIsLoadingStoredData(true);
+    setSelectedAction(teamAction);
+    setFormData(reversal);
+    setTimeout(() => setIsLoadingStoredData(false), 200);
+  };
+
+  // Switch to the revert action for the record shown in Record History
+  const revertAction = getKeeperActionOptions().find(action => action.value === 'record-history');
+  const handleRevertRecord = (revision) => {
+    setIsLoadingStoredData(true);
+    setSelectedAction(revertAction);
+    setFormData({ record: selectedRecordForUpdate.record_uid, revision: String(revision) });
+    setTimeout(() => setIsLoadingStoredData(false), 200);
+  };
   // Flag to track if we're preserving stored data
   const [isPreservingStoredData, setIsPreservingStoredData] = useState(false);
   const isPreservingStoredDataRef = useRef(false);
@@ -291,6 +356,9 @@ const IssuePanel = () => {
             else if (field.type === 'password' && field.value && field.value.length > 0) {
               existingValues.password = field.value[0] ? '••••••••' : ''; // Show masked password if exists
             }
+            else if (field.type === 'oneTimeCode' && field.value && field.value.length > 0) {
+              existingValues.oneTimeCode = field.value[0] ? '••••••••' : ''; // TOTP secret stays masked too
+            }
             else if (field.type === 'url' && field.value && field.value.length > 0) {
               existingValues.url = field.value[0] || '';
             }
@@ -563,6 +631,7 @@ const IssuePanel = () => {
           { name: 'login', label: 'Login', type: 'text', required: false, placeholder: 'Username or email' },
           { name: 'password', label: 'Password', type: 'password', required: false, placeholder: 'Password or $GEN' },
           { name: 'url', label: 'URL', type: 'url', required: false, placeholder: 'https://example.com' },
+          { name: 'oneTimeCode', label: 'One-Time Code (TOTP)', type: 'oneTimeCode', required: false, placeholder: 'otpauth://totp/...' },
           { name: 'notes', label: 'Notes', type: 'textarea', required: false, placeholder: 'Additional notes...' }
         ]
       },
@@ -614,6 +683,7 @@ const IssuePanel = () => {
           { name: 'host_port', label: 'Port', type: 'text', required: false, placeholder: 'Port number (e.g., 22)', parentType: 'host', subField: 'port' },
           { name: 'login', label: 'Username', type: 'text', required: false, placeholder: 'Server username' },
           { name: 'password', label: 'Password', type: 'password', required: false, placeholder: 'Password or $GEN' },
+          { name: 'oneTimeCode', label: 'One-Time Code (TOTP)', type: 'oneTimeCode', required: false, placeholder: 'otpauth://totp/...' },
           { name: 'notes', label: 'Notes', type: 'textarea', required: false, placeholder: 'Additional notes...' }
         ]
       },
@@ -646,6 +716,7 @@ const IssuePanel = () => {
           { name: 'login', label: 'Login', type: 'text', required: false, placeholder: 'Online banking username' },
           { name: 'password', label: 'Password', type: 'password', required: false, placeholder: 'Online banking password' },
           { name: 'url', label: 'URL', type: 'url', required: false, placeholder: 'https://bank.com' },
+          { name: 'oneTimeCode', label: 'One-Time Code (TOTP)', type: 'oneTimeCode', required: false, placeholder: 'otpauth://totp/...' },
           { name: 'notes', label: 'Notes', type: 'textarea', required: false, placeholder: 'Additional notes...' }
         ]
       },
@@ -797,6 +868,7 @@ const IssuePanel = () => {
           { name: 'login', label: 'Login', type: 'text', required: false, placeholder: 'Username or identifier' },
           { name: 'password', label: 'Password', type: 'password', required: false, placeholder: 'Password' },
           { name: 'url', label: 'URL', type: 'url', required: false, placeholder: 'https://example.com' },
+          { name: 'oneTimeCode', label: 'One-Time Code (TOTP)', type: 'oneTimeCode', required: false, placeholder: 'otpauth://totp/...' },
           { name: 'notes', label: 'Notes', type: 'textarea', required: false, placeholder: 'Additional notes...' }
         ]
       },
@@ -870,6 +942,7 @@ const IssuePanel = () => {
         const storedData = await api.getStoredRequestData(context.issueKey);
         if (storedData && storedData.data) {
           setStoredRequestData(storedData.data);
+          setRequestSeparation(storedData.separation || null);
           setHasStoredData(true);
           
           // Pre-populate form with stored data for admin
@@ -1037,6 +1110,11 @@ const IssuePanel = () => {
       if (result.success) {
         setStoredRequestData(requestData);
         setHasStoredData(true);
+        // Auto-approved by the approval policy - follow the job like any other running action
+        if (result.autoApproved) {
+          setLastResult({ success: true, message: result.message });
+          resumeActiveKeeperJob(issueContext);
+        }
         // Don't show success message - the "Request Saved" dialog box already shows this info
       }
     } catch (error) {
@@ -2119,7 +2197,8 @@ const IssuePanel = () => {
         return String(value);
         
       case 'password':
-        // Mask password values
+      case 'oneTimeCode':
+        // Mask password and TOTP values
         return value ? '••••••••' : '';
         
       default:
@@ -2137,32 +2216,34 @@ const IssuePanel = () => {
       .trim();
   };
 
-  // Helper function to validate password strength
+  // Helper function to check a typed password against the org password policy
   const validatePassword = (password) => {
-    if (!password || password === '$GEN') {
+    if (!password || password === '$GEN' || password === 'generate') {
       return { isValid: true, errors: [] };
     }
 
+    const count = (pattern) => (password.match(pattern) || []).length;
+    const plural = (amount, noun) => `${amount} ${noun}${amount === 1 ? '' : 's'}`;
     const errors = [];
     
-    if (password.length < 20) {
-      errors.push('Password must be at least 20 characters long');
+    if (password.length < passwordPolicy.minLength) {
+      errors.push(`Password must be at least ${passwordPolicy.minLength} characters long`);
     }
     
-    if (!/[a-z]/.test(password)) {
-      errors.push('Password must contain at least one lowercase letter');
+    if (count(/[a-z]/g) < passwordPolicy.minLowercase) {
+      errors.push(`Password must contain at least ${plural(passwordPolicy.minLowercase, 'lowercase letter')}`);
     }
     
-    if (!/[A-Z]/.test(password)) {
-      errors.push('Password must contain at least one uppercase letter');
+    if (count(/[A-Z]/g) < passwordPolicy.minUppercase) {
+      errors.push(`Password must contain at least ${plural(passwordPolicy.minUppercase, 'uppercase letter')}`);
     }
     
-    if (!/[0-9]/.test(password)) {
-      errors.push('Password must contain at least one number');
+    if (count(/[0-9]/g) < passwordPolicy.minDigits) {
+      errors.push(`Password must contain at least ${plural(passwordPolicy.minDigits, 'number')}`);
     }
     
-    if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?~`]/.test(password)) {
-      errors.push('Password must contain at least one symbol');
+    if (count(/[^a-zA-Z0-9\s]/g) < passwordPolicy.minSymbols) {
+      errors.push(`Password must contain at least ${plural(passwordPolicy.minSymbols, 'symbol')}`);
     }
     
     return {
@@ -2171,6 +2252,23 @@ const IssuePanel = () => {
     };
   };
 
+  // Generator settings for a password left to $GEN (record-add fills an empty login password too)
+  const renderPasswordGenerator = (value) => {
+    const generates = value === '$GEN' || value === 'generate' ||
+      (!value && selectedAction?.value === 'record-add' && (formData.recordType || 'login') === 'login');
+    if (!generates) {
+      return null;
+    }
+    return (
+      <PasswordGenerator
+        options={formData.passwordOptions || null}
+        policy={passwordPolicy}
+        disabled={isFormDisabled}
+        onChange={(options) => setFormData(prev => ({ ...prev, passwordOptions: options }))}
+      />
+    );
+  };
+
   // Validate email addresses (supports comma-separated multiple emails)
   const validateEmails = (emailString) => {
     if (!emailString || emailString.trim() === '') {
@@ -2415,7 +2513,7 @@ const IssuePanel = () => {
     
     // Auto-populate email field for non-admin users when share-record or share-folder is selected
     // BUT don't overwrite if email already exists (from stored data or previous input)
-    if (selectedAction && (selectedAction.value === 'share-record' || selectedAction.value === 'share-folder') && 
+    if (selectedAction && (selectedAction.value === 'share-record' || selectedAction.value === 'share-folder' || selectedAction.value === 'enterprise-team') && 
         !isAdmin && issueContext?.currentUserEmail && actionActuallyChanged && !isLoadingStoredData && !hasStoredData) {
       setFormData(prev => ({
         ...prev,
@@ -2449,6 +2547,25 @@ const IssuePanel = () => {
     if (selectedAction && (selectedAction.value === 'share-folder' || selectedAction.value === 'record-permission') && shouldFetchData) {
       fetchKeeperFolders();
     }
+    
+    // Fetch the pickers' records (and folders for a move) when rm, mv or a revert is selected
+    // Stored requests are shown by UID until the lists arrive, so these also run while loading stored data
+    if (selectedAction && (selectedAction.value === 'rm' || selectedAction.value === 'mv' || selectedAction.value === 'record-history') && shouldFetchData) {
+      fetchKeeperRecords();
+      if (selectedAction.value === 'mv') {
+        fetchKeeperFolders();
+      }
+    }
+    
+    // Fetch folders for the parent folder picker when mkdir is selected
+    if (selectedAction && selectedAction.value === 'mkdir' && shouldFetchData) {
+      fetchKeeperFolders();
+    }
+    
+    // Fetch the enterprise team list for the team picker
+    if (selectedAction && selectedAction.value === 'enterprise-team' && shouldFetchData) {
+      fetchKeeperTeams();
+    }
   }, [selectedAction, isLoadingStoredData, isAdmin, issueContext]);
 
   // Auto-dismiss workflow info dialog after 5 seconds
@@ -2574,6 +2691,21 @@ const IssuePanel = () => {
 
   // Add manual custom field
   // Validate required fields
+  // A field with conditionalOn is shown (and required) only while the other field holds one of its conditional values
+  const isFieldConditionMet = (field) => {
+    if (!field.conditionalOn || !field.conditionalValue) {
+      return true;
+    }
+    const conditionalValues = Array.isArray(field.conditionalValue) ? field.conditionalValue : [field.conditionalValue];
+    return conditionalValues.includes(formData[field.conditionalOn]);
+  };
+
+  // The stored request's project requires staged approvals that are not all in yet
+  const isAwaitingApprovals = hasStoredData && !!approvalStatus?.chain && !approvalStatus.progress?.satisfied;
+  
+  // Separation of duties: the user who submitted the stored request cannot approve it themselves
+  const isOwnRequest = hasStoredData && !!requestSeparation?.ownRequest;
+
   const validateForm = () => {
     if (!selectedAction?.fields) return true;
     
@@ -2747,8 +2879,20 @@ const IssuePanel = () => {
       return true;
     }
     
+    // Special handling for mv action: a record or a folder is moved, never both
+    if (selectedAction.value === 'mv') {
+      return !!(formData.record || formData.folder) && !!formData.destination_folder;
+    }
+    
     // Standard validation for other actions
     for (let field of selectedAction.fields) {
+      // Requesters leave approver-only fields (e.g. one-time share expiry) to the approver
+      if (field.approverOnly && !isAdmin) {
+        continue;
+      }
+      if (!isFieldConditionMet(field)) {
+        continue;
+      }
       if (field.required && (!formData[field.name] || formData[field.name].trim() === '')) {
         return false;
       }
@@ -2807,6 +2951,58 @@ const IssuePanel = () => {
       return classes.join(' ');
     };
 
+    // Delete, move, create-folder and revert forms use pickers that each keep their own dropdown state
+    if ((field.type === 'record-select' || field.type === 'folder-select') && ['rm', 'mv', 'mkdir', 'record-history'].includes(selectedAction?.value)) {
+      const isRecordPicker = field.type === 'record-select';
+      // A move takes either a record or a folder
+      const exclusiveField = selectedAction.value === 'mv' && field.name === 'record' ? 'folder'
+        : selectedAction.value === 'mv' && field.name === 'folder' ? 'record'
+        : null;
+      const isExcluded = !!(exclusiveField && formData[exclusiveField]);
+      return (
+        <VaultItemPicker
+          items={isRecordPicker ? keeperRecords : keeperFolders}
+          value={value}
+          getValue={(item) => isRecordPicker ? item.record_uid : (item.folder_uid || item.folderUid)}
+          onChange={(itemValue) => handleInputChange(field.name, itemValue)}
+          placeholder={field.placeholder}
+          disabled={isFormDisabled || isExcluded}
+          disabledPlaceholder={isExcluded ? `Disabled (${exclusiveField} selected)` : undefined}
+          loading={isRecordPicker ? loadingRecords : loadingFolders}
+          emptyMessage={isRecordPicker ? 'No records found' : 'No folders found'}
+          hasError={hasRequiredError && !isExcluded}
+        />
+      );
+    }
+
+    if (field.type === 'oneTimeCode') {
+      return (
+        <OneTimeCodeInput
+          value={value}
+          issueKey={issueContext?.issueKey}
+          placeholder={field.placeholder}
+          disabled={isFormDisabled}
+          hasError={hasRequiredError}
+          onChange={(uri) => handleInputChange(field.name, uri)}
+        />
+      );
+    }
+
+    if (field.type === 'team-select') {
+      return (
+        <VaultItemPicker
+          items={keeperTeams}
+          value={value}
+          getValue={(team) => team.team_uid}
+          onChange={(teamUid) => handleInputChange(field.name, teamUid)}
+          placeholder={field.placeholder}
+          disabled={isFormDisabled}
+          loading={loadingTeams}
+          emptyMessage="No teams found"
+          hasError={hasRequiredError}
+        />
+      );
+    }
 
     switch (field.type) {
       case 'record-select':
@@ -3720,6 +3916,7 @@ const IssuePanel = () => {
             <div className="password-hint">
               Enter your own password or type <strong>$GEN</strong> for automatic password generation
             </div>
+            {field.name === 'password' && renderPasswordGenerator(value)}
             {hasValidationErrors && (
               <div className="validation-errors">
                 Password requirements:
@@ -3775,6 +3972,7 @@ const IssuePanel = () => {
               <div className="password-hint">
                 Enter your own password or type <strong>$GEN</strong> for automatic password generation
               </div>
+              {field.name === 'password' && renderPasswordGenerator(value)}
               {hasValidationErrors2 && (
                 <div className="validation-errors">
                   Password requirements:
@@ -3844,6 +4042,19 @@ const IssuePanel = () => {
     }
   };
 
+  useEffect(() => {
+    // Load action definitions from the backend command registry
+    api.getKeeperCommandRegistry()
+      .then((result) => {
+        if (result && result.success && Array.isArray(result.actions)) {
+          setKeeperActionOptions(result.actions);
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to load Keeper actions:', error);
+      });
+  }, []);
+
   useEffect(() => {
     // Load issue context
     setIsLoading(true);
@@ -3878,6 +4089,7 @@ const IssuePanel = () => {
           checkUserRoleAndLoadData(context).finally(() => {
             // Only set loading to false after admin role check is complete
             setIsLoading(false);
+            resumeActiveKeeperJob(context);
           });
         } else {
           // If no context or issueKey, set loading to false immediately
@@ -3894,7 +4106,7 @@ const IssuePanel = () => {
       });
   }, []);
 
-  const executeKeeperAction = async () => {
+  const executeKeeperAction = async (breakGlassJustification = null) => {
     if (!issueContext?.issueKey) {
       setLastResult({ 
         success: false, 
@@ -3964,6 +4176,9 @@ const IssuePanel = () => {
         if (finalParameters.password === '••••••••') {
           delete finalParameters.password; // Don't send masked password back
         }
+        if (finalParameters.oneTimeCode === '••••••••') {
+          delete finalParameters.oneTimeCode;
+        }
         
         // IMPORTANT: Merge existing values for complex JSON fields to prevent data loss
         // When sending partial updates for fields like name, address, host, etc.,
@@ -4074,8 +4289,8 @@ const IssuePanel = () => {
       }
       
       if (selectedAction.value === 'share-folder' && selectedFolder) {
-        // Ensure folder field is populated with selected folder UID
-        finalParameters.folder = selectedFolder.uid || selectedFolder.path || selectedFolder.name;
+        // Ensure folder field is populated with selected folder UID - the same field the approval policy checks
+        finalParameters.folder = selectedFolder.folder_uid;
         // Include folder title for comment message (only use name, not UID/path)
         finalParameters.folderTitle = selectedFolder.name;
         // User/email field is already in formData from manual input
@@ -4083,41 +4298,13 @@ const IssuePanel = () => {
       }
       
       if (selectedAction.value === 'record-permission' && selectedFolder) {
-        // For record-permission command, format follows CLI pattern:
-        // record-permission FOLDER_UID -a ACTION [-d] [-s] [-R] [--force]
-        // Example: record-permission jdrkYEaf03bG0ShCGlnKww -a revoke -d -R --force
-        // -a = action (grant/revoke)
-        // -d = edit permission flag (can_edit)
-        // -s = share permission flag (can_share)
-        // -R = recursive flag (apply to all sub folders)
-        // --force = force flag (for grant and revoke actions)
-        
-        // Build the CLI command format
-        let commandParts = [
-          'record-permission',
-          selectedFolder.folder_uid || selectedFolder.uid || selectedFolder.path || selectedFolder.name
-        ];
-        
-        // Add required action (-a)
-        if (finalParameters.action) {
-          commandParts.push('-a', finalParameters.action);
-        }
-        
-        // Add edit permission flag (-d) if can_edit is true
-        if (finalParameters.can_edit) commandParts.push('-d');
-        
-        // Add share permission flag (-s) if can_share is true
-        if (finalParameters.can_share) commandParts.push('-s');
-        
-        // Add recursive flag (-R) if recursive is true
-        if (finalParameters.recursive) commandParts.push('-R');
-        
-        // Add force flag (--force) for grant and revoke actions
-        if (finalParameters.action === 'grant' || finalParameters.action === 'revoke') commandParts.push('--force');
-        
-        // Replace parameters with the properly formatted CLI command
+        // The backend builds the record-permission command from these parameters
         finalParameters = {
-          cliCommand: commandParts.join(' ')
+          folder: selectedFolder.folder_uid,
+          action: finalParameters.action,
+          can_edit: finalParameters.can_edit,
+          can_share: finalParameters.can_share,
+          recursive: finalParameters.recursive
         };
       }
       
@@ -4161,7 +4348,7 @@ const IssuePanel = () => {
             }
 
             // Create the address record in Keeper using executeKeeperAction
-            const addressResult = await api.executeKeeperAction(
+            const addressResult = await api.runKeeperAction(
               issueContext.issueKey,
               "record-add",
               "Create address record",
@@ -4184,7 +4371,10 @@ const IssuePanel = () => {
                   return acc;
                 }, {}),
                 notes: tempAddressData.tempData.notes || ''
-              }
+              },
+              null,
+              null,
+              breakGlassJustification
             );
 
             if (addressResult && addressResult.record_uid) {
@@ -4222,12 +4412,14 @@ const IssuePanel = () => {
         }
       }
       
-      const result = await api.executeKeeperAction(
+      const result = await api.runKeeperAction(
         issueContext.issueKey,
         selectedAction.value,
         selectedAction.description,
         finalParameters,
-        formattedTimestamp
+        formattedTimestamp,
+        setExecutionJobStatus,
+        breakGlassJustification
       );
       
       // Check for structured error response (new pattern)
@@ -4241,11 +4433,23 @@ const IssuePanel = () => {
         return;
       }
       
+      // Job is still queued in Commander - the backend finishes it on the next status check
+      if (result.pending) {
+        setLastResult({ success: true, message: result.message });
+        return;
+      }
+      
       // Create success message that includes address creation info if applicable
       let successMessage = result.message;
       if (realAddressUid) {
         successMessage = ` Address record created successfully (${realAddressUid})\n\n${result.message}`;
       }
+      if (result.attachments) {
+        successMessage += `\n\n${result.attachments.uploaded} of ${result.attachments.total} attachment(s) uploaded to the record.`;
+        if (result.attachments.failed > 0) {
+          successMessage += ' See the issue comment for the files that could not be uploaded.';
+        }
+      }
       
       setLastResult({ success: true, message: successMessage });
 
@@ -4276,6 +4480,39 @@ const IssuePanel = () => {
       });
     } finally {
       setIsExecuting(false);
+      setExecutionJobStatus(null);
+    }
+  };
+
+  // Resume a Keeper job that was still running when the panel was closed or the call timed out
+  const resumeActiveKeeperJob = async (context) => {
+    try {
+      const status = await api.getKeeperJobStatus({ issueKey: context.issueKey });
+      if (!status || !status.pending || !status.jobId) {
+        return;
+      }
+      
+      setIsExecuting(true);
+      setExecutionJobStatus(status.status);
+      
+      const result = await api.waitForKeeperJob(status.jobId, setExecutionJobStatus);
+      if (checkResultError(result)) {
+        setLastResult({ success: false, message: handleApiError(result, "The Keeper action failed") });
+        return;
+      }
+      
+      setLastResult({ success: true, message: result.message });
+      if (!result.pending) {
+        setStoredRequestData(null);
+        setHasStoredData(false);
+        setSelectedAction(null);
+        setFormData({});
+      }
+    } catch (error) {
+      // Not critical - the job is finished on the next status check
+    } finally {
+      setIsExecuting(false);
+      setExecutionJobStatus(null);
     }
   };
 
@@ -4444,6 +4681,18 @@ const IssuePanel = () => {
           </SectionMessage>
         )}
 
+        {/* One-time share link delivered to this user (only the requester sees the URL) */}
+        <OneTimeShareLink issueKey={issueContext.issueKey} refreshKey={lastResult} />
+        <KsmClientToken issueKey={issueContext.issueKey} refreshKey={lastResult} />
+
+        {/* Last team membership change on this issue, with the request that reverses it */}
+        <TeamMembershipChange
+          issueKey={issueContext.issueKey}
+          refreshKey={lastResult}
+          disabled={isFormDisabled}
+          onReverse={handleReverseTeamMembership}
+        />
+
         {/* Action Selection and Approval - Allow non-admin users even without config since they only submit requests */}
         {(issueContext.hasConfig || !isAdmin) && (
           <>
@@ -4770,6 +5019,15 @@ const IssuePanel = () => {
                         </div>
                       )}
 
+                      {/* Earlier revisions of the selected record */}
+                      {selectedRecordForUpdate && isAdmin && (
+                        <RecordHistory
+                          recordUid={selectedRecordForUpdate.record_uid}
+                          disabled={isFormDisabled}
+                          onRevert={revertAction ? handleRevertRecord : null}
+                        />
+                      )}
+
                           {keeperRecords.length > 0 && (
                             <div className="item-count">
                               {keeperRecords.length} total records available for update
@@ -5504,6 +5762,7 @@ const IssuePanel = () => {
                               placeholder="Password or $GEN"
                               className={`input-field ${isFormDisabled ? 'disabled' : ''} ${formData.password && formData.password !== '••••••••' ? 'has-value' : ''}`}
                             />
+                            {renderPasswordGenerator(formData.password)}
                           </div>
 
                           {/* URL Field */}
@@ -5721,12 +5980,14 @@ const IssuePanel = () => {
                       const shouldRemoveFolderField = selectedAction.value === 'share-folder' && field.name === 'folder';
                       const shouldRemoveSharedFolderField = (selectedAction.value === 'record-permission' || selectedAction.value === 'share-record') && field.name === 'sharedFolder';
                       
+                      // Approver-only fields are filled in when the request is approved
+                      if (field.approverOnly && !isAdmin) {
+                        return false;
+                      }
+                      
                       // Handle conditional field visibility
-                      if (field.conditionalOn && field.conditionalValue) {
-                        const conditionalFieldValue = formData[field.conditionalOn];
-                        if (conditionalFieldValue !== field.conditionalValue) {
-                          return false; // Hide field if condition not met
-                        }
+                      if (!isFieldConditionMet(field)) {
+                        return false; // Hide field if condition not met
                       }
                       
                       return !shouldRemoveRecordField && !shouldRemoveFolderField && !shouldRemoveSharedFolderField && field.type !== 'checkbox';
@@ -5769,6 +6030,7 @@ const IssuePanel = () => {
                         {/* Don't show error message for non-admin users in share-record, share-folder, record-permission */}
                         {/* EXCEPT for the action field which is now required */}
                         {field.required && !formData[field.name] && selectedAction.value !== 'record-update' && 
+                         !(selectedAction.value === 'mv' && field.name === 'record' && formData.folder) &&
                          (!((!isAdmin) && (selectedAction.value === 'share-record' || selectedAction.value === 'share-folder' || selectedAction.value === 'record-permission')) || 
                           (field.name === 'action' && !isAdmin && (selectedAction.value === 'share-record' || selectedAction.value === 'share-folder'))) && (
                           <div className="field-error-text">
@@ -5778,11 +6040,28 @@ const IssuePanel = () => {
                       </div>
                     ))}
 
-                  {/* Checkbox fields for share-folder, share-record, and record-permission actions */}
-                  {(selectedAction.value === 'share-folder' || selectedAction.value === 'share-record' || selectedAction.value === 'record-permission') && getKeeperActionOptions().find(action => action.value === selectedAction.value)?.fields
+                  {/* Tell requesters which fields the approver completes */}
+                  {!isAdmin && getKeeperActionOptions().find(action => action.value === selectedAction.value)?.fields.some(field => field.approverOnly) && (
+                    <div className="field-hint-text mb-12">
+                      The approver completes {getKeeperActionOptions().find(action => action.value === selectedAction.value).fields
+                        .filter(field => field.approverOnly)
+                        .map(field => field.label)
+                        .join(' and ')} when approving this request.
+                    </div>
+                  )}
+
+                  {/* Deletes and moves need a Jira administrator to approve them */}
+                  {!isAdmin && getKeeperActionOptions().find(action => action.value === selectedAction.value)?.adminApproval && (
+                    <div className="field-hint-text mb-12">
+                      Only a Jira administrator can approve this request.
+                    </div>
+                  )}
+
+                  {/* Checkbox fields for share-folder, share-record, record-permission, mkdir and secrets-manager actions */}
+                  {(selectedAction.value === 'share-folder' || selectedAction.value === 'share-record' || selectedAction.value === 'record-permission' || selectedAction.value === 'mkdir' || selectedAction.value === 'secrets-manager') && getKeeperActionOptions().find(action => action.value === selectedAction.value)?.fields
                     .filter((field) => {
-                      // Only render checkbox fields
-                      return field.type === 'checkbox';
+                      // Only render checkbox fields, and only while their condition holds
+                      return field.type === 'checkbox' && isFieldConditionMet(field);
                     })
                     .map((field) => (
                       <div
@@ -5793,6 +6072,35 @@ const IssuePanel = () => {
                       </div>
                     ))}
 
+                  {/* Issue attachments to upload once the record is saved */}
+                  {(selectedAction.value === 'record-add' || selectedAction.value === 'record-update') && (
+                    <AttachmentPicker
+                      issueKey={issueContext?.issueKey}
+                      selectedIds={formData.attachmentIds || []}
+                      deleteAfterUpload={formData.deleteAttachments === true}
+                      onChange={(selection) => setFormData(prev => ({ ...prev, ...selection }))}
+                      disabled={isExecuting || isFormDisabled}
+                    />
+                  )}
+
+                  {/* Who already has access to the record / shared folder the request targets */}
+                  {isAdmin && selectedAction.value === 'share-record' && formData.record && (
+                    <ShareAccessList
+                      recordUid={formData.record}
+                      command={selectedAction.value}
+                      action={formData.action}
+                      user={formData.user}
+                    />
+                  )}
+                  {isAdmin && selectedAction.value === 'share-folder' && formData.folder && (
+                    <ShareAccessList
+                      folderUid={formData.folder}
+                      command={selectedAction.value}
+                      action={formData.action}
+                      user={formData.user}
+                    />
+                  )}
+
                   {/* Custom fields for record-update action handled on backend */}
                   
                   {selectedAction.value !== 'record-update' && selectedAction.value !== 'record-add' && (
@@ -5807,6 +6115,15 @@ const IssuePanel = () => {
             {/* Action Buttons - Different for Admin vs Regular Users */}
             <div className="mb-16">
               
+              {/* Approval chain progress - approvers may be group members without admin rights */}
+              {hasStoredData && storedRequestData && (
+                <ApprovalChainProgress
+                  issueKey={issueContext?.issueKey}
+                  refreshKey={storedRequestData.submittedAt || storedRequestData.timestamp}
+                  onStatusChange={setApprovalStatus}
+                />
+              )}
+
               {/* Show stored data status */}
               {hasStoredData && storedRequestData && showStoredRequestMessage && (
                 <div className={`message-box-dynamic ${isAdmin ? 'message-box-admin' : 'message-box-user'}`}>
@@ -5849,17 +6166,17 @@ const IssuePanel = () => {
                 <>
                 <div className="flex-gap-12">
                   {/* Approve & Execute Button - show when there's stored data and form is valid */}
-                  {hasStoredData && (
+                  {hasStoredData && !isOwnRequest && (
                     <Button
                       appearance="primary"
-                      onClick={executeKeeperAction}
+                      onClick={() => executeKeeperAction()}
                       isLoading={isExecuting}
-                      isDisabled={isExecuting || !selectedAction || !validateForm() || isFormDisabled || loadingTemplate || loadingRecordTypes}
+                      isDisabled={isExecuting || isAwaitingApprovals || !selectedAction || !validateForm() || isFormDisabled || loadingTemplate || loadingRecordTypes}
                       style={{
-                        backgroundColor: isFormDisabled ? "#D0D0D0" : 
+                        backgroundColor: isFormDisabled || isAwaitingApprovals ? "#D0D0D0" : 
                           (loadingTemplate || loadingRecordTypes) ? "#F0F0F0" :
                           (selectedAction && validateForm() && !isExecuting ? "#5FAD56" : isExecuting ? "#4A8F45" : "#E0E0E0"),
-                        color: isFormDisabled ? "#777" : 
+                        color: isFormDisabled || isAwaitingApprovals ? "#777" : 
                           (loadingTemplate || loadingRecordTypes) ? "#999" :
                           ((selectedAction && validateForm()) || isExecuting ? "#FFFFFF" : "#999"),
                         fontWeight: "600",
@@ -5867,13 +6184,14 @@ const IssuePanel = () => {
                         padding: "8px 16px",
                         borderRadius: "8px",
                         border: "none",
-                        cursor: isFormDisabled || loadingTemplate || loadingRecordTypes || (!selectedAction || !validateForm() || isExecuting) ? "not-allowed" : "pointer",
+                        cursor: isFormDisabled || isAwaitingApprovals || loadingTemplate || loadingRecordTypes || (!selectedAction || !validateForm() || isExecuting) ? "not-allowed" : "pointer",
                         boxShadow: (selectedAction && validateForm() && !isExecuting) ? "0 2px 4px rgba(0,0,0,0.1)" : "none",
                         transition: "all 0.2s ease"
                       }}
                     >
                       {isFormDisabled ? "Form Disabled (Re-enabling...)" :
-                       isExecuting ? "Approving..." :
+                       isExecuting ? (executionJobStatus === 'queued' ? "Queued in Keeper..." : executionJobStatus === 'attaching' ? "Uploading Attachments..." : "Approving...") :
+                       isAwaitingApprovals ? "Waiting for Approvals" :
                        loadingTemplate ? "Loading Template Fields..." :
                        loadingRecordTypes ? "Loading Record Types..." :
                        !selectedAction ? "Select Action to Enable" :
@@ -5886,7 +6204,7 @@ const IssuePanel = () => {
                   {!hasStoredData && (
                     <Button
                       appearance="primary"
-                      onClick={executeKeeperAction}
+                      onClick={() => executeKeeperAction()}
                       isLoading={isExecuting}
                       isDisabled={isExecuting || !selectedAction || !validateForm() || isFormDisabled || loadingTemplate || loadingRecordTypes}
                       style={{
@@ -5907,7 +6225,7 @@ const IssuePanel = () => {
                       }}
                     >
                       {isFormDisabled ? "Form Disabled (Re-enabling...)" :
-                       isExecuting ? "Executing..." :
+                       isExecuting ? (executionJobStatus === 'queued' ? "Queued in Keeper..." : executionJobStatus === 'attaching' ? "Uploading Attachments..." : "Executing...") :
                        loadingTemplate ? "Loading Template Fields..." :
                        loadingRecordTypes ? "Loading Record Types..." :
                        !selectedAction ? "Select Action to Enable" :
@@ -5940,6 +6258,20 @@ const IssuePanel = () => {
                   )}
                 </div>
                 
+                {/* Separation of duties - the requester can only run their own request by breaking glass */}
+                {isOwnRequest && (
+                  <BreakGlassOverride
+                    message={requestSeparation.breakGlassAllowed
+                      ? "You submitted this request, so separation of duties requires another admin to approve it. In an emergency you can break glass with a justification."
+                      : "You submitted this request, so separation of duties requires another admin to approve it."}
+                    allowed={requestSeparation.breakGlassAllowed}
+                    confirmLabel="Break Glass & Execute"
+                    isSubmitting={isExecuting}
+                    isDisabled={isAwaitingApprovals || !selectedAction || !validateForm() || isFormDisabled || loadingTemplate || loadingRecordTypes}
+                    onConfirm={executeKeeperAction}
+                  />
+                )}
+                
                 {/* Rejection Form for Admin */}
                 {showRejectionForm && (
                   <div className="rejection-form-container">
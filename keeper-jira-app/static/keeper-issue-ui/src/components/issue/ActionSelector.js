@@ -2,14 +2,13 @@
  * ActionSelector component - dropdown for selecting Keeper actions
  */
 import React, { useState } from 'react';
-import { KEEPER_ACTION_OPTIONS } from '../../constants';
 import '../../styles/ActionSelector.css';
 
-const ActionSelector = ({ selectedAction, onActionSelect, disabled = false }) => {
+const ActionSelector = ({ actions = [], selectedAction, onActionSelect, disabled = false }) => {
   const [searchTerm, setSearchTerm] = useState("");
   const [showDropdown, setShowDropdown] = useState(false);
 
-  const filteredActions = KEEPER_ACTION_OPTIONS.filter(action =>
+  const filteredActions = actions.filter(action =>
     action.label.toLowerCase().includes(searchTerm.toLowerCase()) ||
     action.description.toLowerCase().includes(searchTerm.toLowerCase())
   );
@@ -0,0 +1,133 @@
+/**
+ * ApprovalChainProgress component - shows how far the stored request has come through
+ * its project's approval chain and lets an eligible approver sign off the current stage
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import Spinner from "@atlaskit/spinner";
+import * as api from '../../services/api';
+import BreakGlassOverride from './BreakGlassOverride';
+import '../../styles/ApprovalChainProgress.css';
+
+const formatTimestamp = (date) => date.toLocaleString('en-US', {
+  month: '2-digit',
+  day: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hour12: false
+});
+
+const ApprovalChainProgress = ({ issueKey, refreshKey, onStatusChange }) => {
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isApproving, setIsApproving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const applyStatus = (nextStatus) => {
+    setStatus(nextStatus);
+    if (onStatusChange) onStatusChange(nextStatus);
+  };
+
+  const loadStatus = async () => {
+    try {
+      const result = await api.getApprovalStatus(issueKey);
+      if (result && result.success) {
+        applyStatus(result);
+        setError(null);
+      } else {
+        setError(result?.error?.message || result?.message || 'Failed to load approval progress');
+      }
+    } catch (loadError) {
+      setError('Failed to load approval progress');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!issueKey) return;
+    setIsLoading(true);
+    loadStatus();
+  }, [issueKey, refreshKey]);
+
+  const handleApprove = async (breakGlassJustification = null) => {
+    setIsApproving(true);
+    try {
+      const result = await api.approveKeeperRequest(issueKey, formatTimestamp(new Date()), breakGlassJustification);
+      if (result && result.success) {
+        await loadStatus();
+      } else {
+        setError(result?.error?.message || result?.message || 'Failed to record the approval');
+      }
+    } catch (approveError) {
+      setError('Failed to record the approval');
+    } finally {
+      setIsApproving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="approval-chain">
+        <Spinner size="small" /> <span className="approval-chain-hint">Loading approval progress...</span>
+      </div>
+    );
+  }
+
+  if (!status?.chain) {
+    return error ? <div className="approval-chain approval-chain-error">{error}</div> : null;
+  }
+
+  const { progress } = status;
+
+  return (
+    <div className="approval-chain">
+      <div className="approval-chain-label">
+        Approvals {progress.satisfied ? '- complete' : `- stage ${progress.currentStage + 1} of ${progress.stages.length}`}
+      </div>
+
+      <ol className="approval-chain-stages">
+        {progress.stages.map((stage, index) => (
+          <li
+            key={`${stage.name}-${index}`}
+            className={`approval-chain-stage ${stage.complete ? 'complete' : index === progress.currentStage ? 'current' : ''}`}
+          >
+            <div className="approval-chain-stage-name">
+              {stage.name} <span className="approval-chain-hint">({stage.approvals.length}/{stage.required})</span>
+            </div>
+            <div className="approval-chain-hint">{stage.description}</div>
+            {stage.approvals.map(approval => (
+              <div key={approval.accountId} className="approval-chain-approver">
+                Approved by {approval.displayName} on {new Date(approval.approvedAt).toLocaleString()}
+              </div>
+            ))}
+          </li>
+        ))}
+      </ol>
+
+      {error && <div className="approval-chain-error">{error}</div>}
+
+      {!progress.satisfied && (
+        status.canApprove ? (
+          <Button appearance="primary" onClick={() => handleApprove()} isLoading={isApproving}>
+            {isApproving ? 'Approving...' : `Approve ${progress.stages[progress.currentStage].name}`}
+          </Button>
+        ) : status.breakGlassAllowed ? (
+          <BreakGlassOverride
+            message={status.reason}
+            allowed
+            confirmLabel={`Break Glass & Approve ${progress.stages[progress.currentStage].name}`}
+            isSubmitting={isApproving}
+            onConfirm={handleApprove}
+          />
+        ) : (
+          status.reason && <div className="approval-chain-hint">{status.reason}</div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ApprovalChainProgress;
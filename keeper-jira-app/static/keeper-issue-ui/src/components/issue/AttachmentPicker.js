@@ -0,0 +1,110 @@
+/**
+ * AttachmentPicker component - choose issue attachments to upload to the Keeper record
+ */
+import React, { useState, useEffect } from 'react';
+import Spinner from "@atlaskit/spinner";
+import * as api from '../../services/api';
+import '../../styles/AttachmentPicker.css';
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+};
+
+const AttachmentPicker = ({ issueKey, selectedIds = [], deleteAfterUpload = false, onChange, disabled = false }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [limits, setLimits] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!issueKey) return;
+
+    setIsLoading(true);
+    api.getIssueAttachments(issueKey)
+      .then((result) => {
+        if (result && result.success) {
+          setAttachments(result.attachments || []);
+          setLimits(result.limits || null);
+          setError(null);
+        } else {
+          setError(result?.error?.message || result?.message || 'Failed to load issue attachments');
+        }
+      })
+      .catch(() => setError('Failed to load issue attachments'))
+      .finally(() => setIsLoading(false));
+  }, [issueKey]);
+
+  const toggleAttachment = (id) => {
+    const nextIds = selectedIds.includes(id)
+      ? selectedIds.filter(selectedId => selectedId !== id)
+      : [...selectedIds, id];
+    onChange({ attachmentIds: nextIds, deleteAttachments: nextIds.length > 0 && deleteAfterUpload });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="attachment-picker">
+        <Spinner size="small" /> <span className="attachment-picker-hint">Loading issue attachments...</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="attachment-picker attachment-picker-hint">{error}</div>;
+  }
+
+  if (attachments.length === 0) {
+    return null;
+  }
+
+  const limitReached = limits && selectedIds.length >= limits.maxFiles;
+
+  return (
+    <div className="attachment-picker">
+      <div className="attachment-picker-label">Upload Issue Attachments to the Record</div>
+      <div className="attachment-picker-hint">
+        Selected files are uploaded to the Keeper record after it is saved.
+        {limits && ` Up to ${limits.maxFiles} files, ${formatSize(limits.maxBytes)} each.`}
+      </div>
+
+      {attachments.map((attachment) => {
+        const isSelected = selectedIds.includes(attachment.id);
+        const isDisabled = disabled || attachment.tooLarge || (limitReached && !isSelected);
+        return (
+          <label
+            key={attachment.id}
+            className={`attachment-picker-item ${isDisabled ? 'disabled' : ''}`}
+          >
+            <input
+              type="checkbox"
+              checked={isSelected}
+              disabled={isDisabled}
+              onChange={() => toggleAttachment(attachment.id)}
+            />
+            <span className="attachment-picker-filename">{attachment.filename}</span>
+            <span className="attachment-picker-meta">
+              {formatSize(attachment.size)}
+              {attachment.tooLarge && ' - too large'}
+            </span>
+          </label>
+        );
+      })}
+
+      {selectedIds.length > 0 && (
+        <label className="attachment-picker-item attachment-picker-delete">
+          <input
+            type="checkbox"
+            checked={deleteAfterUpload}
+            disabled={disabled}
+            onChange={(e) => onChange({ attachmentIds: selectedIds, deleteAttachments: e.target.checked })}
+          />
+          Delete uploaded files from this issue afterwards
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentPicker;
@@ -0,0 +1,72 @@
+/**
+ * BreakGlassOverride component - takes the place of an approve button for the user who
+ * submitted the request while separation of duties is on, and lets them override it with
+ * a written justification when the org allows that
+ */
+import React, { useState } from 'react';
+import Button from "@atlaskit/button";
+import { BREAK_GLASS_JUSTIFICATION } from '../../constants';
+import '../../styles/BreakGlassOverride.css';
+
+const BreakGlassOverride = ({ message, allowed, confirmLabel, isSubmitting, isDisabled, onConfirm }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [justification, setJustification] = useState('');
+
+  const length = justification.trim().length;
+  const isValid = length >= BREAK_GLASS_JUSTIFICATION.MIN_LENGTH && length <= BREAK_GLASS_JUSTIFICATION.MAX_LENGTH;
+
+  const handleCancel = () => {
+    setIsOpen(false);
+    setJustification('');
+  };
+
+  return (
+    <div className="break-glass">
+      <div className="break-glass-hint">{message}</div>
+
+      {allowed && !isOpen && (
+        <Button appearance="warning" onClick={() => setIsOpen(true)} isDisabled={isDisabled}>
+          Break Glass...
+        </Button>
+      )}
+
+      {allowed && isOpen && (
+        <div className="break-glass-form">
+          <div className="break-glass-warning">
+            Only override separation of duties in an emergency. Your justification is added to the issue as a
+            comment and kept in the break-glass audit log.
+          </div>
+          <textarea
+            className="break-glass-textarea"
+            value={justification}
+            onChange={(e) => setJustification(e.target.value)}
+            placeholder="Why can't this request wait for another approver?"
+            rows={3}
+            maxLength={BREAK_GLASS_JUSTIFICATION.MAX_LENGTH}
+            disabled={isSubmitting}
+          />
+          <div className="break-glass-count">
+            {length < BREAK_GLASS_JUSTIFICATION.MIN_LENGTH
+              ? `At least ${BREAK_GLASS_JUSTIFICATION.MIN_LENGTH} characters (${length} so far)`
+              : `${length} / ${BREAK_GLASS_JUSTIFICATION.MAX_LENGTH}`}
+          </div>
+          <div className="break-glass-actions">
+            <Button
+              appearance="warning"
+              onClick={() => onConfirm(justification.trim())}
+              isLoading={isSubmitting}
+              isDisabled={!isValid || isDisabled || isSubmitting}
+            >
+              {confirmLabel}
+            </Button>
+            <Button appearance="subtle" onClick={handleCancel} isDisabled={isSubmitting}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BreakGlassOverride;
@@ -184,7 +184,7 @@ const EpmApprovalPanel = ({ issueContext }) => {
 
     try {
       const command = `epm approval action --approve ${requestUid}`;
-      const result = await api.executeKeeperAction(
+      const result = await api.runKeeperAction(
         issueContext.issueKey,
         command,
         `EPM Approval: Approved request ${requestUid}`,
@@ -202,7 +202,9 @@ const EpmApprovalPanel = ({ issueContext }) => {
 
       setActionResult({
         success: result.success,
-        message: result.success 
+        message: result.pending
+          ? result.message
+          : result.success 
           ? "Approval request has been approved successfully" 
           : result.message || "Failed to approve request"
       });
@@ -233,7 +235,7 @@ const EpmApprovalPanel = ({ issueContext }) => {
 
     try {
       const command = `epm approval action --deny ${requestUid}`;
-      const result = await api.executeKeeperAction(
+      const result = await api.runKeeperAction(
         issueContext.issueKey,
         command,
         `EPM Approval: Denied request ${requestUid}`,
@@ -251,7 +253,9 @@ const EpmApprovalPanel = ({ issueContext }) => {
 
       setActionResult({
         success: result.success,
-        message: result.success 
+        message: result.pending
+          ? result.message
+          : result.success 
           ? "Approval request has been denied successfully" 
           : result.message || "Failed to deny request"
       });
@@ -0,0 +1,82 @@
+/**
+ * KsmClientToken component - shows a delivered Secrets Manager one-time access token to the user who requested it
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import SectionMessage from "@atlaskit/section-message";
+import * as api from '../../services/api';
+import '../../styles/OneTimeShareLink.css';
+
+const KsmClientToken = ({ issueKey, refreshKey }) => {
+  const [clientToken, setClientToken] = useState(null);
+  const [pendingFor, setPendingFor] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [isRemoving, setIsRemoving] = useState(false);
+
+  useEffect(() => {
+    if (!issueKey) return;
+
+    api.getKsmClientToken(issueKey)
+      .then((result) => {
+        if (result && result.success) {
+          setClientToken(result.clientToken || null);
+          setPendingFor(result.pendingFor || null);
+        }
+      })
+      .catch(() => setClientToken(null));
+  }, [issueKey, refreshKey]);
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(clientToken.token);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy client token:', error);
+    }
+  };
+
+  const removeToken = async () => {
+    setIsRemoving(true);
+    try {
+      const result = await api.dismissKsmClientToken(issueKey);
+      if (result && result.success) {
+        setClientToken(null);
+      }
+    } finally {
+      setIsRemoving(false);
+    }
+  };
+
+  if (!clientToken) {
+    return pendingFor ? (
+      <div className="one-time-share-link">
+        <SectionMessage appearance="information" title="Secrets Manager Token Delivered">
+          <p className="one-time-share-link-hint">
+            The client token was delivered privately to {pendingFor}. It is not shown to anyone else.
+          </p>
+        </SectionMessage>
+      </div>
+    ) : null;
+  }
+
+  return (
+    <div className="one-time-share-link">
+      <SectionMessage appearance="success" title="Your Secrets Manager Client Token">
+        <p className="one-time-share-link-hint">
+          Only you can see this token. Use it to initialize the {clientToken.clientName ? `"${clientToken.clientName}" ` : ''}client
+          of application "{clientToken.app}" before {new Date(clientToken.expiresAt).toLocaleString()} - it works once.
+        </p>
+        <div className="one-time-share-link-row">
+          <input className="one-time-share-link-url" type="text" value={clientToken.token} readOnly onFocus={(e) => e.target.select()} />
+          <Button onClick={copyToken}>{copied ? 'Copied' : 'Copy'}</Button>
+        </div>
+        <Button appearance="subtle" onClick={removeToken} isLoading={isRemoving}>
+          Remove token from Jira
+        </Button>
+      </SectionMessage>
+    </div>
+  );
+};
+
+export default KsmClientToken;
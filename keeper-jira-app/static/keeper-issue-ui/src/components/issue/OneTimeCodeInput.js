@@ -0,0 +1,147 @@
+/**
+ * OneTimeCodeInput component - the record's TOTP field; takes a pasted otpauth:// URI
+ * or reads one from a QR code image (an image attached to the issue or a local file).
+ * QR codes are decoded by the browser; the full URI is checked again when the request runs.
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import * as api from '../../services/api';
+import '../../styles/OneTimeCodeInput.css';
+
+const MASKED_VALUE = '••••••••';
+
+// Quick format hint only - the backend validates algorithm, digits and period
+const getFormatHint = (value) => {
+  if (!value || value === MASKED_VALUE) return null;
+  if (!/^otpauth:\/\/totp\//i.test(value.trim())) return 'Expected an otpauth://totp/... URI';
+  if (!/[?&]secret=[A-Za-z2-7\s]+=*(&|$)/.test(value.trim())) return 'The URI needs a base32 secret';
+  return null;
+};
+
+const base64ToBlob = (content, mimeType) => {
+  const binary = atob(content);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+};
+
+const decodeQrCode = async (blob) => {
+  if (typeof window === 'undefined' || !window.BarcodeDetector) {
+    throw new Error('This browser cannot read QR codes - paste the otpauth:// URI instead');
+  }
+  const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+  const codes = await detector.detect(await createImageBitmap(blob));
+  const otpCode = codes.find(code => /^otpauth:\/\//i.test(code.rawValue || ''));
+  if (!otpCode) {
+    throw new Error(codes.length > 0 ? 'The QR code does not hold a one-time code' : 'No QR code found in the image');
+  }
+  return otpCode.rawValue;
+};
+
+const OneTimeCodeInput = ({ value, issueKey, placeholder, disabled = false, hasError = false, onChange }) => {
+  const [showValue, setShowValue] = useState(false);
+  const [images, setImages] = useState([]);
+  const [isReading, setIsReading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!issueKey) return;
+
+    api.getIssueAttachments(issueKey)
+      .then((result) => {
+        if (result && result.success) {
+          setImages((result.attachments || []).filter(attachment => /^image\//i.test(attachment.mimeType || '')));
+        }
+      })
+      .catch(() => setImages([]));
+  }, [issueKey]);
+
+  const readImage = async (loadBlob) => {
+    setIsReading(true);
+    setMessage(null);
+    try {
+      const uri = await decodeQrCode(await loadBlob());
+      onChange(uri);
+      setMessage({ type: 'success', text: 'One-time code read from the QR code' });
+    } catch (readError) {
+      setMessage({ type: 'error', text: readError.message || 'Failed to read the QR code' });
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const readAttachment = (attachmentId) => readImage(async () => {
+    const result = await api.getQrCodeImage(issueKey, attachmentId);
+    if (!result || !result.success) {
+      throw new Error(result?.error?.message || result?.message || 'Failed to load the image');
+    }
+    return base64ToBlob(result.content, result.mimeType);
+  });
+
+  const readLocalFile = (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (file) readImage(async () => file);
+  };
+
+  const formatHint = getFormatHint(value);
+  const isBusy = disabled || isReading;
+
+  return (
+    <div className="one-time-code">
+      <div className="one-time-code-row">
+        <input
+          type={showValue ? 'text' : 'password'}
+          value={value || ''}
+          placeholder={placeholder}
+          disabled={disabled}
+          autoComplete="off"
+          onChange={(e) => { setMessage(null); onChange(e.target.value); }}
+          className={`input-field ${disabled ? 'disabled' : ''} ${hasError || formatHint ? 'required-error' : ''}`}
+        />
+        {value && value !== MASKED_VALUE && (
+          <Button appearance="subtle" spacing="compact" onClick={() => setShowValue(!showValue)}>
+            {showValue ? 'Hide' : 'Show'}
+          </Button>
+        )}
+      </div>
+
+      {value === MASKED_VALUE && (
+        <div className="one-time-code-hint">The record already has a one-time code - enter a new URI to replace it.</div>
+      )}
+      {formatHint && <div className="one-time-code-hint one-time-code-hint-error">{formatHint}</div>}
+
+      <div className="one-time-code-qr">
+        <span className="one-time-code-qr-label">Read from a QR code:</span>
+        {images.length > 0 && (
+          <select
+            value=""
+            disabled={isBusy}
+            onChange={(e) => e.target.value && readAttachment(e.target.value)}
+            className="one-time-code-select"
+          >
+            <option value="">Issue image...</option>
+            {images.map(image => (
+              <option key={image.id} value={image.id}>{image.filename}</option>
+            ))}
+          </select>
+        )}
+        <label className={`one-time-code-upload ${isBusy ? 'disabled' : ''}`}>
+          Upload image
+          <input type="file" accept="image/*" disabled={isBusy} onChange={readLocalFile} />
+        </label>
+        {isReading && <span className="one-time-code-hint">Reading QR code...</span>}
+      </div>
+
+      {message && (
+        <div className={`one-time-code-hint ${message.type === 'error' ? 'one-time-code-hint-error' : 'one-time-code-hint-success'}`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OneTimeCodeInput;
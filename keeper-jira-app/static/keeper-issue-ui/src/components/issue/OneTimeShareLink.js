@@ -0,0 +1,82 @@
+/**
+ * OneTimeShareLink component - shows a delivered one-time share link to the user who requested it
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import SectionMessage from "@atlaskit/section-message";
+import * as api from '../../services/api';
+import '../../styles/OneTimeShareLink.css';
+
+const OneTimeShareLink = ({ issueKey, refreshKey }) => {
+  const [link, setLink] = useState(null);
+  const [pendingFor, setPendingFor] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [isRemoving, setIsRemoving] = useState(false);
+
+  useEffect(() => {
+    if (!issueKey) return;
+
+    api.getOneTimeShareLink(issueKey)
+      .then((result) => {
+        if (result && result.success) {
+          setLink(result.link || null);
+          setPendingFor(result.pendingFor || null);
+        }
+      })
+      .catch(() => setLink(null));
+  }, [issueKey, refreshKey]);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy share link:', error);
+    }
+  };
+
+  const removeLink = async () => {
+    setIsRemoving(true);
+    try {
+      const result = await api.dismissOneTimeShareLink(issueKey);
+      if (result && result.success) {
+        setLink(null);
+      }
+    } finally {
+      setIsRemoving(false);
+    }
+  };
+
+  if (!link) {
+    return pendingFor ? (
+      <div className="one-time-share-link">
+        <SectionMessage appearance="information" title="One-Time Share Link Delivered">
+          <p className="one-time-share-link-hint">
+            The link was delivered privately to {pendingFor}. It is not shown to anyone else.
+          </p>
+        </SectionMessage>
+      </div>
+    ) : null;
+  }
+
+  return (
+    <div className="one-time-share-link">
+      <SectionMessage appearance="success" title="Your One-Time Share Link">
+        <p className="one-time-share-link-hint">
+          Only you can see this link. Send it to the recipient directly - it works once and
+          expires {link.expiresAt ? `on ${new Date(link.expiresAt).toLocaleString()}` : `after ${link.expireIn}`}.
+        </p>
+        <div className="one-time-share-link-row">
+          <input className="one-time-share-link-url" type="text" value={link.url} readOnly onFocus={(e) => e.target.select()} />
+          <Button onClick={copyLink}>{copied ? 'Copied' : 'Copy'}</Button>
+        </div>
+        <Button appearance="subtle" onClick={removeLink} isLoading={isRemoving}>
+          Remove link from Jira
+        </Button>
+      </SectionMessage>
+    </div>
+  );
+};
+
+export default OneTimeShareLink;
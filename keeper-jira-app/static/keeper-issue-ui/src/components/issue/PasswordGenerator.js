@@ -0,0 +1,139 @@
+/**
+ * PasswordGenerator component - lets the requester choose how the record's password
+ * is generated (length, symbols, numbers, excluded characters or a passphrase) and
+ * previews a masked sample with a strength estimate
+ */
+import React, { useState } from 'react';
+import Button from "@atlaskit/button";
+import * as api from '../../services/api';
+import '../../styles/PasswordGenerator.css';
+
+const PasswordGenerator = ({ options, policy, disabled = false, onChange }) => {
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const defaults = {
+    passphrase: false,
+    length: String(Math.max(policy?.minLength || 0, 20)),
+    symbols: String(Math.max(policy?.minSymbols || 0, 1)),
+    digits: String(Math.max(policy?.minDigits || 0, 1)),
+    exclude: '',
+    words: String(Math.max(policy?.minPassphraseWords || 0, 5))
+  };
+
+  const updateOption = (name, value) => {
+    setPreview(null);
+    setError(null);
+    onChange({ ...defaults, ...options, [name]: value });
+  };
+
+  const handlePreview = async () => {
+    setIsPreviewing(true);
+    try {
+      const result = await api.previewGeneratedPassword(options);
+      if (result && result.success) {
+        setPreview(result);
+        setError(null);
+      } else {
+        setPreview(null);
+        setError(result?.error?.message || result?.message || 'Failed to generate a preview');
+      }
+    } catch (previewError) {
+      setError('Failed to generate a preview');
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  if (!options) {
+    return (
+      <div className="password-generator">
+        <label className="password-generator-toggle">
+          <input type="checkbox" checked={false} disabled={disabled} onChange={() => onChange(defaults)} />
+          Customize the generated password
+        </label>
+      </div>
+    );
+  }
+
+  const numberInput = (name, label) => (
+    <div className="password-generator-field">
+      <label className="password-generator-field-label">{label}</label>
+      <input
+        type="number"
+        value={options[name] ?? ''}
+        disabled={disabled}
+        onChange={(e) => updateOption(name, e.target.value)}
+        className="password-generator-input"
+      />
+    </div>
+  );
+
+  return (
+    <div className="password-generator">
+      <label className="password-generator-toggle">
+        <input type="checkbox" checked disabled={disabled} onChange={() => { setPreview(null); onChange(null); }} />
+        Customize the generated password
+      </label>
+
+      <label className="password-generator-toggle">
+        <input
+          type="checkbox"
+          checked={options.passphrase === true}
+          disabled={disabled || policy?.allowPassphrase === false}
+          onChange={(e) => updateOption('passphrase', e.target.checked)}
+        />
+        Use a passphrase (random words)
+      </label>
+
+      <div className="password-generator-fields">
+        {options.passphrase ? numberInput('words', 'Words') : (
+          <>
+            {numberInput('length', 'Length')}
+            {numberInput('symbols', 'Symbols')}
+            {numberInput('digits', 'Numbers')}
+            <div className="password-generator-field">
+              <label className="password-generator-field-label">Exclude characters</label>
+              <input
+                type="text"
+                value={options.exclude || ''}
+                disabled={disabled}
+                onChange={(e) => updateOption('exclude', e.target.value)}
+                placeholder="e.g. lI1O0"
+                className="password-generator-input"
+              />
+            </div>
+          </>
+        )}
+      </div>
+
+      {policy && (
+        <div className="password-generator-hint">
+          Organization minimum: {policy.minLength} characters, {policy.minSymbols} symbols, {policy.minDigits} numbers
+          {policy.allowPassphrase ? ` or ${policy.minPassphraseWords} passphrase words` : ''}.
+        </div>
+      )}
+
+      <div className="password-generator-footer">
+        <Button spacing="compact" onClick={handlePreview} isLoading={isPreviewing} isDisabled={disabled}>
+          Preview
+        </Button>
+        {preview && (
+          <span className="password-generator-preview">
+            <code>{preview.preview}</code>
+            <span className={`password-generator-strength password-generator-strength-${preview.strength.label.toLowerCase().replace(/\s+/g, '-')}`}>
+              {preview.strength.label} (~{preview.strength.bits} bits)
+            </span>
+          </span>
+        )}
+      </div>
+      {error && <div className="password-generator-error">{error}</div>}
+      <div className="password-generator-hint">
+        The preview is a masked sample - the record gets its own password when the request is approved.
+      </div>
+    </div>
+  );
+};
+
+export default PasswordGenerator;
@@ -0,0 +1,167 @@
+/**
+ * RecordHistory component - lists a record's revisions, compares two of them with
+ * secret values masked, and offers to revert the record to an earlier revision
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import Spinner from "@atlaskit/spinner";
+import * as api from '../../services/api';
+import '../../styles/RecordHistory.css';
+
+const STATUS_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  changed: 'Changed'
+};
+
+const RecordHistory = ({ recordUid, disabled = false, onRevert }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [fromRevision, setFromRevision] = useState('');
+  const [toRevision, setToRevision] = useState('');
+  const [changes, setChanges] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+
+  useEffect(() => {
+    if (!recordUid) return;
+
+    setIsLoading(true);
+    setChanges(null);
+    api.getKeeperRecordHistory(recordUid)
+      .then((result) => {
+        if (result && result.success) {
+          const history = result.revisions || [];
+          setRevisions(history);
+          // Default to what the last update changed
+          setFromRevision(history.length > 1 ? '1' : '');
+          setToRevision(history.length > 1 ? '0' : '');
+          setError(null);
+        } else {
+          setError(result?.error?.message || result?.message || 'Failed to load record history');
+        }
+      })
+      .catch(() => setError('Failed to load record history'))
+      .finally(() => setIsLoading(false));
+  }, [recordUid]);
+
+  const compare = async () => {
+    setIsComparing(true);
+    try {
+      const result = await api.getKeeperRecordRevisionDiff(recordUid, fromRevision, toRevision);
+      if (result && result.success) {
+        setChanges(result.changes || []);
+        setError(null);
+      } else {
+        setError(result?.error?.message || result?.message || 'Failed to compare revisions');
+      }
+    } catch (compareError) {
+      setError('Failed to compare revisions');
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="record-history">
+        <Spinner size="small" /> <span className="record-history-hint">Loading record history...</span>
+      </div>
+    );
+  }
+
+  const revisionOptions = revisions.map((revision) => (
+    <option key={revision.revision} value={String(revision.revision)}>
+      {revision.version}{revision.modifiedAt ? ` - ${revision.modifiedAt}` : ''}
+    </option>
+  ));
+  const differences = (changes || []).filter(change => change.status !== 'unchanged');
+
+  return (
+    <div className="record-history">
+      <div className="record-history-label">Record History</div>
+      {error && <div className="record-history-error">{error}</div>}
+      {revisions.length === 0 && !error && (
+        <div className="record-history-hint">No earlier revisions were found for this record.</div>
+      )}
+
+      {revisions.length > 0 && (
+        <table className="record-history-table">
+          <thead>
+            <tr>
+              <th>Version</th>
+              <th>Modified By</th>
+              <th>Modified</th>
+              {onRevert && <th />}
+            </tr>
+          </thead>
+          <tbody>
+            {revisions.map((revision) => (
+              <tr key={revision.revision}>
+                <td>{revision.version}</td>
+                <td>{revision.modifiedBy}</td>
+                <td>{revision.modifiedAt}</td>
+                {onRevert && (
+                  <td className="record-history-actions">
+                    {revision.revision > 0 && (
+                      <Button appearance="subtle" spacing="compact" isDisabled={disabled} onClick={() => onRevert(revision.revision)}>
+                        Revert to this revision
+                      </Button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {revisions.length > 1 && (
+        <div className="record-history-compare">
+          <select value={fromRevision} onChange={(e) => { setFromRevision(e.target.value); setChanges(null); }} disabled={disabled}>
+            {revisionOptions}
+          </select>
+          <span className="record-history-hint">compared with</span>
+          <select value={toRevision} onChange={(e) => { setToRevision(e.target.value); setChanges(null); }} disabled={disabled}>
+            {revisionOptions}
+          </select>
+          <Button onClick={compare} isLoading={isComparing} isDisabled={disabled || fromRevision === toRevision}>
+            Compare
+          </Button>
+        </div>
+      )}
+
+      {changes && differences.length === 0 && (
+        <div className="record-history-hint">The selected revisions are identical.</div>
+      )}
+      {differences.length > 0 && (
+        <table className="record-history-table record-history-diff">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Before</th>
+              <th>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {differences.map((change) => (
+              <tr key={change.field} className={`record-history-${change.status}`}>
+                <td>
+                  {change.field}
+                  <span className="record-history-status">{STATUS_LABELS[change.status]}</span>
+                </td>
+                <td>{change.from ?? ''}</td>
+                <td>{change.to ?? ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {differences.some(change => change.masked) && (
+        <div className="record-history-hint">Secret values are hidden - only the fact that they changed is shown.</div>
+      )}
+    </div>
+  );
+};
+
+export default RecordHistory;
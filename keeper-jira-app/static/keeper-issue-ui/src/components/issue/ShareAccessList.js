@@ -0,0 +1,107 @@
+/**
+ * ShareAccessList component - shows who already has access to the record or shared
+ * folder a share request targets, and flags where the request conflicts with it
+ */
+import React, { useState, useEffect } from 'react';
+import Spinner from "@atlaskit/spinner";
+import * as api from '../../services/api';
+import '../../styles/ShareAccessList.css';
+
+const SUBJECT_LABELS = {
+  user: 'User',
+  team: 'Team',
+  shared_folder: 'Shared Folder'
+};
+
+const REFRESH_DELAY_MS = 600;
+
+const formatExpiration = (expiration) => {
+  if (!expiration) return 'Never';
+  const date = new Date(expiration);
+  return Number.isNaN(date.getTime()) ? expiration : date.toLocaleString();
+};
+
+const ShareAccessList = ({ recordUid, folderUid, command, action, user }) => {
+  const [entries, setEntries] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!recordUid && !folderUid) return undefined;
+
+    // Wait for the approver to stop typing before asking Commander again
+    const timer = setTimeout(() => {
+      setIsLoading(true);
+      api.getKeeperShareAccess({ recordUid, folderUid, request: { command, action, user } })
+        .then((result) => {
+          if (result && result.success) {
+            setEntries(result.entries || []);
+            setConflicts(result.conflicts || []);
+            setError(null);
+          } else {
+            setError(result?.error?.message || result?.message || 'Failed to load current access');
+          }
+        })
+        .catch(() => setError('Failed to load current access'))
+        .finally(() => setIsLoading(false));
+    }, REFRESH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [recordUid, folderUid, command, action, user]);
+
+  if (isLoading) {
+    return (
+      <div className="share-access">
+        <Spinner size="small" /> <span className="share-access-hint">Loading current access...</span>
+      </div>
+    );
+  }
+
+  const conflictSubjects = new Set(conflicts.map(conflict => conflict.subject.toLowerCase()));
+
+  return (
+    <div className="share-access">
+      <div className="share-access-label">Current Access</div>
+      {error && <div className="share-access-error">{error}</div>}
+      {conflicts.map((conflict) => (
+        <div key={`${conflict.subject}-${conflict.conflict}`} className="share-access-conflict">
+          {conflict.message}
+        </div>
+      ))}
+      {entries.length === 0 && !error && (
+        <div className="share-access-hint">Nobody else has direct access yet.</div>
+      )}
+
+      {entries.length > 0 && (
+        <table className="share-access-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Type</th>
+              <th>Permissions</th>
+              <th>Expires</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr
+                key={`${entry.type}-${entry.name}`}
+                className={conflictSubjects.has(entry.name.toLowerCase()) ? 'share-access-conflicting' : ''}
+              >
+                <td>
+                  {entry.name}
+                  {entry.owner && <span className="share-access-owner">Owner</span>}
+                </td>
+                <td>{SUBJECT_LABELS[entry.type] || entry.type}</td>
+                <td>{entry.permissions.length > 0 ? entry.permissions.join(', ') : 'Read only'}</td>
+                <td>{formatExpiration(entry.expiration)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ShareAccessList;
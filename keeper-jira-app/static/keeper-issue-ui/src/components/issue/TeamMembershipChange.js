@@ -0,0 +1,52 @@
+/**
+ * TeamMembershipChange component - shows the last team membership change made on the issue
+ * and offers the request that reverses it
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import SectionMessage from "@atlaskit/section-message";
+import * as api from '../../services/api';
+import '../../styles/TeamMembershipChange.css';
+
+const TeamMembershipChange = ({ issueKey, refreshKey, disabled = false, onReverse }) => {
+  const [membership, setMembership] = useState(null);
+  const [reversal, setReversal] = useState(null);
+
+  useEffect(() => {
+    if (!issueKey) return;
+
+    api.getTeamMembership(issueKey)
+      .then((result) => {
+        if (result && result.success) {
+          setMembership(result.membership || null);
+          setReversal(result.reversal || null);
+        }
+      })
+      .catch(() => setMembership(null));
+  }, [issueKey, refreshKey]);
+
+  if (!membership) {
+    return null;
+  }
+
+  const teamName = membership.teamName || membership.teamUid;
+  const wasAdded = membership.operation === 'add';
+
+  return (
+    <div className="team-membership-change">
+      <SectionMessage appearance="information" title="Team Membership Changed">
+        <p className="team-membership-change-hint">
+          {membership.user} was {wasAdded ? 'added to' : 'removed from'} the team "{teamName}"
+          {membership.changedAt ? ` on ${new Date(membership.changedAt).toLocaleString()}` : ''}.
+        </p>
+        {reversal && (
+          <Button appearance="subtle" isDisabled={disabled} onClick={() => onReverse(reversal)}>
+            {wasAdded ? 'Request removal from team' : 'Request to add back to team'}
+          </Button>
+        )}
+      </SectionMessage>
+    </div>
+  );
+};
+
+export default TeamMembershipChange;
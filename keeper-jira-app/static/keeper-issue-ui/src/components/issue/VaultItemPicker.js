@@ -0,0 +1,81 @@
+/**
+ * VaultItemPicker component - searchable record or folder picker that keeps its own dropdown state,
+ * so one form can hold several of them (e.g. the source and destination of a move)
+ */
+import React, { useState } from 'react';
+import Dropdown from '../common/Dropdown';
+import { PAGINATION_SETTINGS } from '../../constants';
+import '../../styles/VaultItemPicker.css';
+
+const VaultItemPicker = ({
+  items,
+  value,
+  getValue,
+  onChange,
+  placeholder,
+  disabled = false,
+  disabledPlaceholder,
+  loading = false,
+  emptyMessage,
+  hasError = false
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+
+  const selectedItem = value ? items.find(item => getValue(item) === value) : null;
+  // Stored requests can name an item the current list does not include - show its UID
+  const displayValue = selectedItem ? (selectedItem.title || selectedItem.name) : (value || '');
+
+  const close = () => {
+    setIsOpen(false);
+    setSearchTerm('');
+    setCurrentPage(1);
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={displayValue}
+        placeholder={disabled && disabledPlaceholder ? disabledPlaceholder : placeholder}
+        disabled={disabled}
+        readOnly
+        onClick={() => !disabled && (isOpen ? close() : setIsOpen(true))}
+        className={`input-field pointer ${disabled ? 'disabled opacity-60' : 'opacity-100'} ${value ? 'has-value' : ''} ${hasError ? 'required-error' : ''}`}
+      />
+      {!disabled && value && (
+        <button
+          type="button"
+          className="vault-item-picker-clear"
+          onClick={() => onChange('')}
+          title="Clear selection"
+        >
+          ×
+        </button>
+      )}
+      <Dropdown
+        items={items}
+        isOpen={isOpen && !disabled}
+        onClose={close}
+        onSelect={(item) => {
+          onChange(getValue(item));
+          close();
+        }}
+        searchTerm={searchTerm}
+        onSearchChange={(term) => {
+          setSearchTerm(term);
+          setCurrentPage(1);
+        }}
+        loading={loading}
+        currentPage={currentPage}
+        itemsPerPage={PAGINATION_SETTINGS.ITEMS_PER_PAGE}
+        onNextPage={() => setCurrentPage(page => page + 1)}
+        onPrevPage={() => setCurrentPage(page => Math.max(1, page - 1))}
+        emptyMessage={emptyMessage}
+      />
+    </div>
+  );
+};
+
+export default VaultItemPicker;
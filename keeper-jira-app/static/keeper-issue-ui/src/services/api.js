@@ -1,4 +1,5 @@
 import { invoke } from "@forge/bridge";
+import { JOB_POLLING } from "../constants";
 
 // Get issue context
 export const getIssueContext = async () => {
@@ -10,6 +11,41 @@ export const activateKeeperPanel = async (issueKey) => {
   return await invoke("activateKeeperPanel", { issueKey });
 };
 
+// Get Keeper action definitions (fields, labels, admin-only flags)
+export const getKeeperCommandRegistry = async () => {
+  return await invoke("getKeeperCommandRegistry");
+};
+
+// Get issue attachments that can be uploaded to a Keeper record
+export const getIssueAttachments = async (issueKey) => {
+  return await invoke("getIssueAttachments", { issueKey });
+};
+
+// Get an issue image attachment to read a TOTP QR code from
+export const getQrCodeImage = async (issueKey, attachmentId) => {
+  return await invoke("getQrCodeImage", { issueKey, attachmentId });
+};
+
+// Get the one-time share link waiting for the current user on this issue
+export const getOneTimeShareLink = async (issueKey) => {
+  return await invoke("getOneTimeShareLink", { issueKey });
+};
+
+// Remove a delivered one-time share link
+export const dismissOneTimeShareLink = async (issueKey) => {
+  return await invoke("dismissOneTimeShareLink", { issueKey });
+};
+
+// Get the Secrets Manager client token delivered to the current user
+export const getKsmClientToken = async (issueKey) => {
+  return await invoke("getKsmClientToken", { issueKey });
+};
+
+// Remove a delivered Secrets Manager client token
+export const dismissKsmClientToken = async (issueKey) => {
+  return await invoke("dismissKsmClientToken", { issueKey });
+};
+
 // Get keeper records
 export const getKeeperRecords = async () => {
   return await invoke("getKeeperRecords");
@@ -20,11 +56,46 @@ export const getKeeperFolders = async () => {
   return await invoke("getKeeperFolders");
 };
 
+// Get enterprise teams
+export const getKeeperTeams = async () => {
+  return await invoke("getKeeperTeams");
+};
+
 // Get keeper record details
 export const getKeeperRecordDetails = async (recordUid) => {
   return await invoke("getKeeperRecordDetails", { recordUid });
 };
 
+// Get the last team membership change made on an issue
+export const getTeamMembership = async (issueKey) => {
+  return await invoke("getTeamMembership", { issueKey });
+};
+
+// Get a record's revisions
+export const getKeeperRecordHistory = async (recordUid) => {
+  return await invoke("getKeeperRecordHistory", { recordUid });
+};
+
+// Compare two record revisions (secret values come back masked)
+export const getKeeperRecordRevisionDiff = async (recordUid, fromRevision, toRevision) => {
+  return await invoke("getKeeperRecordRevisionDiff", { recordUid, fromRevision, toRevision });
+};
+
+// Get the org password policy
+export const getPasswordPolicy = async () => {
+  return await invoke("getPasswordPolicy");
+};
+
+// Generate a masked sample password for the given generator settings
+export const previewGeneratedPassword = async (options) => {
+  return await invoke("previewGeneratedPassword", { options });
+};
+
+// Get current access to a record or shared folder, checked against the pending share request
+export const getKeeperShareAccess = async ({ recordUid, folderUid, request }) => {
+  return await invoke("getKeeperShareAccess", { recordUid, folderUid, request });
+};
+
 // Get user role
 export const getUserRole = async (issueKey) => {
   return await invoke("getUserRole", { issueKey });
@@ -49,6 +120,22 @@ export const storeRequestData = async (issueKey, requestData, formattedTimestamp
   return await invoke("storeRequestData", payload);
 };
 
+// Get the approval chain progress of the stored request
+export const getApprovalStatus = async (issueKey) => {
+  return await invoke("getApprovalStatus", { issueKey });
+};
+
+// Approve the current stage of the stored request (the requester needs a break-glass justification)
+export const approveKeeperRequest = async (issueKey, formattedTimestamp, breakGlassJustification = null) => {
+  const payload = { issueKey, formattedTimestamp };
+  
+  if (breakGlassJustification) {
+    payload.breakGlassJustification = breakGlassJustification;
+  }
+  
+  return await invoke("approveKeeperRequest", payload);
+};
+
 // Clear stored request data
 export const clearStoredRequestData = async (issueKey) => {
   return await invoke("clearStoredRequestData", { issueKey });
@@ -63,7 +150,7 @@ export const getProjectAdmins = async (projectKey, issueKey) => {
 };
 
 // Execute keeper action
-export const executeKeeperAction = async (issueKey, command, commandDescription, parameters, formattedTimestamp = null) => {
+export const executeKeeperAction = async (issueKey, command, commandDescription, parameters, formattedTimestamp = null, breakGlassJustification = null) => {
   const payload = {
     issueKey,
     command,
@@ -75,9 +162,54 @@ export const executeKeeperAction = async (issueKey, command, commandDescription,
     payload.formattedTimestamp = formattedTimestamp;
   }
   
+  // Lets the requester run their own request while separation of duties is on
+  if (breakGlassJustification) {
+    payload.breakGlassJustification = breakGlassJustification;
+  }
+  
   return await invoke("executeKeeperAction", payload);
 };
 
+// Get keeper job status (by job id, or the active job for an issue)
+export const getKeeperJobStatus = async ({ jobId, issueKey }) => {
+  return await invoke("getKeeperJobStatus", { jobId, issueKey });
+};
+
+// Poll a queued keeper job until it completes, fails or the wait limit is reached
+export const waitForKeeperJob = async (jobId, onStatus = null) => {
+  const startedAt = Date.now();
+  
+  while (Date.now() - startedAt < JOB_POLLING.MAX_WAIT_MS) {
+    await new Promise(resolve => setTimeout(resolve, JOB_POLLING.INTERVAL_MS));
+    
+    const result = await getKeeperJobStatus({ jobId });
+    if (!result || result.success === false || !result.pending) {
+      return result;
+    }
+    if (onStatus) {
+      onStatus(result.status);
+    }
+  }
+  
+  return {
+    success: true,
+    pending: true,
+    jobId,
+    message: "Keeper Commander is still processing this action. The issue will be updated when it completes - reopen the panel to check progress."
+  };
+};
+
+// Execute keeper action and wait for the queued job to finish
+export const runKeeperAction = async (issueKey, command, commandDescription, parameters, formattedTimestamp = null, onStatus = null, breakGlassJustification = null) => {
+  const result = await executeKeeperAction(issueKey, command, commandDescription, parameters, formattedTimestamp, breakGlassJustification);
+  
+  if (result && result.success && result.pending && result.jobId) {
+    return await waitForKeeperJob(result.jobId, onStatus);
+  }
+  
+  return result;
+};
+
 // Reject keeper request
 export const rejectKeeperRequest = async (issueKey, rejectionReason) => {
   return await invoke("rejectKeeperRequest", {
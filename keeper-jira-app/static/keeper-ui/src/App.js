@@ -22,6 +22,7 @@ const App = () => {
   const [isAdmin, setIsAdmin] = useState(false);
   const [isCheckingAdmin, setIsCheckingAdmin] = useState(true);
   const [epmStatusMessage, setEpmStatusMessage] = useState(null);
+  const [keyAgeWarnings, setKeyAgeWarnings] = useState([]);
   
   // Use custom hook for configuration management
   const configHook = useConfig();
@@ -44,6 +45,15 @@ const App = () => {
     checkPermissions();
   }, []);
 
+  // Admins get a banner on every tab when an API key is past the rotation age
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    api.getKeyRotationStatus()
+      .then((result) => setKeyAgeWarnings(result?.success ? result.warnings || [] : []))
+      .catch((error) => console.error("Failed to load key rotation status:", error));
+  }, [isAdmin]);
+
   return (
     <div className="app-container">
       <div className="app-content-wrapper">
@@ -56,6 +66,16 @@ const App = () => {
 
         {/* Tab Content */}
         <div className="app-tab-content">
+          {isAdmin && keyAgeWarnings.length > 0 && (
+            <div className="app-key-age-warning">
+              <SectionMessage appearance="warning" title="API key rotation due">
+                {keyAgeWarnings.map((warning) => (
+                  <p key={warning}>{warning}</p>
+                ))}
+              </SectionMessage>
+            </div>
+          )}
+
           {/* Config Tab - Using modular ConfigTab component */}
           {activeTab === "config" && (
             <ConfigTab
@@ -65,6 +85,7 @@ const App = () => {
               statusMessage={configHook.statusMessage}
               setStatusMessage={configHook.setStatusMessage}
               formValues={configHook.formValues}
+              storedApiKeyPreview={configHook.storedApiKeyPreview}
               setFormValues={configHook.setFormValues}
               formKey={configHook.formKey}
               isApiKeyMasked={configHook.isApiKeyMasked}
@@ -77,6 +98,7 @@ const App = () => {
               handleTestConnection={configHook.handleTestConnection}
               handleClearForm={configHook.handleClearForm}
               copyApiKey={configHook.copyApiKey}
+              onKeyRotationStatusChange={(status) => setKeyAgeWarnings(status.warnings || [])}
             />
           )}
 
@@ -225,7 +247,7 @@ const App = () => {
                       <tr>
                         <td>Commands List:</td>
                         <td>
-                          <code className="setup-code-white">record-add, list, ls, get, record-type-info, record-update, share-record, share-folder, rti, record-permission, epm, service-status</code>
+                          <code className="setup-code-white">record-add, list, ls, get, record-type-info, record-update, share-record, share-folder, rti, record-permission, upload-attachment, one-time-share, rm, mv, mkdir, enterprise-user, transfer-user, enterprise-info, enterprise-team, record-history, secrets-manager, share-report, generate, epm, service-status</code>
                         </td>
                       </tr>
                       <tr>
@@ -263,21 +285,21 @@ const App = () => {
                     Basic Deployment:
                   </p>
                   <code className="setup-docker-code">
-                    docker run -d -p 9009:9009 keeper-commander service-create -p 9009 -c 'record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,epm,service-status' -f json -rm foreground -q y --user your@email.com --password yourpassword
+                    docker run -d -p 9009:9009 keeper-commander service-create -p 9009 -c 'record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,upload-attachment,one-time-share,rm,mv,mkdir,enterprise-user,transfer-user,enterprise-info,enterprise-team,record-history,secrets-manager,share-report,generate,epm,service-status' -f json -rm foreground -q y --user your@email.com --password yourpassword
                   </code>
                   
                   <p className="setup-docker-subtitle-spacing">
                     With Ngrok Tunneling:
                   </p>
                   <code className="setup-docker-code">
-                    docker run -d -p 9009:9009 keeper-commander service-create -p 9009 -c 'record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,epm,service-status' -f json -rm foreground -q y -ng &lt;ngrok-auth-token&gt; -cd &lt;custom-domain&gt; --user your@email.com --password yourpassword
+                    docker run -d -p 9009:9009 keeper-commander service-create -p 9009 -c 'record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,upload-attachment,one-time-share,rm,mv,mkdir,enterprise-user,transfer-user,enterprise-info,enterprise-team,record-history,secrets-manager,share-report,generate,epm,service-status' -f json -rm foreground -q y -ng &lt;ngrok-auth-token&gt; -cd &lt;custom-domain&gt; --user your@email.com --password yourpassword
                   </code>
                   
                   <p className="setup-docker-subtitle-spacing">
                     With Cloudflare Tunneling:
                   </p>
                   <code className="setup-docker-code">
-                    docker run -d -p 9009:9009 keeper-commander service-create -p 9009 -c 'record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,epm,service-status' -f json -rm foreground -q y -cf &lt;cloudflare-tunnel-token&gt; -cfd &lt;cloudflare-custom-domain&gt; --user your@email.com --password yourpassword
+                    docker run -d -p 9009:9009 keeper-commander service-create -p 9009 -c 'record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,upload-attachment,one-time-share,rm,mv,mkdir,enterprise-user,transfer-user,enterprise-info,enterprise-team,record-history,secrets-manager,share-report,generate,epm,service-status' -f json -rm foreground -q y -cf &lt;cloudflare-tunnel-token&gt; -cfd &lt;cloudflare-custom-domain&gt; --user your@email.com --password yourpassword
                   </code>
                   
                   <p className="setup-docker-note">
@@ -309,21 +331,21 @@ this-device timeout 30d`}
                     Basic Service Creation:
                   </p>
                   <code className="setup-cli-code">
-                    keeper service-create -p=9009 -c="record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,epm,service-status" -rm="foreground" -q=y -f=json
+                    keeper service-create -p=9009 -c="record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,upload-attachment,one-time-share,rm,mv,mkdir,enterprise-user,transfer-user,enterprise-info,enterprise-team,record-history,secrets-manager,share-report,generate,epm,service-status" -rm="foreground" -q=y -f=json
                   </code>
                   
                   <p className="setup-cli-subtitle-bold">
                     With Ngrok Tunneling:
                   </p>
                   <code className="setup-cli-code">
-                    keeper service-create -p=9009 -c="record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,epm,service-status" -rm="foreground" -q=y -ng="&lt;ngrok-auth-token&gt;" -cd="&lt;custom-domain&gt;" -f=json
+                    keeper service-create -p=9009 -c="record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,upload-attachment,one-time-share,rm,mv,mkdir,enterprise-user,transfer-user,enterprise-info,enterprise-team,record-history,secrets-manager,share-report,generate,epm,service-status" -rm="foreground" -q=y -ng="&lt;ngrok-auth-token&gt;" -cd="&lt;custom-domain&gt;" -f=json
                   </code>
                   
                   <p className="setup-cli-subtitle-bold">
                     With Cloudflare Tunneling:
                   </p>
                   <code className="setup-cli-code">
-                    keeper service-create -p=9009 -c="record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,epm,service-status" -rm="foreground" -q=y -cf="&lt;cloudflare-tunnel-token&gt;" -cfd="&lt;cloudflare-custom-domain&gt;" -f=json
+                    keeper service-create -p=9009 -c="record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,upload-attachment,one-time-share,rm,mv,mkdir,enterprise-user,transfer-user,enterprise-info,enterprise-team,record-history,secrets-manager,share-report,generate,epm,service-status" -rm="foreground" -q=y -cf="&lt;cloudflare-tunnel-token&gt;" -cfd="&lt;cloudflare-custom-domain&gt;" -f=json
                   </code>
                   
                   <p className="setup-cli-note">
@@ -0,0 +1,199 @@
+/**
+ * Approval Chain Settings Component
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import TextField from "@atlaskit/textfield";
+import Select from "@atlaskit/select";
+import * as api from '../../services/api';
+import { handleApiError, isStructuredError } from '../../utils/errorHandler';
+import { MESSAGE_TYPES } from '../../constants';
+import '../../styles/ApprovalChainSettings.css';
+
+const ANY_ACTION_OPTION = { label: 'Any action', value: '*' };
+
+const EMPTY_STAGE = { name: '', groups: '', required: '1' };
+
+// Stages are edited as text and normalized by the backend on save
+const toFormChains = (chains) => chains.map(chain => ({
+  ...chain,
+  stages: chain.stages.map(stage => ({ ...stage, groups: stage.groups.join(', '), required: String(stage.required) }))
+}));
+
+const ApprovalChainSettings = ({ setStatusMessage }) => {
+  const [chains, setChains] = useState(null);
+  const [actions, setActions] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [limits, setLimits] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const showMessage = (type, title, message, timeout = 5000) => {
+    setStatusMessage({ type, title, message });
+    setTimeout(() => setStatusMessage(null), timeout);
+  };
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const [chainsResult, projectsResult] = await Promise.all([
+          api.getApprovalChains(),
+          api.getJiraProjects()
+        ]);
+        if (chainsResult && chainsResult.success) {
+          setChains(toFormChains(chainsResult.chains || []));
+          setActions([ANY_ACTION_OPTION, ...(chainsResult.actions || [])]);
+          setLimits(chainsResult.limits || null);
+        }
+        if (projectsResult && projectsResult.success && projectsResult.projects) {
+          setProjects(projectsResult.projects.map(p => ({ label: `${p.name} (${p.key})`, value: p.key })));
+        }
+      } catch (error) {
+        console.error('Failed to load approval chains:', error);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const updateChain = (index, changes) => {
+    setChains(prev => prev.map((chain, i) => (i === index ? { ...chain, ...changes } : chain)));
+  };
+
+  const updateStage = (chainIndex, stageIndex, changes) => {
+    const chain = chains[chainIndex];
+    updateChain(chainIndex, {
+      stages: chain.stages.map((stage, i) => (i === stageIndex ? { ...stage, ...changes } : stage))
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await api.saveApprovalChains(chains);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save approval chains'), 8000);
+        return;
+      }
+      setChains(toFormChains(result.chains || []));
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Approval Chains Saved', 'New and updated requests in these projects now need every stage before they can run.');
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save approval chains'), 8000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!chains) {
+    return null;
+  }
+
+  const selectPortalProps = {
+    menuPortalTarget: document.body,
+    styles: { menuPortal: base => ({ ...base, zIndex: 99999 }) },
+    classNamePrefix: 'react-select'
+  };
+
+  return (
+    <div className="approval-chain-section">
+      <div className="approval-chain-section-label">Approval Chains</div>
+      <div className="approval-chain-section-description">
+        Require staged approvals before a request can run in a project, e.g. a team lead and then security.
+        Stages are approved in order; each needs the given number of approvals from members of its Jira groups,
+        or from any project admin when no group is named. Nobody can approve the same request twice, and a chain
+        for a specific action takes precedence over one for any action.
+      </div>
+
+      {chains.length === 0 && (
+        <div className="approval-chain-empty">No approval chains - one project admin approves and runs each request.</div>
+      )}
+
+      {chains.map((chain, chainIndex) => (
+        <div className="approval-chain-card" key={chainIndex}>
+          <div className="approval-chain-row">
+            <div className="approval-chain-field">
+              <Select
+                {...selectPortalProps}
+                options={projects}
+                value={projects.find(p => p.value === chain.projectKey) || null}
+                onChange={(option) => updateChain(chainIndex, { projectKey: option ? option.value : '' })}
+                placeholder="Project..."
+                isSearchable={true}
+              />
+            </div>
+            <div className="approval-chain-field">
+              <Select
+                {...selectPortalProps}
+                options={actions}
+                value={actions.find(a => a.value === chain.action) || ANY_ACTION_OPTION}
+                onChange={(option) => updateChain(chainIndex, { action: option ? option.value : '*' })}
+              />
+            </div>
+            <button
+              type="button"
+              className="approval-chain-action-button danger"
+              onClick={() => setChains(prev => prev.filter((_, i) => i !== chainIndex))}
+            >
+              Remove Chain
+            </button>
+          </div>
+
+          {chain.stages.map((stage, stageIndex) => (
+            <div className="approval-chain-row" key={stageIndex}>
+              <span className="approval-chain-stage-number">{stageIndex + 1}.</span>
+              <div className="approval-chain-field">
+                <TextField
+                  value={stage.name}
+                  placeholder={`Stage ${stageIndex + 1}`}
+                  onChange={(e) => updateStage(chainIndex, stageIndex, { name: e.target.value })}
+                />
+              </div>
+              <div className="approval-chain-field wide">
+                <TextField
+                  value={stage.groups}
+                  placeholder="Jira groups, comma separated (empty: project admins)"
+                  onChange={(e) => updateStage(chainIndex, stageIndex, { groups: e.target.value })}
+                />
+              </div>
+              <div className="approval-chain-field narrow">
+                <TextField
+                  type="number"
+                  value={stage.required}
+                  onChange={(e) => updateStage(chainIndex, stageIndex, { required: e.target.value })}
+                />
+              </div>
+              <button
+                type="button"
+                className="approval-chain-action-button danger"
+                disabled={chain.stages.length === 1}
+                onClick={() => updateChain(chainIndex, { stages: chain.stages.filter((_, i) => i !== stageIndex) })}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+
+          {(!limits || chain.stages.length < limits.maxStages) && (
+            <button
+              type="button"
+              className="approval-chain-action-button"
+              onClick={() => updateChain(chainIndex, { stages: [...chain.stages, { ...EMPTY_STAGE }] })}
+            >
+              Add Stage
+            </button>
+          )}
+        </div>
+      ))}
+
+      <div className="approval-chain-footer">
+        <Button onClick={() => setChains(prev => [...prev, { projectKey: '', action: '*', stages: [{ ...EMPTY_STAGE }] }])}>
+          Add Chain
+        </Button>
+        <Button appearance="primary" onClick={handleSave} isLoading={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Approval Chains'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalChainSettings;
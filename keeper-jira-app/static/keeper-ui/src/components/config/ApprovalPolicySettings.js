@@ -0,0 +1,278 @@
+/**
+ * Approval Policy Settings Component
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import TextField from "@atlaskit/textfield";
+import Select from "@atlaskit/select";
+import * as api from '../../services/api';
+import { handleApiError, isStructuredError } from '../../utils/errorHandler';
+import { MESSAGE_TYPES } from '../../constants';
+import '../../styles/ApprovalPolicySettings.css';
+
+const OUTCOME_OPTIONS = [
+  { label: 'Auto-approve', value: 'auto_approve' },
+  { label: 'Require approval', value: 'require_approval' },
+  { label: 'Deny', value: 'deny' }
+];
+
+const EMPTY_RULE = {
+  name: '',
+  outcome: 'require_approval',
+  match: { projectKeys: '', actions: [], folders: '', permissions: {}, maxExpirationMinutes: '', requesterGroups: '' }
+};
+
+// Lists are edited as comma separated text and normalized by the backend on save
+const toFormRules = (rules) => rules.map(rule => ({
+  ...rule,
+  match: {
+    ...rule.match,
+    projectKeys: rule.match.projectKeys.join(', '),
+    folders: rule.match.folders.join(', '),
+    requesterGroups: rule.match.requesterGroups.join(', '),
+    maxExpirationMinutes: rule.match.maxExpirationMinutes === null ? '' : String(rule.match.maxExpirationMinutes)
+  }
+}));
+
+const ApprovalPolicySettings = ({ setStatusMessage }) => {
+  const [rules, setRules] = useState(null);
+  const [actions, setActions] = useState([]);
+  const [permissionFlags, setPermissionFlags] = useState([]);
+  const [limits, setLimits] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const showMessage = (type, title, message, timeout = 5000) => {
+    setStatusMessage({ type, title, message });
+    setTimeout(() => setStatusMessage(null), timeout);
+  };
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const result = await api.getApprovalPolicy();
+        if (result && result.success) {
+          setRules(toFormRules(result.rules || []));
+          setActions(result.actions || []);
+          setPermissionFlags(result.permissionFlags || []);
+          setLimits(result.limits || null);
+        }
+      } catch (error) {
+        console.error('Failed to load approval policy:', error);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const updateRule = (index, changes) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateMatch = (index, changes) => {
+    const rule = rules[index];
+    updateRule(index, { match: { ...rule.match, ...changes } });
+  };
+
+  const updatePermission = (index, flag, value) => {
+    const permissions = { ...rules[index].match.permissions };
+    if (value === '') {
+      delete permissions[flag];
+    } else {
+      permissions[flag] = value === 'on';
+    }
+    updateMatch(index, { permissions });
+  };
+
+  const moveRule = (index, offset) => {
+    setRules(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await api.saveApprovalPolicy(rules);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save the approval policy'), 8000);
+        return;
+      }
+      setRules(toFormRules(result.rules || []));
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Approval Policy Saved', 'Requests saved from now on are checked against these rules.');
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save the approval policy'), 8000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!rules) {
+    return null;
+  }
+
+  const selectPortalProps = {
+    menuPortalTarget: document.body,
+    styles: { menuPortal: base => ({ ...base, zIndex: 99999 }) },
+    classNamePrefix: 'react-select'
+  };
+
+  return (
+    <div className="approval-policy-section">
+      <div className="approval-policy-section-label">Approval Policy</div>
+      <div className="approval-policy-section-description">
+        Decide what happens to a request as soon as it is saved. Rules are checked from the top and the first
+        match wins; a request no rule matches waits for an admin. Empty conditions match anything. Auto-approved
+        share requests run straight away and need a maximum expiration; ownership transfers and projects with an
+        approval chain always wait for approval.
+      </div>
+
+      {rules.length === 0 && (
+        <div className="approval-policy-empty">No policy rules - every request waits for an admin.</div>
+      )}
+
+      {rules.map((rule, ruleIndex) => (
+        <div className="approval-policy-card" key={ruleIndex}>
+          <div className="approval-policy-row">
+            <span className="approval-policy-rule-number">{ruleIndex + 1}.</span>
+            <div className="approval-policy-field">
+              <TextField
+                value={rule.name}
+                placeholder={`Rule ${ruleIndex + 1}`}
+                onChange={(e) => updateRule(ruleIndex, { name: e.target.value })}
+              />
+            </div>
+            <div className="approval-policy-field">
+              <Select
+                {...selectPortalProps}
+                options={OUTCOME_OPTIONS}
+                value={OUTCOME_OPTIONS.find(option => option.value === rule.outcome) || null}
+                onChange={(option) => updateRule(ruleIndex, { outcome: option ? option.value : 'require_approval' })}
+              />
+            </div>
+            <button
+              type="button"
+              className="approval-policy-action-button"
+              disabled={ruleIndex === 0}
+              onClick={() => moveRule(ruleIndex, -1)}
+            >
+              Up
+            </button>
+            <button
+              type="button"
+              className="approval-policy-action-button"
+              disabled={ruleIndex === rules.length - 1}
+              onClick={() => moveRule(ruleIndex, 1)}
+            >
+              Down
+            </button>
+            <button
+              type="button"
+              className="approval-policy-action-button danger"
+              onClick={() => setRules(prev => prev.filter((_, i) => i !== ruleIndex))}
+            >
+              Remove
+            </button>
+          </div>
+
+          <div className="approval-policy-row">
+            <span className="approval-policy-condition-label">Actions</span>
+            <div className="approval-policy-field wide">
+              <Select
+                {...selectPortalProps}
+                isMulti
+                options={actions}
+                value={actions.filter(action => rule.match.actions.includes(action.value))}
+                onChange={(options) => updateMatch(ruleIndex, { actions: (options || []).map(option => option.value) })}
+                placeholder="Any action"
+              />
+            </div>
+          </div>
+
+          <div className="approval-policy-row">
+            <span className="approval-policy-condition-label">Projects</span>
+            <div className="approval-policy-field wide">
+              <TextField
+                value={rule.match.projectKeys}
+                placeholder="Project keys, comma separated (empty: any project)"
+                onChange={(e) => updateMatch(ruleIndex, { projectKeys: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div className="approval-policy-row">
+            <span className="approval-policy-condition-label">Target folders</span>
+            <div className="approval-policy-field wide">
+              <TextField
+                value={rule.match.folders}
+                placeholder="Shared folder UIDs, comma separated (empty: any folder)"
+                onChange={(e) => updateMatch(ruleIndex, { folders: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div className="approval-policy-row">
+            <span className="approval-policy-condition-label">Requester groups</span>
+            <div className="approval-policy-field wide">
+              <TextField
+                value={rule.match.requesterGroups}
+                placeholder="Jira groups, comma separated (empty: anyone)"
+                onChange={(e) => updateMatch(ruleIndex, { requesterGroups: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div className="approval-policy-row">
+            <span className="approval-policy-condition-label">Max expiration</span>
+            <div className="approval-policy-field narrow">
+              <TextField
+                type="number"
+                value={rule.match.maxExpirationMinutes}
+                onChange={(e) => updateMatch(ruleIndex, { maxExpirationMinutes: e.target.value })}
+              />
+            </div>
+            <span className="approval-policy-condition-label">
+              minutes{limits ? ` (up to ${limits.maxExpirationMinutes})` : ''}
+            </span>
+          </div>
+
+          <div className="approval-policy-row">
+            <span className="approval-policy-condition-label">Permissions</span>
+            <div className="approval-policy-permissions">
+              {permissionFlags.map(flag => {
+                const expected = rule.match.permissions[flag];
+                return (
+                  <label className="approval-policy-permission" key={flag}>
+                    {flag}
+                    <select
+                      value={expected === undefined ? '' : expected ? 'on' : 'off'}
+                      onChange={(e) => updatePermission(ruleIndex, flag, e.target.value)}
+                    >
+                      <option value="">any</option>
+                      <option value="on">on</option>
+                      <option value="off">off</option>
+                    </select>
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <div className="approval-policy-footer">
+        {(!limits || rules.length < limits.maxRules) && (
+          <Button onClick={() => setRules(prev => [...prev, { ...EMPTY_RULE, match: { ...EMPTY_RULE.match } }])}>
+            Add Rule
+          </Button>
+        )}
+        <Button appearance="primary" onClick={handleSave} isLoading={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Approval Policy'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalPolicySettings;
@@ -0,0 +1,131 @@
+/**
+ * Read Command Cache Settings Component
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import TextField from "@atlaskit/textfield";
+import * as api from '../../services/api';
+import { handleApiError, isStructuredError } from '../../utils/errorHandler';
+import { MESSAGE_TYPES } from '../../constants';
+import '../../styles/CacheSettings.css';
+
+const CacheSettings = ({ setStatusMessage }) => {
+  const [settings, setSettings] = useState({ enabled: true, ttlSeconds: '', staleSeconds: '' });
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isClearing, setIsClearing] = useState(false);
+
+  const showMessage = (type, title, message, timeout = 5000) => {
+    setStatusMessage({ type, title, message });
+    setTimeout(() => setStatusMessage(null), timeout);
+  };
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const result = await api.getReadCacheConfig();
+        if (result && result.success && result.config) {
+          setSettings({
+            enabled: result.config.enabled,
+            ttlSeconds: String(result.config.ttlSeconds),
+            staleSeconds: String(result.config.staleSeconds)
+          });
+        }
+      } catch (error) {
+        console.error('Failed to load cache settings:', error);
+      } finally {
+        setIsLoaded(true);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await api.saveReadCacheConfig({
+        enabled: settings.enabled,
+        ttlSeconds: settings.ttlSeconds,
+        staleSeconds: settings.staleSeconds
+      });
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save cache settings'), 8000);
+        return;
+      }
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Cache Settings Saved', 'Read cache settings saved successfully.');
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save cache settings'), 8000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleClear = async () => {
+    setIsClearing(true);
+    try {
+      await api.clearReadCache();
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Cache Cleared', 'Cached records, folders and record details will be reloaded from Keeper.');
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Clear Failed', handleApiError(error, 'Failed to clear cache'), 8000);
+    } finally {
+      setIsClearing(false);
+    }
+  };
+
+  if (!isLoaded) {
+    return null;
+  }
+
+  return (
+    <div className="cache-settings-section">
+      <div className="cache-settings-label">Read Cache</div>
+      <div className="cache-settings-description">
+        Results of read-only commands (<code>list</code>, <code>ls</code>, <code>record-type-info</code>) are cached
+        so the issue panel doesn't use up each user's command quota. Cache hits are not rate limited. After the fresh period,
+        results are served stale while a refresh runs in the background. Record changes made from Jira clear the cache automatically.
+      </div>
+
+      <label className="cache-settings-toggle">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => setSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+        />
+        Enable read cache
+      </label>
+
+      <div className="cache-settings-fields">
+        <div className="cache-settings-field">
+          <label className="cache-settings-field-label">Fresh for (seconds)</label>
+          <TextField
+            type="number"
+            value={settings.ttlSeconds}
+            onChange={(e) => setSettings(prev => ({ ...prev, ttlSeconds: e.target.value }))}
+            isDisabled={!settings.enabled}
+          />
+        </div>
+        <div className="cache-settings-field">
+          <label className="cache-settings-field-label">Serve stale for (seconds)</label>
+          <TextField
+            type="number"
+            value={settings.staleSeconds}
+            onChange={(e) => setSettings(prev => ({ ...prev, staleSeconds: e.target.value }))}
+            isDisabled={!settings.enabled}
+          />
+        </div>
+      </div>
+
+      <div className="cache-settings-footer">
+        <Button onClick={handleClear} isLoading={isClearing}>
+          {isClearing ? 'Clearing...' : 'Clear Cache'}
+        </Button>
+        <Button appearance="primary" onClick={handleSave} isLoading={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Cache Settings'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default CacheSettings;
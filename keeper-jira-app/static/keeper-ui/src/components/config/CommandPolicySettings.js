@@ -0,0 +1,114 @@
+/**
+ * Allowed Commands Settings Component
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import TextField from "@atlaskit/textfield";
+import * as api from '../../services/api';
+import { handleApiError, isStructuredError } from '../../utils/errorHandler';
+import { MESSAGE_TYPES } from '../../constants';
+import '../../styles/CommandPolicySettings.css';
+
+const CommandPolicySettings = ({ setStatusMessage }) => {
+  const [commandsText, setCommandsText] = useState('');
+  const [readOnlyCommands, setReadOnlyCommands] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isResetting, setIsResetting] = useState(false);
+
+  const showMessage = (type, title, message, timeout = 5000) => {
+    setStatusMessage({ type, title, message });
+    setTimeout(() => setStatusMessage(null), timeout);
+  };
+
+  const applyPolicy = (policy) => {
+    setCommandsText((policy.allowedCommands || []).join(','));
+    if (policy.readOnlyCommands) {
+      setReadOnlyCommands(policy.readOnlyCommands);
+    }
+  };
+
+  useEffect(() => {
+    const loadPolicy = async () => {
+      try {
+        const result = await api.getCommandPolicy();
+        if (result && result.success) {
+          applyPolicy(result);
+        }
+      } catch (error) {
+        console.error('Failed to load allowed commands:', error);
+      } finally {
+        setIsLoaded(true);
+      }
+    };
+
+    loadPolicy();
+  }, []);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const allowedCommands = commandsText.split(',').map(item => item.trim()).filter(Boolean);
+      const result = await api.saveCommandPolicy(allowedCommands);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save allowed commands'), 8000);
+        return;
+      }
+      applyPolicy(result);
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Allowed Commands Saved', 'Command allow-list saved successfully.');
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save allowed commands'), 8000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    setIsResetting(true);
+    try {
+      const result = await api.resetCommandPolicy();
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Reset Failed', handleApiError(result, 'Failed to reset allowed commands'), 8000);
+        return;
+      }
+      applyPolicy(result);
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Allowed Commands Reset', 'The default command list from the setup instructions is in use.');
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Reset Failed', handleApiError(error, 'Failed to reset allowed commands'), 8000);
+    } finally {
+      setIsResetting(false);
+    }
+  };
+
+  if (!isLoaded) {
+    return null;
+  }
+
+  return (
+    <div className="command-policy-section">
+      <div className="command-policy-label">Allowed Commands</div>
+      <div className="command-policy-description">
+        Comma-separated Commander commands that may be run from this page, in the same format as the <code>-c</code> option
+        of <code>service-create</code>. Commands other than read-only ones ({readOnlyCommands.join(', ')}) also require a Jira administrator.
+        Rejected commands are logged with the user's account ID.
+      </div>
+
+      <TextField
+        value={commandsText}
+        onChange={(e) => setCommandsText(e.target.value)}
+        placeholder="record-add,list,ls,get,..."
+      />
+
+      <div className="command-policy-footer">
+        <Button onClick={handleReset} isLoading={isResetting}>
+          {isResetting ? 'Resetting...' : 'Reset to Defaults'}
+        </Button>
+        <Button appearance="primary" onClick={handleSave} isLoading={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Allowed Commands'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPolicySettings;
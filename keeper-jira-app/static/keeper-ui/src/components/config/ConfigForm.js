@@ -11,6 +11,7 @@ import '../../styles/ConfigForm.css';
 const ConfigForm = ({
   formValues,
   setFormValues,
+  storedApiKeyPreview,
   formKey,
   isApiKeyMasked,
   setIsApiKeyMasked,
@@ -80,9 +81,9 @@ const ConfigForm = ({
             label={renderLabel("Keeper API Key")} 
             name="apiKey"
             defaultValue={formValues.apiKey}
-            isRequired
+            isRequired={!storedApiKeyPreview}
             validate={(value) => {
-              if (!value || value.trim() === '') {
+              if ((!value || value.trim() === '') && !storedApiKeyPreview) {
                 return 'Keeper API Key is required';
               }
             }}
@@ -95,7 +96,7 @@ const ConfigForm = ({
                     value={formValues.apiKey}
                     onChange={(e) => setFormValues(prev => ({ ...prev, apiKey: e.target.value }))}
                     type={isApiKeyMasked ? "password" : "text"}
-                    placeholder="Enter your Keeper API key"
+                    placeholder={storedApiKeyPreview ? `Stored key ${storedApiKeyPreview} - leave blank to keep it` : "Enter your Keeper API key"}
                     className="api-key-field-input"
                   />
                   <div className="api-key-field-actions">
@@ -118,6 +119,11 @@ const ConfigForm = ({
                     </button>
                   </div>
                 </div>
+                {storedApiKeyPreview && (
+                  <div className="config-form-helper-text">
+                    The API key is kept in encrypted secret storage and is not shown again. Enter a new key only to replace it.
+                  </div>
+                )}
                 {/* Security warning when API key is visible */}
                 {!isApiKeyMasked && formValues.apiKey && (
                   <div className="api-key-visible-warning">
@@ -163,7 +169,7 @@ const ConfigForm = ({
           )}
           
           {/* Setup instructions when form is empty */}
-          {(!formValues.apiUrl.trim() || !formValues.apiKey.trim()) && (
+          {(!formValues.apiUrl.trim() || (!formValues.apiKey.trim() && !storedApiKeyPreview)) && (
             <div className="setup-instructions">
               <div className="setup-instructions-title">
                 Setup Instructions:
@@ -177,7 +183,7 @@ const ConfigForm = ({
           )}
           
           {/* Warning when connection test is required */}
-          {hasFormChanges && !connectionTested && formValues.apiUrl.trim() && formValues.apiKey.trim() && (
+          {hasFormChanges && !connectionTested && formValues.apiUrl.trim() && (formValues.apiKey.trim() || storedApiKeyPreview) && (
             <div className="config-warning">
               <span className="config-warning-text">
                 Please test the connection before saving settings.
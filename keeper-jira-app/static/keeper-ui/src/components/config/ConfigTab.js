@@ -6,6 +6,17 @@ import SectionMessage from "@atlaskit/section-message";
 import Loading from '../common/Loading';
 import StatusMessage from '../common/StatusMessage';
 import ConfigForm from './ConfigForm';
+import ConnectionsConfig from './ConnectionsConfig';
+import CacheSettings from './CacheSettings';
+import RateLimitSettings from './RateLimitSettings';
+import KeyRotationSettings from './KeyRotationSettings';
+import CommandPolicySettings from './CommandPolicySettings';
+import PasswordPolicySettings from './PasswordPolicySettings';
+import ApprovalChainSettings from './ApprovalChainSettings';
+import ApprovalPolicySettings from './ApprovalPolicySettings';
+import WorkflowSettings from './WorkflowSettings';
+import RequestExpirySettings from './RequestExpirySettings';
+import SeparationOfDutiesSettings from './SeparationOfDutiesSettings';
 import '../../styles/ConfigTab.css';
 
 const ConfigTab = ({
@@ -16,6 +27,7 @@ const ConfigTab = ({
   setStatusMessage,
   formValues,
   setFormValues,
+  storedApiKeyPreview,
   formKey,
   isApiKeyMasked,
   setIsApiKeyMasked,
@@ -26,7 +38,8 @@ const ConfigTab = ({
   handleSubmit,
   handleTestConnection,
   handleClearForm,
-  copyApiKey
+  copyApiKey,
+  onKeyRotationStatusChange
 }) => {
   return (
     <>
@@ -58,21 +71,35 @@ const ConfigTab = ({
           {isLoading ? (
             <Loading message="Loading configuration..." />
           ) : (
-            <ConfigForm
-              formValues={formValues}
-              setFormValues={setFormValues}
-              formKey={formKey}
-              isApiKeyMasked={isApiKeyMasked}
-              setIsApiKeyMasked={setIsApiKeyMasked}
-              showCopiedMessage={showCopiedMessage}
-              isTestingConnection={isTestingConnection}
-              hasFormChanges={hasFormChanges}
-              connectionTested={connectionTested}
-              handleSubmit={handleSubmit}
-              handleTestConnection={handleTestConnection}
-              handleClearForm={handleClearForm}
-              copyApiKey={copyApiKey}
-            />
+            <>
+              <ConfigForm
+                formValues={formValues}
+                setFormValues={setFormValues}
+                storedApiKeyPreview={storedApiKeyPreview}
+                formKey={formKey}
+                isApiKeyMasked={isApiKeyMasked}
+                setIsApiKeyMasked={setIsApiKeyMasked}
+                showCopiedMessage={showCopiedMessage}
+                isTestingConnection={isTestingConnection}
+                hasFormChanges={hasFormChanges}
+                connectionTested={connectionTested}
+                handleSubmit={handleSubmit}
+                handleTestConnection={handleTestConnection}
+                handleClearForm={handleClearForm}
+                copyApiKey={copyApiKey}
+              />
+              <ConnectionsConfig setStatusMessage={setStatusMessage} />
+              <KeyRotationSettings setStatusMessage={setStatusMessage} onStatusChange={onKeyRotationStatusChange} />
+              <CacheSettings setStatusMessage={setStatusMessage} />
+              <RateLimitSettings setStatusMessage={setStatusMessage} />
+              <CommandPolicySettings setStatusMessage={setStatusMessage} />
+              <PasswordPolicySettings setStatusMessage={setStatusMessage} />
+              <ApprovalChainSettings setStatusMessage={setStatusMessage} />
+              <ApprovalPolicySettings setStatusMessage={setStatusMessage} />
+              <WorkflowSettings setStatusMessage={setStatusMessage} />
+              <RequestExpirySettings setStatusMessage={setStatusMessage} />
+              <SeparationOfDutiesSettings setStatusMessage={setStatusMessage} />
+            </>
           )}
         </>
       )}
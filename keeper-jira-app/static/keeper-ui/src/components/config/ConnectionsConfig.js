@@ -0,0 +1,432 @@
+/**
+ * Named Connections & Project Routing Component
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import TextField from "@atlaskit/textfield";
+import Select from "@atlaskit/select";
+import Spinner from "@atlaskit/spinner";
+import * as api from '../../services/api';
+import { handleApiError, isStructuredError } from '../../utils/errorHandler';
+import { MESSAGE_TYPES } from '../../constants';
+import '../../styles/ConnectionsConfig.css';
+
+const EMPTY_CONNECTION_FORM = { id: null, name: '', apiUrl: '', apiKey: '' };
+
+const ConnectionsConfig = ({ setStatusMessage }) => {
+  const [connections, setConnections] = useState([]);
+  const [routes, setRoutes] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [issueTypesByProject, setIssueTypesByProject] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [connectionForm, setConnectionForm] = useState(EMPTY_CONNECTION_FORM);
+  const [showConnectionForm, setShowConnectionForm] = useState(false);
+  const [isSavingConnection, setIsSavingConnection] = useState(false);
+  const [deletingConnectionId, setDeletingConnectionId] = useState(null);
+  const [refreshingConnectionId, setRefreshingConnectionId] = useState(null);
+  const [isSavingRoutes, setIsSavingRoutes] = useState(false);
+
+  const showMessage = (type, title, message, timeout = 5000) => {
+    setStatusMessage({ type, title, message });
+    setTimeout(() => setStatusMessage(null), timeout);
+  };
+
+  // Load connections, routes and projects on mount
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const [connectionsResult, projectsResult] = await Promise.all([
+          api.getKeeperConnections(),
+          api.getJiraProjects()
+        ]);
+
+        if (connectionsResult && connectionsResult.success) {
+          setConnections(connectionsResult.connections || []);
+          setRoutes(connectionsResult.routes || []);
+
+          // Preload issue types for projects that already have issue type routes
+          const routedProjects = [...new Set((connectionsResult.routes || [])
+            .filter(route => route.issueType)
+            .map(route => route.projectKey))];
+          routedProjects.forEach(projectKey => loadIssueTypes(projectKey));
+        }
+
+        if (projectsResult && projectsResult.success && projectsResult.projects) {
+          setProjects(projectsResult.projects.map(p => ({
+            label: `${p.name} (${p.key})`,
+            value: p.key
+          })));
+        }
+      } catch (error) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Load Failed', handleApiError(error, 'Failed to load Keeper connections'), 8000);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadData();
+  }, []);
+
+  // Load issue types for a project (cached per project)
+  const loadIssueTypes = async (projectKey) => {
+    if (!projectKey || issueTypesByProject[projectKey]) return;
+    try {
+      const result = await api.getProjectIssueTypes(projectKey);
+      if (result && result.success && result.issueTypes) {
+        setIssueTypesByProject(prev => ({
+          ...prev,
+          [projectKey]: result.issueTypes.map(it => ({ label: it.name, value: it.name }))
+        }));
+      }
+    } catch (error) {
+      console.error('Failed to load issue types:', error);
+    }
+  };
+
+  const connectionOptions = connections
+    .filter(conn => conn.isConfigured)
+    .map(conn => ({ label: conn.name, value: conn.id }));
+
+  // Open the form for a new or existing connection
+  const openConnectionForm = (connection = null) => {
+    setConnectionForm(connection
+      ? { id: connection.id, name: connection.name, apiUrl: connection.apiUrl, apiKey: '' }
+      : EMPTY_CONNECTION_FORM);
+    setShowConnectionForm(true);
+  };
+
+  const closeConnectionForm = () => {
+    setConnectionForm(EMPTY_CONNECTION_FORM);
+    setShowConnectionForm(false);
+  };
+
+  // Save connection (backend validates the URL and tests the connection before saving)
+  const handleSaveConnection = async () => {
+    setIsSavingConnection(true);
+    try {
+      const result = await api.saveKeeperConnection({
+        id: connectionForm.id || undefined,
+        name: connectionForm.name,
+        apiUrl: connectionForm.apiUrl,
+        apiKey: connectionForm.apiKey
+      });
+
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save connection'), 8000);
+        return;
+      }
+
+      const refreshed = await api.getKeeperConnections();
+      if (refreshed && refreshed.success) {
+        setConnections(refreshed.connections || []);
+      }
+      closeConnectionForm();
+
+      const warningText = result.warnings && result.warnings.length > 0 ? ` ${result.warnings.join(' ')}` : '';
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Connection Saved', `${result.message || 'Connection saved successfully'}.${warningText}`);
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save connection'), 8000);
+    } finally {
+      setIsSavingConnection(false);
+    }
+  };
+
+  // Delete connection and its routes
+  const handleDeleteConnection = async (connection) => {
+    const routeCount = routes.filter(route => route.connectionId === connection.id).length;
+    const routeWarning = routeCount > 0
+      ? ` ${routeCount} route(s) using it will be removed and those projects will use the Default connection.`
+      : '';
+    if (!window.confirm(`Delete the "${connection.name}" connection?${routeWarning}`)) {
+      return;
+    }
+
+    setDeletingConnectionId(connection.id);
+    try {
+      const result = await api.deleteKeeperConnection(connection.id);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Delete Failed', handleApiError(result, 'Failed to delete connection'), 8000);
+        return;
+      }
+      setConnections(prev => prev.filter(conn => conn.id !== connection.id));
+      setRoutes(prev => prev.filter(route => route.connectionId !== connection.id));
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Connection Deleted', `"${connection.name}" has been deleted.`);
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Delete Failed', handleApiError(error, 'Failed to delete connection'), 8000);
+    } finally {
+      setDeletingConnectionId(null);
+    }
+  };
+
+  // Re-check the Commander version and enabled commands for a connection
+  const handleRefreshCapabilities = async (connection) => {
+    setRefreshingConnectionId(connection.id);
+    try {
+      const result = await api.refreshKeeperCapabilities(connection.id);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Check Failed', handleApiError(result, 'Failed to check Commander capabilities'), 8000);
+        return;
+      }
+      setConnections(prev => prev.map(conn => (conn.id === connection.id ? { ...conn, capabilities: result.capabilities } : conn)));
+      const warnings = result.capabilities?.warnings || [];
+      if (warnings.length > 0) {
+        showMessage(MESSAGE_TYPES.WARNING, 'Commander Checked', warnings.join(' '), 10000);
+      } else {
+        showMessage(MESSAGE_TYPES.SUCCESS, 'Commander Checked', `"${connection.name}" supports every Keeper action.`);
+      }
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Check Failed', handleApiError(error, 'Failed to check Commander capabilities'), 8000);
+    } finally {
+      setRefreshingConnectionId(null);
+    }
+  };
+
+  // Summary of the stored capability profile for the table
+  const describeCapabilities = (capabilities) => {
+    if (!capabilities) {
+      return 'Not checked';
+    }
+    const version = capabilities.version ? `v${capabilities.version}` : 'Unknown version';
+    const commands = capabilities.commands ? `${capabilities.commands.length} commands` : 'commands not reported';
+    return `${version}, ${commands}`;
+  };
+
+  // Route row editing
+  const addRoute = () => {
+    setRoutes(prev => [...prev, { projectKey: '', issueType: null, connectionId: '' }]);
+  };
+
+  const updateRoute = (index, changes) => {
+    setRoutes(prev => prev.map((route, i) => (i === index ? { ...route, ...changes } : route)));
+    if (changes.projectKey) {
+      loadIssueTypes(changes.projectKey);
+    }
+  };
+
+  const removeRoute = (index) => {
+    setRoutes(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSaveRoutes = async () => {
+    const incomplete = routes.some(route => !route.projectKey || !route.connectionId);
+    if (incomplete) {
+      showMessage(MESSAGE_TYPES.WARNING, 'Missing Information', 'Every route needs a project and a connection');
+      return;
+    }
+
+    setIsSavingRoutes(true);
+    try {
+      const result = await api.saveKeeperConnectionRoutes(routes);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save routing'), 8000);
+        return;
+      }
+      setRoutes(result.routes || routes);
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Routing Saved', 'Connection routing saved successfully.');
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save routing'), 8000);
+    } finally {
+      setIsSavingRoutes(false);
+    }
+  };
+
+  const selectPortalProps = {
+    menuPortalTarget: document.body,
+    styles: { menuPortal: base => ({ ...base, zIndex: 99999 }) },
+    classNamePrefix: 'react-select'
+  };
+
+  if (isLoading) {
+    return (
+      <div className="connections-loading">
+        <Spinner size="medium" />
+        <span>Loading connections...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="connections-config-container">
+      {/* Named Connections Section */}
+      <div className="connections-section">
+        <div className="connections-section-header">
+          <div className="connections-section-label">Named Connections</div>
+          <div className="connections-section-description">
+            Register additional Commander Service Mode instances (for example a non-production vault).
+            The connection configured above is always available as <strong>Default</strong>.
+          </div>
+        </div>
+
+        <table className="connections-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>API URL</th>
+              <th>API Key</th>
+              <th>Commander</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {connections.map(conn => (
+              <tr key={conn.id}>
+                <td>
+                  {conn.name}
+                  {conn.isDefault && <span className="connections-default-badge">Default</span>}
+                </td>
+                <td className="connections-mono">{conn.apiUrl || 'Not configured'}</td>
+                <td className="connections-mono">{conn.apiKeyPreview || '-'}</td>
+                <td>
+                  {describeCapabilities(conn.capabilities)}
+                  {conn.capabilities?.warnings?.length > 0 && (
+                    <div className="connections-capability-warning">{conn.capabilities.warnings.join(' ')}</div>
+                  )}
+                </td>
+                <td className="connections-actions">
+                  {conn.isConfigured && (
+                    <button
+                      type="button"
+                      className="connections-action-button"
+                      onClick={() => handleRefreshCapabilities(conn)}
+                      disabled={refreshingConnectionId === conn.id}
+                    >
+                      {refreshingConnectionId === conn.id ? 'Checking...' : 'Re-check'}
+                    </button>
+                  )}
+                  {!conn.isDefault && (
+                    <>
+                      <button
+                        type="button"
+                        className="connections-action-button"
+                        onClick={() => openConnectionForm(conn)}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        className="connections-action-button danger"
+                        onClick={() => handleDeleteConnection(conn)}
+                        disabled={deletingConnectionId === conn.id}
+                      >
+                        {deletingConnectionId === conn.id ? 'Deleting...' : 'Delete'}
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {showConnectionForm ? (
+          <div className="connections-form">
+            <label className="connections-field-label">Connection Name</label>
+            <TextField
+              value={connectionForm.name}
+              onChange={(e) => setConnectionForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g. Non Prod"
+            />
+            <label className="connections-field-label">Keeper API URL</label>
+            <TextField
+              value={connectionForm.apiUrl}
+              onChange={(e) => setConnectionForm(prev => ({ ...prev, apiUrl: e.target.value }))}
+              placeholder="https://your-nonprod-tunnel.ngrok.app"
+            />
+            <label className="connections-field-label">Keeper API Key</label>
+            <TextField
+              type="password"
+              value={connectionForm.apiKey}
+              onChange={(e) => setConnectionForm(prev => ({ ...prev, apiKey: e.target.value }))}
+              placeholder={connectionForm.id ? 'Leave blank to keep the current key' : 'Enter the API key for this connection'}
+            />
+            <div className="connections-form-footer">
+              <Button appearance="subtle" onClick={closeConnectionForm} isDisabled={isSavingConnection}>
+                Cancel
+              </Button>
+              <Button
+                appearance="primary"
+                onClick={handleSaveConnection}
+                isLoading={isSavingConnection}
+                isDisabled={!connectionForm.name.trim() || !connectionForm.apiUrl.trim() || (!connectionForm.id && !connectionForm.apiKey.trim())}
+              >
+                {isSavingConnection ? 'Testing & Saving...' : 'Test & Save Connection'}
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <Button onClick={() => openConnectionForm()}>Add Connection</Button>
+        )}
+      </div>
+
+      {/* Project Routing Section */}
+      <div className="connections-section">
+        <div className="connections-section-header">
+          <div className="connections-section-label">Project Routing</div>
+          <div className="connections-section-description">
+            Route Jira projects, or specific issue types within a project, to a connection.
+            An issue type route takes precedence over a project-wide route; unrouted issues use the Default connection.
+          </div>
+        </div>
+
+        {routes.length === 0 ? (
+          <div className="connections-empty">No routes configured - all projects use the Default connection.</div>
+        ) : (
+          routes.map((route, index) => (
+            <div className="connections-route-row" key={index}>
+              <div className="connections-route-field">
+                <Select
+                  {...selectPortalProps}
+                  options={projects}
+                  value={projects.find(p => p.value === route.projectKey) || null}
+                  onChange={(option) => updateRoute(index, { projectKey: option ? option.value : '', issueType: null })}
+                  placeholder="Project..."
+                  isSearchable={true}
+                />
+              </div>
+              <div className="connections-route-field">
+                <Select
+                  {...selectPortalProps}
+                  options={issueTypesByProject[route.projectKey] || []}
+                  value={route.issueType ? { label: route.issueType, value: route.issueType } : null}
+                  onChange={(option) => updateRoute(index, { issueType: option ? option.value : null })}
+                  placeholder="All issue types"
+                  isDisabled={!route.projectKey}
+                  isClearable={true}
+                />
+              </div>
+              <div className="connections-route-field">
+                <Select
+                  {...selectPortalProps}
+                  options={connectionOptions}
+                  value={connectionOptions.find(c => c.value === route.connectionId) || null}
+                  onChange={(option) => updateRoute(index, { connectionId: option ? option.value : '' })}
+                  placeholder="Connection..."
+                />
+              </div>
+              <button
+                type="button"
+                className="connections-action-button danger"
+                onClick={() => removeRoute(index)}
+              >
+                Remove
+              </button>
+            </div>
+          ))
+        )}
+
+        <div className="connections-form-footer">
+          <Button onClick={addRoute}>Add Route</Button>
+          <Button
+            appearance="primary"
+            onClick={handleSaveRoutes}
+            isLoading={isSavingRoutes}
+          >
+            {isSavingRoutes ? 'Saving...' : 'Save Routing'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConnectionsConfig;
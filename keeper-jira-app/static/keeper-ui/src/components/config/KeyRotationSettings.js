@@ -0,0 +1,272 @@
+/**
+ * API Key Rotation Settings Component
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import TextField from "@atlaskit/textfield";
+import Select from "@atlaskit/select";
+import * as api from '../../services/api';
+import { handleApiError, isStructuredError } from '../../utils/errorHandler';
+import { MESSAGE_TYPES } from '../../constants';
+import '../../styles/KeyRotationSettings.css';
+
+const toFormValues = (config) => ({
+  graceHours: String(config?.graceHours ?? ''),
+  maxKeyAgeDays: String(config?.maxKeyAgeDays ?? '')
+});
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '-';
+
+const KeyRotationSettings = ({ setStatusMessage, onStatusChange }) => {
+  const [status, setStatus] = useState(null);
+  const [settings, setSettings] = useState(toFormValues(null));
+  const [connectionId, setConnectionId] = useState(null);
+  const [newApiKey, setNewApiKey] = useState('');
+  const [testedKey, setTestedKey] = useState(null);
+  const [isTesting, setIsTesting] = useState(false);
+  const [isRotating, setIsRotating] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [endingId, setEndingId] = useState(null);
+
+  const showMessage = (type, title, message, timeout = 5000) => {
+    setStatusMessage({ type, title, message });
+    setTimeout(() => setStatusMessage(null), timeout);
+  };
+
+  const loadStatus = async () => {
+    try {
+      const result = await api.getKeyRotationStatus();
+      if (result && result.success && result.connections) {
+        setStatus(result);
+        setSettings(toFormValues(result.config));
+        setConnectionId(current => current || result.connections[0]?.id || null);
+        if (onStatusChange) {
+          onStatusChange(result);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load key rotation status:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const selectConnection = (id) => {
+    setConnectionId(id);
+    setNewApiKey('');
+    setTestedKey(null);
+  };
+
+  const handleTest = async () => {
+    setIsTesting(true);
+    try {
+      const result = await api.testRotationApiKey(connectionId, newApiKey);
+      if (isStructuredError(result)) {
+        setTestedKey(null);
+        showMessage(MESSAGE_TYPES.ERROR, 'Test Failed', handleApiError(result, 'The new API key could not be verified'), 8000);
+        return;
+      }
+      setTestedKey(newApiKey);
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Key Verified', 'The new API key works. Switch to it when you are ready.');
+    } catch (error) {
+      setTestedKey(null);
+      showMessage(MESSAGE_TYPES.ERROR, 'Test Failed', handleApiError(error, 'The new API key could not be verified'), 8000);
+    } finally {
+      setIsTesting(false);
+    }
+  };
+
+  const handleRotate = async () => {
+    setIsRotating(true);
+    try {
+      const result = await api.rotateApiKey(connectionId, newApiKey);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Rotation Failed', handleApiError(result, 'Failed to switch the API key'), 8000);
+        return;
+      }
+      setNewApiKey('');
+      setTestedKey(null);
+      showMessage(MESSAGE_TYPES.SUCCESS, 'API Key Rotated', result.message, 8000);
+      await loadStatus();
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Rotation Failed', handleApiError(error, 'Failed to switch the API key'), 8000);
+    } finally {
+      setIsRotating(false);
+    }
+  };
+
+  const handleEndGrace = async (connection) => {
+    setEndingId(connection.id);
+    try {
+      const result = await api.endKeyRotationGracePeriod(connection.id);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Update Failed', handleApiError(result, 'Failed to remove the previous key'), 8000);
+        return;
+      }
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Previous Key Removed', `${connection.name} no longer accepts its previous API key.`);
+      await loadStatus();
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Update Failed', handleApiError(error, 'Failed to remove the previous key'), 8000);
+    } finally {
+      setEndingId(null);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await api.saveKeyRotationConfig(settings);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save key rotation settings'), 8000);
+        return;
+      }
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Settings Saved', 'Key rotation settings saved successfully.');
+      await loadStatus();
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save key rotation settings'), 8000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!status || status.connections.length === 0) {
+    return null;
+  }
+
+  const connectionOptions = status.connections.map(conn => ({ label: conn.name, value: conn.id }));
+  const keyIsTested = testedKey !== null && testedKey === newApiKey;
+
+  return (
+    <div className="key-rotation-section">
+      <div className="key-rotation-label">API Key Rotation</div>
+      <div className="key-rotation-description">
+        Enter a new Commander API key, test it, then switch to it. For {status.config.graceHours} hours after the switch the
+        previous key is still tried whenever Commander rejects the new one, so requests keep working while the service is
+        updated. Keys older than {status.config.maxKeyAgeDays} days show a warning on this page.
+      </div>
+
+      <div className="key-rotation-row">
+        <div className="key-rotation-field">
+          <label className="key-rotation-field-label">Connection</label>
+          <Select
+            menuPortalTarget={document.body}
+            styles={{ menuPortal: base => ({ ...base, zIndex: 99999 }) }}
+            classNamePrefix="react-select"
+            options={connectionOptions}
+            value={connectionOptions.find(option => option.value === connectionId) || null}
+            onChange={(option) => selectConnection(option ? option.value : null)}
+          />
+        </div>
+        <div className="key-rotation-field">
+          <label className="key-rotation-field-label">New API Key</label>
+          <TextField
+            type="password"
+            value={newApiKey}
+            onChange={(e) => setNewApiKey(e.target.value)}
+            placeholder="Enter the replacement key"
+          />
+        </div>
+      </div>
+
+      <div className="key-rotation-footer">
+        <Button onClick={handleTest} isLoading={isTesting} isDisabled={!connectionId || !newApiKey.trim()}>
+          Test New Key
+        </Button>
+        <Button appearance="primary" onClick={handleRotate} isLoading={isRotating} isDisabled={!keyIsTested}>
+          Switch to New Key
+        </Button>
+      </div>
+
+      <div className="key-rotation-subtitle">Current keys</div>
+      <table className="key-rotation-table">
+        <thead>
+          <tr>
+            <th>Connection</th>
+            <th>Key</th>
+            <th>Age</th>
+            <th>Previous key accepted until</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {status.connections.map((conn) => (
+            <tr key={conn.id}>
+              <td>{conn.name}</td>
+              <td className="key-rotation-mono">{conn.apiKeyPreview || '-'}</td>
+              <td className={conn.overdue ? 'key-rotation-overdue' : ''}>
+                {conn.keyAgeDays === null ? 'Unknown' : `${conn.keyAgeDays} days`}
+              </td>
+              <td>{conn.graceActive ? formatDate(conn.previousKeyExpiresAt) : '-'}</td>
+              <td className="key-rotation-actions">
+                {conn.graceActive && (
+                  <Button spacing="compact" onClick={() => handleEndGrace(conn)} isLoading={endingId === conn.id}>
+                    End Now
+                  </Button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="key-rotation-subtitle">Rotation history</div>
+      {status.history.length === 0 ? (
+        <div className="key-rotation-description">No keys have been rotated yet.</div>
+      ) : (
+        <table className="key-rotation-table">
+          <thead>
+            <tr>
+              <th>Rotated</th>
+              <th>Connection</th>
+              <th>Previous key</th>
+              <th>New key</th>
+              <th>Grace period ended</th>
+            </tr>
+          </thead>
+          <tbody>
+            {status.history.map((entry) => (
+              <tr key={`${entry.connectionId}-${entry.rotatedAt}`}>
+                <td>{formatDate(entry.rotatedAt)}</td>
+                <td>{entry.connectionName}</td>
+                <td className="key-rotation-mono">{entry.previousKeyPreview || '-'}</td>
+                <td className="key-rotation-mono">{entry.newKeyPreview}</td>
+                <td>{entry.graceEndsAt ? formatDate(entry.graceEndsAt) : 'No grace period'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="key-rotation-subtitle">Settings</div>
+      <div className="key-rotation-row">
+        <div className="key-rotation-field">
+          <label className="key-rotation-field-label">Grace period (hours)</label>
+          <TextField
+            type="number"
+            value={settings.graceHours}
+            onChange={(e) => setSettings(prev => ({ ...prev, graceHours: e.target.value }))}
+            placeholder={status.defaults ? String(status.defaults.graceHours) : ''}
+          />
+        </div>
+        <div className="key-rotation-field">
+          <label className="key-rotation-field-label">Warn when a key is older than (days)</label>
+          <TextField
+            type="number"
+            value={settings.maxKeyAgeDays}
+            onChange={(e) => setSettings(prev => ({ ...prev, maxKeyAgeDays: e.target.value }))}
+            placeholder={status.defaults ? String(status.defaults.maxKeyAgeDays) : ''}
+          />
+        </div>
+      </div>
+      <div className="key-rotation-footer">
+        <Button appearance="primary" onClick={handleSave} isLoading={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Rotation Settings'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default KeyRotationSettings;
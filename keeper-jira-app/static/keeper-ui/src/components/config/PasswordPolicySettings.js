@@ -0,0 +1,118 @@
+/**
+ * Password Policy Settings Component
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import TextField from "@atlaskit/textfield";
+import * as api from '../../services/api';
+import { handleApiError, isStructuredError } from '../../utils/errorHandler';
+import { MESSAGE_TYPES } from '../../constants';
+import '../../styles/PasswordPolicySettings.css';
+
+const NUMBER_FIELDS = [
+  { name: 'minLength', label: 'Minimum length' },
+  { name: 'minLowercase', label: 'Lowercase letters' },
+  { name: 'minUppercase', label: 'Uppercase letters' },
+  { name: 'minDigits', label: 'Numbers' },
+  { name: 'minSymbols', label: 'Symbols' }
+];
+
+const toFormValues = (policy) => ({
+  ...Object.fromEntries(NUMBER_FIELDS.map(field => [field.name, String(policy[field.name])])),
+  allowPassphrase: policy.allowPassphrase,
+  minPassphraseWords: String(policy.minPassphraseWords)
+});
+
+const PasswordPolicySettings = ({ setStatusMessage }) => {
+  const [settings, setSettings] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const showMessage = (type, title, message, timeout = 5000) => {
+    setStatusMessage({ type, title, message });
+    setTimeout(() => setStatusMessage(null), timeout);
+  };
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const result = await api.getPasswordPolicy();
+        if (result && result.success && result.policy) {
+          setSettings(toFormValues(result.policy));
+        }
+      } catch (error) {
+        console.error('Failed to load password policy:', error);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await api.savePasswordPolicy(settings);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save password policy'), 8000);
+        return;
+      }
+      setSettings(toFormValues(result.policy));
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Password Policy Saved', 'Passwords typed into record requests must now meet this policy.');
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save password policy'), 8000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <div className="password-policy-section">
+      <div className="password-policy-label">Password Policy</div>
+      <div className="password-policy-description">
+        The minimum every password typed into a record request must meet. Passwords generated from the issue panel
+        (with <code>$GEN</code> and the password editor) are generated to meet it as well. Character counts are minimums.
+      </div>
+
+      <div className="password-policy-fields">
+        {NUMBER_FIELDS.map(field => (
+          <div key={field.name} className="password-policy-field">
+            <label className="password-policy-field-label">{field.label}</label>
+            <TextField
+              type="number"
+              value={settings[field.name]}
+              onChange={(e) => setSettings(prev => ({ ...prev, [field.name]: e.target.value }))}
+            />
+          </div>
+        ))}
+      </div>
+
+      <label className="password-policy-toggle">
+        <input
+          type="checkbox"
+          checked={settings.allowPassphrase}
+          onChange={(e) => setSettings(prev => ({ ...prev, allowPassphrase: e.target.checked }))}
+        />
+        Allow generated passphrases with at least
+        <input
+          type="number"
+          className="password-policy-inline-input"
+          value={settings.minPassphraseWords}
+          disabled={!settings.allowPassphrase}
+          onChange={(e) => setSettings(prev => ({ ...prev, minPassphraseWords: e.target.value }))}
+        />
+        words
+      </label>
+
+      <div className="password-policy-footer">
+        <Button appearance="primary" onClick={handleSave} isLoading={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Password Policy'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default PasswordPolicySettings;
@@ -0,0 +1,199 @@
+/**
+ * Command Rate Limit Settings Component
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import TextField from "@atlaskit/textfield";
+import * as api from '../../services/api';
+import { handleApiError, isStructuredError } from '../../utils/errorHandler';
+import { MESSAGE_TYPES } from '../../constants';
+import '../../styles/RateLimitSettings.css';
+
+const RATE_LIMIT_LEVELS = [
+  { key: 'user', label: 'Per user' },
+  { key: 'project', label: 'Per project' },
+  { key: 'global', label: 'Global (Commander queue)' }
+];
+
+const toFormValues = (config) => {
+  const values = {};
+  for (const { key } of RATE_LIMIT_LEVELS) {
+    values[key] = {
+      capacity: String(config?.[key]?.capacity ?? ''),
+      refillPerHour: String(config?.[key]?.refillPerHour ?? '')
+    };
+  }
+  return values;
+};
+
+const formatRefillTime = (seconds) => {
+  if (!seconds || seconds <= 0) return 'Full';
+  if (seconds < 120) return `${seconds}s`;
+  return `${Math.ceil(seconds / 60)} min`;
+};
+
+const RateLimitSettings = ({ setStatusMessage }) => {
+  const [settings, setSettings] = useState(toFormValues(null));
+  const [defaults, setDefaults] = useState(null);
+  const [usage, setUsage] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [resettingId, setResettingId] = useState(null);
+
+  const showMessage = (type, title, message, timeout = 5000) => {
+    setStatusMessage({ type, title, message });
+    setTimeout(() => setStatusMessage(null), timeout);
+  };
+
+  const loadUsage = async () => {
+    try {
+      const result = await api.getRateLimitUsage();
+      if (result && result.success) {
+        setUsage(result.users || []);
+      }
+    } catch (error) {
+      console.error('Failed to load command usage:', error);
+    }
+  };
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const result = await api.getRateLimitConfig();
+        if (result && result.success && result.config) {
+          setSettings(toFormValues(result.config));
+          setDefaults(result.defaults || null);
+        }
+        await loadUsage();
+      } catch (error) {
+        console.error('Failed to load rate limit settings:', error);
+      } finally {
+        setIsLoaded(true);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const updateField = (level, field, value) => {
+    setSettings(prev => ({ ...prev, [level]: { ...prev[level], [field]: value } }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await api.saveRateLimitConfig(settings);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save rate limits'), 8000);
+        return;
+      }
+      setSettings(toFormValues(result.config));
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Rate Limits Saved', 'Command rate limits saved successfully.');
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save rate limits'), 8000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleReset = async (user) => {
+    setResettingId(user.accountId);
+    try {
+      const result = await api.resetRateLimitUsage(user.accountId);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Reset Failed', handleApiError(result, 'Failed to reset command usage'), 8000);
+        return;
+      }
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Usage Reset', `${user.displayName || user.accountId} has a full command budget again.`);
+      await loadUsage();
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Reset Failed', handleApiError(error, 'Failed to reset command usage'), 8000);
+    } finally {
+      setResettingId(null);
+    }
+  };
+
+  if (!isLoaded) {
+    return null;
+  }
+
+  return (
+    <div className="rate-limit-settings-section">
+      <div className="rate-limit-settings-label">Rate Limits</div>
+      <div className="rate-limit-settings-description">
+        Each Keeper command uses one token from the user's budget, the issue's project budget and the global budget.
+        Budgets refill continuously: <strong>burst</strong> is how many commands can run back to back, <strong>per hour</strong> is the
+        sustained rate. Keep the global burst at or below the Commander queue size (100). Cached reads are not counted.
+      </div>
+
+      <div className="rate-limit-settings-grid">
+        {RATE_LIMIT_LEVELS.map(({ key, label }) => (
+          <div className="rate-limit-settings-row" key={key}>
+            <div className="rate-limit-settings-level">{label}</div>
+            <div className="rate-limit-settings-field">
+              <label className="rate-limit-settings-field-label">Burst</label>
+              <TextField
+                type="number"
+                value={settings[key].capacity}
+                onChange={(e) => updateField(key, 'capacity', e.target.value)}
+                placeholder={defaults ? String(defaults[key].capacity) : ''}
+              />
+            </div>
+            <div className="rate-limit-settings-field">
+              <label className="rate-limit-settings-field-label">Per hour</label>
+              <TextField
+                type="number"
+                value={settings[key].refillPerHour}
+                onChange={(e) => updateField(key, 'refillPerHour', e.target.value)}
+                placeholder={defaults ? String(defaults[key].refillPerHour) : ''}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="rate-limit-settings-footer">
+        <Button appearance="primary" onClick={handleSave} isLoading={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Rate Limits'}
+        </Button>
+      </div>
+
+      <div className="rate-limit-settings-subtitle">Current usage by user</div>
+      {usage.length === 0 ? (
+        <div className="rate-limit-settings-description">No commands have been run recently.</div>
+      ) : (
+        <table className="rate-limit-usage-table">
+          <thead>
+            <tr>
+              <th>User</th>
+              <th>Remaining</th>
+              <th>Full again in</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {usage.map((user) => (
+              <tr key={user.accountId}>
+                <td>{user.displayName || <span className="rate-limit-usage-mono">{user.accountId}</span>}</td>
+                <td>{user.remaining} / {user.capacity}</td>
+                <td>{formatRefillTime(user.fullInSeconds)}</td>
+                <td className="rate-limit-usage-actions">
+                  <Button
+                    spacing="compact"
+                    onClick={() => handleReset(user)}
+                    isLoading={resettingId === user.accountId}
+                    isDisabled={user.used === 0}
+                  >
+                    Reset
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default RateLimitSettings;
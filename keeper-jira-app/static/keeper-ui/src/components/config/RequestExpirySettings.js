@@ -0,0 +1,111 @@
+/**
+ * Pending Request Expiry Settings Component
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import TextField from "@atlaskit/textfield";
+import * as api from '../../services/api';
+import { handleApiError, isStructuredError } from '../../utils/errorHandler';
+import { MESSAGE_TYPES } from '../../constants';
+import '../../styles/RequestExpirySettings.css';
+
+const toFormSettings = (config) => ({
+  enabled: config.enabled,
+  remindAfterHours: String(config.remindAfterHours),
+  remindEveryHours: String(config.remindEveryHours),
+  rejectAfterHours: String(config.rejectAfterHours)
+});
+
+const RequestExpirySettings = ({ setStatusMessage }) => {
+  const [settings, setSettings] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const showMessage = (type, title, message, timeout = 5000) => {
+    setStatusMessage({ type, title, message });
+    setTimeout(() => setStatusMessage(null), timeout);
+  };
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const result = await api.getRequestExpiryConfig();
+        if (result && result.success && result.config) {
+          setSettings(toFormSettings(result.config));
+        }
+      } catch (error) {
+        console.error('Failed to load request expiry settings:', error);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await api.saveRequestExpiryConfig(settings);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save request expiry settings'), 8000);
+        return;
+      }
+      setSettings(toFormSettings(result.config));
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Request Expiry Saved', 'Pending requests are checked every hour.');
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save request expiry settings'), 8000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  const fields = [
+    { name: 'remindAfterHours', label: 'Remind after (hours)' },
+    { name: 'remindEveryHours', label: 'Remind again every (hours)' },
+    { name: 'rejectAfterHours', label: 'Reject after (hours)' }
+  ];
+
+  return (
+    <div className="request-expiry-section">
+      <div className="request-expiry-label">Pending Request Expiry</div>
+      <div className="request-expiry-description">
+        Requests nobody approves or rejects are checked every hour. Once a request is older than the reminder
+        threshold, the issue's assignee is notified, and again at each interval after that; once it is older than
+        the rejection threshold it is rejected as timed out. Updating a request starts its clock again.
+      </div>
+
+      <label className="request-expiry-toggle">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => setSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+        />
+        Remind about and expire pending requests
+      </label>
+
+      <div className="request-expiry-fields">
+        {fields.map(field => (
+          <div className="request-expiry-field" key={field.name}>
+            <label className="request-expiry-field-label">{field.label}</label>
+            <TextField
+              type="number"
+              value={settings[field.name]}
+              onChange={(e) => setSettings(prev => ({ ...prev, [field.name]: e.target.value }))}
+              isDisabled={!settings.enabled}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="request-expiry-footer">
+        <Button appearance="primary" onClick={handleSave} isLoading={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Expiry Settings'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RequestExpirySettings;
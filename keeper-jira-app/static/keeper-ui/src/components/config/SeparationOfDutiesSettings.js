@@ -0,0 +1,134 @@
+/**
+ * Separation of Duties Settings Component
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import * as api from '../../services/api';
+import { handleApiError, isStructuredError } from '../../utils/errorHandler';
+import { MESSAGE_TYPES } from '../../constants';
+import '../../styles/SeparationOfDutiesSettings.css';
+
+const SeparationOfDutiesSettings = ({ setStatusMessage }) => {
+  const [config, setConfig] = useState(null);
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const showMessage = (type, title, message, timeout = 5000) => {
+    setStatusMessage({ type, title, message });
+    setTimeout(() => setStatusMessage(null), timeout);
+  };
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const [configResult, auditResult] = await Promise.all([
+          api.getSeparationConfig(),
+          api.getBreakGlassAuditLog()
+        ]);
+        if (configResult && configResult.success) {
+          setConfig(configResult.config);
+        }
+        if (auditResult && auditResult.success) {
+          setAuditEntries(auditResult.entries || []);
+        }
+      } catch (error) {
+        console.error('Failed to load separation of duties settings:', error);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await api.saveSeparationConfig(config);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save separation of duties'), 8000);
+        return;
+      }
+      setConfig(result.config);
+      showMessage(
+        MESSAGE_TYPES.SUCCESS,
+        'Separation of Duties Saved',
+        result.config.enabled ? 'Requesters can no longer approve their own requests.' : 'Separation of duties is off.'
+      );
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save separation of duties'), 8000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!config) {
+    return null;
+  }
+
+  return (
+    <div className="separation-section">
+      <div className="separation-section-label">Separation of Duties</div>
+      <div className="separation-section-description">
+        The user who saved a request cannot approve a stage of it or run it - someone else has to, and the issue
+        panel hides the approve buttons from the requester. A workflow transition the requester makes cannot run
+        their request either. Only requests the approval policy auto-approves are not affected.
+      </div>
+
+      <label className="separation-toggle">
+        <input
+          type="checkbox"
+          checked={config.enabled}
+          onChange={(e) => setConfig(prev => ({ ...prev, enabled: e.target.checked }))}
+        />
+        Stop requesters approving their own requests
+      </label>
+
+      <label className="separation-toggle">
+        <input
+          type="checkbox"
+          checked={config.allowBreakGlass}
+          onChange={(e) => setConfig(prev => ({ ...prev, allowBreakGlass: e.target.checked }))}
+          disabled={!config.enabled}
+        />
+        Allow break glass - the requester may override with a written justification, which is commented on the issue
+      </label>
+
+      <div className="separation-audit">
+        <div className="separation-audit-label">Break-glass audit log</div>
+        {auditEntries.length === 0 ? (
+          <div className="separation-audit-empty">No overrides yet.</div>
+        ) : (
+          <table className="separation-audit-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Issue</th>
+                <th>User</th>
+                <th>Action</th>
+                <th>Justification</th>
+              </tr>
+            </thead>
+            <tbody>
+              {auditEntries.map(entry => (
+                <tr key={`${entry.issueKey}-${entry.timestamp}`}>
+                  <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                  <td>{entry.issueKey}</td>
+                  <td>{entry.displayName}</td>
+                  <td>{entry.stage ? `${entry.action} (approved ${entry.stage})` : entry.action}</td>
+                  <td className="separation-audit-justification">{entry.justification}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="separation-footer">
+        <Button appearance="primary" onClick={handleSave} isLoading={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Separation of Duties'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default SeparationOfDutiesSettings;
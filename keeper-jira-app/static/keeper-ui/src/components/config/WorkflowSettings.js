@@ -0,0 +1,121 @@
+/**
+ * Workflow Settings Component
+ */
+import React, { useState, useEffect } from 'react';
+import Button from "@atlaskit/button";
+import Select from "@atlaskit/select";
+import * as api from '../../services/api';
+import { handleApiError, isStructuredError } from '../../utils/errorHandler';
+import { MESSAGE_TYPES } from '../../constants';
+import '../../styles/WorkflowSettings.css';
+
+const FAILURE_OPTIONS = [
+  { label: 'Move the issue back to its previous status', value: 'revert' },
+  { label: 'Leave the issue and add the keeper-action-failed label', value: 'flag' }
+];
+
+const WorkflowSettings = ({ setStatusMessage }) => {
+  const [config, setConfig] = useState(null);
+  const [statuses, setStatuses] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const showMessage = (type, title, message, timeout = 5000) => {
+    setStatusMessage({ type, title, message });
+    setTimeout(() => setStatusMessage(null), timeout);
+  };
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const result = await api.getWorkflowConfig();
+        if (result && result.success) {
+          setConfig(result.config);
+          setStatuses((result.statuses || []).map(status => ({ label: status.name, value: status.id })));
+        }
+      } catch (error) {
+        console.error('Failed to load workflow settings:', error);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await api.saveWorkflowConfig(config);
+      if (isStructuredError(result)) {
+        showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(result, 'Failed to save the workflow settings'), 8000);
+        return;
+      }
+      setConfig(result.config);
+      showMessage(MESSAGE_TYPES.SUCCESS, 'Workflow Settings Saved', 'Pending requests now run when their issue moves into the chosen statuses.');
+    } catch (error) {
+      showMessage(MESSAGE_TYPES.ERROR, 'Save Failed', handleApiError(error, 'Failed to save the workflow settings'), 8000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!config) {
+    return null;
+  }
+
+  const selectPortalProps = {
+    menuPortalTarget: document.body,
+    styles: { menuPortal: base => ({ ...base, zIndex: 99999 }) },
+    classNamePrefix: 'react-select'
+  };
+
+  const selectedStatuses = config.executeOnStatuses.map(status => ({ label: status.name, value: status.id }));
+
+  return (
+    <div className="workflow-settings-section">
+      <div className="workflow-settings-section-label">Workflow Transitions</div>
+      <div className="workflow-settings-section-description">
+        Add the "Run Keeper request" post-function to the transitions that approve requests, and the
+        "Keeper request has run" validator to the transition that closes them. The post-function runs an issue's
+        pending request when it moves into one of the statuses below - the transition is the approval, so limit
+        who can make it with a workflow condition. Record updates and requests that create an address record still
+        run from the issue panel.
+      </div>
+
+      <div className="workflow-settings-row">
+        <span className="workflow-settings-label">Run requests on entering</span>
+        <div className="workflow-settings-field">
+          <Select
+            {...selectPortalProps}
+            isMulti
+            options={statuses}
+            value={selectedStatuses}
+            onChange={(options) => setConfig(prev => ({
+              ...prev,
+              executeOnStatuses: (options || []).map(option => ({ id: option.value, name: option.label }))
+            }))}
+            placeholder="Select statuses..."
+          />
+        </div>
+      </div>
+
+      <div className="workflow-settings-row">
+        <span className="workflow-settings-label">When a request fails</span>
+        <div className="workflow-settings-field">
+          <Select
+            {...selectPortalProps}
+            options={FAILURE_OPTIONS}
+            value={FAILURE_OPTIONS.find(option => option.value === config.onFailure) || FAILURE_OPTIONS[0]}
+            onChange={(option) => setConfig(prev => ({ ...prev, onFailure: option ? option.value : 'revert' }))}
+          />
+        </div>
+      </div>
+
+      <div className="workflow-settings-footer">
+        <Button appearance="primary" onClick={handleSave} isLoading={isSaving}>
+          {isSaving ? 'Saving...' : 'Save Workflow Settings'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default WorkflowSettings;
@@ -10,5 +10,10 @@ export { default as Loading } from './common/Loading';
 // Config components
 export { default as ConfigTab } from './config/ConfigTab';
 export { default as ConfigForm } from './config/ConfigForm';
+export { default as ConnectionsConfig } from './config/ConnectionsConfig';
+export { default as CacheSettings } from './config/CacheSettings';
+export { default as RateLimitSettings } from './config/RateLimitSettings';
+export { default as KeyRotationSettings } from './config/KeyRotationSettings';
+export { default as CommandPolicySettings } from './config/CommandPolicySettings';
 export { default as WebTriggerConfig } from './config/WebTriggerConfig';
 
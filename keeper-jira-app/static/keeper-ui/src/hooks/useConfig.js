@@ -10,6 +10,7 @@ export const useConfig = () => {
   const [formValues, setFormValues] = useState({ apiUrl: "", apiKey: "" });
   const [originalFormValues, setOriginalFormValues] = useState({ apiUrl: "", apiKey: "" });
   const [hasExistingConfig, setHasExistingConfig] = useState(false);
+  const [storedApiKeyPreview, setStoredApiKeyPreview] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [formKey, setFormKey] = useState(0);
   const [isApiKeyMasked, setIsApiKeyMasked] = useState(true);
@@ -20,6 +21,7 @@ export const useConfig = () => {
   const [statusMessage, setStatusMessage] = useState(null);
 
   // Load configuration on mount
+  // The stored API key is never sent back - the field starts empty and shows its preview
   useEffect(() => {
     const loadConfiguration = async () => {
       try {
@@ -27,12 +29,13 @@ export const useConfig = () => {
         if (config && config.apiUrl) {
           setFormValues({
             apiUrl: config.apiUrl || "",
-            apiKey: config.apiKey || "",
+            apiKey: "",
           });
           setOriginalFormValues({
             apiUrl: config.apiUrl || "",
-            apiKey: config.apiKey || "",
+            apiKey: "",
           });
+          setStoredApiKeyPreview(config.apiKeyPreview || null);
           setHasExistingConfig(true);
           setConnectionTested(false); // Require connection test even for existing config
         }
@@ -78,13 +81,16 @@ export const useConfig = () => {
       
       setFormValues({
         apiUrl: data.apiUrl || "",
-        apiKey: data.apiKey || "",
+        apiKey: "",
       });
       setOriginalFormValues({
         apiUrl: data.apiUrl || "",
-        apiKey: data.apiKey || "",
+        apiKey: "",
       });
       
+      const savedConfig = await api.loadConfig();
+      setStoredApiKeyPreview(savedConfig?.apiKeyPreview || null);
+      
       setFormKey(prev => prev + 1);
       setHasExistingConfig(true);
       setConnectionTested(true);
@@ -125,7 +131,8 @@ export const useConfig = () => {
     const currentApiUrl = formValues.apiUrl.trim();
     const currentApiKey = formValues.apiKey.trim();
 
-    if (!currentApiUrl || !currentApiKey) {
+    // A blank key re-tests the stored one
+    if (!currentApiUrl || (!currentApiKey && !storedApiKeyPreview)) {
       setStatusMessage({
         type: MESSAGE_TYPES.WARNING,
         title: 'Missing Information',
@@ -165,13 +172,21 @@ export const useConfig = () => {
         successMessage = result.message || 'Connection test successful!';
       }
       
+      const capabilityWarnings = result.capabilities?.warnings || [];
+      if (result.capabilities?.version) {
+        successMessage += ` Commander version ${result.capabilities.version}.`;
+      }
+      if (capabilityWarnings.length > 0) {
+        successMessage += '\n\nWarning: ' + capabilityWarnings.join('\nWarning: ');
+      }
+      
       setStatusMessage({
-        type: MESSAGE_TYPES.SUCCESS,
+        type: capabilityWarnings.length > 0 ? MESSAGE_TYPES.WARNING : MESSAGE_TYPES.SUCCESS,
         title: 'Connection Successful!',
         message: successMessage
       });
       setConnectionTested(true);
-      setTimeout(() => setStatusMessage(null), 5000);
+      setTimeout(() => setStatusMessage(null), capabilityWarnings.length > 0 ? 10000 : 5000);
     } catch (error) {
       let errorMessage = handleApiError(error, 'Connection test failed');
       errorMessage = getConnectionErrorContext(errorMessage, error);
@@ -210,6 +225,7 @@ export const useConfig = () => {
     setFormValues,
     originalFormValues,
     hasExistingConfig,
+    storedApiKeyPreview,
     isLoading,
     formKey,
     isApiKeyMasked,
@@ -179,3 +179,287 @@ export const clearWebhookAuditLogs = async () => {
   return await invoke("clearWebhookAuditLogs");
 };
 
+
+/**
+ * Get named Keeper connections and project routing rules
+ * @returns {Promise<Object>} - Response object with connections and routes arrays
+ */
+export const getKeeperConnections = async () => {
+  return await invoke("getKeeperConnections");
+};
+
+/**
+ * Create or update a named Keeper connection
+ * @param {Object} connection - { id?, name, apiUrl, apiKey }
+ * @returns {Promise<Object>} - Response object
+ */
+export const saveKeeperConnection = async (connection) => {
+  return await invoke("saveKeeperConnection", { payload: connection });
+};
+
+/**
+ * Re-run Commander capability negotiation (version, enabled commands) for a saved connection
+ * @param {string} id - Connection id ('default' for the Global Settings connection)
+ * @returns {Promise<Object>} - Response object with capabilities
+ */
+export const refreshKeeperCapabilities = async (id) => {
+  return await invoke("refreshKeeperCapabilities", { payload: { id } });
+};
+
+/**
+ * Delete a named Keeper connection (routes using it are removed too)
+ * @param {string} id - Connection id
+ * @returns {Promise<Object>} - Response object
+ */
+export const deleteKeeperConnection = async (id) => {
+  return await invoke("deleteKeeperConnection", { payload: { id } });
+};
+
+/**
+ * Save project / issue type routing rules
+ * @param {Array} routes - Rules of shape { projectKey, issueType, connectionId }
+ * @returns {Promise<Object>} - Response object
+ */
+export const saveKeeperConnectionRoutes = async (routes) => {
+  return await invoke("setKeeperConnectionRoutes", { payload: { routes } });
+};
+
+/**
+ * Get the org password policy
+ * @returns {Promise<Object>} - Response object with policy and defaults
+ */
+export const getPasswordPolicy = async () => {
+  return await invoke("getPasswordPolicy");
+};
+
+/**
+ * Save the org password policy (admins only)
+ * @param {Object} policy - { minLength, minLowercase, minUppercase, minDigits, minSymbols, allowPassphrase, minPassphraseWords }
+ * @returns {Promise<Object>} - Response object
+ */
+export const savePasswordPolicy = async (policy) => {
+  return await invoke("setPasswordPolicy", { payload: policy });
+};
+
+/**
+ * Get approval chains and the actions they can name
+ * @returns {Promise<Object>} - { chains, actions, limits }
+ */
+export const getApprovalChains = async () => {
+  return await invoke("getApprovalChains");
+};
+
+/**
+ * Save approval chains (admins only) - replaces every saved chain
+ * @param {Array} chains - [{ projectKey, action, stages: [{ name, groups, required }] }]
+ * @returns {Promise<Object>}
+ */
+export const saveApprovalChains = async (chains) => {
+  return await invoke("setApprovalChains", { payload: { chains } });
+};
+
+/**
+ * Get approval policy rules and what they can match on
+ * @returns {Promise<Object>} - { rules, actions, autoApproveActions, permissionFlags, limits }
+ */
+export const getApprovalPolicy = async () => {
+  return await invoke("getApprovalPolicy");
+};
+
+/**
+ * Save approval policy rules (admins only) - replaces every saved rule, order matters
+ * @param {Array} rules - [{ name, outcome, match: { projectKeys, actions, folders, permissions, maxExpirationMinutes, requesterGroups } }]
+ * @returns {Promise<Object>}
+ */
+export const saveApprovalPolicy = async (rules) => {
+  return await invoke("setApprovalPolicy", { payload: { rules } });
+};
+
+/**
+ * Get workflow transition settings and the Jira statuses they can name
+ * @returns {Promise<Object>} - { config: { executeOnStatuses, onFailure }, statuses, limits }
+ */
+export const getWorkflowConfig = async () => {
+  return await invoke("getWorkflowConfig");
+};
+
+/**
+ * Save workflow transition settings (admins only)
+ * @param {Object} config - { executeOnStatuses: [{ id, name }], onFailure: 'revert' | 'flag' }
+ * @returns {Promise<Object>}
+ */
+export const saveWorkflowConfig = async (config) => {
+  return await invoke("setWorkflowConfig", { payload: config });
+};
+
+/**
+ * Get pending request expiry settings
+ * @returns {Promise<Object>} - { config: { enabled, remindAfterHours, remindEveryHours, rejectAfterHours }, limits }
+ */
+export const getRequestExpiryConfig = async () => {
+  return await invoke("getRequestExpiryConfig");
+};
+
+/**
+ * Save pending request expiry settings (admins only)
+ * @param {Object} config - { enabled, remindAfterHours, remindEveryHours, rejectAfterHours }
+ * @returns {Promise<Object>}
+ */
+export const saveRequestExpiryConfig = async (config) => {
+  return await invoke("setRequestExpiryConfig", { payload: config });
+};
+
+/**
+ * Get separation of duties settings
+ * @returns {Promise<Object>} - { config: { enabled, allowBreakGlass }, limits }
+ */
+export const getSeparationConfig = async () => {
+  return await invoke("getSeparationConfig");
+};
+
+/**
+ * Save separation of duties settings (admins only)
+ * @param {Object} config - { enabled, allowBreakGlass }
+ * @returns {Promise<Object>}
+ */
+export const saveSeparationConfig = async (config) => {
+  return await invoke("setSeparationConfig", { payload: config });
+};
+
+/**
+ * Get the break-glass audit log, newest first (admins only)
+ * @returns {Promise<Object>} - { entries: Array<{ issueKey, action, stage, accountId, displayName, justification, timestamp }> }
+ */
+export const getBreakGlassAuditLog = async () => {
+  return await invoke("getBreakGlassAuditLog");
+};
+
+/**
+ * Get read command cache settings
+ * @returns {Promise<Object>} - Response object with config { enabled, ttlSeconds, staleSeconds }
+ */
+export const getReadCacheConfig = async () => {
+  return await invoke("getReadCacheConfig");
+};
+
+/**
+ * Save read command cache settings
+ * @param {Object} config - { enabled, ttlSeconds, staleSeconds }
+ * @returns {Promise<Object>} - Response object
+ */
+export const saveReadCacheConfig = async (config) => {
+  return await invoke("setReadCacheConfig", { payload: config });
+};
+
+/**
+ * Clear cached read results for all connections
+ * @returns {Promise<Object>} - Response object
+ */
+export const clearReadCache = async () => {
+  return await invoke("clearReadCache");
+};
+
+/**
+ * Get the allow-list for raw Keeper commands
+ * @returns {Promise<Object>} - Response object with allowedCommands, defaultCommands and readOnlyCommands
+ */
+export const getCommandPolicy = async () => {
+  return await invoke("getCommandPolicy");
+};
+
+/**
+ * Save the allow-list for raw Keeper commands
+ * @param {Array<string>} allowedCommands - Allowed command verbs
+ * @returns {Promise<Object>} - Response object
+ */
+export const saveCommandPolicy = async (allowedCommands) => {
+  return await invoke("setCommandPolicy", { payload: { allowedCommands } });
+};
+
+/**
+ * Restore the default allow-list from the setup instructions
+ * @returns {Promise<Object>} - Response object
+ */
+export const resetCommandPolicy = async () => {
+  return await invoke("setCommandPolicy", { payload: { reset: true } });
+};
+
+/**
+ * Get command rate limit budgets
+ * @returns {Promise<Object>} - Response object with config and defaults ({ user, project, global } each { capacity, refillPerHour })
+ */
+export const getRateLimitConfig = async () => {
+  return await invoke("getRateLimitConfig");
+};
+
+/**
+ * Save command rate limit budgets
+ * @param {Object} config - { user, project, global } each { capacity, refillPerHour }
+ * @returns {Promise<Object>} - Response object
+ */
+export const saveRateLimitConfig = async (config) => {
+  return await invoke("setRateLimitConfig", { payload: config });
+};
+
+/**
+ * List users' current command usage
+ * @returns {Promise<Object>} - Response object with users [{ accountId, displayName, used, remaining, capacity, fullInSeconds }]
+ */
+export const getRateLimitUsage = async () => {
+  return await invoke("getRateLimitUsage");
+};
+
+/**
+ * Reset a user's command usage
+ * @param {string} accountId - User to reset
+ * @returns {Promise<Object>} - Response object
+ */
+export const resetRateLimitUsage = async (accountId) => {
+  return await invoke("resetRateLimitUsage", { payload: { accountId } });
+};
+
+/**
+ * Get API key age, grace periods and rotation history
+ * @returns {Promise<Object>} - Response object with config, connections, warnings and history (warnings only for non-admins)
+ */
+export const getKeyRotationStatus = async () => {
+  return await invoke("getKeyRotationStatus");
+};
+
+/**
+ * Test a replacement API key against a saved connection
+ * @param {string} id - Connection id (`default` for the default connection)
+ * @param {string} apiKey - New API key
+ * @returns {Promise<Object>} - Response object
+ */
+export const testRotationApiKey = async (id, apiKey) => {
+  return await invoke("testRotationApiKey", { payload: { id, apiKey } });
+};
+
+/**
+ * Switch a saved connection to a new API key, keeping the old key as a fallback for the grace period
+ * @param {string} id - Connection id
+ * @param {string} apiKey - New API key
+ * @returns {Promise<Object>} - Response object with the rotation history entry
+ */
+export const rotateApiKey = async (id, apiKey) => {
+  return await invoke("rotateApiKey", { payload: { id, apiKey } });
+};
+
+/**
+ * Stop accepting a connection's previous API key now
+ * @param {string} id - Connection id
+ * @returns {Promise<Object>} - Response object
+ */
+export const endKeyRotationGracePeriod = async (id) => {
+  return await invoke("endKeyRotationGracePeriod", { payload: { id } });
+};
+
+/**
+ * Save key rotation settings
+ * @param {Object} config - { graceHours, maxKeyAgeDays }
+ * @returns {Promise<Object>} - Response object
+ */
+export const saveKeyRotationConfig = async (config) => {
+  return await invoke("setKeyRotationConfig", { payload: config });
+};
@@ -18,6 +18,18 @@ const storage = {
     storageData.delete(key);
     return true;
   }),
+  // Secret storage shares the in-memory store under a prefixed key
+  getSecret: jest.fn(async (key) => {
+    return storageData.get(`secret:${key}`);
+  }),
+  setSecret: jest.fn(async (key, value) => {
+    storageData.set(`secret:${key}`, value);
+    return true;
+  }),
+  deleteSecret: jest.fn(async (key) => {
+    storageData.delete(`secret:${key}`);
+    return true;
+  }),
   // Helper for tests to clear storage
   _clear: () => storageData.clear(),
   _getData: () => storageData
@@ -292,7 +292,8 @@ describe('Full Command Safety', () => {
     expect(command).not.toMatch(/[^\\]";\s*rm/);
     // The $ should be escaped - check for \$ before (cat
     expect(command).toContain('\\$(cat');
-    expect(command).not.toMatch(/[^\\]`id`/);
+    // Typed fields are single-quoted, so backticks stay literal
+    expect(command).toContain("login='`id`'");
   });
 
   test('share command with malicious user email', () => {
@@ -312,6 +313,6 @@ describe('Full Command Safety', () => {
     }, 'TEST-1');
 
     // Should contain the user parameter
-    expect(command).toContain("--user='user@test.com'");
+    expect(command).toContain("-e 'user@test.com'");
   });
 });
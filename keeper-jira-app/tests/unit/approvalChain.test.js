@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for Approval Chain Utility
+ *
+ * Tests chain configuration, chain lookup per project and action, stage
+ * progress, approver eligibility and the check that an approved request was
+ * not changed before it runs.
+ */
+
+const {
+  ANY_ACTION,
+  APPROVAL_LIMITS,
+  validateApprovalChains,
+  findApprovalChain,
+  describeStage,
+  summarizeApprovals,
+  checkApprover,
+  addApproval,
+  findChangedFields
+} = require('../../src/modules/utils/approvalChain');
+
+const ACTIONS = ['record-add', 'share-folder', 'share-record'];
+
+const PROD_CHAIN = {
+  projectKey: 'PROD',
+  action: 'share-folder',
+  stages: [
+    { name: 'Team Lead', groups: [], required: 1 },
+    { name: 'Security', groups: ['security-team'], required: 2 }
+  ]
+};
+
+const approver = (accountId, overrides = {}) => ({
+  accountId,
+  displayName: `User ${accountId}`,
+  groups: [],
+  isProjectAdmin: false,
+  ...overrides
+});
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+describe('validateApprovalChains', () => {
+  test('normalizes project keys, group lists and counts', () => {
+    const result = validateApprovalChains([
+      { projectKey: ' prod ', action: 'share-folder', stages: [{ name: 'Security', groups: 'security-team, auditors, security-team', required: '2' }] }
+    ], ACTIONS);
+
+    expect(result.valid).toBe(true);
+    expect(result.chains).toEqual([
+      { projectKey: 'PROD', action: 'share-folder', stages: [{ name: 'Security', groups: ['security-team', 'auditors'], required: 2 }] }
+    ]);
+  });
+
+  test('defaults to any action and numbered stage names', () => {
+    const result = validateApprovalChains([{ projectKey: 'OPS', stages: [{}] }], ACTIONS);
+    expect(result.chains).toEqual([
+      { projectKey: 'OPS', action: ANY_ACTION, stages: [{ name: 'Stage 1', groups: [], required: 1 }] }
+    ]);
+  });
+
+  test('rejects chains that are not an array', () => {
+    expect(validateApprovalChains(null, ACTIONS)).toEqual({ valid: false, errors: ['Approval chains must be an array'], chains: [] });
+  });
+
+  test.each([
+    [{ projectKey: 'prod-1', stages: [{}] }, 'Chain 1: invalid project key'],
+    [{ projectKey: 'PROD', action: 'rm -rf', stages: [{}] }, 'Chain 1: unknown action "rm -rf"'],
+    [{ projectKey: 'PROD', stages: [] }, `Chain 1: between 1 and ${APPROVAL_LIMITS.maxStages} stages are required`],
+    [{ projectKey: 'PROD', stages: [{ required: 0 }] }, `Chain 1, stage 1: required approvals must be between 1 and ${APPROVAL_LIMITS.maxRequired}`],
+    [{ projectKey: 'PROD', stages: [{ name: '<b>Lead</b>' }] }, `Chain 1, stage 1: names may only contain letters, numbers, spaces, dots, dashes and underscores (${APPROVAL_LIMITS.stageNameMaxLength} characters max)`]
+  ])('rejects %p', (chain, error) => {
+    const result = validateApprovalChains([chain], ACTIONS);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([error]);
+  });
+
+  test('rejects duplicate chains for the same project and action', () => {
+    const result = validateApprovalChains([
+      { projectKey: 'PROD', action: 'share-folder', stages: [{}] },
+      { projectKey: 'prod', action: 'share-folder', stages: [{}] }
+    ], ACTIONS);
+    expect(result.errors).toEqual(['Chain 2: duplicate chain for PROD / share-folder']);
+  });
+});
+
+describe('findApprovalChain', () => {
+  const chains = [
+    PROD_CHAIN,
+    { projectKey: 'PROD', action: ANY_ACTION, stages: [{ name: 'Lead', groups: [], required: 1 }] }
+  ];
+
+  test('prefers the chain for the action', () => {
+    expect(findApprovalChain(chains, { projectKey: 'prod', action: 'share-folder' })).toBe(PROD_CHAIN);
+  });
+
+  test('falls back to the project-wide chain', () => {
+    expect(findApprovalChain(chains, { projectKey: 'PROD', action: 'record-add' })).toBe(chains[1]);
+  });
+
+  test('returns null for projects without a chain', () => {
+    expect(findApprovalChain(chains, { projectKey: 'DEV', action: 'share-folder' })).toBeNull();
+    expect(findApprovalChain(chains, {})).toBeNull();
+  });
+});
+
+// ========================================================================
+// Approval Progress
+// ========================================================================
+
+describe('describeStage', () => {
+  test('names the groups or project admins', () => {
+    expect(describeStage(PROD_CHAIN.stages[0])).toBe('1 approval from a project admin');
+    expect(describeStage({ groups: ['security-team', 'auditors'], required: 2 })).toBe('2 approvals from security-team or auditors');
+  });
+});
+
+describe('summarizeApprovals', () => {
+  test('starts at the first stage', () => {
+    const progress = summarizeApprovals(PROD_CHAIN, []);
+    expect(progress.satisfied).toBe(false);
+    expect(progress.currentStage).toBe(0);
+    expect(progress.stages.map(stage => stage.complete)).toEqual([false, false]);
+  });
+
+  test('moves on once a stage has enough approvals', () => {
+    const progress = summarizeApprovals(PROD_CHAIN, [{ stage: 0, accountId: 'lead' }, { stage: 1, accountId: 'sec-1' }]);
+    expect(progress.currentStage).toBe(1);
+    expect(progress.stages[1].approvals).toHaveLength(1);
+  });
+
+  test('is satisfied when every stage is complete', () => {
+    const progress = summarizeApprovals(PROD_CHAIN, [
+      { stage: 0, accountId: 'lead' },
+      { stage: 1, accountId: 'sec-1' },
+      { stage: 1, accountId: 'sec-2' }
+    ]);
+    expect(progress).toMatchObject({ satisfied: true, currentStage: null });
+  });
+});
+
+describe('checkApprover', () => {
+  test('lets a project admin approve a stage without groups', () => {
+    expect(checkApprover(PROD_CHAIN, [], approver('lead', { isProjectAdmin: true }))).toEqual({ allowed: true, stage: 0 });
+  });
+
+  test('refuses someone outside the stage', () => {
+    expect(checkApprover(PROD_CHAIN, [], approver('dev'))).toEqual({
+      allowed: false,
+      error: 'The "Team Lead" stage needs 1 approval from a project admin'
+    });
+  });
+
+  test('matches group names case-insensitively', () => {
+    const approvals = [{ stage: 0, accountId: 'lead' }];
+    expect(checkApprover(PROD_CHAIN, approvals, approver('sec-1', { groups: ['Security-Team'] }))).toEqual({ allowed: true, stage: 1 });
+  });
+
+  test('counts each person once across the chain', () => {
+    const approvals = [{ stage: 0, accountId: 'lead' }];
+    const result = checkApprover(PROD_CHAIN, approvals, approver('lead', { groups: ['security-team'], isProjectAdmin: true }));
+    expect(result).toEqual({ allowed: false, error: 'You have already approved this request' });
+  });
+
+  test('refuses approvals once the chain is complete', () => {
+    const approvals = [{ stage: 0, accountId: 'lead' }, { stage: 1, accountId: 'sec-1' }, { stage: 1, accountId: 'sec-2' }];
+    expect(checkApprover(PROD_CHAIN, approvals, approver('sec-3', { groups: ['security-team'] })).error)
+      .toBe('Every approval stage is already complete');
+  });
+});
+
+describe('addApproval', () => {
+  test('appends a timestamped approval', () => {
+    const now = new Date('2026-01-15T10:00:00Z');
+    expect(addApproval(undefined, { stage: 0, accountId: 'lead', displayName: 'Lead' }, now)).toEqual([
+      { stage: 0, accountId: 'lead', displayName: 'Lead', approvedAt: '2026-01-15T10:00:00.000Z' }
+    ]);
+  });
+});
+
+describe('findChangedFields', () => {
+  const approved = { folder: 'Sf123', folderTitle: 'Finance', user: 'alice@example.com', manage_records: true, expiration: '', addressRef: 'temp_addr_1' };
+
+  test('accepts the request as approved', () => {
+    expect(findChangedFields(approved, { folder: 'Sf123', folderTitle: 'Finance', user: ' alice@example.com ', manage_records: true })).toEqual([]);
+  });
+
+  test('treats missing, blank and unchecked values alike', () => {
+    expect(findChangedFields({ user: 'a@example.com', can_share: false }, { user: 'a@example.com', expiration: '', recursive: null })).toEqual([]);
+  });
+
+  test('ignores temporary references and fields the approver fills in', () => {
+    const oneTimeShare = { requirements: 'VPN login for the auditor', record: '', expire_in: '' };
+    expect(findChangedFields(approved, { ...approved, addressRef: 'AbC123' })).toEqual([]);
+    expect(findChangedFields(oneTimeShare, { ...oneTimeShare, record: 'AbC123', expire_in: '1d' }, ['record', 'expire_in'])).toEqual([]);
+  });
+
+  test('reports changed values', () => {
+    expect(findChangedFields(approved, { folder: 'Sf999', folderTitle: 'Finance', user: 'mallory@example.com', manage_records: false })).toEqual(['folder', 'user', 'manage_records']);
+  });
+
+  test('reports blanks filled in and flags the approved request did not set', () => {
+    expect(findChangedFields(approved, { ...approved, expiration: '2026-02-01', manage_users: true, can_share: true })).toEqual(['expiration', 'manage_users', 'can_share']);
+  });
+
+  test('reports a target added after approval', () => {
+    expect(findChangedFields({ user: 'a@example.com', action: 'grant' }, { user: 'a@example.com', action: 'grant', record: 'Other123' })).toEqual(['record']);
+  });
+
+  test('compares list values in full', () => {
+    const phoneEntries = [{ number: '555-0100', type: 'Work' }];
+    expect(findChangedFields({ phoneEntries }, { phoneEntries: [...phoneEntries, { number: '555-0199', type: 'Mobile' }] })).toEqual(['phoneEntries']);
+  });
+});
@@ -0,0 +1,333 @@
+/**
+ * Unit Tests for Approval Policy Utility
+ *
+ * Tests rule configuration, expiration parsing, how a stored request is turned
+ * into the parameters it runs with, how its target folder is confirmed, and
+ * first-match rule evaluation.
+ */
+
+const {
+  POLICY_OUTCOME,
+  POLICY_LIMITS,
+  validateApprovalPolicy,
+  getExpirationMinutes,
+  describeStoredRequest,
+  resolvePolicyFolder,
+  targetsConfirmedFolder,
+  evaluateApprovalPolicy
+} = require('../../src/modules/utils/approvalPolicy');
+
+const ACTIONS = ['record-add', 'rm', 'share-folder', 'share-record'];
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const READ_ONLY_SHARES = {
+  name: 'Short read-only shares',
+  outcome: POLICY_OUTCOME.AUTO_APPROVE,
+  match: {
+    projectKeys: ['OPS'],
+    actions: ['share-record'],
+    folders: [],
+    permissions: { can_write: false, can_share: false },
+    maxExpirationMinutes: 120,
+    requesterGroups: []
+  }
+};
+
+const shareRequest = (parameters = {}, overrides = {}) => ({
+  projectKey: 'OPS',
+  action: 'share-record',
+  parameters: { action: 'grant', user: 'a@example.com', expiration_type: 'expire-in', expire_in: '2h', ...parameters },
+  folder: null,
+  requesterGroups: [],
+  now: NOW,
+  ...overrides
+});
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+describe('validateApprovalPolicy', () => {
+  test('normalizes lists, permissions and the expiration limit', () => {
+    const result = validateApprovalPolicy([
+      {
+        name: 'Ops folders',
+        outcome: 'auto_approve',
+        match: {
+          projectKeys: ' ops, it ',
+          actions: ['share-folder'],
+          folders: 'fldOps1, fldOps1',
+          permissions: { manage_users: false, can_edit: '' },
+          maxExpirationMinutes: '60',
+          requesterGroups: 'ops-team'
+        }
+      }
+    ], ACTIONS);
+
+    expect(result.valid).toBe(true);
+    expect(result.rules).toEqual([
+      {
+        name: 'Ops folders',
+        outcome: 'auto_approve',
+        match: {
+          projectKeys: ['OPS', 'IT'],
+          actions: ['share-folder'],
+          folders: ['fldOps1'],
+          permissions: { manage_users: false },
+          maxExpirationMinutes: 60,
+          requesterGroups: ['ops-team']
+        }
+      }
+    ]);
+  });
+
+  test('defaults to numbered rule names and no conditions', () => {
+    const result = validateApprovalPolicy([{ outcome: 'deny' }], ACTIONS);
+    expect(result.rules).toEqual([
+      {
+        name: 'Rule 1',
+        outcome: 'deny',
+        match: { projectKeys: [], actions: [], folders: [], permissions: {}, maxExpirationMinutes: null, requesterGroups: [] }
+      }
+    ]);
+  });
+
+  test('rejects rules that are not an array', () => {
+    expect(validateApprovalPolicy(null, ACTIONS)).toEqual({ valid: false, errors: ['Approval policy rules must be an array'], rules: [] });
+  });
+
+  test.each([
+    [{ outcome: 'allow' }, 'Rule 1: outcome must be one of auto_approve, require_approval, deny'],
+    [{ outcome: 'deny', match: { projectKeys: ['prod-1'] } }, 'Rule 1: invalid project key "PROD-1"'],
+    [{ outcome: 'deny', match: { actions: ['rm -rf'] } }, 'Rule 1: unknown action "rm -rf"'],
+    [{ outcome: 'deny', match: { folders: ['Ops Shared'] } }, 'Rule 1: target folders must be shared folder UIDs, separated by commas'],
+    [{ outcome: 'deny', match: { permissions: { is_admin: true } } }, 'Rule 1: permission conditions must map can_share, can_write, can_edit, manage_records, manage_users, recursive to true or false'],
+    [{ outcome: 'deny', match: { maxExpirationMinutes: 0 } }, `Rule 1: maximum expiration must be between 1 and ${POLICY_LIMITS.maxExpirationMinutes} minutes`],
+    [{ name: '<b>Rule</b>', outcome: 'deny' }, `Rule 1: names may only contain letters, numbers, spaces, dots, dashes and underscores (${POLICY_LIMITS.ruleNameMaxLength} characters max)`]
+  ])('rejects %p', (rule, error) => {
+    const result = validateApprovalPolicy([rule], ACTIONS);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain(error);
+  });
+
+  test('limits auto-approval to share actions with a maximum expiration', () => {
+    expect(validateApprovalPolicy([{ outcome: 'auto_approve', match: { actions: ['rm'], maxExpirationMinutes: 60 } }], ACTIONS).errors)
+      .toEqual(['Rule 1: auto-approval rules must name their actions and may only use share-record, share-folder']);
+    expect(validateApprovalPolicy([{ outcome: 'auto_approve', match: { maxExpirationMinutes: 60 } }], ACTIONS).valid).toBe(false);
+    expect(validateApprovalPolicy([{ outcome: 'auto_approve', match: { actions: ['share-record'] } }], ACTIONS).errors)
+      .toEqual(['Rule 1: auto-approval rules need a maximum expiration so granted access always ends']);
+  });
+
+  test('rejects too many rules', () => {
+    const rules = Array.from({ length: POLICY_LIMITS.maxRules + 1 }, () => ({ outcome: 'deny' }));
+    expect(validateApprovalPolicy(rules, ACTIONS).valid).toBe(false);
+  });
+});
+
+// ========================================================================
+// Expiration
+// ========================================================================
+
+describe('getExpirationMinutes', () => {
+  test.each([
+    ['1d', 1440],
+    ['2h', 120],
+    ['30mi', 30],
+    ['90s', 2]
+  ])('reads expire-in %s', (value, minutes) => {
+    expect(getExpirationMinutes({ expiration_type: 'expire-in', expire_in: value }, NOW)).toBe(minutes);
+  });
+
+  test('does not guess ambiguous or missing units', () => {
+    expect(getExpirationMinutes({ expiration_type: 'expire-in', expire_in: '30m' }, NOW)).toBeNull();
+    expect(getExpirationMinutes({ expiration_type: 'expire-in', expire_in: '30' }, NOW)).toBeNull();
+  });
+
+  test('reads expire-at as late as any time zone could mean', () => {
+    expect(getExpirationMinutes({ expiration_type: 'expire-at', expire_at: '2026-03-01T13:00' }, NOW)).toBe(60 + 720);
+    expect(getExpirationMinutes({ expiration_type: 'expire-at', expire_at: '2026-03-01T11:00' }, NOW)).toBeNull();
+    expect(getExpirationMinutes({ expiration_type: 'expire-at', expire_at: 'tomorrow' }, NOW)).toBeNull();
+  });
+
+  test('returns null for shares that do not expire', () => {
+    expect(getExpirationMinutes({ expiration_type: 'none' }, NOW)).toBeNull();
+    expect(getExpirationMinutes({}, NOW)).toBeNull();
+  });
+});
+
+// ========================================================================
+// Stored Requests
+// ========================================================================
+
+describe('describeStoredRequest', () => {
+  test('fills in the selected record like the issue panel does', () => {
+    const request = describeStoredRequest({
+      selectedAction: { value: 'share-record', label: 'Request Access to Record' },
+      formData: { user: 'a@example.com', action: 'grant' },
+      selectedRecord: { record_uid: 'rec123', title: 'Database' }
+    });
+
+    expect(request).toEqual({
+      action: 'share-record',
+      parameters: { user: 'a@example.com', action: 'grant', record: 'rec123', recordTitle: 'Database' },
+      folder: null
+    });
+  });
+
+  test('fills in the selected folder and reports it as the target', () => {
+    const request = describeStoredRequest({
+      selectedAction: { value: 'share-folder' },
+      formData: { user: 'a@example.com', action: 'grant' },
+      selectedFolder: { folder_uid: 'fld123', uid: 'fld123', name: 'Ops Shared' }
+    });
+
+    expect(request.parameters).toMatchObject({ folder: 'fld123', folderTitle: 'Ops Shared' });
+    expect(request.folder).toEqual({ uid: 'fld123', name: 'Ops Shared' });
+  });
+
+  test('takes the command target and the reported folder from the same field', () => {
+    const selectedFolder = { folder_uid: 'fldAllowed', uid: 'fldSecret', path: 'fldSecret', name: 'Ops Shared' };
+    const folderShare = describeStoredRequest({ selectedAction: { value: 'share-folder' }, formData: { folder: 'fldSecret' }, selectedFolder });
+    const recordShare = describeStoredRequest({ selectedAction: { value: 'share-record' }, formData: { sharedFolder: 'fldSecret' }, selectedFolder });
+
+    expect(folderShare.parameters.folder).toBe('fldAllowed');
+    expect(folderShare.folder.uid).toBe('fldAllowed');
+    expect(recordShare.parameters.sharedFolder).toBe('fldAllowed');
+    expect(recordShare.folder.uid).toBe('fldAllowed');
+    expect(describeStoredRequest({ selectedAction: { value: 'share-folder' }, formData: {}, selectedFolder: { uid: 'fldSecret' } }).folder).toBeNull();
+  });
+
+  test('keeps only the fields the action declares', () => {
+    const request = describeStoredRequest({
+      selectedAction: { value: 'share-record' },
+      formData: { user: 'a@example.com', action: 'grant', cliCommand: 'rm --force rec999', extra: 'x' },
+      selectedRecord: { record_uid: 'rec123', title: 'Database' }
+    });
+
+    expect(request.parameters).toEqual({ user: 'a@example.com', action: 'grant', record: 'rec123', recordTitle: 'Database' });
+    expect(describeStoredRequest({ selectedAction: { value: 'unknown' }, formData: { cliCommand: 'rm x' } }).parameters).toEqual({});
+  });
+
+  test('keeps only the record-permission parameters', () => {
+    const request = describeStoredRequest({
+      selectedAction: { value: 'record-permission' },
+      formData: { action: 'grant', can_edit: true, can_share: false, recursive: true, notes: 'ignored' },
+      selectedFolder: { folder_uid: 'fld789', name: 'Finance' }
+    });
+
+    expect(request).toEqual({
+      action: 'record-permission',
+      parameters: { folder: 'fld789', action: 'grant', can_edit: true, can_share: false, recursive: true },
+      folder: { uid: 'fld789', name: 'Finance' }
+    });
+  });
+
+  test('uses the record folder of a share-record request as the target', () => {
+    const request = describeStoredRequest({ selectedAction: { value: 'share-record' }, formData: { sharedFolder: 'fld456' } });
+    expect(request.folder).toEqual({ uid: 'fld456', name: null });
+  });
+
+  test('runs a record-update on the selected record without the masked secrets', () => {
+    const request = describeStoredRequest({
+      selectedAction: { value: 'record-update' },
+      formData: { record: 'old123', title: 'Database', password: '••••••••', oneTimeCode: '••••••••' },
+      selectedRecordForUpdate: { record_uid: 'rec123' }
+    });
+
+    expect(request.parameters).toEqual({ record: 'rec123', title: 'Database' });
+  });
+});
+
+describe('resolvePolicyFolder', () => {
+  const folders = [{ folder_uid: 'fld123', name: 'Ops Shared' }];
+  const recordShare = {
+    action: 'share-record',
+    parameters: { record: 'rec123', user: 'a@example.com' },
+    folder: { uid: 'fld123', name: 'Finance' }
+  };
+
+  test('takes the folder name from the vault listing', () => {
+    expect(resolvePolicyFolder(recordShare, folders, [{ uid: 'rec123', name: 'Database' }])).toEqual({ uid: 'fld123', name: 'Ops Shared' });
+  });
+
+  test('rejects a folder the vault does not have', () => {
+    expect(resolvePolicyFolder({ ...recordShare, folder: { uid: 'fld999', name: 'Ops Shared' } }, folders, [{ uid: 'rec123' }])).toBeNull();
+    expect(resolvePolicyFolder({ ...recordShare, folder: null }, folders)).toBeNull();
+  });
+
+  test('rejects a record share whose record is not in the folder', () => {
+    expect(resolvePolicyFolder(recordShare, folders, [{ uid: 'rec999', name: 'Other' }])).toBeNull();
+    expect(resolvePolicyFolder(recordShare, folders, null)).toBeNull();
+  });
+
+  test('only needs the listing for folder shares', () => {
+    const folderShare = { action: 'share-folder', parameters: { folder: 'fld123' }, folder: { uid: 'fld123', name: null } };
+    expect(resolvePolicyFolder(folderShare, folders)).toEqual({ uid: 'fld123', name: 'Ops Shared' });
+  });
+});
+
+describe('targetsConfirmedFolder', () => {
+  const confirmed = { uid: 'fld123', name: 'Ops Shared' };
+
+  test('accepts a request that runs against the confirmed folder', () => {
+    expect(targetsConfirmedFolder({ action: 'share-folder', parameters: { folder: 'fld123' }, folder: { uid: 'fld123' } }, confirmed)).toBe(true);
+    expect(targetsConfirmedFolder({ action: 'share-record', parameters: { sharedFolder: 'fld123' }, folder: { uid: 'fld123' } }, confirmed)).toBe(true);
+  });
+
+  test('refuses a command target that differs from the confirmed folder', () => {
+    expect(targetsConfirmedFolder({ action: 'share-folder', parameters: { folder: 'fld999' }, folder: { uid: 'fld123' } }, confirmed)).toBe(false);
+    expect(targetsConfirmedFolder({ action: 'share-folder', parameters: { folder: 'fld123' }, folder: { uid: 'fld123' } }, null)).toBe(false);
+    expect(targetsConfirmedFolder({ action: 'rm', parameters: {}, folder: { uid: 'fld123' } }, confirmed)).toBe(false);
+  });
+});
+
+// ========================================================================
+// Evaluation
+// ========================================================================
+
+describe('evaluateApprovalPolicy', () => {
+  test('auto-approves a short read-only share', () => {
+    expect(evaluateApprovalPolicy([READ_ONLY_SHARES], shareRequest())).toEqual({ outcome: 'auto_approve', rule: READ_ONLY_SHARES });
+  });
+
+  test('requires approval when no rule matches', () => {
+    expect(evaluateApprovalPolicy([READ_ONLY_SHARES], shareRequest({ can_write: true }))).toEqual({ outcome: 'require_approval', rule: null });
+    expect(evaluateApprovalPolicy([], shareRequest())).toEqual({ outcome: 'require_approval', rule: null });
+  });
+
+  test.each([
+    ['a longer share', shareRequest({ expire_in: '3h' })],
+    ['a share that never expires', shareRequest({ expiration_type: 'none' })],
+    ['another project', shareRequest({}, { projectKey: 'PROD' })],
+    ['another action', shareRequest({}, { action: 'share-folder' })],
+    ['an ownership transfer', shareRequest({ action: 'owner' })]
+  ])('does not auto-approve %s', (_, context) => {
+    expect(evaluateApprovalPolicy([READ_ONLY_SHARES], context).outcome).toBe('require_approval');
+  });
+
+  test('uses the first matching rule', () => {
+    const denyContractors = {
+      name: 'No contractors',
+      outcome: 'deny',
+      match: { projectKeys: [], actions: [], folders: [], permissions: {}, maxExpirationMinutes: null, requesterGroups: ['Contractors'] }
+    };
+
+    expect(evaluateApprovalPolicy([denyContractors, READ_ONLY_SHARES], shareRequest({}, { requesterGroups: ['contractors'] })))
+      .toEqual({ outcome: 'deny', rule: denyContractors });
+    expect(evaluateApprovalPolicy([READ_ONLY_SHARES, denyContractors], shareRequest({}, { requesterGroups: ['contractors'] })).outcome)
+      .toBe('auto_approve');
+  });
+
+  test('matches target folders by UID only', () => {
+    const folderRule = {
+      name: 'Ops folder',
+      outcome: 'require_approval',
+      match: { projectKeys: [], actions: [], folders: ['fld123', 'Finance'], permissions: {}, maxExpirationMinutes: null, requesterGroups: [] }
+    };
+
+    expect(evaluateApprovalPolicy([folderRule], shareRequest({}, { folder: { uid: 'fld123', name: null } })).rule).toBe(folderRule);
+    expect(evaluateApprovalPolicy([folderRule], shareRequest({}, { folder: { uid: 'fld999', name: 'Finance' } })).rule).toBeNull();
+    expect(evaluateApprovalPolicy([folderRule], shareRequest()).rule).toBeNull();
+  });
+});
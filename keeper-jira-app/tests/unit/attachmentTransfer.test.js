@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for Attachment Transfer Utility
+ *
+ * Tests attachment selection against the issue, the step-by-step transfer
+ * state kept on the job, and the upload-attachment command.
+ */
+
+const {
+  ATTACHMENT_LIMITS,
+  TRANSFER_ITEM_STATUS,
+  STEP_CLAIM_STALE_MS,
+  supportsAttachments,
+  selectAttachments,
+  buildAttachmentTransfer,
+  getUploadingItem,
+  getNextPendingItem,
+  isTransferDone,
+  updateTransferItem,
+  canClaimTransferStep,
+  getTransferProgress,
+  buildUploadCommand,
+  buildUploadFiledata
+} = require('../../src/modules/utils/attachmentTransfer');
+
+const issueAttachments = [
+  { id: '10001', filename: 'cert.pem', size: 2048, mimeType: 'application/x-pem-file' },
+  { id: '10002', filename: 'notes.txt', size: 512 },
+  { id: '10003', filename: 'dump.bin', size: ATTACHMENT_LIMITS.maxBytes + 1 }
+];
+
+// ============================================================================
+// Selection Tests
+// ============================================================================
+
+describe('supportsAttachments', () => {
+  test('only record-add and record-update carry attachments', () => {
+    expect(supportsAttachments('record-add')).toBe(true);
+    expect(supportsAttachments('record-update')).toBe(true);
+    expect(supportsAttachments('share-record')).toBe(false);
+  });
+});
+
+describe('selectAttachments', () => {
+  test('selects issue attachments and de-duplicates ids', () => {
+    const result = selectAttachments([10001, '10002', '10001'], issueAttachments);
+    expect(result.valid).toBe(true);
+    expect(result.attachments).toEqual([
+      { id: '10001', filename: 'cert.pem', size: 2048, mimeType: 'application/x-pem-file' },
+      { id: '10002', filename: 'notes.txt', size: 512, mimeType: 'application/octet-stream' }
+    ]);
+  });
+
+  test('rejects attachments from other issues', () => {
+    const result = selectAttachments(['99999'], issueAttachments);
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('does not belong to this issue');
+  });
+
+  test('rejects files over the size limit', () => {
+    const result = selectAttachments(['10003'], issueAttachments);
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('dump.bin');
+  });
+
+  test('rejects too many files', () => {
+    const ids = Array.from({ length: ATTACHMENT_LIMITS.maxFiles + 1 }, (_, i) => String(i));
+    expect(selectAttachments(ids, []).error).toContain(`No more than ${ATTACHMENT_LIMITS.maxFiles}`);
+  });
+
+  test('rejects non-array input', () => {
+    expect(selectAttachments('10001', issueAttachments).valid).toBe(false);
+  });
+});
+
+// ============================================================================
+// Transfer State Tests
+// ============================================================================
+
+describe('transfer state', () => {
+  const { attachments } = selectAttachments(['10001', '10002'], issueAttachments);
+  const transfer = buildAttachmentTransfer(attachments, { deleteFromJira: true, recordTitle: 'DB Login' });
+
+  test('starts with every item pending', () => {
+    expect(transfer.items.every(item => item.status === TRANSFER_ITEM_STATUS.PENDING)).toBe(true);
+    expect(transfer.deleteFromJira).toBe(true);
+    expect(transfer.recordUid).toBeNull();
+    expect(getNextPendingItem(transfer).id).toBe('10001');
+    expect(getUploadingItem(transfer)).toBeUndefined();
+  });
+
+  test('updates items without modifying the input', () => {
+    const next = updateTransferItem(transfer, '10001', { status: TRANSFER_ITEM_STATUS.UPLOADING, requestId: 'req-1' });
+    expect(transfer.items[0].status).toBe(TRANSFER_ITEM_STATUS.PENDING);
+    expect(getUploadingItem(next).requestId).toBe('req-1');
+    expect(getNextPendingItem(next).id).toBe('10002');
+  });
+
+  test('is done once every item uploaded or failed', () => {
+    let next = updateTransferItem(transfer, '10001', { status: TRANSFER_ITEM_STATUS.UPLOADED });
+    expect(isTransferDone(next)).toBe(false);
+    next = updateTransferItem(next, '10002', { status: TRANSFER_ITEM_STATUS.FAILED, error: 'Timed out' });
+    expect(isTransferDone(next)).toBe(true);
+    expect(getTransferProgress(next)).toEqual({ total: 2, uploaded: 1, failed: 1 });
+  });
+});
+
+describe('canClaimTransferStep', () => {
+  const now = Date.parse('2026-01-01T00:10:00.000Z');
+
+  test('allows unclaimed transfers', () => {
+    expect(canClaimTransferStep({ claimedAt: null }, now)).toBe(true);
+  });
+
+  test('blocks a fresh claim', () => {
+    expect(canClaimTransferStep({ claimedAt: new Date(now - 1000).toISOString() }, now)).toBe(false);
+  });
+
+  test('allows stale claims to be retried', () => {
+    expect(canClaimTransferStep({ claimedAt: new Date(now - STEP_CLAIM_STALE_MS - 1).toISOString() }, now)).toBe(true);
+  });
+});
+
+// ============================================================================
+// Commander Upload Tests
+// ============================================================================
+
+describe('buildUploadCommand', () => {
+  test('references the filedata placeholder', () => {
+    expect(buildUploadCommand('AbC123')).toBe("upload-attachment 'AbC123' --file=FILEDATA");
+  });
+
+  test('escapes the record UID', () => {
+    expect(buildUploadCommand("x'; rm -rf /")).not.toContain("x'; rm");
+  });
+});
+
+describe('buildUploadFiledata', () => {
+  test('wraps base64 content with file metadata', () => {
+    expect(buildUploadFiledata({ filename: 'a.txt', mimeType: 'text/plain' }, 'aGk=')).toEqual({
+      filename: 'a.txt',
+      mimeType: 'text/plain',
+      encoding: 'base64',
+      content: 'aGk='
+    });
+  });
+});
@@ -12,6 +12,7 @@ const {
   validateEmails,
   validatePhoneEntry,
   validateCommandParameters,
+  isEpmApprovalCommand,
   escapeForSingleQuotes,
   escapeForDoubleQuotes,
   sanitizeJsonObject,
@@ -269,11 +270,52 @@ describe('validateCommandParameters', () => {
     expect(result.errors.length).toBeGreaterThanOrEqual(2);
   });
 
-  test('passes cliCommand without validation', () => {
+  test('enforces the org password policy on typed passwords only', () => {
+    const policy = { minLength: 12, minLowercase: 1, minUppercase: 1, minDigits: 1, minSymbols: 0, allowPassphrase: true, minPassphraseWords: 4 };
+
+    expect(validateCommandParameters('record-add', { title: 'Test', password: 'short1A' }, { passwordPolicy: policy }).errors)
+      .toEqual(['Password must be at least 12 characters long']);
+    expect(validateCommandParameters('record-update', { record: 'AbC123', password: 'Long-enough-pass1' }, { passwordPolicy: policy }).valid).toBe(true);
+    expect(validateCommandParameters('record-add', { title: 'Test', password: '$GEN' }, { passwordPolicy: policy }).valid).toBe(true);
+    expect(validateCommandParameters('record-add', { title: 'Test', password: 'short1A' }).valid).toBe(true);
+  });
+
+  test('rejects malformed one-time code URIs', () => {
+    expect(validateCommandParameters('record-add', { title: 'Test', oneTimeCode: 'JBSWY3DPEHPK3PXP' }).errors)
+      .toEqual(['One-time code must be an otpauth:// URI']);
+    expect(validateCommandParameters('record-update', { record: 'AbC123', oneTimeCode: 'otpauth://totp/Acme:svc?secret=not-base32!' }).valid).toBe(false);
+    expect(validateCommandParameters('record-add', { title: 'Test', oneTimeCode: 'otpauth://totp/Acme:svc?secret=JBSWY3DPEHPK3PXP' }).valid).toBe(true);
+  });
+
+  test('passes an EPM approval cliCommand without field validation', () => {
+    const command = 'epm approval action --approve abc123';
+    expect(validateCommandParameters(command, { cliCommand: command }).valid).toBe(true);
+  });
+
+  test('rejects any other cliCommand', () => {
     const result = validateCommandParameters('any-action', {
       cliCommand: 'some pre-built command'
     });
-    expect(result.valid).toBe(true);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['Pre-formatted commands are only accepted for EPM approvals']);
+    expect(validateCommandParameters('rm', { cliCommand: 'rm --force abc123', record: 'abc123' }).valid).toBe(false);
+  });
+});
+
+describe('isEpmApprovalCommand', () => {
+  test('accepts approve and deny for a request UID', () => {
+    expect(isEpmApprovalCommand('epm approval action --approve abc_12-3', { cliCommand: 'epm approval action --approve abc_12-3' })).toBe(true);
+    expect(isEpmApprovalCommand('epm approval action --deny abc123', { cliCommand: 'epm approval action --deny abc123' })).toBe(true);
+  });
+
+  test('rejects other epm commands, chained commands and extra parameters', () => {
+    const approve = 'epm approval action --approve abc123';
+    expect(isEpmApprovalCommand('epm policy delete abc123', { cliCommand: 'epm policy delete abc123' })).toBe(false);
+    expect(isEpmApprovalCommand(`${approve}; rm abc`, { cliCommand: `${approve}; rm abc` })).toBe(false);
+    expect(isEpmApprovalCommand(`${approve} --force`, { cliCommand: `${approve} --force` })).toBe(false);
+    expect(isEpmApprovalCommand('share-record', { cliCommand: approve })).toBe(false);
+    expect(isEpmApprovalCommand(approve, { cliCommand: approve, record: 'abc123' })).toBe(false);
+    expect(isEpmApprovalCommand(approve, {})).toBe(false);
   });
 });
 
@@ -324,6 +366,16 @@ describe('buildKeeperCommand', () => {
       expect(command).toContain('+1-555-1234');
     });
 
+    test('stores the normalized one-time code URI', () => {
+      const command = buildKeeperCommand('record-add', {
+        title: 'Service Account',
+        recordType: 'login',
+        oneTimeCode: ' otpauth://totp/Acme:svc?secret=jbsw y3dp&issuer=Acme '
+      }, 'TEST-1');
+      
+      expect(command).toContain("oneTimeCode='otpauth://totp/Acme:svc?secret=JBSWY3DP&issuer=Acme'");
+    });
+
     test('throws on missing title', () => {
       expect(() => {
         buildKeeperCommand('record-add', { recordType: 'login' }, 'TEST-1');
@@ -339,8 +391,18 @@ describe('buildKeeperCommand', () => {
       }, 'TEST-1');
       
       expect(command).toContain('record-update');
-      expect(command).toContain('"abc123"');
-      expect(command).toContain('Title="Updated Title"');
+      expect(command).toContain("--record='abc123'");
+      expect(command).toContain("--title='Updated Title'");
+    });
+
+    test('updates the one-time code field', () => {
+      const command = buildKeeperCommand('record-update', {
+        record: 'abc123',
+        oneTimeCode: 'otpauth://totp/Acme:svc?secret=JBSWY3DP'
+      }, 'TEST-1');
+      
+      expect(command).toContain("oneTimeCode='otpauth://totp/Acme:svc?secret=JBSWY3DP'");
+      expect(command).not.toContain('c.text.oneTimeCode');
     });
 
     test('throws on missing record UID', () => {
@@ -359,9 +421,9 @@ describe('buildKeeperCommand', () => {
       }, 'TEST-1');
       
       expect(command).toContain('share-record');
-      expect(command).toContain("--record='abc123'");
-      expect(command).toContain("--user='user@example.com'");
-      expect(command).toContain("--action='grant'");
+      expect(command).toContain("share-record 'abc123'");
+      expect(command).toContain("-e 'user@example.com'");
+      expect(command).toContain('-a grant');
     });
 
     test('adds permission flags', () => {
@@ -372,8 +434,8 @@ describe('buildKeeperCommand', () => {
         can_write: true
       }, 'TEST-1');
       
-      expect(command).toContain('--can-share');
-      expect(command).toContain('--can-write');
+      expect(command).toContain(' -s');
+      expect(command).toContain(' -w');
     });
 
     test('escapes user email with quotes', () => {
@@ -382,13 +444,13 @@ describe('buildKeeperCommand', () => {
         user: "user'test@example.com"
       }, 'TEST-1');
       
-      expect(command).toContain("--user='user'\\''test@example.com'");
+      expect(command).toContain("-e 'user'\\''test@example.com'");
     });
 
     test('throws on missing record', () => {
       expect(() => {
         buildKeeperCommand('share-record', { user: 'user@example.com' }, 'TEST-1');
-      }).toThrow('record UID is required');
+      }).toThrow('Record UID is required');
     });
 
     test('throws on missing user', () => {
@@ -405,20 +467,206 @@ describe('buildKeeperCommand', () => {
         user: 'user@example.com'
       }, 'TEST-1');
       
-      expect(command).toContain('share-folder');
-      expect(command).toContain("--folder='folder123'");
-      expect(command).toContain("--user='user@example.com'");
+      expect(command).toContain("share-folder 'folder123'");
+      expect(command).toContain("-e 'user@example.com'");
+    });
+  });
+
+  describe('one-time-share', () => {
+    test('builds one-time share create command', () => {
+      const command = buildKeeperCommand('one-time-share', {
+        record: 'AbC123',
+        expire_in: '1d',
+        share_name: 'SEC-1'
+      }, 'SEC-1');
+
+      expect(command).toBe("one-time-share create 'AbC123' -e 1d --name 'SEC-1'");
+    });
+
+    test('rejects an expiry that is not offered', () => {
+      expect(() => buildKeeperCommand('one-time-share', {
+        record: 'AbC123',
+        expire_in: '1d; whoami'
+      }, 'SEC-1')).toThrow();
+    });
+  });
+
+  describe('rm', () => {
+    test('builds forced record deletion', () => {
+      expect(buildKeeperCommand('rm', { record: 'AbC123' }, 'TEST-1')).toBe("rm 'AbC123' --force");
+    });
+
+    test('requires a record', () => {
+      expect(() => buildKeeperCommand('rm', {}, 'TEST-1')).toThrow('Input validation failed');
+    });
+  });
+
+  describe('mv', () => {
+    test('moves a record to the destination folder', () => {
+      const command = buildKeeperCommand('mv', {
+        record: 'AbC123',
+        source_folder: 'Src1',
+        destination_folder: 'Dst1'
+      }, 'TEST-1');
+
+      expect(command).toBe("mv 'AbC123' 'Dst1' --force");
+    });
+
+    test('moves a folder when no record is given', () => {
+      expect(buildKeeperCommand('mv', { folder: 'Fold1', destination_folder: 'Dst1' }, 'TEST-1')).toBe("mv 'Fold1' 'Dst1' --force");
+    });
+
+    test('requires a record or folder and a destination', () => {
+      expect(() => buildKeeperCommand('mv', { destination_folder: 'Dst1' }, 'TEST-1')).toThrow('Select a record or a folder to move');
+      expect(() => buildKeeperCommand('mv', { record: 'AbC123' }, 'TEST-1')).toThrow('Input validation failed');
+    });
+  });
+
+  describe('mkdir', () => {
+    test('creates a shared folder with the selected default permissions', () => {
+      const command = buildKeeperCommand('mkdir', {
+        folder_name: 'Project Phoenix',
+        folder_path: 'Parent123/Project Phoenix',
+        manage_records: true,
+        can_share: true
+      }, 'TEST-1');
+
+      expect(command).toBe("mkdir 'Parent123/Project Phoenix' --shared-folder --manage-records --can-share");
+    });
+
+    test('validates initial member emails', () => {
+      expect(() => buildKeeperCommand('mkdir', {
+        folder_name: 'Project Phoenix',
+        folder_path: '/Project Phoenix',
+        members: 'not-an-email'
+      }, 'TEST-1')).toThrow('Invalid email format');
+    });
+  });
+
+  describe('enterprise-user', () => {
+    test('invites a user to a node', () => {
+      const command = buildKeeperCommand('enterprise-user', {
+        operation: 'add',
+        user: 'new.hire@example.com',
+        node: 'Sales EU',
+        full_name: 'New Hire'
+      }, 'TEST-1');
+
+      expect(command).toBe("enterprise-user --add --node 'Sales EU' --name 'New Hire' 'new.hire@example.com'");
+    });
+
+    test('requires a node for an invitation only', () => {
+      expect(() => buildKeeperCommand('enterprise-user', {
+        operation: 'add',
+        user: 'new.hire@example.com'
+      }, 'TEST-1')).toThrow('Node is required');
+
+      expect(buildKeeperCommand('enterprise-user', {
+        operation: 'unlock',
+        user: 'user@example.com'
+      }, 'TEST-1')).toBe("enterprise-user --unlock 'user@example.com'");
+    });
+
+    test('deletes a user once the email is confirmed, ignoring case', () => {
+      const command = buildKeeperCommand('enterprise-user', {
+        operation: 'delete',
+        user: 'leaver@example.com',
+        confirm_user: ' Leaver@Example.com '
+      }, 'TEST-1');
+
+      expect(command).toBe("enterprise-user --delete --force 'leaver@example.com'");
+    });
+
+    test('rejects a lock without a matching confirmation', () => {
+      expect(() => buildKeeperCommand('enterprise-user', {
+        operation: 'lock',
+        user: 'leaver@example.com'
+      }, 'TEST-1')).toThrow('again to confirm');
+
+      expect(() => buildKeeperCommand('enterprise-user', {
+        operation: 'lock',
+        user: 'leaver@example.com',
+        confirm_user: 'someone.else@example.com'
+      }, 'TEST-1')).toThrow('Confirm User Email does not match User Email');
+    });
+
+    test('rejects an unknown operation', () => {
+      expect(() => buildKeeperCommand('enterprise-user', {
+        operation: 'purge',
+        user: 'user@example.com'
+      }, 'TEST-1')).toThrow();
+    });
+  });
+
+  describe('transfer-user', () => {
+    test('transfers the vault to the target user', () => {
+      const command = buildKeeperCommand('transfer-user', {
+        user: 'leaver@example.com',
+        target_user: 'manager@example.com',
+        confirm_user: 'leaver@example.com'
+      }, 'TEST-1');
+
+      expect(command).toBe("transfer-user --force --target-user 'manager@example.com' 'leaver@example.com'");
+    });
+
+    test('validates the target email', () => {
+      expect(() => buildKeeperCommand('transfer-user', {
+        user: 'leaver@example.com',
+        target_user: 'manager',
+        confirm_user: 'leaver@example.com'
+      }, 'TEST-1')).toThrow('invalid format');
+    });
+  });
+
+  describe('enterprise-team', () => {
+    const TEAM_UID = 'Tm4_kLm2-Pq9Rs4Tu6Vw8Z';
+
+    test('adds a user to a team', () => {
+      const command = buildKeeperCommand('enterprise-team', {
+        operation: 'add',
+        team: TEAM_UID,
+        user: 'user@example.com'
+      }, 'TEST-1');
+
+      expect(command).toBe(`enterprise-team --add-user 'user@example.com' '${TEAM_UID}'`);
+    });
+
+    test('removes a user from a team', () => {
+      const command = buildKeeperCommand('enterprise-team', {
+        operation: 'remove',
+        team: TEAM_UID,
+        user: 'user@example.com'
+      }, 'TEST-1');
+
+      expect(command).toBe(`enterprise-team --remove-user 'user@example.com' '${TEAM_UID}'`);
+    });
+
+    test('only accepts a team UID from the picker', () => {
+      expect(() => buildKeeperCommand('enterprise-team', {
+        operation: 'add',
+        team: 'Engineering; whoami',
+        user: 'user@example.com'
+      }, 'TEST-1')).toThrow('Team UID has invalid format');
     });
   });
 
   describe('pre-formatted commands', () => {
-    test('returns cliCommand as-is', () => {
+    test('returns an EPM approval cliCommand as-is', () => {
       const prebuilt = 'epm approval action --approve abc123';
-      const command = buildKeeperCommand('epm approval action', {
+      const command = buildKeeperCommand(prebuilt, {
         cliCommand: prebuilt
       }, 'TEST-1');
       
       expect(command).toBe(prebuilt);
     });
+
+    test('refuses any other cliCommand', () => {
+      expect(() => buildKeeperCommand('share-record', {
+        cliCommand: 'share-record -r abc -e attacker@example.com -a grant'
+      }, 'TEST-1')).toThrow('Pre-formatted commands are only accepted for EPM approvals');
+      expect(() => buildKeeperCommand('epm approval action', {
+        cliCommand: 'epm approval action --approve abc123'
+      }, 'TEST-1')).toThrow('Input validation failed');
+    });
   });
 });
@@ -0,0 +1,110 @@
+/**
+ * Unit Tests for Command Policy Utility
+ *
+ * Tests the allow-list and admin gate applied to raw commands sent to the
+ * executeKeeperCommand resolver.
+ */
+
+const {
+  DEFAULT_ALLOWED_COMMANDS,
+  COMMAND_POLICY_LIMITS,
+  POLICY_REJECTION,
+  isReadOnlyCommand,
+  validateAllowedCommands,
+  evaluateCommandPolicy
+} = require('../../src/modules/utils/commandPolicy');
+
+// ============================================================================
+// Policy Evaluation Tests
+// ============================================================================
+
+describe('evaluateCommandPolicy', () => {
+  test('allows read-only commands for non-admins', () => {
+    const decision = evaluateCommandPolicy('list --format=json');
+    expect(decision).toEqual({ allowed: true, verb: 'list', readOnly: true });
+  });
+
+  test('requires admin for commands that change data', () => {
+    const decision = evaluateCommandPolicy('epm approval action --approve abc', { isAdmin: false });
+    expect(decision.allowed).toBe(false);
+    expect(decision.reason).toBe(POLICY_REJECTION.ADMIN_REQUIRED);
+    expect(decision.verb).toBe('epm');
+  });
+
+  test('allows admins to run write commands on the list', () => {
+    expect(evaluateCommandPolicy('epm approval action --approve abc', { isAdmin: true }).allowed).toBe(true);
+  });
+
+  test('rejects verbs outside the allow-list even for admins', () => {
+    const decision = evaluateCommandPolicy('delete-all --force', { isAdmin: true });
+    expect(decision.allowed).toBe(false);
+    expect(decision.reason).toBe(POLICY_REJECTION.NOT_ALLOWED);
+    expect(decision.verb).toBe('delete-all');
+  });
+
+  test('honours a custom allow-list', () => {
+    const allowedCommands = ['list', 'epm'];
+    expect(evaluateCommandPolicy('get "abc"', { allowedCommands }).reason).toBe(POLICY_REJECTION.NOT_ALLOWED);
+    expect(evaluateCommandPolicy('list', { allowedCommands }).allowed).toBe(true);
+  });
+
+  test('parses the verb case-insensitively after leading whitespace', () => {
+    expect(evaluateCommandPolicy('   LS -f').verb).toBe('ls');
+  });
+
+  test('does not match verbs by prefix', () => {
+    expect(evaluateCommandPolicy('lister').reason).toBe(POLICY_REJECTION.NOT_ALLOWED);
+  });
+
+  test.each(['', '   ', 'list\nrecord-add --title=x', 'list\r\nepm'])('rejects invalid command %j', (command) => {
+    const decision = evaluateCommandPolicy(command, { isAdmin: true });
+    expect(decision.allowed).toBe(false);
+    expect(decision.reason).toBe(POLICY_REJECTION.INVALID_COMMAND);
+  });
+});
+
+describe('isReadOnlyCommand', () => {
+  test('read verbs are read-only', () => {
+    expect(isReadOnlyCommand('get')).toBe(true);
+    expect(isReadOnlyCommand('service-status')).toBe(true);
+  });
+
+  test('write verbs are not', () => {
+    expect(isReadOnlyCommand('record-add')).toBe(false);
+    expect(isReadOnlyCommand('epm')).toBe(false);
+  });
+});
+
+// ============================================================================
+// Allow-list Validation Tests
+// ============================================================================
+
+describe('validateAllowedCommands', () => {
+  test('defaults match the service-create setup instructions', () => {
+    expect(DEFAULT_ALLOWED_COMMANDS).toEqual(expect.arrayContaining(['record-add', 'list', 'epm', 'service-status']));
+  });
+
+  test('accepts the comma-separated service-create format', () => {
+    expect(validateAllowedCommands('list, LS,get,,list')).toEqual({ valid: true, commands: ['list', 'ls', 'get'] });
+  });
+
+  test('accepts arrays', () => {
+    expect(validateAllowedCommands(['epm']).commands).toEqual(['epm']);
+  });
+
+  test('rejects invalid names', () => {
+    expect(validateAllowedCommands(['list; rm']).valid).toBe(false);
+    expect(validateAllowedCommands(['-rf']).valid).toBe(false);
+  });
+
+  test('rejects empty lists', () => {
+    expect(validateAllowedCommands([]).valid).toBe(false);
+    expect(validateAllowedCommands(' , ').valid).toBe(false);
+    expect(validateAllowedCommands(null).valid).toBe(false);
+  });
+
+  test('enforces the maximum count', () => {
+    const commands = Array.from({ length: COMMAND_POLICY_LIMITS.maxCommands + 1 }, (_, i) => `cmd-${i}`);
+    expect(validateAllowedCommands(commands).valid).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for Keeper Command Registry
+ *
+ * Tests the registry structure and the issue panel view served by the
+ * getKeeperCommandRegistry resolver.
+ */
+
+const {
+  COMMAND_REGISTRY,
+  getCommandDefinition,
+  getFieldDefinition,
+  pickDeclaredParameters,
+  getIssuePanelActions
+} = require('../../src/modules/utils/commandRegistry');
+
+// ============================================================================
+// Registry Structure Tests
+// ============================================================================
+
+describe('COMMAND_REGISTRY', () => {
+  test.each(COMMAND_REGISTRY.map(entry => [entry.value, entry]))('%s has a label and description', (value, entry) => {
+    expect(entry.label).toBeTruthy();
+    expect(entry.description).toBeTruthy();
+  });
+
+  test.each(COMMAND_REGISTRY.map(entry => [entry.value, entry]))('%s arguments reference declared fields', (value, entry) => {
+    for (const argument of entry.arguments) {
+      if (argument.field) {
+        expect(getFieldDefinition(entry, argument.field)).not.toBeNull();
+      }
+    }
+  });
+
+  test('action values are unique', () => {
+    const values = COMMAND_REGISTRY.map(entry => entry.value);
+    expect(new Set(values).size).toBe(values.length);
+  });
+});
+
+describe('getCommandDefinition', () => {
+  test('finds supported actions', () => {
+    expect(getCommandDefinition('share-record').label).toBe('Request Access to Record');
+  });
+
+  test('returns null for unsupported actions', () => {
+    expect(getCommandDefinition('rmdir')).toBeNull();
+    expect(getCommandDefinition(undefined)).toBeNull();
+  });
+});
+
+// ============================================================================
+// Issue Panel View Tests
+// ============================================================================
+
+describe('pickDeclaredParameters', () => {
+  test('keeps only declared fields', () => {
+    const parameters = { folder: 'fld123', user: 'a@example.com', action: 'grant', cliCommand: 'rm --force x', extra: 'x' };
+    expect(pickDeclaredParameters(getCommandDefinition('share-folder'), parameters))
+      .toEqual({ folder: 'fld123', user: 'a@example.com', action: 'grant' });
+  });
+
+  test('keeps record-type fields but never a cliCommand', () => {
+    expect(pickDeclaredParameters(getCommandDefinition('record-add'), { title: 'Db', login: 'admin', cliCommand: 'rm x' }))
+      .toEqual({ title: 'Db', login: 'admin' });
+  });
+
+  test('keeps nothing for an unsupported action', () => {
+    expect(pickDeclaredParameters(null, { cliCommand: 'rm x' })).toEqual({});
+  });
+});
+
+describe('getIssuePanelActions', () => {
+  const actions = getIssuePanelActions();
+
+  test('lists every registry action', () => {
+    expect(actions.map(action => action.value)).toEqual(COMMAND_REGISTRY.map(entry => entry.value));
+  });
+
+  test('marks record changes, reverts and enterprise user management as admin only', () => {
+    const adminOnly = actions.filter(action => action.requiresAdmin).map(action => action.value);
+    expect(adminOnly).toEqual(['record-add', 'record-update', 'enterprise-user', 'transfer-user', 'record-history']);
+  });
+
+  test('marks one-time shares, deletes, moves, folder creation, team membership and Secrets Manager requests as needing an administrator to approve', () => {
+    const adminApproval = actions.filter(action => action.adminApproval).map(action => action.value);
+    expect(adminApproval).toEqual(['one-time-share', 'rm', 'mv', 'mkdir', 'enterprise-team', 'secrets-manager']);
+  });
+
+  test('omits CLI layout and validation details', () => {
+    for (const action of actions) {
+      expect(action.arguments).toBeUndefined();
+      for (const field of action.fields) {
+        expect(field.pattern).toBeUndefined();
+        expect(field.limitKey).toBeUndefined();
+        expect(field.optionalWhen).toBeUndefined();
+      }
+    }
+  });
+
+  test('omits hidden fields', () => {
+    const shareRecord = actions.find(action => action.value === 'share-record');
+    expect(shareRecord.fields.find(field => field.name === 'record')).toBeUndefined();
+    expect(getFieldDefinition(getCommandDefinition('share-record'), 'record').hidden).toBe(true);
+  });
+
+  test('keeps approver-only fields for the issue panel', () => {
+    const oneTimeShare = actions.find(action => action.value === 'one-time-share');
+    const approverOnly = oneTimeShare.fields.filter(field => field.approverOnly).map(field => field.name);
+    expect(approverOnly).toEqual(['record', 'expire_in']);
+  });
+
+  test('returns copies that do not alias the registry', () => {
+    const shareFolder = actions.find(action => action.value === 'share-folder');
+    shareFolder.fields.find(field => field.name === 'action').options.push('steal');
+    expect(getFieldDefinition(getCommandDefinition('share-folder'), 'action').options).not.toContain('steal');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for Commander Capabilities Utility
+ *
+ * Tests parsing of service-status / version output into a capability profile
+ * and the command check applied before commands are queued.
+ */
+
+const {
+  COMMANDER_MIN_VERSIONS,
+  OUTPUT_FORMAT,
+  collectResponseText,
+  parseCommanderVersion,
+  compareVersions,
+  parseEnabledCommands,
+  parseQueueEnabled,
+  buildCapabilityProfile,
+  shouldProbeVersion,
+  checkCommandCapability
+} = require('../../src/modules/utils/commanderCapabilities');
+
+// ============================================================================
+// Parsing Tests
+// ============================================================================
+
+describe('collectResponseText', () => {
+  test('joins message and data strings', () => {
+    expect(collectResponseText({ message: ['Line 1', 'Line 2'], data: 'Line 3' })).toBe('Line 1\nLine 2\nLine 3');
+  });
+
+  test('handles missing data', () => {
+    expect(collectResponseText(null)).toBe('');
+  });
+});
+
+describe('parseCommanderVersion', () => {
+  test.each([
+    ['Commander Version: 17.1.8', '17.1.8'],
+    ['Keeper Commander, version 17.2.0', '17.2.0'],
+    ['Commander Service is Running', null]
+  ])('%s', (text, expected) => {
+    expect(parseCommanderVersion(text)).toBe(expected);
+  });
+});
+
+describe('compareVersions', () => {
+  test('compares numerically, not lexically', () => {
+    expect(compareVersions('17.10.0', '17.2.0')).toBeGreaterThan(0);
+    expect(compareVersions('17.1.6', COMMANDER_MIN_VERSIONS.asyncQueue)).toBeLessThan(0);
+    expect(compareVersions('17.1.7', '17.1.7')).toBe(0);
+  });
+});
+
+describe('parseEnabledCommands', () => {
+  test('reads a commands line from service-status text', () => {
+    const data = { message: 'Commander Service is Running\nCommands: record-add, list, ls, get' };
+    expect(parseEnabledCommands(data)).toEqual(['record-add', 'list', 'ls', 'get']);
+  });
+
+  test('prefers structured fields', () => {
+    expect(parseEnabledCommands({ data: { commands: ['list', 'EPM'] } })).toEqual(['list', 'epm']);
+  });
+
+  test('returns null when the service does not report its commands', () => {
+    expect(parseEnabledCommands({ message: 'Commander Service is Running' })).toBeNull();
+  });
+});
+
+describe('parseQueueEnabled', () => {
+  test('reads an explicit queue status', () => {
+    expect(parseQueueEnabled('Request queue: disabled')).toBe(false);
+    expect(parseQueueEnabled('Queue enabled: y')).toBe(true);
+  });
+
+  test('defaults to enabled', () => {
+    expect(parseQueueEnabled('Commander Service is Running')).toBe(true);
+  });
+});
+
+// ============================================================================
+// Profile Tests
+// ============================================================================
+
+describe('buildCapabilityProfile', () => {
+  const checkedAt = '2026-01-01T00:00:00.000Z';
+
+  test('builds a complete profile', () => {
+    const profile = buildCapabilityProfile(
+      { message: 'Commander Service is Running\nCommands: record-add,list,ls,get,record-type-info,record-update,share-record,share-folder,rti,record-permission,upload-attachment,one-time-share,rm,mv,mkdir,enterprise-user,transfer-user,enterprise-info,enterprise-team,record-history,secrets-manager,share-report,generate,epm,service-status' },
+      { message: 'Commander Version: 17.2.1' },
+      checkedAt
+    );
+    expect(profile).toEqual({
+      version: '17.2.1',
+      commands: ['record-add', 'list', 'ls', 'get', 'record-type-info', 'record-update', 'share-record', 'share-folder', 'rti', 'record-permission', 'upload-attachment', 'one-time-share', 'rm', 'mv', 'mkdir', 'enterprise-user', 'transfer-user', 'enterprise-info', 'enterprise-team', 'record-history', 'secrets-manager', 'share-report', 'generate', 'epm', 'service-status'],
+      queueEnabled: true,
+      outputFormat: OUTPUT_FORMAT.TEXT,
+      checkedAt,
+      warnings: []
+    });
+  });
+
+  test('warns about old versions and missing commands', () => {
+    const profile = buildCapabilityProfile(
+      { message: 'Commands: list,get,service-status' },
+      { message: 'Commander Version: 17.0.4' },
+      checkedAt
+    );
+    expect(profile.warnings).toHaveLength(2);
+    expect(profile.warnings[0]).toContain('older than 17.1.7');
+    expect(profile.warnings[1]).toContain('share-record');
+  });
+
+  test('warns when the version is unknown', () => {
+    const profile = buildCapabilityProfile({ message: 'Commander Service is Running' }, null, checkedAt);
+    expect(profile.version).toBeNull();
+    expect(profile.commands).toBeNull();
+    expect(profile.warnings[0]).toContain('did not report its version');
+  });
+
+  test('detects structured output', () => {
+    expect(buildCapabilityProfile({ data: { status: 'running' } }, null, checkedAt).outputFormat).toBe(OUTPUT_FORMAT.JSON);
+  });
+});
+
+describe('shouldProbeVersion', () => {
+  test('skips the probe when version is not an enabled command', () => {
+    expect(shouldProbeVersion(['list', 'get'])).toBe(false);
+    expect(shouldProbeVersion(['list', 'version'])).toBe(true);
+    expect(shouldProbeVersion(null)).toBe(true);
+  });
+});
+
+// ============================================================================
+// Command Check Tests
+// ============================================================================
+
+describe('checkCommandCapability', () => {
+  const profile = { commands: ['list', 'get', 'share-record', 'epm'] };
+
+  test('allows enabled commands', () => {
+    expect(checkCommandCapability(profile, "share-record 'abc' -e 'a@b.com' -a grant").supported).toBe(true);
+    expect(checkCommandCapability(profile, 'epm approval action --approve abc').supported).toBe(true);
+  });
+
+  test('names the missing command', () => {
+    const result = checkCommandCapability(profile, 'record-add --title="x"');
+    expect(result.supported).toBe(false);
+    expect(result.verb).toBe('record-add');
+    expect(result.error).toContain('"record-add" is not enabled on the Commander service');
+  });
+
+  test('does not restrict unknown profiles', () => {
+    expect(checkCommandCapability(null, 'record-add').supported).toBe(true);
+    expect(checkCommandCapability({ commands: null }, 'record-add').supported).toBe(true);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for Connection Router Utility
+ *
+ * Tests named connection validation and project / issue type routing
+ * used to pick a Keeper Commander connection per Jira issue.
+ */
+
+const {
+  DEFAULT_CONNECTION_ID,
+  CONNECTION_LIMITS,
+  slugifyConnectionName,
+  validateConnectionName,
+  validateRoutes,
+  resolveConnectionId,
+  removeRoutesForConnection,
+  maskApiKey
+} = require('../../src/modules/utils/connectionRouter');
+
+// ============================================================================
+// Connection Name Tests
+// ============================================================================
+
+describe('validateConnectionName', () => {
+  const existing = [{ id: 'non-prod', name: 'Non Prod' }];
+
+  test('accepts a new name and derives its id', () => {
+    const result = validateConnectionName('Staging Vault', existing);
+    expect(result.valid).toBe(true);
+    expect(result.id).toBe('staging-vault');
+  });
+
+  test('rejects empty names', () => {
+    expect(validateConnectionName('', existing).valid).toBe(false);
+    expect(validateConnectionName('   ', existing).valid).toBe(false);
+  });
+
+  test('rejects names with unsafe characters', () => {
+    const result = validateConnectionName('prod<script>', existing);
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('letters, numbers');
+  });
+
+  test('rejects names over the length limit', () => {
+    const result = validateConnectionName('a'.repeat(CONNECTION_LIMITS.nameMaxLength + 1), existing);
+    expect(result.valid).toBe(false);
+  });
+
+  test('reserves the default connection name', () => {
+    expect(validateConnectionName('Default', existing).valid).toBe(false);
+    expect(validateConnectionName('default', existing).valid).toBe(false);
+  });
+
+  test('rejects duplicates by name or derived id', () => {
+    expect(validateConnectionName('non prod', existing).valid).toBe(false);
+    expect(validateConnectionName('Non-Prod', existing).valid).toBe(false);
+  });
+
+  test('keeps the id stable when renaming an existing connection', () => {
+    const result = validateConnectionName('Non Production', existing, 'non-prod');
+    expect(result.valid).toBe(true);
+    expect(result.id).toBe('non-prod');
+  });
+});
+
+describe('slugifyConnectionName', () => {
+  test('lowercases and collapses separators', () => {
+    expect(slugifyConnectionName('  EU  Prod__Vault ')).toBe('eu-prod-vault');
+  });
+});
+
+// ============================================================================
+// Route Validation Tests
+// ============================================================================
+
+describe('validateRoutes', () => {
+  test('normalizes project keys and empty issue types', () => {
+    const result = validateRoutes(
+      [{ projectKey: 'itsm', issueType: '', connectionId: 'non-prod' }],
+      ['non-prod']
+    );
+    expect(result.valid).toBe(true);
+    expect(result.routes).toEqual([{ projectKey: 'ITSM', issueType: null, connectionId: 'non-prod' }]);
+  });
+
+  test('allows routing to the default connection', () => {
+    const result = validateRoutes([{ projectKey: 'SEC', connectionId: DEFAULT_CONNECTION_ID }], []);
+    expect(result.valid).toBe(true);
+  });
+
+  test('rejects unknown connections', () => {
+    const result = validateRoutes([{ projectKey: 'SEC', connectionId: 'missing' }], ['non-prod']);
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toContain('unknown connection');
+  });
+
+  test('rejects invalid project keys', () => {
+    const result = validateRoutes([{ projectKey: '1-bad', connectionId: 'default' }], []);
+    expect(result.valid).toBe(false);
+  });
+
+  test('rejects duplicate project / issue type pairs', () => {
+    const result = validateRoutes([
+      { projectKey: 'SEC', issueType: 'Task', connectionId: 'default' },
+      { projectKey: 'sec', issueType: 'task', connectionId: 'non-prod' }
+    ], ['non-prod']);
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toContain('duplicate');
+  });
+
+  test('rejects non-array input', () => {
+    expect(validateRoutes(null, []).valid).toBe(false);
+  });
+});
+
+// ============================================================================
+// Routing Resolution Tests
+// ============================================================================
+
+describe('resolveConnectionId', () => {
+  const routes = [
+    { projectKey: 'SEC', issueType: null, connectionId: 'prod' },
+    { projectKey: 'SEC', issueType: 'Test Request', connectionId: 'non-prod' },
+    { projectKey: 'DEV', issueType: 'Task', connectionId: 'non-prod' }
+  ];
+
+  test('prefers an exact project and issue type match', () => {
+    const result = resolveConnectionId(routes, { projectKey: 'SEC', issueType: 'test request' });
+    expect(result.connectionId).toBe('non-prod');
+    expect(result.matchedRoute.issueType).toBe('Test Request');
+  });
+
+  test('falls back to the project-wide route', () => {
+    expect(resolveConnectionId(routes, { projectKey: 'SEC', issueType: 'Bug' }).connectionId).toBe('prod');
+    expect(resolveConnectionId(routes, { projectKey: 'sec' }).connectionId).toBe('prod');
+  });
+
+  test('uses the default connection when no route matches', () => {
+    expect(resolveConnectionId(routes, { projectKey: 'DEV', issueType: 'Bug' }).connectionId).toBe(DEFAULT_CONNECTION_ID);
+    expect(resolveConnectionId(routes, { projectKey: 'OPS' }).connectionId).toBe(DEFAULT_CONNECTION_ID);
+  });
+
+  test('uses the default connection without a project', () => {
+    const result = resolveConnectionId(routes, {});
+    expect(result.connectionId).toBe(DEFAULT_CONNECTION_ID);
+    expect(result.matchedRoute).toBeNull();
+  });
+});
+
+describe('removeRoutesForConnection', () => {
+  test('drops only routes for the removed connection', () => {
+    const routes = [
+      { projectKey: 'SEC', issueType: null, connectionId: 'prod' },
+      { projectKey: 'DEV', issueType: null, connectionId: 'non-prod' }
+    ];
+    expect(removeRoutesForConnection(routes, 'non-prod')).toEqual([routes[0]]);
+  });
+});
+
+describe('maskApiKey', () => {
+  test('shows only the first and last four characters', () => {
+    expect(maskApiKey('abcd1234efgh5678')).toBe('abcd...5678');
+  });
+
+  test('fully masks short keys', () => {
+    expect(maskApiKey('short')).toBe('••••••••');
+  });
+
+  test('returns empty string for missing keys', () => {
+    expect(maskApiKey(undefined)).toBe('');
+  });
+});
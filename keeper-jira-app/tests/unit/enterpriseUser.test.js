@@ -0,0 +1,73 @@
+/**
+ * Unit Tests for Enterprise User Utility
+ *
+ * Tests the result comment summary for enterprise-user and transfer-user actions.
+ */
+
+const {
+  ENTERPRISE_USER_OPERATIONS,
+  CONFIRMED_ENTERPRISE_USER_OPERATIONS,
+  describeEnterpriseUserChange
+} = require('../../src/modules/utils/enterpriseUser');
+
+// ========================================================================
+// Operations
+// ========================================================================
+
+describe('enterprise user operations', () => {
+  test('asks for confirmation of the steps that cut off access', () => {
+    expect(CONFIRMED_ENTERPRISE_USER_OPERATIONS).toEqual(['lock', 'delete']);
+    CONFIRMED_ENTERPRISE_USER_OPERATIONS.forEach(operation => {
+      expect(ENTERPRISE_USER_OPERATIONS).toContain(operation);
+    });
+  });
+});
+
+// ========================================================================
+// Comment Summary
+// ========================================================================
+
+describe('describeEnterpriseUserChange', () => {
+  test('lists the node and name of an invited user', () => {
+    const change = describeEnterpriseUserChange('enterprise-user', {
+      operation: 'add',
+      user: 'new.hire@example.com',
+      node: 'Sales EU',
+      full_name: 'New Hire'
+    });
+
+    expect(change.description).toBe('Invite User - new.hire@example.com');
+    expect(change.message).toBe('new.hire@example.com was invited to the enterprise.');
+    expect(change.details).toEqual([
+      { label: 'Operation', value: 'Invite User' },
+      { label: 'User', value: 'new.hire@example.com' },
+      { label: 'Node', value: 'Sales EU' },
+      { label: 'Name', value: 'New Hire' }
+    ]);
+  });
+
+  test('summarizes a lock without invitation details', () => {
+    const change = describeEnterpriseUserChange('enterprise-user', {
+      operation: 'lock',
+      user: 'leaver@example.com',
+      node: 'ignored'
+    });
+
+    expect(change.message).toBe('leaver@example.com was locked and can no longer sign in.');
+    expect(change.details.map(detail => detail.label)).toEqual(['Operation', 'User']);
+  });
+
+  test('names both users of a vault transfer', () => {
+    const change = describeEnterpriseUserChange('transfer-user', {
+      user: 'leaver@example.com',
+      target_user: 'manager@example.com'
+    });
+
+    expect(change.description).toBe('Transfer User Vault - leaver@example.com');
+    expect(change.details).toEqual([
+      { label: 'From User', value: 'leaver@example.com' },
+      { label: 'To User', value: 'manager@example.com' },
+      { label: 'Account Status', value: 'Locked' }
+    ]);
+  });
+});
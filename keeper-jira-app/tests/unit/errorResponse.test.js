@@ -117,6 +117,16 @@ describe('rateLimitError', () => {
     expect(result.error).toBe(ERROR_CODES.RATE_LIMIT_HOUR);
     expect(result.details.remaining).toBe(5);
   });
+
+  test.each([
+    ['user', ERROR_CODES.RATE_LIMIT_USER],
+    ['project', ERROR_CODES.RATE_LIMIT_PROJECT],
+    ['global', ERROR_CODES.RATE_LIMIT_GLOBAL]
+  ])('creates %s budget error', (limitType, code) => {
+    const result = rateLimitError(limitType, 30);
+    expect(result.error).toBe(code);
+    expect(result.troubleshooting.length).toBeGreaterThan(0);
+  });
 });
 
 describe('connectionError', () => {
@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for Folder Listing Utility
+ *
+ * Tests parsing of Commander `ls` output and the checks made before a record
+ * or folder is moved.
+ */
+
+const {
+  ROOT_FOLDER_NAME,
+  parseFolderListing,
+  parseFolderContents,
+  describeFolder,
+  validateMoveRequest
+} = require('../../src/modules/utils/folderListing');
+
+// ========================================================================
+// Parsing
+// ========================================================================
+
+describe('parseFolderListing', () => {
+  test('maps ls -f entries to picker folders', () => {
+    const folders = parseFolderListing({
+      data: [
+        { uid: 'F1', name: '[31mShared Ops[39m', details: 'Flags: S, Parent: /' },
+        { uid: 'F2', name: 'Personal', details: 'Flags: , Parent: /Team' }
+      ]
+    });
+
+    expect(folders).toHaveLength(2);
+    expect(folders[0]).toMatchObject({ number: 1, folder_uid: 'F1', name: 'Shared Ops', flags: 'S', parent_uid: '/', shared: true });
+    expect(folders[1]).toMatchObject({ folder_uid: 'F2', flags: '', parent_uid: '/Team', shared: false });
+  });
+
+  test('returns an empty list for output that is not a listing', () => {
+    expect(parseFolderListing({ data: null, message: 'No folders' })).toEqual([]);
+  });
+});
+
+describe('parseFolderContents', () => {
+  test('reads records and folders from a JSON string', () => {
+    const contents = parseFolderContents({
+      message: JSON.stringify([
+        { type: 'record', uid: 'R1', title: 'Database' },
+        { type: 'folder', uid: 'F9', name: 'Archive' },
+        { type: 'record', title: 'No UID' }
+      ])
+    });
+
+    expect(contents).toEqual([
+      { uid: 'R1', name: 'Database' },
+      { uid: 'F9', name: 'Archive' }
+    ]);
+  });
+
+  test('distinguishes an empty folder from unreadable output', () => {
+    expect(parseFolderContents({ data: [] })).toEqual([]);
+    expect(parseFolderContents({ data: 'plain text listing' })).toBeNull();
+  });
+});
+
+// ========================================================================
+// Move and Delete Helpers
+// ========================================================================
+
+describe('describeFolder', () => {
+  const folders = [{ folder_uid: 'F1', name: 'Shared Ops' }];
+
+  test('names known folders with their UID', () => {
+    expect(describeFolder(folders, 'F1')).toBe('Shared Ops (F1)');
+  });
+
+  test('falls back to the UID and the root name', () => {
+    expect(describeFolder(folders, 'F2')).toBe('F2');
+    expect(describeFolder(folders, '')).toBe(ROOT_FOLDER_NAME);
+  });
+});
+
+describe('validateMoveRequest', () => {
+  const sourceContents = [{ uid: 'R1', name: 'Database' }, { uid: 'F9', name: 'Archive' }];
+
+  test('accepts a record found in the source folder', () => {
+    const result = validateMoveRequest({ record: 'R1', source_folder: 'F1', destination_folder: 'F2' }, sourceContents);
+    expect(result).toEqual({ valid: true, itemName: 'Database' });
+  });
+
+  test('rejects an item that is not in the source folder', () => {
+    const result = validateMoveRequest({ record: 'R7', source_folder: 'F1', destination_folder: 'F2' }, sourceContents);
+    expect(result.valid).toBe(false);
+    expect(result.field).toBe('source_folder');
+  });
+
+  test('rejects a destination equal to the source', () => {
+    expect(validateMoveRequest({ record: 'R1', source_folder: 'F1', destination_folder: 'F1' }, sourceContents).field).toBe('destination_folder');
+  });
+
+  test('rejects moving a folder into itself', () => {
+    const result = validateMoveRequest({ folder: 'F9', source_folder: 'F1', destination_folder: 'F9' }, sourceContents);
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/into itself/);
+  });
+
+  test('allows the move when the source folder could not be listed', () => {
+    expect(validateMoveRequest({ folder: 'F9', destination_folder: 'F2' }, null)).toEqual({ valid: true, itemName: null });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit Tests for API Key Rotation Utility
+ *
+ * Tests the grace period window, key age warnings, rotation history and
+ * validation of the admin settings.
+ */
+
+const {
+  DEFAULT_KEY_ROTATION_CONFIG,
+  KEY_HISTORY_LIMIT,
+  isGracePeriodActive,
+  buildRotationFields,
+  buildKeyAgeFields,
+  appendRotationHistory,
+  getKeyAgeDays,
+  summarizeKeyStatus,
+  buildKeyAgeWarnings,
+  validateKeyRotationConfig
+} = require('../../src/modules/utils/keyRotation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.parse('2026-01-01T12:00:00.000Z');
+
+// ============================================================================
+// Grace Period Tests
+// ============================================================================
+
+describe('isGracePeriodActive', () => {
+  test('is active until the previous key expires', () => {
+    const record = { apiKeyRotation: { previousKeyExpiresAt: '2026-01-01T13:00:00.000Z' } };
+    expect(isGracePeriodActive(record, now)).toBe(true);
+    expect(isGracePeriodActive(record, now + 2 * 60 * 60 * 1000)).toBe(false);
+  });
+
+  test('is inactive without a rotation', () => {
+    expect(isGracePeriodActive({}, now)).toBe(false);
+    expect(isGracePeriodActive({ apiKeyRotation: null }, now)).toBe(false);
+  });
+});
+
+describe('buildRotationFields', () => {
+  test('records the new key age and the grace expiry', () => {
+    const fields = buildRotationFields({ newApiKey: 'new-key-12345678', previousApiKey: 'old-key-87654321', graceHours: 24, now });
+    expect(fields).toEqual({
+      apiKeyPreview: 'new-...5678',
+      apiKeyCreatedAt: '2026-01-01T12:00:00.000Z',
+      apiKeyRotation: {
+        previousKeyPreview: 'old-...4321',
+        previousKeyExpiresAt: '2026-01-02T12:00:00.000Z'
+      }
+    });
+  });
+
+  test('skips the grace period when it is zero', () => {
+    expect(buildRotationFields({ newApiKey: 'new-key-12345678', previousApiKey: 'old', graceHours: 0, now }).apiKeyRotation).toBeNull();
+  });
+});
+
+describe('buildKeyAgeFields', () => {
+  const existing = { apiKeyCreatedAt: '2025-06-01T00:00:00.000Z', apiKeyRotation: { previousKeyExpiresAt: 'x' } };
+
+  test('keeps the age when the same key is saved again', () => {
+    expect(buildKeyAgeFields(existing, false, now)).toEqual(existing);
+  });
+
+  test('starts a new age when a different key is entered', () => {
+    expect(buildKeyAgeFields(existing, true, now)).toEqual({ apiKeyCreatedAt: '2026-01-01T12:00:00.000Z', apiKeyRotation: null });
+  });
+});
+
+// ============================================================================
+// History Tests
+// ============================================================================
+
+describe('appendRotationHistory', () => {
+  test('keeps the newest entries first', () => {
+    expect(appendRotationHistory([{ n: 1 }], { n: 2 })).toEqual([{ n: 2 }, { n: 1 }]);
+    expect(appendRotationHistory(null, { n: 1 })).toEqual([{ n: 1 }]);
+  });
+
+  test('drops the oldest entries past the limit', () => {
+    const history = Array.from({ length: KEY_HISTORY_LIMIT }, (_, n) => ({ n }));
+    const updated = appendRotationHistory(history, { n: 'new' });
+    expect(updated).toHaveLength(KEY_HISTORY_LIMIT);
+    expect(updated[0]).toEqual({ n: 'new' });
+  });
+});
+
+// ============================================================================
+// Key Age Tests
+// ============================================================================
+
+describe('getKeyAgeDays', () => {
+  test('counts whole days', () => {
+    expect(getKeyAgeDays(new Date(now - 10.5 * DAY_MS).toISOString(), now)).toBe(10);
+  });
+
+  test('is unknown for keys saved before age tracking', () => {
+    expect(getKeyAgeDays(undefined, now)).toBeNull();
+  });
+});
+
+describe('summarizeKeyStatus', () => {
+  const config = { graceHours: 24, maxKeyAgeDays: 90 };
+
+  test('flags keys at the maximum age', () => {
+    const status = summarizeKeyStatus(
+      { id: 'default', name: 'Default', apiKeyPreview: 'abcd...wxyz', apiKeyCreatedAt: new Date(now - 90 * DAY_MS).toISOString() },
+      config,
+      now
+    );
+    expect(status.keyAgeDays).toBe(90);
+    expect(status.overdue).toBe(true);
+    expect(status.graceActive).toBe(false);
+    expect(status.previousKeyPreview).toBeNull();
+  });
+
+  test('does not flag keys of unknown age', () => {
+    expect(summarizeKeyStatus({ id: 'x', name: 'X' }, config, now).overdue).toBe(false);
+  });
+
+  test('reports an active grace period', () => {
+    const status = summarizeKeyStatus({
+      id: 'x',
+      name: 'X',
+      apiKeyCreatedAt: new Date(now).toISOString(),
+      apiKeyRotation: { previousKeyPreview: 'old-...4321', previousKeyExpiresAt: new Date(now + DAY_MS).toISOString() }
+    }, config, now);
+    expect(status.graceActive).toBe(true);
+    expect(status.previousKeyPreview).toBe('old-...4321');
+  });
+});
+
+describe('buildKeyAgeWarnings', () => {
+  test('names each overdue connection', () => {
+    const warnings = buildKeyAgeWarnings([
+      { name: 'Default', keyAgeDays: 120, overdue: true },
+      { name: 'Non-prod', keyAgeDays: 5, overdue: false }
+    ], { maxKeyAgeDays: 90 });
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toContain('"Default" is 120 days old');
+  });
+});
+
+// ============================================================================
+// Configuration Tests
+// ============================================================================
+
+describe('validateKeyRotationConfig', () => {
+  test('fills missing values from the defaults', () => {
+    expect(validateKeyRotationConfig({})).toEqual({ valid: true, config: DEFAULT_KEY_ROTATION_CONFIG });
+  });
+
+  test('accepts string numbers from the form', () => {
+    expect(validateKeyRotationConfig({ graceHours: '0', maxKeyAgeDays: '30' }).config).toEqual({ graceHours: 0, maxKeyAgeDays: 30 });
+  });
+
+  test.each([
+    [{ graceHours: -1 }, 'graceHours'],
+    [{ graceHours: 1.5 }, 'graceHours'],
+    [{ maxKeyAgeDays: 0 }, 'maxKeyAgeDays']
+  ])('rejects %j', (input, field) => {
+    const result = validateKeyRotationConfig(input);
+    expect(result.valid).toBe(false);
+    expect(result.field).toBe(field);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for One-Time Code Utility
+ *
+ * Tests validation of otpauth URIs for TOTP fields and the checks on issue
+ * attachments a QR code is read from.
+ */
+
+const {
+  QR_IMAGE_MAX_BYTES,
+  parseOtpAuthUri,
+  selectQrImageAttachment
+} = require('../../src/modules/utils/oneTimeCode');
+
+// ========================================================================
+// URI Validation
+// ========================================================================
+
+describe('parseOtpAuthUri', () => {
+  test('accepts a TOTP URI and reports its settings', () => {
+    const result = parseOtpAuthUri('otpauth://totp/Acme:svc%40acme.com?secret=JBSWY3DPEHPK3PXP&issuer=Acme&digits=8&period=60&algorithm=sha256');
+    expect(result.valid).toBe(true);
+    expect(result.details).toEqual({ issuer: 'Acme', account: 'svc@acme.com', algorithm: 'SHA256', digits: 8, period: 60 });
+  });
+
+  test('applies authenticator defaults', () => {
+    const result = parseOtpAuthUri('otpauth://totp/svc-account?secret=JBSWY3DP');
+    expect(result.details).toEqual({ issuer: '', account: 'svc-account', algorithm: 'SHA1', digits: 6, period: 30 });
+  });
+
+  test('normalizes the secret', () => {
+    const result = parseOtpAuthUri('  otpauth://totp/Acme:svc?secret=jbsw%20y3dp&issuer=Acme  ');
+    expect(result.uri).toBe('otpauth://totp/Acme:svc?secret=JBSWY3DP&issuer=Acme');
+  });
+
+  test.each([
+    ['', 'One-time code must be an otpauth:// URI'],
+    ['JBSWY3DPEHPK3PXP', 'One-time code must be an otpauth:// URI'],
+    ['otpauth://totp/%E0%A4%A?secret=JBSWY3DP', 'One-time code URI is malformed'],
+    ['otpauth://hotp/Acme:svc?secret=JBSWY3DP&counter=1', 'Only time-based (otpauth://totp/) one-time codes are supported'],
+    ['otpauth://totp/?secret=JBSWY3DP', 'One-time code URI must name the account'],
+    ['otpauth://totp/Acme:svc', 'One-time code URI has no secret'],
+    ['otpauth://totp/Acme:svc?secret=JBSW1890', 'One-time code secret must be base32 (letters A-Z and digits 2-7)'],
+    ['otpauth://totp/Acme:svc?secret=JBSWY3DP&algorithm=MD5', 'One-time code algorithm must be one of SHA1, SHA256, SHA512'],
+    ['otpauth://totp/Acme:svc?secret=JBSWY3DP&digits=4', 'One-time codes must have 6, 7, 8 digits'],
+    ['otpauth://totp/Acme:svc?secret=JBSWY3DP&period=0', 'One-time code period must be between 1 and 300 seconds']
+  ])('rejects %p', (value, error) => {
+    expect(parseOtpAuthUri(value)).toEqual({ valid: false, error });
+  });
+});
+
+// ========================================================================
+// QR Code Images
+// ========================================================================
+
+describe('selectQrImageAttachment', () => {
+  const attachments = [
+    { id: 10010, filename: 'qr.png', mimeType: 'image/png', size: 2048 },
+    { id: 10011, filename: 'notes.pdf', mimeType: 'application/pdf', size: 2048 },
+    { id: 10012, filename: 'scan.jpg', mimeType: 'image/jpeg', size: QR_IMAGE_MAX_BYTES + 1 }
+  ];
+
+  test('returns the picked image', () => {
+    expect(selectQrImageAttachment('10010', attachments)).toEqual({ valid: true, attachment: attachments[0] });
+  });
+
+  test('rejects attachments from other issues', () => {
+    expect(selectQrImageAttachment('99999', attachments).error).toBe('Attachment 99999 does not belong to this issue');
+  });
+
+  test('rejects files that are not images', () => {
+    expect(selectQrImageAttachment('10011', attachments).error).toBe('"notes.pdf" is not an image');
+  });
+
+  test('rejects oversized images', () => {
+    expect(selectQrImageAttachment('10012', attachments).error).toBe('"scan.jpg" is too large to read as a QR code');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for One-Time Share Utility
+ *
+ * Tests expiry parsing, extraction of the share URL from Commander output and
+ * the rule that only the requester may read the stored link.
+ */
+
+const {
+  ONE_TIME_SHARE_EXPIRY_OPTIONS,
+  getShareLinkStorageKey,
+  parseExpiryMs,
+  extractShareUrl,
+  buildShareLinkRecord,
+  isShareLinkExpired,
+  canViewShareLink,
+  canReplaceShareRequest
+} = require('../../src/modules/utils/oneTimeShare');
+
+const NOW = Date.parse('2025-01-01T00:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+// ========================================================================
+// Expiry
+// ========================================================================
+
+describe('parseExpiryMs', () => {
+  test('understands minutes, hours and days', () => {
+    expect(parseExpiryMs('30mi')).toBe(30 * 60 * 1000);
+    expect(parseExpiryMs('4h')).toBe(4 * HOUR_MS);
+    expect(parseExpiryMs('7d')).toBe(7 * 24 * HOUR_MS);
+  });
+
+  test('returns null for periods Commander would not accept', () => {
+    expect(parseExpiryMs('')).toBeNull();
+    expect(parseExpiryMs('1w')).toBeNull();
+    expect(parseExpiryMs('1d; rm -rf')).toBeNull();
+  });
+
+  test('every offered option parses', () => {
+    for (const option of ONE_TIME_SHARE_EXPIRY_OPTIONS) {
+      expect(parseExpiryMs(option)).toBeGreaterThan(0);
+    }
+  });
+});
+
+// ========================================================================
+// Share URL
+// ========================================================================
+
+describe('extractShareUrl', () => {
+  test('reads the URL from a string result', () => {
+    expect(extractShareUrl({ data: 'https://keepersecurity.com/vault/share#abc123' }))
+      .toBe('https://keepersecurity.com/vault/share#abc123');
+  });
+
+  test('reads the URL from nested result data', () => {
+    const data = { data: [{ url: 'https://keepersecurity.com/vault/share#xyz' }] };
+    expect(extractShareUrl(data)).toBe('https://keepersecurity.com/vault/share#xyz');
+  });
+
+  test('falls back to the message and stops at quotes', () => {
+    const data = { data: null, message: "Created 'https://keepersecurity.com/vault/share#q1'" };
+    expect(extractShareUrl(data)).toBe('https://keepersecurity.com/vault/share#q1');
+  });
+
+  test('returns null when no https URL is present', () => {
+    expect(extractShareUrl({ data: 'done', message: 'http://insecure.example' })).toBeNull();
+    expect(extractShareUrl(null)).toBeNull();
+  });
+});
+
+// ========================================================================
+// Stored Link
+// ========================================================================
+
+describe('buildShareLinkRecord', () => {
+  test('records the recipient and expiry', () => {
+    const record = buildShareLinkRecord({
+      url: 'https://keepersecurity.com/vault/share#abc',
+      issueKey: 'SEC-1',
+      recipient: { accountId: 'user-1', displayName: 'Requester' },
+      recordUid: 'AbC123',
+      expireIn: '1d',
+      now: NOW
+    });
+
+    expect(record).toEqual({
+      url: 'https://keepersecurity.com/vault/share#abc',
+      issueKey: 'SEC-1',
+      recipientAccountId: 'user-1',
+      recipientName: 'Requester',
+      recordUid: 'AbC123',
+      expireIn: '1d',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      expiresAt: '2025-01-02T00:00:00.000Z'
+    });
+  });
+
+  test('leaves expiresAt empty for an unknown period', () => {
+    const record = buildShareLinkRecord({ url: 'https://x', issueKey: 'SEC-1', recipient: null, expireIn: '??', now: NOW });
+    expect(record.expiresAt).toBeNull();
+    expect(record.recipientAccountId).toBeNull();
+  });
+
+  test('uses a per-issue storage key', () => {
+    expect(getShareLinkStorageKey('SEC-1')).toBe('keeper-share-link-SEC-1');
+  });
+});
+
+describe('isShareLinkExpired', () => {
+  const record = { expiresAt: new Date(NOW + HOUR_MS).toISOString() };
+
+  test('is false before the expiry', () => {
+    expect(isShareLinkExpired(record, NOW)).toBe(false);
+  });
+
+  test('is true at and after the expiry', () => {
+    expect(isShareLinkExpired(record, NOW + HOUR_MS)).toBe(true);
+    expect(isShareLinkExpired(record, NOW + 2 * HOUR_MS)).toBe(true);
+  });
+
+  test('is false when no expiry was recorded', () => {
+    expect(isShareLinkExpired({ expiresAt: null }, NOW)).toBe(false);
+  });
+});
+
+describe('canViewShareLink', () => {
+  const record = { recipientAccountId: 'user-1' };
+
+  test('allows only the requester', () => {
+    expect(canViewShareLink(record, 'user-1')).toBe(true);
+    expect(canViewShareLink(record, 'admin-1')).toBe(false);
+  });
+
+  test('denies when either side is missing', () => {
+    expect(canViewShareLink(record, undefined)).toBe(false);
+    expect(canViewShareLink({ recipientAccountId: null }, null)).toBe(false);
+    expect(canViewShareLink(null, 'user-1')).toBe(false);
+  });
+});
+
+describe('canReplaceShareRequest', () => {
+  const shareRequest = { selectedAction: { value: 'one-time-share' }, submittedBy: { userKey: 'user-1' } };
+  const recordShare = { selectedAction: { value: 'share-record' }, submittedBy: { userKey: 'user-1' } };
+
+  test('lets only the requester save over a one-time share request', () => {
+    expect(canReplaceShareRequest(shareRequest, shareRequest, 'user-1')).toBe(true);
+    expect(canReplaceShareRequest(shareRequest, shareRequest, 'user-2')).toBe(false);
+    expect(canReplaceShareRequest(shareRequest, recordShare, 'user-2')).toBe(false);
+    expect(canReplaceShareRequest(shareRequest, shareRequest, undefined)).toBe(false);
+  });
+
+  test('refuses a one-time share saved over someone else\'s request', () => {
+    expect(canReplaceShareRequest(recordShare, shareRequest, 'user-2')).toBe(false);
+    expect(canReplaceShareRequest(recordShare, shareRequest, 'user-1')).toBe(true);
+  });
+
+  test('leaves other requests and first saves alone', () => {
+    expect(canReplaceShareRequest(null, shareRequest, 'user-2')).toBe(true);
+    expect(canReplaceShareRequest(recordShare, recordShare, 'user-2')).toBe(true);
+  });
+});
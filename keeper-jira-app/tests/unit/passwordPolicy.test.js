@@ -0,0 +1,207 @@
+/**
+ * Unit Tests for Password Policy Utility
+ *
+ * Tests the org password policy checks, validation of generation options,
+ * the Commander generate command and how a generated candidate is picked.
+ */
+
+const {
+  DEFAULT_PASSWORD_POLICY,
+  isGeneratePlaceholder,
+  describeComposition,
+  checkPasswordAgainstPolicy,
+  estimateStrength,
+  maskPassword,
+  validateGenerationOptions,
+  buildGenerateCommand,
+  parseGeneratedPasswords,
+  pickGeneratedPassword,
+  shouldGeneratePassword,
+  validatePasswordPolicy
+} = require('../../src/modules/utils/passwordPolicy');
+
+const RELAXED_POLICY = { ...DEFAULT_PASSWORD_POLICY, minLength: 8, minSymbols: 0 };
+
+// ========================================================================
+// Password Checks
+// ========================================================================
+
+describe('isGeneratePlaceholder', () => {
+  test('recognises $GEN and generate', () => {
+    expect(isGeneratePlaceholder('$GEN')).toBe(true);
+    expect(isGeneratePlaceholder('generate')).toBe(true);
+    expect(isGeneratePlaceholder('hunter2')).toBe(false);
+    expect(isGeneratePlaceholder(undefined)).toBe(false);
+  });
+});
+
+describe('describeComposition', () => {
+  test('counts characters by class', () => {
+    expect(describeComposition('aB3$ x')).toEqual({ length: 6, lowercase: 2, uppercase: 1, digits: 1, symbols: 1 });
+  });
+});
+
+describe('checkPasswordAgainstPolicy', () => {
+  test('accepts a password meeting the default policy', () => {
+    expect(checkPasswordAgainstPolicy('Correct-Horse-Battery9')).toEqual([]);
+  });
+
+  test('lists every unmet requirement', () => {
+    expect(checkPasswordAgainstPolicy('abc')).toEqual([
+      'Password must be at least 20 characters long',
+      'Password must contain at least 1 uppercase letter',
+      'Password must contain at least 1 number',
+      'Password must contain at least 1 symbol'
+    ]);
+  });
+
+  test('uses plural wording for larger minimums', () => {
+    const policy = { ...RELAXED_POLICY, minDigits: 3 };
+    expect(checkPasswordAgainstPolicy('Password1', policy)).toEqual(['Password must contain at least 3 numbers']);
+  });
+});
+
+describe('estimateStrength', () => {
+  test('rates short single-class passwords as weak', () => {
+    expect(estimateStrength('abcdef')).toEqual({ bits: 28, label: 'Weak' });
+  });
+
+  test('rates long mixed passwords as very strong', () => {
+    expect(estimateStrength('Correct-Horse-Battery9').label).toBe('Very Strong');
+  });
+
+  test('rates passphrases by word count', () => {
+    expect(estimateStrength('apple river stone cloud', true)).toEqual({ bits: 52, label: 'Fair' });
+  });
+});
+
+describe('maskPassword', () => {
+  test('masks every character but keeps passphrase word breaks', () => {
+    expect(maskPassword('ab1$')).toBe('••••');
+    expect(maskPassword('apple river')).toBe('••••• •••••');
+  });
+});
+
+// ========================================================================
+// Generation
+// ========================================================================
+
+describe('validateGenerationOptions', () => {
+  test('fills defaults from the policy', () => {
+    expect(validateGenerationOptions({}, DEFAULT_PASSWORD_POLICY)).toEqual({
+      valid: true,
+      options: { passphrase: false, length: 20, symbols: 1, digits: 1, exclude: '' }
+    });
+  });
+
+  test('rejects options below the org policy', () => {
+    expect(validateGenerationOptions({ length: 12 }, DEFAULT_PASSWORD_POLICY))
+      .toEqual(expect.objectContaining({ valid: false, field: 'length' }));
+    expect(validateGenerationOptions({ symbols: 0 }, DEFAULT_PASSWORD_POLICY))
+      .toEqual(expect.objectContaining({ valid: false, field: 'symbols' }));
+  });
+
+  test('rejects class counts that do not fit the length', () => {
+    expect(validateGenerationOptions({ length: 10, symbols: 5, digits: 5 }, RELAXED_POLICY))
+      .toEqual(expect.objectContaining({ valid: false, field: 'length' }));
+  });
+
+  test('rejects values outside the limits', () => {
+    expect(validateGenerationOptions({ length: 'abc' }).field).toBe('length');
+    expect(validateGenerationOptions({ length: 500 }).field).toBe('length');
+  });
+
+  test('de-duplicates excluded characters and rejects spaces', () => {
+    expect(validateGenerationOptions({ exclude: 'lIl0O' }).options.exclude).toBe('lI0O');
+    expect(validateGenerationOptions({ exclude: 'a b' }).field).toBe('exclude');
+  });
+
+  test('validates passphrase mode against the policy', () => {
+    expect(validateGenerationOptions({ passphrase: true, words: '6' })).toEqual({ valid: true, options: { passphrase: true, words: 6 } });
+    expect(validateGenerationOptions({ passphrase: true, words: 3 }).error).toBe('Passphrases must have at least 4 words');
+    expect(validateGenerationOptions({ passphrase: true }, { ...DEFAULT_PASSWORD_POLICY, allowPassphrase: false }).field).toBe('passphrase');
+  });
+});
+
+describe('buildGenerateCommand', () => {
+  test('builds a password command with class counts', () => {
+    expect(buildGenerateCommand({ passphrase: false, length: 24, symbols: 2, digits: 3 }))
+      .toBe('generate --count 24 --symbols 2 --digits 3 --number 5 --format json');
+  });
+
+  test('builds a passphrase command', () => {
+    expect(buildGenerateCommand({ passphrase: true, words: 6 })).toBe('generate --dice-rolls 6 --number 5 --format json');
+  });
+});
+
+describe('parseGeneratedPasswords', () => {
+  test('reads JSON objects, JSON strings and plain text', () => {
+    expect(parseGeneratedPasswords({ data: [{ password: 'Abc-123', strength: 42 }] })).toEqual([{ password: 'Abc-123', strength: 42 }]);
+    expect(parseGeneratedPasswords({ data: '[{"password":"Abc-123"}]' })).toEqual([{ password: 'Abc-123', strength: null }]);
+    expect(parseGeneratedPasswords({ data: 'first\nsecond\n' })).toEqual([
+      { password: 'first', strength: null },
+      { password: 'second', strength: null }
+    ]);
+  });
+
+  test('returns nothing for an empty result', () => {
+    expect(parseGeneratedPasswords({})).toEqual([]);
+  });
+});
+
+describe('pickGeneratedPassword', () => {
+  const options = { passphrase: false, length: 10, symbols: 1, digits: 1, exclude: 'O0' };
+
+  test('skips candidates with excluded characters or too few symbols', () => {
+    const candidates = [
+      { password: 'Abcdef0-gh', strength: null },
+      { password: 'Abcdefg1hi', strength: null },
+      { password: 'Abcdef1-gh', strength: 70 }
+    ];
+    expect(pickGeneratedPassword(candidates, options, RELAXED_POLICY)).toEqual({ password: 'Abcdef1-gh', strength: 70 });
+  });
+
+  test('returns null when no candidate qualifies', () => {
+    expect(pickGeneratedPassword([{ password: 'abcdef1-gh' }], options, RELAXED_POLICY)).toBeNull();
+  });
+
+  test('accepts passphrases with enough words', () => {
+    expect(pickGeneratedPassword([{ password: 'apple river stone' }], { passphrase: true, words: 3 })).toEqual({ password: 'apple river stone' });
+  });
+});
+
+describe('shouldGeneratePassword', () => {
+  test('fills an empty password on login records', () => {
+    expect(shouldGeneratePassword('record-add', { title: 'x' })).toBe(true);
+    expect(shouldGeneratePassword('record-add', { recordType: 'contact' })).toBe(false);
+    expect(shouldGeneratePassword('record-add', { password: 'typed' })).toBe(false);
+  });
+
+  test('replaces a password on update only when asked to', () => {
+    expect(shouldGeneratePassword('record-update', { password: '$GEN' })).toBe(true);
+    expect(shouldGeneratePassword('record-update', {})).toBe(false);
+    expect(shouldGeneratePassword('share-record', { password: '$GEN' })).toBe(false);
+  });
+});
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+describe('validatePasswordPolicy', () => {
+  test('fills gaps from the defaults', () => {
+    expect(validatePasswordPolicy({ minLength: '16', allowPassphrase: false })).toEqual({
+      valid: true,
+      policy: { ...DEFAULT_PASSWORD_POLICY, minLength: 16, allowPassphrase: false }
+    });
+  });
+
+  test('rejects values outside the limits', () => {
+    expect(validatePasswordPolicy({ minLength: 0 })).toEqual(expect.objectContaining({ valid: false, field: 'minLength' }));
+    expect(validatePasswordPolicy({ minSymbols: 1.5 }).field).toBe('minSymbols');
+  });
+
+  test('requires the length to cover the class minimums', () => {
+    expect(validatePasswordPolicy({ minLength: 4, minSymbols: 4 }).field).toBe('minLength');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for Command Rate Limiter Utility
+ *
+ * Tests token bucket refill and consumption across the user, project and
+ * global levels, and validation of the admin settings.
+ */
+
+const {
+  RATE_LIMIT_LEVELS,
+  DEFAULT_RATE_LIMIT_CONFIG,
+  getBucketStorageKey,
+  getApplicableBuckets,
+  refillBucket,
+  getRetryAfterSeconds,
+  takeTokens,
+  summarizeBucket,
+  buildRateLimitMessage,
+  validateRateLimitConfig
+} = require('../../src/modules/utils/rateLimiter');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = Date.parse('2026-01-01T12:00:00.000Z');
+const limits = { capacity: 5, refillPerHour: 60 };
+
+// ============================================================================
+// Storage Key Tests
+// ============================================================================
+
+describe('getBucketStorageKey', () => {
+  test('builds per-level keys', () => {
+    expect(getBucketStorageKey('user', '557058:abc-123')).toBe('keeper-ratelimit-user-557058:abc-123');
+    expect(getBucketStorageKey('project', 'SEC')).toBe('keeper-ratelimit-project-SEC');
+    expect(getBucketStorageKey('global', 'ignored')).toBe('keeper-ratelimit-global');
+  });
+
+  test('replaces characters storage keys do not allow', () => {
+    expect(getBucketStorageKey('user', 'a/b c')).toBe('keeper-ratelimit-user-a-b-c');
+  });
+});
+
+describe('getApplicableBuckets', () => {
+  test('includes the project bucket only with a project', () => {
+    expect(getApplicableBuckets('u1', 'SEC').map(bucket => bucket.level)).toEqual(['user', 'project', 'global']);
+    expect(getApplicableBuckets('u1', null).map(bucket => bucket.level)).toEqual(['user', 'global']);
+  });
+
+  test('shares one bucket between callers without an account id', () => {
+    expect(getApplicableBuckets(undefined)[0].key).toBe('keeper-ratelimit-user-anonymous');
+  });
+});
+
+// ============================================================================
+// Bucket Math Tests
+// ============================================================================
+
+describe('refillBucket', () => {
+  test('starts new buckets full', () => {
+    expect(refillBucket(null, limits, now)).toEqual({ tokens: 5, updatedAt: now });
+  });
+
+  test('refills in proportion to elapsed time', () => {
+    const bucket = refillBucket({ tokens: 0, updatedAt: now - HOUR_MS / 30 }, limits, now);
+    expect(bucket.tokens).toBeCloseTo(2);
+  });
+
+  test('never exceeds capacity', () => {
+    expect(refillBucket({ tokens: 4, updatedAt: now - HOUR_MS }, limits, now).tokens).toBe(5);
+  });
+});
+
+describe('getRetryAfterSeconds', () => {
+  test('waits until one whole token is available', () => {
+    expect(getRetryAfterSeconds({ tokens: 0.5 }, limits)).toBe(30);
+    expect(getRetryAfterSeconds({ tokens: 0.9999 }, limits)).toBe(1);
+  });
+});
+
+describe('takeTokens', () => {
+  const entry = (level, bucket, entryLimits = limits) => ({ level, key: `k-${level}`, bucket, limits: entryLimits });
+
+  test('takes one token from every bucket', () => {
+    const result = takeTokens([entry('user', null), entry('global', { tokens: 3, updatedAt: now })], now);
+    expect(result.allowed).toBe(true);
+    expect(result.buckets.map(item => item.bucket.tokens)).toEqual([4, 2]);
+  });
+
+  test('takes nothing when any bucket is empty', () => {
+    const result = takeTokens([
+      entry('user', { tokens: 3, updatedAt: now }),
+      entry('project', { tokens: 0, updatedAt: now })
+    ], now);
+    expect(result.allowed).toBe(false);
+    expect(result.limitType).toBe('project');
+    expect(result.retryAfter).toBe(60);
+    expect(result.buckets[0].bucket.tokens).toBe(3);
+  });
+
+  test('reports the bucket with the longest wait', () => {
+    const result = takeTokens([
+      entry('user', { tokens: 0.5, updatedAt: now }),
+      entry('global', { tokens: 0, updatedAt: now }, { capacity: 100, refillPerHour: 10 })
+    ], now);
+    expect(result.limitType).toBe('global');
+    expect(result.retryAfter).toBe(360);
+  });
+});
+
+describe('summarizeBucket', () => {
+  test('reports remaining tokens and time to full', () => {
+    expect(summarizeBucket({ tokens: 2.5, updatedAt: now }, limits, now)).toEqual({
+      capacity: 5,
+      refillPerHour: 60,
+      remaining: 2,
+      used: 3,
+      fullInSeconds: 150
+    });
+  });
+
+  test('reports unused buckets as full', () => {
+    expect(summarizeBucket(undefined, limits, now)).toMatchObject({ remaining: 5, used: 0, fullInSeconds: 0 });
+  });
+});
+
+describe('buildRateLimitMessage', () => {
+  test('names the exhausted level and the wait', () => {
+    expect(buildRateLimitMessage(RATE_LIMIT_LEVELS.PROJECT, 30, limits)).toContain("this project's command limit");
+    expect(buildRateLimitMessage(RATE_LIMIT_LEVELS.GLOBAL, 600, limits)).toContain('10 minutes');
+  });
+});
+
+// ============================================================================
+// Configuration Tests
+// ============================================================================
+
+describe('validateRateLimitConfig', () => {
+  test('fills missing values from the defaults', () => {
+    const result = validateRateLimitConfig({ user: { capacity: '10' } });
+    expect(result.valid).toBe(true);
+    expect(result.config.user).toEqual({ capacity: 10, refillPerHour: DEFAULT_RATE_LIMIT_CONFIG.user.refillPerHour });
+    expect(result.config.global).toEqual(DEFAULT_RATE_LIMIT_CONFIG.global);
+  });
+
+  test('rejects out-of-range values', () => {
+    const result = validateRateLimitConfig({ global: { refillPerHour: 0 } });
+    expect(result.valid).toBe(false);
+    expect(result.field).toBe('global.refillPerHour');
+  });
+
+  test('rejects non-integer values', () => {
+    expect(validateRateLimitConfig({ project: { capacity: '2.5' } }).valid).toBe(false);
+  });
+});
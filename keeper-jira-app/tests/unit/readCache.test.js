@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for Read Command Cache Utility
+ *
+ * Tests which commands are cached, how entries age from fresh to stale to
+ * expired, and generation-based invalidation.
+ */
+
+const {
+  DEFAULT_CACHE_CONFIG,
+  CACHE_ENTRY_STATE,
+  MAX_CACHE_ENTRY_BYTES,
+  REVALIDATION_STALE_MS,
+  getCommandVerb,
+  isCacheableCommand,
+  invalidatesCache,
+  hashCommand,
+  getCacheStorageKey,
+  getCacheGenerationKey,
+  getCacheEntryState,
+  needsRevalidation,
+  isCacheableSize,
+  validateCacheConfig
+} = require('../../src/modules/utils/readCache');
+
+// ============================================================================
+// Command Classification Tests
+// ============================================================================
+
+describe('isCacheableCommand', () => {
+  test.each([
+    'list --format=json',
+    'ls -f --format=json',
+    'record-type-info --format=json',
+    'rti login'
+  ])('caches read-only command: %s', (command) => {
+    expect(isCacheableCommand(command)).toBe(true);
+  });
+
+  test.each([
+    'record-add --record-type=login --title="x"',
+    'share-record "abc" -e user@example.com',
+    'epm approval action --approve abc',
+    'get "abc123" --format=json',
+    'getx "abc"',
+    ''
+  ])('does not cache: %s', (command) => {
+    expect(isCacheableCommand(command)).toBe(false);
+  });
+
+  test('verb parsing ignores leading whitespace and case', () => {
+    expect(getCommandVerb('   LIST --format=json')).toBe('list');
+    expect(getCommandVerb(null)).toBe('');
+  });
+});
+
+describe('invalidatesCache', () => {
+  test.each(['record-add', 'record-update', 'share-record', 'share-folder', 'record-permission', 'rm', 'mv', 'mkdir', 'enterprise-user', 'transfer-user', 'enterprise-team', 'record-history', 'secrets-manager'])(
+    '%s invalidates cached reads',
+    (action) => {
+      expect(invalidatesCache(action)).toBe(true);
+    }
+  );
+
+  test('EPM approvals do not touch vault contents', () => {
+    expect(invalidatesCache('epm approval action --approve abc')).toBe(false);
+  });
+});
+
+// ============================================================================
+// Storage Key Tests
+// ============================================================================
+
+describe('getCacheStorageKey', () => {
+  test('produces storage-safe keys for commands with quotes', () => {
+    const key = getCacheStorageKey('default', 'get "abc123" --format=json');
+    expect(key).toMatch(/^[a-zA-Z0-9:._\s\-#]+$/);
+    expect(key.startsWith('keeper-cache-default-get-')).toBe(true);
+  });
+
+  test('is stable across whitespace differences', () => {
+    expect(getCacheStorageKey('default', 'list  --format=json'))
+      .toBe(getCacheStorageKey('default', ' list --format=json'));
+  });
+
+  test('separates connections', () => {
+    expect(getCacheStorageKey('default', 'list')).not.toBe(getCacheStorageKey('non-prod', 'list'));
+  });
+
+  test('generation key is per connection', () => {
+    expect(getCacheGenerationKey('non-prod')).toBe('keeper-cache-generation-non-prod');
+  });
+
+  test('hash is deterministic hex', () => {
+    expect(hashCommand('list')).toBe(hashCommand('list'));
+    expect(hashCommand('list')).toMatch(/^[0-9a-f]{8}$/);
+  });
+});
+
+// ============================================================================
+// Entry State Tests
+// ============================================================================
+
+describe('getCacheEntryState', () => {
+  const now = Date.parse('2026-01-01T12:00:00.000Z');
+  const command = 'list --format=json';
+  const options = { command, generation: 2, ttlSeconds: 60, staleSeconds: 300, now };
+  const entryAged = (seconds, overrides = {}) => ({
+    command,
+    generation: 2,
+    cachedAt: new Date(now - seconds * 1000).toISOString(),
+    result: { success: true, data: {} },
+    ...overrides
+  });
+
+  test('fresh inside the TTL', () => {
+    expect(getCacheEntryState(entryAged(30), options)).toBe(CACHE_ENTRY_STATE.FRESH);
+  });
+
+  test('stale after the TTL but inside the stale window', () => {
+    expect(getCacheEntryState(entryAged(120), options)).toBe(CACHE_ENTRY_STATE.STALE);
+  });
+
+  test('expired after both windows', () => {
+    expect(getCacheEntryState(entryAged(400), options)).toBe(CACHE_ENTRY_STATE.EXPIRED);
+  });
+
+  test('expired when the generation was bumped by a write', () => {
+    expect(getCacheEntryState(entryAged(1, { generation: 1 }), options)).toBe(CACHE_ENTRY_STATE.EXPIRED);
+  });
+
+  test('expired on a hash collision with a different command', () => {
+    expect(getCacheEntryState(entryAged(1, { command: 'ls -f --format=json' }), options)).toBe(CACHE_ENTRY_STATE.EXPIRED);
+  });
+
+  test('expired for missing entries', () => {
+    expect(getCacheEntryState(undefined, options)).toBe(CACHE_ENTRY_STATE.EXPIRED);
+  });
+});
+
+describe('needsRevalidation', () => {
+  const now = Date.parse('2026-01-01T12:00:00.000Z');
+
+  test('true when nothing is in flight', () => {
+    expect(needsRevalidation({ revalidation: null }, now)).toBe(true);
+  });
+
+  test('false while a recent revalidation is pending', () => {
+    const entry = { revalidation: { requestId: 'r1', submittedAt: new Date(now - 1000).toISOString() } };
+    expect(needsRevalidation(entry, now)).toBe(false);
+  });
+
+  test('true when the pending revalidation is abandoned', () => {
+    const entry = { revalidation: { requestId: 'r1', submittedAt: new Date(now - REVALIDATION_STALE_MS - 1).toISOString() } };
+    expect(needsRevalidation(entry, now)).toBe(true);
+  });
+});
+
+describe('isCacheableSize', () => {
+  test('accepts normal results', () => {
+    expect(isCacheableSize({ data: [{ uid: 'a' }] })).toBe(true);
+  });
+
+  test('rejects results over the storage limit', () => {
+    expect(isCacheableSize({ data: 'x'.repeat(MAX_CACHE_ENTRY_BYTES + 1) })).toBe(false);
+  });
+});
+
+// ============================================================================
+// Config Validation Tests
+// ============================================================================
+
+describe('validateCacheConfig', () => {
+  test('fills defaults', () => {
+    expect(validateCacheConfig({})).toEqual({ valid: true, config: DEFAULT_CACHE_CONFIG });
+  });
+
+  test('accepts numeric strings from form inputs', () => {
+    const result = validateCacheConfig({ enabled: false, ttlSeconds: '120', staleSeconds: '0' });
+    expect(result.valid).toBe(true);
+    expect(result.config).toEqual({ enabled: false, ttlSeconds: 120, staleSeconds: 0 });
+  });
+
+  test('rejects out of range and fractional values', () => {
+    expect(validateCacheConfig({ ttlSeconds: -1 }).valid).toBe(false);
+    expect(validateCacheConfig({ staleSeconds: 1.5 }).valid).toBe(false);
+    expect(validateCacheConfig({ ttlSeconds: 'abc' }).field).toBe('ttlSeconds');
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit Tests for Record History Utility
+ *
+ * Tests parsing of Commander record-history output and the masked diff shown in
+ * the issue panel's Record History view.
+ */
+
+const {
+  MASKED_VALUE,
+  DIFF_STATUS,
+  parseRevisionList,
+  parseRevisionFields,
+  normalizeRevision,
+  isSecretField,
+  diffRevisions
+} = require('../../src/modules/utils/recordHistory');
+const { buildKeeperCommand } = require('../../src/modules/utils/commandBuilder');
+
+// ========================================================================
+// Revision List
+// ========================================================================
+
+describe('parseRevisionList', () => {
+  test('reads the text table, current version first', () => {
+    const revisions = parseRevisionList({
+      message: [
+        'Version    Modified By          Time Modified',
+        '---------  -------------------  -------------------',
+        'Current    admin@example.com    2026-10-01 09:30:00',
+        'V.2        owner@example.com    2026-09-12 14:02:11',
+        'V.1        owner@example.com    2026-08-30 08:00:00'
+      ].join('\n')
+    });
+
+    expect(revisions).toEqual([
+      { revision: 0, version: 'Current', modifiedBy: 'admin@example.com', modifiedAt: '2026-10-01 09:30:00' },
+      { revision: 1, version: 'V.2', modifiedBy: 'owner@example.com', modifiedAt: '2026-09-12 14:02:11' },
+      { revision: 2, version: 'V.1', modifiedBy: 'owner@example.com', modifiedAt: '2026-08-30 08:00:00' }
+    ]);
+  });
+
+  test('drops a leading row number column', () => {
+    const revisions = parseRevisionList({
+      data: '  #  Version    Modified By        Time Modified\n  1  Current    admin@example.com  2026-10-01 09:30:00'
+    });
+
+    expect(revisions[0].version).toBe('Current');
+    expect(revisions[0].modifiedBy).toBe('admin@example.com');
+  });
+
+  test('reads a JSON listing', () => {
+    const revisions = parseRevisionList({
+      data: [
+        { version: 'Current', modified_by: 'admin@example.com', time_modified: '2026-10-01' },
+        { version: 'V.1', modified_by: 'owner@example.com', time_modified: '2026-09-01' }
+      ]
+    });
+
+    expect(revisions.map(revision => revision.revision)).toEqual([0, 1]);
+    expect(revisions[1].modifiedBy).toBe('owner@example.com');
+  });
+
+  test('returns nothing for output without revisions', () => {
+    expect(parseRevisionList({ message: 'Record has no history' })).toEqual([]);
+  });
+});
+
+// ========================================================================
+// Revision Fields
+// ========================================================================
+
+describe('parseRevisionFields', () => {
+  test('reads label / value lines and continues multi-line values', () => {
+    const fields = parseRevisionFields({
+      data: '      Title: Database\n   Password: hunter2\n      Notes: first line\n             second line'
+    });
+
+    expect(fields).toEqual([
+      { label: 'Title', value: 'Database' },
+      { label: 'Password', value: 'hunter2' },
+      { label: 'Notes', value: 'first line\nsecond line' }
+    ]);
+  });
+
+  test('reads an object payload', () => {
+    expect(parseRevisionFields({ data: { Title: 'Database', Port: 5432 } })).toEqual([
+      { label: 'Title', value: 'Database' },
+      { label: 'Port', value: '5432' }
+    ]);
+  });
+});
+
+// ========================================================================
+// Diff
+// ========================================================================
+
+describe('diffRevisions', () => {
+  const older = [
+    { label: 'Title', value: 'Database' },
+    { label: 'Login', value: 'app' },
+    { label: 'Password', value: 'old-secret' },
+    { label: 'Notes', value: 'temporary' }
+  ];
+  const newer = [
+    { label: 'Title', value: 'Database' },
+    { label: 'Login', value: 'service' },
+    { label: 'Password', value: 'new-secret' },
+    { label: 'URL', value: 'https://db.example.com' }
+  ];
+
+  test('classifies every field', () => {
+    const statuses = Object.fromEntries(diffRevisions(older, newer).map(change => [change.field, change.status]));
+
+    expect(statuses).toEqual({
+      Title: DIFF_STATUS.UNCHANGED,
+      Login: DIFF_STATUS.CHANGED,
+      Password: DIFF_STATUS.CHANGED,
+      Notes: DIFF_STATUS.REMOVED,
+      URL: DIFF_STATUS.ADDED
+    });
+  });
+
+  test('never returns secret values', () => {
+    const changes = diffRevisions(older, newer);
+    const password = changes.find(change => change.field === 'Password');
+
+    expect(password).toEqual({ field: 'Password', from: MASKED_VALUE, to: MASKED_VALUE, status: DIFF_STATUS.CHANGED, masked: true });
+    expect(JSON.stringify(changes)).not.toContain('secret');
+  });
+
+  test('shows plain values and empty sides for added fields', () => {
+    const url = diffRevisions(older, newer).find(change => change.field === 'URL');
+
+    expect(url).toEqual({ field: 'URL', from: null, to: 'https://db.example.com', status: DIFF_STATUS.ADDED, masked: false });
+  });
+
+  test.each(['Password', 'Pin Code', 'Private Key', 'One-Time Code', 'Security Code', 'Card Number', 'Passphrase'])(
+    '%s is treated as secret',
+    (label) => {
+      expect(isSecretField(label)).toBe(true);
+    }
+  );
+
+  test('ordinary fields are shown', () => {
+    expect(isSecretField('Login')).toBe(false);
+    expect(isSecretField('URL')).toBe(false);
+  });
+});
+
+describe('normalizeRevision', () => {
+  test('accepts whole revision numbers', () => {
+    expect(normalizeRevision('0')).toBe(0);
+    expect(normalizeRevision(3)).toBe(3);
+  });
+
+  test.each(['', '-1', '1.5', '1; ls', '1234567', null])('rejects %p', (value) => {
+    expect(normalizeRevision(value)).toBeNull();
+  });
+});
+
+// ========================================================================
+// Revert Command
+// ========================================================================
+
+describe('record-history revert command', () => {
+  test('restores the record to the chosen revision', () => {
+    expect(buildKeeperCommand('record-history', { record: 'AbC123', revision: '2' }, 'TEST-1'))
+      .toBe("record-history --action restore --revision '2' 'AbC123'");
+  });
+
+  test('refuses to restore the current version', () => {
+    expect(() => buildKeeperCommand('record-history', { record: 'AbC123', revision: '0' }, 'TEST-1'))
+      .toThrow('Revision has invalid format');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for Request Expiry Utility
+ *
+ * Tests the expiry settings and when the scheduled check reminds about or
+ * rejects a pending request.
+ */
+
+const {
+  EXPIRY_ACTION,
+  DEFAULT_EXPIRY_CONFIG,
+  EXPIRY_LIMITS,
+  validateExpiryConfig,
+  getRequestAgeHours,
+  getExpiryAction,
+  buildTimeoutReason
+} = require('../../src/modules/utils/requestExpiry');
+
+const CONFIG = { enabled: true, remindAfterHours: 24, remindEveryHours: 12, rejectAfterHours: 72 };
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+describe('validateExpiryConfig', () => {
+  test('normalizes numbers given as text', () => {
+    expect(validateExpiryConfig({ enabled: true, remindAfterHours: '24', remindEveryHours: '12', rejectAfterHours: '72' }))
+      .toEqual({ valid: true, errors: [], config: CONFIG });
+  });
+
+  test('fills in defaults and stays disabled unless enabled', () => {
+    expect(validateExpiryConfig({}).config).toEqual(DEFAULT_EXPIRY_CONFIG);
+  });
+
+  test.each([
+    [{ remindAfterHours: 0 }, `remindAfterHours must be a whole number of hours between ${EXPIRY_LIMITS.minHours} and ${EXPIRY_LIMITS.maxHours}`],
+    [{ remindEveryHours: 1.5 }, `remindEveryHours must be a whole number of hours between ${EXPIRY_LIMITS.minHours} and ${EXPIRY_LIMITS.maxHours}`],
+    [{ rejectAfterHours: EXPIRY_LIMITS.maxHours + 1 }, `rejectAfterHours must be a whole number of hours between ${EXPIRY_LIMITS.minHours} and ${EXPIRY_LIMITS.maxHours}`],
+    [{ remindAfterHours: 72, rejectAfterHours: 72 }, 'Requests must be rejected later than the first reminder']
+  ])('rejects %p', (config, error) => {
+    const result = validateExpiryConfig(config);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain(error);
+  });
+});
+
+// ========================================================================
+// Scheduling
+// ========================================================================
+
+describe('getRequestAgeHours', () => {
+  test('counts whole hours since the last save', () => {
+    expect(getRequestAgeHours({ submittedAt: hoursAgo(25.5) }, NOW)).toBe(25);
+  });
+
+  test('returns null without a save time', () => {
+    expect(getRequestAgeHours({}, NOW)).toBeNull();
+  });
+});
+
+describe('getExpiryAction', () => {
+  test('does nothing while expiry is disabled', () => {
+    expect(getExpiryAction({ submittedAt: hoursAgo(500) }, { ...CONFIG, enabled: false }, NOW).action).toBe(EXPIRY_ACTION.NONE);
+  });
+
+  test('leaves young requests alone', () => {
+    expect(getExpiryAction({ submittedAt: hoursAgo(23) }, CONFIG, NOW)).toEqual({ action: EXPIRY_ACTION.NONE, ageHours: 23 });
+  });
+
+  test('reminds once a request passes the reminder threshold', () => {
+    expect(getExpiryAction({ submittedAt: hoursAgo(24) }, CONFIG, NOW)).toEqual({ action: EXPIRY_ACTION.REMIND, ageHours: 24 });
+  });
+
+  test('waits for the reminder interval before reminding again', () => {
+    expect(getExpiryAction({ submittedAt: hoursAgo(30), lastReminderAt: hoursAgo(6) }, CONFIG, NOW).action).toBe(EXPIRY_ACTION.NONE);
+    expect(getExpiryAction({ submittedAt: hoursAgo(40), lastReminderAt: hoursAgo(12) }, CONFIG, NOW).action).toBe(EXPIRY_ACTION.REMIND);
+  });
+
+  test('ignores reminders from before the request was saved again', () => {
+    expect(getExpiryAction({ submittedAt: hoursAgo(30), lastReminderAt: hoursAgo(40) }, CONFIG, NOW).action).toBe(EXPIRY_ACTION.REMIND);
+  });
+
+  test('rejects requests past the rejection threshold', () => {
+    expect(getExpiryAction({ submittedAt: hoursAgo(72), lastReminderAt: hoursAgo(1) }, CONFIG, NOW)).toEqual({ action: EXPIRY_ACTION.REJECT, ageHours: 72 });
+  });
+
+  test('skips requests without a save time', () => {
+    expect(getExpiryAction({}, CONFIG, NOW)).toEqual({ action: EXPIRY_ACTION.NONE, ageHours: null });
+  });
+});
+
+describe('buildTimeoutReason', () => {
+  test('says the request timed out', () => {
+    expect(buildTimeoutReason(72)).toBe('Request timed out - nobody approved or rejected it within 72 hours. Save it again if it is still needed.');
+  });
+});
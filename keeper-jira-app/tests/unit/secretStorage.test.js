@@ -0,0 +1,138 @@
+/**
+ * Unit Tests for Secret Storage Utility
+ *
+ * Tests secret key names, webhook token hashing and the plan used to move
+ * plaintext API keys and webhook tokens into Forge secret storage.
+ */
+
+const {
+  SECRET_KEYS,
+  getApiKeySecretKey,
+  getPreviousApiKeySecretKey,
+  buildTokenPreview,
+  hashToken,
+  tokenMatchesHash,
+  buildApiKeyFields,
+  buildWebhookTokenFields,
+  planSecretMigration
+} = require('../../src/modules/utils/secretStorage');
+
+const TOKEN = 'a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90';
+
+// ============================================================================
+// Key and Preview Tests
+// ============================================================================
+
+describe('getApiKeySecretKey', () => {
+  test('scopes the key per connection', () => {
+    expect(getApiKeySecretKey('non-prod')).toBe('keeper-api-key:non-prod');
+    expect(getApiKeySecretKey(undefined)).toBe('keeper-api-key:default');
+  });
+});
+
+describe('getPreviousApiKeySecretKey', () => {
+  test('does not collide with the current key', () => {
+    expect(getPreviousApiKeySecretKey('non-prod')).toBe('keeper-api-key-previous:non-prod');
+    expect(getPreviousApiKeySecretKey('default')).not.toBe(getApiKeySecretKey('default'));
+  });
+});
+
+describe('buildTokenPreview', () => {
+  test('shows the first 8 and last 4 characters', () => {
+    expect(buildTokenPreview(TOKEN)).toBe('a1b2c3d4...8f90');
+    expect(buildTokenPreview(null)).toBeNull();
+  });
+});
+
+// ============================================================================
+// Token Hashing Tests
+// ============================================================================
+
+describe('tokenMatchesHash', () => {
+  const storedHash = hashToken(TOKEN);
+
+  test('stores a SHA-256 hex digest, not the token', () => {
+    expect(storedHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(storedHash).not.toBe(TOKEN);
+  });
+
+  test('accepts the matching token', () => {
+    expect(tokenMatchesHash(TOKEN, storedHash)).toBe(true);
+  });
+
+  test('rejects other tokens, including different lengths', () => {
+    expect(tokenMatchesHash(TOKEN.replace(/.$/, '1'), storedHash)).toBe(false);
+    expect(tokenMatchesHash('short', storedHash)).toBe(false);
+  });
+
+  test('rejects missing or malformed hashes', () => {
+    expect(tokenMatchesHash(TOKEN, undefined)).toBe(false);
+    expect(tokenMatchesHash(TOKEN, TOKEN.slice(0, 10))).toBe(false);
+    expect(tokenMatchesHash('', storedHash)).toBe(false);
+  });
+});
+
+describe('stored fields', () => {
+  test('API key fields keep only a masked preview', () => {
+    expect(buildApiKeyFields('abcd1234efgh5678')).toEqual({ hasApiKey: true, apiKeyPreview: 'abcd...5678' });
+  });
+
+  test('webhook token fields keep the hash and preview', () => {
+    expect(buildWebhookTokenFields(TOKEN)).toEqual({
+      webhookTokenHash: hashToken(TOKEN),
+      webhookTokenPreview: 'a1b2c3d4...8f90'
+    });
+  });
+});
+
+// ============================================================================
+// Migration Tests
+// ============================================================================
+
+describe('planSecretMigration', () => {
+  const stored = {
+    keeperConfig: { apiUrl: 'https://prod.ngrok.io', apiKey: 'prodkey-12345678', capabilities: null },
+    connections: [
+      { id: 'non-prod', name: 'Non Prod', apiUrl: 'https://dev.ngrok.io', apiKey: 'devkey-87654321' },
+      { id: 'done', name: 'Done', apiUrl: 'https://done.ngrok.io', hasApiKey: true, apiKeyPreview: 'xxxx...yyyy' }
+    ],
+    webTriggerConfig: { projectKey: 'SEC', issueType: 'Task', webhookToken: TOKEN }
+  };
+
+  test('moves every plaintext secret', () => {
+    const plan = planSecretMigration(stored);
+    expect(plan.changed).toBe(true);
+    expect(plan.secrets).toEqual([
+      { key: 'keeper-api-key:default', value: 'prodkey-12345678' },
+      { key: 'keeper-api-key:non-prod', value: 'devkey-87654321' },
+      { key: SECRET_KEYS.webhookToken, value: TOKEN }
+    ]);
+  });
+
+  test('strips plaintext values from the stored records', () => {
+    const plan = planSecretMigration(stored);
+    expect(plan.keeperConfig).toEqual({
+      apiUrl: 'https://prod.ngrok.io',
+      capabilities: null,
+      hasApiKey: true,
+      apiKeyPreview: 'prod...5678'
+    });
+    expect(plan.connections[0].apiKey).toBeUndefined();
+    expect(plan.connections[0].apiKeyPreview).toBe('devk...4321');
+    expect(plan.connections[1]).toBe(stored.connections[1]);
+    expect(plan.webTriggerConfig.webhookToken).toBeUndefined();
+    expect(tokenMatchesHash(TOKEN, plan.webTriggerConfig.webhookTokenHash)).toBe(true);
+  });
+
+  test('does nothing once migrated', () => {
+    const migrated = planSecretMigration(stored);
+    const plan = planSecretMigration(migrated);
+    expect(plan.changed).toBe(false);
+    expect(plan.secrets).toEqual([]);
+  });
+
+  test('handles a fresh install', () => {
+    expect(planSecretMigration({}).changed).toBe(false);
+    expect(planSecretMigration().connections).toEqual([]);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for Secrets Manager Provisioning Utility
+ *
+ * Tests the secrets-manager commands, extraction of the client token from
+ * Commander output and the rule that only the requester may read it.
+ */
+
+const {
+  CLIENT_TOKEN_EXPIRY_OPTIONS,
+  getClientTokenStorageKey,
+  extractClientToken,
+  buildClientTokenRecord,
+  isClientTokenExpired,
+  canViewClientToken,
+  canReplaceClientTokenRequest,
+  describeSecretsManagerChange
+} = require('../../src/modules/utils/secretsManager');
+const { buildKeeperCommand } = require('../../src/modules/utils/commandBuilder');
+
+const NOW = Date.parse('2025-01-01T00:00:00.000Z');
+const TOKEN = 'US:Bx9_kLm2-Pq9Rs4Tu6Vw8Zabcdefghijklmnopq12';
+const REQUESTER = { accountId: 'acc-requester', displayName: 'Requester' };
+
+// ========================================================================
+// Commands
+// ========================================================================
+
+describe('secrets-manager commands', () => {
+  test('creates an application', () => {
+    expect(buildKeeperCommand('secrets-manager', { operation: 'app-create', app: 'CI Pipeline' }, 'TEST-1'))
+      .toBe("secrets-manager app create 'CI Pipeline'");
+  });
+
+  test('shares a record with an application', () => {
+    expect(buildKeeperCommand('secrets-manager', { operation: 'share-add', app: 'CI Pipeline', secret: 'AbC123', editable: true }, 'TEST-1'))
+      .toBe("secrets-manager share add --app 'CI Pipeline' --secret 'AbC123' --editable");
+  });
+
+  test('requires the shared UID only when sharing', () => {
+    expect(() => buildKeeperCommand('secrets-manager', { operation: 'share-add', app: 'CI Pipeline' }, 'TEST-1'))
+      .toThrow('Record or Shared Folder UID is required');
+  });
+
+  test('adds a client with the default first-access window', () => {
+    expect(buildKeeperCommand('secrets-manager', { operation: 'client-add', app: 'CI Pipeline', client_name: 'runner-1' }, 'TEST-1'))
+      .toBe("secrets-manager client add --app 'CI Pipeline' --name 'runner-1' --first-access-expires-in 60");
+  });
+
+  test('only offers whole-minute windows', () => {
+    CLIENT_TOKEN_EXPIRY_OPTIONS.forEach(option => expect(option).toMatch(/^\d+$/));
+    expect(() => buildKeeperCommand('secrets-manager', { operation: 'client-add', app: 'CI Pipeline', first_access_expires_in: '60; whoami' }, 'TEST-1'))
+      .toThrow('Must be one of');
+  });
+});
+
+// ========================================================================
+// Client Token
+// ========================================================================
+
+describe('extractClientToken', () => {
+  test('reads the labelled token from text output', () => {
+    const data = { message: `Successfully generated client device\n====\nOne-Time Access Token: ${TOKEN}\nIP Lock: Enabled` };
+    expect(extractClientToken(data)).toBe(TOKEN);
+  });
+
+  test('finds a bare region-prefixed token in structured output', () => {
+    expect(extractClientToken({ data: { tokens: [TOKEN] } })).toBe(TOKEN);
+  });
+
+  test('returns null when no token was printed', () => {
+    expect(extractClientToken({ message: 'Client added' })).toBeNull();
+  });
+});
+
+describe('client token record', () => {
+  const record = buildClientTokenRecord({
+    token: TOKEN,
+    issueKey: 'CI-7',
+    recipient: REQUESTER,
+    app: 'CI Pipeline',
+    clientName: 'runner-1',
+    expiresInMinutes: '15',
+    now: NOW
+  });
+
+  test('is stored per issue for the requester', () => {
+    expect(getClientTokenStorageKey('CI-7')).toBe('keeper-ksm-token-CI-7');
+    expect(record).toMatchObject({ recipientAccountId: 'acc-requester', recipientName: 'Requester', app: 'CI Pipeline' });
+  });
+
+  test('expires after the first-access window', () => {
+    expect(record.expiresAt).toBe(new Date(NOW + 15 * 60 * 1000).toISOString());
+    expect(isClientTokenExpired(record, NOW + 14 * 60 * 1000)).toBe(false);
+    expect(isClientTokenExpired(record, NOW + 15 * 60 * 1000)).toBe(true);
+  });
+
+  test('is only readable by the requester', () => {
+    expect(canViewClientToken(record, 'acc-requester')).toBe(true);
+    expect(canViewClientToken(record, 'acc-approver')).toBe(false);
+    expect(canViewClientToken(record, undefined)).toBe(false);
+  });
+});
+
+describe('canReplaceClientTokenRequest', () => {
+  const clientAdd = { selectedAction: { value: 'secrets-manager' }, formData: { operation: 'client-add' }, submittedBy: { userKey: 'acc-requester' } };
+  const appCreate = { selectedAction: { value: 'secrets-manager' }, formData: { operation: 'app-create' }, submittedBy: { userKey: 'acc-requester' } };
+
+  test('lets only the requester save over a client-add request', () => {
+    expect(canReplaceClientTokenRequest(clientAdd, clientAdd, 'acc-requester')).toBe(true);
+    expect(canReplaceClientTokenRequest(clientAdd, clientAdd, 'acc-other')).toBe(false);
+    expect(canReplaceClientTokenRequest(clientAdd, appCreate, 'acc-other')).toBe(false);
+    expect(canReplaceClientTokenRequest(clientAdd, clientAdd, undefined)).toBe(false);
+  });
+
+  test('refuses a client-add saved over someone else\'s request', () => {
+    expect(canReplaceClientTokenRequest(appCreate, clientAdd, 'acc-other')).toBe(false);
+  });
+
+  test('leaves other requests and first saves alone', () => {
+    expect(canReplaceClientTokenRequest(null, clientAdd, 'acc-other')).toBe(true);
+    expect(canReplaceClientTokenRequest(appCreate, appCreate, 'acc-other')).toBe(true);
+  });
+});
+
+// ========================================================================
+// Comment
+// ========================================================================
+
+describe('describeSecretsManagerChange', () => {
+  test('names the application that was created', () => {
+    expect(describeSecretsManagerChange({ operation: 'app-create', app: 'CI Pipeline' }).message)
+      .toBe('Created Secrets Manager application "CI Pipeline"');
+  });
+
+  test('states the access given to the application', () => {
+    expect(describeSecretsManagerChange({ operation: 'share-add', app: 'CI Pipeline', secret: 'AbC123', editable: false }).message)
+      .toBe('Shared AbC123 with application "CI Pipeline" (read-only access)');
+  });
+});
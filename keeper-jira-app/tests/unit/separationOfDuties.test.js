@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for Separation of Duties Utility
+ *
+ * Tests the settings, break-glass justifications, the requester check, the
+ * request history, who may change a stored request and the break-glass audit log.
+ */
+
+const {
+  DEFAULT_SEPARATION_CONFIG,
+  BREAK_GLASS_LIMITS,
+  validateSeparationConfig,
+  validateJustification,
+  getRequestHistoryStorageKey,
+  addRequestHistoryEntry,
+  canChangeStoredRequest,
+  checkSeparationOfDuties,
+  addBreakGlassEntry
+} = require('../../src/modules/utils/separationOfDuties');
+
+const CONFIG = { enabled: true, allowBreakGlass: true };
+
+const STORED_REQUEST = { submittedBy: { userKey: 'requester-1', displayName: 'Riley Requester' } };
+
+const JUSTIFICATION = 'Production outage, no other admin reachable';
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+describe('validateSeparationConfig', () => {
+  test('is off with break glass allowed by default', () => {
+    expect(validateSeparationConfig({})).toEqual({ valid: true, errors: [], config: DEFAULT_SEPARATION_CONFIG });
+  });
+
+  test('keeps the chosen settings', () => {
+    expect(validateSeparationConfig({ enabled: true, allowBreakGlass: false }).config).toEqual({ enabled: true, allowBreakGlass: false });
+  });
+
+  test('rejects settings that are not true or false', () => {
+    expect(validateSeparationConfig({ enabled: 'yes' }).errors).toEqual(['enabled must be true or false']);
+  });
+});
+
+// ========================================================================
+// Enforcement
+// ========================================================================
+
+describe('validateJustification', () => {
+  test('trims the justification and drops control characters', () => {
+    expect(validateJustification(`  ${JUSTIFICATION}\u0007\n`)).toEqual({ valid: true, justification: JUSTIFICATION });
+  });
+
+  test.each([
+    [undefined],
+    ['   too short   '],
+    ['x'.repeat(BREAK_GLASS_LIMITS.maxJustificationLength + 1)]
+  ])('rejects %p', (value) => {
+    expect(validateJustification(value)).toEqual({
+      valid: false,
+      error: `A break-glass justification of ${BREAK_GLASS_LIMITS.minJustificationLength} to ${BREAK_GLASS_LIMITS.maxJustificationLength} characters is required`
+    });
+  });
+});
+
+describe('checkSeparationOfDuties', () => {
+  test('lets anyone else approve', () => {
+    expect(checkSeparationOfDuties(CONFIG, STORED_REQUEST, 'approver-2')).toEqual({ allowed: true, breakGlass: false });
+  });
+
+  test('does nothing while separation of duties is off or there is no request', () => {
+    expect(checkSeparationOfDuties(DEFAULT_SEPARATION_CONFIG, STORED_REQUEST, 'requester-1').allowed).toBe(true);
+    expect(checkSeparationOfDuties(CONFIG, null, 'requester-1').allowed).toBe(true);
+  });
+
+  test('refuses an approver it cannot identify', () => {
+    expect(checkSeparationOfDuties(CONFIG, STORED_REQUEST, null)).toMatchObject({ allowed: false, breakGlassAllowed: false });
+    expect(checkSeparationOfDuties(DEFAULT_SEPARATION_CONFIG, STORED_REQUEST, null).allowed).toBe(true);
+  });
+
+  test('stops the requester and offers break glass', () => {
+    expect(checkSeparationOfDuties(CONFIG, STORED_REQUEST, 'requester-1')).toEqual({
+      allowed: false,
+      breakGlass: false,
+      breakGlassAllowed: true,
+      error: 'You submitted this request - separation of duties requires someone else to approve it, or a break-glass justification'
+    });
+  });
+
+  test('lets the requester break glass with a justification', () => {
+    expect(checkSeparationOfDuties(CONFIG, STORED_REQUEST, 'requester-1', JUSTIFICATION))
+      .toEqual({ allowed: true, breakGlass: true, justification: JUSTIFICATION });
+  });
+
+  test('refuses a justification that is too short', () => {
+    const result = checkSeparationOfDuties(CONFIG, STORED_REQUEST, 'requester-1', 'urgent');
+    expect(result.allowed).toBe(false);
+    expect(result.error).toMatch(/justification/);
+  });
+
+  test('refuses break glass when it is turned off', () => {
+    const result = checkSeparationOfDuties({ enabled: true, allowBreakGlass: false }, STORED_REQUEST, 'requester-1', JUSTIFICATION);
+    expect(result).toMatchObject({ allowed: false, breakGlassAllowed: false });
+  });
+
+  test('still stops a requester whose request was cleared or saved over', () => {
+    const history = [{ accountId: 'requester-1', action: 'share-record' }];
+    expect(checkSeparationOfDuties(CONFIG, null, 'requester-1', undefined, history)).toMatchObject({ allowed: false, breakGlassAllowed: true });
+    expect(checkSeparationOfDuties(CONFIG, { submittedBy: { userKey: 'other-3' } }, 'requester-1', undefined, history).allowed).toBe(false);
+    expect(checkSeparationOfDuties(CONFIG, null, 'approver-2', undefined, history).allowed).toBe(true);
+  });
+});
+
+// ========================================================================
+// Request History
+// ========================================================================
+
+describe('addRequestHistoryEntry', () => {
+  test('is stored per issue', () => {
+    expect(getRequestHistoryStorageKey('OPS-1')).toBe('keeper_request_history_OPS-1');
+  });
+
+  test('adds each requester once', () => {
+    const history = addRequestHistoryEntry(undefined, { accountId: 'requester-1', action: 'rm' });
+    expect(history).toEqual([{ accountId: 'requester-1', action: 'rm' }]);
+    expect(addRequestHistoryEntry(history, { accountId: 'requester-1', action: 'mv' })).toBe(history);
+    expect(addRequestHistoryEntry(history, { accountId: null })).toBe(history);
+  });
+
+  test('keeps the history to its maximum size', () => {
+    const history = Array.from({ length: BREAK_GLASS_LIMITS.maxRequestHistoryEntries }, (_, i) => ({ accountId: `user-${i}` }));
+    const updated = addRequestHistoryEntry(history, { accountId: 'user-new' });
+    expect(updated).toHaveLength(BREAK_GLASS_LIMITS.maxRequestHistoryEntries);
+    expect(updated[updated.length - 1].accountId).toBe('user-new');
+  });
+});
+
+describe('canChangeStoredRequest', () => {
+  test('lets the requester and administrators change the request', () => {
+    expect(canChangeStoredRequest(STORED_REQUEST, 'requester-1', false)).toBe(true);
+    expect(canChangeStoredRequest(STORED_REQUEST, 'admin-9', true)).toBe(true);
+  });
+
+  test('refuses anyone else', () => {
+    expect(canChangeStoredRequest(STORED_REQUEST, 'approver-2', false)).toBe(false);
+    expect(canChangeStoredRequest(STORED_REQUEST, undefined, false)).toBe(false);
+  });
+
+  test('allows changes when there is no request', () => {
+    expect(canChangeStoredRequest(null, 'approver-2', false)).toBe(true);
+  });
+});
+
+// ========================================================================
+// Audit
+// ========================================================================
+
+describe('addBreakGlassEntry', () => {
+  test('adds entries newest first', () => {
+    expect(addBreakGlassEntry([{ issueKey: 'OPS-1' }], { issueKey: 'OPS-2' })).toEqual([{ issueKey: 'OPS-2' }, { issueKey: 'OPS-1' }]);
+    expect(addBreakGlassEntry(undefined, { issueKey: 'OPS-1' })).toEqual([{ issueKey: 'OPS-1' }]);
+  });
+
+  test('keeps the log to its maximum size', () => {
+    const log = Array.from({ length: BREAK_GLASS_LIMITS.maxAuditEntries }, (_, i) => ({ issueKey: `OPS-${i}` }));
+    const updated = addBreakGlassEntry(log, { issueKey: 'OPS-NEW' });
+    expect(updated).toHaveLength(BREAK_GLASS_LIMITS.maxAuditEntries);
+    expect(updated[0].issueKey).toBe('OPS-NEW');
+  });
+});
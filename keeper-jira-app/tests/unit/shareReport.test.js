@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for Share Report Utility
+ *
+ * Tests parsing of record and shared folder access from Commander output and
+ * the checks that flag a share request conflicting with existing access.
+ */
+
+const {
+  ACCESS_SUBJECT,
+  REQUEST_CONFLICT,
+  normalizeExpiration,
+  parseRecordPermissions,
+  parseSharedFolderPermissions,
+  parseShareReport,
+  mergeAccessEntries,
+  findRequestConflicts
+} = require('../../src/modules/utils/shareReport');
+
+const RECORD_DETAILS = {
+  record_uid: 'AbC123',
+  user_permissions: [
+    { username: 'owner@example.com', owner: true, shareable: true, editable: true },
+    { username: 'reader@example.com', owner: false, shareable: false, editable: false, expiration: 1767225600 }
+  ],
+  shared_folder_permissions: [
+    { shared_folder_uid: 'Sf123', shared_folder_name: 'Finance', editable: true, reshareable: false }
+  ]
+};
+
+const FOLDER_DETAILS = {
+  shared_folder_uid: 'Sf123',
+  users: [{ username: 'admin@example.com', manage_records: true, manage_users: true }],
+  teams: [{ name: 'Finance Team', team_uid: 'Tm123', manage_records: false, manage_users: false }]
+};
+
+// ========================================================================
+// Parsing
+// ========================================================================
+
+describe('normalizeExpiration', () => {
+  test('treats empty values and "never" as no expiration', () => {
+    expect(normalizeExpiration(null)).toBeNull();
+    expect(normalizeExpiration(0)).toBeNull();
+    expect(normalizeExpiration('Never')).toBeNull();
+  });
+
+  test('converts epoch seconds and milliseconds to ISO dates', () => {
+    expect(normalizeExpiration(1767225600)).toBe('2026-01-01T00:00:00.000Z');
+    expect(normalizeExpiration(1767225600000)).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  test('keeps text dates as they are', () => {
+    expect(normalizeExpiration(' 2026-01-01 ')).toBe('2026-01-01');
+  });
+});
+
+describe('parseRecordPermissions', () => {
+  test('lists users with their flags and the shared folders holding the record', () => {
+    expect(parseRecordPermissions({ data: RECORD_DETAILS })).toEqual([
+      { type: ACCESS_SUBJECT.USER, name: 'owner@example.com', uid: null, owner: true, permissions: ['Can Edit', 'Can Share'], expiration: null },
+      { type: ACCESS_SUBJECT.USER, name: 'reader@example.com', uid: null, owner: false, permissions: [], expiration: '2026-01-01T00:00:00.000Z' },
+      { type: ACCESS_SUBJECT.SHARED_FOLDER, name: 'Finance', uid: 'Sf123', owner: false, permissions: ['Can Edit'], expiration: null }
+    ]);
+  });
+
+  test('accepts the details as a JSON string', () => {
+    expect(parseRecordPermissions({ data: JSON.stringify(RECORD_DETAILS) })).toHaveLength(3);
+  });
+
+  test('returns nothing for output that is not JSON', () => {
+    expect(parseRecordPermissions({ data: 'Record not found' })).toEqual([]);
+  });
+});
+
+describe('parseSharedFolderPermissions', () => {
+  test('lists users and teams with their folder permissions', () => {
+    expect(parseSharedFolderPermissions({ data: FOLDER_DETAILS })).toEqual([
+      { type: ACCESS_SUBJECT.USER, name: 'admin@example.com', uid: null, owner: false, permissions: ['Manage Records', 'Manage Users'], expiration: null },
+      { type: ACCESS_SUBJECT.TEAM, name: 'Finance Team', uid: 'Tm123', owner: false, permissions: [], expiration: null }
+    ]);
+  });
+});
+
+describe('parseShareReport', () => {
+  test('reads one user per row with the permission text split into flags', () => {
+    const report = { data: [{ shared_with: 'viewer@example.com', permissions: 'Can Edit, Can Share', expiration: 'Never' }] };
+
+    expect(parseShareReport(report)).toEqual([
+      { type: ACCESS_SUBJECT.USER, name: 'viewer@example.com', uid: null, owner: false, permissions: ['Can Edit', 'Can Share'], expiration: null }
+    ]);
+  });
+
+  test('recognises the owner row', () => {
+    const [entry] = parseShareReport({ data: [{ username: 'owner@example.com', permission: 'Owner' }] });
+
+    expect(entry.owner).toBe(true);
+    expect(entry.permissions).toEqual([]);
+  });
+
+  test('returns nothing when the report is not a list', () => {
+    expect(parseShareReport({ data: { message: 'No shares' } })).toEqual([]);
+  });
+});
+
+describe('mergeAccessEntries', () => {
+  test('prefers record details over report rows for the same user', () => {
+    const report = parseShareReport({ data: [{ shared_with: 'READER@example.com', permissions: 'Can Edit' }] });
+    const merged = mergeAccessEntries(parseRecordPermissions({ data: RECORD_DETAILS }), report);
+
+    expect(merged.filter(entry => entry.name.toLowerCase() === 'reader@example.com')).toEqual([
+      expect.objectContaining({ name: 'reader@example.com', permissions: [] })
+    ]);
+  });
+
+  test('keeps users that only the report knows about and lists owners first', () => {
+    const report = parseShareReport({ data: [{ shared_with: 'aaa@example.com', permissions: 'Read Only' }] });
+    const merged = mergeAccessEntries(parseRecordPermissions({ data: RECORD_DETAILS }), report);
+
+    expect(merged.map(entry => entry.name)).toEqual(['owner@example.com', 'aaa@example.com', 'reader@example.com', 'Finance']);
+  });
+});
+
+// ========================================================================
+// Request Checks
+// ========================================================================
+
+describe('findRequestConflicts', () => {
+  const recordEntries = mergeAccessEntries(parseRecordPermissions({ data: RECORD_DETAILS }));
+  const folderEntries = mergeAccessEntries(parseSharedFolderPermissions({ data: FOLDER_DETAILS }));
+
+  test('flags a grant to someone who already has access', () => {
+    const conflicts = findRequestConflicts(recordEntries, { command: 'share-record', action: 'grant', user: 'Reader@Example.com' });
+
+    expect(conflicts).toEqual([expect.objectContaining({ subject: 'Reader@Example.com', conflict: REQUEST_CONFLICT.EXISTING_ACCESS })]);
+    expect(conflicts[0].message).toContain('read-only');
+  });
+
+  test('flags requests aimed at the record owner', () => {
+    expect(findRequestConflicts(recordEntries, { command: 'share-record', action: 'revoke', user: 'owner@example.com' })[0])
+      .toEqual(expect.objectContaining({ conflict: REQUEST_CONFLICT.OWNER, message: expect.stringContaining('cannot be revoked') }));
+    expect(findRequestConflicts(recordEntries, { command: 'share-record', action: 'owner', user: 'owner@example.com' })[0].message)
+      .toContain('already owns');
+  });
+
+  test('flags a revoke or remove for someone without access', () => {
+    expect(findRequestConflicts(recordEntries, { command: 'share-record', action: 'revoke', user: 'new@example.com' }))
+      .toEqual([expect.objectContaining({ conflict: REQUEST_CONFLICT.NO_ACCESS })]);
+    expect(findRequestConflicts(folderEntries, { command: 'share-folder', action: 'remove', user: 'new@example.com' }))
+      .toEqual([expect.objectContaining({ conflict: REQUEST_CONFLICT.NO_ACCESS })]);
+  });
+
+  test('matches team names and checks every listed subject', () => {
+    const conflicts = findRequestConflicts(folderEntries, { command: 'share-folder', action: 'grant', user: 'finance team, new@example.com, admin@example.com' });
+
+    expect(conflicts.map(conflict => conflict.subject)).toEqual(['finance team', 'admin@example.com']);
+  });
+
+  test('does not match shared folder names as users', () => {
+    expect(findRequestConflicts(recordEntries, { command: 'share-record', action: 'grant', user: 'Finance' })).toEqual([]);
+  });
+
+  test('ignores cancel requests and the all-users wildcard', () => {
+    expect(findRequestConflicts(recordEntries, { command: 'share-record', action: 'cancel', user: 'owner@example.com' })).toEqual([]);
+    expect(findRequestConflicts(folderEntries, { command: 'share-folder', action: 'grant', user: '*' })).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for Shared Folder Creation Utility
+ *
+ * Tests the mkdir path, reading the new folder UID from Commander output and
+ * the grant given to the initial members.
+ */
+
+const {
+  SHARED_FOLDER_PERMISSION_KEYS,
+  buildSharedFolderPath,
+  extractFolderUid,
+  pickFolderPermissions,
+  buildMemberGrantParameters,
+  splitMembers
+} = require('../../src/modules/utils/sharedFolder');
+const { buildKeeperCommand } = require('../../src/modules/utils/commandBuilder');
+
+const FOLDER_UID = 'Xy7_kLm2-Pq9Rs4Tu6Vw8Z';
+
+// ========================================================================
+// Folder Path
+// ========================================================================
+
+describe('buildSharedFolderPath', () => {
+  test('creates the folder in the vault root without a parent', () => {
+    expect(buildSharedFolderPath('', 'Project Phoenix')).toBe('/Project Phoenix');
+  });
+
+  test('prefixes the parent folder UID', () => {
+    expect(buildSharedFolderPath('Parent123', 'Project Phoenix')).toBe('Parent123/Project Phoenix');
+  });
+
+  test('escapes slashes and trims the name', () => {
+    expect(buildSharedFolderPath(null, '  Ops/Infra ')).toBe('/Ops//Infra');
+  });
+});
+
+// ========================================================================
+// Folder UID
+// ========================================================================
+
+describe('extractFolderUid', () => {
+  test('reads folder_uid from structured data', () => {
+    expect(extractFolderUid({ data: { folder_uid: FOLDER_UID } })).toBe(FOLDER_UID);
+  });
+
+  test('reads a bare UID from the result text', () => {
+    expect(extractFolderUid({ data: `${FOLDER_UID}\n` })).toBe(FOLDER_UID);
+    expect(extractFolderUid({ data: null, message: [`Folder created: ${FOLDER_UID}`] })).toBe(FOLDER_UID);
+  });
+
+  test('ignores tokens that are not 22 characters', () => {
+    expect(extractFolderUid({ data: 'Folder Project_Phoenix_Team_2024 created' })).toBeNull();
+    expect(extractFolderUid({ data: 'done' })).toBeNull();
+  });
+});
+
+// ========================================================================
+// Initial Members
+// ========================================================================
+
+describe('pickFolderPermissions', () => {
+  test('returns every default permission as a boolean', () => {
+    const permissions = pickFolderPermissions({ can_edit: true, manage_users: 'true', members: 'a@example.com' });
+    expect(Object.keys(permissions)).toEqual(SHARED_FOLDER_PERMISSION_KEYS);
+    expect(permissions).toEqual({ manage_users: true, manage_records: false, can_share: false, can_edit: true });
+  });
+});
+
+describe('buildMemberGrantParameters', () => {
+  test('builds a share-folder grant with the folder defaults', () => {
+    const parameters = buildMemberGrantParameters(FOLDER_UID, 'a@example.com,b@example.com', pickFolderPermissions({ can_edit: true }));
+    const command = buildKeeperCommand('share-folder', parameters, 'TEST-1');
+
+    expect(command).toBe(`share-folder '${FOLDER_UID}' -e 'a@example.com' -e 'b@example.com' -a grant -p off -o off -s off -d on --force`);
+  });
+});
+
+describe('splitMembers', () => {
+  test('splits and trims comma-separated emails', () => {
+    expect(splitMembers(' a@example.com, ,b@example.com ')).toEqual(['a@example.com', 'b@example.com']);
+    expect(splitMembers(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit Tests for Team Membership Utility
+ *
+ * Tests the team picker listing, the result comment and the request that
+ * reverses a completed change.
+ */
+
+const {
+  TEAM_MEMBERSHIP_OPERATIONS,
+  parseTeamListing,
+  buildTeamMembershipChange,
+  describeTeamMembershipChange,
+  getReversalRequest
+} = require('../../src/modules/utils/teamMembership');
+
+const TEAM_UID = 'Tm4_kLm2-Pq9Rs4Tu6Vw8Z';
+
+// ========================================================================
+// Team Listing
+// ========================================================================
+
+describe('parseTeamListing', () => {
+  test('reads enterprise-info JSON from the data field and sorts by name', () => {
+    const teams = parseTeamListing({
+      data: [
+        { team_uid: 'B', name: 'Support', node: 'Root' },
+        { team_uid: TEAM_UID, name: 'Engineering', node: 'Root' }
+      ]
+    });
+
+    expect(teams.map(team => team.name)).toEqual(['Engineering', 'Support']);
+    expect(teams[0]).toEqual({ team_uid: TEAM_UID, name: 'Engineering', title: 'Engineering', node: 'Root' });
+  });
+
+  test('parses a JSON string message and skips entries without a UID', () => {
+    const teams = parseTeamListing({
+      message: JSON.stringify([{ team_uid: TEAM_UID, name: 'Engineering' }, { name: 'Orphan' }])
+    });
+
+    expect(teams.map(team => team.team_uid)).toEqual([TEAM_UID]);
+  });
+
+  test('returns an empty list for output it cannot read', () => {
+    expect(parseTeamListing({ message: 'Not an enterprise admin' })).toEqual([]);
+  });
+});
+
+// ========================================================================
+// Comment and Reversal
+// ========================================================================
+
+describe('team membership changes', () => {
+  const parameters = { operation: 'add', team: TEAM_UID, user: ' user@example.com ' };
+
+  test('keeps the team name for the comment', () => {
+    const change = buildTeamMembershipChange(parameters, { team_uid: TEAM_UID, name: 'Engineering' });
+
+    expect(change).toEqual({ operation: 'add', teamUid: TEAM_UID, teamName: 'Engineering', user: 'user@example.com' });
+    expect(describeTeamMembershipChange(change)).toEqual({
+      description: 'Add Team Member - user@example.com',
+      message: `Added user@example.com to team "Engineering" (${TEAM_UID})`
+    });
+  });
+
+  test('falls back to the team UID when the team could not be looked up', () => {
+    const change = buildTeamMembershipChange({ ...parameters, operation: 'remove' }, undefined);
+
+    expect(describeTeamMembershipChange(change).message).toBe(`Removed user@example.com from team ${TEAM_UID}`);
+  });
+
+  test.each(TEAM_MEMBERSHIP_OPERATIONS)('reverses a completed %s', (operation) => {
+    const change = buildTeamMembershipChange({ ...parameters, operation }, undefined);
+
+    expect(getReversalRequest(change)).toEqual({
+      operation: operation === 'add' ? 'remove' : 'add',
+      team: TEAM_UID,
+      user: 'user@example.com'
+    });
+  });
+
+  test('has nothing to reverse without a recorded change', () => {
+    expect(getReversalRequest(null)).toBeNull();
+    expect(getReversalRequest({ operation: 'add', teamUid: TEAM_UID })).toBeNull();
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for Workflow Execution Utility
+ *
+ * Tests the workflow settings, which transitions run a stored request, which
+ * requests need the issue panel, who counts as an administrator, finding the
+ * transition back, and the validator's check that the Keeper action has run.
+ */
+
+const {
+  FAILURE_HANDLING,
+  WORKFLOW_LIMITS,
+  validateWorkflowConfig,
+  shouldRunOnTransition,
+  getWorkflowBlocker,
+  hasAdminPermission,
+  findRevertTransition,
+  checkKeeperActionDone
+} = require('../../src/modules/utils/workflowExecution');
+
+const CONFIG = {
+  executeOnStatuses: [{ id: '10001', name: 'Approved' }],
+  onFailure: FAILURE_HANDLING.REVERT
+};
+
+// ========================================================================
+// Configuration
+// ========================================================================
+
+describe('validateWorkflowConfig', () => {
+  test('normalizes status ids and drops duplicates', () => {
+    const result = validateWorkflowConfig({
+      executeOnStatuses: [{ id: 10001, name: ' Approved ' }, { id: '10001', name: 'Approved' }],
+      onFailure: 'flag'
+    });
+
+    expect(result).toEqual({
+      valid: true,
+      errors: [],
+      config: { executeOnStatuses: [{ id: '10001', name: 'Approved' }], onFailure: 'flag' }
+    });
+  });
+
+  test('reverts failed transitions by default', () => {
+    expect(validateWorkflowConfig({ executeOnStatuses: [] }).config.onFailure).toBe(FAILURE_HANDLING.REVERT);
+  });
+
+  test.each([
+    [{}, 'Execute-on statuses must be an array'],
+    [{ executeOnStatuses: [{ id: 'approved', name: 'Approved' }] }, 'Status 1: invalid status id'],
+    [{ executeOnStatuses: [{ id: '1' }] }, `Status 1: a status name of up to ${WORKFLOW_LIMITS.statusNameMaxLength} characters is required`],
+    [{ executeOnStatuses: [], onFailure: 'ignore' }, 'Failure handling must be one of revert, flag']
+  ])('rejects %p', (config, error) => {
+    const result = validateWorkflowConfig(config);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain(error);
+  });
+
+  test('rejects too many statuses', () => {
+    const executeOnStatuses = Array.from({ length: WORKFLOW_LIMITS.maxStatuses + 1 }, (_, i) => ({ id: String(i + 1), name: `Status ${i}` }));
+    expect(validateWorkflowConfig({ executeOnStatuses }).valid).toBe(false);
+  });
+});
+
+describe('shouldRunOnTransition', () => {
+  test('runs when the issue moves into a configured status', () => {
+    expect(shouldRunOnTransition(CONFIG, { from: { id: '1' }, to: { id: 10001 } })).toBe(true);
+  });
+
+  test('ignores other transitions', () => {
+    expect(shouldRunOnTransition(CONFIG, { from: { id: '10001' }, to: { id: '3' } })).toBe(false);
+    expect(shouldRunOnTransition(CONFIG, {})).toBe(false);
+    expect(shouldRunOnTransition({ executeOnStatuses: [] }, { to: { id: '10001' } })).toBe(false);
+  });
+});
+
+// ========================================================================
+// Execution
+// ========================================================================
+
+describe('getWorkflowBlocker', () => {
+  test('lets share requests run', () => {
+    expect(getWorkflowBlocker({ selectedAction: { value: 'share-record' }, formData: {} })).toBeNull();
+  });
+
+  test('leaves record updates and new addresses to the issue panel', () => {
+    expect(getWorkflowBlocker({ selectedAction: { value: 'record-update' }, formData: {} })).toMatch(/issue panel/);
+    expect(getWorkflowBlocker({ selectedAction: { value: 'record-add' }, formData: { addressRef: 'temp_addr_1' } })).toMatch(/address record/);
+  });
+
+  test('rejects a request without an action', () => {
+    expect(getWorkflowBlocker({ formData: {} })).toBe('The stored request has no action');
+  });
+
+  test('rejects actions outside the registry and pre-formatted commands', () => {
+    expect(getWorkflowBlocker({ selectedAction: { value: 'epm approval action --approve abc' }, formData: {} }))
+      .toBe('"epm approval action --approve abc" is not a supported Keeper action');
+    expect(getWorkflowBlocker({ selectedAction: { value: 'share-record' }, formData: { cliCommand: 'rm --force abc' } }))
+      .toMatch(/pre-formatted command/);
+  });
+});
+
+describe('hasAdminPermission', () => {
+  test('accepts global and project administrators', () => {
+    expect(hasAdminPermission({ globalPermissions: ['ADMINISTER'], projectPermissions: [] })).toBe(true);
+    expect(hasAdminPermission({ globalPermissions: [], projectPermissions: [{ permission: 'ADMINISTER_PROJECTS', issues: [10010], projects: [] }] })).toBe(true);
+  });
+
+  test('rejects a project permission granted on nothing', () => {
+    expect(hasAdminPermission({ globalPermissions: [], projectPermissions: [{ permission: 'ADMINISTER_PROJECTS', issues: [], projects: [] }] })).toBe(false);
+    expect(hasAdminPermission({ globalPermissions: ['USER_PICKER'] })).toBe(false);
+    expect(hasAdminPermission(null)).toBe(false);
+  });
+});
+
+describe('findRevertTransition', () => {
+  const transitions = [
+    { id: '11', name: 'Approve', to: { id: '10001', name: 'Approved' } },
+    { id: '21', name: 'Back to review', to: { id: '3', name: 'In Review' } }
+  ];
+
+  test('finds the transition into the previous status', () => {
+    expect(findRevertTransition(transitions, 3)).toBe(transitions[1]);
+  });
+
+  test('returns null when no transition leads back', () => {
+    expect(findRevertTransition(transitions, '4')).toBeNull();
+    expect(findRevertTransition(undefined, '3')).toBeNull();
+  });
+});
+
+// ========================================================================
+// Validation
+// ========================================================================
+
+describe('checkKeeperActionDone', () => {
+  const storedRequest = { selectedAction: { value: 'share-record' }, submittedAt: '2026-03-01T10:00:00.000Z' };
+
+  test('passes once the request has been cleared', () => {
+    expect(checkKeeperActionDone({ lastJob: { status: 'completed' } })).toEqual({ result: true });
+    expect(checkKeeperActionDone({})).toEqual({ result: true });
+  });
+
+  test('blocks while the job is running', () => {
+    expect(checkKeeperActionDone({ storedRequest, activeJob: { status: 'queued' } }).result).toBe(false);
+  });
+
+  test('blocks a request that has not run', () => {
+    expect(checkKeeperActionDone({ storedRequest })).toEqual({ result: false, errorMessage: 'The Keeper request on this issue has not run yet' });
+  });
+
+  test('names the failure of the last run', () => {
+    const lastJob = { status: 'failed', submittedAt: '2026-03-01T11:00:00.000Z', error: { message: 'Record not found' } };
+    expect(checkKeeperActionDone({ storedRequest, lastJob }).errorMessage).toBe('The Keeper action failed (Record not found) - run it successfully or reject the request first');
+  });
+
+  test('ignores failures from before the request was saved again', () => {
+    const lastJob = { status: 'failed', submittedAt: '2026-03-01T09:00:00.000Z', error: { message: 'Record not found' } };
+    expect(checkKeeperActionDone({ storedRequest, lastJob }).errorMessage).toBe('The Keeper request on this issue has not run yet');
+  });
+});